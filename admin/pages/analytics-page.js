@@ -15,6 +15,7 @@ class AnalyticsPage {
      */
     static render(req, res) {
         const user = req.currentUser;
+        const isAdmin = ['Admin', 'SuperAuditor'].includes(user.role);
         
         const html = `
 <!DOCTYPE html>
@@ -36,8 +37,11 @@ class AnalyticsPage {
             </div>
             <div class="user-section">
                 <span class="user-name">${user.displayName || user.email}</span>
-                <span class="user-role badge-admin">Admin</span>
-                <a href="/admin/users" class="btn-secondary">👥 Users</a>
+                <span class="user-role badge-admin">${user.role}</span>
+                <a href="/analytics/dashboards" class="btn-secondary">📊 Dashboards</a>
+                <a href="/analytics/trends" class="btn-secondary">📉 Trends &amp; Alerts</a>
+                ${isAdmin ? `<a href="/admin/report-subscriptions" class="btn-secondary">📈 Report Subscriptions</a>
+                <a href="/admin/users" class="btn-secondary">👥 Users</a>` : ''}
                 <a href="/dashboard" class="btn-secondary">Back to Dashboard</a>
                 <a href="/auth/logout" class="btn-logout">Logout</a>
             </div>
@@ -52,6 +56,8 @@ class AnalyticsPage {
 
     <!-- Main Content -->
     <main class="container">
+        ${isAdmin ? '' : `<div class="scope-note">🔒 Showing results for your own ${user.role === 'HeadOfOperations' ? 'brands' : 'area'} only</div>`}
+
         <!-- Filter Section - At Top -->
         <section class="filter-section">
             <div class="filter-row">
@@ -212,6 +218,7 @@ class AnalyticsPage {
                 </div>
                 <button class="btn-refresh" onclick="refreshAnalytics()">🔄 Refresh</button>
                 <button class="btn-clear" onclick="clearAllFilters()">✖ Clear</button>
+                <button class="btn-excel" onclick="exportAnalyticsExcel()" title="Every block of this page, one sheet each">📥 Excel</button>
             </div>
         </section>
 
@@ -321,7 +328,8 @@ class AnalyticsPage {
             <div id="queryResults" class="query-results" style="display: none;">
                 <div class="results-header">
                     <h3 id="queryResultsTitle">Results</h3>
-                    <button class="btn-export" onclick="exportQueryResults()">📥 Export</button>
+                    <button class="btn-export" onclick="exportQueryResults()">📥 Export CSV</button>
+                    <button class="btn-export" onclick="exportQueryResultsExcel()">📥 Export Excel</button>
                 </div>
                 <div id="queryResultsChart" class="query-chart-container">
                     <canvas id="customQueryChart"></canvas>
@@ -464,6 +472,14 @@ class AnalyticsPage {
                         <option value="In Progress">In Progress</option>
                         <option value="Pending">Pending</option>
                         <option value="Deferred">Deferred</option>
+                        <option value="Completed">Completed</option>
+                    </select>
+                    <select id="unsolvedVerificationFilter" onchange="filterUnsolvedItems()">
+                        <option value="">All Verification</option>
+                        <option value="Open">Not Submitted</option>
+                        <option value="Submitted">Awaiting Verification</option>
+                        <option value="Rejected">Rejected</option>
+                        <option value="Reopened">Reopened</option>
                     </select>
                 </div>
                 <div class="modal-stats">
@@ -525,6 +541,7 @@ class AnalyticsPage {
             const search = document.getElementById('unsolvedSearch').value.toLowerCase();
             const priority = document.getElementById('unsolvedPriorityFilter').value;
             const status = document.getElementById('unsolvedStatusFilter').value;
+            const verification = document.getElementById('unsolvedVerificationFilter').value;
             
             const filtered = unsolvedItems.filter(item => {
                 const matchesSearch = !search || 
@@ -535,7 +552,8 @@ class AnalyticsPage {
                     (item.PersonInCharge || '').toLowerCase().includes(search);
                 const matchesPriority = !priority || item.Priority === priority;
                 const matchesStatus = !status || item.Status === status;
-                return matchesSearch && matchesPriority && matchesStatus;
+                const matchesVerification = !verification || (item.VerificationStatus || 'Open') === verification;
+                return matchesSearch && matchesPriority && matchesStatus && matchesVerification;
             });
             
             document.getElementById('unsolvedCount').textContent = filtered.length + ' of ' + unsolvedItems.length + ' items';
@@ -560,6 +578,7 @@ class AnalyticsPage {
                             <th>Finding</th>
                             <th>Priority</th>
                             <th>Status</th>
+                            <th>Verification</th>
                             <th>Person In Charge</th>
                             <th>Deadline</th>
                         </tr>
@@ -574,6 +593,7 @@ class AnalyticsPage {
                                 <td class="finding-cell" title="\${item.Finding || ''}">\${truncate(item.Finding, 50)}</td>
                                 <td><span class="priority-badge priority-\${(item.Priority || 'none').toLowerCase()}">\${item.Priority || 'N/A'}</span></td>
                                 <td><span class="status-badge status-\${(item.Status || 'open').toLowerCase().replace(' ', '-')}">\${item.Status || 'Open'}</span></td>
+                                <td title="\${item.ReviewerComment || ''}">\${item.VerificationStatus || 'Open'}</td>
                                 <td>\${item.PersonInCharge || '-'}</td>
                                 <td>\${item.Deadline ? new Date(item.Deadline).toLocaleDateString() : '-'}</td>
                             </tr>
@@ -1952,6 +1972,7 @@ class AnalyticsPage {
         
         let customQueryChart = null;
         let lastQueryResults = null;
+        let lastQueryParams = null;
 
         // Update query options based on subject
         function updateQueryOptions() {
@@ -2035,6 +2056,7 @@ class AnalyticsPage {
                 
                 const response = await fetch('/api/admin/analytics/custom-query?' + params);
                 if (!response.ok) throw new Error('Query failed');
+                lastQueryParams = params;
                 
                 const data = await response.json();
                 lastQueryResults = data;
@@ -2147,6 +2169,21 @@ class AnalyticsPage {
             resultsSection.scrollIntoView({ behavior: 'smooth' });
         }
 
+        // Same query as a typed Excel workbook (built on the server)
+        function exportQueryResultsExcel() {
+            if (!lastQueryParams) return;
+            const params = new URLSearchParams(lastQueryParams);
+            params.set('format', 'xlsx');
+            window.location.href = '/api/admin/analytics/custom-query?' + params;
+        }
+
+        // Whole dashboard with the current filters, one sheet per block
+        function exportAnalyticsExcel() {
+            const params = new URLSearchParams(getFilters());
+            params.set('format', 'xlsx');
+            window.location.href = '/api/admin/analytics?' + params;
+        }
+
         // Export query results
         function exportQueryResults() {
             if (!lastQueryResults) return;
@@ -9,6 +9,7 @@ class AuditorPerformancePage {
      */
     static render(req, res) {
         const user = req.currentUser;
+        const isAdmin = ['Admin', 'SuperAuditor'].includes(user.role);
         
         const html = `
 <!DOCTYPE html>
@@ -400,6 +401,16 @@ class AuditorPerformancePage {
             color: white;
         }
 
+        .scope-note {
+            background: #eff6ff;
+            border: 1px solid #bfdbfe;
+            color: #1e40af;
+            padding: 0.6rem 1rem;
+            border-radius: 8px;
+            margin-bottom: 1rem;
+            font-size: 0.9rem;
+        }
+
         /* Tabs */
         .tabs {
             display: flex;
@@ -508,6 +519,7 @@ class AuditorPerformancePage {
                 <span class="user-name">${user.displayName || user.email}</span>
                 <span class="badge-admin">${user.role}</span>
                 <a href="/admin/analytics" class="btn-secondary">📊 Stores Analytics</a>
+                ${isAdmin ? `<a href="/admin/calibration" class="btn-secondary">⚖️ Calibration</a>` : ''}
                 <a href="/dashboard" class="btn-secondary">Back to Dashboard</a>
                 <a href="/auth/logout" class="btn-logout">Logout</a>
             </div>
@@ -522,6 +534,8 @@ class AuditorPerformancePage {
 
     <!-- Main Content -->
     <main class="container">
+        ${isAdmin ? '' : `<div class="scope-note">🔒 Showing audits of your own ${user.role === 'HeadOfOperations' ? 'brands' : 'area'} only</div>`}
+
         <!-- Filters -->
         <section class="filter-section">
             <div class="filter-row">
@@ -583,7 +597,7 @@ class AuditorPerformancePage {
             <button class="tab" onclick="switchTab('duration')">⏱️ Audit Duration</button>
             <button class="tab" onclick="switchTab('sendTime')">📧 Report Send Time</button>
             <button class="tab" onclick="switchTab('findings')">🔍 Findings Analysis</button>
-            <button class="tab" onclick="switchTab('settings')">⚙️ Settings</button>
+            ${isAdmin ? `<button class="tab" onclick="switchTab('settings')">⚙️ Settings</button>` : ''}
         </div>
 
         <!-- Tab: Overview -->
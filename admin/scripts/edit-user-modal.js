@@ -5,11 +5,42 @@
  * This is a SEPARATE, MODULAR file - can be edited independently
  */
 
+// Fallback when the department registry cannot be loaded
+const DEFAULT_DEPARTMENTS = [
+    { code: 'Cleaning', name: 'Cleaning', roleName: 'CleaningHead' },
+    { code: 'Procurement', name: 'Procurement', roleName: 'ProcurementHead' },
+    { code: 'Maintenance', name: 'Maintenance', roleName: 'MaintenanceHead' }
+];
+
+let modalDepartments = null;
+
+/**
+ * Load the registered departments (each one has a "<Code>Head" role)
+ */
+async function loadModalDepartments() {
+    if (modalDepartments) return modalDepartments;
+    try {
+        const response = await fetch('/api/departments?includeInactive=true');
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error || 'Failed to load departments');
+        modalDepartments = data.departments;
+    } catch (error) {
+        console.error('Error loading departments:', error);
+        modalDepartments = DEFAULT_DEPARTMENTS;
+    }
+    return modalDepartments;
+}
+
+function findDepartmentByRole(role) {
+    return (modalDepartments || DEFAULT_DEPARTMENTS).find(d => d.roleName === role) || null;
+}
+
 /**
  * Open the edit user modal
  */
 window.openEditUserModal = async function(user) {
     try {
+        const departments = await loadModalDepartments();
         const modal = document.getElementById('editUserModal');
         const modalTitle = document.getElementById('modalTitle');
         const modalBody = document.getElementById('modalBody');
@@ -53,9 +84,8 @@ window.openEditUserModal = async function(user) {
                             <option value="HeadOfOperations" ${user.role === 'HeadOfOperations' ? 'selected' : ''}>Head of Operations</option>
                             <option value="AreaManager" ${user.role === 'AreaManager' ? 'selected' : ''}>Area Manager</option>
                             <option value="StoreManager" ${user.role === 'StoreManager' ? 'selected' : ''}>Store Manager</option>
-                            <option value="CleaningHead" ${user.role === 'CleaningHead' ? 'selected' : ''}>Cleaning Head</option>
-                            <option value="ProcurementHead" ${user.role === 'ProcurementHead' ? 'selected' : ''}>Procurement Head</option>
-                            <option value="MaintenanceHead" ${user.role === 'MaintenanceHead' ? 'selected' : ''}>Maintenance Head</option>
+                            ${departments.filter(d => d.isActive !== false || d.roleName === user.role).map(d => `
+                            <option value="${escapeHtml(d.roleName)}" ${user.role === d.roleName ? 'selected' : ''}>${escapeHtml(d.name)} Head</option>`).join('')}
                             <option value="Notification" ${user.role === 'Notification' ? 'selected' : ''}>Notification</option>
                         </select>
                         <small class="form-hint">Assign appropriate role based on user's responsibilities</small>
@@ -105,15 +135,14 @@ window.openEditUserModal = async function(user) {
                 </div>
 
                 <!-- Department Assignment (only for Department Heads) -->
-                <div class="form-section" id="departmentAssignmentSection" style="display: ${['CleaningHead', 'ProcurementHead', 'MaintenanceHead'].includes(user.role) ? 'block' : 'none'};">
+                <div class="form-section" id="departmentAssignmentSection" style="display: ${findDepartmentByRole(user.role) ? 'block' : 'none'};">
                     <h3>Department Assignment</h3>
                     <div class="form-group">
                         <label for="assignedDepartment">Assigned Department *</label>
                         <select id="assignedDepartment" name="assigned_department" class="form-control">
                             <option value="">Select Department</option>
-                            <option value="Cleaning" ${user.assigned_department === 'Cleaning' ? 'selected' : ''}>Cleaning</option>
-                            <option value="Procurement" ${user.assigned_department === 'Procurement' ? 'selected' : ''}>Procurement</option>
-                            <option value="Maintenance" ${user.assigned_department === 'Maintenance' ? 'selected' : ''}>Maintenance</option>
+                            ${departments.map(d => `
+                            <option value="${escapeHtml(d.code)}" ${user.assigned_department === d.code ? 'selected' : ''}>${escapeHtml(d.name)}</option>`).join('')}
                         </select>
                         <small class="form-hint">Department heads see department-specific reports</small>
                     </div>
@@ -301,15 +330,12 @@ window.handleRoleChange = function() {
     
     // Show/hide department assignment
     const deptSection = document.getElementById('departmentAssignmentSection');
-    const isDeptHead = ['CleaningHead', 'ProcurementHead', 'MaintenanceHead'].includes(role);
-    deptSection.style.display = isDeptHead ? 'block' : 'none';
+    const roleDepartment = findDepartmentByRole(role);
+    deptSection.style.display = roleDepartment ? 'block' : 'none';
     
     // Auto-select department based on role
-    if (isDeptHead) {
-        const deptSelect = document.getElementById('assignedDepartment');
-        if (role === 'CleaningHead') deptSelect.value = 'Cleaning';
-        if (role === 'ProcurementHead') deptSelect.value = 'Procurement';
-        if (role === 'MaintenanceHead') deptSelect.value = 'Maintenance';
+    if (roleDepartment) {
+        document.getElementById('assignedDepartment').value = roleDepartment.code;
     }
 };
 
@@ -483,7 +509,7 @@ window.handleSubmitEditUser = async function(event, userId) {
         }
         
         // Validate department heads have department
-        const isDeptHead = ['CleaningHead', 'ProcurementHead', 'MaintenanceHead'].includes(updateData.role);
+        const isDeptHead = !!findDepartmentByRole(updateData.role);
         if (isDeptHead && !updateData.assigned_department) {
             showToast('Department heads must have an assigned department', 'error');
             return;
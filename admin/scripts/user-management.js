@@ -8,13 +8,43 @@
 // Global state
 let allUsers = [];
 let filteredUsers = [];
+let departmentRoleNames = {}; // roleName -> "<Department> Head" from the department registry
 
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', () => {
     initializeEventListeners();
+    loadDepartmentRoles();
     loadUsers();
 });
 
+/**
+ * Add the head roles of registered departments to the role filter
+ */
+async function loadDepartmentRoles() {
+    try {
+        const response = await fetch('/api/departments?includeInactive=true');
+        const data = await response.json();
+        if (!data.success) return;
+
+        const roleFilter = document.getElementById('roleFilter');
+        const notificationOption = roleFilter.querySelector('option[value="Notification"]');
+        data.departments.forEach(dept => {
+            departmentRoleNames[dept.roleName] = `${dept.name} Head`;
+            if (!roleFilter.querySelector(`option[value="${dept.roleName}"]`)) {
+                const option = document.createElement('option');
+                option.value = dept.roleName;
+                option.textContent = `${dept.name} Head`;
+                roleFilter.insertBefore(option, notificationOption);
+            }
+        });
+        if (allUsers.length > 0) {
+            renderUsersTable();
+        }
+    } catch (error) {
+        console.error('Error loading departments:', error);
+    }
+}
+
 /**
  * Initialize all event listeners
  */
@@ -389,8 +419,8 @@ function getRoleBadge(role) {
         'MaintenanceHead': 'Maintenance Head'
     };
     
-    const badgeClass = roleMap[role] || 'badge-pending';
-    const displayName = displayNames[role] || role;
+    const badgeClass = roleMap[role] || (departmentRoleNames[role] ? 'badge-depthead' : 'badge-pending');
+    const displayName = displayNames[role] || departmentRoleNames[role] || role;
     return `<span class="${badgeClass}">${displayName}</span>`;
 }
 
@@ -7,6 +7,7 @@
 
 const sql = require('mssql');
 const dbConfig = require('../../config/default');
+const CalendarFeedService = require('../../audit-app/services/calendar-feed-service');
 
 class RoleAssignmentService {
     /**
@@ -258,6 +259,11 @@ class RoleAssignmentService {
             
             console.log(`[DB] Updated user ${userId}: role=${updateData.role}`);
             
+            // A deactivated user's calendar feed URL must stop working
+            if (result.recordset[0] && !result.recordset[0].is_active) {
+                await CalendarFeedService.revokeFeedToken(pool, userId);
+            }
+            
             return result.recordset[0];
             
         } catch (error) {
@@ -288,6 +294,10 @@ class RoleAssignmentService {
             
             console.log(`[DB] Updated user ${userId} status: active=${isActive}`);
             
+            if (!isActive) {
+                await CalendarFeedService.revokeFeedToken(pool, userId);
+            }
+            
             return result.recordset[0];
             
         } catch (error) {
@@ -14,7 +14,9 @@ const ScoringService = require('./services/scoring-service');
 const ImageService = require('./services/image-service');
 const TemplateEngine = require('./services/template-engine');
 const SchemaColorsService = require('../services/schema-colors-service');
+const DepartmentService = require('../services/department-service');
 const PDFExportService = require('./services/pdf-export-service');
+const Translator = require('../../services/translator');
 
 class ReportGenerator {
     constructor(options = {}) {
@@ -69,10 +71,21 @@ class ReportGenerator {
         return this.pool;
     }
 
+    /**
+     * Language of a generated document: the requested one, else the store's, else English.
+     * The store's language keeps the usual file name; any other gets a suffix (_ar, _fr)
+     * @returns {Object} - { language, fileSuffix }
+     */
+    resolveLanguage(auditData, requested) {
+        const storeLanguage = Translator.normalize(auditData.storeLanguage) || Translator.DEFAULT_LANGUAGE;
+        const language = Translator.normalize(requested) || storeLanguage;
+        return { language, fileSuffix: language === storeLanguage ? '' : `_${language}` };
+    }
+
     /**
      * Generate complete audit report
      * @param {number} auditId - Audit ID
-     * @param {Object} options - Generation options
+     * @param {Object} options - Generation options ({ language: 'en' | 'ar' | 'fr' })
      * @returns {Promise<Object>} - Result with filePath and data
      */
     async generateReport(auditId, options = {}) {
@@ -87,12 +100,18 @@ class ReportGenerator {
             // 1. Fetch audit data
             console.log('📊 Step 1: Fetching audit data...');
             const auditData = await this.dataService.getAuditData(auditId);
+            const { language, fileSuffix } = this.resolveLanguage(auditData, options.language);
             
             // 2. Get settings/thresholds for this schema
             console.log('⚙️ Step 2: Loading settings...');
             const settings = await this.configService.getSettings(auditData.schemaId);
             const threshold = settings.overallPassingGrade;
 
+            // 2.5 Load the audit's scoring model (same model used by completeAudit)
+            console.log('🧮 Step 2.5: Loading scoring model...');
+            const scoringModel = await this.dataService.getScoringModelForAudit(auditId);
+            this.scoringService.setModel(scoringModel);
+
             // 3. Fetch section scores
             console.log('📈 Step 3: Fetching section scores...');
             const sectionScores = await this.dataService.getSectionScores(auditId);
@@ -108,6 +127,9 @@ class ReportGenerator {
                     section.percentage = scoreData.percentage;
                     section.earnedScore = scoreData.earnedScore;
                     section.maxScore = scoreData.maxScore;
+                    section.rawPercentage = scoreData.rawPercentage;
+                    section.cappedBySeverity = scoreData.cappedBySeverity;
+                    section.severityFailures = scoreData.severityFailures;
                 }
             }
 
@@ -129,7 +151,8 @@ class ReportGenerator {
                 auditData.storeId, 
                 auditData.schemaId, 
                 auditId, 
-                auditData.cycle
+                auditData.cycle,
+                { templateVersionId: auditData.templateVersionId, templateVersionNumber: auditData.templateVersionNumber }
             );
 
             // 7.6 Fetch categories for data table grouping
@@ -185,8 +208,11 @@ class ReportGenerator {
                 
                 // Scores
                 totalScore: auditData.totalScore,
+                forcedFail: auditData.forcedFail,
+                forcedFailReason: auditData.forcedFailReason,
                 threshold,
                 sectionScores,
+                scoringModel,
                 
                 // Data
                 sections,
@@ -201,16 +227,17 @@ class ReportGenerator {
                 cycleDefinitions,  // Cycle display names (C1 -> January, etc.)
                 
                 // Metadata
+                language,
                 generatedAt: new Date().toISOString()
             };
 
             // 9. Generate HTML
             console.log('🎨 Step 9: Generating HTML...');
-            const html = await this.templateEngine.buildDocument(reportData, options);
+            const html = await this.templateEngine.buildDocument(reportData, { ...options, language });
 
             // 10. Save report
             console.log('💾 Step 10: Saving report...');
-            const reportBaseName = `Audit_Report_${auditData.documentNumber}`;
+            const reportBaseName = `Audit_Report_${auditData.documentNumber}${fileSuffix}`;
             const fileName = `${reportBaseName}.html`;
             const filePath = path.join(this.outputDir, fileName);
 
@@ -223,7 +250,7 @@ class ReportGenerator {
             console.log(`\n${'='.repeat(60)}`);
             console.log(`✅ Report generated successfully!`);
             console.log(`📄 File: ${filePath}`);
-            console.log(`📊 Score: ${auditData.totalScore}% (${auditData.totalScore >= threshold ? 'PASS ✅' : 'FAIL ❌'})`);
+            console.log(`📊 Score: ${auditData.totalScore}% (${auditData.totalScore >= threshold && !auditData.forcedFail ? 'PASS ✅' : 'FAIL ❌'})`);
             console.log(`🏪 Store: ${auditData.storeName}`);
             console.log(`${'='.repeat(60)}\n`);
 
@@ -232,6 +259,8 @@ class ReportGenerator {
                 filePath,
                 fileName,
                 html,
+                language,
+                fileSuffix,
                 data: reportData
             };
 
@@ -248,9 +277,10 @@ class ReportGenerator {
     /**
      * Generate action plan report
      * @param {number} auditId - Audit ID
+     * @param {Object} options - { language }
      * @returns {Promise<Object>} - Result with findings and file path
      */
-    async generateActionPlan(auditId) {
+    async generateActionPlan(auditId, options = {}) {
         try {
             console.log(`\n📋 Generating Action Plan for Audit ID: ${auditId}`);
 
@@ -260,16 +290,18 @@ class ReportGenerator {
             const auditData = await this.dataService.getAuditData(auditId);
             const findings = await this.dataService.getFindings(auditId);
             const pictures = await this.dataService.getAuditPictures(auditId);
+            const { language, fileSuffix } = this.resolveLanguage(auditData, options.language);
 
             // Build action plan HTML
             const html = this.buildActionPlanHtml({
                 ...auditData,
+                language,
                 findings,
                 pictures
             });
 
             // Save
-            const fileName = `Action_Plan_${auditData.documentNumber}.html`;
+            const fileName = `Action_Plan_${auditData.documentNumber}${fileSuffix}.html`;
             const filePath = path.join(this.outputDir, fileName);
 
             await fs.mkdir(this.outputDir, { recursive: true });
@@ -282,6 +314,7 @@ class ReportGenerator {
                 filePath,
                 fileName,
                 html,
+                language,
                 findings,
                 totalFindings: findings.length,
                 highPriority: findings.filter(f => f.priority === 'High').length,
@@ -302,6 +335,8 @@ class ReportGenerator {
      * Build action plan HTML
      */
     buildActionPlanHtml(data) {
+        const translator = new Translator(data.language);
+        const t = (key, params) => translator.t(key, params);
         const priorityOrder = { 'High': 1, 'Medium': 2, 'Low': 3 };
         const sortedFindings = [...data.findings].sort((a, b) => 
             (priorityOrder[a.priority] || 4) - (priorityOrder[b.priority] || 4)
@@ -320,21 +355,21 @@ class ReportGenerator {
                     <td>${idx + 1}</td>
                     <td>${f.referenceValue || ''}</td>
                     <td>${f.sectionName || ''}</td>
-                    <td>${f.title || ''}</td>
+                    <td>${translator.itemTitle(f)}</td>
                     <td>${f.finding || ''}</td>
                     <td>${f.correctiveAction || f.cr || ''}</td>
-                    <td><span class="priority-badge ${priorityClass}">${f.priority || '-'}</span></td>
+                    <td><span class="priority-badge ${priorityClass}">${translator.label('common.priorities', f.priority) || '-'}</span></td>
                     <td>${picsHtml || '-'}</td>
                 </tr>
             `;
         }).join('');
 
         return `<!DOCTYPE html>
-<html lang="en">
+<html lang="${translator.language}" dir="${translator.dir}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Action Plan - ${data.documentNumber}</title>
+    <title>${t('actionPlan.title')} - ${data.documentNumber}</title>
     <style>
         * { box-sizing: border-box; margin: 0; padding: 0; }
         body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #333; }
@@ -351,8 +386,9 @@ class ReportGenerator {
         .stat-value { font-size: 2rem; font-weight: bold; }
         .stat-label { font-size: 0.85rem; }
         table { width: 100%; border-collapse: collapse; }
-        th, td { padding: 12px; text-align: left; border: 1px solid #e2e8f0; }
+        th, td { padding: 12px; text-align: start; border: 1px solid #e2e8f0; }
         th { background: #f8fafc; font-weight: 600; }
+        html[dir="rtl"] body { font-family: 'Segoe UI', Tahoma, 'Noto Naskh Arabic', 'Noto Sans Arabic', Arial, sans-serif; }
         .priority-badge { padding: 3px 10px; border-radius: 12px; font-size: 0.8rem; font-weight: 600; }
         .priority-high { background: #fee2e2; color: #991b1b; }
         .priority-medium { background: #fef3c7; color: #92400e; }
@@ -369,32 +405,32 @@ class ReportGenerator {
 <body>
     <div class="container">
         <div class="header">
-            <h1>📋 Action Plan Report</h1>
+            <h1>📋 ${t('actionPlan.reportTitle')}</h1>
             <div class="header-info">
-                <span><strong>Document:</strong> ${data.documentNumber}</span>
-                <span><strong>Store:</strong> ${data.storeName} (${data.storeCode})</span>
-                <span><strong>Date:</strong> ${new Date(data.auditDate).toLocaleDateString()}</span>
-                <span><strong>Cycle:</strong> ${data.cycleDisplay || data.cycle} ${data.year}</span>
-                <span><strong>Auditor:</strong> ${data.auditors}</span>
+                <span><strong>${t('common.document')}:</strong> ${data.documentNumber}</span>
+                <span><strong>${t('common.store')}:</strong> ${data.storeName} (${data.storeCode})</span>
+                <span><strong>${t('common.date')}:</strong> ${new Date(data.auditDate).toLocaleDateString()}</span>
+                <span><strong>${t('common.cycle')}:</strong> ${data.cycleDisplay || data.cycle} ${data.year}</span>
+                <span><strong>${t('common.auditor')}:</strong> ${data.auditors}</span>
             </div>
         </div>
 
         <div class="stats">
             <div class="stat-card total">
                 <div class="stat-value">${data.findings.length}</div>
-                <div class="stat-label">Total Findings</div>
+                <div class="stat-label">${t('actionPlan.totalFindings')}</div>
             </div>
             <div class="stat-card high">
                 <div class="stat-value">${data.findings.filter(f => f.priority === 'High').length}</div>
-                <div class="stat-label">High Priority</div>
+                <div class="stat-label">${t('actionPlan.highPriority')}</div>
             </div>
             <div class="stat-card medium">
                 <div class="stat-value">${data.findings.filter(f => f.priority === 'Medium').length}</div>
-                <div class="stat-label">Medium Priority</div>
+                <div class="stat-label">${t('actionPlan.mediumPriority')}</div>
             </div>
             <div class="stat-card low">
                 <div class="stat-value">${data.findings.filter(f => f.priority === 'Low').length}</div>
-                <div class="stat-label">Low Priority</div>
+                <div class="stat-label">${t('actionPlan.lowPriority')}</div>
             </div>
         </div>
 
@@ -402,13 +438,13 @@ class ReportGenerator {
             <thead>
                 <tr>
                     <th>#</th>
-                    <th>Ref</th>
-                    <th>Section</th>
-                    <th>Question</th>
-                    <th>Finding</th>
-                    <th>Corrective Action</th>
-                    <th>Priority</th>
-                    <th>Pictures</th>
+                    <th>${t('common.ref')}</th>
+                    <th>${t('common.section')}</th>
+                    <th>${t('common.question')}</th>
+                    <th>${t('common.finding')}</th>
+                    <th>${t('common.correctiveAction')}</th>
+                    <th>${t('common.priority')}</th>
+                    <th>${t('common.pictures')}</th>
                 </tr>
             </thead>
             <tbody>
@@ -417,7 +453,7 @@ class ReportGenerator {
         </table>
 
         <div class="footer">
-            <p>Generated on ${new Date().toLocaleString()} | Food Safety Audit System</p>
+            <p>${t('common.generatedOn', { date: new Date().toLocaleString() })} | ${t('common.systemName')}</p>
         </div>
     </div>
 
@@ -444,9 +480,10 @@ class ReportGenerator {
      * Generate department report
      * @param {number} auditId - Audit ID
      * @param {string} department - Department name
+     * @param {Object} options - { language }
      * @returns {Promise<Object>} - Result
      */
-    async generateDepartmentReport(auditId, department) {
+    async generateDepartmentReport(auditId, department, options = {}) {
         try {
             console.log(`\n🏢 Generating ${department} Department Report for Audit ID: ${auditId}`);
 
@@ -455,25 +492,27 @@ class ReportGenerator {
             // Fetch data
             const auditData = await this.dataService.getAuditData(auditId);
             
-            // Get findings for this department
+            // Get findings escalated to this department
             const allFindings = await this.dataService.getFindings(auditId);
-            const deptFindings = allFindings.filter(f => 
-                f.department && f.department.toLowerCase().includes(department.toLowerCase())
-            );
+            const deptFindings = allFindings.filter(f => f.escalate && f.departments.includes(department));
+            const departmentInfo = await DepartmentService.getDepartment(this.pool, department);
 
             // Fetch pictures (URL-based, no file duplication)
             const pictures = await this.dataService.getAuditPictures(auditId);
+            const { language, fileSuffix } = this.resolveLanguage(auditData, options.language);
 
             // Build department report HTML (similar to action plan but filtered)
             const html = this.buildDepartmentReportHtml({
                 ...auditData,
+                language,
                 department,
+                departmentColor: departmentInfo ? departmentInfo.color : null,
                 findings: deptFindings,
                 pictures
             });
 
             // Save
-            const fileName = `${department}_Report_${auditData.documentNumber}.html`;
+            const fileName = `${department}_Report_${auditData.documentNumber}${fileSuffix}.html`;
             const filePath = path.join(this.outputDir, fileName);
 
             await fs.mkdir(this.outputDir, { recursive: true });
@@ -486,6 +525,7 @@ class ReportGenerator {
                 filePath,
                 fileName,
                 html,
+                language,
                 department,
                 findings: deptFindings,
                 totalFindings: deptFindings.length
@@ -504,12 +544,16 @@ class ReportGenerator {
      * Build department report HTML
      */
     buildDepartmentReportHtml(data) {
+        const translator = new Translator(data.language);
+        const t = (key, params) => translator.t(key, params);
         const deptColors = {
             'Maintenance': { bg: '#dbeafe', text: '#1e40af', header: '#3b82f6' },
             'Procurement': { bg: '#f3e8ff', text: '#7c3aed', header: '#8b5cf6' },
             'Cleaning': { bg: '#dcfce7', text: '#166534', header: '#22c55e' }
         };
-        const colors = deptColors[data.department] || { bg: '#f1f5f9', text: '#334155', header: '#64748b' };
+        const colors = deptColors[data.department]
+            || (data.departmentColor ? { bg: `${data.departmentColor}1a`, text: data.departmentColor, header: data.departmentColor } : null)
+            || { bg: '#f1f5f9', text: '#334155', header: '#64748b' };
 
         // Collect all pictures for galleries
         const allFindingPics = [];
@@ -525,7 +569,7 @@ class ReportGenerator {
                 const picData = {
                     dataUrl: p.dataUrl,
                     referenceValue: f.referenceValue || '',
-                    title: f.title || ''
+                    title: translator.itemTitle(f)
                 };
                 if (picType === 'corrective') {
                     allCorrectivePics.push(picData);
@@ -546,10 +590,10 @@ class ReportGenerator {
                 <tr id="ref-${f.referenceValue || idx}">
                     <td>${idx + 1}</td>
                     <td>${f.referenceValue || ''}</td>
-                    <td>${f.title || ''}</td>
+                    <td>${translator.itemTitle(f)}</td>
                     <td>${f.finding || ''}</td>
                     <td>${f.correctiveAction || f.cr || ''}</td>
-                    <td><span class="priority-badge ${priorityClass}">${f.priority || '-'}</span></td>
+                    <td><span class="priority-badge ${priorityClass}">${translator.label('common.priorities', f.priority) || '-'}</span></td>
                     <td>${picsHtml || '-'}</td>
                 </tr>
             `;
@@ -574,16 +618,16 @@ class ReportGenerator {
             `;
         };
 
-        const findingGallery = buildGallery(allFindingPics, '📸 Finding Pictures', '#fef3c7');
-        const correctiveGallery = buildGallery(allCorrectivePics, '🔧 Corrective Action Pictures', '#dbeafe');
-        const goodGallery = buildGallery(allGoodPics, '✅ Good Observation Pictures', '#dcfce7');
+        const findingGallery = buildGallery(allFindingPics, `📸 ${t('departmentReport.findingPictures')}`, '#fef3c7');
+        const correctiveGallery = buildGallery(allCorrectivePics, `🔧 ${t('departmentReport.correctivePictures')}`, '#dbeafe');
+        const goodGallery = buildGallery(allGoodPics, `✅ ${t('departmentReport.goodPictures')}`, '#dcfce7');
 
         return `<!DOCTYPE html>
-<html lang="en">
+<html lang="${translator.language}" dir="${translator.dir}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${data.department} Report - ${data.documentNumber}</title>
+    <title>${t('departmentReport.title', { department: data.department })} - ${data.documentNumber}</title>
     <style>
         * { box-sizing: border-box; margin: 0; padding: 0; }
         body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #333; }
@@ -596,8 +640,9 @@ class ReportGenerator {
         .summary-value { font-size: 2.5rem; font-weight: bold; }
         .summary-label { font-size: 0.9rem; }
         table { width: 100%; border-collapse: collapse; }
-        th, td { padding: 12px; text-align: left; border: 1px solid #e2e8f0; }
+        th, td { padding: 12px; text-align: start; border: 1px solid #e2e8f0; }
         th { background: ${colors.bg}; font-weight: 600; color: ${colors.text}; }
+        html[dir="rtl"] body { font-family: 'Segoe UI', Tahoma, 'Noto Naskh Arabic', 'Noto Sans Arabic', Arial, sans-serif; }
         .priority-badge { padding: 3px 10px; border-radius: 12px; font-size: 0.8rem; font-weight: 600; }
         .priority-high { background: #fee2e2; color: #991b1b; }
         .priority-medium { background: #fef3c7; color: #92400e; }
@@ -625,13 +670,13 @@ class ReportGenerator {
 <body>
     <div class="container">
         <div class="header">
-            <span class="dept-badge">🏢 ${data.department} Department</span>
-            <h1>${data.department} Department Report</h1>
+            <span class="dept-badge">🏢 ${t('departmentReport.department', { department: data.department })}</span>
+            <h1>${t('departmentReport.title', { department: data.department })}</h1>
             <div class="header-info">
-                <span><strong>Document:</strong> ${data.documentNumber}</span>
-                <span><strong>Store:</strong> ${data.storeName}</span>
-                <span><strong>Date:</strong> ${new Date(data.auditDate).toLocaleDateString()}</span>
-                <span><strong>Cycle:</strong> ${data.cycleDisplay || data.cycle} ${data.year}</span>
+                <span><strong>${t('common.document')}:</strong> ${data.documentNumber}</span>
+                <span><strong>${t('common.store')}:</strong> ${data.storeName}</span>
+                <span><strong>${t('common.date')}:</strong> ${new Date(data.auditDate).toLocaleDateString()}</span>
+                <span><strong>${t('common.cycle')}:</strong> ${data.cycleDisplay || data.cycle} ${data.year}</span>
             </div>
         </div>
 
@@ -649,7 +694,7 @@ class ReportGenerator {
 
         <div class="summary">
             <div class="summary-value">${data.findings.length}</div>
-            <div class="summary-label">Items Assigned to ${data.department}</div>
+            <div class="summary-label">${t('departmentReport.itemsAssigned', { department: data.department })}</div>
         </div>
 
         ${data.findings.length > 0 ? `
@@ -657,26 +702,26 @@ class ReportGenerator {
             <thead>
                 <tr>
                     <th>#</th>
-                    <th>Ref</th>
-                    <th>Question</th>
-                    <th>Finding</th>
-                    <th>Corrective Action</th>
-                    <th>Priority</th>
-                    <th>Pictures</th>
+                    <th>${t('common.ref')}</th>
+                    <th>${t('common.question')}</th>
+                    <th>${t('common.finding')}</th>
+                    <th>${t('common.correctiveAction')}</th>
+                    <th>${t('common.priority')}</th>
+                    <th>${t('common.pictures')}</th>
                 </tr>
             </thead>
             <tbody>
                 ${rows}
             </tbody>
         </table>
-        ` : '<div class="no-items">No items assigned to this department.</div>'}
+        ` : `<div class="no-items">${t('departmentReport.noItems')}</div>`}
 
         ${findingGallery}
         ${correctiveGallery}
         ${goodGallery}
 
         <div class="footer">
-            <p>Generated on ${new Date().toLocaleString()} | Food Safety Audit System</p>
+            <p>${t('common.generatedOn', { date: new Date().toLocaleString() })} | ${t('common.systemName')}</p>
         </div>
     </div>
 
@@ -865,12 +910,13 @@ class ReportGenerator {
                     documentNumber: htmlResult.data.documentNumber,
                     storeName: htmlResult.data.storeName,
                     auditDate: htmlResult.data.auditDate,
-                    ...options
+                    ...options,
+                    language: htmlResult.language
                 }
             );
 
             // Save PDF file
-            const pdfFileName = `Audit_Report_${htmlResult.data.documentNumber}.pdf`;
+            const pdfFileName = `Audit_Report_${htmlResult.data.documentNumber}${htmlResult.fileSuffix}.pdf`;
             const pdfPath = path.join(this.outputDir, pdfFileName);
 
             await fs.mkdir(this.outputDir, { recursive: true });
@@ -883,6 +929,7 @@ class ReportGenerator {
                 filePath: pdfPath,
                 fileName: pdfFileName,
                 htmlFilePath: htmlResult.filePath,
+                language: htmlResult.language,
                 data: htmlResult.data
             };
 
@@ -918,12 +965,13 @@ class ReportGenerator {
                 htmlResult.html,
                 {
                     documentNumber: htmlResult.data.documentNumber,
-                    ...options
+                    ...options,
+                    language: htmlResult.language
                 }
             );
 
             // Save PDF file
-            const pdfFileName = `Audit_Summary_${htmlResult.data.documentNumber}.pdf`;
+            const pdfFileName = `Audit_Summary_${htmlResult.data.documentNumber}${htmlResult.fileSuffix}.pdf`;
             const pdfPath = path.join(this.outputDir, pdfFileName);
 
             await fs.mkdir(this.outputDir, { recursive: true });
@@ -6,6 +6,8 @@
 const sql = require('mssql');
 const fs = require('fs').promises;
 const path = require('path');
+const ScoringModelService = require('../../services/scoring-model-service');
+const DepartmentService = require('../../services/department-service');
 
 class DataService {
     constructor(pool) {
@@ -21,6 +23,49 @@ class DataService {
         this.pool = pool;
     }
 
+    /**
+     * Get the scoring model for a schema
+     * @param {number} schemaId - Schema ID
+     * @returns {Promise<Object>} - Normalized scoring model
+     */
+    async getScoringModel(schemaId) {
+        try {
+            return await ScoringModelService.getModelForSchema(this.pool, schemaId);
+        } catch (error) {
+            console.error('❌ Error fetching scoring model:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the scoring model an audit was scored with (pinned template version, or the schema's model)
+     * @param {number} auditId - Audit ID
+     * @returns {Promise<Object>} - Normalized scoring model
+     */
+    async getScoringModelForAudit(auditId) {
+        try {
+            return await ScoringModelService.getModelForAudit(this.pool, auditId);
+        } catch (error) {
+            console.error('❌ Error fetching scoring model:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add one input per finding answer of the model and return the IN (...) list
+     * @param {Object} request - SQL request
+     * @param {Object} model - Scoring model
+     * @returns {string} - e.g. "@FindingChoice0, @FindingChoice1"
+     */
+    addFindingChoiceInputs(request, model) {
+        const choices = ScoringModelService.getFindingChoices(model);
+        if (choices.length === 0) return 'NULL';
+        return choices.map((choice, i) => {
+            request.input(`FindingChoice${i}`, sql.NVarChar(20), choice);
+            return `@FindingChoice${i}`;
+        }).join(', ');
+    }
+
     /**
      * Get complete audit data by ID
      * @param {number} auditId - Audit ID
@@ -37,9 +82,13 @@ class DataService {
                     SELECT a.*, s.SchemaName, s.Description as SchemaDescription,
                            s.ReportTitle, s.DocumentPrefix, s.Edition, s.CreationDate, s.RevisionDate,
                            s.CycleTypeID, ct.TypeName as CycleTypeName, ct.TypeCode as CycleTypeCode,
-                           cd.CycleName as CycleDisplayName
+                           cd.CycleName as CycleDisplayName,
+                           v.VersionNumber as TemplateVersionNumber,
+                           st.PreferredLanguage as StoreLanguage
                     FROM AuditInstances a
                     INNER JOIN AuditSchemas s ON a.SchemaID = s.SchemaID
+                    LEFT JOIN AuditSchemaVersions v ON a.TemplateVersionID = v.VersionID
+                    LEFT JOIN Stores st ON a.StoreID = st.StoreID
                     LEFT JOIN CycleTypes ct ON s.CycleTypeID = ct.CycleTypeID
                     LEFT JOIN CycleDefinitions cd ON ct.CycleTypeID = cd.CycleTypeID 
                         AND cd.CycleNumber = a.Cycle
@@ -66,10 +115,13 @@ class DataService {
                 storeId: audit.StoreID,
                 storeCode: audit.StoreCode,
                 storeName: audit.StoreName,
+                storeLanguage: audit.StoreLanguage || null,
                 schemaId: audit.SchemaID,
                 schemaName: audit.SchemaName,
                 schemaDescription: audit.SchemaDescription,
-                reportTitle: audit.ReportTitle || 'Food Safety Audit Report',
+                templateVersionId: audit.TemplateVersionID || null,
+                templateVersionNumber: audit.TemplateVersionNumber || null,
+                reportTitle: audit.ReportTitle || null,  // null = translated default title
                 documentPrefix: audit.DocumentPrefix || '',
                 edition: audit.Edition || '',
                 creationDate: audit.CreationDate,
@@ -85,6 +137,8 @@ class DataService {
                 accompaniedBy: audit.AccompaniedBy,
                 status: audit.Status,
                 totalScore: audit.TotalScore,
+                forcedFail: !!audit.ForcedFail,
+                forcedFailReason: audit.ForcedFailReason || null,
                 createdAt: audit.CreatedAt,
                 completedAt: audit.CompletedAt
             };
@@ -125,7 +179,11 @@ class DataService {
                 percentage: parseFloat((row.Percentage || 0).toFixed(2)),
                 totalQuestions: row.TotalQuestions,
                 answeredQuestions: row.AnsweredQuestions,
-                naQuestions: row.NAQuestions
+                naQuestions: row.NAQuestions,
+                rawPercentage: row.RawPercentage !== null && row.RawPercentage !== undefined ? parseFloat(row.RawPercentage) : null,
+                cappedBySeverity: row.CappedBySeverity || null,
+                severityFailures: this.parseSeverityFailures(row.SeverityFailures),
+                forcesFail: !!row.ForcesFail
             }));
         } catch (error) {
             console.error('❌ Error fetching section scores:', error);
@@ -133,6 +191,21 @@ class DataService {
         }
     }
 
+    /**
+     * Parse the severity failures stored with a section score
+     * @param {string|null} json - AuditSectionScores.SeverityFailures
+     * @returns {Array} - [{ referenceValue, title, severity, selectedChoice }]
+     */
+    parseSeverityFailures(json) {
+        if (!json) return [];
+        try {
+            return JSON.parse(json);
+        } catch (e) {
+            console.warn('   ⚠️ Invalid SeverityFailures JSON on section score');
+            return [];
+        }
+    }
+
     /**
      * Get all responses for an audit grouped by section
      * @param {number} auditId - Audit ID
@@ -145,9 +218,10 @@ class DataService {
             const result = await this.pool.request()
                 .input('AuditID', sql.Int, auditId)
                 .query(`
-                    SELECT r.*, s.SectionIcon
+                    SELECT r.*, s.SectionIcon, i.TitleAr, i.TitleFr
                     FROM AuditResponses r
                     LEFT JOIN AuditSections s ON r.SectionID = s.SectionID
+                    LEFT JOIN AuditItems i ON r.ItemID = i.ItemID
                     WHERE r.AuditID = @AuditID
                     ORDER BY r.SectionNumber, r.ReferenceValue
                 `);
@@ -172,9 +246,12 @@ class DataService {
                     itemId: row.ItemID,
                     referenceValue: row.ReferenceValue,
                     title: row.Title,
+                    titleAr: row.TitleAr || null,
+                    titleFr: row.TitleFr || null,
                     coeff: row.Coeff,
                     answerOptions: row.AnswerOptions,
                     cr: row.CR,
+                    severity: row.Severity || null,
                     selectedChoice: row.SelectedChoice,
                     value: row.Value,
                     finding: row.Finding,
@@ -308,15 +385,20 @@ class DataService {
         try {
             console.log(`🔍 Fetching findings for audit: ${auditId}`);
 
-            const result = await this.pool.request()
-                .input('AuditID', sql.Int, auditId)
+            const model = await ScoringModelService.getModelForAudit(this.pool, auditId);
+            const request = this.pool.request()
+                .input('AuditID', sql.Int, auditId);
+            const findingChoices = this.addFindingChoiceInputs(request, model);
+
+            const result = await request
                 .query(`
-                    SELECT r.*, s.SectionIcon
+                    SELECT r.*, s.SectionIcon, i.TitleAr, i.TitleFr
                     FROM AuditResponses r
                     LEFT JOIN AuditSections s ON r.SectionID = s.SectionID
+                    LEFT JOIN AuditItems i ON r.ItemID = i.ItemID
                     WHERE r.AuditID = @AuditID
                       AND (
-                          r.SelectedChoice IN ('No', 'Partially')
+                          r.SelectedChoice IN (${findingChoices})
                           OR r.Finding IS NOT NULL
                           OR r.Priority IS NOT NULL
                           OR r.Escalate = 1
@@ -333,6 +415,8 @@ class DataService {
 
             console.log(`   ✅ Found ${result.recordset.length} findings`);
 
+            const departmentsByResponse = await DepartmentService.getResponseDepartments(this.pool, auditId);
+
             return result.recordset.map(row => ({
                 responseId: row.ResponseID,
                 sectionNumber: row.SectionNumber,
@@ -340,6 +424,8 @@ class DataService {
                 sectionIcon: row.SectionIcon,
                 referenceValue: row.ReferenceValue,
                 title: row.Title,
+                titleAr: row.TitleAr || null,
+                titleFr: row.TitleFr || null,
                 selectedChoice: row.SelectedChoice,
                 finding: row.Finding,
                 cr: row.CR,
@@ -347,7 +433,8 @@ class DataService {
                 priority: row.Priority,
                 hasPicture: row.HasPicture,
                 escalate: row.Escalate,
-                department: row.Department
+                department: row.Department,
+                departments: departmentsByResponse[row.ResponseID] || []
             }));
         } catch (error) {
             console.error('❌ Error fetching findings:', error);
@@ -448,10 +535,14 @@ class DataService {
             console.log(`🔄 Fetching recurring issues for store: ${storeId}, schema: ${schemaId}`);
 
             // Get all failed items from previous audits for same store and schema
-            const result = await this.pool.request()
+            const model = await ScoringModelService.getModelForSchema(this.pool, schemaId);
+            const request = this.pool.request()
                 .input('StoreID', sql.Int, storeId)
                 .input('SchemaID', sql.Int, schemaId)
-                .input('CurrentAuditID', sql.Int, currentAuditId)
+                .input('CurrentAuditID', sql.Int, currentAuditId);
+            const findingChoices = this.addFindingChoiceInputs(request, model);
+
+            const result = await request
                 .query(`
                     SELECT 
                         r.SectionName,
@@ -469,7 +560,7 @@ class DataService {
                         AND ai.SchemaID = @SchemaID
                         AND ai.AuditID != @CurrentAuditID
                         AND ai.Status = 'Completed'
-                        AND r.SelectedChoice IN ('No', 'Partially')
+                        AND r.SelectedChoice IN (${findingChoices})
                     ORDER BY r.SectionName, r.ReferenceValue, ai.Cycle DESC
                 `);
 
@@ -599,9 +690,11 @@ class DataService {
      * @param {number} schemaId - Schema ID (same audit type)
      * @param {number} currentAuditId - Current audit ID to exclude
      * @param {number} currentCycle - Current cycle number
-     * @returns {Promise<Array>} - Array of historical audit data with section scores, keyed by cycle
+     * @param {Object} currentVersion - Template version of the current audit { templateVersionId, templateVersionNumber }
+     * @returns {Promise<Array>} - Array of historical audit data with section scores, keyed by cycle,
+     *                             and warnings for audits scored on another template version
      */
-    async getHistoricalAudits(storeId, schemaId, currentAuditId, currentCycle) {
+    async getHistoricalAudits(storeId, schemaId, currentAuditId, currentCycle, currentVersion = {}) {
         try {
             console.log(`📜 Fetching historical audits for store: ${storeId}, schema: ${schemaId}, current cycle: ${currentCycle}`);
 
@@ -613,8 +706,10 @@ class DataService {
                 .input('CurrentAuditID', sql.Int, currentAuditId)
                 .query(`
                     SELECT 
-                        ai.AuditID, ai.DocumentNumber, ai.TotalScore, ai.AuditDate, ai.Cycle, ai.Year
+                        ai.AuditID, ai.DocumentNumber, ai.TotalScore, ai.AuditDate, ai.Cycle, ai.Year,
+                        ai.TemplateVersionID, v.VersionNumber AS TemplateVersionNumber
                     FROM AuditInstances ai
+                    LEFT JOIN AuditSchemaVersions v ON ai.TemplateVersionID = v.VersionID
                     WHERE ai.StoreID = @StoreID 
                         AND ai.SchemaID = @SchemaID
                         AND ai.AuditID != @CurrentAuditID
@@ -623,6 +718,9 @@ class DataService {
                 `);
 
             const historicalAudits = [];
+            const versionWarnings = [];
+            const currentVersionId = currentVersion.templateVersionId || null;
+            const describeVersion = (number) => number ? `template v${number}` : 'a template from before versioning';
 
             for (const audit of auditsResult.recordset) {
                 // Get section scores for each historical audit (including earned/max for weighted calculation)
@@ -634,6 +732,9 @@ class DataService {
                         WHERE AuditID = @AuditID
                     `);
 
+                // Different versions can have different items, coefficients or scoring models
+                const versionMismatch = (audit.TemplateVersionID || null) !== currentVersionId;
+
                 const sectionScores = {};
                 const sectionEarned = {};
                 const sectionMax = {};
@@ -653,8 +754,22 @@ class DataService {
                     year: audit.Year,
                     sectionScores,
                     sectionEarned,
-                    sectionMax
+                    sectionMax,
+                    templateVersionId: audit.TemplateVersionID || null,
+                    templateVersionNumber: audit.TemplateVersionNumber || null,
+                    versionMismatch
                 });
+
+                if (versionMismatch) {
+                    versionWarnings.push({
+                        auditId: audit.AuditID,
+                        documentNumber: audit.DocumentNumber,
+                        cycle: audit.Cycle,
+                        templateVersionNumber: audit.TemplateVersionNumber || null,
+                        message: `${audit.Cycle} (${audit.DocumentNumber}) was scored on ${describeVersion(audit.TemplateVersionNumber)}; ` +
+                                 `this audit uses ${describeVersion(currentVersion.templateVersionNumber)}. Scores may not be directly comparable.`
+                    });
+                }
             }
 
             // Create a map by cycle number for easy lookup
@@ -668,12 +783,16 @@ class DataService {
             }
 
             console.log(`   ✅ Found ${historicalAudits.length} historical audits for cycles: ${historicalAudits.map(a => a.cycle).join(', ')}`);
+            if (versionWarnings.length > 0) {
+                console.log(`   ⚠️ ${versionWarnings.length} historical audit(s) used a different template version`);
+            }
 
             // Return both the array and cycle map for flexible access
             return {
                 audits: historicalAudits,
                 cycleMap: cycleMap,
-                currentCycle: currentCycle
+                currentCycle: currentCycle,
+                versionWarnings
             };
         } catch (error) {
             console.error('❌ Error fetching historical audits:', error);
@@ -6,6 +6,9 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
 const path = require('path');
+const Translator = require('../../../services/translator');
+
+const PAGE_NUMBERS = { page: '<span class="pageNumber"></span>', total: '<span class="totalPages"></span>' };
 
 class PDFExportService {
     constructor(options = {}) {
@@ -48,6 +51,7 @@ class PDFExportService {
      * @returns {Promise<Buffer>} - PDF buffer
      */
     async generatePDF(htmlContent, options = {}) {
+        const translator = new Translator(options.language);
         const browser = await this.initBrowser();
         const page = await browser.newPage();
 
@@ -81,14 +85,14 @@ class PDFExportService {
                 },
                 displayHeaderFooter: options.showHeaderFooter !== false,
                 headerTemplate: options.headerTemplate || `
-                    <div style="font-size: 9px; color: #666; width: 100%; text-align: center; padding: 5px 20px;">
-                        <span>${options.documentNumber || 'Audit Report'}</span>
+                    <div dir="${translator.dir}" style="font-size: 9px; color: #666; width: 100%; text-align: center; padding: 5px 20px;">
+                        <span>${options.documentNumber || translator.t('report.title')}</span>
                     </div>
                 `,
                 footerTemplate: options.footerTemplate || `
-                    <div style="font-size: 9px; color: #666; width: 100%; display: flex; justify-content: space-between; padding: 5px 20px;">
-                        <span>Generated: ${new Date().toLocaleDateString()}</span>
-                        <span>Page <span class="pageNumber"></span> of <span class="totalPages"></span></span>
+                    <div dir="${translator.dir}" style="font-size: 9px; color: #666; width: 100%; display: flex; justify-content: space-between; padding: 5px 20px;">
+                        <span>${translator.t('pdf.generated')}: ${new Date().toLocaleDateString()}</span>
+                        <span>${translator.t('pdf.page', PAGE_NUMBERS)}</span>
                     </div>
                 `,
                 preferCSSPageSize: false,
@@ -135,6 +139,7 @@ class PDFExportService {
      * @returns {Promise<Buffer>} - PDF buffer
      */
     async generateSummaryPDF(htmlContent, options = {}) {
+        const translator = new Translator(options.language);
         const browser = await this.initBrowser();
         const page = await browser.newPage();
 
@@ -145,7 +150,7 @@ class PDFExportService {
             });
 
             // Hide detailed sections, keep only summary
-            await page.evaluate(() => {
+            await page.evaluate((summaryNote) => {
                 // Hide detailed section responses (keep only summary table)
                 document.querySelectorAll('.section').forEach(el => {
                     el.style.display = 'none';
@@ -166,10 +171,10 @@ class PDFExportService {
                 if (container) {
                     const note = document.createElement('div');
                     note.style.cssText = 'text-align: center; padding: 20px; color: #666; font-style: italic; border-top: 1px solid #e0e0e0; margin-top: 20px;';
-                    note.textContent = '📋 Summary Report - For full details, view the complete report';
+                    note.textContent = `📋 ${summaryNote}`;
                     container.appendChild(note);
                 }
-            });
+            }, translator.t('pdf.summaryNote'));
 
             // Wait for charts
             await page.evaluate(() => new Promise(resolve => setTimeout(resolve, 500)));
@@ -185,14 +190,14 @@ class PDFExportService {
                 },
                 displayHeaderFooter: true,
                 headerTemplate: `
-                    <div style="font-size: 9px; color: #666; width: 100%; text-align: center; padding: 5px 20px;">
-                        <span>${options.documentNumber || 'Audit Report'} - SUMMARY</span>
+                    <div dir="${translator.dir}" style="font-size: 9px; color: #666; width: 100%; text-align: center; padding: 5px 20px;">
+                        <span>${options.documentNumber || translator.t('report.title')} - ${translator.t('pdf.summary')}</span>
                     </div>
                 `,
                 footerTemplate: `
-                    <div style="font-size: 9px; color: #666; width: 100%; display: flex; justify-content: space-between; padding: 5px 20px;">
-                        <span>Summary Generated: ${new Date().toLocaleDateString()}</span>
-                        <span>Page <span class="pageNumber"></span> of <span class="totalPages"></span></span>
+                    <div dir="${translator.dir}" style="font-size: 9px; color: #666; width: 100%; display: flex; justify-content: space-between; padding: 5px 20px;">
+                        <span>${translator.t('pdf.summaryGenerated')}: ${new Date().toLocaleDateString()}</span>
+                        <span>${translator.t('pdf.page', PAGE_NUMBERS)}</span>
                     </div>
                 `
             };
@@ -210,6 +215,7 @@ class PDFExportService {
      * @returns {Promise<Buffer>} - PDF buffer
      */
     async generatePDFWithPageBreaks(htmlContent, options = {}) {
+        const translator = new Translator(options.language);
         const browser = await this.initBrowser();
         const page = await browser.newPage();
 
@@ -265,14 +271,14 @@ class PDFExportService {
                 },
                 displayHeaderFooter: true,
                 headerTemplate: `
-                    <div style="font-size: 10px; color: #333; width: 100%; text-align: center; padding: 8px 20px; border-bottom: 1px solid #e0e0e0;">
-                        <strong>${options.storeName || ''}</strong> - ${options.documentNumber || 'Audit Report'}
+                    <div dir="${translator.dir}" style="font-size: 10px; color: #333; width: 100%; text-align: center; padding: 8px 20px; border-bottom: 1px solid #e0e0e0;">
+                        <strong>${options.storeName || ''}</strong> - ${options.documentNumber || translator.t('report.title')}
                     </div>
                 `,
                 footerTemplate: `
-                    <div style="font-size: 9px; color: #666; width: 100%; display: flex; justify-content: space-between; padding: 8px 20px; border-top: 1px solid #e0e0e0;">
-                        <span>Audit Date: ${options.auditDate || new Date().toLocaleDateString()}</span>
-                        <span>Page <span class="pageNumber"></span> of <span class="totalPages"></span></span>
+                    <div dir="${translator.dir}" style="font-size: 9px; color: #666; width: 100%; display: flex; justify-content: space-between; padding: 8px 20px; border-top: 1px solid #e0e0e0;">
+                        <span>${translator.t('common.auditDate')}: ${options.auditDate || new Date().toLocaleDateString()}</span>
+                        <span>${translator.t('pdf.page', PAGE_NUMBERS)}</span>
                     </div>
                 `
             };
@@ -3,53 +3,58 @@
  * Handles all scoring calculations and performance evaluations
  */
 
+const ScoringModelService = require('../../services/scoring-model-service');
+
 class ScoringService {
+    constructor(scoringModel = null) {
+        this.setModel(scoringModel);
+    }
+
+    /**
+     * Set the scoring model of the schema being reported on
+     * @param {Object|string|null} scoringModel - Scoring model (null = standard model)
+     */
+    setModel(scoringModel) {
+        this.model = ScoringModelService.normalize(scoringModel);
+    }
+
     /**
      * Calculate value based on selected choice and coefficient
-     * @param {string} selectedChoice - Yes, Partially, No, NA
+     * @param {string} selectedChoice - Answer label from the scoring model (e.g. Yes, Partially, No, NA)
      * @param {number} coeff - Coefficient/weight
      * @returns {number|null} - Calculated value or null for NA
      */
     calculateValue(selectedChoice, coeff) {
         if (!selectedChoice || selectedChoice === '') return null;
-        
-        const coefficient = coeff || 2;
-        
-        switch (selectedChoice) {
-            case 'Yes': return 1 * coefficient;
-            case 'Partially': return 0.5 * coefficient;
-            case 'No': return 0;
-            case 'NA': return null;
-            default: return null;
-        }
+        return ScoringModelService.calculateValue(this.model, selectedChoice, coeff);
+    }
+
+    /**
+     * Whether an answer is a finding under the current scoring model
+     * @param {string} selectedChoice - Answer label
+     * @returns {boolean}
+     */
+    isFinding(selectedChoice) {
+        return ScoringModelService.isFinding(this.model, selectedChoice);
     }
 
     /**
      * Calculate section score percentage
-     * @param {Array} items - Section items with Value and Coeff
-     * @returns {Object} - { earned, max, percentage }
+     * @param {Array} items - Section items with selectedChoice and coeff
+     * @returns {Object} - { earned, max, percentage, rawPercentage, cappedBy, criticalFailed, severityFailures, failsOverall }
      */
     calculateSectionScore(items) {
-        let earnedScore = 0;
-        let maxScore = 0;
-
-        for (const item of items) {
-            // Skip NA items
-            if (item.selectedChoice === 'NA' || item.selectedChoice === null || item.selectedChoice === '') {
-                continue;
-            }
-
-            const coeff = item.coeff || 2;
-            maxScore += coeff;
-            earnedScore += item.value || 0;
-        }
-
-        const percentage = maxScore > 0 ? parseFloat(((earnedScore / maxScore) * 100).toFixed(2)) : 0;
+        const score = ScoringModelService.calculateSectionScore(this.model, items);
 
         return {
-            earned: earnedScore,
-            max: maxScore,
-            percentage
+            earned: score.earned,
+            max: score.max,
+            percentage: score.percentage,
+            rawPercentage: score.rawPercentage,
+            cappedBy: score.cappedBy,
+            criticalFailed: score.criticalFailed,
+            severityFailures: score.severityFailures,
+            failsOverall: score.failsOverall
         };
     }
 
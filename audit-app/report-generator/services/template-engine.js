@@ -6,12 +6,43 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { escapeHtml, formatDate, formatTime, getSectionIcon, cleanText, formatFindingWithGoodObservation, extractPictureId } = require('./utilities');
+const ScoringModelService = require('../../services/scoring-model-service');
+const Translator = require('../../../services/translator');
 
 class TemplateEngine {
     constructor() {
         this.templatesDir = path.join(__dirname, '..', 'templates');
         this.stylesDir = path.join(__dirname, '..', 'styles');
         this.templates = {};
+        this.scoringModel = ScoringModelService.getDefaultModel();
+        this.translator = new Translator();
+    }
+
+    /**
+     * Translate report text in the language of the report being built
+     * @param {string} key - Catalog key, e.g. 'report.overallScore'
+     * @param {Object} params - Values for {name} placeholders (already escaped)
+     */
+    t(key, params) {
+        return this.translator.t(key, params);
+    }
+
+    /**
+     * Whether an answer is a finding under the report's scoring model
+     * @param {string} selectedChoice - Answer label
+     * @returns {boolean}
+     */
+    isFindingChoice(selectedChoice) {
+        return ScoringModelService.isFinding(this.scoringModel, selectedChoice);
+    }
+
+    /**
+     * Whether an answer is excluded from scoring (e.g. NA) under the report's scoring model
+     * @param {string} selectedChoice - Answer label
+     * @returns {boolean}
+     */
+    isNotApplicableChoice(selectedChoice) {
+        return !!selectedChoice && !ScoringModelService.isScored(this.scoringModel, selectedChoice);
     }
 
     /**
@@ -67,6 +98,7 @@ class TemplateEngine {
 
     /**
      * Replace placeholders in template
+     * {{t:key}} is replaced with the translation of key
      * @param {string} template - Template string
      * @param {Object} data - Data object with placeholder values
      * @returns {string} - Processed template
@@ -74,7 +106,7 @@ class TemplateEngine {
     replacePlaceholders(template, data) {
         if (!template) return '';
         
-        let result = template;
+        let result = template.replace(/{{t:([\w.]+)}}/g, (match, key) => this.t(key));
         
         for (const [key, value] of Object.entries(data)) {
             const regex = new RegExp(`{{${key}}}`, 'g');
@@ -98,6 +130,12 @@ class TemplateEngine {
             }
 
             const styles = await this.loadStyles();
+
+            // Findings / NA detection follow the schema's scoring model
+            this.scoringModel = ScoringModelService.normalize(reportData.scoringModel || null);
+
+            // Labels follow the requested language, then the store's
+            this.translator = new Translator(options.language || reportData.language);
             
             // Build each section with error handling
             console.log('📄 Building report sections...');
@@ -159,7 +197,9 @@ class TemplateEngine {
             }
             
             return this.replacePlaceholders(mainLayout, {
-                title: `Audit Report - ${reportData.documentNumber}`,
+                title: `${this.t('report.title')} - ${reportData.documentNumber}`,
+                lang: this.translator.language,
+                dir: this.translator.dir,
                 styles: `<style>${styles}</style>`,
                 header,
                 auditInfo,
@@ -189,7 +229,7 @@ class TemplateEngine {
      * Build header section
      */
     buildHeader(data) {
-        const reportTitle = data.reportTitle || 'Food Safety Audit Report';
+        const reportTitle = data.reportTitle || this.t('report.title');
         const template = this.templates['header'] || `
             <div class="report-header">
                 <div class="header-logo">
@@ -215,46 +255,46 @@ class TemplateEngine {
         const template = this.templates['audit-info'] || `
             <div class="audit-info-grid">
                 <div class="info-item">
-                    <label>Store:</label>
+                    <label>{{t:common.store}}:</label>
                     <span>{{storeName}} ({{storeCode}})</span>
                 </div>
                 <div class="info-item">
-                    <label>Date:</label>
+                    <label>{{t:common.date}}:</label>
                     <span>{{auditDate}}</span>
                 </div>
                 <div class="info-item">
-                    <label>Time In:</label>
+                    <label>{{t:report.timeIn}}:</label>
                     <span>{{timeIn}}</span>
                 </div>
                 <div class="info-item">
-                    <label>Time Out:</label>
+                    <label>{{t:report.timeOut}}:</label>
                     <span>{{timeOut}}</span>
                 </div>
                 <div class="info-item">
-                    <label>Cycle:</label>
+                    <label>{{t:common.cycle}}:</label>
                     <span>{{cycle}} {{year}}</span>
                 </div>
                 <div class="info-item">
-                    <label>Auditor(s):</label>
+                    <label>{{t:report.auditors}}:</label>
                     <span>{{auditors}}</span>
                 </div>
                 <div class="info-item">
-                    <label>Accompanied By:</label>
+                    <label>{{t:report.accompaniedBy}}:</label>
                     <span>{{accompaniedBy}}</span>
                 </div>
             </div>
         `;
 
         return this.replacePlaceholders(template, {
-            storeName: escapeHtml(data.storeName || 'N/A'),
+            storeName: escapeHtml(data.storeName || this.t('common.na')),
             storeCode: escapeHtml(data.storeCode || ''),
             auditDate: formatDate(data.auditDate),
             timeIn: formatTime(data.timeIn),
             timeOut: formatTime(data.timeOut),
-            cycle: data.cycle || 'N/A',
+            cycle: data.cycle || this.t('common.na'),
             year: data.year || '',
-            auditors: escapeHtml(data.auditors || 'N/A'),
-            accompaniedBy: escapeHtml(data.accompaniedBy || 'N/A')
+            auditors: escapeHtml(data.auditors || this.t('common.na')),
+            accompaniedBy: escapeHtml(data.accompaniedBy || this.t('common.na'))
         });
     }
 
@@ -264,25 +304,27 @@ class TemplateEngine {
     buildPerformanceBanner(data) {
         const score = Math.round(data.totalScore || 0);
         const threshold = data.threshold || 83;
-        const isPassing = score >= threshold;
+        // Severity rules (e.g. a critical item answered No) fail the audit whatever the score
+        const isPassing = score >= threshold && !data.forcedFail;
         
         const statusClass = isPassing ? 'status-pass' : 'status-fail';
-        const statusText = isPassing ? 'PASS ✅' : 'FAIL ❌';
+        const statusText = isPassing ? `${this.t('report.pass')} ✅` : `${this.t('report.fail')} ❌`;
         const statusEmoji = isPassing ? '🎉' : '⚠️';
 
         const template = this.templates['performance-banner'] || `
             <div class="performance-banner {{statusClass}}">
                 <div class="score-display">
                     <span class="score-value">{{score}}%</span>
-                    <span class="score-label">Overall Score</span>
+                    <span class="score-label">{{t:report.overallScore}}</span>
                 </div>
                 <div class="status-display">
                     <span class="status-emoji">{{statusEmoji}}</span>
                     <span class="status-text">{{statusText}}</span>
                 </div>
                 <div class="threshold-info">
-                    Passing: {{threshold}}%
+                    {{thresholdText}}
                 </div>
+                {{severityNote}}
             </div>
         `;
 
@@ -291,10 +333,56 @@ class TemplateEngine {
             statusClass,
             statusText,
             statusEmoji,
-            threshold
+            threshold,
+            thresholdText: this.t('report.passingThreshold', { threshold }),
+            severityNote: this.buildSeverityNote(data)
         });
     }
 
+    /**
+     * Build the note explaining which severity rules changed the result
+     * (overall Fail forced and/or section scores capped)
+     */
+    buildSeverityNote(data) {
+        const lines = [];
+
+        if (data.forcedFail) {
+            lines.push(`⛔ ${this.t('report.failedBySeverity', { reason: escapeHtml(data.forcedFailReason || this.t('report.criticalFinding')) })}`);
+        }
+
+        const cappedSections = (data.sectionScores || []).filter(s => s.cappedBySeverity);
+        for (const section of cappedSections) {
+            lines.push(`🔒 ${this.t('report.cappedSection', {
+                section: escapeHtml(section.sectionName),
+                score: parseFloat(section.percentage).toFixed(2),
+                severity: escapeHtml(section.cappedBySeverity),
+                raw: parseFloat(section.rawPercentage || 0).toFixed(2)
+            })}`);
+        }
+
+        if (lines.length === 0) return '';
+
+        return `<div class="severity-override">${lines.map(l => `<div>${l}</div>`).join('')}</div>`;
+    }
+
+    /**
+     * Build the badge shown on a section whose score was capped by a severity rule
+     */
+    buildSeverityBadge(section) {
+        if (!section.cappedBySeverity) return '';
+
+        const refs = (section.severityFailures || [])
+            .filter(f => f.severity === section.cappedBySeverity)
+            .map(f => escapeHtml(f.referenceValue))
+            .join(', ');
+
+        return `<div class="severity-badge">🔒 ${this.t('report.cappedBadge', {
+            severity: escapeHtml(section.cappedBySeverity),
+            refs: refs ? ` (${refs})` : '',
+            raw: parseFloat(section.rawPercentage || 0).toFixed(2)
+        })}</div>`;
+    }
+
     /**
      * Build recurring issues section - shows items that failed in multiple cycles
      * Displayed at the top of the report for visibility
@@ -317,7 +405,7 @@ class TemplateEngine {
         if (data.sections) {
             for (const section of data.sections) {
                 for (const item of section.items || []) {
-                    if (item.selectedChoice === 'No' || item.selectedChoice === 'Partially') {
+                    if (this.isFindingChoice(item.selectedChoice)) {
                         const key = `${section.sectionName}|${item.referenceValue || ''}|${item.title || ''}`;
                         if (recurringIssues[key]) {
                             console.log('   ✅ MATCH found:', key.substring(0, 60));
@@ -357,7 +445,7 @@ class TemplateEngine {
                     <td class="recurring-num">${index + 1}</td>
                     <td class="recurring-section">${escapeHtml(item.sectionName || '')}</td>
                     <td class="recurring-ref">${escapeHtml(item.referenceValue || '')}</td>
-                    <td class="recurring-title">${escapeHtml(item.title || '')}</td>
+                    <td class="recurring-title">${escapeHtml(this.translator.itemTitle(item))}</td>
                     <td class="recurring-cycles">${cycleBadges}</td>
                     <td class="recurring-count"><span class="count-badge">${count + 1}x</span></td>
                 </tr>
@@ -369,19 +457,19 @@ class TemplateEngine {
                 <div class="recurring-header">
                     <h2 class="recurring-title-main">
                         <span class="recurring-icon">🔁</span>
-                        Recurring Issues (${currentFindings.length})
+                        ${this.t('report.recurringIssues', { count: currentFindings.length })}
                     </h2>
-                    <p class="recurring-subtitle">These findings have occurred in multiple audit cycles for this store</p>
+                    <p class="recurring-subtitle">${this.t('report.recurringSubtitle')}</p>
                 </div>
                 <table class="recurring-table">
                     <thead>
                         <tr>
                             <th class="recurring-num">#</th>
-                            <th class="recurring-section">Section</th>
-                            <th class="recurring-ref">Ref</th>
-                            <th class="recurring-title">Criteria / Requirement</th>
-                            <th class="recurring-cycles">Previous Cycles</th>
-                            <th class="recurring-count">Total</th>
+                            <th class="recurring-section">${this.t('common.section')}</th>
+                            <th class="recurring-ref">${this.t('common.ref')}</th>
+                            <th class="recurring-title">${this.t('common.criteria')}</th>
+                            <th class="recurring-cycles">${this.t('report.previousCycles')}</th>
+                            <th class="recurring-count">${this.t('common.total')}</th>
                         </tr>
                     </thead>
                     <tbody>
@@ -397,7 +485,7 @@ class TemplateEngine {
      */
     buildSections(data) {
         if (!data.sections || data.sections.length === 0) {
-            return '<p class="no-data">No section data available.</p>';
+            return `<p class="no-data">${this.t('report.noSectionData')}</p>`;
         }
 
         return data.sections.map(section => this.buildSection(section, data)).join('\n');
@@ -422,6 +510,7 @@ class TemplateEngine {
                     <div class="section-score {{scoreClass}}">
                         {{percentage}}% {{emoji}}
                     </div>
+                    {{severityBadge}}
                 </div>
                 <div class="section-content">
                     {{itemsTable}}
@@ -445,6 +534,7 @@ class TemplateEngine {
             percentage: parseFloat((section.percentage || 0).toFixed(2)),
             emoji,
             scoreClass,
+            severityBadge: this.buildSeverityBadge(section),
             itemsTable,
             sectionFindings,
             temperatureReadings
@@ -477,9 +567,9 @@ class TemplateEngine {
 
         let html = '<div class="temperature-readings">';
         html += `<div class="temperature-header">
-            <h4 class="temperature-title">🌡️ Temperature Readings</h4>
+            <h4 class="temperature-title">🌡️ ${this.t('report.temperatureReadings')}</h4>
             <button class="export-temp-btn no-print" onclick="downloadTemperatureExcel()">
-                📥 Export to Excel
+                📥 ${this.t('report.exportExcel')}
             </button>
         </div>`;
 
@@ -513,17 +603,17 @@ class TemplateEngine {
 
             html += `
                 <div class="temp-findings">
-                    <h5>❌ Fridges with Findings - #${sectionRef} (${temps.bad.length})</h5>
+                    <h5>❌ ${this.t('report.fridgesWithFindings', { ref: escapeHtml(sectionRef), count: temps.bad.length })}</h5>
                     <table class="temp-table temp-bad-table">
                         <thead>
                             <tr>
-                                <th>Section</th>
-                                <th>Category</th>
-                                <th>Unit</th>
-                                <th>Display (°C)</th>
-                                <th>Probe (°C)</th>
-                                <th>Issue</th>
-                                <th>Picture</th>
+                                <th>${this.t('common.section')}</th>
+                                <th>${this.t('report.category')}</th>
+                                <th>${this.t('report.unit')}</th>
+                                <th>${this.t('report.displayTemp')}</th>
+                                <th>${this.t('report.probeTemp')}</th>
+                                <th>${this.t('report.issue')}</th>
+                                <th>${this.t('common.picture')}</th>
                             </tr>
                         </thead>
                         <tbody>
@@ -563,16 +653,16 @@ class TemplateEngine {
 
             html += `
                 <div class="temp-compliant">
-                    <h5>✅ Compliant Fridges - #${sectionRef} (${temps.good.length})</h5>
+                    <h5>✅ ${this.t('report.compliantFridges', { ref: escapeHtml(sectionRef), count: temps.good.length })}</h5>
                     <table class="temp-table temp-good-table">
                         <thead>
                             <tr>
-                                <th>Section</th>
-                                <th>Category</th>
-                                <th>Unit</th>
-                                <th>Display (°C)</th>
-                                <th>Probe (°C)</th>
-                                <th>Picture</th>
+                                <th>${this.t('common.section')}</th>
+                                <th>${this.t('report.category')}</th>
+                                <th>${this.t('report.unit')}</th>
+                                <th>${this.t('report.displayTemp')}</th>
+                                <th>${this.t('report.probeTemp')}</th>
+                                <th>${this.t('common.picture')}</th>
                             </tr>
                         </thead>
                         <tbody>
@@ -593,7 +683,7 @@ class TemplateEngine {
      */
     buildSectionTable(items, pictures = {}) {
         if (!items || items.length === 0) {
-            return '<p class="no-items">No items in this section.</p>';
+            return `<p class="no-items">${this.t('report.noItems')}</p>`;
         }
 
         // Show ALL items - no filtering
@@ -613,29 +703,29 @@ class TemplateEngine {
                 }).join('')
                 : '';
 
-            // Display value (numeric) for Yes/Partially/No, blank for NA
+            // Display value (numeric) for scored answers, N/A for answers excluded from scoring
             let answerDisplay = '-';
-            if (item.selectedChoice === 'NA') {
-                answerDisplay = 'N/A';
+            if (this.isNotApplicableChoice(item.selectedChoice)) {
+                answerDisplay = this.t('common.na');
             } else if (item.value !== null && item.value !== undefined) {
                 answerDisplay = item.value;
             }
 
             // Coefficient display - blank for NA
-            const coeffDisplay = item.selectedChoice === 'NA' ? '' : (item.coeff || '-');
+            const coeffDisplay = this.isNotApplicableChoice(item.selectedChoice) ? '' : (item.coeff || '-');
 
-            // Row class for visual indication of No/Partially items
-            const rowClass = (item.selectedChoice === 'No' || item.selectedChoice === 'Partially') ? 'finding-row' : '';
+            // Row class for visual indication of finding items (No/Partially in the standard model)
+            const isFinding = this.isFindingChoice(item.selectedChoice);
+            const rowClass = isFinding ? 'finding-row' : '';
 
-            // For finding rows (No/Partially), don't show comment in this table - it goes in Findings table
+            // For finding rows, don't show comment in this table - it goes in Findings table
             // Only show comment for passing items (Yes/NA)
-            const isFinding = item.selectedChoice === 'No' || item.selectedChoice === 'Partially';
             const commentDisplay = isFinding ? '' : escapeHtml(item.comment || '');
 
             return `
                 <tr class="${rowClass}">
                     <td class="ref-col">${escapeHtml(item.referenceValue || '')}</td>
-                    <td class="criteria-col">${escapeHtml(item.title || '')}</td>
+                    <td class="criteria-col">${escapeHtml(this.translator.itemTitle(item))}</td>
                     <td class="coeff-col">${coeffDisplay}</td>
                     <td class="answer-col">${answerDisplay}</td>
                     <td class="comments-col">${commentDisplay}</td>
@@ -649,11 +739,11 @@ class TemplateEngine {
                 <thead>
                     <tr>
                         <th class="ref-col">#</th>
-                        <th class="criteria-col">Criteria / Requirement</th>
-                        <th class="coeff-col">Coef</th>
-                        <th class="answer-col">Answer</th>
-                        <th class="comments-col">Comments</th>
-                        <th class="pictures-col">Pictures of Comments</th>
+                        <th class="criteria-col">${this.t('common.criteria')}</th>
+                        <th class="coeff-col">${this.t('report.coef')}</th>
+                        <th class="answer-col">${this.t('common.answer')}</th>
+                        <th class="comments-col">${this.t('report.comments')}</th>
+                        <th class="pictures-col">${this.t('report.picturesOfComments')}</th>
                     </tr>
                 </thead>
                 <tbody>
@@ -672,10 +762,8 @@ class TemplateEngine {
      * @param {string} sectionName - Current section name for recurring lookup
      */
     buildSectionFindings(items, pictures = {}, historicalFindings = {}, recurringIssues = {}, sectionName = '') {
-        // Filter to only No and Partially answers
-        const findings = items.filter(item => 
-            item.selectedChoice === 'No' || item.selectedChoice === 'Partially'
-        );
+        // Filter to only finding answers (No and Partially in the standard model)
+        const findings = items.filter(item => this.isFindingChoice(item.selectedChoice));
 
         if (findings.length === 0) {
             return '';
@@ -702,10 +790,10 @@ class TemplateEngine {
                 : '-';
 
             const priorityClass = item.priority ? `priority-${item.priority.toLowerCase()}` : '';
-            const priorityBadge = item.priority ? `<span class="priority-badge ${priorityClass}">${item.priority}</span>` : '-';
+            const priorityBadge = item.priority ? `<span class="priority-badge ${priorityClass}">${escapeHtml(this.translator.label('common.priorities', item.priority))}</span>` : '-';
             
-            // Answer display for findings (No = 0, Partially = half of coeff)
-            const answerText = item.selectedChoice === 'No' ? 'No' : 'Partially';
+            // Answer display for findings (label as defined by the scoring model)
+            const answerText = escapeHtml(this.translator.label('common.answers', item.selectedChoice));
 
             // Check if this finding is recurring (appeared in previous cycles - new system)
             const recurringKey = `${sectionName}|${item.referenceValue || ''}|${item.title || ''}`;
@@ -736,7 +824,7 @@ class TemplateEngine {
             return `
                 <tr id="ref-${(item.referenceValue || '').replace(/\./g, '-')}" class="${priorityClass} ${isRepetitive ? 'repetitive-row' : ''}">
                     <td class="ref-col">${escapeHtml(item.referenceValue || '')} ${repetitiveBadge}</td>
-                    <td class="criteria-col">${escapeHtml(item.title || '')}</td>
+                    <td class="criteria-col">${escapeHtml(this.translator.itemTitle(item))}</td>
                     <td class="answer-col"><span class="answer-badge answer-${item.selectedChoice.toLowerCase()}">${answerText}</span></td>
                     <td class="finding-col">${formatFindingWithGoodObservation(item.finding || '')}</td>
                     <td class="corrective-col">${escapeHtml(item.correctiveAction || item.cr || '')}</td>
@@ -754,22 +842,22 @@ class TemplateEngine {
                    (historicalFindings[refKey] && historicalFindings[refKey].count > 0);
         }).length;
         const repetitiveNote = recurringCount > 0 
-            ? `<span class="repetitive-summary">🔁 ${recurringCount} recurring issue(s)</span>` 
+            ? `<span class="repetitive-summary">🔁 ${this.t('report.recurringCount', { count: recurringCount })}</span>` 
             : '';
 
         return `
             <div class="section-findings">
-                <h4 class="findings-title">⚠️ Findings (${findings.length}) ${repetitiveNote}</h4>
+                <h4 class="findings-title">⚠️ ${this.t('report.findings', { count: findings.length })} ${repetitiveNote}</h4>
                 <table class="findings-table">
                     <thead>
                         <tr>
                             <th class="ref-col">#</th>
-                            <th class="criteria-col">Criteria / Requirement</th>
-                            <th class="answer-col">Answer</th>
-                            <th class="finding-col">Finding</th>
-                            <th class="corrective-col">Corrective Action</th>
-                            <th class="priority-col">Priority</th>
-                            <th class="pictures-col">Pictures</th>
+                            <th class="criteria-col">${this.t('common.criteria')}</th>
+                            <th class="answer-col">${this.t('common.answer')}</th>
+                            <th class="finding-col">${this.t('common.finding')}</th>
+                            <th class="corrective-col">${this.t('common.correctiveAction')}</th>
+                            <th class="priority-col">${this.t('common.priority')}</th>
+                            <th class="pictures-col">${this.t('common.pictures')}</th>
                         </tr>
                     </thead>
                     <tbody>
@@ -804,10 +892,8 @@ class TemplateEngine {
         for (const section of data.sections) {
             if (!section.items) continue;
 
-            // Filter to only No and Partially answers (findings)
-            const findings = section.items.filter(item => 
-                item.selectedChoice === 'No' || item.selectedChoice === 'Partially'
-            );
+            // Filter to only finding answers
+            const findings = section.items.filter(item => this.isFindingChoice(item.selectedChoice));
 
             for (const item of findings) {
                 const itemPictures = data.pictures[item.responseId] || [];
@@ -847,7 +933,7 @@ class TemplateEngine {
         const pictureCards = allFindingPictures.map((pic, index) => {
             const priorityClass = pic.priority ? `priority-${pic.priority.toLowerCase()}` : '';
             const priorityBadge = pic.priority 
-                ? `<span class="priority-badge ${priorityClass}">${escapeHtml(pic.priority)}</span>` 
+                ? `<span class="priority-badge ${priorityClass}">${escapeHtml(this.translator.label('common.priorities', pic.priority))}</span>` 
                 : '';
             const categoryBadge = pic.category 
                 ? `<span class="category-badge">📁 ${escapeHtml(pic.category)}</span>` 
@@ -870,8 +956,8 @@ class TemplateEngine {
 
         return `
             <div class="all-findings-pictures-section" id="finding-pictures-gallery">
-                <h2>📸 Finding Picture Gallery (${allFindingPictures.length})</h2>
-                <p class="gallery-subtitle">All finding pictures collected for easy reference. Click on any image to enlarge.</p>
+                <h2>📸 ${this.t('report.findingGallery', { count: allFindingPictures.length })}</h2>
+                <p class="gallery-subtitle">${this.t('report.gallerySubtitleFindings')}</p>
                 <div class="finding-pictures-gallery">
                     ${pictureCards}
                 </div>
@@ -1067,8 +1153,8 @@ class TemplateEngine {
 
         return `
             <div class="all-good-pictures-section" id="good-pictures-gallery">
-                <h2>✅ Good Observation Gallery (${allGoodPictures.length})</h2>
-                <p class="good-gallery-subtitle">All good observation pictures collected for easy reference. Click on any image to enlarge.</p>
+                <h2>✅ ${this.t('report.goodGallery', { count: allGoodPictures.length })}</h2>
+                <p class="good-gallery-subtitle">${this.t('report.gallerySubtitleGood')}</p>
                 <div class="good-pictures-gallery">
                     ${pictureCards}
                 </div>
@@ -1232,7 +1318,7 @@ class TemplateEngine {
         const pictureCards = allCorrectivePictures.map((pic, index) => {
             const priorityClass = pic.priority ? `priority-${pic.priority.toLowerCase()}` : '';
             const priorityBadge = pic.priority 
-                ? `<span class="corrective-priority-badge ${priorityClass}">${escapeHtml(pic.priority)}</span>` 
+                ? `<span class="corrective-priority-badge ${priorityClass}">${escapeHtml(this.translator.label('common.priorities', pic.priority))}</span>` 
                 : '';
             const categoryBadge = pic.category 
                 ? `<span class="corrective-category-badge">📁 ${escapeHtml(pic.category)}</span>` 
@@ -1255,8 +1341,8 @@ class TemplateEngine {
 
         return `
             <div class="all-corrective-pictures-section" id="corrective-pictures-gallery">
-                <h2>🔧 Corrective Action Gallery (${allCorrectivePictures.length})</h2>
-                <p class="corrective-gallery-subtitle">All corrective action pictures collected for easy reference. Click on any image to enlarge.</p>
+                <h2>🔧 ${this.t('report.correctiveGallery', { count: allCorrectivePictures.length })}</h2>
+                <p class="corrective-gallery-subtitle">${this.t('report.gallerySubtitleCorrective')}</p>
                 <div class="corrective-pictures-gallery">
                     ${pictureCards}
                 </div>
@@ -1469,7 +1555,7 @@ class TemplateEngine {
 
         return `
             <div class="chart-section">
-                <h2>📊 Section Scores</h2>
+                <h2>📊 ${this.t('report.sectionScores')}</h2>
                 <div style="width: 100%; height: ${chartHeight}px;">
                     <canvas id="sectionChart" style="cursor: pointer;"></canvas>
                 </div>
@@ -1488,7 +1574,7 @@ class TemplateEngine {
                         data: {
                             labels: ${JSON.stringify(chartLabels)},
                             datasets: [{
-                                label: 'Score %',
+                                label: ${JSON.stringify(this.t('report.scorePercent'))},
                                 data: ${JSON.stringify(chartValues)},
                                 backgroundColor: ${JSON.stringify(chartColors)},
                                 borderColor: ${JSON.stringify(chartColors)},
@@ -1721,7 +1807,7 @@ class TemplateEngine {
             if (uncategorizedSections.length > 0) {
                 tableRows += `
                     <tr class="category-row">
-                        <td class="category-name"><strong>Other Sections</strong></td>
+                        <td class="category-name"><strong>${this.t('report.otherSections')}</strong></td>
                         <td colspan="${cyclesToShow.length}"></td>
                     </tr>
                 `;
@@ -1780,9 +1866,21 @@ class TemplateEngine {
         const currentCycleHeader = `<th class="current-cycle">${getCycleDisplayName(currentCycle)}</th>`;
         const historicalHeaders = cyclesToShow
             .filter(c => c !== currentCycle)
-            .map(c => `<th>${getCycleDisplayName(c)}</th>`)
+            .map(c => {
+                const audit = getCycleData(c);
+                return audit && audit.versionMismatch
+                    ? `<th class="version-mismatch" title="Scored on a different template version">${getCycleDisplayName(c)} ⚠️</th>`
+                    : `<th>${getCycleDisplayName(c)}</th>`;
+            })
             .join('');
 
+        // Cycles scored on another template version than this audit
+        const versionWarnings = historicalData.versionWarnings || [];
+        const versionNote = versionWarnings.length > 0 ? `
+                <div class="data-table-version-note">
+                    ${versionWarnings.map(w => `<div>⚠️ ${escapeHtml(w.message)}</div>`).join('')}
+                </div>` : '';
+
         // Build total row cells - current cycle first, then historical
         const historicalTotalCells = cyclesToShow
             .filter(c => c !== currentCycle)
@@ -1791,11 +1889,11 @@ class TemplateEngine {
 
         return `
             <div class="data-table-section">
-                <h2>📊 Audit Summary</h2>
+                <h2>📊 ${this.t('report.auditSummary')}</h2>
                 <table class="data-table">
                     <thead>
                         <tr>
-                            <th>Description</th>
+                            <th>${this.t('report.description')}</th>
                             ${currentCycleHeader}
                             ${historicalHeaders}
                         </tr>
@@ -1805,12 +1903,12 @@ class TemplateEngine {
                     </tbody>
                     <tfoot>
                         <tr class="data-table-total">
-                            <td><strong>Total Score</strong></td>
+                            <td><strong>${this.t('common.totalScore')}</strong></td>
                             <td class="${overallClass}"><strong>${parseFloat(overallScore).toFixed(2)}%</strong></td>
                             ${historicalTotalCells}
                         </tr>
                     </tfoot>
-                </table>
+                </table>${versionNote}
             </div>
         `;
     }
@@ -3199,7 +3297,7 @@ class TemplateEngine {
      */
     getMainLayoutTemplate() {
         return `<!DOCTYPE html>
-<html lang="en">
+<html lang="{{lang}}" dir="{{dir}}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -3245,6 +3343,8 @@ class TemplateEngine {
             .performance-banner { display: flex; justify-content: space-around; align-items: center; padding: 30px; border-radius: 8px; margin-bottom: 20px; }
             .performance-banner.status-pass { background: linear-gradient(135deg, #10b981, #059669); color: white; }
             .performance-banner.status-fail { background: linear-gradient(135deg, #ef4444, #dc2626); color: white; }
+            .severity-override { background: rgba(0,0,0,0.2); padding: 10px 15px; border-radius: 8px; font-size: 0.85rem; font-weight: 600; max-width: 40%; }
+            .severity-badge { background: #fef2f2; color: #b91c1c; border: 1px solid #fca5a5; padding: 4px 10px; border-radius: 12px; font-size: 0.8rem; font-weight: 600; }
             .score-value { font-size: 3rem; font-weight: bold; }
             .score-label { display: block; font-size: 0.9rem; opacity: 0.9; }
             .status-emoji { font-size: 2rem; }
@@ -3288,6 +3388,8 @@ class TemplateEngine {
             .image-modal { display: none; position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.9); justify-content: center; align-items: center; z-index: 1000; }
             .modal-content { max-width: 90%; max-height: 90%; border-radius: 8px; }
             .modal-close { position: absolute; top: 20px; right: 30px; color: white; font-size: 2rem; cursor: pointer; }
+            html[dir="rtl"] body { font-family: 'Segoe UI', Tahoma, 'Noto Naskh Arabic', 'Noto Sans Arabic', Arial, sans-serif; }
+            html[dir="rtl"] .section-table th, html[dir="rtl"] .section-table td, html[dir="rtl"] .findings-table th, html[dir="rtl"] .findings-table td { text-align: right; }
             @media print { .container { max-width: 100%; } .image-modal { display: none !important; } }
         `;
     }
@@ -0,0 +1,306 @@
+/**
+ * Action Verification Service
+ * Formal close-out of action plan findings. Each saved action (ActionPlanResponses)
+ * moves Open -> Submitted (store, with evidence) -> Verified / Rejected (auditor)
+ * and Verified -> Reopened (super auditor). When every action of a document is
+ * verified the action plan is closed (ActionPlanClosures), which stops escalation
+ * reminders for that document.
+ */
+
+const sql = require('mssql');
+
+const STATES = {
+    OPEN: 'Open',
+    SUBMITTED: 'Submitted',
+    VERIFIED: 'Verified',
+    REJECTED: 'Rejected',
+    REOPENED: 'Reopened'
+};
+
+const TRANSITIONS = {
+    submit: {
+        from: [STATES.OPEN, STATES.REJECTED, STATES.REOPENED],
+        to: STATES.SUBMITTED,
+        roles: ['StoreManager', 'SuperAuditor', 'Admin', 'AreaManager', 'HeadOfOperations']
+    },
+    verify: {
+        from: [STATES.SUBMITTED],
+        to: STATES.VERIFIED,
+        roles: ['Auditor', 'SuperAuditor', 'Admin']
+    },
+    reject: {
+        from: [STATES.SUBMITTED],
+        to: STATES.REJECTED,
+        roles: ['Auditor', 'SuperAuditor', 'Admin'],
+        commentRequired: true
+    },
+    reopen: {
+        from: [STATES.VERIFIED],
+        to: STATES.REOPENED,
+        roles: ['SuperAuditor', 'Admin'],
+        commentRequired: true
+    }
+};
+
+// States the store can no longer edit
+const LOCKED_STATES = [STATES.SUBMITTED, STATES.VERIFIED];
+
+class ActionVerificationService {
+    static get STATES() {
+        return STATES;
+    }
+
+    static get TRANSITIONS() {
+        return TRANSITIONS;
+    }
+
+    /**
+     * Check whether a role may perform a transition
+     * @param {string} action - submit, verify, reject or reopen
+     * @param {string} role - User role
+     * @returns {boolean}
+     */
+    static canPerform(action, role) {
+        return Boolean(TRANSITIONS[action] && TRANSITIONS[action].roles.includes(role));
+    }
+
+    /**
+     * SQL condition for a solved action: verified, or completed by the store and
+     * never sent for verification (actions from before verification existed)
+     * @param {string} alias - ActionPlanResponses alias
+     * @returns {string}
+     */
+    static solvedCondition(alias = 'apr') {
+        return `(${alias}.VerificationStatus = '${STATES.VERIFIED}' OR (ISNULL(${alias}.Status, '') = 'Completed' AND ${alias}.VerificationStatus = '${STATES.OPEN}'))`;
+    }
+
+    /**
+     * Verification state of a document's actions
+     * @param {Object} pool - SQL connection pool
+     * @param {string} documentNumber - Audit document number
+     * @returns {Promise<Object>} { actions, progress, closure, history }
+     */
+    static async getState(pool, documentNumber) {
+        const actionsResult = await pool.request()
+            .input('DocumentNumber', sql.NVarChar(50), documentNumber)
+            .query(`
+                SELECT ResponseID, ReferenceValue, Status, VerificationStatus,
+                       SubmittedAt, SubmittedBy, VerifiedAt, VerifiedBy, ReviewerComment,
+                       CASE WHEN ISNULL(LTRIM(RTRIM(ActionTaken)), '') = '' THEN 0 ELSE 1 END AS HasActionTaken,
+                       CASE WHEN PicturesPaths IS NULL OR PicturesPaths IN ('', '[]') THEN 0 ELSE 1 END AS HasEvidence
+                FROM ActionPlanResponses
+                WHERE DocumentNumber = @DocumentNumber
+                ORDER BY ReferenceValue
+            `);
+
+        const closureResult = await pool.request()
+            .input('DocumentNumber', sql.NVarChar(50), documentNumber)
+            .query('SELECT ActionCount, ClosedAt, ClosedBy FROM ActionPlanClosures WHERE DocumentNumber = @DocumentNumber');
+
+        const historyResult = await pool.request()
+            .input('DocumentNumber', sql.NVarChar(50), documentNumber)
+            .query(`
+                SELECT r.ReferenceValue, l.FieldChanged, l.OldValue, l.NewValue, l.ChangedBy, l.ChangedDate
+                FROM ActionPlanAuditLog l
+                INNER JOIN ActionPlanResponses r ON l.ResponseID = r.ResponseID
+                WHERE r.DocumentNumber = @DocumentNumber
+                  AND l.FieldChanged IN ('VerificationStatus', 'ReviewerComment')
+                ORDER BY l.ChangedDate DESC, l.AuditID DESC
+            `);
+
+        const actions = actionsResult.recordset.map(row => ({
+            responseId: row.ResponseID,
+            referenceValue: row.ReferenceValue,
+            status: row.Status,
+            verificationStatus: row.VerificationStatus,
+            hasActionTaken: row.HasActionTaken === 1,
+            hasEvidence: row.HasEvidence === 1,
+            submittedAt: row.SubmittedAt,
+            submittedBy: row.SubmittedBy,
+            verifiedAt: row.VerifiedAt,
+            verifiedBy: row.VerifiedBy,
+            reviewerComment: row.ReviewerComment
+        }));
+
+        const count = state => actions.filter(a => a.verificationStatus === state).length;
+        const closure = closureResult.recordset[0];
+
+        return {
+            actions,
+            progress: {
+                total: actions.length,
+                open: count(STATES.OPEN) + count(STATES.REOPENED),
+                submitted: count(STATES.SUBMITTED),
+                verified: count(STATES.VERIFIED),
+                rejected: count(STATES.REJECTED)
+            },
+            closure: closure ? { actionCount: closure.ActionCount, closedAt: closure.ClosedAt, closedBy: closure.ClosedBy } : null,
+            history: historyResult.recordset.map(row => ({
+                referenceValue: row.ReferenceValue,
+                field: row.FieldChanged,
+                oldValue: row.OldValue,
+                newValue: row.NewValue,
+                changedBy: row.ChangedBy,
+                changedAt: row.ChangedDate
+            }))
+        };
+    }
+
+    /**
+     * Reference values of actions the store can no longer edit (submitted or verified)
+     * @param {Object} pool - SQL connection pool
+     * @param {string} documentNumber - Audit document number
+     * @returns {Promise<Set<string>>}
+     */
+    static async getLockedReferences(pool, documentNumber) {
+        const result = await pool.request()
+            .input('DocumentNumber', sql.NVarChar(50), documentNumber)
+            .query(`
+                SELECT ReferenceValue FROM ActionPlanResponses
+                WHERE DocumentNumber = @DocumentNumber
+                  AND VerificationStatus IN ('${LOCKED_STATES.join("', '")}')
+            `);
+        return new Set(result.recordset.map(r => r.ReferenceValue));
+    }
+
+    /**
+     * Move actions of a document to the next state
+     * @param {Object} pool - SQL connection pool
+     * @param {string} documentNumber - Audit document number
+     * @param {string} action - submit, verify, reject or reopen
+     * @param {Object} options - { referenceValues (null = every action in a valid state), comment }
+     * @param {Object} user - Current user
+     * @returns {Promise<Object>} { updated, errors, progress, event ('closed' | 'reopened' | null) }
+     */
+    static async transition(pool, documentNumber, action, { referenceValues = null, comment = null } = {}, user) {
+        const rule = TRANSITIONS[action];
+        if (!rule) throw new Error(`Unknown verification action: ${action}`);
+
+        const changedBy = user.email;
+        const actorName = user.displayName || user.email;
+        const transaction = new sql.Transaction(pool);
+        await transaction.begin();
+
+        try {
+            const actionsResult = await transaction.request()
+                .input('DocumentNumber', sql.NVarChar(50), documentNumber)
+                .query(`
+                    SELECT ResponseID, ReferenceValue, VerificationStatus,
+                           CASE WHEN ISNULL(LTRIM(RTRIM(ActionTaken)), '') = '' THEN 0 ELSE 1 END AS HasActionTaken,
+                           CASE WHEN PicturesPaths IS NULL OR PicturesPaths IN ('', '[]') THEN 0 ELSE 1 END AS HasEvidence
+                    FROM ActionPlanResponses WITH (UPDLOCK)
+                    WHERE DocumentNumber = @DocumentNumber
+                `);
+
+            const requested = referenceValues ? new Set(referenceValues.map(String)) : null;
+            const errors = [];
+            const targets = [];
+
+            for (const row of actionsResult.recordset) {
+                if (requested && !requested.has(row.ReferenceValue)) continue;
+
+                if (!rule.from.includes(row.VerificationStatus)) {
+                    // A bulk request only picks actions in a valid state
+                    if (requested) {
+                        errors.push({ referenceValue: row.ReferenceValue, error: `Cannot ${action} an action that is ${row.VerificationStatus}` });
+                    }
+                    continue;
+                }
+                if (action === 'submit' && row.HasActionTaken !== 1) {
+                    errors.push({ referenceValue: row.ReferenceValue, error: 'Describe the action taken before submitting' });
+                    continue;
+                }
+                if (action === 'submit' && row.HasEvidence !== 1) {
+                    errors.push({ referenceValue: row.ReferenceValue, error: 'At least one evidence picture is required' });
+                    continue;
+                }
+                targets.push(row);
+            }
+
+            if (requested) {
+                const found = new Set(actionsResult.recordset.map(r => r.ReferenceValue));
+                for (const ref of requested) {
+                    if (!found.has(ref)) errors.push({ referenceValue: ref, error: 'Action not saved yet' });
+                }
+            }
+
+            for (const row of targets) {
+                let setClause;
+                if (action === 'submit') {
+                    setClause = 'SubmittedAt = GETDATE(), SubmittedBy = @ActorName';
+                } else if (action === 'reopen') {
+                    setClause = 'VerifiedAt = NULL, VerifiedBy = NULL, ReviewerComment = @Comment';
+                } else {
+                    setClause = 'VerifiedAt = GETDATE(), VerifiedBy = @ActorName, ReviewerComment = @Comment';
+                }
+
+                await transaction.request()
+                    .input('ResponseID', sql.Int, row.ResponseID)
+                    .input('ToState', sql.NVarChar(20), rule.to)
+                    .input('FromState', sql.NVarChar(20), row.VerificationStatus)
+                    .input('ActorName', sql.NVarChar(100), actorName)
+                    .input('Comment', sql.NVarChar(sql.MAX), comment || null)
+                    .input('ChangedBy', sql.NVarChar(100), changedBy)
+                    .query(`
+                        UPDATE ActionPlanResponses
+                        SET VerificationStatus = @ToState, ${setClause}, UpdatedDate = GETDATE(), UpdatedBy = @ChangedBy
+                        WHERE ResponseID = @ResponseID;
+
+                        INSERT INTO ActionPlanAuditLog (ResponseID, Action, FieldChanged, OldValue, NewValue, ChangedBy)
+                        VALUES (@ResponseID, 'VERIFICATION', 'VerificationStatus', @FromState, @ToState, @ChangedBy);
+
+                        IF @Comment IS NOT NULL
+                            INSERT INTO ActionPlanAuditLog (ResponseID, Action, FieldChanged, NewValue, ChangedBy)
+                            VALUES (@ResponseID, 'VERIFICATION', 'ReviewerComment', @Comment, @ChangedBy);
+                    `);
+            }
+
+            const event = await this.syncClosure(transaction, documentNumber, actorName);
+            await transaction.commit();
+
+            const progress = (await this.getState(pool, documentNumber)).progress;
+            return { updated: targets.map(r => r.ReferenceValue), errors, progress, event };
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Close the action plan when every action is verified, reopen it otherwise
+     * @param {Object} transaction - Open SQL transaction
+     * @param {string} documentNumber - Audit document number
+     * @param {string} actorName - Name recorded as closer
+     * @returns {Promise<string|null>} 'closed', 'reopened' or null
+     */
+    static async syncClosure(transaction, documentNumber, actorName) {
+        const result = await transaction.request()
+            .input('DocumentNumber', sql.NVarChar(50), documentNumber)
+            .query(`
+                SELECT
+                    (SELECT COUNT(*) FROM ActionPlanResponses WHERE DocumentNumber = @DocumentNumber) AS Total,
+                    (SELECT COUNT(*) FROM ActionPlanResponses WHERE DocumentNumber = @DocumentNumber AND VerificationStatus = '${STATES.VERIFIED}') AS Verified,
+                    (SELECT COUNT(*) FROM ActionPlanClosures WHERE DocumentNumber = @DocumentNumber) AS IsClosed
+            `);
+        const { Total, Verified, IsClosed } = result.recordset[0];
+        const allVerified = Total > 0 && Verified === Total;
+
+        if (allVerified && !IsClosed) {
+            await transaction.request()
+                .input('DocumentNumber', sql.NVarChar(50), documentNumber)
+                .input('ActionCount', sql.Int, Total)
+                .input('ClosedBy', sql.NVarChar(100), actorName)
+                .query('INSERT INTO ActionPlanClosures (DocumentNumber, ActionCount, ClosedBy) VALUES (@DocumentNumber, @ActionCount, @ClosedBy)');
+            return 'closed';
+        }
+        if (!allVerified && IsClosed) {
+            await transaction.request()
+                .input('DocumentNumber', sql.NVarChar(50), documentNumber)
+                .query('DELETE FROM ActionPlanClosures WHERE DocumentNumber = @DocumentNumber');
+            return 'reopened';
+        }
+        return null;
+    }
+}
+
+module.exports = ActionVerificationService;
@@ -0,0 +1,308 @@
+/**
+ * Audit Live Service
+ * Server-Sent Events channel per audit so auditors filling the same audit
+ * see each other's answers, pictures, section locks and presence.
+ *
+ * State is kept in memory of this process (connections, locks, presence).
+ */
+
+const crypto = require('crypto');
+
+const HEARTBEAT_MS = 25000;          // Keeps proxies from closing idle streams
+const LOCK_TTL_MS = 10 * 60 * 1000;  // Locks not renewed for 10 minutes are released
+
+class AuditLiveService {
+    constructor() {
+        // auditId -> { clients: Map<clientId, client>, locks: Map<sectionId, lock> }
+        this.audits = new Map();
+    }
+
+    getRoom(auditId) {
+        if (!this.audits.has(auditId)) {
+            this.audits.set(auditId, { clients: new Map(), locks: new Map() });
+        }
+        return this.audits.get(auditId);
+    }
+
+    // ==========================================
+    // CONNECTIONS
+    // ==========================================
+
+    /**
+     * Open an event stream for an auditor
+     * @param {number} auditId - Audit ID
+     * @param {Object} user - Current user (id, email, displayName)
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     * @param {string} clientId - Browser tab ID (one user can have several tabs)
+     */
+    subscribe(auditId, user, req, res, clientId) {
+        const room = this.getRoom(auditId);
+        let id = clientId || crypto.randomUUID();
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+
+        // A reconnecting tab replaces its previous stream
+        // A tab ID belongs to the user who opened it: another user gets a new one
+        let previous = room.clients.get(id);
+        if (previous && previous.userId !== user.id) {
+            id = crypto.randomUUID();
+            previous = null;
+        }
+        if (previous) {
+            clearInterval(previous.heartbeat);
+            previous.res.end();
+        }
+
+        const client = {
+            clientId: id,
+            userId: user.id,
+            email: user.email,
+            name: user.displayName || user.email,
+            sectionId: previous ? previous.sectionId : null,
+            sectionName: previous ? previous.sectionName : null,
+            connectedAt: new Date(),
+            res,
+            heartbeat: setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS)
+        };
+        room.clients.set(id, client);
+
+        this.send(client, 'welcome', {
+            clientId: id,
+            presence: this.getPresence(auditId),
+            locks: this.getLocks(auditId)
+        });
+        this.broadcast(auditId, 'presence', { presence: this.getPresence(auditId) }, id);
+
+        console.log(`📡 [Live] ${client.email} joined audit ${auditId} (${room.clients.size} connected)`);
+
+        req.on('close', () => this.unsubscribe(auditId, id, res));
+    }
+
+    /**
+     * Drop a connection and release its locks
+     */
+    unsubscribe(auditId, clientId, res) {
+        const room = this.audits.get(auditId);
+        const client = room && room.clients.get(clientId);
+        if (!client || client.res !== res) return;
+
+        clearInterval(client.heartbeat);
+        room.clients.delete(clientId);
+
+        const released = this.releaseClientLocks(auditId, clientId);
+        console.log(`📡 [Live] ${client.email} left audit ${auditId} (${room.clients.size} connected)`);
+
+        if (room.clients.size === 0 && room.locks.size === 0) {
+            this.audits.delete(auditId);
+            return;
+        }
+
+        this.broadcast(auditId, 'presence', { presence: this.getPresence(auditId) });
+        for (const sectionId of released) {
+            this.broadcast(auditId, 'unlock', { sectionId });
+        }
+    }
+
+    // ==========================================
+    // EVENTS
+    // ==========================================
+
+    send(client, event, data) {
+        client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    /**
+     * Send an event to every auditor connected to an audit
+     * @param {number} auditId - Audit ID
+     * @param {string} event - Event name (response, picture, lock, unlock, presence, completed)
+     * @param {Object} data - Event payload
+     * @param {string} exceptClientId - Tab that caused the event (it already has the change)
+     */
+    broadcast(auditId, event, data, exceptClientId = null) {
+        const room = this.audits.get(auditId);
+        if (!room) return;
+
+        for (const client of room.clients.values()) {
+            if (client.clientId === exceptClientId) continue;
+            try {
+                this.send(client, event, data);
+            } catch (error) {
+                console.error(`📡 [Live] Could not send ${event} to ${client.email}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Publish a change made through the REST API
+     * @param {number} auditId - Audit ID
+     * @param {string} event - Event name
+     * @param {Object} data - Event payload
+     * @param {Object} user - User who made the change
+     * @param {string} clientId - Tab that made the change (from the X-Live-Client-Id header)
+     */
+    publish(auditId, event, data, user, clientId = null) {
+        if (!this.audits.has(auditId)) return;
+        this.broadcast(auditId, event, {
+            ...data,
+            by: user ? (user.displayName || user.email) : null,
+            byEmail: user ? user.email : null,
+            at: new Date().toISOString()
+        }, clientId);
+    }
+
+    // ==========================================
+    // PRESENCE
+    // ==========================================
+
+    /**
+     * Connected tab of the signed-in user; tab IDs are visible to everyone on the audit,
+     * so a tab ID alone does not prove who is calling
+     * @returns {Object|null} Client, null when the tab is not connected or belongs to another user
+     */
+    getOwnClient(auditId, clientId, user) {
+        const room = this.audits.get(auditId);
+        const client = room && room.clients.get(clientId);
+        return client && client.userId === user.id ? client : null;
+    }
+
+    /**
+     * Record which section an auditor is looking at
+     */
+    setPresence(auditId, clientId, user, sectionId, sectionName) {
+        const client = this.getOwnClient(auditId, clientId, user);
+        if (!client) return false;
+
+        client.sectionId = sectionId || null;
+        client.sectionName = sectionName || null;
+        this.broadcast(auditId, 'presence', { presence: this.getPresence(auditId) });
+        return true;
+    }
+
+    /**
+     * Connected auditors of an audit
+     * @returns {Array<Object>} [{ clientId, email, name, sectionId, sectionName, connectedAt }]
+     */
+    getPresence(auditId) {
+        const room = this.audits.get(auditId);
+        if (!room) return [];
+
+        return Array.from(room.clients.values()).map(c => ({
+            clientId: c.clientId,
+            email: c.email,
+            name: c.name,
+            sectionId: c.sectionId,
+            sectionName: c.sectionName,
+            connectedAt: c.connectedAt
+        }));
+    }
+
+    // ==========================================
+    // SECTION LOCKS
+    // ==========================================
+
+    /**
+     * Lock a section for one tab of the signed-in user; renewing an own lock extends it
+     * @returns {Object} { success, lock } or { success: false, lockedBy }
+     */
+    lockSection(auditId, clientId, user, sectionId) {
+        const client = this.getOwnClient(auditId, clientId, user);
+        if (!client) return { success: false, error: 'Not connected to this audit' };
+
+        this.expireLocks(auditId);
+
+        const room = this.audits.get(auditId);
+        const existing = room.locks.get(sectionId);
+        if (existing && (existing.clientId !== clientId || existing.userId !== user.id)) {
+            return { success: false, lockedBy: existing };
+        }
+
+        const lock = {
+            sectionId,
+            clientId,
+            userId: user.id,
+            email: client.email,
+            name: client.name,
+            lockedAt: existing ? existing.lockedAt : new Date(),
+            renewedAt: new Date()
+        };
+        room.locks.set(sectionId, lock);
+
+        if (!existing) {
+            this.broadcast(auditId, 'lock', { lock });
+        }
+        return { success: true, lock };
+    }
+
+    /**
+     * Release a section lock held by a tab of the signed-in user
+     */
+    unlockSection(auditId, clientId, user, sectionId) {
+        const room = this.audits.get(auditId);
+        const lock = room && room.locks.get(sectionId);
+        if (!lock || lock.clientId !== clientId || lock.userId !== user.id) return false;
+
+        room.locks.delete(sectionId);
+        this.broadcast(auditId, 'unlock', { sectionId });
+        return true;
+    }
+
+    releaseClientLocks(auditId, clientId) {
+        const room = this.audits.get(auditId);
+        const released = [];
+        if (!room) return released;
+
+        for (const [sectionId, lock] of room.locks) {
+            if (lock.clientId === clientId) {
+                room.locks.delete(sectionId);
+                released.push(sectionId);
+            }
+        }
+        return released;
+    }
+
+    expireLocks(auditId) {
+        const room = this.audits.get(auditId);
+        if (!room) return;
+
+        const now = Date.now();
+        for (const [sectionId, lock] of room.locks) {
+            if (now - lock.renewedAt.getTime() > LOCK_TTL_MS) {
+                room.locks.delete(sectionId);
+                this.broadcast(auditId, 'unlock', { sectionId });
+            }
+        }
+    }
+
+    /**
+     * Lock another user holds on one of the sections, checked before saving answers
+     * @param {number} auditId - Audit ID
+     * @param {Array<number>} sectionIds - Sections written to
+     * @param {Object} user - User who writes
+     * @returns {Object|null} The lock, null when the user may write to every section
+     */
+    getForeignLock(auditId, sectionIds, user) {
+        if (!this.audits.has(auditId)) return null;
+        this.expireLocks(auditId);
+
+        const room = this.audits.get(auditId);
+        for (const sectionId of sectionIds) {
+            const lock = room.locks.get(sectionId);
+            if (lock && lock.userId !== user.id) return lock;
+        }
+        return null;
+    }
+
+    getLocks(auditId) {
+        this.expireLocks(auditId);
+        const room = this.audits.get(auditId);
+        return room ? Array.from(room.locks.values()) : [];
+    }
+}
+
+module.exports = new AuditLiveService();
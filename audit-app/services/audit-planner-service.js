@@ -0,0 +1,837 @@
+/**
+ * Audit Planner Service
+ * Proposes a balanced schedule for a whole cycle of a schema: every store assigned
+ * to the schema that is not audited (or already scheduled) in the cycle gets a
+ * date and an auditor, respecting auditor availability, travel regions (one region
+ * per auditor per day), store audit durations and the maximum audits per day.
+ * With riskFirst, stores with the highest nightly risk score (StoreRiskScores) are planned first.
+ * Proposals are saved as draft plans; accepting a plan writes ScheduledAudits.
+ */
+
+const sql = require('mssql');
+
+const DEFAULT_SETTINGS = {
+    maxAuditsPerDay: 2,
+    workdayMinutes: 480,
+    defaultDurationMinutes: 120,
+    dayStartTime: '09:00',
+    startDate: null,        // Default: cycle start (or today when the cycle already started)
+    endDate: null,          // Default: cycle end
+    auditorIds: null,       // Default: all active Auditors / SuperAuditors
+    riskFirst: false        // Plan the riskiest stores first instead of the longest-unaudited
+};
+
+const DEFAULT_WORKING_DAYS = [1, 2, 3, 4, 5];
+const UNASSIGNED_REGION = 'No region';
+
+// ==========================================
+// Date helpers (plain YYYY-MM-DD strings, UTC arithmetic)
+// ==========================================
+
+function toDateString(date) {
+    if (!date) return null;
+    if (typeof date === 'string') return date.substring(0, 10);
+    return date.toISOString().split('T')[0];
+}
+
+function addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return toDateString(date);
+}
+
+function dayOfWeek(dateString) {
+    return new Date(`${dateString}T00:00:00Z`).getUTCDay();
+}
+
+function lastDayOfMonth(year, month) {
+    return toDateString(new Date(Date.UTC(year, month, 0)));
+}
+
+function minutesToTime(minutes) {
+    const h = Math.floor(minutes / 60) % 24;
+    const m = minutes % 60;
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+function timeToMinutes(time) {
+    const match = /^(\d{1,2}):(\d{2})/.exec(time || '');
+    return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : 9 * 60;
+}
+
+function parseList(value) {
+    if (!value) return null;
+    const list = String(value).split(',').map(v => v.trim()).filter(Boolean);
+    return list.length > 0 ? list : null;
+}
+
+class AuditPlannerService {
+    static getDefaultSettings() {
+        return { ...DEFAULT_SETTINGS };
+    }
+
+    /**
+     * Fill in defaults and coerce planner settings from a request
+     * @param {Object} raw - Settings from the client
+     * @returns {Object} Settings
+     */
+    static normalizeSettings(raw = {}) {
+        const positive = (value, fallback) => {
+            const number = parseInt(value);
+            return Number.isInteger(number) && number > 0 ? number : fallback;
+        };
+        return {
+            maxAuditsPerDay: positive(raw.maxAuditsPerDay, DEFAULT_SETTINGS.maxAuditsPerDay),
+            workdayMinutes: positive(raw.workdayMinutes, DEFAULT_SETTINGS.workdayMinutes),
+            defaultDurationMinutes: positive(raw.defaultDurationMinutes, DEFAULT_SETTINGS.defaultDurationMinutes),
+            dayStartTime: /^\d{1,2}:\d{2}$/.test(raw.dayStartTime || '') ? raw.dayStartTime : DEFAULT_SETTINGS.dayStartTime,
+            startDate: raw.startDate || null,
+            endDate: raw.endDate || null,
+            auditorIds: Array.isArray(raw.auditorIds) && raw.auditorIds.length > 0
+                ? raw.auditorIds.map(id => parseInt(id)).filter(Number.isInteger)
+                : null,
+            riskFirst: raw.riskFirst === true || raw.riskFirst === 'true'
+        };
+    }
+
+    // ==========================================
+    // PLANNING DATA
+    // ==========================================
+
+    /**
+     * Dates covered by a cycle of a schema in a year
+     * @param {Object} pool - SQL connection pool
+     * @param {number} schemaId - Schema ID
+     * @param {string} cycleNumber - e.g. 'C3'
+     * @param {number} year - Year
+     * @returns {Promise<Object>} { schemaName, cycleNumber, cycleName, startDate, endDate }
+     */
+    static async getCycleWindow(pool, schemaId, cycleNumber, year) {
+        const result = await pool.request()
+            .input('SchemaID', sql.Int, schemaId)
+            .input('CycleNumber', sql.NVarChar(20), cycleNumber)
+            .query(`
+                SELECT s.SchemaName, s.CycleTypeID, cd.CycleNumber, cd.CycleName, cd.StartMonth, cd.EndMonth
+                FROM AuditSchemas s
+                LEFT JOIN CycleDefinitions cd ON cd.CycleTypeID = s.CycleTypeID AND cd.CycleNumber = @CycleNumber
+                WHERE s.SchemaID = @SchemaID
+            `);
+
+        const row = result.recordset[0];
+        if (!row) {
+            throw new Error('Schema not found');
+        }
+        if (!row.CycleTypeID) {
+            throw new Error('Schema has no cycle type - assign one in Cycle Management first');
+        }
+        if (!row.CycleNumber) {
+            throw new Error(`Cycle ${cycleNumber} not found for this schema`);
+        }
+
+        // Cycles such as Nov-Feb end in the next year
+        const endYear = row.EndMonth < row.StartMonth ? year + 1 : year;
+        return {
+            schemaName: row.SchemaName,
+            cycleNumber: row.CycleNumber,
+            cycleName: row.CycleName,
+            startDate: toDateString(new Date(Date.UTC(year, row.StartMonth - 1, 1))),
+            endDate: lastDayOfMonth(endYear, row.EndMonth)
+        };
+    }
+
+    /**
+     * Load stores to plan, auditors and their existing workload for the plan window
+     */
+    static async loadPlanningData(pool, schemaId, cycleNumber, year, startDate, endDate, settings) {
+        const storesResult = await pool.request()
+            .input('SchemaID', sql.Int, schemaId)
+            .input('Cycle', sql.NVarChar(20), cycleNumber)
+            .input('Year', sql.Int, year)
+            .input('StartDate', sql.Date, startDate)
+            .input('EndDate', sql.Date, endDate)
+            .query(`
+                SELECT
+                    s.StoreID, s.StoreCode, s.StoreName, s.Brand, s.Location, s.Region, s.StandardAuditDuration,
+                    r.RiskScore, r.RiskLevel,
+                    (SELECT MAX(ai.AuditDate) FROM AuditInstances ai
+                     WHERE ai.StoreID = s.StoreID AND ai.SchemaID = @SchemaID AND ai.Status = 'Completed') AS LastAuditDate,
+                    (SELECT TOP 1 CONVERT(VARCHAR(10), sa.scheduled_date, 120) FROM ScheduledAudits sa
+                     WHERE sa.store_id = s.StoreID
+                       AND sa.status IN ('Scheduled', 'InProgress')
+                       AND (sa.checklist_schema_id = @SchemaID OR sa.checklist_schema_id IS NULL)
+                       AND sa.scheduled_date BETWEEN @StartDate AND @EndDate
+                     ORDER BY sa.scheduled_date) AS ScheduledDate
+                FROM Stores s
+                LEFT JOIN StoreRiskScores r ON r.StoreID = s.StoreID AND r.SchemaID = @SchemaID
+                WHERE s.IsActive = 1
+                  AND (s.SchemaID = @SchemaID
+                       OR EXISTS (SELECT 1 FROM StoreSchemas ss WHERE ss.StoreID = s.StoreID AND ss.SchemaID = @SchemaID))
+                  AND NOT EXISTS (
+                      SELECT 1 FROM AuditInstances ai
+                      WHERE ai.StoreID = s.StoreID AND ai.SchemaID = @SchemaID
+                        AND ai.Cycle = @Cycle AND ai.Year = @Year AND ai.Status = 'Completed'
+                  )
+                ORDER BY s.StoreName
+            `);
+
+        const auditorsRequest = pool.request();
+        let auditorFilter = `u.role IN ('Auditor', 'SuperAuditor') AND u.is_approved = 1 AND ISNULL(av.IsActive, 1) = 1`;
+        if (settings.auditorIds) {
+            // Narrows the active auditors down, never adds other users
+            settings.auditorIds.forEach((id, i) => auditorsRequest.input(`Auditor${i}`, sql.Int, id));
+            auditorFilter += settings.auditorIds.length > 0
+                ? ` AND u.id IN (${settings.auditorIds.map((_, i) => `@Auditor${i}`).join(', ')})`
+                : ' AND 1 = 0';
+        }
+        const auditorsResult = await auditorsRequest.query(`
+            SELECT u.id, u.display_name, u.email, av.WorkingDays, av.Regions, av.MaxAuditsPerDay
+            FROM Users u
+            LEFT JOIN AuditorAvailability av ON av.UserID = u.id
+            WHERE ${auditorFilter}
+            ORDER BY u.display_name
+        `);
+
+        const timeOffResult = await pool.request()
+            .input('StartDate', sql.Date, startDate)
+            .input('EndDate', sql.Date, endDate)
+            .query(`
+                SELECT UserID, CONVERT(VARCHAR(10), StartDate, 120) AS StartDate, CONVERT(VARCHAR(10), EndDate, 120) AS EndDate
+                FROM AuditorTimeOff
+                WHERE EndDate >= @StartDate AND StartDate <= @EndDate
+            `);
+
+        const existingResult = await pool.request()
+            .input('StartDate', sql.Date, startDate)
+            .input('EndDate', sql.Date, endDate)
+            .query(`
+                SELECT sa.auditor_user_id AS UserID, CONVERT(VARCHAR(10), sa.scheduled_date, 120) AS ScheduledDate,
+                       s.StandardAuditDuration, s.Region, s.Location
+                FROM ScheduledAudits sa
+                LEFT JOIN Stores s ON sa.store_id = s.StoreID
+                WHERE sa.auditor_user_id IS NOT NULL
+                  AND sa.status IN ('Scheduled', 'InProgress')
+                  AND sa.scheduled_date BETWEEN @StartDate AND @EndDate
+            `);
+
+        return {
+            stores: storesResult.recordset,
+            auditors: auditorsResult.recordset,
+            timeOff: timeOffResult.recordset,
+            existing: existingResult.recordset
+        };
+    }
+
+    static getStoreRegion(store) {
+        return (store.Region && store.Region.trim()) || (store.Location && store.Location.trim()) || UNASSIGNED_REGION;
+    }
+
+    // ==========================================
+    // SCHEDULING
+    // ==========================================
+
+    /**
+     * Build a schedule from planning data (no database access)
+     * Stores are taken per region, longest-unaudited first (riskiest first with riskFirst). Each auditor works in one
+     * region per day. A first pass spreads the work evenly over the window, a second
+     * pass fills the remaining stores up to the daily maximum.
+     * @param {Object} data - { stores, auditors, timeOff, existing } from loadPlanningData
+     * @param {string} startDate - First plannable day
+     * @param {string} endDate - Last plannable day
+     * @param {Object} settings - Normalized settings
+     * @returns {Object} { audits, unassigned, skipped, byAuditor, byRegion, warnings }
+     */
+    static buildSchedule(data, startDate, endDate, settings) {
+        const warnings = [];
+        const dayStart = timeToMinutes(settings.dayStartTime);
+
+        const days = [];
+        for (let day = startDate; day <= endDate; day = addDays(day, 1)) {
+            days.push(day);
+        }
+
+        // Auditors and their existing workload
+        const auditors = data.auditors.map(a => {
+            const workingDays = parseList(a.WorkingDays);
+            return {
+                id: a.id,
+                name: a.display_name || a.email,
+                workingDays: new Set(workingDays ? workingDays.map(Number) : DEFAULT_WORKING_DAYS),
+                regions: parseList(a.Regions) ? new Set(parseList(a.Regions).map(r => r.toLowerCase())) : null,
+                maxPerDay: a.MaxAuditsPerDay || settings.maxAuditsPerDay,
+                timeOff: data.timeOff.filter(t => t.UserID === a.id),
+                days: new Map(),
+                planned: 0,
+                existing: 0
+            };
+        });
+        const auditorsById = new Map(auditors.map(a => [a.id, a]));
+
+        const slot = (auditor, day) => {
+            if (!auditor.days.has(day)) {
+                auditor.days.set(day, { count: 0, minutes: 0, region: null });
+            }
+            return auditor.days.get(day);
+        };
+
+        for (const row of data.existing) {
+            const auditor = auditorsById.get(row.UserID);
+            if (!auditor) continue;
+            const s = slot(auditor, row.ScheduledDate);
+            s.count++;
+            s.minutes += row.StandardAuditDuration || settings.defaultDurationMinutes;
+            s.region = s.region || this.getStoreRegion(row);
+            auditor.existing++;
+        }
+
+        const isAvailable = (auditor, day) =>
+            auditor.workingDays.has(dayOfWeek(day)) &&
+            !auditor.timeOff.some(t => day >= t.StartDate && day <= t.EndDate);
+
+        const coversRegion = (auditor, region) => !auditor.regions || auditor.regions.has(region.toLowerCase());
+
+        // Stores to plan, grouped by region, never-audited and oldest audits first
+        const skipped = [];
+        const queues = new Map();
+        let withoutDuration = 0;
+        let withoutRegion = 0;
+
+        for (const store of data.stores) {
+            if (store.ScheduledDate) {
+                skipped.push({ storeId: store.StoreID, storeName: store.StoreName, scheduledDate: store.ScheduledDate, reason: 'Already scheduled in this cycle' });
+                continue;
+            }
+            const region = this.getStoreRegion(store);
+            if (!store.StandardAuditDuration) withoutDuration++;
+            if (region === UNASSIGNED_REGION) withoutRegion++;
+
+            if (!queues.has(region)) queues.set(region, []);
+            queues.get(region).push({
+                storeId: store.StoreID,
+                storeCode: store.StoreCode,
+                storeName: store.StoreName,
+                brand: store.Brand,
+                region,
+                durationMinutes: store.StandardAuditDuration || settings.defaultDurationMinutes,
+                lastAuditDate: toDateString(store.LastAuditDate),
+                riskScore: store.RiskScore !== null && store.RiskScore !== undefined ? Number(store.RiskScore) : null,
+                riskLevel: store.RiskLevel || null
+            });
+        }
+        const byRisk = (a, b) => settings.riskFirst ? (b.riskScore ?? -1) - (a.riskScore ?? -1) : 0;
+        for (const queue of queues.values()) {
+            queue.sort((a, b) => byRisk(a, b) || (a.lastAuditDate || '').localeCompare(b.lastAuditDate || '') || a.storeName.localeCompare(b.storeName));
+        }
+
+        const storeCount = Array.from(queues.values()).reduce((sum, q) => sum + q.length, 0);
+        const auditorDays = auditors.reduce((sum, a) => sum + days.filter(d => isAvailable(a, d)).length, 0);
+
+        if (withoutDuration > 0) {
+            warnings.push(`${withoutDuration} store(s) have no standard audit duration - ${settings.defaultDurationMinutes} minutes used`);
+        }
+        if (withoutRegion > 0) {
+            warnings.push(`${withoutRegion} store(s) have no region or location - planned together as "${UNASSIGNED_REGION}"`);
+        }
+        if (auditors.length === 0) {
+            warnings.push('No auditors available for planning');
+        } else if (auditorDays === 0) {
+            warnings.push('No auditor working days in the plan window');
+        }
+
+        const audits = [];
+        const assignDay = (auditor, day, quota) => {
+            const s = slot(auditor, day);
+            let capacity = Math.min(quota, auditor.maxPerDay - s.count);
+            if (capacity <= 0) return;
+
+            let region = s.region;
+            if (!region) {
+                // Region with the most stores left that this auditor covers
+                let best = 0;
+                for (const [name, queue] of queues) {
+                    if (queue.length > best && coversRegion(auditor, name)) {
+                        best = queue.length;
+                        region = name;
+                    }
+                }
+            }
+            const queue = region ? queues.get(region) : null;
+            if (!queue || queue.length === 0 || !coversRegion(auditor, region)) return;
+
+            while (capacity > 0 && queue.length > 0) {
+                const store = queue[0];
+                if (s.count > 0 && s.minutes + store.durationMinutes > settings.workdayMinutes) break;
+                queue.shift();
+                audits.push({
+                    ...store,
+                    date: day,
+                    time: minutesToTime(dayStart + s.minutes),
+                    auditorUserId: auditor.id,
+                    auditorName: auditor.name
+                });
+                s.count++;
+                s.minutes += store.durationMinutes;
+                s.region = region;
+                auditor.planned++;
+                capacity--;
+            }
+        };
+
+        // First pass: by the n-th working day at most n/N of the stores are planned (even spread),
+        // second pass: fill what is left up to the daily maximum
+        const workDays = days.filter(day => auditors.some(a => isAvailable(a, day)));
+        for (const spread of [true, false]) {
+            workDays.forEach((day, index) => {
+                const available = auditors
+                    .filter(a => isAvailable(a, day))
+                    .sort((a, b) => (a.planned + a.existing) - (b.planned + b.existing) || a.name.localeCompare(b.name));
+                for (const auditor of available) {
+                    const quota = spread
+                        ? Math.ceil(storeCount * (index + 1) / workDays.length) - audits.length
+                        : Infinity;
+                    if (quota > 0) assignDay(auditor, day, quota);
+                }
+            });
+        }
+
+        // Whatever is left could not be placed
+        const unassigned = [];
+        for (const [region, queue] of queues) {
+            const covered = auditors.some(a => coversRegion(a, region));
+            for (const store of queue) {
+                unassigned.push({
+                    ...store,
+                    reason: covered ? 'Not enough auditor capacity in the plan window' : `No auditor covers region "${region}"`
+                });
+            }
+        }
+
+        audits.sort((a, b) => a.date.localeCompare(b.date) || a.auditorName.localeCompare(b.auditorName) || a.time.localeCompare(b.time));
+
+        const byRegion = new Map();
+        for (const entry of [...audits, ...unassigned]) {
+            if (!byRegion.has(entry.region)) byRegion.set(entry.region, { region: entry.region, stores: 0, planned: 0, unassigned: 0 });
+            const r = byRegion.get(entry.region);
+            r.stores++;
+            if (entry.date) r.planned++; else r.unassigned++;
+        }
+
+        return {
+            audits,
+            unassigned,
+            skipped,
+            byAuditor: auditors.map(a => {
+                const planned = audits.filter(x => x.auditorUserId === a.id);
+                return {
+                    auditorUserId: a.id,
+                    auditorName: a.name,
+                    planned: planned.length,
+                    existing: a.existing,
+                    days: new Set(planned.map(x => x.date)).size,
+                    minutes: planned.reduce((sum, x) => sum + x.durationMinutes, 0),
+                    maxPerDay: a.maxPerDay
+                };
+            }),
+            byRegion: Array.from(byRegion.values()).sort((a, b) => b.stores - a.stores),
+            warnings
+        };
+    }
+
+    // ==========================================
+    // PLANS
+    // ==========================================
+
+    /**
+     * Generate a plan for a cycle and save it as a draft
+     * @param {Object} pool - SQL connection pool
+     * @param {Object} request - { schemaId, cycleNumber, year, settings }
+     * @param {string} createdBy - User creating the plan
+     * @returns {Promise<Object>} Saved plan
+     */
+    static async generatePlan(pool, { schemaId, cycleNumber, year, settings: rawSettings }, createdBy) {
+        const settings = this.normalizeSettings(rawSettings);
+        const window = await this.getCycleWindow(pool, schemaId, cycleNumber, year);
+
+        const today = toDateString(new Date());
+        let startDate = settings.startDate || (window.startDate < today ? today : window.startDate);
+        const endDate = settings.endDate || window.endDate;
+        if (startDate < window.startDate) startDate = window.startDate;
+        if (startDate > endDate) {
+            throw new Error(`The plan window ${startDate} - ${endDate} is empty (cycle ends ${window.endDate})`);
+        }
+
+        const data = await this.loadPlanningData(pool, schemaId, window.cycleNumber, year, startDate, endDate, settings);
+        const proposal = this.buildSchedule(data, startDate, endDate, settings);
+
+        const result = await pool.request()
+            .input('SchemaID', sql.Int, schemaId)
+            .input('CycleNumber', sql.NVarChar(20), window.cycleNumber)
+            .input('PlanYear', sql.Int, year)
+            .input('StartDate', sql.Date, startDate)
+            .input('EndDate', sql.Date, endDate)
+            .input('Settings', sql.NVarChar(sql.MAX), JSON.stringify(settings))
+            .input('Proposal', sql.NVarChar(sql.MAX), JSON.stringify(proposal))
+            .input('AuditCount', sql.Int, proposal.audits.length)
+            .input('UnassignedCount', sql.Int, proposal.unassigned.length)
+            .input('CreatedBy', sql.NVarChar(255), createdBy)
+            .query(`
+                INSERT INTO AuditPlans (SchemaID, CycleNumber, PlanYear, StartDate, EndDate, Settings, Proposal, AuditCount, UnassignedCount, CreatedBy)
+                OUTPUT INSERTED.PlanID
+                VALUES (@SchemaID, @CycleNumber, @PlanYear, @StartDate, @EndDate, @Settings, @Proposal, @AuditCount, @UnassignedCount, @CreatedBy)
+            `);
+
+        console.log(`🗓️ Plan ${result.recordset[0].PlanID} generated for ${window.schemaName} ${window.cycleNumber}/${year} by ${createdBy}: ` +
+            `${proposal.audits.length} audits, ${proposal.unassigned.length} unassigned`);
+
+        return this.getPlan(pool, result.recordset[0].PlanID);
+    }
+
+    static mapPlan(row, includeProposal) {
+        const plan = {
+            planId: row.PlanID,
+            schemaId: row.SchemaID,
+            schemaName: row.SchemaName,
+            cycleNumber: row.CycleNumber,
+            cycleName: row.CycleName || null,
+            year: row.PlanYear,
+            startDate: toDateString(row.StartDate),
+            endDate: toDateString(row.EndDate),
+            status: row.Status,
+            auditCount: row.AuditCount,
+            unassignedCount: row.UnassignedCount,
+            createdBy: row.CreatedBy,
+            createdAt: row.CreatedAt,
+            acceptedBy: row.AcceptedBy,
+            acceptedAt: row.AcceptedAt
+        };
+        if (includeProposal) {
+            plan.settings = row.Settings ? JSON.parse(row.Settings) : this.getDefaultSettings();
+            plan.proposal = JSON.parse(row.Proposal);
+        }
+        return plan;
+    }
+
+    static planQuery(where) {
+        return `
+            SELECT p.*, s.SchemaName, cd.CycleName
+            FROM AuditPlans p
+            INNER JOIN AuditSchemas s ON p.SchemaID = s.SchemaID
+            LEFT JOIN CycleDefinitions cd ON cd.CycleTypeID = s.CycleTypeID AND cd.CycleNumber = p.CycleNumber
+            WHERE ${where}
+        `;
+    }
+
+    /**
+     * List saved plans (newest first)
+     * @param {Object} pool - SQL connection pool
+     * @param {number|null} schemaId - Optional schema filter
+     * @returns {Promise<Array>} Plans without proposals
+     */
+    static async getPlans(pool, schemaId = null) {
+        const result = await pool.request()
+            .input('SchemaID', sql.Int, schemaId)
+            .query(`${this.planQuery('(@SchemaID IS NULL OR p.SchemaID = @SchemaID)')} ORDER BY p.CreatedAt DESC`);
+        return result.recordset.map(row => this.mapPlan(row, false));
+    }
+
+    /**
+     * Get a plan with its proposal
+     * @param {Object} pool - SQL connection pool
+     * @param {number} planId - Plan ID
+     * @returns {Promise<Object|null>} Plan
+     */
+    static async getPlan(pool, planId) {
+        const result = await pool.request()
+            .input('PlanID', sql.Int, planId)
+            .query(this.planQuery('p.PlanID = @PlanID'));
+        return result.recordset[0] ? this.mapPlan(result.recordset[0], true) : null;
+    }
+
+    /**
+     * Accept a draft plan into ScheduledAudits
+     * The admin may pass an edited list of audits (moved dates, other auditors, removed rows);
+     * the daily maximum is checked again against what is scheduled now.
+     * @param {Object} pool - SQL connection pool
+     * @param {number} planId - Plan ID
+     * @param {Array|null} audits - [{ storeId, date, time, auditorUserId }] or null for the proposal as is
+     * @param {Object} user - { id, email, displayName }
+     * @returns {Promise<Object>} { planId, scheduled }
+     */
+    static async acceptPlan(pool, planId, audits, user) {
+        const plan = await this.getPlan(pool, planId);
+        if (!plan) {
+            throw new Error('Plan not found');
+        }
+        if (plan.status !== 'Draft') {
+            throw new Error(`Plan is already ${plan.status.toLowerCase()}`);
+        }
+
+        const proposed = new Map(plan.proposal.audits.concat(plan.proposal.unassigned).map(a => [a.storeId, a]));
+        const auditorLimits = new Map(plan.proposal.byAuditor.map(a => [a.auditorUserId, a]));
+        const rows = (audits || plan.proposal.audits).map(a => ({
+            storeId: parseInt(a.storeId),
+            date: toDateString(a.date),
+            time: a.time || null,
+            auditorUserId: a.auditorUserId ? parseInt(a.auditorUserId) : null
+        }));
+
+        const errors = [];
+        const perAuditorDay = new Map();
+        const seenStores = new Set();
+        for (const row of rows) {
+            const store = proposed.get(row.storeId);
+            if (!store) {
+                errors.push(`Store ${row.storeId} is not part of this plan`);
+                continue;
+            }
+            if (seenStores.has(row.storeId)) {
+                errors.push(`${store.storeName} is planned twice`);
+            }
+            seenStores.add(row.storeId);
+            if (!row.date || row.date < plan.startDate || row.date > plan.endDate) {
+                errors.push(`${store.storeName}: date must be between ${plan.startDate} and ${plan.endDate}`);
+            }
+            if (row.auditorUserId) {
+                if (!auditorLimits.has(row.auditorUserId)) {
+                    errors.push(`${store.storeName}: auditor ${row.auditorUserId} was not part of this plan`);
+                }
+                const key = `${row.auditorUserId}|${row.date}`;
+                perAuditorDay.set(key, (perAuditorDay.get(key) || 0) + 1);
+            }
+        }
+        if (rows.length === 0) {
+            errors.push('The plan has no audits to schedule');
+        }
+
+        // Daily maximum including what was scheduled since the plan was generated
+        if (perAuditorDay.size > 0 && errors.length === 0) {
+            const existing = await pool.request()
+                .input('StartDate', sql.Date, plan.startDate)
+                .input('EndDate', sql.Date, plan.endDate)
+                .query(`
+                    SELECT auditor_user_id AS UserID, CONVERT(VARCHAR(10), scheduled_date, 120) AS ScheduledDate, COUNT(*) AS Audits
+                    FROM ScheduledAudits
+                    WHERE auditor_user_id IS NOT NULL AND status IN ('Scheduled', 'InProgress')
+                      AND scheduled_date BETWEEN @StartDate AND @EndDate
+                    GROUP BY auditor_user_id, scheduled_date
+                `);
+            const existingCounts = new Map(existing.recordset.map(r => [`${r.UserID}|${r.ScheduledDate}`, r.Audits]));
+
+            for (const [key, count] of perAuditorDay) {
+                const [auditorId, date] = key.split('|');
+                const auditor = auditorLimits.get(parseInt(auditorId));
+                const total = count + (existingCounts.get(key) || 0);
+                if (total > auditor.maxPerDay) {
+                    errors.push(`${auditor.auditorName} would have ${total} audits on ${date} (maximum ${auditor.maxPerDay})`);
+                }
+            }
+        }
+
+        if (errors.length > 0) {
+            const error = new Error(`Plan cannot be accepted: ${errors[0]}${errors.length > 1 ? ` (+${errors.length - 1} more)` : ''}`);
+            error.details = errors;
+            throw error;
+        }
+
+        const notes = `Cycle plan ${plan.cycleNumber}${plan.cycleName ? ` (${plan.cycleName})` : ''} ${plan.year}`;
+        const transaction = new sql.Transaction(pool);
+        await transaction.begin();
+
+        try {
+            for (const row of rows) {
+                const store = proposed.get(row.storeId);
+                const auditor = row.auditorUserId ? auditorLimits.get(row.auditorUserId) : null;
+                await transaction.request()
+                    .input('storeId', sql.Int, row.storeId)
+                    .input('storeName', sql.NVarChar, store.storeName)
+                    .input('checklistId', sql.Int, plan.schemaId)
+                    .input('checklistName', sql.NVarChar, plan.schemaName)
+                    .input('auditorId', sql.Int, row.auditorUserId)
+                    .input('auditorName', sql.NVarChar, auditor ? auditor.auditorName : null)
+                    .input('scheduledDate', sql.Date, row.date)
+                    .input('scheduledTime', sql.NVarChar, row.time)
+                    .input('notes', sql.NVarChar, notes)
+                    .input('planId', sql.Int, planId)
+                    .input('createdBy', sql.Int, user.id)
+                    .input('createdByName', sql.NVarChar, user.displayName || user.email)
+                    .query(`
+                        INSERT INTO ScheduledAudits
+                        (store_id, store_name, checklist_schema_id, checklist_name, auditor_user_id, auditor_name,
+                         scheduled_date, scheduled_time, priority, notes, plan_id, created_by, created_by_name)
+                        VALUES (@storeId, @storeName, @checklistId, @checklistName, @auditorId, @auditorName,
+                                @scheduledDate, @scheduledTime, 'Normal', @notes, @planId, @createdBy, @createdByName)
+                    `);
+            }
+
+            await transaction.request()
+                .input('PlanID', sql.Int, planId)
+                .input('AcceptedBy', sql.NVarChar(255), user.email)
+                .input('AuditCount', sql.Int, rows.length)
+                .query(`
+                    UPDATE AuditPlans
+                    SET Status = 'Accepted', AcceptedBy = @AcceptedBy, AcceptedAt = GETDATE(), AuditCount = @AuditCount
+                    WHERE PlanID = @PlanID
+                `);
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+
+        console.log(`🗓️ Plan ${planId} accepted by ${user.email}: ${rows.length} audits scheduled`);
+        return { planId, scheduled: rows.length };
+    }
+
+    /**
+     * Discard a draft plan
+     */
+    static async discardPlan(pool, planId) {
+        const result = await pool.request()
+            .input('PlanID', sql.Int, planId)
+            .query(`UPDATE AuditPlans SET Status = 'Discarded' WHERE PlanID = @PlanID AND Status = 'Draft'`);
+        if (result.rowsAffected[0] === 0) {
+            throw new Error('Draft plan not found');
+        }
+        return { planId, status: 'Discarded' };
+    }
+
+    // ==========================================
+    // AUDITOR AVAILABILITY
+    // ==========================================
+
+    /**
+     * Auditors with their availability and upcoming time off
+     * @param {Object} pool - SQL connection pool
+     * @returns {Promise<Array>} Auditors
+     */
+    static async getAuditorAvailability(pool) {
+        const result = await pool.request().query(`
+            SELECT u.id, u.display_name, u.email, u.role,
+                   av.WorkingDays, av.Regions, av.MaxAuditsPerDay, av.IsActive, av.UpdatedBy, av.UpdatedAt
+            FROM Users u
+            LEFT JOIN AuditorAvailability av ON av.UserID = u.id
+            WHERE u.role IN ('Auditor', 'SuperAuditor') AND u.is_approved = 1
+            ORDER BY u.display_name
+        `);
+        const timeOffResult = await pool.request().query(`
+            SELECT TimeOffID, UserID, CONVERT(VARCHAR(10), StartDate, 120) AS StartDate,
+                   CONVERT(VARCHAR(10), EndDate, 120) AS EndDate, Reason
+            FROM AuditorTimeOff
+            WHERE EndDate >= CAST(GETDATE() AS DATE)
+            ORDER BY StartDate
+        `);
+
+        return result.recordset.map(row => ({
+            userId: row.id,
+            displayName: row.display_name,
+            email: row.email,
+            role: row.role,
+            workingDays: parseList(row.WorkingDays) ? parseList(row.WorkingDays).map(Number) : [...DEFAULT_WORKING_DAYS],
+            regions: parseList(row.Regions) || [],
+            maxAuditsPerDay: row.MaxAuditsPerDay,
+            isActive: row.IsActive !== false,
+            updatedBy: row.UpdatedBy,
+            updatedAt: row.UpdatedAt,
+            timeOff: timeOffResult.recordset
+                .filter(t => t.UserID === row.id)
+                .map(t => ({ timeOffId: t.TimeOffID, startDate: t.StartDate, endDate: t.EndDate, reason: t.Reason }))
+        }));
+    }
+
+    /**
+     * Save the availability of an auditor
+     * @param {Object} pool - SQL connection pool
+     * @param {number} userId - Auditor user ID
+     * @param {Object} data - { workingDays: [0-6], regions: [..], maxAuditsPerDay, isActive }
+     * @param {string} updatedBy - User making the change
+     */
+    static async saveAuditorAvailability(pool, userId, data, updatedBy) {
+        const workingDays = (data.workingDays || [])
+            .map(d => parseInt(d))
+            .filter(d => d >= 0 && d <= 6);
+        const regions = (data.regions || []).map(r => String(r).trim()).filter(Boolean);
+        const maxPerDay = parseInt(data.maxAuditsPerDay);
+
+        await pool.request()
+            .input('UserID', sql.Int, userId)
+            .input('WorkingDays', sql.NVarChar(20), Array.from(new Set(workingDays)).sort().join(','))
+            .input('Regions', sql.NVarChar(500), regions.length > 0 ? regions.join(',') : null)
+            .input('MaxAuditsPerDay', sql.Int, Number.isInteger(maxPerDay) && maxPerDay > 0 ? maxPerDay : null)
+            .input('IsActive', sql.Bit, data.isActive !== false)
+            .input('UpdatedBy', sql.NVarChar(255), updatedBy)
+            .query(`
+                IF EXISTS (SELECT 1 FROM AuditorAvailability WHERE UserID = @UserID)
+                    UPDATE AuditorAvailability
+                    SET WorkingDays = @WorkingDays, Regions = @Regions, MaxAuditsPerDay = @MaxAuditsPerDay,
+                        IsActive = @IsActive, UpdatedBy = @UpdatedBy, UpdatedAt = GETDATE()
+                    WHERE UserID = @UserID
+                ELSE
+                    INSERT INTO AuditorAvailability (UserID, WorkingDays, Regions, MaxAuditsPerDay, IsActive, UpdatedBy)
+                    VALUES (@UserID, @WorkingDays, @Regions, @MaxAuditsPerDay, @IsActive, @UpdatedBy)
+            `);
+
+        return { success: true };
+    }
+
+    /**
+     * Add a time-off period for an auditor
+     */
+    static async addTimeOff(pool, userId, { startDate, endDate, reason }, createdBy) {
+        if (!startDate || !endDate || endDate < startDate) {
+            throw new Error('A valid start and end date are required');
+        }
+        const result = await pool.request()
+            .input('UserID', sql.Int, userId)
+            .input('StartDate', sql.Date, startDate)
+            .input('EndDate', sql.Date, endDate)
+            .input('Reason', sql.NVarChar(255), reason || null)
+            .input('CreatedBy', sql.NVarChar(255), createdBy)
+            .query(`
+                INSERT INTO AuditorTimeOff (UserID, StartDate, EndDate, Reason, CreatedBy)
+                OUTPUT INSERTED.TimeOffID
+                VALUES (@UserID, @StartDate, @EndDate, @Reason, @CreatedBy)
+            `);
+        return { timeOffId: result.recordset[0].TimeOffID };
+    }
+
+    /**
+     * Remove a time-off period
+     */
+    static async deleteTimeOff(pool, timeOffId) {
+        await pool.request()
+            .input('TimeOffID', sql.Int, timeOffId)
+            .query(`DELETE FROM AuditorTimeOff WHERE TimeOffID = @TimeOffID`);
+        return { success: true };
+    }
+
+    /**
+     * Stores of a schema with the fields the planner uses (region, location, duration)
+     */
+    static async getPlanningStores(pool, schemaId) {
+        const result = await pool.request()
+            .input('SchemaID', sql.Int, schemaId)
+            .query(`
+                SELECT s.StoreID, s.StoreCode, s.StoreName, s.Brand, s.Location, s.Region, s.StandardAuditDuration,
+                       r.RiskScore, r.RiskLevel
+                FROM Stores s
+                LEFT JOIN StoreRiskScores r ON r.StoreID = s.StoreID AND r.SchemaID = @SchemaID
+                WHERE s.IsActive = 1
+                  AND (s.SchemaID = @SchemaID
+                       OR EXISTS (SELECT 1 FROM StoreSchemas ss WHERE ss.StoreID = s.StoreID AND ss.SchemaID = @SchemaID))
+                ORDER BY s.Region, s.StoreName
+            `);
+        return result.recordset.map(s => ({
+            storeId: s.StoreID,
+            storeCode: s.StoreCode,
+            storeName: s.StoreName,
+            brand: s.Brand,
+            location: s.Location,
+            region: s.Region,
+            durationMinutes: s.StandardAuditDuration,
+            riskScore: s.RiskScore !== null ? Number(s.RiskScore) : null,
+            riskLevel: s.RiskLevel
+        }));
+    }
+}
+
+module.exports = AuditPlannerService;
@@ -5,8 +5,20 @@
 
 const sql = require('mssql');
 const FileStorageService = require('../../services/file-storage-service');
+const ScoringModelService = require('./scoring-model-service');
+const TemplateVersionService = require('./template-version-service');
+const DepartmentService = require('./department-service');
+const WorkOrderService = require('./work-order-service');
 require('dotenv').config();
 
+// Invalid input from the client, the routes answer 400
+function validationError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    error.details = message;
+    return error;
+}
+
 class AuditService {
     constructor() {
         this.pool = null;
@@ -158,12 +170,13 @@ class AuditService {
 
             const auditId = result.recordset[0].AuditID;
 
-            // Initialize audit responses from schema template
-            await this.initializeAuditResponses(auditId, auditData.schemaId);
+            // Initialize audit responses from the latest published template version
+            const version = await this.initializeAuditResponses(auditId, auditData.schemaId, auditData.createdBy);
 
             return {
                 auditId,
-                documentNumber
+                documentNumber,
+                templateVersion: version.versionNumber
             };
         } catch (error) {
             console.error('Error starting audit:', error);
@@ -172,64 +185,32 @@ class AuditService {
     }
 
     /**
-     * Initialize audit responses from schema template
+     * Initialize audit responses from the latest published version of the schema
+     * and pin the audit to that version (version 1 is published if there is none yet)
+     * @returns {Promise<Object>} Template version the audit was pinned to
      */
-    async initializeAuditResponses(auditId, schemaId) {
+    async initializeAuditResponses(auditId, schemaId, createdBy = null) {
         try {
             const pool = await this.getPool();
+            const version = await TemplateVersionService.ensurePublishedVersion(pool, schemaId, createdBy);
 
-            // Get all sections and items from the schema
-            const sectionsResult = await pool.request()
-                .input('SchemaID', sql.Int, schemaId)
-                .query(`
-                    SELECT s.SectionID, s.SectionNumber, s.SectionName, s.SectionIcon
-                    FROM AuditSections s
-                    WHERE s.SchemaID = @SchemaID AND s.IsActive = 1
-                    ORDER BY s.SectionNumber
-                `);
-
-            for (const section of sectionsResult.recordset) {
-                // Get items for this section
-                const itemsResult = await pool.request()
-                    .input('SectionID', sql.Int, section.SectionID)
-                    .query(`
-                        SELECT ItemID, ReferenceValue, Title, Coeff, Answer, CR
-                        FROM AuditItems
-                        WHERE SectionID = @SectionID AND IsActive = 1
-                        ORDER BY SortOrder, ReferenceValue
-                    `);
-
-                // Create response for each item
-                for (const item of itemsResult.recordset) {
+            for (const section of version.snapshot.sections) {
+                for (const item of section.items) {
                     // Debug logging for CR field
-                    if (!item.CR || item.CR === '') {
-                        console.log(`[CR DEBUG] Item ${item.ItemID} (${item.ReferenceValue}) has empty CR`);
+                    if (!item.cr || item.cr === '') {
+                        console.log(`[CR DEBUG] Item ${item.itemId} (${item.referenceValue}) has empty CR`);
                     }
-                    
-                    await pool.request()
-                        .input('AuditID', sql.Int, auditId)
-                        .input('SectionID', sql.Int, section.SectionID)
-                        .input('SectionNumber', sql.Int, section.SectionNumber)
-                        .input('SectionName', sql.NVarChar(200), section.SectionName)
-                        .input('ItemID', sql.Int, item.ItemID)
-                        .input('ReferenceValue', sql.NVarChar(50), item.ReferenceValue)
-                        .input('Title', sql.NVarChar(1000), item.Title)
-                        .input('Coeff', sql.Int, item.Coeff)
-                        .input('AnswerOptions', sql.NVarChar(200), item.Answer)
-                        .input('CR', sql.NVarChar(2000), item.CR)
-                        .query(`
-                            INSERT INTO AuditResponses (
-                                AuditID, SectionID, SectionNumber, SectionName,
-                                ItemID, ReferenceValue, Title, Coeff, AnswerOptions, CR,
-                                SelectedChoice, Value
-                            ) VALUES (
-                                @AuditID, @SectionID, @SectionNumber, @SectionName,
-                                @ItemID, @ReferenceValue, @Title, @Coeff, @AnswerOptions, @CR,
-                                NULL, NULL
-                            )
-                        `);
+
+                    await this.insertTemplateResponse(pool, auditId, section, item);
                 }
             }
+
+            await pool.request()
+                .input('AuditID', sql.Int, auditId)
+                .input('TemplateVersionID', sql.Int, version.versionId)
+                .query(`UPDATE AuditInstances SET TemplateVersionID = @TemplateVersionID WHERE AuditID = @AuditID`);
+
+            return version;
         } catch (error) {
             console.error('Error initializing audit responses:', error);
             throw error;
@@ -237,27 +218,65 @@ class AuditService {
     }
 
     /**
-     * Sync audit responses with current template (add missing items)
-     * This is useful when items are added/reactivated after an audit was started
+     * Create an empty response for a snapshot item
+     */
+    async insertTemplateResponse(pool, auditId, section, item) {
+        await pool.request()
+            .input('AuditID', sql.Int, auditId)
+            .input('SectionID', sql.Int, section.sectionId)
+            .input('SectionNumber', sql.Int, section.sectionNumber)
+            .input('SectionName', sql.NVarChar(200), section.sectionName)
+            .input('ItemID', sql.Int, item.itemId)
+            .input('ReferenceValue', sql.NVarChar(50), item.referenceValue)
+            .input('Title', sql.NVarChar(1000), item.title)
+            .input('Coeff', sql.Int, item.coeff)
+            .input('AnswerOptions', sql.NVarChar(200), item.answer)
+            .input('CR', sql.NVarChar(2000), item.cr)
+            .input('Severity', sql.NVarChar(20), item.severity || null)
+            .query(`
+                INSERT INTO AuditResponses (
+                    AuditID, SectionID, SectionNumber, SectionName,
+                    ItemID, ReferenceValue, Title, Coeff, AnswerOptions, CR, Severity,
+                    SelectedChoice, Value
+                ) VALUES (
+                    @AuditID, @SectionID, @SectionNumber, @SectionName,
+                    @ItemID, @ReferenceValue, @Title, @Coeff, @AnswerOptions, @CR, @Severity,
+                    NULL, NULL
+                )
+            `);
+    }
+
+    /**
+     * Add the items of the audit's template version that have no response yet
+     * The audit stays on the version it started on: its responses, values and scoring model
+     * belong to that version. Audits started before versioning are pinned to the latest one.
      */
-    async syncAuditWithTemplate(auditId) {
+    async syncAuditWithTemplate(auditId, syncedBy = null) {
         try {
             const pool = await this.getPool();
             
             // Get audit to find schema
             const auditResult = await pool.request()
                 .input('AuditID', sql.Int, auditId)
-                .query(`SELECT SchemaID, Status FROM AuditInstances WHERE AuditID = @AuditID`);
+                .query(`SELECT SchemaID, Status, TemplateVersionID FROM AuditInstances WHERE AuditID = @AuditID`);
             
             if (auditResult.recordset.length === 0) {
                 throw new Error('Audit not found');
             }
             
-            const { SchemaID: schemaId, Status: status } = auditResult.recordset[0];
+            const { SchemaID: schemaId, Status: status, TemplateVersionID: pinnedVersionId } = auditResult.recordset[0];
             
-            if (status === 'Completed') {
+            // Completed shadow audits too: their items are compared with the primary audit
+            if (['Completed', 'Calibration'].includes(status)) {
                 throw new Error('Cannot sync a completed audit');
             }
+
+            const version = pinnedVersionId
+                ? await TemplateVersionService.getVersionById(pool, pinnedVersionId)
+                : await TemplateVersionService.ensurePublishedVersion(pool, schemaId, syncedBy);
+            if (!version) {
+                throw new Error('Template version of the audit not found');
+            }
             
             // Get existing response ItemIDs
             const existingResult = await pool.request()
@@ -268,59 +287,25 @@ class AuditService {
             
             let added = 0;
             
-            // Get all sections from schema
-            const sectionsResult = await pool.request()
-                .input('SchemaID', sql.Int, schemaId)
-                .query(`
-                    SELECT s.SectionID, s.SectionNumber, s.SectionName
-                    FROM AuditSections s
-                    WHERE s.SchemaID = @SchemaID AND s.IsActive = 1
-                    ORDER BY s.SectionNumber
-                `);
-            
-            for (const section of sectionsResult.recordset) {
-                // Get all active items for this section
-                const itemsResult = await pool.request()
-                    .input('SectionID', sql.Int, section.SectionID)
-                    .query(`
-                        SELECT ItemID, ReferenceValue, Title, Coeff, Answer, CR
-                        FROM AuditItems
-                        WHERE SectionID = @SectionID AND IsActive = 1
-                        ORDER BY SortOrder, ReferenceValue
-                    `);
-                
-                for (const item of itemsResult.recordset) {
+            for (const section of version.snapshot.sections) {
+                for (const item of section.items) {
                     // Only add if not already in responses
-                    if (!existingItemIds.has(item.ItemID)) {
-                        await pool.request()
-                            .input('AuditID', sql.Int, auditId)
-                            .input('SectionID', sql.Int, section.SectionID)
-                            .input('SectionNumber', sql.Int, section.SectionNumber)
-                            .input('SectionName', sql.NVarChar(200), section.SectionName)
-                            .input('ItemID', sql.Int, item.ItemID)
-                            .input('ReferenceValue', sql.NVarChar(50), item.ReferenceValue)
-                            .input('Title', sql.NVarChar(1000), item.Title)
-                            .input('Coeff', sql.Int, item.Coeff)
-                            .input('AnswerOptions', sql.NVarChar(200), item.Answer)
-                            .input('CR', sql.NVarChar(2000), item.CR)
-                            .query(`
-                                INSERT INTO AuditResponses (
-                                    AuditID, SectionID, SectionNumber, SectionName,
-                                    ItemID, ReferenceValue, Title, Coeff, AnswerOptions, CR,
-                                    SelectedChoice, Value
-                                ) VALUES (
-                                    @AuditID, @SectionID, @SectionNumber, @SectionName,
-                                    @ItemID, @ReferenceValue, @Title, @Coeff, @AnswerOptions, @CR,
-                                    NULL, NULL
-                                )
-                            `);
+                    if (!existingItemIds.has(item.itemId)) {
+                        await this.insertTemplateResponse(pool, auditId, section, item);
                         added++;
-                        console.log(`[SYNC] Added item ${item.ReferenceValue} to audit ${auditId}`);
+                        console.log(`[SYNC] Added item ${item.referenceValue} to audit ${auditId}`);
                     }
                 }
             }
+
+            if (!pinnedVersionId) {
+                await pool.request()
+                    .input('AuditID', sql.Int, auditId)
+                    .input('TemplateVersionID', sql.Int, version.versionId)
+                    .query(`UPDATE AuditInstances SET TemplateVersionID = @TemplateVersionID WHERE AuditID = @AuditID`);
+            }
             
-            return { success: true, itemsAdded: added };
+            return { success: true, itemsAdded: added, templateVersion: version.versionNumber };
         } catch (error) {
             console.error('Error syncing audit with template:', error);
             throw error;
@@ -338,9 +323,12 @@ class AuditService {
             const auditResult = await pool.request()
                 .input('AuditID', sql.Int, auditId)
                 .query(`
-                    SELECT a.*, s.SchemaName
+                    SELECT a.*, s.SchemaName,
+                        COALESCE(JSON_QUERY(v.Snapshot, '$.scoringModel'), s.ScoringModel) AS ScoringModel,
+                        v.VersionNumber AS TemplateVersionNumber
                     FROM AuditInstances a
                     INNER JOIN AuditSchemas s ON a.SchemaID = s.SchemaID
+                    LEFT JOIN AuditSchemaVersions v ON a.TemplateVersionID = v.VersionID
                     WHERE a.AuditID = @AuditID
                 `);
 
@@ -354,10 +342,11 @@ class AuditService {
             const responsesResult = await pool.request()
                 .input('AuditID', sql.Int, auditId)
                 .query(`
-                    SELECT r.*, s.SectionIcon,
+                    SELECT r.*, s.SectionIcon, i.TitleAr, i.TitleFr,
                         (SELECT COUNT(*) FROM AuditPictures p WHERE p.ResponseID = r.ResponseID AND p.PictureType = 'Good') AS GoodPictureCount
                     FROM AuditResponses r
                     LEFT JOIN AuditSections s ON r.SectionID = s.SectionID
+                    LEFT JOIN AuditItems i ON r.ItemID = i.ItemID
                     WHERE r.AuditID = @AuditID
                     ORDER BY r.SectionNumber
                 `);
@@ -391,9 +380,12 @@ class AuditService {
                     itemId: response.ItemID,
                     referenceValue: response.ReferenceValue,
                     title: response.Title,
+                    titleAr: response.TitleAr || null,
+                    titleFr: response.TitleFr || null,
                     coeff: response.Coeff,
                     answerOptions: response.AnswerOptions,
                     cr: response.CR,
+                    severity: response.Severity || null,
                     selectedChoice: response.SelectedChoice,
                     value: response.Value,
                     finding: response.Finding,
@@ -403,7 +395,8 @@ class AuditService {
                     hasPicture: response.HasPicture,
                     hasGoodPicture: response.GoodPictureCount > 0,
                     escalate: response.Escalate,
-                    department: response.Department
+                    department: response.Department,
+                    updatedAt: response.UpdatedAt
                 });
             }
 
@@ -420,6 +413,9 @@ class AuditService {
                 storeName: audit.StoreName,
                 schemaId: audit.SchemaID,
                 schemaName: audit.SchemaName,
+                templateVersionId: audit.TemplateVersionID || null,
+                templateVersionNumber: audit.TemplateVersionNumber || null,
+                shadowOfAuditId: audit.ShadowOfAuditID || null,
                 auditDate: audit.AuditDate,
                 timeIn: audit.TimeIn,
                 timeOut: audit.TimeOut,
@@ -429,6 +425,9 @@ class AuditService {
                 accompaniedBy: audit.AccompaniedBy,
                 status: audit.Status,
                 totalScore: audit.TotalScore,
+                forcedFail: !!audit.ForcedFail,
+                forcedFailReason: audit.ForcedFailReason || null,
+                scoringModel: ScoringModelService.normalize(audit.ScoringModel),
                 sections: Object.values(sections)
             };
         } catch (error) {
@@ -459,114 +458,341 @@ class AuditService {
         }
     }
 
+    /**
+     * Audit and section of responses (for section lock checking)
+     * @param {Array<number>} responseIds - Response IDs
+     * @returns {Array<Object>} [{ responseId, auditId, sectionId }]
+     */
+    async getResponseSections(responseIds) {
+        const ids = [...new Set(responseIds.map(id => parseInt(id)).filter(id => id > 0))];
+        if (ids.length === 0) return [];
+
+        const pool = await this.getPool();
+        const result = await pool.request().query(`
+            SELECT ResponseID, AuditID, SectionID
+            FROM AuditResponses
+            WHERE ResponseID IN (${ids.join(',')})
+        `);
+
+        return result.recordset.map(r => ({ responseId: r.ResponseID, auditId: r.AuditID, sectionId: r.SectionID }));
+    }
+
+    /**
+     * Get audit status by audit ID (for permission checking)
+     */
+    async getAuditStatus(auditId) {
+        try {
+            const pool = await this.getPool();
+            const result = await pool.request()
+                .input('AuditID', sql.Int, auditId)
+                .query(`SELECT Status FROM AuditInstances WHERE AuditID = @AuditID`);
+            
+            return result.recordset.length > 0 ? result.recordset[0].Status : null;
+        } catch (error) {
+            console.error('Error getting audit status:', error);
+            throw error;
+        }
+    }
+
     /**
      * Update audit response
+     * When responseData.baseUpdatedAt is given (the UpdatedAt the client last saw), the update
+     * only applies if nobody changed the response since; otherwise the current row is returned
+     * as a conflict instead of being overwritten.
+     * @returns {Object} { success, value, updatedAt, auditId } or { success: false, conflict: true, current }
      */
     async updateResponse(responseId, responseData) {
         try {
             const pool = await this.getPool();
 
-            // Calculate value based on selected choice
-            let value = null;
-            if (responseData.selectedChoice) {
-                const coeff = responseData.coeff || 2;
-                switch (responseData.selectedChoice) {
-                    case 'Yes': value = 1 * coeff; break;
-                    case 'Partially': value = 0.5 * coeff; break;
-                    case 'No': value = 0; break;
-                    case 'NA': value = null; break;
-                }
+            // Calculate value based on selected choice using the schema's scoring model
+            const model = responseData.selectedChoice
+                ? await ScoringModelService.getModelForResponse(pool, responseId)
+                : null;
+            const result = await this.applyResponseChange(() => pool.request(), model, responseId, responseData);
+
+            if (!result.updatedAt) {
+                const current = await this.getResponseSnapshot(pool, responseId);
+                if (!current) throw new Error(`Response ${responseId} not found`);
+                console.log(`⚠️ Conflict on response ${responseId}: changed at ${current.updatedAt?.toISOString()}`);
+                return { success: false, conflict: true, current };
             }
 
-            await pool.request()
-                .input('ResponseID', sql.Int, responseId)
-                .input('SelectedChoice', sql.NVarChar(20), responseData.selectedChoice)
-                .input('Value', sql.Float, value)
-                .input('Finding', sql.NVarChar(2000), responseData.finding || null)
-                .input('Comment', sql.NVarChar(2000), responseData.comment || null)
-                .input('CorrectiveAction', sql.NVarChar(2000), responseData.correctiveAction || null)
-                .input('Priority', sql.NVarChar(20), responseData.priority || null)
-                .input('HasPicture', sql.Bit, responseData.hasPicture || false)
-                .input('CR', sql.NVarChar(2000), responseData.cr !== undefined ? responseData.cr : null)
-                .input('Escalate', sql.Bit, responseData.escalate !== undefined ? responseData.escalate : null)
-                .input('Department', sql.NVarChar(200), responseData.department !== undefined ? responseData.department : null)
-                .query(`
-                    UPDATE AuditResponses
-                    SET SelectedChoice = COALESCE(@SelectedChoice, SelectedChoice),
-                        Value = CASE WHEN @SelectedChoice IS NOT NULL THEN @Value ELSE Value END,
-                        Finding = COALESCE(@Finding, Finding),
-                        Comment = COALESCE(@Comment, Comment),
-                        CorrectiveAction = COALESCE(@CorrectiveAction, CorrectiveAction),
-                        Priority = COALESCE(@Priority, Priority),
-                        HasPicture = COALESCE(@HasPicture, HasPicture),
-                        CR = CASE WHEN @CR IS NOT NULL THEN @CR ELSE CR END,
-                        Escalate = CASE WHEN @Escalate IS NOT NULL THEN @Escalate ELSE Escalate END,
-                        Department = CASE WHEN @Department IS NOT NULL THEN @Department ELSE Department END,
-                        UpdatedAt = GETDATE()
-                    WHERE ResponseID = @ResponseID
-                `);
-
-            return { success: true };
+            return { success: true, value: result.value, updatedAt: result.updatedAt, auditId: result.auditId };
         } catch (error) {
             console.error('Error updating response:', error);
             throw error;
         }
     }
 
+    /**
+     * Save many response changes of one audit in a single transaction
+     * Each change carries the UpdatedAt it was based on (baseUpdatedAt). Responses changed since
+     * are returned as conflicts and left untouched; the other changes are saved.
+     * @param {number} auditId - Audit ID
+     * @param {Array<Object>} changes - [{ responseId, baseUpdatedAt, selectedChoice, finding, ... }]
+     * @param {Object} options - { atomic: save nothing when any change conflicts }
+     * @returns {Object} { committed, applied: [{ index, responseId, value, updatedAt }], conflicts: [{ index, responseId, current }] }
+     */
+    async updateResponses(auditId, changes, options = {}) {
+        try {
+            const pool = await this.getPool();
+            const model = await ScoringModelService.getModelForAudit(pool, auditId);
+
+            // Only responses of this audit can be changed through it
+            const ownedResult = await pool.request()
+                .input('AuditID', sql.Int, auditId)
+                .query(`SELECT ResponseID FROM AuditResponses WHERE AuditID = @AuditID`);
+            const ownedIds = new Set(ownedResult.recordset.map(r => r.ResponseID));
+            const foreignIds = changes.map(c => parseInt(c.responseId)).filter(id => !ownedIds.has(id));
+            if (foreignIds.length > 0) {
+                throw validationError(`Responses ${foreignIds.join(', ')} do not belong to audit ${auditId}`);
+            }
+
+            const applied = [];
+            const conflicts = [];
+
+            // A response changed twice in the same batch: the second change is based on the first
+            const rebased = new Map();
+
+            const transaction = new sql.Transaction(pool);
+            await transaction.begin();
+
+            try {
+                for (let index = 0; index < changes.length; index++) {
+                    const change = changes[index];
+                    const responseId = parseInt(change.responseId);
+                    const previous = rebased.get(responseId);
+                    const base = this.parseVersionToken(change.baseUpdatedAt);
+                    const baseUpdatedAt = previous && base && previous.from && previous.from.getTime() === base.getTime()
+                        ? previous.to
+                        : change.baseUpdatedAt;
+
+                    const result = await this.applyResponseChange(
+                        () => transaction.request(), model, responseId, { ...change, baseUpdatedAt }
+                    );
+
+                    if (result.updatedAt) {
+                        applied.push({ index, responseId, value: result.value, updatedAt: result.updatedAt });
+                        rebased.set(responseId, { from: base, to: result.updatedAt });
+                    } else {
+                        conflicts.push({ index, responseId, current: await this.getResponseSnapshot(transaction, responseId) });
+                    }
+                }
+
+                if (options.atomic && conflicts.length > 0) {
+                    await transaction.rollback();
+                    console.log(`⚠️ Batch for audit ${auditId} rolled back: ${conflicts.length} conflict(s)`);
+                    return { committed: false, applied: [], conflicts };
+                }
+
+                await transaction.commit();
+            } catch (error) {
+                await transaction.rollback();
+                throw error;
+            }
+
+            console.log(`✅ Batch for audit ${auditId}: ${applied.length} saved, ${conflicts.length} conflict(s)`);
+            return { committed: true, applied, conflicts };
+        } catch (error) {
+            console.error('Error updating responses:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Version token of a response (the UpdatedAt a client last saw), shared by the single and
+     * the batch update. UpdatedAt is a DATETIME (1/300 s) that the driver returns rounded to
+     * whole milliseconds, so the token only matches the stored value when bound as sql.DateTime.
+     * @param {string|Date|null} value - baseUpdatedAt sent by the client
+     * @returns {Date|null} Token to bind as sql.DateTime, null when the client sent none
+     */
+    parseVersionToken(value) {
+        if (!value) return null;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) throw validationError(`Invalid baseUpdatedAt "${value}"`);
+        return date;
+    }
+
+    /**
+     * Write one response change, shared by the single and the batch update
+     * Nothing is written when the response was changed after responseData.baseUpdatedAt.
+     * @param {Function} newRequest - Creates a request on the pool or on a transaction
+     * @param {Object|null} model - Scoring model (needed when selectedChoice is set)
+     * @param {number} responseId - Response ID
+     * @param {Object} responseData - Changed fields and optional baseUpdatedAt
+     * @returns {Object} { value, updatedAt, auditId } - updatedAt is null when the change conflicts
+     */
+    async applyResponseChange(newRequest, model, responseId, responseData) {
+        let value = null;
+        if (responseData.selectedChoice) {
+            if (!ScoringModelService.getAnswer(model, responseData.selectedChoice)) {
+                throw validationError(`Answer "${responseData.selectedChoice}" is not part of this schema's scoring model`);
+            }
+            const coeffResult = await newRequest()
+                .input('ResponseID', sql.Int, responseId)
+                .query(`SELECT Coeff FROM AuditResponses WHERE ResponseID = @ResponseID`);
+            const coeff = coeffResult.recordset[0]?.Coeff || responseData.coeff;
+            value = ScoringModelService.calculateValue(model, responseData.selectedChoice, coeff);
+        }
+
+        const result = await newRequest()
+            .input('ResponseID', sql.Int, responseId)
+            .input('SelectedChoice', sql.NVarChar(20), responseData.selectedChoice)
+            .input('Value', sql.Float, value)
+            .input('Finding', sql.NVarChar(2000), responseData.finding || null)
+            .input('Comment', sql.NVarChar(2000), responseData.comment || null)
+            .input('CorrectiveAction', sql.NVarChar(2000), responseData.correctiveAction || null)
+            .input('Priority', sql.NVarChar(20), responseData.priority || null)
+            .input('HasPicture', sql.Bit, responseData.hasPicture || false)
+            .input('CR', sql.NVarChar(2000), responseData.cr !== undefined ? responseData.cr : null)
+            .input('Escalate', sql.Bit, responseData.escalate !== undefined ? responseData.escalate : null)
+            .input('Department', sql.NVarChar(200), responseData.department !== undefined ? responseData.department : null)
+            .input('BaseUpdatedAt', sql.DateTime, this.parseVersionToken(responseData.baseUpdatedAt))
+            .query(`
+                UPDATE AuditResponses
+                SET SelectedChoice = COALESCE(@SelectedChoice, SelectedChoice),
+                    Value = CASE WHEN @SelectedChoice IS NOT NULL THEN @Value ELSE Value END,
+                    Finding = COALESCE(@Finding, Finding),
+                    Comment = COALESCE(@Comment, Comment),
+                    CorrectiveAction = COALESCE(@CorrectiveAction, CorrectiveAction),
+                    Priority = COALESCE(@Priority, Priority),
+                    HasPicture = COALESCE(@HasPicture, HasPicture),
+                    CR = CASE WHEN @CR IS NOT NULL THEN @CR ELSE CR END,
+                    Escalate = CASE WHEN @Escalate IS NOT NULL THEN @Escalate ELSE Escalate END,
+                    Department = CASE WHEN @Department IS NOT NULL THEN @Department ELSE Department END,
+                    UpdatedAt = GETDATE()
+                OUTPUT INSERTED.UpdatedAt, INSERTED.AuditID
+                WHERE ResponseID = @ResponseID
+                  AND (@BaseUpdatedAt IS NULL OR UpdatedAt IS NULL OR UpdatedAt <= @BaseUpdatedAt)
+            `);
+
+        const row = result.recordset[0];
+
+        // Keep the response <-> department links in step with the Department text
+        if (row && typeof responseData.department === 'string') {
+            await DepartmentService.setResponseDepartments(newRequest, responseId, responseData.department);
+        }
+
+        return { value, updatedAt: row ? row.UpdatedAt : null, auditId: row ? row.AuditID : null };
+    }
+
+    /**
+     * Get the saved values of a response, used to report sync conflicts
+     * @param {Object} pool - Connection pool or transaction
+     * @param {number} responseId - Response ID
+     * @returns {Object|null} Response values
+     */
+    async getResponseSnapshot(pool, responseId) {
+        const result = await pool.request()
+            .input('ResponseID', sql.Int, responseId)
+            .query(`
+                SELECT ResponseID, SelectedChoice, Value, Finding, Comment, CorrectiveAction,
+                       Priority, HasPicture, CR, Escalate, Department, UpdatedAt
+                FROM AuditResponses
+                WHERE ResponseID = @ResponseID
+            `);
+
+        const row = result.recordset[0];
+        if (!row) return null;
+
+        return {
+            responseId: row.ResponseID,
+            selectedChoice: row.SelectedChoice,
+            value: row.Value,
+            finding: row.Finding,
+            comment: row.Comment,
+            correctiveAction: row.CorrectiveAction,
+            priority: row.Priority,
+            hasPicture: row.HasPicture,
+            cr: row.CR,
+            escalate: row.Escalate,
+            department: row.Department,
+            updatedAt: row.UpdatedAt
+        };
+    }
+
     /**
      * Complete audit and calculate scores
      */
-    async completeAudit(auditId) {
+    async completeAudit(auditId, completedBy = null) {
         try {
             const pool = await this.getPool();
 
-            // Calculate section scores and save them
-            // Note: EarnedScore explicitly excludes NA items to avoid data corruption issues
-            const sectionScoresResult = await pool.request()
+            // Shadow audits only exist to be compared with their primary audit
+            const headerResult = await pool.request()
+                .input('AuditID', sql.Int, auditId)
+                .query(`SELECT ShadowOfAuditID FROM AuditInstances WHERE AuditID = @AuditID`);
+            const isShadow = !!(headerResult.recordset[0] && headerResult.recordset[0].ShadowOfAuditID);
+            const completedStatus = isShadow ? 'Calibration' : 'Completed';
+
+            // Calculate section scores with the schema's scoring model and save them
+            const model = await ScoringModelService.getModelForAudit(pool, auditId);
+            const responsesResult = await pool.request()
                 .input('AuditID', sql.Int, auditId)
                 .query(`
-                    SELECT 
-                        SectionID,
-                        SectionNumber,
-                        SectionName,
-                        SUM(CASE WHEN SelectedChoice != 'NA' AND SelectedChoice IS NOT NULL AND SelectedChoice != '' THEN ISNULL(Value, 0) ELSE 0 END) as EarnedScore,
-                        SUM(CASE WHEN SelectedChoice != 'NA' AND SelectedChoice IS NOT NULL AND SelectedChoice != '' THEN Coeff ELSE 0 END) as MaxScore,
-                        COUNT(*) as TotalQuestions,
-                        SUM(CASE WHEN SelectedChoice IS NOT NULL AND SelectedChoice != '' THEN 1 ELSE 0 END) as AnsweredQuestions,
-                        SUM(CASE WHEN SelectedChoice = 'NA' THEN 1 ELSE 0 END) as NAQuestions
+                    SELECT ResponseID, SectionID, SectionNumber, SectionName, ReferenceValue, Title, Coeff, Severity, SelectedChoice
                     FROM AuditResponses
                     WHERE AuditID = @AuditID
-                    GROUP BY SectionID, SectionNumber, SectionName
                     ORDER BY SectionNumber
                 `);
 
+            const sectionsMap = new Map();
+            for (const row of responsesResult.recordset) {
+                if (!sectionsMap.has(row.SectionID)) {
+                    sectionsMap.set(row.SectionID, {
+                        SectionID: row.SectionID,
+                        SectionNumber: row.SectionNumber,
+                        SectionName: row.SectionName,
+                        items: []
+                    });
+                }
+                sectionsMap.get(row.SectionID).items.push({
+                    responseId: row.ResponseID,
+                    referenceValue: row.ReferenceValue,
+                    title: row.Title,
+                    coeff: row.Coeff,
+                    severity: row.Severity,
+                    selectedChoice: row.SelectedChoice
+                });
+            }
+
+            const sectionScores = [...sectionsMap.values()].map(section => ({
+                ...section,
+                score: ScoringModelService.calculateSectionScore(model, section.items)
+            }));
+            const overall = ScoringModelService.calculateOverallScore(sectionScores.map(s => s.score), model);
+
             // Delete existing section scores for this audit (in case of re-completion)
             await pool.request()
                 .input('AuditID', sql.Int, auditId)
                 .query(`DELETE FROM AuditSectionScores WHERE AuditID = @AuditID`);
 
             // Insert section scores
-            for (const section of sectionScoresResult.recordset) {
-                const percentage = section.MaxScore > 0 
-                    ? (section.EarnedScore / section.MaxScore) * 100 
-                    : 0;
-
+            for (const section of sectionScores) {
                 await pool.request()
                     .input('AuditID', sql.Int, auditId)
                     .input('SectionID', sql.Int, section.SectionID)
                     .input('SectionNumber', sql.Int, section.SectionNumber)
                     .input('SectionName', sql.NVarChar, section.SectionName)
-                    .input('EarnedScore', sql.Decimal(10, 2), section.EarnedScore || 0)
-                    .input('MaxScore', sql.Decimal(10, 2), section.MaxScore || 0)
-                    .input('Percentage', sql.Decimal(5, 2), percentage)
-                    .input('TotalQuestions', sql.Int, section.TotalQuestions)
-                    .input('AnsweredQuestions', sql.Int, section.AnsweredQuestions)
-                    .input('NAQuestions', sql.Int, section.NAQuestions)
+                    .input('EarnedScore', sql.Decimal(10, 2), section.score.earned)
+                    .input('MaxScore', sql.Decimal(10, 2), section.score.max)
+                    .input('Percentage', sql.Decimal(5, 2), section.score.percentage)
+                    .input('TotalQuestions', sql.Int, section.score.totalQuestions)
+                    .input('AnsweredQuestions', sql.Int, section.score.answeredQuestions)
+                    .input('NAQuestions', sql.Int, section.score.naQuestions)
+                    .input('RawPercentage', sql.Decimal(5, 2), section.score.rawPercentage)
+                    .input('CappedBySeverity', sql.NVarChar(20), section.score.cappedBy)
+                    .input('SeverityFailures', sql.NVarChar(sql.MAX),
+                        section.score.severityFailures.length > 0 ? JSON.stringify(section.score.severityFailures) : null)
+                    .input('ForcesFail', sql.Bit, section.score.failsOverall)
                     .query(`
                         INSERT INTO AuditSectionScores 
-                        (AuditID, SectionID, SectionNumber, SectionName, EarnedScore, MaxScore, Percentage, TotalQuestions, AnsweredQuestions, NAQuestions)
+                        (AuditID, SectionID, SectionNumber, SectionName, EarnedScore, MaxScore, Percentage, TotalQuestions, AnsweredQuestions, NAQuestions,
+                         RawPercentage, CappedBySeverity, SeverityFailures, ForcesFail)
                         VALUES 
-                        (@AuditID, @SectionID, @SectionNumber, @SectionName, @EarnedScore, @MaxScore, @Percentage, @TotalQuestions, @AnsweredQuestions, @NAQuestions)
+                        (@AuditID, @SectionID, @SectionNumber, @SectionName, @EarnedScore, @MaxScore, @Percentage, @TotalQuestions, @AnsweredQuestions, @NAQuestions,
+                         @RawPercentage, @CappedBySeverity, @SeverityFailures, @ForcesFail)
                     `);
             }
 
@@ -587,22 +813,51 @@ class AuditService {
             await pool.request()
                 .input('AuditID', sql.Int, auditId)
                 .input('TotalScore', sql.Decimal(5, 2), totalPercentage)
+                .input('ForcedFail', sql.Bit, overall.forcedFail)
+                .input('ForcedFailReason', sql.NVarChar(1000), overall.forcedFailReason)
+                .input('Status', sql.NVarChar(50), completedStatus)
                 .query(`
                     UPDATE AuditInstances
-                    SET Status = 'Completed',
+                    SET Status = @Status,
                         TotalScore = @TotalScore,
+                        ForcedFail = @ForcedFail,
+                        ForcedFailReason = @ForcedFailReason,
                         CompletedAt = GETDATE()
                     WHERE AuditID = @AuditID
                 `);
 
+            if (overall.forcedFail) {
+                console.log(`⛔ Audit ${auditId} forced to Fail by severity rules: ${overall.forcedFailReason}`);
+            }
+
+            // Open action plan items right away for findings whose severity requires it
+            // (the primary audit of a shadow pair owns the findings)
+            const actionPlanItems = isShadow ? [] : sectionScores.flatMap(s =>
+                s.score.actionPlanItems.map(item => ({ ...item, sectionName: s.SectionName })));
+            const actionPlansOpened = actionPlanItems.length > 0
+                ? await this.openImmediateActionPlans(auditId, actionPlanItems)
+                : 0;
+
+            // Escalated findings become department work orders
+            const workOrders = isShadow ? null : await this.syncWorkOrders(pool, auditId, completedBy);
+
             return {
                 totalScore: totalPercentage,
-                sectionScores: sectionScoresResult.recordset.map(s => ({
+                workOrders,
+                forcedFail: overall.forcedFail,
+                forcedFailReason: overall.forcedFailReason,
+                actionPlansOpened,
+                sectionScores: sectionScores.map(s => ({
                     sectionId: s.SectionID,
                     sectionName: s.SectionName,
-                    percentage: s.MaxScore > 0 ? parseFloat(((s.EarnedScore / s.MaxScore) * 100).toFixed(2)) : 0
+                    percentage: s.score.percentage,
+                    rawPercentage: s.score.rawPercentage,
+                    cappedBy: s.score.cappedBy,
+                    criticalFailed: s.score.criticalFailed,
+                    severityFailures: s.score.severityFailures
                 })),
-                status: 'Completed'
+                isShadow,
+                status: completedStatus
             };
         } catch (error) {
             console.error('Error completing audit:', error);
@@ -610,6 +865,61 @@ class AuditService {
         }
     }
 
+    /**
+     * Open action plan items for findings whose severity rule requires an immediate action plan
+     * Items already in the action plan (same document + reference) are left untouched
+     * @param {number} auditId - Audit ID
+     * @param {Array} items - Severity failures ({ responseId, referenceValue, severity, sectionName })
+     * @returns {Promise<number>} Number of action plan items opened
+     */
+    async openImmediateActionPlans(auditId, items) {
+        const pool = await this.getPool();
+        let opened = 0;
+
+        for (const item of items) {
+            try {
+                const result = await pool.request()
+                    .input('AuditID', sql.Int, auditId)
+                    .input('ResponseID', sql.Int, item.responseId)
+                    .input('Section', sql.NVarChar(100), item.sectionName)
+                    .input('CreatedBy', sql.NVarChar(100), `System (${item.severity} item)`)
+                    .query(`
+                        DECLARE @DocumentNumber NVARCHAR(50), @ReferenceValue NVARCHAR(20);
+                        SELECT @DocumentNumber = a.DocumentNumber, @ReferenceValue = r.ReferenceValue
+                        FROM AuditResponses r
+                        INNER JOIN AuditInstances a ON r.AuditID = a.AuditID
+                        WHERE r.ResponseID = @ResponseID AND r.AuditID = @AuditID;
+
+                        IF @DocumentNumber IS NOT NULL AND NOT EXISTS (
+                            SELECT 1 FROM ActionPlanResponses
+                            WHERE DocumentNumber = @DocumentNumber AND ReferenceValue = @ReferenceValue
+                        )
+                        BEGIN
+                            INSERT INTO ActionPlanResponses (
+                                DocumentNumber, ReferenceValue, Section, Finding, SuggestedAction,
+                                Priority, Deadline, Status, CreatedBy, UpdatedBy
+                            )
+                            SELECT @DocumentNumber, r.ReferenceValue, @Section, ISNULL(r.Finding, r.Title),
+                                   ISNULL(NULLIF(r.CorrectiveAction, ''), r.CR),
+                                   'High', CAST(DATEADD(DAY, 1, GETDATE()) AS DATE), 'Pending', @CreatedBy, @CreatedBy
+                            FROM AuditResponses r
+                            WHERE r.ResponseID = @ResponseID;
+
+                            UPDATE AuditResponses SET Priority = 'High' WHERE ResponseID = @ResponseID;
+                        END
+                    `);
+                if (result.rowsAffected.some(n => n > 0)) opened++;
+            } catch (error) {
+                console.error(`⚠️ Could not open immediate action plan for ${item.referenceValue}:`, error.message);
+            }
+        }
+
+        if (opened > 0) {
+            console.log(`🚨 Opened ${opened} immediate action plan item(s) for audit ${auditId}`);
+        }
+        return opened;
+    }
+
     /**
      * Get all audits (for dashboard)
      */
@@ -622,15 +932,12 @@ class AuditService {
                     CASE 
                         WHEN a.Status = 'Completed' THEN a.TotalScore
                         ELSE (
+                            -- Value is written by the schema's scoring model (NULL = not scored, e.g. NA)
                             SELECT CASE 
-                                WHEN SUM(CASE WHEN r.SelectedChoice != 'NA' THEN r.Coeff ELSE 0 END) > 0 
+                                WHEN SUM(CASE WHEN r.Value IS NOT NULL THEN r.Coeff ELSE 0 END) > 0 
                                 THEN CAST(
-                                    (SUM(CASE 
-                                        WHEN r.SelectedChoice = 'Yes' THEN r.Coeff * 1.0
-                                        WHEN r.SelectedChoice = 'Partially' THEN r.Coeff * 0.5
-                                        ELSE 0 
-                                    END) * 100.0) / 
-                                    SUM(CASE WHEN r.SelectedChoice != 'NA' THEN r.Coeff ELSE 0 END)
+                                    (SUM(ISNULL(r.Value, 0)) * 100.0) / 
+                                    SUM(CASE WHEN r.Value IS NOT NULL THEN r.Coeff ELSE 0 END)
                                 AS DECIMAL(5,2))
                                 ELSE NULL 
                             END
@@ -946,12 +1253,8 @@ class AuditService {
                                 CASE 
                                     WHEN SUM(r.Coeff) = 0 THEN NULL
                                     ELSE ROUND(
-                                        (SUM(CASE 
-                                            WHEN r.SelectedChoice = 'Yes' THEN r.Coeff
-                                            WHEN r.SelectedChoice = 'Partially' THEN r.Coeff * 0.5
-                                            ELSE 0
-                                        END) * 100.0) / 
-                                        NULLIF(SUM(CASE WHEN r.SelectedChoice != 'NA' AND r.SelectedChoice IS NOT NULL AND r.SelectedChoice != '' THEN r.Coeff ELSE 0 END), 0),
+                                        (SUM(ISNULL(r.Value, 0)) * 100.0) / 
+                                        NULLIF(SUM(CASE WHEN r.Value IS NOT NULL THEN r.Coeff ELSE 0 END), 0),
                                         1
                                     )
                                 END
@@ -972,13 +1275,16 @@ class AuditService {
                     ISNULL(a.IsReaudit, 0) AS IsReaudit,
                     a.OriginalAuditID,
                     a.ReauditNumber,
-                    orig.DocumentNumber AS OriginalDocumentNumber
+                    orig.DocumentNumber AS OriginalDocumentNumber,
+                    a.ShadowOfAuditID,
+                    shadowOf.DocumentNumber AS ShadowOfDocumentNumber
                 FROM AuditInstances a
                 INNER JOIN AuditSchemas s ON a.SchemaID = s.SchemaID
                 LEFT JOIN CycleTypes ct ON s.CycleTypeID = ct.CycleTypeID
                 LEFT JOIN CycleDefinitions cd ON ct.CycleTypeID = cd.CycleTypeID AND a.Cycle = cd.CycleNumber
                 LEFT JOIN SystemSettings ss ON ss.SchemaID = a.SchemaID AND ss.SettingType = 'Overall'
                 LEFT JOIN AuditInstances orig ON a.OriginalAuditID = orig.AuditID
+                LEFT JOIN AuditInstances shadowOf ON a.ShadowOfAuditID = shadowOf.AuditID
                 ORDER BY a.CreatedAt DESC
             `);
 
@@ -1057,6 +1363,10 @@ class AuditService {
                         TotalQuestions,
                         AnsweredQuestions,
                         NAQuestions,
+                        RawPercentage,
+                        CappedBySeverity,
+                        SeverityFailures,
+                        ForcesFail,
                         CreatedAt
                     FROM AuditSectionScores
                     WHERE AuditID = @AuditID
@@ -1414,22 +1724,28 @@ class AuditService {
      * Get department report data for an audit
      * Returns items escalated to a specific department with pictures
      * @param {number} auditId - Audit ID
-     * @param {string} department - Department name (Maintenance, Procurement, Cleaning)
+     * @param {string} department - Registered department code (see DepartmentService)
      */
     async getDepartmentReport(auditId, department) {
         try {
             const pool = await this.getPool();
             
-            // Get audit info with custom department names
+            const departmentInfo = await DepartmentService.getDepartment(pool, department);
+            if (!departmentInfo) {
+                throw new Error(`Unknown department: ${department}`);
+            }
+            
+            // Get audit info with the schema's title for this department
             const auditResult = await pool.request()
                 .input('AuditID', sql.Int, auditId)
+                .input('DepartmentID', sql.Int, departmentInfo.departmentId)
                 .query(`
                     SELECT a.AuditID, a.DocumentNumber, a.StoreID, a.StoreCode, a.StoreName,
                            a.SchemaID, a.AuditDate, a.Cycle, a.Year,
                            a.Auditors, a.AccompaniedBy, a.Status, a.TotalScore,
-                           sc.DeptNameMaintenance, sc.DeptNameProcurement, sc.DeptNameCleaning
+                           sn.DisplayName AS DepartmentDisplayName
                     FROM AuditInstances a
-                    LEFT JOIN AuditSchemas sc ON a.SchemaID = sc.SchemaID
+                    LEFT JOIN SchemaDepartmentNames sn ON sn.SchemaID = a.SchemaID AND sn.DepartmentID = @DepartmentID
                     WHERE a.AuditID = @AuditID
                 `);
             
@@ -1438,28 +1754,21 @@ class AuditService {
             }
             
             const audit = auditResult.recordset[0];
-            
-            // Get custom department name or use default
-            const departmentDisplayNames = {
-                Maintenance: audit.DeptNameMaintenance || 'Maintenance',
-                Procurement: audit.DeptNameProcurement || 'Procurement',
-                Cleaning: audit.DeptNameCleaning || 'Cleaning'
-            };
-            const departmentDisplayName = departmentDisplayNames[department] || department;
+            const departmentDisplayName = audit.DepartmentDisplayName || departmentInfo.name;
             
             // Get responses escalated to this department
-            // Department field can contain multiple departments like "Maintenance, Cleaning"
             const responsesResult = await pool.request()
                 .input('AuditID', sql.Int, auditId)
-                .input('Department', sql.NVarChar(200), department)
+                .input('DepartmentID', sql.Int, departmentInfo.departmentId)
                 .query(`
                     SELECT 
                         ar.ResponseID, ar.ReferenceValue, ar.Title, ar.SectionName,
                         ar.Finding, ar.CorrectiveAction, ar.Priority, ar.Department, ar.CR
                     FROM AuditResponses ar
+                    INNER JOIN AuditResponseDepartments rd ON rd.ResponseID = ar.ResponseID
                     WHERE ar.AuditID = @AuditID
                       AND ar.Escalate = 1
-                      AND ar.Department LIKE '%' + @Department + '%'
+                      AND rd.DepartmentID = @DepartmentID
                     ORDER BY ar.SectionNumber, ar.ReferenceValue
                 `);
             
@@ -1529,8 +1838,11 @@ class AuditService {
                     cycle: audit.Cycle,
                     year: audit.Year
                 },
-                department: department,
+                department: departmentInfo.code,
                 departmentDisplayName: departmentDisplayName,
+                departmentIcon: departmentInfo.icon,
+                departmentColor: departmentInfo.color,
+                isExternal: departmentInfo.isExternal,
                 items: items,
                 totalItems: items.length,
                 byPriority: {
@@ -1616,7 +1928,8 @@ class AuditService {
                             GeneratedAt = GETDATE()
                         WHERE ReportID = @ReportID
                     `);
-                return { reportId: existingResult.recordset[0].ReportID, updated: true };
+                const workOrders = await this.syncWorkOrders(pool, auditId, generatedBy, department);
+                return { reportId: existingResult.recordset[0].ReportID, updated: true, workOrders };
             } else {
                 // Insert new report - handle null/undefined values
                 const docNumber = String(reportData.audit?.documentNumber || '');
@@ -1645,7 +1958,8 @@ class AuditService {
                                 @TotalItems, @HighPriority, @MediumPriority, @LowPriority, @ReportData, @GeneratedBy);
                         SELECT SCOPE_IDENTITY() AS ReportID;
                     `);
-                return { reportId: result.recordset[0].ReportID, updated: false };
+                const workOrders = await this.syncWorkOrders(pool, auditId, generatedBy, department);
+                return { reportId: result.recordset[0].ReportID, updated: false, workOrders };
             }
         } catch (error) {
             console.error('Error saving department report:', error);
@@ -1653,6 +1967,27 @@ class AuditService {
         }
     }
 
+    /**
+     * Create the work orders of an audit's escalated findings (a failure does
+     * not stop the report or completion that triggered it)
+     * @param {Object} pool - SQL connection pool
+     * @param {number} auditId - Audit ID
+     * @param {string} createdBy - Email of the user
+     * @param {string} department - Department code (null = all departments)
+     */
+    async syncWorkOrders(pool, auditId, createdBy, department = null) {
+        try {
+            const result = await WorkOrderService.syncAudit(pool, auditId, createdBy, department);
+            if (result.created > 0 || result.cancelled > 0) {
+                console.log(`🛠️ Work orders for audit ${auditId}${department ? ` (${department})` : ''}: ${result.created} created, ${result.cancelled} cancelled`);
+            }
+            return result;
+        } catch (error) {
+            console.error('Error creating work orders:', error);
+            return null;
+        }
+    }
+
     /**
      * Get saved department reports for a department
      */
@@ -1839,17 +2174,18 @@ class AuditService {
                 .input('IsReaudit', sql.Bit, 1)
                 .input('OriginalAuditID', sql.Int, original.OriginalAuditID || originalAuditId)
                 .input('ReauditNumber', sql.Int, reauditNumber)
+                .input('TemplateVersionID', sql.Int, original.TemplateVersionID || null)
                 .query(`
                     INSERT INTO AuditInstances (
                         DocumentNumber, StoreID, StoreCode, StoreName, SchemaID,
                         AuditDate, TimeIn, TimeOut, Cycle, Year, Auditors, AccompaniedBy,
                         Status, CreatedBy, CreatedAt, TotalScore,
-                        IsReaudit, OriginalAuditID, ReauditNumber
+                        IsReaudit, OriginalAuditID, ReauditNumber, TemplateVersionID
                     ) VALUES (
                         @DocumentNumber, @StoreID, @StoreCode, @StoreName, @SchemaID,
                         @AuditDate, @TimeIn, @TimeOut, @Cycle, @Year, @Auditors, @AccompaniedBy,
                         'Draft', @CreatedBy, GETDATE(), NULL,
-                        @IsReaudit, @OriginalAuditID, @ReauditNumber
+                        @IsReaudit, @OriginalAuditID, @ReauditNumber, @TemplateVersionID
                     );
                     SELECT SCOPE_IDENTITY() AS AuditID;
                 `);
@@ -1890,22 +2226,31 @@ class AuditService {
                     .input('HasPicture', sql.Bit, resp.HasPicture)
                     .input('Escalate', sql.Bit, resp.Escalate)
                     .input('Department', sql.NVarChar(100), resp.Department)
+                    .input('Severity', sql.NVarChar(20), resp.Severity || null)
                     .query(`
                         INSERT INTO AuditResponses (
                             AuditID, SectionID, SectionNumber, SectionName,
                             ItemID, ReferenceValue, Title, Coeff, AnswerOptions, CR,
                             SelectedChoice, Value, Finding, Comment, CorrectiveAction,
-                            Priority, HasPicture, Escalate, Department
+                            Priority, HasPicture, Escalate, Department, Severity
                         ) VALUES (
                             @AuditID, @SectionID, @SectionNumber, @SectionName,
                             @ItemID, @ReferenceValue, @Title, @Coeff, @AnswerOptions, @CR,
                             @SelectedChoice, @Value, @Finding, @Comment, @CorrectiveAction,
-                            @Priority, @HasPicture, @Escalate, @Department
+                            @Priority, @HasPicture, @Escalate, @Department, @Severity
                         );
                         SELECT SCOPE_IDENTITY() AS ResponseID;
                     `);
                 
                 responseMapping[resp.ResponseID] = insertResult.recordset[0].ResponseID;
+
+                await transaction.request()
+                    .input('OldResponseID', sql.Int, resp.ResponseID)
+                    .input('NewResponseID', sql.Int, insertResult.recordset[0].ResponseID)
+                    .query(`
+                        INSERT INTO AuditResponseDepartments (ResponseID, DepartmentID)
+                        SELECT @NewResponseID, DepartmentID FROM AuditResponseDepartments WHERE ResponseID = @OldResponseID
+                    `);
             }
 
             // 5. Copy pictures with new ResponseIDs
@@ -2012,15 +2357,21 @@ class AuditService {
                         .input('TotalQuestions', sql.Int, score.TotalQuestions)
                         .input('AnsweredQuestions', sql.Int, score.AnsweredQuestions)
                         .input('NAQuestions', sql.Int, score.NAQuestions)
+                        .input('RawPercentage', sql.Decimal(5, 2), score.RawPercentage ?? null)
+                        .input('CappedBySeverity', sql.NVarChar(20), score.CappedBySeverity || null)
+                        .input('SeverityFailures', sql.NVarChar(sql.MAX), score.SeverityFailures || null)
+                        .input('ForcesFail', sql.Bit, !!score.ForcesFail)
                         .query(`
                             INSERT INTO AuditSectionScores (
                                 AuditID, SectionID, SectionNumber, SectionName,
                                 EarnedScore, MaxScore, Percentage,
-                                TotalQuestions, AnsweredQuestions, NAQuestions, CreatedAt
+                                TotalQuestions, AnsweredQuestions, NAQuestions,
+                                RawPercentage, CappedBySeverity, SeverityFailures, ForcesFail, CreatedAt
                             ) VALUES (
                                 @AuditID, @SectionID, @SectionNumber, @SectionName,
                                 @EarnedScore, @MaxScore, @Percentage,
-                                @TotalQuestions, @AnsweredQuestions, @NAQuestions, GETDATE()
+                                @TotalQuestions, @AnsweredQuestions, @NAQuestions,
+                                @RawPercentage, @CappedBySeverity, @SeverityFailures, @ForcesFail, GETDATE()
                             )
                         `);
                 }
@@ -2044,6 +2395,111 @@ class AuditService {
             throw error;
         }
     }
+
+    /**
+     * Create a shadow audit: a second auditor fills the same checklist for the same visit
+     * The shadow gets the primary audit's items with no answers; once completed it has
+     * status 'Calibration' so it never counts as a store audit, only in calibration analysis
+     * @param {number} primaryAuditId - The audit being shadowed
+     * @param {string} auditors - Shadow auditor name(s)
+     * @param {string} createdBy - User email who created the shadow audit
+     * @returns {Promise<Object>} - The new shadow audit data
+     */
+    async createShadowAudit(primaryAuditId, auditors, createdBy) {
+        const pool = await this.getPool();
+        const transaction = new sql.Transaction(pool);
+
+        try {
+            await transaction.begin();
+
+            const primaryResult = await transaction.request()
+                .input('AuditID', sql.Int, primaryAuditId)
+                .query(`SELECT * FROM AuditInstances WHERE AuditID = @AuditID`);
+
+            if (primaryResult.recordset.length === 0) {
+                throw new Error('Primary audit not found');
+            }
+
+            const primary = primaryResult.recordset[0];
+
+            if (primary.ShadowOfAuditID) {
+                throw new Error('A shadow audit cannot be shadowed');
+            }
+            if (!auditors || !auditors.trim()) {
+                throw new Error('Shadow auditor is required');
+            }
+            if (primary.Auditors && primary.Auditors.trim().toLowerCase() === auditors.trim().toLowerCase()) {
+                throw new Error('The shadow auditor must differ from the primary auditor');
+            }
+
+            const existing = await transaction.request()
+                .input('AuditID', sql.Int, primaryAuditId)
+                .query(`SELECT COUNT(*) AS cnt FROM AuditInstances WHERE ShadowOfAuditID = @AuditID`);
+            const shadowNumber = (existing.recordset[0].cnt || 0) + 1;
+            const documentNumber = `${primary.DocumentNumber} – Shadow${shadowNumber > 1 ? ' ' + shadowNumber : ''}`;
+
+            const newAuditResult = await transaction.request()
+                .input('DocumentNumber', sql.NVarChar(100), documentNumber)
+                .input('StoreID', sql.Int, primary.StoreID)
+                .input('StoreCode', sql.NVarChar(50), primary.StoreCode)
+                .input('StoreName', sql.NVarChar(200), primary.StoreName)
+                .input('SchemaID', sql.Int, primary.SchemaID)
+                .input('AuditDate', sql.Date, primary.AuditDate)
+                .input('TimeIn', sql.NVarChar(10), primary.TimeIn)
+                .input('Cycle', sql.NVarChar(10), primary.Cycle)
+                .input('Year', sql.Int, primary.Year)
+                .input('Auditors', sql.NVarChar(500), auditors.trim())
+                .input('CreatedBy', sql.NVarChar(200), createdBy)
+                .input('ShadowOfAuditID', sql.Int, primaryAuditId)
+                .input('TemplateVersionID', sql.Int, primary.TemplateVersionID || null)
+                .query(`
+                    INSERT INTO AuditInstances (
+                        DocumentNumber, StoreID, StoreCode, StoreName, SchemaID,
+                        AuditDate, TimeIn, Cycle, Year, Auditors,
+                        Status, CreatedBy, CreatedAt, ShadowOfAuditID, TemplateVersionID
+                    ) VALUES (
+                        @DocumentNumber, @StoreID, @StoreCode, @StoreName, @SchemaID,
+                        @AuditDate, @TimeIn, @Cycle, @Year, @Auditors,
+                        'In Progress', @CreatedBy, GETDATE(), @ShadowOfAuditID, @TemplateVersionID
+                    );
+                    SELECT SCOPE_IDENTITY() AS AuditID;
+                `);
+
+            const shadowAuditId = newAuditResult.recordset[0].AuditID;
+
+            // Same items as the primary audit, unanswered
+            await transaction.request()
+                .input('ShadowAuditID', sql.Int, shadowAuditId)
+                .input('PrimaryAuditID', sql.Int, primaryAuditId)
+                .query(`
+                    INSERT INTO AuditResponses (
+                        AuditID, SectionID, SectionNumber, SectionName,
+                        ItemID, ReferenceValue, Title, Coeff, AnswerOptions, CR, Severity,
+                        SelectedChoice, Value
+                    )
+                    SELECT @ShadowAuditID, SectionID, SectionNumber, SectionName,
+                        ItemID, ReferenceValue, Title, Coeff, AnswerOptions, CR, Severity,
+                        NULL, NULL
+                    FROM AuditResponses
+                    WHERE AuditID = @PrimaryAuditID
+                `);
+
+            await transaction.commit();
+            console.log(`👥 Shadow audit ${documentNumber} created for ${primary.DocumentNumber} by ${createdBy}`);
+
+            return {
+                auditId: shadowAuditId,
+                documentNumber,
+                primaryAuditId,
+                primaryDocumentNumber: primary.DocumentNumber,
+                storeName: primary.StoreName
+            };
+        } catch (error) {
+            await transaction.rollback();
+            console.error('❌ Error creating shadow audit:', error);
+            throw error;
+        }
+    }
 }
 
 module.exports = new AuditService();
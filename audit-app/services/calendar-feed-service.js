@@ -0,0 +1,401 @@
+/**
+ * Calendar Feed Service
+ * Publishes scheduled audits to external calendars (Outlook, Google, Apple):
+ * a per-user ICS feed protected by a secret token, and .ics invites for a single
+ * scheduled audit. Active recurring rules are published as one RRULE series;
+ * moved, edited or cancelled occurrences become overrides or EXDATEs.
+ */
+
+const crypto = require('crypto');
+const sql = require('mssql');
+const IcsCalendar = require('../../services/ics-calendar');
+
+const FEED_HISTORY_DAYS = 90;
+const FEED_REFRESH_MINUTES = 60;
+const DEFAULT_DURATION_MINUTES = 120;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+
+// ==========================================
+// Date helpers (plain YYYY-MM-DD strings, UTC arithmetic)
+// ==========================================
+
+function toDateString(date) {
+    if (!date) return null;
+    if (typeof date === 'string') return date.substring(0, 10);
+    return date.toISOString().split('T')[0];
+}
+
+// TIME columns arrive as Date objects on 1970-01-01 (UTC)
+function toTimeString(time) {
+    if (!time) return null;
+    if (typeof time === 'string') return time.substring(0, 5);
+    return time.toISOString().substring(11, 16);
+}
+
+function addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return toDateString(date);
+}
+
+function weekday(dateString) {
+    return new Date(`${dateString}T00:00:00Z`).getUTCDay();
+}
+
+// Day of a month the way generateRecurringDates picks it: -1 = last day, too large = last day
+function monthDay(year, monthIndex, dayOfMonth) {
+    const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+    const day = dayOfMonth === -1 ? lastDay : Math.min(dayOfMonth, lastDay);
+    return toDateString(new Date(Date.UTC(year, monthIndex, day)));
+}
+
+class CalendarFeedService {
+    // ==========================================
+    // Feed tokens
+    // ==========================================
+
+    /**
+     * Get (or create) the feed token of a user
+     * @param {Object} pool - SQL connection pool
+     * @param {number} userId - User ID
+     * @returns {Promise<string>} Token
+     */
+    static async getFeedToken(pool, userId) {
+        const result = await pool.request()
+            .input('UserID', sql.Int, userId)
+            .query('SELECT Token FROM CalendarFeedTokens WHERE UserID = @UserID');
+        if (result.recordset[0]) return result.recordset[0].Token;
+        return this.regenerateFeedToken(pool, userId);
+    }
+
+    /**
+     * Replace the feed token of a user; the old feed URL stops working
+     * @param {Object} pool - SQL connection pool
+     * @param {number} userId - User ID
+     * @returns {Promise<string>} New token
+     */
+    static async regenerateFeedToken(pool, userId) {
+        const token = crypto.randomBytes(24).toString('hex');
+        await pool.request()
+            .input('UserID', sql.Int, userId)
+            .input('Token', sql.NVarChar(64), token)
+            .query(`
+                IF EXISTS (SELECT 1 FROM CalendarFeedTokens WHERE UserID = @UserID)
+                    UPDATE CalendarFeedTokens SET Token = @Token, CreatedAt = GETDATE(), LastUsedAt = NULL WHERE UserID = @UserID
+                ELSE
+                    INSERT INTO CalendarFeedTokens (UserID, Token) VALUES (@UserID, @Token)
+            `);
+        return token;
+    }
+
+    /**
+     * Remove the feed token of a user (deactivated users); the feed URL stops working
+     * @param {Object} pool - SQL connection pool
+     * @param {number} userId - User ID
+     */
+    static async revokeFeedToken(pool, userId) {
+        await pool.request()
+            .input('UserID', sql.Int, userId)
+            .query(`
+                IF OBJECT_ID('dbo.CalendarFeedTokens', 'U') IS NOT NULL
+                    DELETE FROM CalendarFeedTokens WHERE UserID = @UserID
+            `);
+    }
+
+    /**
+     * Resolve a feed token to its (approved, active) user
+     * @param {Object} pool - SQL connection pool
+     * @param {string} token - Feed token from the URL
+     * @returns {Promise<Object|null>} { id, displayName, email, role }
+     */
+    static async getFeedUser(pool, token) {
+        if (!TOKEN_PATTERN.test(String(token || ''))) return null;
+
+        const result = await pool.request()
+            .input('Token', sql.NVarChar(64), token)
+            .query(`
+                UPDATE CalendarFeedTokens SET LastUsedAt = GETDATE() WHERE Token = @Token;
+
+                SELECT u.id, u.display_name, u.email, u.role
+                FROM CalendarFeedTokens t
+                INNER JOIN Users u ON t.UserID = u.id
+                WHERE t.Token = @Token AND u.is_approved = 1 AND u.is_active = 1
+            `);
+        const user = result.recordset[0];
+        return user ? { id: user.id, displayName: user.display_name, email: user.email, role: user.role } : null;
+    }
+
+    // ==========================================
+    // Recurring rules
+    // ==========================================
+
+    /**
+     * Express a RecurringAuditRules row as an RRULE series matching the dates
+     * generateRecurringDates produces
+     * @param {Object} rule - RecurringAuditRules row
+     * @returns {Object|null} { start: { date, time }, rrule, until } or null when not expressible
+     */
+    static toRecurrence(rule) {
+        const startDate = toDateString(rule.start_date);
+        const until = toDateString(rule.end_date);
+        const time = toTimeString(rule.preferred_time);
+        let first;
+        let rrule;
+
+        switch (rule.frequency) {
+            case 'Weekly':
+            case 'BiWeekly': {
+                const day = rule.day_of_week ?? weekday(startDate);
+                first = addDays(startDate, (day - weekday(startDate) + 7) % 7);
+                rrule = `FREQ=WEEKLY;INTERVAL=${rule.frequency === 'BiWeekly' ? 2 : 1};BYDAY=${WEEKDAYS[day]}`;
+                break;
+            }
+            case 'Monthly':
+            case 'Quarterly': {
+                const interval = rule.frequency === 'Quarterly' ? 3 : 1;
+                const dayOfMonth = rule.day_of_month || Number(startDate.substring(8, 10));
+                let byMonthDay;
+                if (dayOfMonth === -1) {
+                    byMonthDay = 'BYMONTHDAY=-1';
+                } else if (dayOfMonth <= 28) {
+                    byMonthDay = `BYMONTHDAY=${dayOfMonth}`;
+                } else {
+                    // "Day 30, or the last day of shorter months"
+                    const days = [];
+                    for (let d = 28; d <= dayOfMonth; d++) days.push(d);
+                    byMonthDay = `BYMONTHDAY=${days.join(',')};BYSETPOS=-1`;
+                }
+
+                const year = Number(startDate.substring(0, 4));
+                const month = Number(startDate.substring(5, 7)) - 1;
+                first = monthDay(year, month, dayOfMonth);
+                if (first < startDate) first = monthDay(year, month + interval, dayOfMonth);
+                rrule = `FREQ=MONTHLY;INTERVAL=${interval};${byMonthDay}`;
+                break;
+            }
+            default:
+                return null;
+        }
+
+        if (until && until < first) return null;
+        return { start: { date: first, time }, rrule, until };
+    }
+
+    // ==========================================
+    // Events
+    // ==========================================
+
+    static auditQuery(where) {
+        return `
+            SELECT
+                sa.id,
+                sa.store_id,
+                COALESCE(s.StoreName, sa.store_name) AS store_name,
+                s.StoreCode,
+                s.Location,
+                s.StandardAuditDuration,
+                COALESCE(cs.SchemaName, sa.checklist_name) AS checklist_name,
+                sa.auditor_user_id,
+                COALESCE(u.display_name, sa.auditor_name) AS auditor_name,
+                u.email AS auditor_email,
+                CONVERT(VARCHAR(10), sa.scheduled_date, 120) AS scheduled_date,
+                CONVERT(VARCHAR(5), sa.scheduled_time, 108) AS scheduled_time,
+                CONVERT(VARCHAR(10), COALESCE(sa.occurrence_date, sa.scheduled_date), 120) AS occurrence_date,
+                sa.priority,
+                sa.status,
+                sa.notes,
+                sa.recurring_rule_id,
+                sa.ics_sequence,
+                sa.created_at,
+                sa.updated_at,
+                cb.display_name AS organizer_name,
+                cb.email AS organizer_email
+            FROM ScheduledAudits sa
+            LEFT JOIN Stores s ON sa.store_id = s.StoreID
+            LEFT JOIN AuditSchemas cs ON sa.checklist_schema_id = cs.SchemaID
+            LEFT JOIN Users u ON sa.auditor_user_id = u.id
+            LEFT JOIN Users cb ON sa.created_by = cb.id
+            WHERE ${where}
+            ORDER BY sa.scheduled_date, sa.scheduled_time
+        `;
+    }
+
+    static summary(storeName, status, priority) {
+        let summary = `Audit: ${storeName}`;
+        if (priority && priority !== 'Normal') summary = `[${priority}] ${summary}`;
+        if (status && !['Scheduled', 'Cancelled'].includes(status)) summary += ` (${status})`;
+        return summary;
+    }
+
+    /**
+     * VEVENT for one scheduled audit
+     * @param {Object} row - Row from auditQuery
+     * @param {string} baseUrl - Application URL
+     * @param {boolean} withPeople - Add organizer and attendee (invites)
+     */
+    static auditEvent(row, baseUrl, withPeople = false) {
+        const description = [
+            row.checklist_name ? `Checklist: ${row.checklist_name}` : null,
+            `Auditor: ${row.auditor_name || 'Not assigned'}`,
+            `Status: ${row.status}`,
+            row.notes ? `\n${row.notes}` : null,
+            `\n${baseUrl}/admin/audit-calendar`
+        ].filter(Boolean).join('\n');
+
+        const event = {
+            uid: `scheduled-audit-${row.id}@${new URL(baseUrl).hostname}`,
+            sequence: row.ics_sequence || 0,
+            stamp: row.updated_at || row.created_at,
+            start: { date: row.scheduled_date, time: row.scheduled_time || null },
+            durationMinutes: row.StandardAuditDuration || DEFAULT_DURATION_MINUTES,
+            summary: this.summary(row.store_name, row.status, row.priority),
+            description,
+            location: [row.store_name, row.Location].filter(Boolean).join(', '),
+            url: `${baseUrl}/admin/audit-calendar`,
+            status: row.status === 'Cancelled' ? 'CANCELLED' : 'CONFIRMED',
+            categories: 'Food Safety Audit'
+        };
+
+        if (withPeople) {
+            event.organizer = { name: row.organizer_name, email: row.organizer_email };
+            event.attendees = [{ name: row.auditor_name, email: row.auditor_email }];
+        }
+        return event;
+    }
+
+    /**
+     * VEVENT series for a recurring rule
+     * @param {Object} rule - RecurringAuditRules row (+ StoreName, Location, StandardAuditDuration, SchemaName)
+     * @param {Object} recurrence - Result of toRecurrence
+     * @param {string} baseUrl - Application URL
+     */
+    static ruleEvent(rule, recurrence, baseUrl) {
+        return {
+            uid: `audit-rule-${rule.id}@${new URL(baseUrl).hostname}`,
+            sequence: 0,
+            stamp: rule.updated_at || rule.created_at,
+            start: recurrence.start,
+            rrule: recurrence.rrule,
+            until: recurrence.until,
+            exdates: [],
+            durationMinutes: rule.StandardAuditDuration || DEFAULT_DURATION_MINUTES,
+            summary: this.summary(rule.StoreName, null, rule.priority),
+            description: [
+                `${rule.frequency} audit`,
+                rule.SchemaName ? `Checklist: ${rule.SchemaName}` : null,
+                rule.notes ? `\n${rule.notes}` : null,
+                `\n${baseUrl}/admin/audit-calendar`
+            ].filter(Boolean).join('\n'),
+            location: [rule.StoreName, rule.Location].filter(Boolean).join(', '),
+            url: `${baseUrl}/admin/audit-calendar`,
+            categories: 'Food Safety Audit'
+        };
+    }
+
+    // ==========================================
+    // Feed and invites
+    // ==========================================
+
+    /**
+     * ICS feed of a user: audits assigned to them (store managers: audits of their stores)
+     * from the last 90 days on, with active recurring rules as RRULE series
+     * @param {Object} pool - SQL connection pool
+     * @param {Object} user - { id, displayName, role }
+     * @param {string} baseUrl - Application URL
+     * @returns {Promise<string>} iCalendar text
+     */
+    static async buildFeed(pool, user, baseUrl) {
+        const isStoreManager = user.role === 'StoreManager';
+        const scope = isStoreManager
+            ? 'sa.store_id IN (SELECT store_id FROM UserAssignments WHERE user_id = @UserID)'
+            : 'sa.auditor_user_id = @UserID';
+
+        const auditsResult = await pool.request()
+            .input('UserID', sql.Int, user.id)
+            .input('HistoryDays', sql.Int, FEED_HISTORY_DAYS)
+            .query(this.auditQuery(`${scope} AND sa.scheduled_date >= DATEADD(DAY, -@HistoryDays, CAST(GETDATE() AS DATE))`));
+
+        // Rules are few; column names of older installs differ (default_auditor_id / auditor_user_id)
+        const rulesResult = await pool.request()
+            .input('UserID', sql.Int, user.id)
+            .query(`
+                SELECT r.*, COALESCE(s.StoreName, r.store_name) AS StoreName, s.Location, s.StandardAuditDuration,
+                       CASE WHEN r.store_id IN (SELECT store_id FROM UserAssignments WHERE user_id = @UserID) THEN 1 ELSE 0 END AS IsAssignedStore
+                FROM RecurringAuditRules r
+                LEFT JOIN Stores s ON r.store_id = s.StoreID
+                WHERE r.is_active = 1
+            `);
+        const schemasResult = await pool.request().query('SELECT SchemaID, SchemaName FROM AuditSchemas');
+        const schemaNames = new Map(schemasResult.recordset.map(s => [s.SchemaID, s.SchemaName]));
+
+        const series = new Map();
+        for (const rule of rulesResult.recordset) {
+            const auditorId = rule.default_auditor_id ?? rule.auditor_user_id ?? null;
+            const inScope = isStoreManager ? rule.IsAssignedStore === 1 : auditorId === user.id;
+            const recurrence = inScope ? this.toRecurrence(rule) : null;
+            if (!recurrence) continue;
+
+            rule.SchemaName = schemaNames.get(rule.default_checklist_id ?? rule.checklist_schema_id) || null;
+            series.set(rule.id, this.ruleEvent(rule, recurrence, baseUrl));
+        }
+
+        const events = [];
+        for (const row of auditsResult.recordset) {
+            const master = series.get(row.recurring_rule_id);
+            if (!master) {
+                events.push(this.auditEvent(row, baseUrl));
+                continue;
+            }
+
+            const occurrence = { date: row.occurrence_date, time: master.start.time };
+            if (row.status === 'Cancelled' || (!isStoreManager && row.auditor_user_id !== user.id)) {
+                // Cancelled, or handed to another auditor (shows in their feed on its own)
+                master.exdates.push(occurrence);
+            } else if (row.scheduled_date !== row.occurrence_date ||
+                (row.scheduled_time || null) !== master.start.time ||
+                row.status !== 'Scheduled' ||
+                row.ics_sequence > 0) {
+                events.push({ ...this.auditEvent(row, baseUrl), uid: master.uid, recurrenceId: occurrence });
+            }
+        }
+
+        return IcsCalendar.build({
+            name: `Audits - ${user.displayName || user.email}`,
+            description: 'Scheduled food safety audits',
+            refreshMinutes: FEED_REFRESH_MINUTES,
+            events: [...series.values(), ...events]
+        });
+    }
+
+    /**
+     * Get one scheduled audit (feed/invite row)
+     * @param {Object} pool - SQL connection pool
+     * @param {number} scheduledAuditId - ScheduledAudits.id
+     * @returns {Promise<Object|null>}
+     */
+    static async getScheduledAudit(pool, scheduledAuditId) {
+        const result = await pool.request()
+            .input('ID', sql.Int, scheduledAuditId)
+            .query(this.auditQuery('sa.id = @ID'));
+        return result.recordset[0] || null;
+    }
+
+    /**
+     * .ics invite for one scheduled audit: REQUEST while planned, CANCEL once cancelled.
+     * Re-downloading after a move replaces the event (same UID, higher SEQUENCE).
+     * @param {Object} row - Row from getScheduledAudit
+     * @param {string} baseUrl - Application URL
+     * @returns {Object} { fileName, content }
+     */
+    static buildInvite(row, baseUrl) {
+        const method = row.status === 'Cancelled' ? 'CANCEL' : 'REQUEST';
+        const storeSlug = String(row.store_name || 'store').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '');
+        return {
+            fileName: `audit-${storeSlug}-${row.scheduled_date}${method === 'CANCEL' ? '-cancelled' : ''}.ics`,
+            content: IcsCalendar.build({ method, events: [this.auditEvent(row, baseUrl, true)] })
+        };
+    }
+}
+
+module.exports = CalendarFeedService;
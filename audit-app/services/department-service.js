@@ -0,0 +1,390 @@
+/**
+ * Department Service
+ * Registry of escalation departments (in-house teams and third-party contractors).
+ * Each department has a stable code, a generated department head role
+ * ("<Code>Head"), per-schema report titles and is linked to escalated responses
+ * through AuditResponseDepartments instead of the comma separated
+ * AuditResponses.Department text.
+ */
+
+const sql = require('mssql');
+
+// Used until the registry has been loaded (and by databases without the migration)
+const STANDARD_DEPARTMENTS = [
+    { departmentId: null, code: 'Maintenance', name: 'Maintenance', roleName: 'MaintenanceHead', icon: '🔧', color: '#2563eb', isExternal: false, contactEmail: null, sortOrder: 1, isActive: true },
+    { departmentId: null, code: 'Procurement', name: 'Procurement', roleName: 'ProcurementHead', icon: '📦', color: '#7c3aed', isExternal: false, contactEmail: null, sortOrder: 2, isActive: true },
+    { departmentId: null, code: 'Cleaning', name: 'Cleaning', roleName: 'CleaningHead', icon: '🧹', color: '#059669', isExternal: false, contactEmail: null, sortOrder: 3, isActive: true }
+];
+
+// Roles a department may not generate
+const RESERVED_ROLES = ['Admin', 'Auditor', 'SuperAuditor', 'StoreManager', 'HeadOfOperations', 'AreaManager', 'Notification', 'Pending'];
+
+// Cache for synchronous role checks (5 minute cache)
+const CACHE_TTL = 5 * 60 * 1000;
+let departmentsCache = null;
+let departmentsCacheTime = 0;
+
+function validationError(message) {
+    const error = new Error(message);
+    error.details = [message];
+    return error;
+}
+
+function mapRow(row) {
+    return {
+        departmentId: row.DepartmentID,
+        code: row.Code,
+        name: row.Name,
+        roleName: row.RoleName,
+        icon: row.Icon,
+        color: row.Color,
+        isExternal: row.IsExternal === true || row.IsExternal === 1,
+        contactEmail: row.ContactEmail,
+        sortOrder: row.SortOrder,
+        isActive: row.IsActive === true || row.IsActive === 1
+    };
+}
+
+class DepartmentService {
+    static get STANDARD_DEPARTMENTS() {
+        return STANDARD_DEPARTMENTS;
+    }
+
+    /**
+     * Department code for a name: 'Pest Control' -> 'PestControl'
+     * @param {string} name - Department name
+     * @returns {string}
+     */
+    static toCode(name) {
+        return String(name || '')
+            .replace(/[^A-Za-z0-9 ]/g, ' ')
+            .split(' ')
+            .filter(Boolean)
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join('');
+    }
+
+    /**
+     * Split a department list ("Procurement, Maintenance") into trimmed entries
+     * @param {string|Array} value - Comma separated text or array
+     * @returns {Array<string>}
+     */
+    static parseList(value) {
+        if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+        return String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+    }
+
+    /**
+     * Get registered departments
+     * @param {Object} pool - SQL connection pool
+     * @param {Object} options - { includeInactive }
+     * @returns {Promise<Array>}
+     */
+    static async getDepartments(pool, { includeInactive = false } = {}) {
+        const result = await pool.request().query(`
+            SELECT DepartmentID, Code, Name, RoleName, Icon, Color, IsExternal, ContactEmail, SortOrder, IsActive
+            FROM Departments
+            ${includeInactive ? '' : 'WHERE IsActive = 1'}
+            ORDER BY SortOrder, Name
+        `);
+
+        const departments = result.recordset.map(mapRow);
+        if (includeInactive) {
+            departmentsCache = departments;
+            departmentsCacheTime = Date.now();
+        }
+        return departments;
+    }
+
+    /**
+     * Reload the role cache when it is older than 5 minutes
+     * @param {Object} pool - SQL connection pool
+     * @returns {Promise<Array>} All departments (active and inactive)
+     */
+    static async refreshCache(pool, force = false) {
+        if (!force && departmentsCache && (Date.now() - departmentsCacheTime) < CACHE_TTL) {
+            return departmentsCache;
+        }
+        try {
+            return await this.getDepartments(pool, { includeInactive: true });
+        } catch (error) {
+            console.error('[Departments] Could not load department registry:', error.message);
+            return departmentsCache || STANDARD_DEPARTMENTS;
+        }
+    }
+
+    /**
+     * Departments known to this process, for synchronous role checks
+     * @param {boolean} includeInactive - Include deactivated departments
+     * @returns {Array}
+     */
+    static getCachedDepartments(includeInactive = false) {
+        const departments = departmentsCache || STANDARD_DEPARTMENTS;
+        return includeInactive ? departments : departments.filter(d => d.isActive);
+    }
+
+    /**
+     * Department code of a department head role ('PestControlHead' -> 'PestControl')
+     * @param {string} role - User role
+     * @returns {string|null}
+     */
+    static departmentForRole(role) {
+        const department = this.getCachedDepartments(true).find(d => d.roleName === role);
+        return department ? department.code : null;
+    }
+
+    /**
+     * Check whether a role is a generated department head role
+     * @param {string} role - User role
+     * @returns {boolean}
+     */
+    static isDepartmentRole(role) {
+        return this.departmentForRole(role) !== null;
+    }
+
+    /**
+     * Check whether a user may see a department's reports.
+     * Department heads only see their own department; other roles see all.
+     * @param {Object} user - Current user
+     * @param {string} code - Department code
+     * @returns {boolean}
+     */
+    static canViewDepartment(user, code) {
+        if (!user) return false;
+        const ownDepartment = this.departmentForRole(user.role);
+        if (!ownDepartment) return true;
+        return (user.assignedDepartment || ownDepartment).toLowerCase() === String(code).toLowerCase();
+    }
+
+    /**
+     * Find a department by code (case-insensitive)
+     * @param {Object} pool - SQL connection pool
+     * @param {string} code - Department code
+     * @param {boolean} includeInactive - Also match deactivated departments
+     * @returns {Promise<Object|null>}
+     */
+    static async getDepartment(pool, code, includeInactive = true) {
+        const result = await pool.request()
+            .input('Code', sql.NVarChar(50), code)
+            .query(`
+                SELECT DepartmentID, Code, Name, RoleName, Icon, Color, IsExternal, ContactEmail, SortOrder, IsActive
+                FROM Departments
+                WHERE Code = @Code ${includeInactive ? '' : 'AND IsActive = 1'}
+            `);
+        return result.recordset[0] ? mapRow(result.recordset[0]) : null;
+    }
+
+    /**
+     * Register a department
+     * @param {Object} pool - SQL connection pool
+     * @param {Object} data - { name, code?, icon, color, isExternal, contactEmail, sortOrder }
+     * @param {Object} user - Current user
+     * @returns {Promise<Object>} Created department
+     */
+    static async createDepartment(pool, data, user) {
+        const name = String(data.name || '').trim();
+        const code = this.toCode(data.code || name);
+
+        if (!name) throw validationError('Department name is required');
+        if (!code) throw validationError('Department code must contain letters or digits');
+        if (code.length > 40) throw validationError('Department code must be at most 40 characters');
+
+        const roleName = `${code}Head`;
+        if (RESERVED_ROLES.includes(code) || RESERVED_ROLES.includes(roleName)) {
+            throw validationError(`"${code}" is reserved for a system role`);
+        }
+
+        const existing = await pool.request()
+            .input('Code', sql.NVarChar(50), code)
+            .input('RoleName', sql.NVarChar(50), roleName)
+            .input('Name', sql.NVarChar(100), name)
+            .query('SELECT Code FROM Departments WHERE Code = @Code OR RoleName = @RoleName OR Name = @Name');
+        if (existing.recordset.length > 0) {
+            throw validationError(`Department "${existing.recordset[0].Code}" already exists`);
+        }
+
+        const result = await pool.request()
+            .input('Code', sql.NVarChar(50), code)
+            .input('Name', sql.NVarChar(100), name)
+            .input('RoleName', sql.NVarChar(50), roleName)
+            .input('Icon', sql.NVarChar(10), data.icon || null)
+            .input('Color', sql.NVarChar(20), data.color || null)
+            .input('IsExternal', sql.Bit, data.isExternal ? 1 : 0)
+            .input('ContactEmail', sql.NVarChar(255), data.contactEmail || null)
+            .input('SortOrder', sql.Int, parseInt(data.sortOrder) || 0)
+            .input('CreatedBy', sql.NVarChar(255), user ? user.email : null)
+            .query(`
+                INSERT INTO Departments (Code, Name, RoleName, Icon, Color, IsExternal, ContactEmail, SortOrder, CreatedBy)
+                OUTPUT INSERTED.*
+                VALUES (@Code, @Name, @RoleName, @Icon, @Color, @IsExternal, @ContactEmail, @SortOrder, @CreatedBy)
+            `);
+
+        await this.refreshCache(pool, true);
+        return mapRow(result.recordset[0]);
+    }
+
+    /**
+     * Update a department. Code and role stay fixed so reports and users keep working.
+     * @param {Object} pool - SQL connection pool
+     * @param {number} departmentId - Department ID
+     * @param {Object} data - { name, icon, color, isExternal, contactEmail, sortOrder, isActive }
+     * @returns {Promise<Object|null>} Updated department
+     */
+    static async updateDepartment(pool, departmentId, data) {
+        if (data.name !== undefined && !String(data.name).trim()) {
+            throw validationError('Department name is required');
+        }
+
+        const result = await pool.request()
+            .input('DepartmentID', sql.Int, departmentId)
+            .input('Name', sql.NVarChar(100), data.name !== undefined ? String(data.name).trim() : null)
+            .input('Icon', sql.NVarChar(10), data.icon !== undefined ? data.icon : null)
+            .input('Color', sql.NVarChar(20), data.color !== undefined ? data.color : null)
+            .input('IsExternal', sql.Bit, data.isExternal !== undefined ? (data.isExternal ? 1 : 0) : null)
+            .input('ContactEmail', sql.NVarChar(255), data.contactEmail !== undefined ? data.contactEmail : null)
+            .input('SortOrder', sql.Int, data.sortOrder !== undefined ? parseInt(data.sortOrder) || 0 : null)
+            .input('IsActive', sql.Bit, data.isActive !== undefined ? (data.isActive ? 1 : 0) : null)
+            .query(`
+                UPDATE Departments
+                SET Name = COALESCE(@Name, Name),
+                    Icon = COALESCE(@Icon, Icon),
+                    Color = COALESCE(@Color, Color),
+                    IsExternal = COALESCE(@IsExternal, IsExternal),
+                    ContactEmail = COALESCE(@ContactEmail, ContactEmail),
+                    SortOrder = COALESCE(@SortOrder, SortOrder),
+                    IsActive = COALESCE(@IsActive, IsActive)
+                OUTPUT INSERTED.*
+                WHERE DepartmentID = @DepartmentID
+            `);
+
+        await this.refreshCache(pool, true);
+        return result.recordset[0] ? mapRow(result.recordset[0]) : null;
+    }
+
+    /**
+     * Departments with the report titles of a schema
+     * @param {Object} pool - SQL connection pool
+     * @param {number} schemaId - Schema ID
+     * @param {boolean} includeInactive - Include deactivated departments
+     * @returns {Promise<Array>} Departments with displayName
+     */
+    static async getSchemaDepartments(pool, schemaId, includeInactive = false) {
+        const result = await pool.request()
+            .input('SchemaID', sql.Int, schemaId || null)
+            .query(`
+                SELECT d.DepartmentID, d.Code, d.Name, d.RoleName, d.Icon, d.Color, d.IsExternal,
+                       d.ContactEmail, d.SortOrder, d.IsActive, sn.DisplayName
+                FROM Departments d
+                LEFT JOIN SchemaDepartmentNames sn ON sn.DepartmentID = d.DepartmentID AND sn.SchemaID = @SchemaID
+                ${includeInactive ? '' : 'WHERE d.IsActive = 1'}
+                ORDER BY d.SortOrder, d.Name
+            `);
+
+        return result.recordset.map(row => ({ ...mapRow(row), displayName: row.DisplayName || row.Name }));
+    }
+
+    /**
+     * Save the report titles of a schema
+     * @param {Object} pool - SQL connection pool
+     * @param {number} schemaId - Schema ID
+     * @param {Object} names - { [code]: displayName }; empty or default names are removed
+     * @returns {Promise<number>} Number of custom names saved
+     */
+    static async saveSchemaNames(pool, schemaId, names) {
+        const departments = await this.getDepartments(pool, { includeInactive: true });
+        const transaction = new sql.Transaction(pool);
+        await transaction.begin();
+
+        try {
+            let saved = 0;
+            for (const department of departments) {
+                if (!Object.prototype.hasOwnProperty.call(names, department.code)) continue;
+
+                const displayName = String(names[department.code] || '').trim();
+                await transaction.request()
+                    .input('SchemaID', sql.Int, schemaId)
+                    .input('DepartmentID', sql.Int, department.departmentId)
+                    .query('DELETE FROM SchemaDepartmentNames WHERE SchemaID = @SchemaID AND DepartmentID = @DepartmentID');
+
+                if (displayName && displayName !== department.name) {
+                    await transaction.request()
+                        .input('SchemaID', sql.Int, schemaId)
+                        .input('DepartmentID', sql.Int, department.departmentId)
+                        .input('DisplayName', sql.NVarChar(200), displayName)
+                        .query('INSERT INTO SchemaDepartmentNames (SchemaID, DepartmentID, DisplayName) VALUES (@SchemaID, @DepartmentID, @DisplayName)');
+                    saved++;
+                }
+            }
+
+            await transaction.commit();
+            return saved;
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Replace the departments a response is escalated to
+     * @param {Function} newRequest - Creates a request on the pool or on a transaction
+     * @param {number} responseId - Response ID
+     * @param {string|Array} value - Department codes or names ("Procurement, Maintenance")
+     * @returns {Promise<Array<string>>} Linked department codes (unknown entries are ignored)
+     */
+    static async setResponseDepartments(newRequest, responseId, value) {
+        const entries = this.parseList(value);
+
+        await newRequest()
+            .input('ResponseID', sql.Int, responseId)
+            .query('DELETE FROM AuditResponseDepartments WHERE ResponseID = @ResponseID');
+
+        if (entries.length === 0) return [];
+
+        const request = newRequest().input('ResponseID', sql.Int, responseId);
+        entries.forEach((entry, i) => request.input(`Entry${i}`, sql.NVarChar(100), entry));
+        const list = entries.map((_, i) => `@Entry${i}`).join(', ');
+
+        const result = await request.query(`
+            INSERT INTO AuditResponseDepartments (ResponseID, DepartmentID)
+            SELECT @ResponseID, d.DepartmentID
+            FROM Departments d
+            WHERE d.Code IN (${list}) OR d.Name IN (${list});
+
+            SELECT d.Code
+            FROM AuditResponseDepartments rd
+            INNER JOIN Departments d ON rd.DepartmentID = d.DepartmentID
+            WHERE rd.ResponseID = @ResponseID
+            ORDER BY d.SortOrder, d.Name;
+        `);
+
+        return result.recordset.map(r => r.Code);
+    }
+
+    /**
+     * Department codes linked to responses
+     * @param {Object} pool - SQL connection pool
+     * @param {number} auditId - Audit ID
+     * @returns {Promise<Object>} { [responseId]: [codes] }
+     */
+    static async getResponseDepartments(pool, auditId) {
+        const result = await pool.request()
+            .input('AuditID', sql.Int, auditId)
+            .query(`
+                SELECT rd.ResponseID, d.Code
+                FROM AuditResponseDepartments rd
+                INNER JOIN AuditResponses ar ON rd.ResponseID = ar.ResponseID
+                INNER JOIN Departments d ON rd.DepartmentID = d.DepartmentID
+                WHERE ar.AuditID = @AuditID
+                ORDER BY d.SortOrder, d.Name
+            `);
+
+        const byResponse = {};
+        for (const row of result.recordset) {
+            if (!byResponse[row.ResponseID]) byResponse[row.ResponseID] = [];
+            byResponse[row.ResponseID].push(row.Code);
+        }
+        return byResponse;
+    }
+}
+
+module.exports = DepartmentService;
@@ -5,6 +5,7 @@
  */
 
 const sql = require('mssql');
+const ScoringModelService = require('./scoring-model-service');
 
 class ScoreCalculatorService {
     /**
@@ -28,6 +29,8 @@ class ScoreCalculatorService {
                     ai.AuditDate,
                     ai.Status,
                     ai.TotalScore,
+                    ai.ForcedFail,
+                    ai.ForcedFailReason,
                     ai.SchemaID,
                     s.SchemaName,
                     ISNULL(ss.PassingGrade, 83) AS PassingGrade
@@ -43,7 +46,7 @@ class ScoreCalculatorService {
 
         const audit = auditResult.recordset[0];
 
-        // Get sections with their scores
+        // Get sections with their exclusion status
         const sectionsResult = await pool.request()
             .input('auditId', sql.Int, auditId)
             .query(`
@@ -51,41 +54,57 @@ class ScoreCalculatorService {
                     sec.SectionID,
                     sec.SectionName,
                     sec.SectionNumber,
-                    -- Calculate section score
-                    CASE 
-                        WHEN SUM(CASE WHEN r.SelectedChoice != 'NA' AND r.SelectedChoice IS NOT NULL AND r.SelectedChoice != '' THEN r.Coeff ELSE 0 END) = 0 THEN NULL
-                        ELSE ROUND(
-                            (SUM(CASE 
-                                WHEN r.SelectedChoice = 'Yes' THEN r.Coeff
-                                WHEN r.SelectedChoice = 'Partially' THEN r.Coeff * 0.5
-                                ELSE 0
-                            END) * 100.0) / 
-                            NULLIF(SUM(CASE WHEN r.SelectedChoice != 'NA' AND r.SelectedChoice IS NOT NULL AND r.SelectedChoice != '' THEN r.Coeff ELSE 0 END), 0),
-                            1
-                        )
-                    END AS SectionScore,
-                    -- Total possible coefficient (excluding NA)
-                    SUM(CASE WHEN r.SelectedChoice != 'NA' AND r.SelectedChoice IS NOT NULL AND r.SelectedChoice != '' THEN r.Coeff ELSE 0 END) AS TotalCoeff,
-                    -- Earned points
-                    SUM(CASE 
-                        WHEN r.SelectedChoice = 'Yes' THEN r.Coeff
-                        WHEN r.SelectedChoice = 'Partially' THEN r.Coeff * 0.5
-                        ELSE 0
-                    END) AS EarnedPoints,
-                    -- Question count
-                    COUNT(r.ResponseID) AS TotalQuestions,
-                    SUM(CASE WHEN r.SelectedChoice IS NOT NULL AND r.SelectedChoice != '' THEN 1 ELSE 0 END) AS AnsweredQuestions,
                     -- Check if excluded
                     CASE WHEN e.ExclusionID IS NOT NULL THEN 1 ELSE 0 END AS IsExcluded
                 FROM AuditSections sec
-                LEFT JOIN AuditResponses r ON r.AuditID = @auditId AND r.SectionID = sec.SectionID
                 LEFT JOIN AuditScoreExclusions e ON e.AuditID = @auditId AND e.SectionID = sec.SectionID
                 WHERE sec.SchemaID = (SELECT SchemaID FROM AuditInstances WHERE AuditID = @auditId)
-                GROUP BY sec.SectionID, sec.SectionName, sec.SectionNumber, e.ExclusionID
                 ORDER BY sec.SectionNumber
             `);
 
-        const sections = sectionsResult.recordset;
+        // Get responses - scored with the schema's scoring model so the calculator
+        // always agrees with completeAudit and the report
+        const responsesResult = await pool.request()
+            .input('auditId', sql.Int, auditId)
+            .query(`
+                SELECT SectionID, ReferenceValue, Title, Coeff, Severity, SelectedChoice
+                FROM AuditResponses
+                WHERE AuditID = @auditId
+            `);
+
+        const model = await ScoringModelService.getModelForAudit(pool, auditId);
+
+        const sections = sectionsResult.recordset.map(section => {
+            const items = responsesResult.recordset
+                .filter(r => r.SectionID === section.SectionID)
+                .map(r => ({
+                    referenceValue: r.ReferenceValue,
+                    title: r.Title,
+                    coeff: r.Coeff,
+                    severity: r.Severity,
+                    selectedChoice: r.SelectedChoice
+                }));
+            const score = ScoringModelService.calculateSectionScore(model, items);
+
+            return {
+                ...section,
+                // Section score (null when nothing scorable was answered)
+                SectionScore: score.max === 0 ? null : Math.round((score.earned / score.max) * 1000) / 10,
+                // Score before a severity cap was applied
+                RawScore: score.max === 0 ? null : Math.round(score.rawPercentage * 10) / 10,
+                CappedBySeverity: score.cappedBy,
+                SeverityFailures: score.severityFailures,
+                ForcesFail: score.failsOverall ? 1 : 0,
+                // Total possible coefficient (excluding NA)
+                TotalCoeff: score.max,
+                // Earned points
+                EarnedPoints: score.earned,
+                // Question count
+                TotalQuestions: items.length,
+                AnsweredQuestions: score.answeredQuestions,
+                CriticalFailed: score.criticalFailed ? 1 : 0
+            };
+        });
 
         // Calculate original total (all sections)
         const originalTotal = this.calculateTotalScore(sections, false);
@@ -93,6 +112,10 @@ class ScoreCalculatorService {
         // Calculate adjusted total (excluding excluded sections)
         const adjustedTotal = this.calculateTotalScore(sections, true);
 
+        // Severity rules forcing the result to Fail (excluded sections do not count)
+        const originalForcedFailReason = this.getForcedFailReason(sections, model, false);
+        const adjustedForcedFailReason = this.getForcedFailReason(sections, model, true);
+
         // Get exclusion history
         const historyResult = await pool.request()
             .input('auditId', sql.Int, auditId)
@@ -102,6 +125,7 @@ class ScoreCalculatorService {
                     Action,
                     OriginalScore,
                     AdjustedScore,
+                    SeverityNote,
                     ChangedBy,
                     ChangedAt
                 FROM AuditScoreExclusionHistory
@@ -114,6 +138,10 @@ class ScoreCalculatorService {
             sections: sections,
             originalTotal: originalTotal,
             adjustedTotal: adjustedTotal,
+            originalForcedFail: originalForcedFailReason !== null,
+            adjustedForcedFail: adjustedForcedFailReason !== null,
+            forcedFailReason: originalForcedFailReason,
+            adjustedForcedFailReason: adjustedForcedFailReason,
             excludedCount: sections.filter(s => s.IsExcluded).length,
             history: historyResult.recordset
         };
@@ -141,6 +169,42 @@ class ScoreCalculatorService {
         return Math.round((earnedPoints / totalCoeff) * 1000) / 10; // Round to 1 decimal
     }
 
+    /**
+     * Reason the result is forced to Fail by severity rules
+     * @param {Array} sections - Array of section data
+     * @param {Object} model - Scoring model of the audit
+     * @param {boolean} excludeMarked - Whether to ignore excluded sections
+     * @returns {string|null} Reason, or null when the result is not forced
+     */
+    static getForcedFailReason(sections, model, excludeMarked = false) {
+        const included = sections.filter(s => !(excludeMarked && s.IsExcluded));
+        return ScoringModelService.getForcedFailReason(included.map(s => ({
+            failsOverall: !!s.ForcesFail,
+            severityFailures: s.SeverityFailures || []
+        })), model);
+    }
+
+    /**
+     * Describe the severity rules in effect for a set of exclusions (stored with history records)
+     * @param {Array} sections - Array of section data
+     * @param {Object} model - Scoring model of the audit
+     * @returns {string|null} e.g. "Forced Fail - Critical finding: 3.2 | Capped: Storage (Critical)"
+     */
+    static buildSeverityNote(sections, model) {
+        const parts = [];
+        const forcedFailReason = this.getForcedFailReason(sections, model, true);
+        if (forcedFailReason) {
+            parts.push(`Forced Fail - ${forcedFailReason}`);
+        }
+
+        const capped = sections.filter(s => !s.IsExcluded && s.CappedBySeverity);
+        if (capped.length > 0) {
+            parts.push(`Capped: ${capped.map(s => `${s.SectionName} (${s.CappedBySeverity})`).join(', ')}`);
+        }
+
+        return parts.length > 0 ? parts.join(' | ').substring(0, 500) : null;
+    }
+
     /**
      * Save section exclusions
      * @param {number} auditId - The audit ID
@@ -174,6 +238,12 @@ class ScoreCalculatorService {
         // Get scores before change for history
         const beforeData = await this.getAuditSectionsWithScores(auditId);
 
+        // Scores and severity rules once the new exclusions apply
+        const afterSections = beforeData.sections.map(s => ({ ...s, IsExcluded: newExclusions.has(s.SectionID) }));
+        const afterAdjustedTotal = this.calculateTotalScore(afterSections, true);
+        const model = await ScoringModelService.getModelForAudit(pool, auditId);
+        const severityNote = this.buildSeverityNote(afterSections, model);
+
         // Start transaction
         const transaction = new sql.Transaction(pool);
         await transaction.begin();
@@ -206,10 +276,12 @@ class ScoreCalculatorService {
                         .input('sectionName', sql.NVarChar(255), sectionNames[sectionId] || 'Unknown')
                         .input('action', sql.NVarChar(50), 'Excluded')
                         .input('originalScore', sql.Decimal(5, 2), beforeData.originalTotal)
+                        .input('adjustedScore', sql.Decimal(5, 2), afterAdjustedTotal)
+                        .input('severityNote', sql.NVarChar(500), severityNote)
                         .input('username', sql.NVarChar(255), username)
                         .query(`
-                            INSERT INTO AuditScoreExclusionHistory (AuditID, SectionID, SectionName, Action, OriginalScore, ChangedBy, ChangedAt)
-                            VALUES (@auditId, @sectionId, @sectionName, @action, @originalScore, @username, GETDATE())
+                            INSERT INTO AuditScoreExclusionHistory (AuditID, SectionID, SectionName, Action, OriginalScore, AdjustedScore, SeverityNote, ChangedBy, ChangedAt)
+                            VALUES (@auditId, @sectionId, @sectionName, @action, @originalScore, @adjustedScore, @severityNote, @username, GETDATE())
                         `);
                 }
             }
@@ -223,10 +295,12 @@ class ScoreCalculatorService {
                         .input('sectionName', sql.NVarChar(255), sectionNames[sectionId] || 'Unknown')
                         .input('action', sql.NVarChar(50), 'Included')
                         .input('originalScore', sql.Decimal(5, 2), beforeData.originalTotal)
+                        .input('adjustedScore', sql.Decimal(5, 2), afterAdjustedTotal)
+                        .input('severityNote', sql.NVarChar(500), severityNote)
                         .input('username', sql.NVarChar(255), username)
                         .query(`
-                            INSERT INTO AuditScoreExclusionHistory (AuditID, SectionID, SectionName, Action, OriginalScore, ChangedBy, ChangedAt)
-                            VALUES (@auditId, @sectionId, @sectionName, @action, @originalScore, @username, GETDATE())
+                            INSERT INTO AuditScoreExclusionHistory (AuditID, SectionID, SectionName, Action, OriginalScore, AdjustedScore, SeverityNote, ChangedBy, ChangedAt)
+                            VALUES (@auditId, @sectionId, @sectionName, @action, @originalScore, @adjustedScore, @severityNote, @username, GETDATE())
                         `);
                 }
             }
@@ -287,6 +361,7 @@ class ScoreCalculatorService {
                     Action,
                     OriginalScore,
                     AdjustedScore,
+                    SeverityNote,
                     ChangedBy,
                     ChangedAt
                 FROM AuditScoreExclusionHistory
@@ -344,6 +419,7 @@ class ScoreCalculatorService {
                 h.Action,
                 h.OriginalScore,
                 h.AdjustedScore,
+                h.SeverityNote,
                 h.ChangedBy,
                 h.ChangedAt
             FROM AuditScoreExclusionHistory h
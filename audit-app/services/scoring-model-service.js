@@ -0,0 +1,578 @@
+/**
+ * Scoring Model Service
+ * Single source of truth for how an answer is turned into points.
+ * A scoring model is stored as JSON against AuditSchemas.ScoringModel and is used by
+ * AuditService (updateResponse / completeAudit), the score calculator, the checklist
+ * score endpoint and the report generator, so one schema is always scored one way.
+ */
+
+const sql = require('mssql');
+
+/**
+ * Item severities (AuditItems.Severity / AuditResponses.Severity), most severe first
+ */
+const SEVERITIES = ['Critical', 'Major', 'Minor'];
+
+/**
+ * Consequences applied when an item of a severity gets a finding answer:
+ *   sectionCap          - max section percentage (null = no cap, 0 = section fails)
+ *   failOverall         - audit result is Fail whatever the overall score
+ *   immediateActionPlan - action plan item is opened as soon as the audit is completed
+ */
+const NO_CONSEQUENCE = { sectionCap: null, failOverall: false, immediateActionPlan: false };
+
+/**
+ * Standard model - matches the behaviour before scoring models existed
+ * Yes = 1 x Coeff, Partially = 0.5 x Coeff, No = 0, NA = excluded
+ */
+const DEFAULT_MODEL = {
+    preset: 'standard',
+    name: 'Standard (Yes / Partially / No)',
+    answers: [
+        { label: 'Yes', weight: 1, finding: false },
+        { label: 'Partially', weight: 0.5, finding: true },
+        { label: 'No', weight: 0, finding: true },
+        { label: 'NA', weight: null, finding: false }
+    ],
+    defaultCoeff: 2,
+    criticalCoeff: null,
+    severityRules: {
+        Critical: { ...NO_CONSEQUENCE },
+        Major: { ...NO_CONSEQUENCE },
+        Minor: { ...NO_CONSEQUENCE }
+    }
+};
+
+/**
+ * Ready-made models offered by the template builder
+ */
+const PRESETS = {
+    'standard': DEFAULT_MODEL,
+    'strict-partial': {
+        preset: 'strict-partial',
+        name: 'Strict partial (Partially = 25%)',
+        answers: [
+            { label: 'Yes', weight: 1, finding: false },
+            { label: 'Partially', weight: 0.25, finding: true },
+            { label: 'No', weight: 0, finding: true },
+            { label: 'NA', weight: null, finding: false }
+        ],
+        defaultCoeff: 2,
+        criticalCoeff: null,
+        severityRules: {
+            Critical: { ...NO_CONSEQUENCE },
+            Major: { ...NO_CONSEQUENCE },
+            Minor: { ...NO_CONSEQUENCE }
+        }
+    },
+    'pass-fail': {
+        preset: 'pass-fail',
+        name: 'Pass / Fail (2-point)',
+        answers: [
+            { label: 'Yes', weight: 1, finding: false },
+            { label: 'No', weight: 0, finding: true },
+            { label: 'NA', weight: null, finding: false }
+        ],
+        defaultCoeff: 2,
+        criticalCoeff: null,
+        severityRules: {
+            Critical: { ...NO_CONSEQUENCE },
+            Major: { ...NO_CONSEQUENCE },
+            Minor: { ...NO_CONSEQUENCE }
+        }
+    },
+    'five-point': {
+        preset: 'five-point',
+        name: '5-point scale',
+        answers: [
+            { label: '5', weight: 1, finding: false },
+            { label: '4', weight: 0.75, finding: false },
+            { label: '3', weight: 0.5, finding: true },
+            { label: '2', weight: 0.25, finding: true },
+            { label: '1', weight: 0, finding: true },
+            { label: 'NA', weight: null, finding: false }
+        ],
+        defaultCoeff: 2,
+        criticalCoeff: null,
+        severityRules: {
+            Critical: { ...NO_CONSEQUENCE },
+            Major: { ...NO_CONSEQUENCE },
+            Minor: { ...NO_CONSEQUENCE }
+        }
+    }
+};
+
+class ScoringModelService {
+    /**
+     * Get a copy of the default (standard) model
+     * @returns {Object} Scoring model
+     */
+    static getDefaultModel() {
+        return JSON.parse(JSON.stringify(DEFAULT_MODEL));
+    }
+
+    /**
+     * Get the list of item severities
+     * @returns {Array<string>} e.g. ['Critical', 'Major', 'Minor']
+     */
+    static getSeverities() {
+        return [...SEVERITIES];
+    }
+
+    /**
+     * Normalize a severity value (case-insensitive), null when not set / unknown
+     * @param {string|null} severity - Raw severity
+     * @returns {string|null} Severity from SEVERITIES
+     */
+    static normalizeSeverity(severity) {
+        if (!severity) return null;
+        const match = SEVERITIES.find(s => s.toLowerCase() === String(severity).trim().toLowerCase());
+        return match || null;
+    }
+
+    /**
+     * Get all presets offered in the template builder
+     * @returns {Array<Object>} Presets
+     */
+    static getPresets() {
+        return Object.values(PRESETS).map(p => JSON.parse(JSON.stringify(p)));
+    }
+
+    /**
+     * Parse a stored model (JSON string or object) and fill in defaults
+     * @param {string|Object|null} raw - Stored model
+     * @returns {Object} Normalized scoring model
+     */
+    static normalize(raw) {
+        let model = raw;
+        if (typeof raw === 'string') {
+            try {
+                model = JSON.parse(raw);
+            } catch (e) {
+                console.warn('[SCORING] Invalid scoring model JSON, using standard model');
+                model = null;
+            }
+        }
+        if (!model || !Array.isArray(model.answers) || model.answers.length === 0) {
+            return this.getDefaultModel();
+        }
+
+        return {
+            preset: model.preset || 'custom',
+            name: model.name || 'Custom',
+            answers: model.answers.map(a => ({
+                label: String(a.label).trim(),
+                weight: a.weight === null || a.weight === undefined || a.weight === '' ? null : Number(a.weight),
+                finding: !!a.finding
+            })),
+            defaultCoeff: Number(model.defaultCoeff) || DEFAULT_MODEL.defaultCoeff,
+            criticalCoeff: model.criticalCoeff === null || model.criticalCoeff === undefined || model.criticalCoeff === ''
+                ? null
+                : Number(model.criticalCoeff),
+            severityRules: this.normalizeSeverityRules(model)
+        };
+    }
+
+    /**
+     * Fill in the consequences for every severity
+     * Models saved before severities existed used criticalFailsSection, which is a 0% cap on Critical items
+     * @param {Object} model - Raw model
+     * @returns {Object} { Critical: {...}, Major: {...}, Minor: {...} }
+     */
+    static normalizeSeverityRules(model) {
+        const raw = model.severityRules || {};
+        const rules = {};
+
+        for (const severity of SEVERITIES) {
+            const rule = raw[severity] || {};
+            const cap = rule.sectionCap;
+            rules[severity] = {
+                sectionCap: cap === null || cap === undefined || cap === '' ? null : Number(cap),
+                failOverall: !!rule.failOverall,
+                immediateActionPlan: !!rule.immediateActionPlan
+            };
+        }
+
+        if (!model.severityRules && model.criticalFailsSection) {
+            rules.Critical.sectionCap = 0;
+        }
+
+        return rules;
+    }
+
+    /**
+     * Validate a model before saving
+     * @param {Object} model - Scoring model
+     * @returns {Array<string>} Validation errors (empty when valid)
+     */
+    static validate(model) {
+        const errors = [];
+        if (!model || !Array.isArray(model.answers) || model.answers.length < 2) {
+            errors.push('A scoring model needs at least two answers');
+            return errors;
+        }
+
+        const labels = new Set();
+        for (const answer of model.answers) {
+            const label = answer.label === undefined || answer.label === null ? '' : String(answer.label).trim();
+            if (!label) {
+                errors.push('Every answer needs a label');
+                continue;
+            }
+            if (label.includes(',')) {
+                errors.push(`Answer "${label}" cannot contain a comma`);
+            }
+            if (labels.has(label)) {
+                errors.push(`Answer "${label}" is defined twice`);
+            }
+            labels.add(label);
+
+            const weight = answer.weight;
+            if (weight !== null && weight !== undefined && weight !== '') {
+                const w = Number(weight);
+                if (isNaN(w) || w < 0 || w > 1) {
+                    errors.push(`Weight for "${label}" must be between 0 and 1 (or empty for not applicable)`);
+                }
+            }
+        }
+
+        if (!model.answers.some(a => a.weight !== null && a.weight !== undefined && a.weight !== '' && Number(a.weight) > 0)) {
+            errors.push('At least one answer must earn points');
+        }
+
+        if (model.criticalCoeff !== null && model.criticalCoeff !== undefined && model.criticalCoeff !== '') {
+            if (isNaN(Number(model.criticalCoeff)) || Number(model.criticalCoeff) <= 0) {
+                errors.push('Critical coefficient must be a positive number');
+            }
+        }
+
+        for (const severity of SEVERITIES) {
+            const rule = (model.severityRules || {})[severity];
+            if (!rule) continue;
+            const cap = rule.sectionCap;
+            if (cap !== null && cap !== undefined && cap !== '') {
+                const c = Number(cap);
+                if (isNaN(c) || c < 0 || c > 100) {
+                    errors.push(`Section cap for ${severity} items must be between 0 and 100`);
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Comma-separated answer labels (same format as AuditItems.Answer)
+     * @param {Object} model - Scoring model
+     * @returns {string} e.g. "Yes,Partially,No,NA"
+     */
+    static getAnswerOptions(model) {
+        return this.normalize(model).answers.map(a => a.label).join(',');
+    }
+
+    /**
+     * Find the answer definition for a selected choice
+     * @param {Object} model - Scoring model
+     * @param {string} selectedChoice - Selected answer label
+     * @returns {Object|null} Answer definition
+     */
+    static getAnswer(model, selectedChoice) {
+        if (!selectedChoice) return null;
+        return model.answers.find(a => a.label === selectedChoice) || null;
+    }
+
+    /**
+     * Whether an answer counts towards the max score (answered and not excluded)
+     * @param {Object} model - Scoring model
+     * @param {string} selectedChoice - Selected answer label
+     * @returns {boolean}
+     */
+    static isScored(model, selectedChoice) {
+        const answer = this.getAnswer(model, selectedChoice);
+        return !!answer && answer.weight !== null;
+    }
+
+    /**
+     * Whether an answer is a finding (needs a finding text / goes to the action plan)
+     * @param {Object} model - Scoring model
+     * @param {string} selectedChoice - Selected answer label
+     * @returns {boolean}
+     */
+    static isFinding(model, selectedChoice) {
+        const answer = this.getAnswer(model, selectedChoice);
+        return !!answer && answer.finding;
+    }
+
+    /**
+     * Labels of every finding answer (for SQL IN filters)
+     * @param {Object} model - Scoring model
+     * @returns {Array<string>}
+     */
+    static getFindingChoices(model) {
+        return model.answers.filter(a => a.finding).map(a => a.label);
+    }
+
+    /**
+     * Calculate value based on selected choice and coefficient
+     * @param {Object} model - Scoring model
+     * @param {string} selectedChoice - Selected answer label
+     * @param {number} coeff - Coefficient/weight of the item
+     * @returns {number|null} Points earned, or null when not scored
+     */
+    static calculateValue(model, selectedChoice, coeff) {
+        const answer = this.getAnswer(model, selectedChoice);
+        if (!answer || answer.weight === null) return null;
+        const coefficient = coeff || model.defaultCoeff;
+        return answer.weight * coefficient;
+    }
+
+    /**
+     * Get the severity of an item
+     * Explicit item severity wins; otherwise items at or above criticalCoeff are Critical
+     * @param {Object} model - Scoring model
+     * @param {Object} item - Item with coeff and optional severity
+     * @returns {string|null} Severity or null when the item has none
+     */
+    static getItemSeverity(model, item) {
+        const severity = this.normalizeSeverity(item.severity);
+        if (severity) return severity;
+        if (model.criticalCoeff !== null && (item.coeff || 0) >= model.criticalCoeff) return 'Critical';
+        return null;
+    }
+
+    /**
+     * Whether an item is critical under this model
+     * @param {Object} model - Scoring model
+     * @param {Object} item - Item with coeff and optional severity
+     * @returns {boolean}
+     */
+    static isCriticalItem(model, item) {
+        return this.getItemSeverity(model, item) === 'Critical';
+    }
+
+    /**
+     * Get the consequences configured for a severity
+     * @param {Object} model - Scoring model
+     * @param {string|null} severity - Item severity
+     * @returns {Object} { sectionCap, failOverall, immediateActionPlan }
+     */
+    static getSeverityRule(model, severity) {
+        if (!severity || !model.severityRules) return { ...NO_CONSEQUENCE };
+        return model.severityRules[severity] || { ...NO_CONSEQUENCE };
+    }
+
+    /**
+     * Calculate a section score
+     * Severity rules of failed items are applied after the points are summed:
+     * the percentage (and earned points) is capped to the lowest cap of the failed severities.
+     * @param {Object} model - Scoring model
+     * @param {Array} items - Items with { selectedChoice, coeff, severity?, referenceValue?, title? }
+     * @returns {Object} { earned, max, percentage, rawPercentage, cappedBy, totalQuestions, answeredQuestions,
+     *                     naQuestions, criticalFailed, criticalFailures, severityFailures, failsOverall, actionPlanItems }
+     */
+    static calculateSectionScore(model, items) {
+        let earned = 0;
+        let max = 0;
+        let answeredQuestions = 0;
+        let naQuestions = 0;
+        const severityFailures = [];
+
+        for (const item of items) {
+            if (!item.selectedChoice) continue;
+            answeredQuestions++;
+
+            if (!this.isScored(model, item.selectedChoice)) {
+                naQuestions++;
+                continue;
+            }
+
+            const coeff = item.coeff || model.defaultCoeff;
+            max += coeff;
+            earned += this.calculateValue(model, item.selectedChoice, coeff) || 0;
+
+            const severity = this.getItemSeverity(model, item);
+            if (severity && this.isFinding(model, item.selectedChoice)) {
+                severityFailures.push({
+                    referenceValue: item.referenceValue || '',
+                    title: item.title || '',
+                    severity,
+                    selectedChoice: item.selectedChoice,
+                    responseId: item.responseId || null
+                });
+            }
+        }
+
+        const rawPercentage = max > 0 ? parseFloat(((earned / max) * 100).toFixed(2)) : 0;
+        let percentage = rawPercentage;
+        let cappedBy = null;
+
+        for (const severity of SEVERITIES) {
+            if (!severityFailures.some(f => f.severity === severity)) continue;
+            const cap = this.getSeverityRule(model, severity).sectionCap;
+            if (cap !== null && max > 0 && cap < percentage) {
+                percentage = cap;
+                cappedBy = severity;
+            }
+        }
+
+        if (cappedBy) {
+            earned = parseFloat(((max * percentage) / 100).toFixed(2));
+        }
+
+        const criticalFailures = severityFailures.filter(f => f.severity === 'Critical');
+
+        return {
+            earned,
+            max,
+            percentage,
+            rawPercentage,
+            cappedBy,
+            totalQuestions: items.length,
+            answeredQuestions,
+            naQuestions,
+            criticalFailed: criticalFailures.length > 0,
+            criticalFailures: criticalFailures.map(f => f.referenceValue || f.title),
+            severityFailures,
+            failsOverall: severityFailures.some(f => this.getSeverityRule(model, f.severity).failOverall),
+            actionPlanItems: severityFailures.filter(f => this.getSeverityRule(model, f.severity).immediateActionPlan)
+        };
+    }
+
+    /**
+     * Calculate overall score from section scores
+     * @param {Array} sectionScores - Results of calculateSectionScore
+     * @param {Object} model - Scoring model the sections were scored with
+     * @returns {Object} { earned, max, percentage, forcedFail, forcedFailReason }
+     */
+    static calculateOverallScore(sectionScores, model) {
+        let earned = 0;
+        let max = 0;
+        for (const section of sectionScores) {
+            earned += section.earned || 0;
+            max += section.max || 0;
+        }
+        const forcedFailReason = this.getForcedFailReason(sectionScores, model);
+        return {
+            earned,
+            max,
+            percentage: max > 0 ? parseFloat(((earned / max) * 100).toFixed(2)) : 0,
+            forcedFail: forcedFailReason !== null,
+            forcedFailReason
+        };
+    }
+
+    /**
+     * Build the reason shown when severity rules force the audit to Fail
+     * Only findings whose severity rule fails the audit are named, not the other findings of the section.
+     * @param {Array} sectionScores - Results of calculateSectionScore
+     * @param {Object} model - Scoring model the sections were scored with
+     * @returns {string|null} e.g. "Critical finding: 3.2, 5.1" or null when not forced
+     */
+    static getForcedFailReason(sectionScores, model) {
+        const failures = [];
+        for (const section of sectionScores) {
+            if (!section.failsOverall) continue;
+            failures.push(...(section.severityFailures || []).filter(f => this.getSeverityRule(model, f.severity).failOverall));
+        }
+        if (failures.length === 0) return null;
+
+        return SEVERITIES
+            .map(severity => {
+                const refs = failures.filter(f => f.severity === severity).map(f => f.referenceValue || f.title);
+                return refs.length > 0 ? `${severity} finding: ${refs.join(', ')}` : null;
+            })
+            .filter(Boolean)
+            .join('; ');
+    }
+
+    // ==========================================
+    // PERSISTENCE
+    // ==========================================
+
+    /**
+     * Get the scoring model for a schema
+     * @param {Object} pool - SQL connection pool
+     * @param {number} schemaId - Schema ID
+     * @returns {Promise<Object>} Normalized scoring model
+     */
+    static async getModelForSchema(pool, schemaId) {
+        if (!schemaId) return this.getDefaultModel();
+        const result = await pool.request()
+            .input('SchemaID', sql.Int, schemaId)
+            .query(`SELECT ScoringModel FROM AuditSchemas WHERE SchemaID = @SchemaID`);
+        return this.normalize(result.recordset[0]?.ScoringModel || null);
+    }
+
+    /**
+     * Get the scoring model used by an audit
+     * Audits pinned to a template version use the model published with that version,
+     * older audits use the schema's current model.
+     * @param {Object} pool - SQL connection pool
+     * @param {number} auditId - Audit ID
+     * @returns {Promise<Object>} Normalized scoring model
+     */
+    static async getModelForAudit(pool, auditId) {
+        const result = await pool.request()
+            .input('AuditID', sql.Int, auditId)
+            .query(`
+                SELECT COALESCE(JSON_QUERY(v.Snapshot, '$.scoringModel'), s.ScoringModel) AS ScoringModel
+                FROM AuditInstances a
+                INNER JOIN AuditSchemas s ON a.SchemaID = s.SchemaID
+                LEFT JOIN AuditSchemaVersions v ON a.TemplateVersionID = v.VersionID
+                WHERE a.AuditID = @AuditID
+            `);
+        return this.normalize(result.recordset[0]?.ScoringModel || null);
+    }
+
+    /**
+     * Get the scoring model used by the audit that owns a response (see getModelForAudit)
+     * @param {Object} pool - SQL connection pool
+     * @param {number} responseId - Response ID
+     * @returns {Promise<Object>} Normalized scoring model
+     */
+    static async getModelForResponse(pool, responseId) {
+        const result = await pool.request()
+            .input('ResponseID', sql.Int, responseId)
+            .query(`
+                SELECT COALESCE(JSON_QUERY(v.Snapshot, '$.scoringModel'), s.ScoringModel) AS ScoringModel
+                FROM AuditResponses r
+                INNER JOIN AuditInstances a ON r.AuditID = a.AuditID
+                INNER JOIN AuditSchemas s ON a.SchemaID = s.SchemaID
+                LEFT JOIN AuditSchemaVersions v ON a.TemplateVersionID = v.VersionID
+                WHERE r.ResponseID = @ResponseID
+            `);
+        return this.normalize(result.recordset[0]?.ScoringModel || null);
+    }
+
+    /**
+     * Save the scoring model for a schema
+     * @param {Object} pool - SQL connection pool
+     * @param {number} schemaId - Schema ID
+     * @param {Object} model - Scoring model
+     * @param {string} modifiedBy - User making the change
+     * @returns {Promise<Object>} Saved (normalized) model
+     */
+    static async saveModelForSchema(pool, schemaId, model, modifiedBy) {
+        const errors = this.validate(model);
+        if (errors.length > 0) {
+            throw new Error(`Invalid scoring model: ${errors.join('; ')}`);
+        }
+
+        const normalized = this.normalize(model);
+        await pool.request()
+            .input('SchemaID', sql.Int, schemaId)
+            .input('ScoringModel', sql.NVarChar(sql.MAX), JSON.stringify(normalized))
+            .input('ModifiedBy', sql.NVarChar(255), modifiedBy)
+            .query(`
+                UPDATE AuditSchemas
+                SET ScoringModel = @ScoringModel,
+                    ScoringModelModifiedBy = @ModifiedBy,
+                    ScoringModelModifiedDate = GETDATE()
+                WHERE SchemaID = @SchemaID
+            `);
+
+        return normalized;
+    }
+}
+
+module.exports = ScoringModelService;
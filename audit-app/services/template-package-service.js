@@ -0,0 +1,963 @@
+/**
+ * Template Package Service
+ * Exports a complete audit schema (sections, items, scoring model, categories,
+ * passing grades, colors, checklist info and departments) as one portable file,
+ * JSON or Excel, validates a package against the target database and imports it
+ * as a new schema or merged into an existing one.
+ *
+ * The JSON format is a superset of the template builder backup (version 1.0),
+ * so old backups can still be validated and imported.
+ */
+
+const sql = require('mssql');
+const ScoringModelService = require('./scoring-model-service');
+const SchemaColorsService = require('./schema-colors-service');
+const XlsxWorkbook = require('../../services/xlsx-workbook');
+const DepartmentService = require('./department-service');
+
+const PACKAGE_FORMAT = 'audit-template-package';
+const PACKAGE_VERSION = '2.0';
+
+// Package key -> AuditSchemas column (columns are created by the checklist info page)
+const CHECKLIST_INFO_COLUMNS = {
+    reportTitle: 'ReportTitle',
+    documentPrefix: 'DocumentPrefix',
+    edition: 'Edition',
+    creationDate: 'CreationDate',
+    revisionDate: 'RevisionDate'
+};
+
+// Labels of the "Schema" sheet in the Excel package
+const SCHEMA_SHEET_FIELDS = [
+    ['format', 'Format'],
+    ['version', 'Version'],
+    ['schemaName', 'Schema Name'],
+    ['description', 'Description'],
+    ['reportTitle', 'Report Title'],
+    ['documentPrefix', 'Document Prefix'],
+    ['edition', 'Edition'],
+    ['creationDate', 'Creation Date'],
+    ['revisionDate', 'Revision Date'],
+    ['overallPassingGrade', 'Overall Passing Grade'],
+    ['scoringModel', 'Scoring Model (JSON)'],
+    ['exportDate', 'Exported'],
+    ['exportedBy', 'Exported By']
+];
+
+const ITEM_COLUMNS = ['Section Number', 'Reference', 'Title', 'Coeff', 'Answers', 'Criteria (CR)', 'Severity', 'Sort Order'];
+
+function toDateString(value) {
+    if (!value) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+}
+
+function isBlank(value) {
+    return value === null || value === undefined || String(value).trim() === '';
+}
+
+function toNumberOrNull(value) {
+    if (isBlank(value)) return null;
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+}
+
+function toColumnName(key) {
+    return key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+class TemplatePackageService {
+    static getColorKeys() {
+        return Object.keys(new SchemaColorsService().getDefaultColors());
+    }
+
+    // ==========================================
+    // EXPORT
+    // ==========================================
+
+    /**
+     * Build the package of a schema
+     * @param {Object} pool - SQL connection pool
+     * @param {number} schemaId - Schema ID
+     * @param {string} exportedBy - User exporting
+     * @returns {Promise<Object>} Package ({ format, version, exportDate, exportedBy, schema })
+     */
+    static async exportPackage(pool, schemaId, exportedBy) {
+        const schemaResult = await pool.request()
+            .input('SchemaID', sql.Int, schemaId)
+            .query(`SELECT * FROM AuditSchemas WHERE SchemaID = @SchemaID`);
+
+        if (schemaResult.recordset.length === 0) {
+            throw new Error('Schema not found');
+        }
+        const schema = schemaResult.recordset[0];
+
+        const sectionsResult = await pool.request()
+            .input('SchemaID', sql.Int, schemaId)
+            .query(`
+                SELECT s.SectionID, s.SectionNumber, s.SectionName, s.SectionIcon, ss.PassingGrade
+                FROM AuditSections s
+                LEFT JOIN SystemSettings ss ON ss.SchemaID = s.SchemaID
+                    AND ss.SettingType = 'Section'
+                    AND ss.EntityID = s.SectionID
+                WHERE s.SchemaID = @SchemaID AND s.IsActive = 1
+                ORDER BY s.SectionNumber
+            `);
+
+        const itemsResult = await pool.request()
+            .input('SchemaID', sql.Int, schemaId)
+            .query(`
+                SELECT i.SectionID, i.ReferenceValue, i.Title, i.Coeff, i.Answer, i.CR, i.Severity, i.SortOrder
+                FROM AuditItems i
+                INNER JOIN AuditSections s ON i.SectionID = s.SectionID
+                WHERE s.SchemaID = @SchemaID AND s.IsActive = 1 AND i.IsActive = 1
+                ORDER BY s.SectionNumber, i.SortOrder, i.ReferenceValue
+            `);
+
+        const overallResult = await pool.request()
+            .input('SchemaID', sql.Int, schemaId)
+            .query(`SELECT PassingGrade FROM SystemSettings WHERE SchemaID = @SchemaID AND SettingType = 'Overall'`);
+
+        const categoriesResult = await pool.request()
+            .input('SchemaID', sql.Int, schemaId)
+            .query(`
+                SELECT c.CategoryID, c.CategoryName, c.DisplayOrder, s.SectionNumber
+                FROM AuditCategories c
+                LEFT JOIN CategorySections cs ON c.CategoryID = cs.CategoryID
+                LEFT JOIN AuditSections s ON cs.SectionID = s.SectionID AND s.IsActive = 1
+                WHERE c.SchemaID = @SchemaID AND c.IsActive = 1
+                ORDER BY c.DisplayOrder, cs.DisplayOrder
+            `);
+
+        const departmentsResult = await pool.request()
+            .input('SchemaID', sql.Int, schemaId)
+            .query(`
+                SELECT DISTINCT d.Code
+                FROM AuditResponseDepartments rd
+                INNER JOIN Departments d ON rd.DepartmentID = d.DepartmentID
+                INNER JOIN AuditResponses r ON rd.ResponseID = r.ResponseID
+                INNER JOIN AuditInstances a ON r.AuditID = a.AuditID
+                WHERE a.SchemaID = @SchemaID
+            `);
+
+        const categories = [];
+        for (const row of categoriesResult.recordset) {
+            let category = categories.find(c => c.categoryId === row.CategoryID);
+            if (!category) {
+                category = { categoryId: row.CategoryID, categoryName: row.CategoryName, displayOrder: row.DisplayOrder, sections: [] };
+                categories.push(category);
+            }
+            if (row.SectionNumber !== null) {
+                category.sections.push(row.SectionNumber);
+            }
+        }
+
+        const departments = new Set(departmentsResult.recordset.map(row => row.Code));
+
+        const checklistInfo = {};
+        for (const [key, column] of Object.entries(CHECKLIST_INFO_COLUMNS)) {
+            const value = schema[column];
+            checklistInfo[key] = value instanceof Date ? toDateString(value) : (value ?? null);
+        }
+
+        return {
+            format: PACKAGE_FORMAT,
+            version: PACKAGE_VERSION,
+            exportDate: new Date().toISOString(),
+            exportedBy: exportedBy || null,
+            sourceDatabase: process.env.SQL_DATABASE || null,
+            schema: {
+                schemaName: schema.SchemaName,
+                description: schema.Description || '',
+                ...checklistInfo,
+                overallPassingGrade: overallResult.recordset[0]?.PassingGrade ?? null,
+                scoringModel: schema.ScoringModel ? ScoringModelService.normalize(schema.ScoringModel) : null,
+                colors: await this.getCustomColors(pool, schemaId),
+                departments: Array.from(departments).sort(),
+                categories: categories.map(({ categoryId, ...c }) => c),
+                sections: sectionsResult.recordset.map(s => ({
+                    sectionNumber: s.SectionNumber,
+                    sectionName: s.SectionName,
+                    sectionIcon: s.SectionIcon || null,
+                    passingGrade: s.PassingGrade ?? null,
+                    items: itemsResult.recordset
+                        .filter(i => i.SectionID === s.SectionID)
+                        .map(i => ({
+                            referenceValue: i.ReferenceValue,
+                            title: i.Title,
+                            coeff: i.Coeff,
+                            answer: i.Answer,
+                            cr: i.CR || '',
+                            severity: i.Severity || null,
+                            sortOrder: i.SortOrder
+                        }))
+                }))
+            }
+        };
+    }
+
+    /**
+     * Schema-specific colors, null when the schema uses the defaults
+     */
+    static async getCustomColors(pool, schemaId) {
+        const result = await pool.request()
+            .input('SchemaID', sql.Int, schemaId)
+            .query(`
+                IF OBJECT_ID('dbo.SchemaColors', 'U') IS NOT NULL
+                    SELECT * FROM SchemaColors WHERE SchemaID = @SchemaID
+                ELSE
+                    SELECT TOP 0 1 AS SchemaID
+            `);
+
+        const row = result.recordset[0];
+        if (!row) return null;
+
+        const colors = {};
+        for (const key of this.getColorKeys()) {
+            if (row[toColumnName(key)]) colors[key] = row[toColumnName(key)];
+        }
+        return colors;
+    }
+
+    // ==========================================
+    // EXCEL
+    // ==========================================
+
+    /**
+     * Write a package as an Excel workbook (Schema, Sections, Items, Categories, Colors, Departments sheets)
+     * @param {Object} pkg - Package from exportPackage
+     * @returns {Buffer} .xlsx file
+     */
+    static toWorkbook(pkg) {
+        const schema = pkg.schema;
+        const values = { ...schema, format: pkg.format, version: pkg.version, exportDate: pkg.exportDate, exportedBy: pkg.exportedBy };
+
+        const schemaRows = [['Field', 'Value']].concat(SCHEMA_SHEET_FIELDS.map(([key, label]) => [
+            label,
+            key === 'scoringModel' ? JSON.stringify(values.scoringModel) : values[key] ?? null
+        ]));
+
+        const itemRows = [ITEM_COLUMNS];
+        for (const section of schema.sections) {
+            for (const item of section.items) {
+                itemRows.push([section.sectionNumber, item.referenceValue, item.title, item.coeff, item.answer, item.cr, item.severity, item.sortOrder]);
+            }
+        }
+
+        return XlsxWorkbook.write([
+            { name: 'Schema', rows: schemaRows, columns: [{ width: 24 }, { width: 80 }] },
+            {
+                name: 'Sections',
+                rows: [['Section Number', 'Section Name', 'Icon', 'Passing Grade']]
+                    .concat(schema.sections.map(s => [s.sectionNumber, s.sectionName, s.sectionIcon, s.passingGrade])),
+                columns: [{ width: 16 }, { width: 40 }, { width: 8 }, { width: 14 }]
+            },
+            {
+                name: 'Items',
+                rows: itemRows,
+                columns: [{ width: 16 }, { width: 12 }, { width: 70 }, { width: 8 }, { width: 24 }, { width: 60 }, { width: 10 }, { width: 10 }]
+            },
+            {
+                name: 'Categories',
+                rows: [['Category', 'Display Order', 'Section Numbers']]
+                    .concat((schema.categories || []).map(c => [c.categoryName, c.displayOrder, c.sections.join(', ')])),
+                columns: [{ width: 30 }, { width: 14 }, { width: 30 }]
+            },
+            {
+                name: 'Colors',
+                rows: [['Color', 'Value']].concat(Object.entries(schema.colors || {})),
+                columns: [{ width: 26 }, { width: 12 }]
+            },
+            {
+                name: 'Departments',
+                rows: [['Department']].concat((schema.departments || []).map(d => [d])),
+                columns: [{ width: 30 }]
+            }
+        ]);
+    }
+
+    /**
+     * Read a package from an Excel workbook written by toWorkbook (or edited in Excel)
+     * @param {Buffer} buffer - .xlsx file
+     * @returns {Object} Package; cells that could not be read are listed in parseErrors
+     */
+    static fromWorkbook(buffer) {
+        const sheets = XlsxWorkbook.read(buffer);
+        const sheet = (name) => {
+            const found = sheets.find(s => s.name.trim().toLowerCase() === name.toLowerCase());
+            return found ? XlsxWorkbook.toObjects(found.rows) : null;
+        };
+        const parseErrors = [];
+
+        const schemaSheet = sheet('Schema');
+        const sectionsSheet = sheet('Sections');
+        const itemsSheet = sheet('Items');
+        if (!schemaSheet || !sectionsSheet || !itemsSheet) {
+            throw new Error('Workbook must contain Schema, Sections and Items sheets');
+        }
+
+        const fields = {};
+        for (const row of schemaSheet) {
+            const field = SCHEMA_SHEET_FIELDS.find(([, label]) => label.toLowerCase() === String(row.Field || '').trim().toLowerCase());
+            if (field) fields[field[0]] = row.Value;
+        }
+
+        let scoringModel = null;
+        if (!isBlank(fields.scoringModel)) {
+            try {
+                scoringModel = JSON.parse(fields.scoringModel);
+            } catch (error) {
+                parseErrors.push({ where: 'Schema › Scoring Model', message: `Not valid JSON: ${error.message}` });
+            }
+        }
+
+        const sections = sectionsSheet.map(row => ({
+            sectionNumber: toNumberOrNull(row['Section Number']),
+            sectionName: isBlank(row['Section Name']) ? '' : String(row['Section Name']).trim(),
+            sectionIcon: isBlank(row['Icon']) ? null : String(row['Icon']).trim(),
+            passingGrade: toNumberOrNull(row['Passing Grade']),
+            items: []
+        }));
+
+        itemsSheet.forEach((row, index) => {
+            const sectionNumber = toNumberOrNull(row['Section Number']);
+            const section = sections.find(s => s.sectionNumber === sectionNumber);
+            if (!section) {
+                parseErrors.push({ where: `Items › row ${index + 2}`, message: `Section number "${row['Section Number'] ?? ''}" is not on the Sections sheet` });
+                return;
+            }
+            section.items.push({
+                referenceValue: isBlank(row['Reference']) ? '' : String(row['Reference']).trim(),
+                title: isBlank(row['Title']) ? '' : String(row['Title']).trim(),
+                coeff: toNumberOrNull(row['Coeff']),
+                answer: isBlank(row['Answers']) ? null : String(row['Answers']).trim(),
+                cr: isBlank(row['Criteria (CR)']) ? '' : String(row['Criteria (CR)']),
+                severity: isBlank(row['Severity']) ? null : String(row['Severity']).trim(),
+                sortOrder: toNumberOrNull(row['Sort Order'])
+            });
+        });
+
+        const categories = (sheet('Categories') || []).map(row => ({
+            categoryName: isBlank(row['Category']) ? '' : String(row['Category']).trim(),
+            displayOrder: toNumberOrNull(row['Display Order']) ?? 0,
+            sections: isBlank(row['Section Numbers'])
+                ? []
+                : String(row['Section Numbers']).split(/[,;]/).map(s => toNumberOrNull(s.trim())).filter(s => s !== null)
+        }));
+
+        const colorRows = sheet('Colors') || [];
+        const colors = colorRows.length > 0 ? {} : null;
+        for (const row of colorRows) {
+            if (!isBlank(row['Color'])) colors[String(row['Color']).trim()] = isBlank(row['Value']) ? null : String(row['Value']).trim();
+        }
+
+        const departments = (sheet('Departments') || [])
+            .map(row => isBlank(row['Department']) ? null : String(row['Department']).trim())
+            .filter(Boolean);
+
+        return {
+            format: isBlank(fields.format) ? PACKAGE_FORMAT : String(fields.format).trim(),
+            version: isBlank(fields.version) ? PACKAGE_VERSION : String(fields.version).trim(),
+            exportDate: fields.exportDate || null,
+            exportedBy: fields.exportedBy || null,
+            parseErrors,
+            schema: {
+                schemaName: isBlank(fields.schemaName) ? '' : String(fields.schemaName).trim(),
+                description: isBlank(fields.description) ? '' : String(fields.description),
+                reportTitle: fields.reportTitle ?? null,
+                documentPrefix: fields.documentPrefix ?? null,
+                edition: isBlank(fields.edition) ? null : String(fields.edition),
+                creationDate: fields.creationDate ?? null,
+                revisionDate: fields.revisionDate ?? null,
+                overallPassingGrade: toNumberOrNull(fields.overallPassingGrade),
+                scoringModel,
+                colors,
+                departments,
+                categories,
+                sections
+            }
+        };
+    }
+
+    /**
+     * Read an uploaded package: { package } (JSON object) or { workbook } (base64 .xlsx)
+     * @param {Object} body - Request body
+     * @returns {Object} Package
+     */
+    static parseUpload(body) {
+        if (body && body.workbook) {
+            const base64 = String(body.workbook).replace(/^data:[^,]*,/, '');
+            return this.fromWorkbook(Buffer.from(base64, 'base64'));
+        }
+        if (body && body.package) {
+            return typeof body.package === 'string' ? JSON.parse(body.package) : body.package;
+        }
+        throw new Error('No package provided');
+    }
+
+    // ==========================================
+    // VALIDATION
+    // ==========================================
+
+    /**
+     * Check a package before import
+     * @param {Object} pool - SQL connection pool
+     * @param {Object} pkg - Package
+     * @param {Object} options - { mode: 'new' | 'merge', targetSchemaId, schemaName (override for new schemas) }
+     * @returns {Promise<Object>} { valid, errors: [{ where, message }], warnings: [...], summary }
+     */
+    static async validate(pool, pkg, options = {}) {
+        const errors = [...((pkg && pkg.parseErrors) || [])];
+        const warnings = [];
+        const mode = options.mode === 'merge' ? 'merge' : 'new';
+        const summary = { mode };
+
+        const schema = pkg && pkg.schema;
+        if (!schema || !Array.isArray(schema.sections)) {
+            errors.push({ where: 'Package', message: 'Not an audit template package (schema.sections missing)' });
+            return { valid: false, errors, warnings, summary };
+        }
+        if (pkg.format && pkg.format !== PACKAGE_FORMAT) {
+            errors.push({ where: 'Package', message: `Unknown package format "${pkg.format}"` });
+        }
+
+        // Target schema
+        const schemaName = String(options.schemaName || schema.schemaName || '').trim();
+        if (mode === 'new') {
+            if (!schemaName) {
+                errors.push({ where: 'Schema', message: 'Schema name is required' });
+            } else if (schemaName.length > 100) {
+                errors.push({ where: 'Schema', message: 'Schema name is longer than 100 characters' });
+            } else {
+                const existing = await pool.request()
+                    .input('SchemaName', sql.NVarChar(100), schemaName)
+                    .query(`SELECT SchemaID FROM AuditSchemas WHERE SchemaName = @SchemaName`);
+                if (existing.recordset.length > 0) {
+                    errors.push({ where: 'Schema', message: `A schema named "${schemaName}" already exists - choose another name or merge into it` });
+                }
+            }
+            summary.schemaName = schemaName;
+        } else {
+            const target = options.targetSchemaId
+                ? await pool.request()
+                    .input('SchemaID', sql.Int, options.targetSchemaId)
+                    .query(`SELECT SchemaID, SchemaName FROM AuditSchemas WHERE SchemaID = @SchemaID`)
+                : { recordset: [] };
+            if (target.recordset.length === 0) {
+                errors.push({ where: 'Schema', message: 'Target schema for merge not found' });
+            } else {
+                summary.schemaName = target.recordset[0].SchemaName;
+            }
+        }
+
+        // Scoring model (a merge without one keeps the target's model)
+        let model = mode === 'merge' && summary.schemaName
+            ? await ScoringModelService.getModelForSchema(pool, options.targetSchemaId)
+            : ScoringModelService.getDefaultModel();
+        if (schema.scoringModel) {
+            const modelErrors = ScoringModelService.validate(schema.scoringModel);
+            modelErrors.forEach(message => errors.push({ where: 'Scoring model', message }));
+            if (modelErrors.length === 0) model = ScoringModelService.normalize(schema.scoringModel);
+        }
+        const modelAnswers = ScoringModelService.getAnswerOptions(model);
+
+        const checkGrade = (value, where) => {
+            if (value === null || value === undefined) return;
+            if (typeof value !== 'number' || value < 0 || value > 100) {
+                errors.push({ where, message: `Passing grade must be a number from 0 to 100 (got "${value}")` });
+            }
+        };
+        checkGrade(schema.overallPassingGrade, 'Schema › Overall passing grade');
+
+        // Sections and items
+        if (schema.sections.length === 0) {
+            errors.push({ where: 'Sections', message: 'The package has no sections' });
+        }
+
+        const sectionNumbers = new Set();
+        const referencesSeen = new Map();
+        let itemCount = 0;
+
+        for (const section of schema.sections) {
+            const where = `Section ${section.sectionNumber ?? '?'}${section.sectionName ? ` (${section.sectionName})` : ''}`;
+
+            if (!Number.isInteger(section.sectionNumber) || section.sectionNumber < 1) {
+                errors.push({ where, message: 'Section number must be a whole number of 1 or more' });
+            } else if (sectionNumbers.has(section.sectionNumber)) {
+                errors.push({ where, message: 'Section number is used more than once' });
+            }
+            sectionNumbers.add(section.sectionNumber);
+
+            if (isBlank(section.sectionName)) {
+                errors.push({ where, message: 'Section name is required' });
+            } else if (section.sectionName.length > 200) {
+                errors.push({ where, message: 'Section name is longer than 200 characters' });
+            }
+            if (section.sectionIcon && section.sectionIcon.length > 10) {
+                errors.push({ where, message: 'Section icon is longer than 10 characters' });
+            }
+            checkGrade(section.passingGrade, `${where} › Passing grade`);
+
+            const items = section.items || [];
+            if (items.length === 0) {
+                warnings.push({ where, message: 'Section has no items' });
+            }
+
+            const sectionRefs = new Set();
+            for (const item of items) {
+                itemCount++;
+                const itemWhere = `${where} › ${item.referenceValue || 'item without reference'}`;
+
+                if (isBlank(item.referenceValue)) {
+                    errors.push({ where: itemWhere, message: 'Reference is required' });
+                } else if (String(item.referenceValue).length > 20) {
+                    errors.push({ where: itemWhere, message: 'Reference is longer than 20 characters' });
+                } else if (sectionRefs.has(item.referenceValue)) {
+                    errors.push({ where: itemWhere, message: 'Reference is used more than once in this section' });
+                } else if (referencesSeen.has(item.referenceValue)) {
+                    warnings.push({ where: itemWhere, message: `Reference is also used in section ${referencesSeen.get(item.referenceValue)}` });
+                }
+                sectionRefs.add(item.referenceValue);
+                referencesSeen.set(item.referenceValue, section.sectionNumber);
+
+                if (isBlank(item.title)) {
+                    errors.push({ where: itemWhere, message: 'Title is required' });
+                } else if (item.title.length > 1000) {
+                    errors.push({ where: itemWhere, message: 'Title is longer than 1000 characters' });
+                }
+                if (item.coeff === null || item.coeff === undefined) {
+                    warnings.push({ where: itemWhere, message: `No coefficient - ${model.defaultCoeff} will be used` });
+                } else if (!Number.isInteger(item.coeff) || item.coeff < 0) {
+                    errors.push({ where: itemWhere, message: `Coefficient must be a whole number of 0 or more (got "${item.coeff}")` });
+                }
+                if (item.answer && item.answer !== modelAnswers) {
+                    warnings.push({ where: itemWhere, message: `Answers "${item.answer}" will be aligned with the scoring model (${modelAnswers})` });
+                }
+                if (item.cr && item.cr.length > 2000) {
+                    errors.push({ where: itemWhere, message: 'Criteria (CR) is longer than 2000 characters' });
+                }
+                if (item.severity && !ScoringModelService.normalizeSeverity(item.severity)) {
+                    errors.push({ where: itemWhere, message: `Unknown severity "${item.severity}" (use ${ScoringModelService.getSeverities().join(', ')})` });
+                }
+            }
+        }
+
+        // Categories
+        const categorizedSections = new Map();
+        for (const category of schema.categories || []) {
+            const where = `Category ${category.categoryName || '?'}`;
+            if (isBlank(category.categoryName)) {
+                errors.push({ where, message: 'Category name is required' });
+            }
+            for (const number of category.sections || []) {
+                if (!sectionNumbers.has(number)) {
+                    errors.push({ where, message: `Section ${number} is not in the package` });
+                } else if (categorizedSections.has(number)) {
+                    warnings.push({ where, message: `Section ${number} is also in category ${categorizedSections.get(number)}` });
+                } else {
+                    categorizedSections.set(number, category.categoryName);
+                }
+            }
+        }
+
+        // Colors
+        const colorKeys = this.getColorKeys();
+        for (const [key, value] of Object.entries(schema.colors || {})) {
+            if (!colorKeys.includes(key)) {
+                warnings.push({ where: 'Colors', message: `Unknown color "${key}" will be ignored` });
+            } else if (value && !/^#[0-9a-f]{3}([0-9a-f]{3})?([0-9a-f]{2})?$/i.test(value)) {
+                errors.push({ where: 'Colors', message: `${key} is not a hex color (got "${value}")` });
+            }
+        }
+
+        // Departments are informational: escalations can only go to registered departments
+        const knownDepartments = await this.getKnownDepartments(pool);
+        for (const department of schema.departments || []) {
+            if (!knownDepartments.some(d => d.toLowerCase() === department.toLowerCase())) {
+                warnings.push({ where: 'Departments', message: `Department "${department}" is not registered in this environment` });
+            }
+        }
+
+        summary.sections = schema.sections.length;
+        summary.items = itemCount;
+        summary.categories = (schema.categories || []).length;
+        summary.hasScoringModel = !!schema.scoringModel;
+        summary.hasColors = !!schema.colors && Object.keys(schema.colors).length > 0;
+
+        if (mode === 'merge' && options.targetSchemaId && errors.length === 0) {
+            Object.assign(summary, await this.compareWithSchema(pool, schema, options.targetSchemaId));
+        }
+
+        return { valid: errors.length === 0, errors, warnings, summary };
+    }
+
+    /**
+     * Department codes and names of the department registry
+     */
+    static async getKnownDepartments(pool) {
+        const departments = await DepartmentService.getDepartments(pool, { includeInactive: true });
+        return Array.from(new Set(departments.flatMap(d => [d.code, d.name])));
+    }
+
+    /**
+     * Count what a merge would add or change in the target schema
+     */
+    static async compareWithSchema(pool, schema, targetSchemaId) {
+        const existing = await this.loadTargetSchema(pool, targetSchemaId);
+        const counts = { sectionsNew: 0, sectionsUpdated: 0, itemsNew: 0, itemsUpdated: 0, itemsUnchanged: 0, itemsKept: 0 };
+        const packageRefs = new Set();
+
+        for (const section of schema.sections) {
+            const target = existing.sections.get(section.sectionNumber);
+            if (!target) {
+                counts.sectionsNew++;
+                counts.itemsNew += (section.items || []).length;
+                continue;
+            }
+            if (target.SectionName !== section.sectionName || (section.sectionIcon && target.SectionIcon !== section.sectionIcon) || !target.IsActive) {
+                counts.sectionsUpdated++;
+            }
+            for (const item of section.items || []) {
+                packageRefs.add(`${section.sectionNumber}|${item.referenceValue}`);
+                const current = target.items.get(item.referenceValue);
+                if (!current) {
+                    counts.itemsNew++;
+                } else if (
+                    !current.IsActive ||
+                    current.Title !== item.title ||
+                    (item.coeff !== null && item.coeff !== undefined && current.Coeff !== item.coeff) ||
+                    (current.CR || '') !== (item.cr || '') ||
+                    (current.Severity || null) !== ScoringModelService.normalizeSeverity(item.severity)
+                ) {
+                    counts.itemsUpdated++;
+                } else {
+                    counts.itemsUnchanged++;
+                }
+            }
+        }
+
+        for (const [number, section] of existing.sections) {
+            for (const [ref, item] of section.items) {
+                if (item.IsActive && !packageRefs.has(`${number}|${ref}`)) counts.itemsKept++;
+            }
+        }
+        return counts;
+    }
+
+    static async loadTargetSchema(poolOrTransaction, schemaId) {
+        const sectionsResult = await poolOrTransaction.request()
+            .input('SchemaID', sql.Int, schemaId)
+            .query(`SELECT SectionID, SectionNumber, SectionName, SectionIcon, IsActive FROM AuditSections WHERE SchemaID = @SchemaID`);
+        const itemsResult = await poolOrTransaction.request()
+            .input('SchemaID', sql.Int, schemaId)
+            .query(`
+                SELECT i.ItemID, i.SectionID, i.ReferenceValue, i.Title, i.Coeff, i.CR, i.Severity, i.IsActive
+                FROM AuditItems i
+                INNER JOIN AuditSections s ON i.SectionID = s.SectionID
+                WHERE s.SchemaID = @SchemaID
+            `);
+
+        const sections = new Map();
+        for (const section of sectionsResult.recordset) {
+            sections.set(section.SectionNumber, { ...section, items: new Map() });
+        }
+        const byId = new Map(Array.from(sections.values()).map(s => [s.SectionID, s]));
+        for (const item of itemsResult.recordset) {
+            byId.get(item.SectionID).items.set(item.ReferenceValue, item);
+        }
+        return { sections };
+    }
+
+    // ==========================================
+    // IMPORT
+    // ==========================================
+
+    /**
+     * Import a package in one transaction
+     * Merge never deletes: sections are matched by number, items by reference,
+     * categories by name; anything not in the package is kept.
+     * @param {Object} pool - SQL connection pool
+     * @param {Object} pkg - Package
+     * @param {Object} options - { mode: 'new' | 'merge', targetSchemaId, schemaName, importedBy }
+     * @returns {Promise<Object>} { schemaId, schemaName, mode, counts, warnings }
+     */
+    static async importPackage(pool, pkg, options = {}) {
+        const report = await this.validate(pool, pkg, options);
+        if (!report.valid) {
+            const error = new Error(`Package has ${report.errors.length} error(s)`);
+            error.validation = report;
+            throw error;
+        }
+
+        const mode = report.summary.mode;
+        const schema = pkg.schema;
+        const importedBy = options.importedBy || null;
+        const model = schema.scoringModel ? ScoringModelService.normalize(schema.scoringModel) : null;
+        const itemModel = model || (mode === 'merge'
+            ? await ScoringModelService.getModelForSchema(pool, options.targetSchemaId)
+            : ScoringModelService.getDefaultModel());
+        const answers = ScoringModelService.getAnswerOptions(itemModel);
+        const defaultCoeff = itemModel.defaultCoeff;
+        const counts = { sectionsCreated: 0, sectionsUpdated: 0, itemsCreated: 0, itemsUpdated: 0, categories: 0 };
+
+        const hasColors = schema.colors && Object.keys(schema.colors).length > 0;
+        if (hasColors) {
+            await new SchemaColorsService(pool).ensureTableExists();
+        }
+        const schemaColumnsResult = await pool.request().query(`SELECT name FROM sys.columns WHERE object_id = OBJECT_ID('AuditSchemas')`);
+        const schemaColumns = new Set(schemaColumnsResult.recordset.map(r => r.name));
+
+        const transaction = new sql.Transaction(pool);
+        await transaction.begin();
+
+        try {
+            let schemaId = options.targetSchemaId;
+
+            if (mode === 'new') {
+                const created = await transaction.request()
+                    .input('SchemaName', sql.NVarChar(100), report.summary.schemaName)
+                    .input('Description', sql.NVarChar(500), schema.description || '')
+                    .input('CreatedBy', sql.NVarChar(255), importedBy)
+                    .query(`
+                        INSERT INTO AuditSchemas (SchemaName, Description, CreatedBy)
+                        OUTPUT INSERTED.SchemaID
+                        VALUES (@SchemaName, @Description, @CreatedBy)
+                    `);
+                schemaId = created.recordset[0].SchemaID;
+            } else if (!isBlank(schema.description)) {
+                await transaction.request()
+                    .input('SchemaID', sql.Int, schemaId)
+                    .input('Description', sql.NVarChar(500), schema.description)
+                    .input('ModifiedBy', sql.NVarChar(255), importedBy)
+                    .query(`UPDATE AuditSchemas SET Description = @Description, ModifiedBy = @ModifiedBy, ModifiedDate = GETDATE() WHERE SchemaID = @SchemaID`);
+            }
+
+            // Scoring model and checklist info
+            if (model) {
+                await transaction.request()
+                    .input('SchemaID', sql.Int, schemaId)
+                    .input('ScoringModel', sql.NVarChar(sql.MAX), JSON.stringify(model))
+                    .input('ModifiedBy', sql.NVarChar(255), importedBy)
+                    .query(`
+                        UPDATE AuditSchemas
+                        SET ScoringModel = @ScoringModel,
+                            ScoringModelModifiedBy = @ModifiedBy,
+                            ScoringModelModifiedDate = GETDATE()
+                        WHERE SchemaID = @SchemaID
+                    `);
+            }
+
+            const infoRequest = transaction.request().input('SchemaID', sql.Int, schemaId);
+            const infoSets = [];
+            for (const [key, column] of Object.entries(CHECKLIST_INFO_COLUMNS)) {
+                if (!schemaColumns.has(column) || isBlank(schema[key])) continue;
+                if (key === 'creationDate' || key === 'revisionDate') {
+                    const date = new Date(schema[key]);
+                    if (Number.isNaN(date.getTime())) continue;
+                    infoRequest.input(column, sql.Date, date);
+                } else {
+                    infoRequest.input(column, sql.NVarChar(200), String(schema[key]));
+                }
+                infoSets.push(`${column} = @${column}`);
+            }
+            if (infoSets.length > 0) {
+                await infoRequest.query(`UPDATE AuditSchemas SET ${infoSets.join(', ')} WHERE SchemaID = @SchemaID`);
+            }
+
+            // Sections and items
+            const existing = mode === 'merge' ? await this.loadTargetSchema(transaction, schemaId) : { sections: new Map() };
+            const sectionIds = new Map();
+
+            for (const section of schema.sections) {
+                let target = existing.sections.get(section.sectionNumber);
+                let sectionId;
+
+                if (target) {
+                    sectionId = target.SectionID;
+                    await transaction.request()
+                        .input('SectionID', sql.Int, sectionId)
+                        .input('SectionName', sql.NVarChar(200), section.sectionName)
+                        .input('SectionIcon', sql.NVarChar(10), section.sectionIcon || target.SectionIcon || '📋')
+                        .input('ModifiedBy', sql.NVarChar(255), importedBy)
+                        .query(`
+                            UPDATE AuditSections
+                            SET SectionName = @SectionName, SectionIcon = @SectionIcon, IsActive = 1,
+                                ModifiedBy = @ModifiedBy, ModifiedDate = GETDATE()
+                            WHERE SectionID = @SectionID
+                        `);
+                    counts.sectionsUpdated++;
+                } else {
+                    const created = await transaction.request()
+                        .input('SchemaID', sql.Int, schemaId)
+                        .input('SectionNumber', sql.Int, section.sectionNumber)
+                        .input('SectionName', sql.NVarChar(200), section.sectionName)
+                        .input('SectionIcon', sql.NVarChar(10), section.sectionIcon || '📋')
+                        .input('CreatedBy', sql.NVarChar(255), importedBy)
+                        .query(`
+                            INSERT INTO AuditSections (SchemaID, SectionNumber, SectionName, SectionIcon, CreatedBy)
+                            OUTPUT INSERTED.SectionID
+                            VALUES (@SchemaID, @SectionNumber, @SectionName, @SectionIcon, @CreatedBy)
+                        `);
+                    sectionId = created.recordset[0].SectionID;
+                    target = { items: new Map() };
+                    counts.sectionsCreated++;
+                }
+                sectionIds.set(section.sectionNumber, sectionId);
+
+                let sortOrder = 0;
+                for (const item of section.items || []) {
+                    sortOrder++;
+                    const request = transaction.request()
+                        .input('SectionID', sql.Int, sectionId)
+                        .input('ReferenceValue', sql.NVarChar(20), String(item.referenceValue))
+                        .input('Title', sql.NVarChar(1000), item.title)
+                        .input('Coeff', sql.Int, item.coeff ?? defaultCoeff)
+                        .input('Answer', sql.NVarChar(100), answers)
+                        .input('CR', sql.NVarChar(2000), item.cr || '')
+                        .input('Severity', sql.NVarChar(20), ScoringModelService.normalizeSeverity(item.severity))
+                        .input('SortOrder', sql.Int, Number.isInteger(item.sortOrder) ? item.sortOrder : sortOrder)
+                        .input('User', sql.NVarChar(255), importedBy);
+
+                    const current = target.items.get(String(item.referenceValue));
+                    if (current) {
+                        await request
+                            .input('ItemID', sql.Int, current.ItemID)
+                            .query(`
+                                UPDATE AuditItems
+                                SET Title = @Title, Coeff = @Coeff, Answer = @Answer, CR = @CR, Severity = @Severity,
+                                    SortOrder = @SortOrder, IsActive = 1, ModifiedBy = @User, ModifiedDate = GETDATE()
+                                WHERE ItemID = @ItemID
+                            `);
+                        counts.itemsUpdated++;
+                    } else {
+                        await request.query(`
+                            INSERT INTO AuditItems (SectionID, ReferenceValue, Title, Coeff, Answer, CR, Severity, SortOrder, CreatedBy)
+                            VALUES (@SectionID, @ReferenceValue, @Title, @Coeff, @Answer, @CR, @Severity, @SortOrder, @User)
+                        `);
+                        counts.itemsCreated++;
+                    }
+                }
+            }
+
+            // Items kept by a merge get the answer options of the imported model too
+            if (model && mode === 'merge') {
+                await transaction.request()
+                    .input('SchemaID', sql.Int, schemaId)
+                    .input('Answer', sql.NVarChar(100), answers)
+                    .query(`
+                        UPDATE AuditItems SET Answer = @Answer
+                        WHERE SectionID IN (SELECT SectionID FROM AuditSections WHERE SchemaID = @SchemaID)
+                          AND Answer <> @Answer
+                    `);
+            }
+
+            // Passing grades
+            const saveGrade = async (settingType, entityId, entityName, grade) => {
+                await transaction.request()
+                    .input('SchemaID', sql.Int, schemaId)
+                    .input('SettingType', sql.NVarChar(50), settingType)
+                    .input('EntityID', sql.Int, entityId)
+                    .input('EntityName', sql.NVarChar(200), entityName)
+                    .input('PassingGrade', sql.Int, Math.round(grade))
+                    .input('UpdatedBy', sql.NVarChar(255), importedBy)
+                    .query(`
+                        IF EXISTS (SELECT 1 FROM SystemSettings WHERE SchemaID = @SchemaID AND SettingType = @SettingType
+                                   AND (EntityID = @EntityID OR (@EntityID IS NULL AND EntityID IS NULL)))
+                            UPDATE SystemSettings
+                            SET PassingGrade = @PassingGrade, UpdatedAt = GETDATE(), UpdatedBy = @UpdatedBy
+                            WHERE SchemaID = @SchemaID AND SettingType = @SettingType
+                              AND (EntityID = @EntityID OR (@EntityID IS NULL AND EntityID IS NULL))
+                        ELSE IF @EntityID IS NULL
+                            INSERT INTO SystemSettings (SchemaID, SettingType, PassingGrade, UpdatedBy)
+                            VALUES (@SchemaID, @SettingType, @PassingGrade, @UpdatedBy)
+                        ELSE
+                            INSERT INTO SystemSettings (SchemaID, SettingType, EntityID, EntityName, PassingGrade, UpdatedBy)
+                            VALUES (@SchemaID, @SettingType, @EntityID, @EntityName, @PassingGrade, @UpdatedBy)
+                    `);
+            };
+
+            if (typeof schema.overallPassingGrade === 'number') {
+                await saveGrade('Overall', null, null, schema.overallPassingGrade);
+            }
+            for (const section of schema.sections) {
+                if (typeof section.passingGrade === 'number') {
+                    await saveGrade('Section', sectionIds.get(section.sectionNumber), section.sectionName, section.passingGrade);
+                }
+            }
+
+            // Categories (matched by name)
+            for (const category of schema.categories || []) {
+                const saved = await transaction.request()
+                    .input('SchemaID', sql.Int, schemaId)
+                    .input('CategoryName', sql.NVarChar(200), category.categoryName)
+                    .input('DisplayOrder', sql.Int, category.displayOrder || 0)
+                    .query(`
+                        DECLARE @CategoryID INT = (
+                            SELECT TOP 1 CategoryID FROM AuditCategories
+                            WHERE SchemaID = @SchemaID AND CategoryName = @CategoryName
+                        );
+                        IF @CategoryID IS NULL
+                        BEGIN
+                            INSERT INTO AuditCategories (CategoryName, DisplayOrder, SchemaID, IsActive)
+                            VALUES (@CategoryName, @DisplayOrder, @SchemaID, 1);
+                            SET @CategoryID = SCOPE_IDENTITY();
+                        END
+                        ELSE
+                            UPDATE AuditCategories SET DisplayOrder = @DisplayOrder, IsActive = 1, UpdatedAt = GETDATE()
+                            WHERE CategoryID = @CategoryID;
+                        SELECT @CategoryID AS CategoryID;
+                    `);
+                const categoryId = saved.recordset[0].CategoryID;
+
+                // Same as CategoryService.updateCategorySections: replace the section list
+                await transaction.request()
+                    .input('CategoryID', sql.Int, categoryId)
+                    .query(`DELETE FROM CategorySections WHERE CategoryID = @CategoryID`);
+
+                let order = 0;
+                for (const number of category.sections || []) {
+                    const sectionId = sectionIds.get(number);
+                    if (!sectionId) continue;
+                    await transaction.request()
+                        .input('CategoryID', sql.Int, categoryId)
+                        .input('SectionID', sql.Int, sectionId)
+                        .input('DisplayOrder', sql.Int, order++)
+                        .query(`INSERT INTO CategorySections (CategoryID, SectionID, DisplayOrder) VALUES (@CategoryID, @SectionID, @DisplayOrder)`);
+                }
+                counts.categories++;
+            }
+
+            // Colors (missing keys fall back to the defaults)
+            if (hasColors) {
+                const colors = { ...new SchemaColorsService().getDefaultColors() };
+                for (const key of Object.keys(colors)) {
+                    if (schema.colors[key]) colors[key] = schema.colors[key];
+                }
+                const keys = Object.keys(colors);
+                const request = transaction.request().input('SchemaID', sql.Int, schemaId);
+                keys.forEach(key => request.input(toColumnName(key), sql.NVarChar(20), colors[key]));
+                await request.query(`
+                    IF EXISTS (SELECT 1 FROM SchemaColors WHERE SchemaID = @SchemaID)
+                        UPDATE SchemaColors
+                        SET ${keys.map(k => `${toColumnName(k)} = @${toColumnName(k)}`).join(', ')}, UpdatedAt = GETDATE()
+                        WHERE SchemaID = @SchemaID
+                    ELSE
+                        INSERT INTO SchemaColors (SchemaID, ${keys.map(toColumnName).join(', ')})
+                        VALUES (@SchemaID, ${keys.map(k => `@${toColumnName(k)}`).join(', ')})
+                `);
+            }
+
+            await transaction.commit();
+
+            console.log(`📦 Imported template package into schema ${schemaId} (${mode}) by ${importedBy}: ` +
+                `${counts.sectionsCreated}+${counts.sectionsUpdated} sections, ${counts.itemsCreated}+${counts.itemsUpdated} items`);
+
+            return { schemaId, schemaName: report.summary.schemaName, mode, counts, warnings: report.warnings };
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+}
+
+module.exports = TemplatePackageService;
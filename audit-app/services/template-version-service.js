@@ -0,0 +1,416 @@
+/**
+ * Template Version Service
+ * Publishes immutable snapshots of an audit schema (sections, items, scoring model).
+ * AuditSections / AuditItems / AuditSchemas.ScoringModel are the editable draft;
+ * audits are pinned to the published version they were started on
+ * (AuditInstances.TemplateVersionID) so later template edits never change them.
+ */
+
+const sql = require('mssql');
+const ScoringModelService = require('./scoring-model-service');
+
+/**
+ * Item fields compared by diff()
+ */
+const ITEM_FIELDS = ['referenceValue', 'title', 'coeff', 'answer', 'cr', 'severity'];
+
+class TemplateVersionService {
+    // ==========================================
+    // SNAPSHOTS
+    // ==========================================
+
+    /**
+     * Build a snapshot of the current (draft) template
+     * @param {Object} pool - SQL connection pool
+     * @param {number} schemaId - Schema ID
+     * @returns {Promise<Object>} { schemaName, description, scoringModel, sections: [{ ..., items }] }
+     */
+    static async buildSnapshot(pool, schemaId) {
+        const schemaResult = await pool.request()
+            .input('SchemaID', sql.Int, schemaId)
+            .query(`SELECT SchemaName, Description, ScoringModel FROM AuditSchemas WHERE SchemaID = @SchemaID`);
+
+        if (schemaResult.recordset.length === 0) {
+            throw new Error('Schema not found');
+        }
+        const schema = schemaResult.recordset[0];
+
+        const sectionsResult = await pool.request()
+            .input('SchemaID', sql.Int, schemaId)
+            .query(`
+                SELECT SectionID, SectionNumber, SectionName, SectionIcon
+                FROM AuditSections
+                WHERE SchemaID = @SchemaID AND IsActive = 1
+                ORDER BY SectionNumber
+            `);
+
+        const itemsResult = await pool.request()
+            .input('SchemaID', sql.Int, schemaId)
+            .query(`
+                SELECT i.ItemID, i.SectionID, i.ReferenceValue, i.Title, i.Coeff, i.Answer, i.CR, i.Severity, i.SortOrder
+                FROM AuditItems i
+                INNER JOIN AuditSections s ON i.SectionID = s.SectionID
+                WHERE s.SchemaID = @SchemaID AND s.IsActive = 1 AND i.IsActive = 1
+                ORDER BY s.SectionNumber, i.SortOrder, i.ReferenceValue
+            `);
+
+        const sections = sectionsResult.recordset.map(s => ({
+            sectionId: s.SectionID,
+            sectionNumber: s.SectionNumber,
+            sectionName: s.SectionName,
+            sectionIcon: s.SectionIcon || null,
+            items: itemsResult.recordset
+                .filter(i => i.SectionID === s.SectionID)
+                .map(i => ({
+                    itemId: i.ItemID,
+                    referenceValue: i.ReferenceValue,
+                    title: i.Title,
+                    coeff: i.Coeff,
+                    answer: i.Answer,
+                    cr: i.CR || null,
+                    severity: ScoringModelService.normalizeSeverity(i.Severity),
+                    sortOrder: i.SortOrder
+                }))
+        }));
+
+        return {
+            schemaName: schema.SchemaName,
+            description: schema.Description || null,
+            scoringModel: ScoringModelService.normalize(schema.ScoringModel),
+            sections
+        };
+    }
+
+    static countItems(snapshot) {
+        return (snapshot.sections || []).reduce((sum, s) => sum + (s.items || []).length, 0);
+    }
+
+    static mapVersion(row, includeSnapshot = false) {
+        const version = {
+            versionId: row.VersionID,
+            schemaId: row.SchemaID,
+            versionNumber: row.VersionNumber,
+            itemCount: row.ItemCount,
+            notes: row.Notes || null,
+            publishedBy: row.PublishedBy || null,
+            publishedDate: row.PublishedDate
+        };
+        if (row.AuditCount !== undefined) {
+            version.auditCount = row.AuditCount;
+        }
+        if (includeSnapshot) {
+            version.snapshot = JSON.parse(row.Snapshot);
+        }
+        return version;
+    }
+
+    // ==========================================
+    // VERSIONS
+    // ==========================================
+
+    /**
+     * List published versions of a schema, newest first
+     * @param {Object} pool - SQL connection pool
+     * @param {number} schemaId - Schema ID
+     * @returns {Promise<Array<Object>>} Versions with the number of audits pinned to each
+     */
+    static async getVersions(pool, schemaId) {
+        const result = await pool.request()
+            .input('SchemaID', sql.Int, schemaId)
+            .query(`
+                SELECT v.VersionID, v.SchemaID, v.VersionNumber, v.ItemCount, v.Notes, v.PublishedBy, v.PublishedDate,
+                    (SELECT COUNT(*) FROM AuditInstances a WHERE a.TemplateVersionID = v.VersionID) AS AuditCount
+                FROM AuditSchemaVersions v
+                WHERE v.SchemaID = @SchemaID
+                ORDER BY v.VersionNumber DESC
+            `);
+        return result.recordset.map(row => this.mapVersion(row));
+    }
+
+    /**
+     * Get one version of a schema with its snapshot
+     * @param {Object} pool - SQL connection pool
+     * @param {number} schemaId - Schema ID
+     * @param {number} versionNumber - Version number
+     * @returns {Promise<Object|null>}
+     */
+    static async getVersion(pool, schemaId, versionNumber) {
+        const result = await pool.request()
+            .input('SchemaID', sql.Int, schemaId)
+            .input('VersionNumber', sql.Int, versionNumber)
+            .query(`
+                SELECT * FROM AuditSchemaVersions
+                WHERE SchemaID = @SchemaID AND VersionNumber = @VersionNumber
+            `);
+        return result.recordset.length > 0 ? this.mapVersion(result.recordset[0], true) : null;
+    }
+
+    /**
+     * Get a version with its snapshot by ID
+     * @param {Object} pool - SQL connection pool
+     * @param {number} versionId - Version ID
+     * @returns {Promise<Object|null>}
+     */
+    static async getVersionById(pool, versionId) {
+        if (!versionId) return null;
+        const result = await pool.request()
+            .input('VersionID', sql.Int, versionId)
+            .query(`SELECT * FROM AuditSchemaVersions WHERE VersionID = @VersionID`);
+        return result.recordset.length > 0 ? this.mapVersion(result.recordset[0], true) : null;
+    }
+
+    /**
+     * Get the latest published version of a schema with its snapshot
+     * @param {Object} pool - SQL connection pool
+     * @param {number} schemaId - Schema ID
+     * @returns {Promise<Object|null>} null when the schema was never published
+     */
+    static async getLatestVersion(pool, schemaId) {
+        const result = await pool.request()
+            .input('SchemaID', sql.Int, schemaId)
+            .query(`
+                SELECT TOP 1 * FROM AuditSchemaVersions
+                WHERE SchemaID = @SchemaID
+                ORDER BY VersionNumber DESC
+            `);
+        return result.recordset.length > 0 ? this.mapVersion(result.recordset[0], true) : null;
+    }
+
+    /**
+     * Whether a section or one of its items is part of a published version or of an audit
+     * Such rows cannot be deleted: audits started on the version insert responses for their ItemIDs.
+     * @param {Object} pool - SQL connection pool
+     * @param {number} sectionId - Section ID
+     * @returns {Promise<boolean>}
+     */
+    static async isSectionInUse(pool, sectionId) {
+        const result = await pool.request()
+            .input('SectionID', sql.Int, sectionId)
+            .query(`
+                SELECT CASE WHEN EXISTS (
+                    SELECT 1
+                    FROM AuditSchemaVersions v
+                    INNER JOIN AuditSections sec ON sec.SchemaID = v.SchemaID AND sec.SectionID = @SectionID
+                    CROSS APPLY OPENJSON(v.Snapshot, '$.sections')
+                        WITH (sectionId INT '$.sectionId', items NVARCHAR(MAX) '$.items' AS JSON) s
+                    OUTER APPLY OPENJSON(s.items) WITH (itemId INT '$.itemId') i
+                    WHERE s.sectionId = @SectionID
+                       OR i.itemId IN (SELECT ItemID FROM AuditItems WHERE SectionID = @SectionID)
+                ) OR EXISTS (
+                    SELECT 1 FROM AuditResponses r
+                    WHERE r.SectionID = @SectionID
+                       OR r.ItemID IN (SELECT ItemID FROM AuditItems WHERE SectionID = @SectionID)
+                ) THEN 1 ELSE 0 END AS InUse
+            `);
+        return result.recordset[0].InUse === 1;
+    }
+
+    /**
+     * Publish the current draft as a new version
+     * @param {Object} pool - SQL connection pool
+     * @param {number} schemaId - Schema ID
+     * @param {string} notes - Release notes
+     * @param {string} publishedBy - User publishing
+     * @param {Object} options - { allowUnchanged: publish even if nothing changed since the last version }
+     * @returns {Promise<Object>} Published version (without snapshot) and the changes it contains
+     */
+    static async publishVersion(pool, schemaId, notes, publishedBy, options = {}) {
+        const snapshot = await this.buildSnapshot(pool, schemaId);
+        const itemCount = this.countItems(snapshot);
+
+        if (itemCount === 0) {
+            throw new Error('Cannot publish a template without items');
+        }
+
+        const latest = await this.getLatestVersion(pool, schemaId);
+        const changes = latest ? this.diff(latest.snapshot, snapshot) : null;
+
+        if (latest && !changes.hasChanges && !options.allowUnchanged) {
+            throw new Error(`No changes since version ${latest.versionNumber}`);
+        }
+
+        const transaction = new sql.Transaction(pool);
+        await transaction.begin();
+
+        try {
+            // UPDLOCK/HOLDLOCK so two publishers cannot take the same number
+            const result = await transaction.request()
+                .input('SchemaID', sql.Int, schemaId)
+                .input('Snapshot', sql.NVarChar(sql.MAX), JSON.stringify(snapshot))
+                .input('ItemCount', sql.Int, itemCount)
+                .input('Notes', sql.NVarChar(1000), notes || null)
+                .input('PublishedBy', sql.NVarChar(255), publishedBy || null)
+                .query(`
+                    DECLARE @VersionNumber INT = (
+                        SELECT ISNULL(MAX(VersionNumber), 0) + 1
+                        FROM AuditSchemaVersions WITH (UPDLOCK, HOLDLOCK)
+                        WHERE SchemaID = @SchemaID
+                    );
+
+                    INSERT INTO AuditSchemaVersions (SchemaID, VersionNumber, Snapshot, ItemCount, Notes, PublishedBy, PublishedDate)
+                    OUTPUT INSERTED.VersionID, INSERTED.SchemaID, INSERTED.VersionNumber, INSERTED.ItemCount,
+                           INSERTED.Notes, INSERTED.PublishedBy, INSERTED.PublishedDate
+                    VALUES (@SchemaID, @VersionNumber, @Snapshot, @ItemCount, @Notes, @PublishedBy, GETDATE());
+                `);
+
+            await transaction.commit();
+
+            const version = this.mapVersion(result.recordset[0]);
+            console.log(`🗂️ Published schema ${schemaId} v${version.versionNumber} (${itemCount} items) by ${publishedBy}`);
+            return { ...version, changes };
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Latest published version, publishing version 1 when the schema has none yet
+     * (schemas created before versioning are published on their first new audit)
+     * @param {Object} pool - SQL connection pool
+     * @param {number} schemaId - Schema ID
+     * @param {string} publishedBy - User starting the audit
+     * @returns {Promise<Object>} Version with snapshot
+     */
+    static async ensurePublishedVersion(pool, schemaId, publishedBy) {
+        const latest = await this.getLatestVersion(pool, schemaId);
+        if (latest) return latest;
+
+        try {
+            await this.publishVersion(pool, schemaId, 'Initial version (published automatically)', publishedBy);
+        } catch (error) {
+            // Another request may have published version 1 at the same time
+            if (!/UQ_AuditSchemaVersion|duplicate key/i.test(error.message)) throw error;
+        }
+        return this.getLatestVersion(pool, schemaId);
+    }
+
+    // ==========================================
+    // DIFF
+    // ==========================================
+
+    /**
+     * Compare two snapshots. Sections and items are matched by ID so a renamed
+     * section or a renumbered item shows as changed rather than removed + added.
+     * @param {Object} from - Older snapshot
+     * @param {Object} to - Newer snapshot
+     * @returns {Object} { hasChanges, summary, sections: { added, removed, changed }, items: { added, removed, changed }, scoringModel }
+     */
+    static diff(from, to) {
+        const flatten = (snapshot) => {
+            const sections = new Map();
+            const items = new Map();
+            for (const section of (snapshot && snapshot.sections) || []) {
+                sections.set(section.sectionId, section);
+                for (const item of section.items || []) {
+                    items.set(item.itemId, { ...item, sectionId: section.sectionId, sectionName: section.sectionName });
+                }
+            }
+            return { sections, items };
+        };
+
+        const a = flatten(from);
+        const b = flatten(to);
+        const describeItem = (item) => ({
+            itemId: item.itemId,
+            referenceValue: item.referenceValue,
+            title: item.title,
+            sectionName: item.sectionName
+        });
+
+        const sections = { added: [], removed: [], changed: [] };
+        for (const [id, section] of b.sections) {
+            const old = a.sections.get(id);
+            if (!old) {
+                sections.added.push({ sectionId: id, sectionNumber: section.sectionNumber, sectionName: section.sectionName });
+                continue;
+            }
+            const changes = ['sectionNumber', 'sectionName', 'sectionIcon']
+                .filter(f => (old[f] ?? null) !== (section[f] ?? null))
+                .map(f => ({ field: f, from: old[f] ?? null, to: section[f] ?? null }));
+            if (changes.length > 0) {
+                sections.changed.push({ sectionId: id, sectionName: section.sectionName, changes });
+            }
+        }
+        for (const [id, section] of a.sections) {
+            if (!b.sections.has(id)) {
+                sections.removed.push({ sectionId: id, sectionNumber: section.sectionNumber, sectionName: section.sectionName });
+            }
+        }
+
+        const items = { added: [], removed: [], changed: [] };
+        for (const [id, item] of b.items) {
+            const old = a.items.get(id);
+            if (!old) {
+                items.added.push(describeItem(item));
+                continue;
+            }
+            const changes = ITEM_FIELDS
+                .filter(f => (old[f] ?? null) !== (item[f] ?? null))
+                .map(f => ({ field: f, from: old[f] ?? null, to: item[f] ?? null }));
+            // Moved to another section (a renamed section is reported once, under sections)
+            if (old.sectionId !== item.sectionId) {
+                changes.push({ field: 'sectionName', from: old.sectionName, to: item.sectionName });
+            }
+            if (changes.length > 0) {
+                items.changed.push({ ...describeItem(item), changes });
+            }
+        }
+        for (const [id, item] of a.items) {
+            if (!b.items.has(id)) {
+                items.removed.push(describeItem(item));
+            }
+        }
+
+        const modelA = ScoringModelService.normalize(from ? from.scoringModel : null);
+        const modelB = ScoringModelService.normalize(to ? to.scoringModel : null);
+        const scoringModel = { changed: JSON.stringify(modelA) !== JSON.stringify(modelB), from: modelA, to: modelB };
+
+        const summary = {
+            sectionsAdded: sections.added.length,
+            sectionsRemoved: sections.removed.length,
+            sectionsChanged: sections.changed.length,
+            itemsAdded: items.added.length,
+            itemsRemoved: items.removed.length,
+            itemsChanged: items.changed.length,
+            scoringModelChanged: scoringModel.changed
+        };
+
+        const hasChanges = scoringModel.changed ||
+            Object.keys(summary).some(k => typeof summary[k] === 'number' && summary[k] > 0);
+
+        return { hasChanges, summary, sections, items, scoringModel };
+    }
+
+    /**
+     * Compare two versions of a schema; 'draft' stands for the current working copy
+     * @param {Object} pool - SQL connection pool
+     * @param {number} schemaId - Schema ID
+     * @param {number|string} fromVersion - Version number or 'draft'
+     * @param {number|string} toVersion - Version number or 'draft'
+     * @returns {Promise<Object>} { from, to, ...diff }
+     */
+    static async diffVersions(pool, schemaId, fromVersion, toVersion) {
+        const load = async (v) => {
+            if (v === 'draft') {
+                return { label: 'Draft', versionNumber: null, snapshot: await this.buildSnapshot(pool, schemaId) };
+            }
+            const version = await this.getVersion(pool, schemaId, parseInt(v));
+            if (!version) {
+                throw new Error(`Version ${v} not found`);
+            }
+            return { label: `v${version.versionNumber}`, versionNumber: version.versionNumber, snapshot: version.snapshot };
+        };
+
+        const from = await load(fromVersion);
+        const to = await load(toVersion);
+
+        return {
+            from: { label: from.label, versionNumber: from.versionNumber },
+            to: { label: to.label, versionNumber: to.versionNumber },
+            ...this.diff(from.snapshot, to.snapshot)
+        };
+    }
+}
+
+module.exports = TemplateVersionService;
@@ -0,0 +1,577 @@
+/**
+ * Work Order Service
+ * Turns escalated findings into trackable work orders, one per escalated
+ * response and department (AuditResponseDepartments). A work order has an
+ * assignee inside the department, a due date derived from the finding's
+ * priority, a status, estimated / actual costs and completion photos.
+ * Every change is recorded in WorkOrderHistory.
+ */
+
+const sql = require('mssql');
+const FileStorageService = require('../../services/file-storage-service');
+const DepartmentService = require('./department-service');
+
+const STATUSES = ['Open', 'Assigned', 'InProgress', 'OnHold', 'Completed', 'Cancelled'];
+const CLOSED_STATUSES = ['Completed', 'Cancelled'];
+
+// Days to fix a finding, by priority (calendar days from escalation)
+const DUE_DAYS_BY_PRIORITY = { High: 2, Medium: 7, Low: 14 };
+const DEFAULT_DUE_DAYS = DUE_DAYS_BY_PRIORITY.Medium;
+
+// Roles that manage the work orders of every department
+const MANAGER_ROLES = ['Admin', 'SuperAuditor'];
+
+// Completion photo formats with their file signature; the stored extension comes from here only
+const PHOTO_TYPES = {
+    'image/jpeg': { extension: '.jpg', matches: (b) => b.length > 2 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    'image/png': { extension: '.png', matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    'image/gif': { extension: '.gif', matches: (b) => /^GIF8[79]a$/.test(b.toString('latin1', 0, 6)) },
+    'image/webp': { extension: '.webp', matches: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' }
+};
+const MAX_PHOTO_BYTES = 10 * 1024 * 1024;
+
+function validationError(message) {
+    const error = new Error(message);
+    error.details = [message];
+    return error;
+}
+
+function mapRow(row) {
+    const isClosed = CLOSED_STATUSES.includes(row.Status);
+    return {
+        workOrderId: row.WorkOrderID,
+        responseId: row.ResponseID,
+        auditId: row.AuditID,
+        documentNumber: row.DocumentNumber,
+        storeCode: row.StoreCode,
+        storeName: row.StoreName,
+        referenceValue: row.ReferenceValue,
+        title: row.Title,
+        finding: row.Finding,
+        priority: row.Priority,
+        department: row.DepartmentCode,
+        departmentName: row.DepartmentName,
+        departmentIcon: row.DepartmentIcon,
+        departmentColor: row.DepartmentColor,
+        status: row.Status,
+        assignedToUserId: row.AssignedToUserID,
+        assignedToName: row.AssignedToName,
+        assignedToEmail: row.AssignedToEmail,
+        dueDate: row.DueDate,
+        overdue: !isClosed && row.IsOverdue === 1,
+        estimatedCost: row.EstimatedCost !== null && row.EstimatedCost !== undefined ? Number(row.EstimatedCost) : null,
+        actualCost: row.ActualCost !== null && row.ActualCost !== undefined ? Number(row.ActualCost) : null,
+        completionNotes: row.CompletionNotes,
+        completedAt: row.CompletedAt,
+        completedBy: row.CompletedBy,
+        photoCount: row.PhotoCount || 0,
+        createdAt: row.CreatedAt,
+        updatedAt: row.UpdatedAt,
+        updatedBy: row.UpdatedBy
+    };
+}
+
+const SELECT_WORK_ORDERS = `
+    SELECT w.*, d.Code AS DepartmentCode, d.Name AS DepartmentName, d.Icon AS DepartmentIcon, d.Color AS DepartmentColor,
+           CASE WHEN w.DueDate < CAST(GETDATE() AS DATE) THEN 1 ELSE 0 END AS IsOverdue,
+           (SELECT COUNT(*) FROM WorkOrderPhotos p WHERE p.WorkOrderID = w.WorkOrderID) AS PhotoCount
+    FROM WorkOrders w
+    INNER JOIN Departments d ON w.DepartmentID = d.DepartmentID
+`;
+
+class WorkOrderService {
+    static get STATUSES() {
+        return STATUSES;
+    }
+
+    /**
+     * Days to fix a finding of a priority
+     * @param {string} priority - High, Medium or Low
+     * @returns {number}
+     */
+    static dueDaysFor(priority) {
+        return DUE_DAYS_BY_PRIORITY[priority] || DEFAULT_DUE_DAYS;
+    }
+
+    /**
+     * What a user may do with the work orders of a department:
+     * managers and the department head everything, department members
+     * (assigned_department) view the queue and update orders assigned to them.
+     * @param {Object} user - Current user
+     * @param {string} code - Department code
+     * @returns {{ view: boolean, manage: boolean, member: boolean }}
+     */
+    static getAccess(user, code) {
+        if (!user) return { view: false, manage: false, member: false };
+        if (MANAGER_ROLES.includes(user.role)) return { view: true, manage: true, member: false };
+
+        const same = value => Boolean(value) && String(value).toLowerCase() === String(code).toLowerCase();
+        if (same(DepartmentService.departmentForRole(user.role))) return { view: true, manage: true, member: true };
+        if (same(user.assignedDepartment)) return { view: true, manage: false, member: true };
+        return { view: false, manage: false, member: false };
+    }
+
+    /**
+     * Department whose queue a user sees by default (null = all, for managers)
+     * @param {Object} user - Current user
+     * @returns {string|null}
+     */
+    static getOwnDepartment(user) {
+        if (!user || MANAGER_ROLES.includes(user.role)) return null;
+        return DepartmentService.departmentForRole(user.role) || user.assignedDepartment || null;
+    }
+
+    /**
+     * Create work orders for escalated responses of an audit that do not have one
+     * yet, and cancel open work orders whose escalation was removed
+     * @param {Object} pool - SQL connection pool
+     * @param {number} auditId - Audit ID
+     * @param {string} createdBy - Email of the user that triggered the sync
+     * @param {string} departmentCode - Limit to one department (null = all)
+     * @returns {Promise<{ created: number, cancelled: number }>}
+     */
+    static async syncAudit(pool, auditId, createdBy, departmentCode = null) {
+        const transaction = new sql.Transaction(pool);
+        await transaction.begin();
+
+        try {
+            const result = await transaction.request()
+                .input('AuditID', sql.Int, auditId)
+                .input('Code', sql.NVarChar(50), departmentCode)
+                .input('CreatedBy', sql.NVarChar(255), createdBy || 'System')
+                .input('HighDays', sql.Int, DUE_DAYS_BY_PRIORITY.High)
+                .input('MediumDays', sql.Int, DUE_DAYS_BY_PRIORITY.Medium)
+                .input('LowDays', sql.Int, DUE_DAYS_BY_PRIORITY.Low)
+                .query(`
+                    DECLARE @Created TABLE (WorkOrderID INT);
+                    DECLARE @Cancelled TABLE (WorkOrderID INT, OldStatus NVARCHAR(20));
+
+                    INSERT INTO WorkOrders (ResponseID, DepartmentID, AuditID, DocumentNumber, StoreCode, StoreName,
+                                            ReferenceValue, Title, Finding, Priority, DueDate, CreatedBy)
+                    OUTPUT INSERTED.WorkOrderID INTO @Created
+                    SELECT r.ResponseID, rd.DepartmentID, a.AuditID, a.DocumentNumber, a.StoreCode, a.StoreName,
+                           r.ReferenceValue, r.Title, r.Finding, r.Priority,
+                           DATEADD(DAY, CASE r.Priority WHEN 'High' THEN @HighDays WHEN 'Low' THEN @LowDays ELSE @MediumDays END,
+                                   CAST(GETDATE() AS DATE)),
+                           @CreatedBy
+                    FROM AuditResponseDepartments rd
+                    INNER JOIN AuditResponses r ON rd.ResponseID = r.ResponseID
+                    INNER JOIN AuditInstances a ON r.AuditID = a.AuditID
+                    INNER JOIN Departments d ON rd.DepartmentID = d.DepartmentID
+                    WHERE r.AuditID = @AuditID AND r.Escalate = 1
+                      AND (@Code IS NULL OR d.Code = @Code)
+                      AND NOT EXISTS (SELECT 1 FROM WorkOrders w WHERE w.ResponseID = rd.ResponseID AND w.DepartmentID = rd.DepartmentID);
+
+                    UPDATE w
+                    SET Status = 'Cancelled', UpdatedAt = GETDATE(), UpdatedBy = @CreatedBy
+                    OUTPUT INSERTED.WorkOrderID, DELETED.Status INTO @Cancelled
+                    FROM WorkOrders w
+                    INNER JOIN Departments d ON w.DepartmentID = d.DepartmentID
+                    INNER JOIN AuditResponses r ON w.ResponseID = r.ResponseID
+                    WHERE w.AuditID = @AuditID
+                      AND (@Code IS NULL OR d.Code = @Code)
+                      AND w.Status NOT IN ('Completed', 'Cancelled')
+                      AND (ISNULL(r.Escalate, 0) = 0
+                           OR NOT EXISTS (SELECT 1 FROM AuditResponseDepartments rd WHERE rd.ResponseID = w.ResponseID AND rd.DepartmentID = w.DepartmentID));
+
+                    INSERT INTO WorkOrderHistory (WorkOrderID, FieldChanged, NewValue, Comment, ChangedBy)
+                    SELECT WorkOrderID, 'Status', 'Open', 'Created from escalated finding', @CreatedBy FROM @Created;
+
+                    INSERT INTO WorkOrderHistory (WorkOrderID, FieldChanged, OldValue, NewValue, Comment, ChangedBy)
+                    SELECT WorkOrderID, 'Status', OldStatus, 'Cancelled', 'Escalation removed from the finding', @CreatedBy FROM @Cancelled;
+
+                    SELECT (SELECT COUNT(*) FROM @Created) AS Created, (SELECT COUNT(*) FROM @Cancelled) AS Cancelled;
+                `);
+
+            await transaction.commit();
+            const { Created, Cancelled } = result.recordset[0];
+            return { created: Created, cancelled: Cancelled };
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Work order queue
+     * @param {Object} pool - SQL connection pool
+     * @param {Object} filters - { department, status ('open' = not closed), storeCode, assignedToUserId, overdue, auditId }
+     * @returns {Promise<{ workOrders: Array, stats: Object }>}
+     */
+    static async getWorkOrders(pool, filters = {}) {
+        const request = pool.request();
+        const conditions = [];
+
+        if (filters.department) {
+            request.input('Code', sql.NVarChar(50), filters.department);
+            conditions.push('d.Code = @Code');
+        }
+        if (filters.status === 'open') {
+            conditions.push(`w.Status NOT IN ('${CLOSED_STATUSES.join("', '")}')`);
+        } else if (filters.status) {
+            request.input('Status', sql.NVarChar(20), filters.status);
+            conditions.push('w.Status = @Status');
+        }
+        if (filters.storeCode) {
+            request.input('StoreCode', sql.NVarChar(50), filters.storeCode);
+            conditions.push('w.StoreCode = @StoreCode');
+        }
+        if (filters.assignedToUserId) {
+            request.input('AssignedToUserID', sql.Int, filters.assignedToUserId);
+            conditions.push('w.AssignedToUserID = @AssignedToUserID');
+        }
+        if (filters.overdue) {
+            conditions.push(`w.DueDate < CAST(GETDATE() AS DATE) AND w.Status NOT IN ('${CLOSED_STATUSES.join("', '")}')`);
+        }
+        if (filters.auditId) {
+            request.input('AuditID', sql.Int, filters.auditId);
+            conditions.push('w.AuditID = @AuditID');
+        }
+
+        const result = await request.query(`
+            ${SELECT_WORK_ORDERS}
+            ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+            ORDER BY CASE WHEN w.Status IN ('${CLOSED_STATUSES.join("', '")}') THEN 1 ELSE 0 END, w.DueDate, w.WorkOrderID
+        `);
+
+        const workOrders = result.recordset.map(mapRow);
+        const stats = { total: workOrders.length, overdue: workOrders.filter(w => w.overdue).length };
+        STATUSES.forEach(status => {
+            stats[status] = workOrders.filter(w => w.status === status).length;
+        });
+
+        return { workOrders, stats };
+    }
+
+    /**
+     * Work order with photos and history
+     * @param {Object} pool - SQL connection pool
+     * @param {number} workOrderId - Work order ID
+     * @returns {Promise<Object|null>}
+     */
+    static async getWorkOrder(pool, workOrderId) {
+        const result = await pool.request()
+            .input('WorkOrderID', sql.Int, workOrderId)
+            .query(`${SELECT_WORK_ORDERS} WHERE w.WorkOrderID = @WorkOrderID`);
+
+        if (result.recordset.length === 0) return null;
+        const workOrder = mapRow(result.recordset[0]);
+
+        const photosResult = await pool.request()
+            .input('WorkOrderID', sql.Int, workOrderId)
+            .query(`
+                SELECT PhotoID, FileName, ContentType, FilePath, UploadedBy, UploadedAt
+                FROM WorkOrderPhotos WHERE WorkOrderID = @WorkOrderID
+                ORDER BY UploadedAt
+            `);
+
+        const historyResult = await pool.request()
+            .input('WorkOrderID', sql.Int, workOrderId)
+            .query(`
+                SELECT FieldChanged, OldValue, NewValue, Comment, ChangedBy, ChangedAt
+                FROM WorkOrderHistory WHERE WorkOrderID = @WorkOrderID
+                ORDER BY ChangedAt DESC, HistoryID DESC
+            `);
+
+        workOrder.photos = photosResult.recordset.map(row => ({
+            photoId: row.PhotoID,
+            fileName: row.FileName,
+            url: `/api/pictures/file/${row.FilePath}`,
+            uploadedBy: row.UploadedBy,
+            uploadedAt: row.UploadedAt
+        }));
+        workOrder.history = historyResult.recordset.map(row => ({
+            field: row.FieldChanged,
+            oldValue: row.OldValue,
+            newValue: row.NewValue,
+            comment: row.Comment,
+            changedBy: row.ChangedBy,
+            changedAt: row.ChangedAt
+        }));
+
+        return workOrder;
+    }
+
+    /**
+     * Users a work order of a department can be assigned to (department head
+     * and users whose assigned department it is)
+     * @param {Object} pool - SQL connection pool
+     * @param {string} code - Department code
+     * @returns {Promise<Array>}
+     */
+    static async getAssignees(pool, code) {
+        const department = await DepartmentService.getDepartment(pool, code);
+        if (!department) return [];
+
+        const result = await pool.request()
+            .input('RoleName', sql.NVarChar(50), department.roleName)
+            .input('Code', sql.NVarChar(50), department.code)
+            .query(`
+                SELECT id, email, display_name, role
+                FROM Users
+                WHERE is_active = 1 AND (role = @RoleName OR assigned_department = @Code)
+                ORDER BY display_name
+            `);
+
+        return result.recordset.map(row => ({
+            userId: row.id,
+            email: row.email,
+            name: row.display_name || row.email,
+            role: row.role
+        }));
+    }
+
+    /**
+     * Update a work order (status, assignee, due date, costs, notes)
+     * @param {Object} pool - SQL connection pool
+     * @param {number} workOrderId - Work order ID
+     * @param {Object} data - { status, assignedToUserId, dueDate, estimatedCost, actualCost, completionNotes, comment }
+     * @param {Object} user - Current user
+     * @returns {Promise<Object>} Updated work order
+     */
+    static async updateWorkOrder(pool, workOrderId, data, user) {
+        const current = await this.getWorkOrder(pool, workOrderId);
+        if (!current) return null;
+
+        this.assertCanEdit(current, user);
+        const access = this.getAccess(user, current.department);
+        const changes = {};
+
+        const assigneeId = data.assignedToUserId === null || data.assignedToUserId === '' ? null : parseInt(data.assignedToUserId);
+        if (data.assignedToUserId !== undefined && assigneeId !== current.assignedToUserId) {
+            if (!access.manage) throw validationError('Only the department head can assign work orders');
+            if (assigneeId === null) {
+                changes.assignee = null;
+            } else {
+                const assignees = await this.getAssignees(pool, current.department);
+                const assignee = assignees.find(a => a.userId === assigneeId);
+                if (!assignee) throw validationError('The assignee must belong to the department');
+                changes.assignee = assignee;
+            }
+        }
+
+        if (data.dueDate !== undefined && data.dueDate !== null) {
+            if (!access.manage) throw validationError('Only the department head can change the due date');
+            if (isNaN(new Date(data.dueDate).getTime())) throw validationError('Invalid due date');
+            changes.dueDate = data.dueDate;
+        }
+
+        for (const field of ['estimatedCost', 'actualCost']) {
+            if (data[field] === undefined) continue;
+            if (data[field] === null || data[field] === '') {
+                changes[field] = null;
+                continue;
+            }
+            const value = Number(data[field]);
+            if (isNaN(value) || value < 0) throw validationError(`${field === 'estimatedCost' ? 'Estimated' : 'Actual'} cost must be a positive number`);
+            changes[field] = Math.round(value * 100) / 100;
+        }
+
+        if (data.completionNotes !== undefined) {
+            changes.completionNotes = data.completionNotes || null;
+        }
+
+        let status = data.status || current.status;
+        if (!STATUSES.includes(status)) throw validationError(`Unknown status: ${status}`);
+        if (changes.assignee && current.status === 'Open' && !data.status) {
+            status = 'Assigned';
+        }
+        if (status !== current.status) {
+            if (status === 'Cancelled' && !access.manage) throw validationError('Only the department head can cancel work orders');
+            if (status === 'Cancelled' && !data.comment) throw validationError('A comment is required to cancel a work order');
+            if (status === 'Completed' && current.photoCount === 0) throw validationError('Add at least one completion photo before completing');
+            changes.status = status;
+        }
+
+        if (Object.keys(changes).length === 0 && !data.comment) {
+            return current;
+        }
+
+        const changedBy = user.email;
+        const actorName = user.displayName || user.email;
+        const history = [];
+        const track = (field, oldValue, newValue) => {
+            history.push({ field, oldValue: oldValue === null || oldValue === undefined ? null : String(oldValue), newValue: newValue === null || newValue === undefined ? null : String(newValue) });
+        };
+
+        if (changes.status) track('Status', current.status, changes.status);
+        if (changes.assignee !== undefined) track('AssignedTo', current.assignedToName, changes.assignee ? changes.assignee.name : null);
+        if (changes.dueDate) track('DueDate', current.dueDate ? new Date(current.dueDate).toISOString().split('T')[0] : null, changes.dueDate);
+        if (changes.estimatedCost !== undefined && changes.estimatedCost !== current.estimatedCost) track('EstimatedCost', current.estimatedCost, changes.estimatedCost);
+        if (changes.actualCost !== undefined && changes.actualCost !== current.actualCost) track('ActualCost', current.actualCost, changes.actualCost);
+        if (changes.completionNotes !== undefined && changes.completionNotes !== current.completionNotes) track('CompletionNotes', current.completionNotes, changes.completionNotes);
+        if (history.length === 0) track('Comment', null, null);
+
+        const transaction = new sql.Transaction(pool);
+        await transaction.begin();
+
+        try {
+            await transaction.request()
+                .input('WorkOrderID', sql.Int, workOrderId)
+                .input('Status', sql.NVarChar(20), changes.status || null)
+                .input('SetAssignee', sql.Bit, changes.assignee !== undefined ? 1 : 0)
+                .input('AssignedToUserID', sql.Int, changes.assignee ? changes.assignee.userId : null)
+                .input('AssignedToName', sql.NVarChar(255), changes.assignee ? changes.assignee.name : null)
+                .input('AssignedToEmail', sql.NVarChar(255), changes.assignee ? changes.assignee.email : null)
+                .input('DueDate', sql.Date, changes.dueDate ? new Date(changes.dueDate) : null)
+                .input('SetEstimatedCost', sql.Bit, changes.estimatedCost !== undefined ? 1 : 0)
+                .input('EstimatedCost', sql.Decimal(12, 2), changes.estimatedCost !== undefined ? changes.estimatedCost : null)
+                .input('SetActualCost', sql.Bit, changes.actualCost !== undefined ? 1 : 0)
+                .input('ActualCost', sql.Decimal(12, 2), changes.actualCost !== undefined ? changes.actualCost : null)
+                .input('SetCompletionNotes', sql.Bit, changes.completionNotes !== undefined ? 1 : 0)
+                .input('CompletionNotes', sql.NVarChar(sql.MAX), changes.completionNotes || null)
+                .input('ActorName', sql.NVarChar(255), actorName)
+                .input('ChangedBy', sql.NVarChar(255), changedBy)
+                .query(`
+                    UPDATE WorkOrders
+                    SET Status = COALESCE(@Status, Status),
+                        AssignedToUserID = CASE WHEN @SetAssignee = 1 THEN @AssignedToUserID ELSE AssignedToUserID END,
+                        AssignedToName = CASE WHEN @SetAssignee = 1 THEN @AssignedToName ELSE AssignedToName END,
+                        AssignedToEmail = CASE WHEN @SetAssignee = 1 THEN @AssignedToEmail ELSE AssignedToEmail END,
+                        DueDate = COALESCE(@DueDate, DueDate),
+                        EstimatedCost = CASE WHEN @SetEstimatedCost = 1 THEN @EstimatedCost ELSE EstimatedCost END,
+                        ActualCost = CASE WHEN @SetActualCost = 1 THEN @ActualCost ELSE ActualCost END,
+                        CompletionNotes = CASE WHEN @SetCompletionNotes = 1 THEN @CompletionNotes ELSE CompletionNotes END,
+                        CompletedAt = CASE WHEN @Status = 'Completed' THEN GETDATE() WHEN @Status IS NOT NULL THEN NULL ELSE CompletedAt END,
+                        CompletedBy = CASE WHEN @Status = 'Completed' THEN @ActorName WHEN @Status IS NOT NULL THEN NULL ELSE CompletedBy END,
+                        UpdatedAt = GETDATE(),
+                        UpdatedBy = @ChangedBy
+                    WHERE WorkOrderID = @WorkOrderID
+                `);
+
+            for (const [index, entry] of history.entries()) {
+                await transaction.request()
+                    .input('WorkOrderID', sql.Int, workOrderId)
+                    .input('FieldChanged', sql.NVarChar(50), entry.field)
+                    .input('OldValue', sql.NVarChar(sql.MAX), entry.oldValue)
+                    .input('NewValue', sql.NVarChar(sql.MAX), entry.newValue)
+                    .input('Comment', sql.NVarChar(sql.MAX), index === 0 ? (data.comment || null) : null)
+                    .input('ChangedBy', sql.NVarChar(255), changedBy)
+                    .query(`
+                        INSERT INTO WorkOrderHistory (WorkOrderID, FieldChanged, OldValue, NewValue, Comment, ChangedBy)
+                        VALUES (@WorkOrderID, @FieldChanged, @OldValue, @NewValue, @Comment, @ChangedBy)
+                    `);
+            }
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+
+        return this.getWorkOrder(pool, workOrderId);
+    }
+
+    /**
+     * Add a completion photo (JPEG, PNG, GIF or WebP up to MAX_PHOTO_BYTES)
+     * @param {Object} pool - SQL connection pool
+     * @param {number} workOrderId - Work order ID
+     * @param {Object} photo - { fileName, contentType, fileData (base64 or data URL) }
+     * @param {Object} user - Current user
+     * @returns {Promise<Object>} { photoId, url }
+     */
+    static async addPhoto(pool, workOrderId, photo, user) {
+        const workOrder = await this.getWorkOrder(pool, workOrderId);
+        if (!workOrder) return null;
+        this.assertCanEdit(workOrder, user);
+
+        if (!photo || typeof photo.fileData !== 'string' || !photo.fileData) throw validationError('Photo data is required');
+        const match = /^data:([^;]+);base64,(.*)$/s.exec(photo.fileData);
+        const contentType = String(match ? match[1] : (photo.contentType || 'image/jpeg')).toLowerCase();
+        const type = PHOTO_TYPES[contentType];
+        if (!type) throw validationError('Only JPEG, PNG, GIF and WebP photos can be uploaded');
+
+        const base64 = match ? match[2] : photo.fileData;
+        // Checked before decoding: base64 is 4 characters per 3 bytes
+        if (base64.length > Math.ceil(MAX_PHOTO_BYTES / 3) * 4 + 4) {
+            throw validationError(`Photos can be at most ${MAX_PHOTO_BYTES / 1024 / 1024} MB`);
+        }
+        const buffer = Buffer.from(base64, 'base64');
+        if (buffer.length === 0 || buffer.length > MAX_PHOTO_BYTES) {
+            throw validationError(buffer.length === 0 ? 'Photo data is required' : `Photos can be at most ${MAX_PHOTO_BYTES / 1024 / 1024} MB`);
+        }
+        if (!type.matches(buffer)) throw validationError(`The photo is not a valid ${contentType.slice(6).toUpperCase()} image`);
+
+        const saved = await FileStorageService.savePicture({
+            pictureId: `wo${workOrderId}`,
+            auditId: workOrder.auditId,
+            responseId: workOrder.responseId,
+            fileName: `photo${type.extension}`,
+            fileData: buffer,
+            contentType
+        });
+
+        const result = await pool.request()
+            .input('WorkOrderID', sql.Int, workOrderId)
+            .input('FileName', sql.NVarChar(255), photo.fileName ? String(photo.fileName).slice(0, 255) : saved.fileName)
+            .input('ContentType', sql.NVarChar(100), contentType)
+            .input('FilePath', sql.NVarChar(500), saved.relativePath)
+            .input('UploadedBy', sql.NVarChar(255), user.email)
+            .query(`
+                INSERT INTO WorkOrderPhotos (WorkOrderID, FileName, ContentType, FilePath, UploadedBy)
+                OUTPUT INSERTED.PhotoID
+                VALUES (@WorkOrderID, @FileName, @ContentType, @FilePath, @UploadedBy);
+
+                INSERT INTO WorkOrderHistory (WorkOrderID, FieldChanged, NewValue, ChangedBy)
+                VALUES (@WorkOrderID, 'Photo', @FileName, @UploadedBy);
+            `);
+
+        return { photoId: result.recordset[0].PhotoID, url: saved.url };
+    }
+
+    /**
+     * Remove a completion photo (not once the work order is closed)
+     * @param {Object} pool - SQL connection pool
+     * @param {number} workOrderId - Work order ID
+     * @param {number} photoId - Photo ID
+     * @param {Object} user - Current user
+     * @returns {Promise<boolean>} false when the photo does not exist
+     */
+    static async deletePhoto(pool, workOrderId, photoId, user) {
+        const workOrder = await this.getWorkOrder(pool, workOrderId);
+        if (!workOrder) return false;
+        this.assertCanEdit(workOrder, user);
+        if (CLOSED_STATUSES.includes(workOrder.status)) throw validationError(`Photos of a ${workOrder.status.toLowerCase()} work order cannot be removed`);
+
+        const photo = workOrder.photos.find(p => p.photoId === photoId);
+        if (!photo) return false;
+
+        const result = await pool.request()
+            .input('WorkOrderID', sql.Int, workOrderId)
+            .input('PhotoID', sql.Int, photoId)
+            .input('ChangedBy', sql.NVarChar(255), user.email)
+            .query(`
+                DELETE FROM WorkOrderPhotos OUTPUT DELETED.FilePath, DELETED.FileName
+                WHERE PhotoID = @PhotoID AND WorkOrderID = @WorkOrderID;
+            `);
+        const deleted = result.recordset[0];
+
+        await pool.request()
+            .input('WorkOrderID', sql.Int, workOrderId)
+            .input('OldValue', sql.NVarChar(sql.MAX), deleted.FileName)
+            .input('ChangedBy', sql.NVarChar(255), user.email)
+            .query(`
+                INSERT INTO WorkOrderHistory (WorkOrderID, FieldChanged, OldValue, ChangedBy)
+                VALUES (@WorkOrderID, 'Photo', @OldValue, @ChangedBy)
+            `);
+
+        await FileStorageService.deletePicture(deleted.FilePath);
+        return true;
+    }
+
+    /**
+     * Throw unless the user may change the work order
+     * @param {Object} workOrder - Work order
+     * @param {Object} user - Current user
+     */
+    static assertCanEdit(workOrder, user) {
+        const access = this.getAccess(user, workOrder.department);
+        if (!access.manage && !(access.member && workOrder.assignedToUserId === user.id)) {
+            const error = new Error('You cannot update this work order');
+            error.status = 403;
+            throw error;
+        }
+    }
+}
+
+module.exports = WorkOrderService;
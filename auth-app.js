@@ -23,11 +23,33 @@ const StoreService = require('./audit-app/services/store-service');
 const AuditService = require('./audit-app/services/audit-service');
 const AuditReportGenerator = require('./audit-app/report-generator');
 const ScoreCalculatorService = require('./audit-app/services/score-calculator-service');
+const ScoringModelService = require('./audit-app/services/scoring-model-service');
+const AuditLiveService = require('./audit-app/services/audit-live-service');
+const TemplatePackageService = require('./audit-app/services/template-package-service');
+const AuditPlannerService = require('./audit-app/services/audit-planner-service');
+const CalendarFeedService = require('./audit-app/services/calendar-feed-service');
+const ActionVerificationService = require('./audit-app/services/action-verification-service');
+const DepartmentService = require('./audit-app/services/department-service');
+const WorkOrderService = require('./audit-app/services/work-order-service');
 const TokenRefreshService = require('./auth/services/token-refresh-service');
 const SessionManager = require('./auth/services/session-manager');
 const CycleService = require('./audit-app/services/cycle-service');
-const { activityLogService, logLogin, logLogout, logReportGenerated, logEmailSent, logBroadcast, logActionPlanSaved, logActionPlanSubmitted, logUserRoleChanged, logTemplateUpdated } = require('./services/activity-log-service');
+const { activityLogService, logLogin, logLogout, logReportGenerated, logEmailSent, logBroadcast, logActionPlanSaved, logActionPlanSubmitted, logActionPlanClosed, logActionPlanReopened, logUserRoleChanged, logTemplateUpdated } = require('./services/activity-log-service');
 const FileStorageService = require('./services/file-storage-service');
+const SlaPolicyService = require('./services/sla-policy-service');
+const notificationChannelService = require('./services/notification-channel-service');
+const notificationOutboxService = require('./services/notification-outbox-service');
+const notificationPreferenceService = require('./services/notification-preference-service');
+const notificationDigestService = require('./services/notification-digest-service');
+const languageService = require('./services/language-service');
+const Translator = require('./services/translator');
+const analyticsQueryService = require('./services/analytics-query-service');
+const reportSubscriptionService = require('./services/report-subscription-service');
+const excelExportService = require('./services/excel-export-service');
+const analyticsDashboardService = require('./services/analytics-dashboard-service');
+const storeRiskService = require('./services/store-risk-service');
+const performanceTrendService = require('./services/performance-trend-service');
+const calibrationService = require('./services/calibration-service');
 
 /**
  * Get friendly greeting name from full name
@@ -215,6 +237,9 @@ const SYSTEM_SETTINGS_PAGE = '/admin/system-settings';
 const NOTIFICATION_PAGE = '/admin/notification-history';
 const BROADCAST_PAGE = '/admin/broadcast';
 
+// Management roles that can open analytics; everyone but Admin / SuperAuditor only sees their own stores
+const ANALYTICS_ROLES = ['Admin', 'SuperAuditor', 'HeadOfOperations', 'AreaManager'];
+
 // Get all schemas
 app.get('/api/audit-templates/schemas', requireAuth, requirePagePermission(TEMPLATE_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
     try {
@@ -284,6 +309,162 @@ app.delete('/api/audit-templates/schemas/:schemaId', requireAuth, requirePagePer
     }
 });
 
+// Get scoring model presets (standard, pass/fail, 5-point...)
+app.get('/api/audit-templates/scoring-model-presets', requireAuth, requirePagePermission(TEMPLATE_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        res.json({ success: true, data: ScoringModelService.getPresets() });
+    } catch (error) {
+        console.error('Error fetching scoring model presets:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Get scoring model for a schema
+app.get('/api/audit-templates/schemas/:schemaId/scoring-model', requireAuth, requirePagePermission(TEMPLATE_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const model = await auditTemplateService.getScoringModel(parseInt(req.params.schemaId));
+        res.json({ success: true, data: model });
+    } catch (error) {
+        console.error('Error fetching scoring model:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Save scoring model for a schema
+app.put('/api/audit-templates/schemas/:schemaId/scoring-model', requireAuth, requirePagePermission(TEMPLATE_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const errors = ScoringModelService.validate(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: errors.join('; '), errors });
+        }
+        const result = await auditTemplateService.updateScoringModel(
+            parseInt(req.params.schemaId),
+            req.body,
+            req.currentUser.email
+        );
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('Error saving scoring model:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Get published versions of a schema (and pending draft changes)
+app.get('/api/audit-templates/schemas/:schemaId/versions', requireAuth, requirePagePermission(TEMPLATE_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const result = await auditTemplateService.getVersions(parseInt(req.params.schemaId));
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('Error fetching template versions:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Compare two versions of a schema (?from=1&to=2, "draft" = unpublished changes)
+app.get('/api/audit-templates/schemas/:schemaId/versions/diff', requireAuth, requirePagePermission(TEMPLATE_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        if (!from || !to) {
+            return res.status(400).json({ success: false, error: 'from and to are required' });
+        }
+        const result = await auditTemplateService.diffVersions(parseInt(req.params.schemaId), from, to);
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('Error comparing template versions:', error);
+        const status = /not found/i.test(error.message) ? 404 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+// Get one published version with its snapshot
+app.get('/api/audit-templates/schemas/:schemaId/versions/:versionNumber', requireAuth, requirePagePermission(TEMPLATE_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const version = await auditTemplateService.getVersion(parseInt(req.params.schemaId), parseInt(req.params.versionNumber));
+        if (!version) {
+            return res.status(404).json({ success: false, error: 'Version not found' });
+        }
+        res.json({ success: true, data: version });
+    } catch (error) {
+        console.error('Error fetching template version:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Publish the current draft as a new version (new audits use it, running audits keep theirs)
+app.post('/api/audit-templates/schemas/:schemaId/versions', requireAuth, requirePagePermission(TEMPLATE_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const result = await auditTemplateService.publishVersion(
+            parseInt(req.params.schemaId),
+            req.body.notes,
+            req.currentUser.email
+        );
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('Error publishing template version:', error);
+        const status = /No changes since|without items|not found/i.test(error.message) ? 400 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+// Download a schema as a template package (?format=json|xlsx) - sections, items, scoring model, categories, grades, colors
+app.get('/api/audit-templates/schemas/:schemaId/package', requireAuth, requirePagePermission(TEMPLATE_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pkg = await auditTemplateService.exportPackage(parseInt(req.params.schemaId), req.currentUser.email);
+        const baseName = `${pkg.schema.schemaName.replace(/[^a-z0-9]+/gi, '_')}_package_${new Date().toISOString().split('T')[0]}`;
+
+        if (req.query.format === 'xlsx') {
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.setHeader('Content-Disposition', `attachment; filename="${baseName}.xlsx"`);
+            return res.send(TemplatePackageService.toWorkbook(pkg));
+        }
+
+        res.setHeader('Content-Disposition', `attachment; filename="${baseName}.json"`);
+        res.json(pkg);
+    } catch (error) {
+        console.error('Error exporting template package:', error);
+        const status = /not found/i.test(error.message) ? 404 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+// Validate a template package before import
+// Body: { package } or { workbook: base64 .xlsx }, mode: 'new' | 'merge', targetSchemaId, schemaName
+app.post('/api/audit-templates/packages/validate', requireAuth, requirePagePermission(TEMPLATE_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const { mode, targetSchemaId, schemaName } = req.body;
+        const report = await auditTemplateService.validatePackage(req.body, {
+            mode,
+            targetSchemaId: targetSchemaId ? parseInt(targetSchemaId) : null,
+            schemaName
+        });
+        res.json({ success: true, data: report });
+    } catch (error) {
+        console.error('Error validating template package:', error);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// Import a template package (same body as validate); invalid packages return the validation report
+app.post('/api/audit-templates/packages/import', requireAuth, requirePagePermission(TEMPLATE_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const { mode, targetSchemaId, schemaName } = req.body;
+        const result = await auditTemplateService.importPackage(req.body, {
+            mode,
+            targetSchemaId: targetSchemaId ? parseInt(targetSchemaId) : null,
+            schemaName,
+            importedBy: req.currentUser.email
+        });
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('Error importing template package:', error);
+        if (error.validation) {
+            return res.status(400).json({ success: false, error: error.message, validation: error.validation });
+        }
+        const status = /No package|Workbook|JSON|zip|xlsx/i.test(error.message) ? 400 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
 // Get sections by schema
 app.get('/api/audit-templates/schemas/:schemaId/sections', requireAuth, requirePagePermission(TEMPLATE_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
     try {
@@ -341,7 +522,7 @@ app.get('/api/audit-templates/sections/:sectionId/items', requireAuth, requirePa
 // Create item
 app.post('/api/audit-templates/sections/:sectionId/items', requireAuth, requirePagePermission(TEMPLATE_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
     try {
-        const { referenceValue, title, coeff, answer, cr } = req.body;
+        const { referenceValue, title, coeff, answer, cr, severity } = req.body;
         const result = await auditTemplateService.createItem(
             parseInt(req.params.sectionId),
             referenceValue,
@@ -351,6 +532,9 @@ app.post('/api/audit-templates/sections/:sectionId/items', requireAuth, requireP
             cr,
             req.currentUser.email
         );
+        if (severity) {
+            await auditTemplateService.setItemSeverity(result.itemId, severity, req.currentUser.email);
+        }
         res.json({ success: true, data: result });
     } catch (error) {
         console.error('Error creating item:', error);
@@ -414,6 +598,7 @@ app.post('/api/audit-templates/sections/:sectionId/items/bulk', requireAuth, req
                             item.cr || '',
                             userEmail
                         );
+                        await auditTemplateService.setItemSeverity(existingItem.itemId, item.severity, userEmail);
                         reactivated++;
                         console.log(`[BULK UPLOAD] Reactivated deleted item: ${refValue}`);
                     } else if (duplicateAction === 'update') {
@@ -427,6 +612,7 @@ app.post('/api/audit-templates/sections/:sectionId/items/bulk', requireAuth, req
                             item.cr || '',
                             userEmail
                         );
+                        await auditTemplateService.setItemSeverity(existingItem.itemId, item.severity, userEmail);
                         updated++;
                         console.log(`[BULK UPLOAD] Updated item: ${refValue}`);
                     } else {
@@ -436,7 +622,7 @@ app.post('/api/audit-templates/sections/:sectionId/items/bulk', requireAuth, req
                     }
                 } else {
                     // Create new item
-                    await auditTemplateService.createItem(
+                    const createdItem = await auditTemplateService.createItem(
                         sectionId,
                         refValue,
                         item.title,
@@ -445,6 +631,9 @@ app.post('/api/audit-templates/sections/:sectionId/items/bulk', requireAuth, req
                         item.cr || '',
                         userEmail
                     );
+                    if (item.severity) {
+                        await auditTemplateService.setItemSeverity(createdItem.itemId, item.severity, userEmail);
+                    }
                     created++;
                     console.log(`[BULK UPLOAD] Created item: ${refValue}`);
                 }
@@ -478,7 +667,7 @@ app.post('/api/audit-templates/sections/:sectionId/items/bulk', requireAuth, req
 // Update item
 app.put('/api/audit-templates/items/:itemId', requireAuth, requirePagePermission(TEMPLATE_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
     try {
-        const { referenceValue, title, coeff, answer, cr } = req.body;
+        const { referenceValue, title, coeff, answer, cr, severity, titleAr, titleFr } = req.body;
         const result = await auditTemplateService.updateItem(
             parseInt(req.params.itemId),
             referenceValue,
@@ -488,6 +677,13 @@ app.put('/api/audit-templates/items/:itemId', requireAuth, requirePagePermission
             cr,
             req.currentUser.email
         );
+        if (severity !== undefined) {
+            await auditTemplateService.setItemSeverity(parseInt(req.params.itemId), severity, req.currentUser.email);
+        }
+        // Arabic / French titles are sent together; an empty one falls back to the English title
+        if (titleAr !== undefined || titleFr !== undefined) {
+            await auditTemplateService.setItemTranslations(parseInt(req.params.itemId), { titleAr, titleFr }, req.currentUser.email);
+        }
         res.json({ success: true, data: result });
     } catch (error) {
         console.error('Error updating item:', error);
@@ -1619,7 +1815,7 @@ app.delete('/api/cycle-definitions/:defId', requireAuth, requireRole('Admin'), a
 });
 
 // Get all cycles for analytics filter (distinct cycle names used in audits)
-app.get('/api/admin/cycles', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+app.get('/api/admin/cycles', requireAuth, requireRole(...ANALYTICS_ROLES), async (req, res) => {
     try {
         const sql = require('mssql');
         const dbConfig = require('./config/default').database;
@@ -2131,7 +2327,7 @@ console.log('[APP] Admin database tools loaded');
 const AnalyticsPage = require('./admin/pages/analytics-page');
 
 // Serve analytics page - uses auto role from MenuPermissions
-app.get('/admin/analytics', requireAuth, requireAutoRole('Admin', 'SuperAuditor'), (req, res) => {
+app.get('/admin/analytics', requireAuth, requireAutoRole(...ANALYTICS_ROLES), (req, res) => {
     AnalyticsPage.render(req, res);
 });
 
@@ -2142,12 +2338,12 @@ app.get('/admin/analytics', requireAuth, requireAutoRole('Admin', 'SuperAuditor'
 const AuditorPerformancePage = require('./admin/pages/auditor-performance-page');
 
 // Serve auditor performance page - uses auto role from MenuPermissions
-app.get('/admin/auditor-performance', requireAuth, requireAutoRole('Admin', 'SuperAuditor'), (req, res) => {
+app.get('/admin/auditor-performance', requireAuth, requireAutoRole(...ANALYTICS_ROLES), (req, res) => {
     AuditorPerformancePage.render(req, res);
 });
 
 // Auditor Performance API - Get detailed auditor performance data
-app.get('/api/admin/auditor-performance', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+app.get('/api/admin/auditor-performance', requireAuth, requireRole(...ANALYTICS_ROLES), async (req, res) => {
     try {
         const sql = require('mssql');
         const dbConfig = require('./config/default').database;
@@ -2155,6 +2351,9 @@ app.get('/api/admin/auditor-performance', requireAuth, requireRole('Admin', 'Sup
         
         const { years, cycles, brands } = req.query;
         
+        // Area Managers / Heads of Operations: only audits of their own stores
+        const scopeStoreIds = await analyticsQueryService.getUserStoreScope(pool, req.currentUser);
+        
         // Get dynamic threshold
         let passingThreshold = 87;
         try {
@@ -2181,6 +2380,7 @@ app.get('/api/admin/auditor-performance', requireAuth, requireRole('Admin', 'Sup
             const brandArray = brands.split(',').filter(b => b.trim()).map(b => "'" + b.trim().replace(/'/g, "''") + "'");
             if (brandArray.length > 0) whereClause += ` AND s.Brand IN (${brandArray.join(',')})`;
         }
+        whereClause += analyticsQueryService.scopeCondition(scopeStoreIds);
         
         // 1. Audit Duration Analysis (Time In/Out)
         const durationResult = await pool.request().query(`
@@ -2298,7 +2498,7 @@ app.get('/api/admin/auditor-performance', requireAuth, requireRole('Admin', 'Sup
         // 7. Store standard durations for editing
         const storesResult = await pool.request().query(`
             SELECT StoreID, StoreName, StandardAuditDuration 
-            FROM Stores WHERE IsActive = 1 
+            FROM Stores WHERE IsActive = 1${analyticsQueryService.scopeCondition(scopeStoreIds, 'StoreID')}
             ORDER BY StoreName
         `);
         
@@ -2311,7 +2511,8 @@ app.get('/api/admin/auditor-performance', requireAuth, requireRole('Admin', 'Sup
             passFailByAuditor: passFailByAuditorResult.recordset,
             passFailByBranch: passFailByBranchResult.recordset,
             durationVariance: durationVarianceResult.recordset,
-            stores: storesResult.recordset
+            stores: storesResult.recordset,
+            scope: { restricted: scopeStoreIds !== null, storeCount: scopeStoreIds ? scopeStoreIds.length : null }
         });
         
     } catch (error) {
@@ -2342,16 +2543,39 @@ app.put('/api/admin/stores/:storeId/duration', requireAuth, requireRole('Admin',
     }
 });
 
+// Update store travel region (used by the cycle audit planner)
+app.put('/api/admin/stores/:storeId/region', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const sql = require('mssql');
+        const dbConfig = require('./config/default').database;
+        const pool = await sql.connect(dbConfig);
+        
+        const { storeId } = req.params;
+        const { region } = req.body;
+        
+        await pool.request()
+            .input('storeId', sql.Int, parseInt(storeId))
+            .input('region', sql.NVarChar(100), region && region.trim() ? region.trim() : null)
+            .query(`UPDATE Stores SET Region = @region WHERE StoreID = @storeId`);
+        
+        res.json({ success: true, message: 'Region updated' });
+    } catch (error) {
+        console.error('Error updating store region:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // Get brands for analytics filter
-app.get('/api/admin/brands', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+app.get('/api/admin/brands', requireAuth, requireRole(...ANALYTICS_ROLES), async (req, res) => {
     try {
         const sql = require('mssql');
         const dbConfig = require('./config/default').database;
         const pool = await sql.connect(dbConfig);
+        const scopeStoreIds = await analyticsQueryService.getUserStoreScope(pool, req.currentUser);
         
         const result = await pool.request().query(`
             SELECT DISTINCT Brand FROM Stores 
-            WHERE Brand IS NOT NULL AND IsActive = 1
+            WHERE Brand IS NOT NULL AND IsActive = 1${analyticsQueryService.scopeCondition(scopeStoreIds, 'StoreID')}
             ORDER BY Brand
         `);
         
@@ -2363,7 +2587,7 @@ app.get('/api/admin/brands', requireAuth, requireRole('Admin', 'SuperAuditor'),
 });
 
 // Get schemes for analytics filter
-app.get('/api/admin/schemes', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+app.get('/api/admin/schemes', requireAuth, requireRole(...ANALYTICS_ROLES), async (req, res) => {
     try {
         const sql = require('mssql');
         const dbConfig = require('./config/default').database;
@@ -2385,15 +2609,16 @@ app.get('/api/admin/schemes', requireAuth, requireRole('Admin', 'SuperAuditor'),
 });
 
 // Get stores for analytics filter
-app.get('/api/admin/stores', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+app.get('/api/admin/stores', requireAuth, requireRole(...ANALYTICS_ROLES), async (req, res) => {
     try {
         const sql = require('mssql');
         const dbConfig = require('./config/default').database;
         const pool = await sql.connect(dbConfig);
+        const scopeStoreIds = await analyticsQueryService.getUserStoreScope(pool, req.currentUser);
         
         const result = await pool.request().query(`
             SELECT StoreID, StoreName, Brand, Country FROM Stores 
-            WHERE IsActive = 1
+            WHERE IsActive = 1${analyticsQueryService.scopeCondition(scopeStoreIds, 'StoreID')}
             ORDER BY Brand, StoreName
         `);
         
@@ -2413,16 +2638,22 @@ app.get('/api/admin/stores', requireAuth, requireRole('Admin', 'SuperAuditor'),
 });
 
 // Get Head of Operations for analytics filter
-app.get('/api/admin/head-of-operations', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+app.get('/api/admin/head-of-operations', requireAuth, requireRole(...ANALYTICS_ROLES), async (req, res) => {
     try {
         const sql = require('mssql');
         const dbConfig = require('./config/default').database;
         const pool = await sql.connect(dbConfig);
         
+        // Scoped users only get the heads of operations of brands they can see
+        const scopeStoreIds = await analyticsQueryService.getUserStoreScope(pool, req.currentUser);
         const result = await pool.request().query(`
             SELECT DISTINCT u.id, u.display_name, u.email
             FROM Users u
             WHERE u.role = 'HeadOfOperations' AND u.is_active = 1
+            ${scopeStoreIds ? `AND u.id IN (
+                SELECT uba.UserID FROM UserBrandAssignments uba
+                INNER JOIN Stores st ON st.Brand = uba.Brand
+                WHERE 1 = 1${analyticsQueryService.scopeCondition(scopeStoreIds, 'st.StoreID')})` : ''}
             ORDER BY u.display_name
         `);
         
@@ -2438,16 +2669,21 @@ app.get('/api/admin/head-of-operations', requireAuth, requireRole('Admin', 'Supe
 });
 
 // Get Area Managers for analytics filter
-app.get('/api/admin/area-managers', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+app.get('/api/admin/area-managers', requireAuth, requireRole(...ANALYTICS_ROLES), async (req, res) => {
     try {
         const sql = require('mssql');
         const dbConfig = require('./config/default').database;
         const pool = await sql.connect(dbConfig);
         
+        // Scoped users only get the area managers of stores they can see
+        const scopeStoreIds = await analyticsQueryService.getUserStoreScope(pool, req.currentUser);
         const result = await pool.request().query(`
             SELECT DISTINCT u.id, u.display_name, u.email
             FROM Users u
             WHERE u.role = 'AreaManager' AND u.is_active = 1
+            ${scopeStoreIds ? `AND u.id IN (
+                SELECT UserID FROM UserAreaAssignments
+                WHERE 1 = 1${analyticsQueryService.scopeCondition(scopeStoreIds, 'StoreID')})` : ''}
             ORDER BY u.display_name
         `);
         
@@ -2463,7 +2699,7 @@ app.get('/api/admin/area-managers', requireAuth, requireRole('Admin', 'SuperAudi
 });
 
 // Analytics API - Get all analytics data
-app.get('/api/admin/analytics', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+app.get('/api/admin/analytics', requireAuth, requireRole(...ANALYTICS_ROLES), async (req, res) => {
     try {
         const sql = require('mssql');
         const dbConfig = require('./config/default').database;
@@ -2471,6 +2707,10 @@ app.get('/api/admin/analytics', requireAuth, requireRole('Admin', 'SuperAuditor'
         
         const { countries, brands, storeIds, headOfOpsIds, areaManagerIds, results, years, months, cycles } = req.query;
         
+        // Area Managers / Heads of Operations: every block below only covers their own stores
+        const scopeStoreIds = await analyticsQueryService.getUserStoreScope(pool, req.currentUser);
+        const scopeCondition = analyticsQueryService.scopeCondition(scopeStoreIds);
+        
         // Get dynamic threshold for passing score from SystemSettings
         let passingThreshold = 87; // default
         try {
@@ -2562,6 +2802,7 @@ app.get('/api/admin/analytics', requireAuth, requireRole('Admin', 'SuperAuditor'
                 whereClause += ` AND ai.Cycle IN (${cycleArray.join(',')})`;
             }
         }
+        whereClause += scopeCondition;
         
         // 1. Summary Statistics (join with Stores for Brand filter)
         const summaryResult = await pool.request().query(`
@@ -2575,7 +2816,7 @@ app.get('/api/admin/analytics', requireAuth, requireRole('Admin', 'SuperAuditor'
             ${whereClause}
         `);
         
-        const storesCount = await pool.request().query(`SELECT COUNT(*) as cnt FROM Stores WHERE IsActive = 1`);
+        const storesCount = await pool.request().query(`SELECT COUNT(*) as cnt FROM Stores WHERE IsActive = 1${analyticsQueryService.scopeCondition(scopeStoreIds, 'StoreID')}`);
         const auditorsCount = await pool.request().query(`
             SELECT COUNT(DISTINCT id) as cnt FROM Users 
             WHERE role IN ('Admin', 'Auditor', 'SuperAuditor')
@@ -2586,8 +2827,9 @@ app.get('/api/admin/analytics', requireAuth, requireRole('Admin', 'SuperAuditor'
         const actionPlanResult = await pool.request().query(`
             SELECT 
                 COUNT(*) as TotalActionPlans,
-                SUM(CASE WHEN Status = 'Completed' THEN 1 ELSE 0 END) as SolvedActionPlans
-            FROM ActionPlanResponses
+                SUM(CASE WHEN ${ActionVerificationService.solvedCondition('apr')} THEN 1 ELSE 0 END) as SolvedActionPlans
+            FROM ActionPlanResponses apr
+            ${scopeStoreIds ? `WHERE apr.DocumentNumber IN (SELECT ai.DocumentNumber FROM AuditInstances ai WHERE 1 = 1${scopeCondition})` : ''}
         `);
         
         const totalActionPlans = actionPlanResult.recordset[0]?.TotalActionPlans || 0;
@@ -2840,6 +3082,7 @@ app.get('/api/admin/analytics', requireAuth, requireRole('Admin', 'SuperAuditor'
                 calendarWhereClause += ` AND s.Brand IN (${brandArray.join(',')})`;
             }
         }
+        calendarWhereClause += analyticsQueryService.scopeCondition(scopeStoreIds, 's.StoreID');
         
         const calendarResult = await pool.request().query(`
             SELECT 
@@ -3065,7 +3308,7 @@ app.get('/api/admin/analytics', requireAuth, requireRole('Admin', 'SuperAuditor'
             branchRankings[key].bottom3.sort((a, b) => a.avgScore - b.avgScore);
         }
         
-        res.json({
+        const analytics = {
             success: true,
             summary,
             trends,
@@ -3076,8 +3319,16 @@ app.get('/api/admin/analytics', requireAuth, requireRole('Admin', 'SuperAuditor'
             complianceCalendar,
             ncAnalysis,
             actionPlanAnalysis,
-            branchRankings: Object.values(branchRankings)
-        });
+            branchRankings: Object.values(branchRankings),
+            scope: { restricted: scopeStoreIds !== null, storeCount: scopeStoreIds ? scopeStoreIds.length : null }
+        };
+        
+        // ?format=xlsx: one sheet per block of the dashboard
+        if (req.query.format === 'xlsx') {
+            return excelExportService.send(res, excelExportService.buildAnalyticsWorkbook(analytics), 'analytics');
+        }
+        
+        res.json(analytics);
         
     } catch (error) {
         console.error('Error fetching analytics:', error);
@@ -3086,7 +3337,7 @@ app.get('/api/admin/analytics', requireAuth, requireRole('Admin', 'SuperAuditor'
 });
 
 // Get section criteria breakdown for specific audit(s)
-app.get('/api/admin/analytics/section-criteria', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+app.get('/api/admin/analytics/section-criteria', requireAuth, requireRole(...ANALYTICS_ROLES), async (req, res) => {
     try {
         const sql = require('mssql');
         const dbConfig = require('./config/default').database;
@@ -3109,6 +3360,10 @@ app.get('/api/admin/analytics/section-criteria', requireAuth, requireRole('Admin
         if (storeName) {
             filterClause += ` AND ai.StoreName = @storeName`;
         }
+        const scopeCondition = analyticsQueryService.scopeCondition(
+            await analyticsQueryService.getUserStoreScope(pool, req.currentUser)
+        );
+        filterClause += scopeCondition;
         
         const request = pool.request();
         request.input('sectionName', sql.NVarChar, sectionName);
@@ -3155,6 +3410,7 @@ app.get('/api/admin/analytics/section-criteria', requireAuth, requireRole('Admin
             WHERE ss.SectionName = @sectionName AND ai.Status = 'Completed'
             ${auditIds ? `AND ai.AuditID IN (${auditIds.split(',').map(id => parseInt(id)).filter(id => !isNaN(id)).join(',')})` : ''}
             ${storeName ? `AND ai.StoreName = @storeName` : ''}
+            ${scopeCondition}
             ORDER BY ai.AuditDate DESC
         `);
         
@@ -3191,11 +3447,12 @@ app.get('/api/admin/analytics/section-criteria', requireAuth, requireRole('Admin
 });
 
 // Get unsolved action plan items
-app.get('/api/admin/analytics/unsolved-action-plans', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+app.get('/api/admin/analytics/unsolved-action-plans', requireAuth, requireRole(...ANALYTICS_ROLES), async (req, res) => {
     try {
         const sql = require('mssql');
         const dbConfig = require('./config/default').database;
         const pool = await sql.connect(dbConfig);
+        const scopeStoreIds = await analyticsQueryService.getUserStoreScope(pool, req.currentUser);
         
         const result = await pool.request().query(`
             SELECT 
@@ -3207,6 +3464,8 @@ app.get('/api/admin/analytics/unsolved-action-plans', requireAuth, requireRole('
                 apr.SuggestedAction,
                 apr.ActionTaken,
                 apr.Status,
+                apr.VerificationStatus,
+                apr.ReviewerComment,
                 apr.Priority,
                 apr.Deadline,
                 apr.PersonInCharge,
@@ -3215,7 +3474,7 @@ app.get('/api/admin/analytics/unsolved-action-plans', requireAuth, requireRole('
                 ai.AuditDate
             FROM ActionPlanResponses apr
             LEFT JOIN AuditInstances ai ON apr.DocumentNumber = ai.DocumentNumber
-            WHERE apr.Status != 'Completed' OR apr.Status IS NULL
+            WHERE NOT ${ActionVerificationService.solvedCondition('apr')}${analyticsQueryService.scopeCondition(scopeStoreIds)}
             ORDER BY 
                 CASE apr.Priority 
                     WHEN 'High' THEN 1 
@@ -3239,369 +3498,28 @@ app.get('/api/admin/analytics/unsolved-action-plans', requireAuth, requireRole('
 });
 
 // Custom Query API - Dynamic analytics queries
-app.get('/api/admin/analytics/custom-query', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+app.get('/api/admin/analytics/custom-query', requireAuth, requireRole(...ANALYTICS_ROLES), async (req, res) => {
     try {
         const sql = require('mssql');
         const dbConfig = require('./config/default').database;
         const pool = await sql.connect(dbConfig);
         
-        const { subject, metric, limit, year, cycle, storeId } = req.query;
-        const limitNum = parseInt(limit) || 10;
-        
-        // Build WHERE clause for filters
-        let whereClause = "WHERE ai.Status = 'Completed'";
-        if (year) whereClause += ` AND ai.Year = ${parseInt(year)}`;
-        if (cycle) whereClause += ` AND ai.Cycle = '${cycle}'`;
-        if (storeId) whereClause += ` AND ai.StoreID = ${parseInt(storeId)}`;
-        
-        let query = '';
-        let valueLabel = 'Value';
-        let results = [];
-        
-        // Build query based on subject and metric
-        if (subject === 'stores') {
-            switch (metric) {
-                case 'most_fails':
-                    query = `
-                        SELECT TOP ${limitNum}
-                            ai.StoreName as Name,
-                            SUM(CASE WHEN ai.TotalScore < 83 THEN 1 ELSE 0 END) as Value,
-                            COUNT(*) as TotalAudits,
-                            ROUND(AVG(CAST(ai.TotalScore as FLOAT)), 1) as AvgScore
-                        FROM AuditInstances ai
-                        ${whereClause}
-                        GROUP BY ai.StoreName
-                        ORDER BY Value DESC
-                    `;
-                    valueLabel = 'Failed Audits';
-                    break;
-                    
-                case 'most_audits':
-                    query = `
-                        SELECT TOP ${limitNum}
-                            ai.StoreName as Name,
-                            COUNT(*) as Value,
-                            ROUND(AVG(CAST(ai.TotalScore as FLOAT)), 1) as AvgScore
-                        FROM AuditInstances ai
-                        ${whereClause}
-                        GROUP BY ai.StoreName
-                        ORDER BY Value DESC
-                    `;
-                    valueLabel = 'Total Audits';
-                    break;
-                    
-                case 'lowest_score':
-                    query = `
-                        SELECT TOP ${limitNum}
-                            ai.StoreName as Name,
-                            ROUND(AVG(CAST(ai.TotalScore as FLOAT)), 1) as Value,
-                            COUNT(*) as TotalAudits
-                        FROM AuditInstances ai
-                        ${whereClause}
-                        GROUP BY ai.StoreName
-                        ORDER BY Value ASC
-                    `;
-                    valueLabel = 'Avg Score (%)';
-                    break;
-                    
-                case 'highest_score':
-                    query = `
-                        SELECT TOP ${limitNum}
-                            ai.StoreName as Name,
-                            ROUND(AVG(CAST(ai.TotalScore as FLOAT)), 1) as Value,
-                            COUNT(*) as TotalAudits
-                        FROM AuditInstances ai
-                        ${whereClause}
-                        GROUP BY ai.StoreName
-                        ORDER BY Value DESC
-                    `;
-                    valueLabel = 'Avg Score (%)';
-                    break;
-                    
-                case 'never_pass':
-                    query = `
-                        SELECT 
-                            ai.StoreName as Name,
-                            ROUND(AVG(CAST(ai.TotalScore as FLOAT)), 1) as Value,
-                            COUNT(*) as TotalAudits,
-                            SUM(CASE WHEN ai.TotalScore >= 83 THEN 1 ELSE 0 END) as PassCount
-                        FROM AuditInstances ai
-                        ${whereClause}
-                        GROUP BY ai.StoreName
-                        HAVING SUM(CASE WHEN ai.TotalScore >= 83 THEN 1 ELSE 0 END) = 0
-                        ORDER BY Value ASC
-                    `;
-                    valueLabel = 'Avg Score (%)';
-                    break;
-                    
-                case 'always_pass':
-                    query = `
-                        SELECT 
-                            ai.StoreName as Name,
-                            ROUND(AVG(CAST(ai.TotalScore as FLOAT)), 1) as Value,
-                            COUNT(*) as TotalAudits,
-                            SUM(CASE WHEN ai.TotalScore < 83 THEN 1 ELSE 0 END) as FailCount
-                        FROM AuditInstances ai
-                        ${whereClause}
-                        GROUP BY ai.StoreName
-                        HAVING SUM(CASE WHEN ai.TotalScore < 83 THEN 1 ELSE 0 END) = 0
-                        ORDER BY Value DESC
-                    `;
-                    valueLabel = 'Avg Score (%)';
-                    break;
-                    
-                case 'biggest_improvement':
-                case 'biggest_drop':
-                    // Compare first and last audit scores
-                    query = `
-                        WITH RankedAudits AS (
-                            SELECT 
-                                ai.StoreName,
-                                ai.TotalScore,
-                                ROW_NUMBER() OVER (PARTITION BY ai.StoreID ORDER BY ai.AuditDate, ai.AuditID) as FirstRank,
-                                ROW_NUMBER() OVER (PARTITION BY ai.StoreID ORDER BY ai.AuditDate DESC, ai.AuditID DESC) as LastRank
-                            FROM AuditInstances ai
-                            ${whereClause}
-                        )
-                        SELECT TOP ${limitNum}
-                            f.StoreName as Name,
-                            (l.TotalScore - f.TotalScore) as Value,
-                            f.TotalScore as FirstScore,
-                            l.TotalScore as LastScore
-                        FROM RankedAudits f
-                        INNER JOIN RankedAudits l ON f.StoreName = l.StoreName AND l.LastRank = 1
-                        WHERE f.FirstRank = 1
-                        ORDER BY Value ${metric === 'biggest_improvement' ? 'DESC' : 'ASC'}
-                    `;
-                    valueLabel = 'Score Change';
-                    break;
-            }
-        }
-        
-        else if (subject === 'auditors') {
-            switch (metric) {
-                case 'most_audits':
-                    query = `
-                        SELECT TOP ${limitNum}
-                            ai.Auditors as Name,
-                            COUNT(*) as Value,
-                            ROUND(AVG(CAST(ai.TotalScore as FLOAT)), 1) as AvgScore
-                        FROM AuditInstances ai
-                        ${whereClause}
-                        GROUP BY ai.Auditors
-                        ORDER BY Value DESC
-                    `;
-                    valueLabel = 'Total Audits';
-                    break;
-                    
-                case 'highest_score':
-                    query = `
-                        SELECT TOP ${limitNum}
-                            ai.Auditors as Name,
-                            ROUND(AVG(CAST(ai.TotalScore as FLOAT)), 1) as Value,
-                            COUNT(*) as TotalAudits
-                        FROM AuditInstances ai
-                        ${whereClause}
-                        GROUP BY ai.Auditors
-                        ORDER BY Value DESC
-                    `;
-                    valueLabel = 'Avg Score (%)';
-                    break;
-                    
-                case 'lowest_score':
-                    query = `
-                        SELECT TOP ${limitNum}
-                            ai.Auditors as Name,
-                            ROUND(AVG(CAST(ai.TotalScore as FLOAT)), 1) as Value,
-                            COUNT(*) as TotalAudits
-                        FROM AuditInstances ai
-                        ${whereClause}
-                        GROUP BY ai.Auditors
-                        ORDER BY Value ASC
-                    `;
-                    valueLabel = 'Avg Score (%)';
-                    break;
-                    
-                case 'most_fails':
-                    query = `
-                        SELECT TOP ${limitNum}
-                            ai.Auditors as Name,
-                            SUM(CASE WHEN ai.TotalScore < 83 THEN 1 ELSE 0 END) as Value,
-                            COUNT(*) as TotalAudits
-                        FROM AuditInstances ai
-                        ${whereClause}
-                        GROUP BY ai.Auditors
-                        ORDER BY Value DESC
-                    `;
-                    valueLabel = 'Failed Audits';
-                    break;
-            }
-        }
-        
-        else if (subject === 'sections') {
-            switch (metric) {
-                case 'lowest_score':
-                    query = `
-                        SELECT TOP ${limitNum}
-                            ss.SectionName as Name,
-                            ROUND(AVG(ss.Percentage), 1) as Value,
-                            COUNT(*) as TimesAudited
-                        FROM AuditSectionScores ss
-                        INNER JOIN AuditInstances ai ON ss.AuditID = ai.AuditID
-                        ${whereClause}
-                        GROUP BY ss.SectionName
-                        ORDER BY Value ASC
-                    `;
-                    valueLabel = 'Avg Score (%)';
-                    break;
-                    
-                case 'highest_score':
-                    query = `
-                        SELECT TOP ${limitNum}
-                            ss.SectionName as Name,
-                            ROUND(AVG(ss.Percentage), 1) as Value,
-                            COUNT(*) as TimesAudited
-                        FROM AuditSectionScores ss
-                        INNER JOIN AuditInstances ai ON ss.AuditID = ai.AuditID
-                        ${whereClause}
-                        GROUP BY ss.SectionName
-                        ORDER BY Value DESC
-                    `;
-                    valueLabel = 'Avg Score (%)';
-                    break;
-                    
-                case 'most_fails':
-                    query = `
-                        SELECT TOP ${limitNum}
-                            ss.SectionName as Name,
-                            ROUND(SUM(CASE WHEN ss.Percentage < 83 THEN 1.0 ELSE 0 END) * 100.0 / COUNT(*), 1) as Value,
-                            COUNT(*) as TimesAudited
-                        FROM AuditSectionScores ss
-                        INNER JOIN AuditInstances ai ON ss.AuditID = ai.AuditID
-                        ${whereClause}
-                        GROUP BY ss.SectionName
-                        ORDER BY Value DESC
-                    `;
-                    valueLabel = 'Fail Rate (%)';
-                    break;
-                    
-                case 'most_repetitive':
-                    query = `
-                        SELECT TOP ${limitNum}
-                            ss.SectionName as Name,
-                            COUNT(CASE WHEN ss.Percentage < 83 THEN 1 END) as Value,
-                            ROUND(AVG(ss.Percentage), 1) as AvgScore
-                        FROM AuditSectionScores ss
-                        INNER JOIN AuditInstances ai ON ss.AuditID = ai.AuditID
-                        ${whereClause}
-                        GROUP BY ss.SectionName
-                        HAVING COUNT(CASE WHEN ss.Percentage < 83 THEN 1 END) > 0
-                        ORDER BY Value DESC
-                    `;
-                    valueLabel = 'Times Failed';
-                    break;
-            }
-        }
-        
-        else if (subject === 'items') {
-            switch (metric) {
-                case 'most_fails':
-                case 'most_repetitive':
-                    query = `
-                        SELECT TOP ${limitNum}
-                            ar.Title as Name,
-                            SUM(CASE WHEN ar.SelectedChoice = 'No' THEN 1 ELSE 0 END) as Value,
-                            ar.ReferenceValue as RefValue,
-                            COUNT(*) as TimesAudited
-                        FROM AuditResponses ar
-                        INNER JOIN AuditInstances ai ON ar.AuditID = ai.AuditID
-                        ${whereClause}
-                        AND ar.SelectedChoice IS NOT NULL
-                        GROUP BY ar.Title, ar.ReferenceValue
-                        HAVING SUM(CASE WHEN ar.SelectedChoice = 'No' THEN 1 ELSE 0 END) > 0
-                        ORDER BY Value DESC
-                    `;
-                    valueLabel = 'Times Failed';
-                    break;
-                    
-                case 'never_pass':
-                    query = `
-                        SELECT TOP ${limitNum}
-                            ar.Title as Name,
-                            COUNT(*) as Value,
-                            ar.ReferenceValue as RefValue
-                        FROM AuditResponses ar
-                        INNER JOIN AuditInstances ai ON ar.AuditID = ai.AuditID
-                        ${whereClause}
-                        AND ar.SelectedChoice IS NOT NULL
-                        GROUP BY ar.Title, ar.ReferenceValue
-                        HAVING SUM(CASE WHEN ar.SelectedChoice = 'Yes' THEN 1 ELSE 0 END) = 0
-                        AND SUM(CASE WHEN ar.SelectedChoice = 'No' THEN 1 ELSE 0 END) > 0
-                        ORDER BY Value DESC
-                    `;
-                    valueLabel = 'Times Audited';
-                    break;
-                    
-                case 'always_pass':
-                    query = `
-                        SELECT TOP ${limitNum}
-                            ar.Title as Name,
-                            COUNT(*) as Value,
-                            ar.ReferenceValue as RefValue
-                        FROM AuditResponses ar
-                        INNER JOIN AuditInstances ai ON ar.AuditID = ai.AuditID
-                        ${whereClause}
-                        AND ar.SelectedChoice IS NOT NULL
-                        GROUP BY ar.Title, ar.ReferenceValue
-                        HAVING SUM(CASE WHEN ar.SelectedChoice = 'No' THEN 1 ELSE 0 END) = 0
-                        AND SUM(CASE WHEN ar.SelectedChoice = 'Yes' THEN 1 ELSE 0 END) > 0
-                        ORDER BY Value DESC
-                    `;
-                    valueLabel = 'Times Passed';
-                    break;
-                    
-                case 'lowest_score':
-                    query = `
-                        SELECT TOP ${limitNum}
-                            ar.Title as Name,
-                            ROUND(
-                                SUM(CASE WHEN ar.SelectedChoice = 'Yes' THEN 1.0 
-                                         WHEN ar.SelectedChoice = 'Partially' THEN 0.5 
-                                         ELSE 0 END) * 100.0 / 
-                                NULLIF(SUM(CASE WHEN ar.SelectedChoice IN ('Yes', 'No', 'Partially') THEN 1 ELSE 0 END), 0)
-                            , 1) as Value,
-                            ar.ReferenceValue as RefValue,
-                            COUNT(*) as TimesAudited
-                        FROM AuditResponses ar
-                        INNER JOIN AuditInstances ai ON ar.AuditID = ai.AuditID
-                        ${whereClause}
-                        AND ar.SelectedChoice IN ('Yes', 'No', 'Partially')
-                        GROUP BY ar.Title, ar.ReferenceValue
-                        ORDER BY Value ASC
-                    `;
-                    valueLabel = 'Pass Rate (%)';
-                    break;
-            }
-        }
-        
-        if (query) {
-            const result = await pool.request().query(query);
-            results = result.recordset.map(r => ({
-                name: r.Name || 'Unknown',
-                value: r.Value || 0,
-                suffix: valueLabel.includes('%') ? '%' : '',
-                extra: r.TotalAudits ? `${r.TotalAudits} audits` : 
-                       r.TimesAudited ? `${r.TimesAudited} times` :
-                       r.RefValue ? `Ref: ${r.RefValue}` :
-                       r.AvgScore ? `Avg: ${r.AvgScore}%` :
-                       r.FirstScore !== undefined ? `${r.FirstScore}% → ${r.LastScore}%` : null
-            }));
+        // Same filters as the dashboard (brands, area managers, cycles, years) plus the single year / cycle / store,
+        // always within the user's own stores
+        const params = { ...req.query, scopeStoreIds: await analyticsQueryService.getUserStoreScope(pool, req.currentUser) };
+        if (req.query.format === 'xlsx') {
+            const view = await analyticsQueryService.runView(pool, 'custom_query', params, req.query);
+            return excelExportService.send(res, excelExportService.buildTableWorkbook(view), `analytics_${req.query.subject}_${req.query.metric}`);
         }
         
+        const { results, valueLabel } = await analyticsQueryService.runCustomQuery(pool, params);
         res.json({ success: true, results, valueLabel });
         
     } catch (error) {
         console.error('Error running custom query:', error);
+        if (error.details) {
+            return res.status(400).json({ success: false, error: error.message, details: error.details });
+        }
         res.status(500).json({ success: false, error: error.message });
     }
 });
@@ -3899,6 +3817,187 @@ app.get('/api/escalation-settings/log', requireAuth, requirePagePermission(ESCAL
 
 console.log('[APP] Escalation settings API loaded');
 
+// ==========================================
+// SLA Policies (action plan deadlines by schema / brand / priority)
+// ==========================================
+
+function sendSlaError(res, error, context) {
+    console.error(`[SlaPolicies] Error ${context}:`, error);
+    if (error.details) {
+        return res.status(400).json({ success: false, error: error.message, details: error.details });
+    }
+    res.status(500).json({ success: false, error: error.message });
+}
+
+// Policies, calendars and the options the policy editor needs
+app.get('/api/escalation-settings/sla-policies', requireAuth, requirePagePermission(ESCALATION_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const [policies, calendars, lookups] = await Promise.all([
+            SlaPolicyService.getPolicies(pool, { includeInactive: true }),
+            SlaPolicyService.getCalendars(pool),
+            pool.request().query(`
+                SELECT SchemaID, SchemaName FROM AuditSchemas WHERE IsActive = 1 ORDER BY SchemaName;
+                SELECT DISTINCT Brand FROM Stores WHERE Brand IS NOT NULL ORDER BY Brand;
+            `)
+        ]);
+
+        res.json({
+            success: true,
+            policies,
+            calendars,
+            options: {
+                schemas: lookups.recordsets[0],
+                brands: lookups.recordsets[1].map(r => r.Brand),
+                priorities: SlaPolicyService.PRIORITIES,
+                severities: SlaPolicyService.SEVERITIES,
+                escalationRoles: SlaPolicyService.ESCALATION_ROLES,
+                ccRoles: SlaPolicyService.CC_ROLES
+            }
+        });
+    } catch (error) {
+        sendSlaError(res, error, 'loading SLA policies');
+    }
+});
+
+// Create an SLA policy with its escalation chain
+app.post('/api/escalation-settings/sla-policies', requireAuth, requirePagePermission(ESCALATION_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const policy = await SlaPolicyService.savePolicy(pool, req.body, req.currentUser.email);
+
+        console.log(`[SlaPolicies] Policy "${policy.name}" created by ${req.currentUser.email}`);
+        res.json({ success: true, policy });
+    } catch (error) {
+        sendSlaError(res, error, 'creating SLA policy');
+    }
+});
+
+// Update an SLA policy (the escalation chain is replaced)
+app.put('/api/escalation-settings/sla-policies/:policyId', requireAuth, requirePagePermission(ESCALATION_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const policy = await SlaPolicyService.savePolicy(pool, req.body, req.currentUser.email, parseInt(req.params.policyId));
+
+        console.log(`[SlaPolicies] Policy "${policy.name}" updated by ${req.currentUser.email}`);
+        res.json({ success: true, policy });
+    } catch (error) {
+        sendSlaError(res, error, 'updating SLA policy');
+    }
+});
+
+// Activate / deactivate an SLA policy
+app.put('/api/escalation-settings/sla-policies/:policyId/active', requireAuth, requirePagePermission(ESCALATION_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const policy = await SlaPolicyService.setPolicyActive(pool, parseInt(req.params.policyId), !!req.body.isActive, req.currentUser.email);
+
+        console.log(`[SlaPolicies] Policy "${policy.name}" ${policy.isActive ? 'activated' : 'deactivated'} by ${req.currentUser.email}`);
+        res.json({ success: true, policy });
+    } catch (error) {
+        sendSlaError(res, error, 'changing SLA policy status');
+    }
+});
+
+// Create a business calendar
+app.post('/api/escalation-settings/sla-calendars', requireAuth, requirePagePermission(ESCALATION_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const calendarId = await SlaPolicyService.saveCalendar(pool, req.body, req.currentUser.email);
+        res.json({ success: true, calendarId });
+    } catch (error) {
+        sendSlaError(res, error, 'creating calendar');
+    }
+});
+
+// Update a business calendar (name, working days, active)
+app.put('/api/escalation-settings/sla-calendars/:calendarId', requireAuth, requirePagePermission(ESCALATION_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const calendarId = await SlaPolicyService.saveCalendar(pool, req.body, req.currentUser.email, parseInt(req.params.calendarId));
+        res.json({ success: true, calendarId });
+    } catch (error) {
+        sendSlaError(res, error, 'updating calendar');
+    }
+});
+
+// Add a public holiday to a calendar
+app.post('/api/escalation-settings/sla-calendars/:calendarId/holidays', requireAuth, requirePagePermission(ESCALATION_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const holidayId = await SlaPolicyService.addHoliday(pool, parseInt(req.params.calendarId), req.body, req.currentUser.email);
+        res.json({ success: true, holidayId });
+    } catch (error) {
+        sendSlaError(res, error, 'adding holiday');
+    }
+});
+
+// Remove a public holiday
+app.delete('/api/escalation-settings/sla-calendars/:calendarId/holidays/:holidayId', requireAuth, requirePagePermission(ESCALATION_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        await SlaPolicyService.deleteHoliday(pool, parseInt(req.params.calendarId), parseInt(req.params.holidayId));
+        res.json({ success: true });
+    } catch (error) {
+        sendSlaError(res, error, 'removing holiday');
+    }
+});
+
+console.log('[APP] SLA policies API loaded');
+
+// ==========================================
+// Notification Channels (delivery channels per notification type)
+// ==========================================
+
+// Routing per notification type and channel status
+app.get('/api/escalation-settings/notification-channels', requireAuth, requirePagePermission(ESCALATION_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        notificationChannelService.clearCache();
+        const configuration = await notificationChannelService.getConfiguration();
+        res.json({ success: true, ...configuration });
+    } catch (error) {
+        console.error('[NotificationChannels] Error loading configuration:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Save the channels of one notification type (empty list = use the default route)
+app.put('/api/escalation-settings/notification-channels/:type', requireAuth, requirePagePermission(ESCALATION_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const route = await notificationChannelService.saveRoute(pool, req.params.type, req.body || {}, req.currentUser.email);
+        res.json({ success: true, route });
+    } catch (error) {
+        console.error('[NotificationChannels] Error saving route:', error);
+        if (error.details) {
+            return res.status(400).json({ success: false, error: error.message, details: error.details });
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Send a test notification to the current user through the routed channels
+app.post('/api/escalation-settings/notification-channels/test', requireAuth, requirePagePermission(ESCALATION_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const type = req.body.type || 'Default';
+        const to = req.body.to || req.currentUser.email;
+        const route = await notificationChannelService.getRoute(type);
+        const result = await notificationChannelService.send({
+            type,
+            to: [to],
+            subject: `[TEST] ${type} notification`,
+            html: `<p>This is a test <strong>${type}</strong> notification sent by ${req.currentUser.displayName || req.currentUser.email}.</p>
+                   <p>Channels: ${route.channels.join(', ')}</p>`
+        });
+        res.json({ success: result.success, error: result.error, sender: result.sender, channels: result.channels });
+    } catch (error) {
+        console.error('[NotificationChannels] Error sending test:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+console.log('[APP] Notification channels API loaded');
+
 // ==========================================
 // Escalation Job API (Admin Only)
 // ==========================================
@@ -4131,66 +4230,11 @@ app.get('/api/admin/escalation-job/preview', requireAuth, requireRole('Admin'),
 // Get all pending audits awaiting action plan submission (forecast view)
 app.get('/api/admin/escalation-job/pending-audits', requireAuth, requireRole('Admin'), async (req, res) => {
     try {
-        const sql = require('mssql');
-        const pool = await sql.connect({
-            server: process.env.SQL_SERVER,
-            database: process.env.SQL_DATABASE,
-            user: process.env.SQL_USER,
-            password: process.env.SQL_PASSWORD,
-            options: { encrypt: false, trustServerCertificate: true }
-        });
-        
-        // Get settings for deadline calculation
-        const settingsResult = await pool.request().query(`
-            SELECT DeadlineDays, ReminderDaysBefore, GracePeriodHours 
-            FROM ActionPlanEscalationSettings
-        `);
-        const settings = settingsResult.recordset[0] || { DeadlineDays: 7, ReminderDaysBefore: '3,1', GracePeriodHours: 24 };
-        const reminderDays = settings.ReminderDaysBefore.split(',').map(d => parseInt(d.trim()));
-        
-        // Get all completed audits without action plan submission
-        const result = await pool.request().query(`
-            WITH AuditDeadlines AS (
-                SELECT 
-                    ai.AuditID,
-                    ai.DocumentNumber,
-                    ai.StoreName,
-                    ai.StoreCode,
-                    ai.AuditDate,
-                    ai.Cycle,
-                    ai.Year,
-                    cd.CycleName,
-                    MIN(n.sent_at) as ReportSentAt,
-                    DATEADD(DAY, ${settings.DeadlineDays}, MIN(n.sent_at)) as Deadline,
-                    DATEDIFF(DAY, GETDATE(), DATEADD(DAY, ${settings.DeadlineDays}, MIN(n.sent_at))) as DaysRemaining,
-                    CASE 
-                        WHEN DATEADD(HOUR, ${settings.GracePeriodHours}, DATEADD(DAY, ${settings.DeadlineDays}, MIN(n.sent_at))) < GETDATE() THEN 'Overdue'
-                        WHEN DATEADD(DAY, ${settings.DeadlineDays}, MIN(n.sent_at)) < GETDATE() THEN 'Grace Period'
-                        WHEN DATEDIFF(DAY, GETDATE(), DATEADD(DAY, ${settings.DeadlineDays}, MIN(n.sent_at))) <= ${Math.max(...reminderDays)} THEN 'Reminder Due'
-                        ELSE 'On Track'
-                    END as Status
-                FROM AuditInstances ai
-                INNER JOIN Notifications n ON n.document_number = ai.DocumentNumber 
-                    AND n.notification_type IN ('ReportPublished', 'FullReportGenerated', 'AuditReport')
-                    AND n.status = 'Sent'
-                LEFT JOIN AuditSchemas s ON ai.SchemaID = s.SchemaID
-                LEFT JOIN CycleTypes ct ON s.CycleTypeID = ct.CycleTypeID
-                LEFT JOIN CycleDefinitions cd ON ct.CycleTypeID = cd.CycleTypeID AND ai.Cycle = cd.CycleNumber
-                WHERE ai.Status = 'Completed'
-                AND NOT EXISTS (
-                    SELECT 1 FROM Notifications n2 
-                    WHERE n2.document_number = ai.DocumentNumber 
-                    AND n2.notification_type = 'ActionPlanSubmitted'
-                    AND n2.status = 'Sent'
-                )
-                GROUP BY ai.AuditID, ai.DocumentNumber, ai.StoreName, ai.StoreCode, ai.AuditDate, ai.Cycle, ai.Year, cd.CycleName
-            )
-            SELECT * FROM AuditDeadlines
-            ORDER BY DaysRemaining ASC
-        `);
+        // Deadlines and statuses come from each document's SLA policy
+        const { settings, audits } = await escalationJobService.getPendingAudits();
+        const reminderDays = (settings.ReminderDaysBefore || '3,1').split(',').map(d => parseInt(d.trim()));
         
         // Group by status
-        const audits = result.recordset;
         const grouped = {
             overdue: audits.filter(a => a.Status === 'Overdue'),
             gracePeriod: audits.filter(a => a.Status === 'Grace Period'),
@@ -4986,98 +5030,37 @@ app.post('/api/section-icons/:schemaId', requireAuth, requireRole('Admin', 'Supe
     }
 });
 
-// Get department names for a schema
+// Get department names for a schema (report titles of every registered department)
 app.get('/api/schema-department-names/:schemaId', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
     try {
-        const sql = require('mssql');
-        const pool = await sql.connect({
-            server: process.env.SQL_SERVER,
-            database: process.env.SQL_DATABASE,
-            user: process.env.SQL_USER,
-            password: process.env.SQL_PASSWORD,
-            options: {
-                encrypt: false,
-                trustServerCertificate: true
-            }
-        });
-        
+        const pool = await require('./database/db-connection').getPool();
         const schemaId = parseInt(req.params.schemaId);
         
-        const result = await pool.request()
-            .input('SchemaID', sql.Int, schemaId)
-            .query(`
-                SELECT DeptNameMaintenance, DeptNameProcurement, DeptNameCleaning
-                FROM AuditSchemas
-                WHERE SchemaID = @SchemaID
-            `);
-        
-        if (result.recordset.length === 0) {
-            return res.json({ success: true, names: {} });
-        }
+        const departments = await DepartmentService.getSchemaDepartments(pool, schemaId);
+        const names = {};
+        departments.forEach(d => { names[d.code] = d.displayName; });
         
-        const row = result.recordset[0];
-        res.json({
-            success: true,
-            names: {
-                Maintenance: row.DeptNameMaintenance || 'Maintenance',
-                Procurement: row.DeptNameProcurement || 'Procurement',
-                Cleaning: row.DeptNameCleaning || 'Cleaning'
-            }
-        });
+        res.json({ success: true, names, departments });
     } catch (error) {
         console.error('Error loading department names:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Save department names for a schema
+// Save department names for a schema ({ names: { [departmentCode]: title } })
 app.post('/api/schema-department-names/:schemaId', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
     try {
-        const sql = require('mssql');
-        const pool = await sql.connect({
-            server: process.env.SQL_SERVER,
-            database: process.env.SQL_DATABASE,
-            user: process.env.SQL_USER,
-            password: process.env.SQL_PASSWORD,
-            options: {
-                encrypt: false,
-                trustServerCertificate: true
-            }
-        });
-        
+        const pool = await require('./database/db-connection').getPool();
         const schemaId = parseInt(req.params.schemaId);
         const { names } = req.body;
         
-        // Ensure columns exist
-        await pool.request().query(`
-            IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('AuditSchemas') AND name = 'DeptNameMaintenance')
-            BEGIN
-                ALTER TABLE AuditSchemas ADD DeptNameMaintenance NVARCHAR(200) NULL;
-            END;
-            IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('AuditSchemas') AND name = 'DeptNameProcurement')
-            BEGIN
-                ALTER TABLE AuditSchemas ADD DeptNameProcurement NVARCHAR(200) NULL;
-            END;
-            IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('AuditSchemas') AND name = 'DeptNameCleaning')
-            BEGIN
-                ALTER TABLE AuditSchemas ADD DeptNameCleaning NVARCHAR(200) NULL;
-            END;
-        `);
+        if (!names || typeof names !== 'object') {
+            return res.status(400).json({ success: false, error: 'names are required' });
+        }
         
-        await pool.request()
-            .input('SchemaID', sql.Int, schemaId)
-            .input('DeptNameMaintenance', sql.NVarChar(200), names.Maintenance || 'Maintenance')
-            .input('DeptNameProcurement', sql.NVarChar(200), names.Procurement || 'Procurement')
-            .input('DeptNameCleaning', sql.NVarChar(200), names.Cleaning || 'Cleaning')
-            .query(`
-                UPDATE AuditSchemas
-                SET DeptNameMaintenance = @DeptNameMaintenance,
-                    DeptNameProcurement = @DeptNameProcurement,
-                    DeptNameCleaning = @DeptNameCleaning
-                WHERE SchemaID = @SchemaID
-            `);
+        const saved = await DepartmentService.saveSchemaNames(pool, schemaId, names);
         
-        console.log(`✅ Saved department names for schema ${schemaId}`);
+        console.log(`✅ Saved department names for schema ${schemaId} (${saved} custom)`);
         res.json({ success: true });
     } catch (error) {
         console.error('Error saving department names:', error);
@@ -5085,6 +5068,71 @@ app.post('/api/schema-department-names/:schemaId', requireAuth, requireRole('Adm
     }
 });
 
+// ==========================================
+// Department Registry API
+// ==========================================
+
+// List registered departments (?schemaId= adds the schema's report titles, ?includeInactive=true for admins)
+app.get('/api/departments', requireAuth, async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const includeInactive = req.query.includeInactive === 'true';
+        const schemaId = req.query.schemaId ? parseInt(req.query.schemaId) : null;
+        
+        const departments = schemaId
+            ? await DepartmentService.getSchemaDepartments(pool, schemaId, includeInactive)
+            : await DepartmentService.getDepartments(pool, { includeInactive });
+        
+        res.json({ success: true, departments });
+    } catch (error) {
+        console.error('Error loading departments:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Register a department; its head role (<Code>Head) becomes available for users
+app.post('/api/departments', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const department = await DepartmentService.createDepartment(pool, req.body, req.currentUser);
+        
+        console.log(`✅ Department ${department.code} registered by ${req.currentUser.email} (role ${department.roleName})`);
+        res.json({ success: true, department });
+    } catch (error) {
+        console.error('Error creating department:', error);
+        if (error.details) {
+            return res.status(400).json({ success: false, error: error.message, details: error.details });
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Update a department (name, icon, color, contractor flag, contact, order, active)
+app.put('/api/departments/:departmentId', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const department = await DepartmentService.updateDepartment(pool, parseInt(req.params.departmentId), req.body);
+        
+        if (!department) {
+            return res.status(404).json({ success: false, error: 'Department not found' });
+        }
+        
+        console.log(`✅ Department ${department.code} updated by ${req.currentUser.email}`);
+        res.json({ success: true, department });
+    } catch (error) {
+        console.error('Error updating department:', error);
+        if (error.details) {
+            return res.status(400).json({ success: false, error: error.message, details: error.details });
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Load the department registry for synchronous role checks (reloaded every 5 minutes on use)
+require('./database/db-connection').getPool()
+    .then(pool => DepartmentService.refreshCache(pool))
+    .catch(error => console.error('[Departments] Could not load department registry:', error.message));
+
 console.log('[APP] Checklist info API loaded');
 
 // ==========================================
@@ -5132,6 +5180,27 @@ app.post('/api/audits/:auditId/reaudit', requireAuth, requireRole('Admin', 'Supe
     }
 });
 
+// Create a shadow audit: a second auditor fills the same checklist for the same visit (calibration)
+app.post('/api/audits/:auditId/shadow', requireAuth, requireRole('Admin', 'SuperAuditor', 'Auditor'), async (req, res) => {
+    try {
+        const auditId = parseInt(req.params.auditId);
+        const auditors = req.body.auditors || req.currentUser.displayName || req.currentUser.email;
+
+        console.log(`👥 Shadow audit requested for audit ${auditId} by ${req.currentUser.email}`);
+
+        const result = await AuditService.createShadowAudit(auditId, auditors, req.currentUser.email);
+
+        res.json({
+            success: true,
+            data: result,
+            message: `Shadow audit created: ${result.documentNumber}`
+        });
+    } catch (error) {
+        console.error('Error creating shadow audit:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // Get audits list for Audit List page (MUST be before :auditId route)
 app.get('/api/audits/list', requireAuth, requireRole('Admin', 'SuperAuditor', 'Auditor', 'StoreManager', 'HeadOfOperations', 'AreaManager'), async (req, res) => {
     try {
@@ -5211,6 +5280,24 @@ app.get('/api/audits/list', requireAuth, requireRole('Admin', 'SuperAuditor', 'A
             }
         }
         
+        // ?format=xlsx with the Audit List page filters (status, store, year, cycle, search);
+        // auditIds narrows to what the page shows for the report / action plan status filters
+        if (req.query.format === 'xlsx') {
+            const { status, store, year, cycle } = req.query;
+            const search = (req.query.search || '').toLowerCase();
+            const auditIds = req.query.auditIds ? req.query.auditIds.split(',').map(id => parseInt(id)) : null;
+            const exported = audits.filter(audit => {
+                if (auditIds && !auditIds.includes(audit.AuditID)) return false;
+                if (status && !auditIds && audit.Status !== status) return false;
+                if (store && audit.StoreName !== store) return false;
+                if (year && audit.AuditYear != year) return false;
+                if (cycle && audit.AuditCycle !== cycle) return false;
+                if (search && !audit.DocumentNumber?.toLowerCase().includes(search) && !audit.StoreName?.toLowerCase().includes(search)) return false;
+                return true;
+            });
+            return excelExportService.send(res, excelExportService.buildAuditListWorkbook(exported), 'audits');
+        }
+        
         res.json({ success: true, audits });
     } catch (error) {
         console.error('Error getting audits list:', error);
@@ -5365,91 +5452,6 @@ app.post('/api/audits/action-plan-stats', requireAuth, async (req, res) => {
 // Report View Tracking APIs
 // ==========================================
 
-/**
- * Get system sender token for automated notifications
- * Uses spnotification@spinneys-lebanon.com session
- */
-async function getSystemSenderToken() {
-    const sql = require('mssql');
-    const dbConfig = require('./config/default').database;
-    const pool = await sql.connect(dbConfig);
-    
-    const systemSenderEmail = process.env.SYSTEM_SENDER_EMAIL || 'spnotification@spinneys-lebanon.com';
-    
-    // Find active session for system sender
-    const result = await pool.request()
-        .input('email', sql.NVarChar, systemSenderEmail)
-        .query(`
-            SELECT TOP 1 s.session_token, s.azure_access_token, s.azure_refresh_token, s.expires_at, u.email
-            FROM Sessions s
-            INNER JOIN Users u ON s.user_id = u.id
-            WHERE u.email = @email
-            AND s.expires_at > GETDATE()
-            ORDER BY s.created_at DESC
-        `);
-    
-    if (result.recordset.length === 0) {
-        throw new Error(`No active session for system sender: ${systemSenderEmail}. Please login with this account first.`);
-    }
-    
-    const session = result.recordset[0];
-    const tokenExpiry = new Date(session.expires_at);
-    const now = new Date();
-    
-    // Check if access token is still valid (with 5 min buffer)
-    if (tokenExpiry > new Date(now.getTime() + 5 * 60 * 1000) && session.azure_access_token) {
-        return { token: session.azure_access_token, email: systemSenderEmail };
-    }
-    
-    // Token expired or about to expire, need to refresh
-    if (!session.azure_refresh_token) {
-        throw new Error(`No refresh token for ${systemSenderEmail}. Please login again with offline_access scope.`);
-    }
-    
-    console.log(`[ReportViewNotification] Refreshing access token for ${systemSenderEmail}...`);
-    
-    const tokenEndpoint = `https://login.microsoftonline.com/${process.env.AZURE_TENANT_ID}/oauth2/v2.0/token`;
-    
-    const params = new URLSearchParams({
-        client_id: process.env.AZURE_CLIENT_ID,
-        client_secret: process.env.AZURE_CLIENT_SECRET,
-        refresh_token: session.azure_refresh_token,
-        grant_type: 'refresh_token',
-        scope: 'User.Read User.ReadBasic.All Mail.Send offline_access'
-    });
-
-    const response = await fetch(tokenEndpoint, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        body: params.toString()
-    });
-
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Token refresh failed: ${response.status} - ${errorText}`);
-    }
-
-    const tokenData = await response.json();
-    
-    // Update the session with new tokens
-    const newExpiry = new Date(Date.now() + (tokenData.expires_in * 1000));
-    await pool.request()
-        .input('sessionToken', sql.NVarChar, session.session_token)
-        .input('accessToken', sql.NVarChar, tokenData.access_token)
-        .input('refreshToken', sql.NVarChar, tokenData.refresh_token || session.azure_refresh_token)
-        .input('expiresAt', sql.DateTime, newExpiry)
-        .query(`
-            UPDATE Sessions 
-            SET azure_access_token = @accessToken,
-                azure_refresh_token = @refreshToken,
-                expires_at = @expiresAt
-            WHERE session_token = @sessionToken
-        `);
-    
-    console.log(`[ReportViewNotification] Token refreshed successfully for ${systemSenderEmail}`);
-    return { token: tokenData.access_token, email: systemSenderEmail };
-}
-
 /**
  * Send report view notification to audit creator and SuperAuditors (except Danielle Melhem)
  */
@@ -5513,9 +5515,6 @@ async function sendReportViewNotification(auditId, viewerName, viewerRole, pool)
             return;
         }
         
-        // Get system sender token
-        const { token: accessToken, email: senderEmail } = await getSystemSenderToken();
-        
         // Build email content
         const viewedAt = new Date().toLocaleString('en-US', { 
             year: 'numeric', month: 'long', day: 'numeric', 
@@ -5576,38 +5575,19 @@ async function sendReportViewNotification(auditId, viewerName, viewerRole, pool)
             </div>
         `;
         
-        // Send email via Microsoft Graph
-        const toEmails = recipients.map(r => r.email);
-        
-        const graphEndpoint = `https://graph.microsoft.com/v1.0/me/sendMail`;
-        
-        const emailPayload = {
-            message: {
-                subject: emailSubject,
-                body: {
-                    contentType: 'HTML',
-                    content: emailHtml
-                },
-                toRecipients: recipients.map(r => ({
-                    emailAddress: { address: r.email, name: r.name }
-                }))
-            },
-            saveToSentItems: true
-        };
-        
-        const graphResponse = await fetch(graphEndpoint, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(emailPayload)
+        // Queue in the notification outbox and send as the system sender through the channels routed for ReportViewed
+        const sendResult = await notificationOutboxService.send({
+            type: 'ReportViewed',
+            to: recipients.map(r => r.email),
+            subject: emailSubject,
+            html: emailHtml,
+            documentNumber: audit.DocumentNumber
         });
         
-        if (!graphResponse.ok) {
-            const errorText = await graphResponse.text();
-            throw new Error(`Graph API error: ${graphResponse.status} - ${errorText}`);
+        if (!sendResult.success && !sendResult.queued) {
+            throw new Error(sendResult.error);
         }
+        const senderEmail = sendResult.sender || process.env.SYSTEM_SENDER_EMAIL || 'spnotification@spinneys-lebanon.com';
         
         // Log notification in database
         for (const recipient of recipients) {
@@ -5619,7 +5599,7 @@ async function sendReportViewNotification(auditId, viewerName, viewerRole, pool)
                 .input('notificationType', sql.NVarChar(50), 'ReportViewed')
                 .input('emailSubject', sql.NVarChar(255), emailSubject)
                 .input('sentByEmail', sql.NVarChar(255), senderEmail)
-                .input('status', sql.NVarChar(50), 'Sent')
+                .input('status', sql.NVarChar(50), sendResult.success ? 'Sent' : 'Pending')
                 .input('sentAt', sql.DateTime, new Date())
                 .query(`
                     INSERT INTO Notifications (document_number, recipient_email, recipient_name, recipient_role, notification_type, email_subject, sent_by_email, status, sent_at)
@@ -5699,9 +5679,6 @@ async function sendActionPlanSubmittedToAreaManagers(documentNumber, storeName,
             return;
         }
         
-        // Get system sender token
-        const { token: accessToken, email: senderEmail } = await getSystemSenderToken();
-        
         // Build email content
         const submittedAt = new Date().toLocaleString('en-US', { 
             year: 'numeric', month: 'long', day: 'numeric', 
@@ -5766,36 +5743,19 @@ async function sendActionPlanSubmittedToAreaManagers(documentNumber, storeName,
             </div>
         `;
         
-        // Send email via Microsoft Graph
-        const graphEndpoint = `https://graph.microsoft.com/v1.0/me/sendMail`;
-        
-        const emailPayload = {
-            message: {
-                subject: emailSubject,
-                body: {
-                    contentType: 'HTML',
-                    content: emailHtml
-                },
-                toRecipients: recipients.map(r => ({
-                    emailAddress: { address: r.email, name: r.name }
-                }))
-            },
-            saveToSentItems: true
-        };
-        
-        const graphResponse = await fetch(graphEndpoint, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(emailPayload)
+        // Queue in the notification outbox and send as the system sender through the channels routed for ActionPlanSubmitted
+        const sendResult = await notificationOutboxService.send({
+            type: 'ActionPlanSubmitted',
+            to: recipients.map(r => r.email),
+            subject: emailSubject,
+            html: emailHtml,
+            documentNumber
         });
         
-        if (!graphResponse.ok) {
-            const errorText = await graphResponse.text();
-            throw new Error(`Graph API error: ${graphResponse.status} - ${errorText}`);
+        if (!sendResult.success && !sendResult.queued) {
+            throw new Error(sendResult.error);
         }
+        const senderEmail = sendResult.sender || process.env.SYSTEM_SENDER_EMAIL || 'spnotification@spinneys-lebanon.com';
         
         // Log notification in database
         for (const recipient of recipients) {
@@ -5807,7 +5767,7 @@ async function sendActionPlanSubmittedToAreaManagers(documentNumber, storeName,
                 .input('notificationType', sql.NVarChar(50), 'ActionPlanSubmittedToAreaManager')
                 .input('emailSubject', sql.NVarChar(255), emailSubject)
                 .input('sentByEmail', sql.NVarChar(255), senderEmail)
-                .input('status', sql.NVarChar(50), 'Sent')
+                .input('status', sql.NVarChar(50), sendResult.success ? 'Sent' : 'Pending')
                 .input('sentAt', sql.DateTime, new Date())
                 .query(`
                     INSERT INTO Notifications (document_number, recipient_email, recipient_name, recipient_role, notification_type, email_subject, sent_by_email, status, sent_at)
@@ -6375,20 +6335,11 @@ app.post('/api/audits/send-report-with-recipients', requireAuth, requireRole('Ad
             }
         } catch (e) { /* use default */ }
         
-        // Get valid access token for sending email
+        // Get valid access token for sending email (without one it goes out from the system sender)
         const user = req.currentUser;
         const userEmail = user?.email;
         const validAccessToken = await getValidAccessToken(req);
         
-        if (!validAccessToken) {
-            return res.json({
-                success: true,
-                published: true,
-                emailSent: false,
-                message: 'Report published but could not send email (session expired, please log in again)'
-            });
-        }
-        
         // Build email content
         const reportUrl = `https://fsaudit.gmrlapps.com/api/audits/reports/Audit_Report_${documentNumber}.html`;
         const score = parseFloat(totalScore) || 0;
@@ -6457,14 +6408,11 @@ app.post('/api/audits/send-report-with-recipients', requireAuth, requireRole('Ad
             sectionScoresHtml += '</table>';
         }
         
-        // Placeholder replacement function
+        // Placeholder replacement through the template engine (conditionals, loops, partials)
+        const emailTemplateService = require('./services/email-template-service');
+        await emailTemplateService.loadPartials(pool);
         function replacePlaceholders(template, placeholders) {
-            let result = template;
-            for (const [key, value] of Object.entries(placeholders)) {
-                const regex = new RegExp('\\{\\{' + key + '\\}\\}', 'gi');
-                result = result.replace(regex, value || '');
-            }
-            return result;
+            return emailTemplateService.replacePlaceholders(template, placeholders);
         }
         
         // Build custom message HTML if provided
@@ -6516,6 +6464,7 @@ app.post('/api/audits/send-report-with-recipients', requireAuth, requireRole('Ad
             statusBgColor: isPassing ? '#dcfce7' : '#fee2e2',
             passingGrade: passingGrade + '%',
             sectionScores: sectionScoresHtml,
+            sections: sectionScores,
             customMessage: customMessageHtml,
             urgentHrNotes: urgentHrNotesHtml,
             reportUrl: reportUrl,
@@ -6588,10 +6537,12 @@ app.post('/api/audits/send-report-with-recipients', requireAuth, requireRole('Ad
                 emailHtml,
                 ccEmails.length > 0 ? ccEmails : null,
                 validAccessToken,
-                { email: userEmail, name: user.displayName }
+                { email: userEmail, name: user.displayName },
+                'ReportPublished'
             );
             
-            if (!result.success) {
+            // Queued = first attempt failed, the outbox keeps retrying
+            if (!result.success && !result.queued) {
                 throw new Error(result.error || 'Email sending failed');
             }
             
@@ -6606,7 +6557,7 @@ app.post('/api/audits/send-report-with-recipients', requireAuth, requireRole('Ad
                     .input('notificationType', sql.NVarChar(50), 'AuditReport')
                     .input('emailSubject', sql.NVarChar(255), emailSubject)
                     .input('sentByEmail', sql.NVarChar(255), userEmail)
-                    .input('status', sql.NVarChar(50), 'Sent')
+                    .input('status', sql.NVarChar(50), result.success ? 'Sent' : 'Pending')
                     .input('sentAt', sql.DateTime, new Date())
                     .query(`
                         INSERT INTO Notifications (document_number, recipient_email, recipient_name, recipient_role, notification_type, email_subject, sent_by_email, status, sent_at)
@@ -6618,6 +6569,7 @@ app.post('/api/audits/send-report-with-recipients', requireAuth, requireRole('Ad
                 success: true,
                 published: true,
                 emailSent: true,
+                emailQueued: !result.success,
                 emailRecipients: allRecipients.map(r => r.email)
             });
             
@@ -6752,20 +6704,21 @@ app.post('/api/broadcast/send', requireAuth, requirePagePermission(BROADCAST_PAG
                 const emailSubject = emailData.subject;
                 const emailBody = emailData.html;
                 
-                // Get valid access token (refresh if expired)
+                // Get valid access token (refresh if expired), without one the system sender is used
                 const validAccessToken = await getValidAccessToken(req);
-                if (!validAccessToken) {
-                    throw new Error('Session expired. Please log in again.');
-                }
                 
-                await emailService.sendEmail(
+                const sendResult = await emailService.sendEmail(
                     [recipient.email],  // to (array)
                     emailSubject,       // subject
                     emailBody,          // htmlBody
                     null,               // ccRecipients
                     validAccessToken,   // Use refreshed token
-                    { email: currentUser.email, name: currentUser.displayName } // Sender verification
+                    { email: currentUser.email, name: currentUser.displayName }, // Sender verification
+                    'Broadcast'
                 );
+                if (!sendResult.success && !sendResult.queued) {
+                    throw new Error(sendResult.error);
+                }
                 
                 emailSent = true;
                 emailsSent++;
@@ -7190,7 +7143,8 @@ app.post('/api/calendar/audits', requireAuth, requireRole('Admin', 'SuperAuditor
                 VALUES (@storeId, @storeName, @scheduledDate, @scheduledTime, @auditorId, @checklistId, @priority, @notes, @createdBy)
             `);
         
-        res.json({ success: true, id: result.recordset[0].id });
+        const id = result.recordset[0].id;
+        res.json({ success: true, id, inviteUrl: `/api/calendar/audits/${id}/invite` });
     } catch (error) {
         console.error('Error creating scheduled audit:', error);
         res.status(500).json({ success: false, error: error.message });
@@ -7241,11 +7195,13 @@ app.put('/api/calendar/audits/:id', requireAuth, requireRole('Admin', 'SuperAudi
                     priority = COALESCE(@priority, priority),
                     notes = @notes,
                     status = COALESCE(@status, status),
+                    occurrence_date = CASE WHEN recurring_rule_id IS NOT NULL THEN COALESCE(occurrence_date, scheduled_date) END,
+                    ics_sequence = ics_sequence + 1,
                     updated_at = GETDATE()
                 WHERE id = @id
             `);
         
-        res.json({ success: true });
+        res.json({ success: true, inviteUrl: `/api/calendar/audits/${auditId}/invite` });
     } catch (error) {
         console.error('Error updating scheduled audit:', error);
         res.status(500).json({ success: false, error: error.message });
@@ -7263,9 +7219,9 @@ app.delete('/api/calendar/audits/:id', requireAuth, requireRole('Admin', 'SuperA
         
         await pool.request()
             .input('id', sql.Int, auditId)
-            .query(`UPDATE ScheduledAudits SET status = 'Cancelled', updated_at = GETDATE() WHERE id = @id`);
+            .query(`UPDATE ScheduledAudits SET status = 'Cancelled', ics_sequence = ics_sequence + 1, updated_at = GETDATE() WHERE id = @id`);
         
-        res.json({ success: true });
+        res.json({ success: true, inviteUrl: `/api/calendar/audits/${auditId}/invite` });
     } catch (error) {
         console.error('Error cancelling scheduled audit:', error);
         res.status(500).json({ success: false, error: error.message });
@@ -7483,140 +7439,474 @@ app.delete('/api/calendar/recurring/:id', requireAuth, requireRole('Admin', 'Sup
 });
 
 // ==========================================
-// END AUDIT CALENDAR API ROUTES
-// ==========================================
-
-// ==========================================
-// EMAIL TEMPLATE MANAGEMENT API ROUTES
+// CALENDAR FEEDS (ICS)
 // ==========================================
 
-const emailTemplateService = require('./services/email-template-service');
-
-// Serve email templates management page - uses auto role from MenuPermissions
-app.get('/admin/email-templates', requireAuth, requireAutoRole('Admin'), (req, res) => {
-    res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
-    res.set('Pragma', 'no-cache');
-    res.set('Expires', '0');
-    res.sendFile(path.join(__dirname, 'audit-app', 'pages', 'email-templates.html'));
-});
-
-// Get all email templates
-app.get('/api/admin/email-templates', requireAuth, requireAutoRole('Admin'), async (req, res) => {
+// Download an .ics invite for a scheduled audit (REQUEST, or CANCEL once cancelled)
+app.get('/api/calendar/audits/:id/invite', requireAuth, async (req, res) => {
     try {
-        const templates = await emailTemplateService.getAllTemplates();
-        res.json({ success: true, templates });
+        const sql = require('mssql');
+        const dbConfig = require('./config/default').database;
+        const pool = await sql.connect(dbConfig);
+        
+        const audit = await CalendarFeedService.getScheduledAudit(pool, parseInt(req.params.id));
+        if (!audit) {
+            return res.status(404).json({ success: false, error: 'Scheduled audit not found' });
+        }
+        if (!['Admin', 'SuperAuditor'].includes(req.currentUser.role) && audit.auditor_user_id !== req.currentUser.id) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
+        
+        const invite = CalendarFeedService.buildInvite(audit, BASE_URL);
+        res.setHeader('Content-Type', `text/calendar; charset=utf-8; method=${audit.status === 'Cancelled' ? 'CANCEL' : 'REQUEST'}`);
+        res.setHeader('Content-Disposition', `attachment; filename="${invite.fileName}"`);
+        res.send(invite.content);
     } catch (error) {
-        console.error('Error fetching email templates:', error);
+        console.error('Error building calendar invite:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Update email template
-app.put('/api/admin/email-templates/:key', requireAuth, requireAutoRole('Admin'), async (req, res) => {
+// Get the current user's feed URL
+app.get('/api/calendar/feed', requireAuth, async (req, res) => {
     try {
-        const templateKey = req.params.key;
-        const updates = req.body;
-        const userId = req.currentUser?.id;
-        const userName = req.currentUser?.displayName || req.currentUser?.email;
-        
-        const result = await emailTemplateService.updateTemplate(templateKey, updates, userId, userName);
+        const sql = require('mssql');
+        const dbConfig = require('./config/default').database;
+        const pool = await sql.connect(dbConfig);
         
-        if (result.success) {
-            res.json({ success: true });
-        } else {
-            res.status(500).json({ success: false, error: result.error });
-        }
+        const token = await CalendarFeedService.getFeedToken(pool, req.currentUser.id);
+        res.json({ success: true, url: `${BASE_URL}/calendar/feed/${token}.ics` });
     } catch (error) {
-        console.error('Error updating email template:', error);
+        console.error('Error getting calendar feed:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Initialize default templates
-app.post('/api/admin/email-templates/initialize', requireAuth, requireAutoRole('Admin'), async (req, res) => {
+// Replace the current user's feed token (old subscriptions stop updating)
+app.post('/api/calendar/feed/regenerate', requireAuth, async (req, res) => {
     try {
-        const result = await emailTemplateService.insertDefaultTemplates();
-        if (result.success) {
-            res.json({ success: true, message: 'Default templates initialized' });
-        } else {
-            res.status(500).json({ success: false, error: result.error });
-        }
+        const sql = require('mssql');
+        const dbConfig = require('./config/default').database;
+        const pool = await sql.connect(dbConfig);
+        
+        const token = await CalendarFeedService.regenerateFeedToken(pool, req.currentUser.id);
+        console.log(`[Calendar] Feed token regenerated by ${req.currentUser.email}`);
+        res.json({ success: true, url: `${BASE_URL}/calendar/feed/${token}.ics` });
     } catch (error) {
-        console.error('Error initializing templates:', error);
+        console.error('Error regenerating calendar feed:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Reset template to default
-app.post('/api/admin/email-templates/:key/reset', requireAuth, requireAutoRole('Admin'), async (req, res) => {
+// ICS feed for calendar clients (no session - the token in the URL is the credential)
+app.get('/calendar/feed/:token.ics', async (req, res) => {
     try {
-        const templateKey = req.params.key;
-        const defaults = emailTemplateService.getDefaultTemplates();
-        const defaultTemplate = defaults.find(t => t.template_key === templateKey);
+        const sql = require('mssql');
+        const dbConfig = require('./config/default').database;
+        const pool = await sql.connect(dbConfig);
         
-        if (!defaultTemplate) {
-            return res.status(404).json({ success: false, error: 'Default template not found' });
+        const user = await CalendarFeedService.getFeedUser(pool, req.params.token);
+        if (!user) {
+            return res.status(404).send('Calendar feed not found');
         }
         
-        const updates = {
-            template_name: defaultTemplate.template_name,
-            description: defaultTemplate.description,
-            subject_template: defaultTemplate.subject_template,
-            html_body: defaultTemplate.html_body,
-            is_active: true
-        };
-        
-        const userId = req.currentUser?.id;
-        const userName = req.currentUser?.displayName || req.currentUser?.email;
-        
-        const result = await emailTemplateService.updateTemplate(templateKey, updates, userId, userName);
-        
-        if (result.success) {
-            res.json({ success: true, message: 'Template reset to default' });
-        } else {
-            res.status(500).json({ success: false, error: result.error });
-        }
+        const content = await CalendarFeedService.buildFeed(pool, user, BASE_URL);
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.send(content);
     } catch (error) {
-        console.error('Error resetting template:', error);
+        console.error('Error building calendar feed:', error);
+        res.status(500).send('Calendar feed unavailable');
+    }
+});
+
+// ==========================================
+// CYCLE AUDIT PLANNER
+// ==========================================
+
+// Serve planner page
+app.get('/admin/audit-planner', requireAuth, requireRole('Admin', 'SuperAuditor'), (req, res) => {
+    res.sendFile(path.join(__dirname, 'audit-app', 'pages', 'audit-planner.html'));
+});
+
+// Saved plans (?schemaId= optional)
+app.get('/api/planner/plans', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const sql = require('mssql');
+        const dbConfig = require('./config/default').database;
+        const pool = await sql.connect(dbConfig);
+
+        const plans = await AuditPlannerService.getPlans(pool, req.query.schemaId ? parseInt(req.query.schemaId) : null);
+        res.json({ success: true, plans, defaults: AuditPlannerService.getDefaultSettings() });
+    } catch (error) {
+        console.error('Error fetching audit plans:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Send test email
-app.post('/api/admin/email-templates/test', requireAuth, requireAutoRole('Admin'), async (req, res) => {
+// Generate a draft plan for a cycle: { schemaId, cycle, year, settings }
+app.post('/api/planner/plans', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
     try {
-        const { templateKey, recipientEmail, subject, body } = req.body;
-        
-        if (!recipientEmail) {
-            return res.status(400).json({ success: false, error: 'Recipient email required' });
+        const { schemaId, cycle, year, settings } = req.body;
+        if (!schemaId || !cycle) {
+            return res.status(400).json({ success: false, error: 'Schema and cycle are required' });
         }
+
+        const sql = require('mssql');
+        const dbConfig = require('./config/default').database;
+        const pool = await sql.connect(dbConfig);
+
+        const plan = await AuditPlannerService.generatePlan(pool, {
+            schemaId: parseInt(schemaId),
+            cycleNumber: cycle,
+            year: parseInt(year) || new Date().getFullYear(),
+            settings: settings || {}
+        }, req.currentUser.email);
+
+        res.json({ success: true, plan });
+    } catch (error) {
+        console.error('Error generating audit plan:', error);
+        const status = /not found|no cycle type|is empty/i.test(error.message) ? 400 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+// Get a plan with its proposal
+app.get('/api/planner/plans/:planId', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const sql = require('mssql');
+        const dbConfig = require('./config/default').database;
+        const pool = await sql.connect(dbConfig);
+
+        const plan = await AuditPlannerService.getPlan(pool, parseInt(req.params.planId));
+        if (!plan) {
+            return res.status(404).json({ success: false, error: 'Plan not found' });
+        }
+        res.json({ success: true, plan });
+    } catch (error) {
+        console.error('Error fetching audit plan:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Accept a plan into ScheduledAudits; body { audits } to accept an edited list
+app.post('/api/planner/plans/:planId/accept', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const sql = require('mssql');
+        const dbConfig = require('./config/default').database;
+        const pool = await sql.connect(dbConfig);
+
+        const result = await AuditPlannerService.acceptPlan(
+            pool,
+            parseInt(req.params.planId),
+            Array.isArray(req.body.audits) ? req.body.audits : null,
+            req.currentUser
+        );
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error accepting audit plan:', error);
+        if (error.details) {
+            return res.status(400).json({ success: false, error: error.message, details: error.details });
+        }
+        const status = /not found|already/i.test(error.message) ? 400 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+// Discard a draft plan
+app.delete('/api/planner/plans/:planId', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const sql = require('mssql');
+        const dbConfig = require('./config/default').database;
+        const pool = await sql.connect(dbConfig);
+
+        const result = await AuditPlannerService.discardPlan(pool, parseInt(req.params.planId));
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error discarding audit plan:', error);
+        const status = /not found/i.test(error.message) ? 404 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+// Auditors with working days, regions, daily maximum and upcoming time off
+app.get('/api/planner/auditors', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const sql = require('mssql');
+        const dbConfig = require('./config/default').database;
+        const pool = await sql.connect(dbConfig);
+
+        const auditors = await AuditPlannerService.getAuditorAvailability(pool);
+        res.json({ success: true, auditors });
+    } catch (error) {
+        console.error('Error fetching auditor availability:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Save auditor availability: { workingDays: [1,2,3], regions: [...], maxAuditsPerDay, isActive }
+app.put('/api/planner/auditors/:userId/availability', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const sql = require('mssql');
+        const dbConfig = require('./config/default').database;
+        const pool = await sql.connect(dbConfig);
+
+        await AuditPlannerService.saveAuditorAvailability(pool, parseInt(req.params.userId), req.body, req.currentUser.email);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error saving auditor availability:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Add auditor time off: { startDate, endDate, reason }
+app.post('/api/planner/auditors/:userId/time-off', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const sql = require('mssql');
+        const dbConfig = require('./config/default').database;
+        const pool = await sql.connect(dbConfig);
+
+        const result = await AuditPlannerService.addTimeOff(pool, parseInt(req.params.userId), req.body, req.currentUser.email);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error adding auditor time off:', error);
+        const status = /required/i.test(error.message) ? 400 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+// Remove auditor time off
+app.delete('/api/planner/time-off/:timeOffId', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const sql = require('mssql');
+        const dbConfig = require('./config/default').database;
+        const pool = await sql.connect(dbConfig);
+
+        await AuditPlannerService.deleteTimeOff(pool, parseInt(req.params.timeOffId));
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error removing auditor time off:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Stores of a schema with region and audit duration (?schemaId=)
+app.get('/api/planner/stores', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        if (!req.query.schemaId) {
+            return res.status(400).json({ success: false, error: 'Schema ID required' });
+        }
+
+        const sql = require('mssql');
+        const dbConfig = require('./config/default').database;
+        const pool = await sql.connect(dbConfig);
+
+        const stores = await AuditPlannerService.getPlanningStores(pool, parseInt(req.query.schemaId));
+        res.json({ success: true, stores });
+    } catch (error) {
+        console.error('Error fetching planning stores:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==========================================
+// END AUDIT CALENDAR API ROUTES
+// ==========================================
+
+// ==========================================
+// EMAIL TEMPLATE MANAGEMENT API ROUTES
+// ==========================================
+
+const emailTemplateService = require('./services/email-template-service');
+
+// Serve email templates management page - uses auto role from MenuPermissions
+app.get('/admin/email-templates', requireAuth, requireAutoRole('Admin'), (req, res) => {
+    res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.set('Pragma', 'no-cache');
+    res.set('Expires', '0');
+    res.sendFile(path.join(__dirname, 'audit-app', 'pages', 'email-templates.html'));
+});
+
+// Get all email templates
+app.get('/api/admin/email-templates', requireAuth, requireAutoRole('Admin'), async (req, res) => {
+    try {
+        const templates = await emailTemplateService.getAllTemplates();
+        res.json({ success: true, templates });
+    } catch (error) {
+        console.error('Error fetching email templates:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Update email template
+app.put('/api/admin/email-templates/:key', requireAuth, requireAutoRole('Admin'), async (req, res) => {
+    try {
+        const templateKey = req.params.key;
+        const updates = req.body;
+        const userId = req.currentUser?.id;
+        const userName = req.currentUser?.displayName || req.currentUser?.email;
         
-        // Replace placeholders with sample data
-        let testSubject = subject
-            .replace(/\{\{storeName\}\}/gi, 'Spinneys Dbayeh')
-            .replace(/\{\{documentNumber\}\}/gi, 'GMRL-FSACR-TEST')
-            .replace(/\{\{typeEmoji\}\}/gi, '📧')
-            .replace(/\{\{title\}\}/gi, 'Test Email');
-            
-        let testBody = body
-            .replace(/\{\{recipientName\}\}/gi, 'Test User')
-            .replace(/\{\{storeName\}\}/gi, 'Spinneys Dbayeh')
-            .replace(/\{\{documentNumber\}\}/gi, 'GMRL-FSACR-TEST')
-            .replace(/\{\{auditDate\}\}/gi, new Date().toLocaleDateString())
-            .replace(/\{\{score\}\}/gi, '85%')
-            .replace(/\{\{reportUrl\}\}/gi, '#')
-            .replace(/\{\{dashboardUrl\}\}/gi, '#')
-            .replace(/\{\{typeEmoji\}\}/gi, '📧')
-            .replace(/\{\{type\}\}/gi, 'Test')
-            .replace(/\{\{title\}\}/gi, 'Test Email')
-            .replace(/\{\{message\}\}/gi, 'This is a test email.')
-            .replace(/\{\{senderName\}\}/gi, req.currentUser?.displayName || 'Admin')
-            .replace(/\{\{submittedBy\}\}/gi, 'Test User')
-            .replace(/\{\{auditorName\}\}/gi, 'Test Auditor')
-            .replace(/\{\{auditTime\}\}/gi, '10:00 AM')
-            .replace(/\{\{checklistName\}\}/gi, 'Food Safety Audit')
-            .replace(/\{\{notes\}\}/gi, 'Test notes')
-            .replace(/\{\{calendarUrl\}\}/gi, '#');
+        const result = await emailTemplateService.updateTemplate(templateKey, updates, userId, userName, updates.change_note);
+        
+        if (result.success) {
+            res.json({ success: true, version: result.version });
+        } else {
+            res.status(result.details ? 400 : 500).json({ success: false, error: result.error, details: result.details });
+        }
+    } catch (error) {
+        console.error('Error updating email template:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Initialize default templates
+app.post('/api/admin/email-templates/initialize', requireAuth, requireAutoRole('Admin'), async (req, res) => {
+    try {
+        const result = await emailTemplateService.insertDefaultTemplates();
+        if (result.success) {
+            res.json({ success: true, message: 'Default templates initialized' });
+        } else {
+            res.status(500).json({ success: false, error: result.error });
+        }
+    } catch (error) {
+        console.error('Error initializing templates:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Reset template to default
+app.post('/api/admin/email-templates/:key/reset', requireAuth, requireAutoRole('Admin'), async (req, res) => {
+    try {
+        const templateKey = req.params.key;
+        const defaults = emailTemplateService.getDefaultTemplates();
+        const defaultTemplate = defaults.find(t => t.template_key === templateKey);
+        
+        if (!defaultTemplate) {
+            return res.status(404).json({ success: false, error: 'Default template not found' });
+        }
+        
+        const updates = {
+            template_name: defaultTemplate.template_name,
+            description: defaultTemplate.description,
+            subject_template: defaultTemplate.subject_template,
+            html_body: defaultTemplate.html_body,
+            is_active: true
+        };
+        
+        const userId = req.currentUser?.id;
+        const userName = req.currentUser?.displayName || req.currentUser?.email;
+        
+        const result = await emailTemplateService.updateTemplate(templateKey, updates, userId, userName, 'Reset to default');
+        
+        if (result.success) {
+            res.json({ success: true, message: 'Template reset to default', version: result.version });
+        } else {
+            res.status(result.details ? 400 : 500).json({ success: false, error: result.error, details: result.details });
+        }
+    } catch (error) {
+        console.error('Error resetting template:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Version history of a template
+app.get('/api/admin/email-templates/:key/versions', requireAuth, requireAutoRole('Admin'), async (req, res) => {
+    try {
+        const versions = await emailTemplateService.getVersions(req.params.key);
+        res.json({ success: true, versions });
+    } catch (error) {
+        console.error('Error fetching template versions:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Diff of a version against the current template (?against=current) or another version (?against=3)
+app.get('/api/admin/email-templates/:key/versions/:version/diff', requireAuth, requireAutoRole('Admin'), async (req, res) => {
+    try {
+        const diff = await emailTemplateService.diffVersions(req.params.key, parseInt(req.params.version, 10), req.query.against || 'current');
+        if (!diff) {
+            return res.status(404).json({ success: false, error: 'Version not found' });
+        }
+        res.json({ success: true, diff });
+    } catch (error) {
+        console.error('Error comparing template versions:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Roll back to a version (stored as a new version)
+app.post('/api/admin/email-templates/:key/versions/:version/rollback', requireAuth, requireAutoRole('Admin'), async (req, res) => {
+    try {
+        const userId = req.currentUser?.id;
+        const userName = req.currentUser?.displayName || req.currentUser?.email;
+        const result = await emailTemplateService.rollback(req.params.key, parseInt(req.params.version, 10), userId, userName);
+
+        if (result.success) {
+            res.json({ success: true, message: `Template rolled back to version ${req.params.version}`, version: result.version });
+        } else {
+            res.status(result.details ? 400 : 500).json({ success: false, error: result.error, details: result.details });
+        }
+    } catch (error) {
+        console.error('Error rolling back template:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Start an Arabic / French copy of a template ('<key>.ar'); emails use it for recipients in that language
+app.post('/api/admin/email-templates/:key/translations', requireAuth, requireAutoRole('Admin'), async (req, res) => {
+    try {
+        const userId = req.currentUser?.id;
+        const userName = req.currentUser?.displayName || req.currentUser?.email;
+        const result = await emailTemplateService.createTranslation(req.params.key, req.body?.language, userId, userName);
+
+        if (result.success) {
+            res.json({ success: true, templateKey: result.templateKey });
+        } else {
+            res.status(result.details ? 400 : 500).json({ success: false, error: result.error, details: result.details });
+        }
+    } catch (error) {
+        console.error('Error creating template translation:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Check template syntax and render it with sample data (editor preview)
+app.post('/api/admin/email-templates/validate', requireAuth, requireAutoRole('Admin'), async (req, res) => {
+    try {
+        const { subject, body, templateKey } = req.body;
+        const rendered = await emailTemplateService.renderWithSampleData(subject, body, {}, emailTemplateService.getTemplateLanguage(templateKey));
+        res.json({
+            success: true,
+            ...rendered.validation,
+            missing: rendered.missing,
+            preview: { subject: rendered.subject, html: rendered.html }
+        });
+    } catch (error) {
+        console.error('Error validating email template:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Send test email
+app.post('/api/admin/email-templates/test', requireAuth, requireAutoRole('Admin'), async (req, res) => {
+    try {
+        const { templateKey, recipientEmail, subject, body, data } = req.body;
+        
+        if (!recipientEmail) {
+            return res.status(400).json({ success: false, error: 'Recipient email required' });
+        }
+        
+        // Render with sample data; every variable the template uses must resolve
+        const senderName = req.currentUser?.displayName || 'Admin';
+        const rendered = await emailTemplateService.renderWithSampleData(subject, body, { senderName, sender_name: senderName, ...(data || {}) },
+            emailTemplateService.getTemplateLanguage(templateKey));
+        if (!rendered.validation.valid) {
+            return res.status(400).json({ success: false, error: rendered.validation.error, details: rendered.validation.error });
+        }
+        if (rendered.missing.length > 0) {
+            const details = `Missing variables: ${rendered.missing.join(', ')}`;
+            return res.status(400).json({ success: false, error: details, details, missing: rendered.missing });
+        }
         
         // Use email service to send
         const SimpleGraphConnector = require('./src/simple-graph-connector');
@@ -7626,14 +7916,15 @@ app.post('/api/admin/email-templates/test', requireAuth, requireAutoRole('Admin'
         
         const result = await emailService.sendEmail(
             [recipientEmail],
-            `[TEST] ${testSubject}`,
-            testBody,
+            `[TEST] ${rendered.subject}`,
+            rendered.html,
             null,
             req.currentUser?.accessToken,
             { email: req.currentUser?.email, name: req.currentUser?.displayName } // Sender verification
         );
         
         if (result.success) {
+            console.log(`📧 Test email for template ${templateKey || '(unsaved)'} sent to ${recipientEmail}`);
             res.json({ success: true, message: 'Test email sent' });
         } else {
             res.status(500).json({ success: false, error: result.error });
@@ -7977,26 +8268,125 @@ app.get('/api/audits', requireAuth, async (req, res) => {
     }
 });
 
-// Update audit response
-app.put('/api/audits/response/:responseId', requireAuth, requireRole('Admin', 'SuperAuditor', 'Auditor'), async (req, res) => {
-    try {
-        const userRole = req.currentUser.role;
-        const responseId = parseInt(req.params.responseId);
-        
-        // Check if audit is completed - only Admin and SuperAuditor can edit completed audits
-        const auditStatus = await AuditService.getAuditStatusByResponseId(responseId);
-        
-        if (auditStatus === 'Completed' && !['Admin', 'SuperAuditor'].includes(userRole)) {
-            return res.status(403).json({ 
-                success: false, 
+/**
+ * Response fields that changed, for live updates to other auditors
+ * @param {Object} body - Request body of a response change
+ * @returns {Object} Changed fields without the concurrency token
+ */
+function getLiveResponseChanges(body) {
+    const { responseId, coeff, baseUpdatedAt, ...changes } = body;
+    return changes;
+}
+
+/**
+ * Reject answers to a section another auditor has locked with 423
+ * @param {Object} req - Express request (current user)
+ * @param {Object} res - Express response
+ * @param {Array<number>} responseIds - Responses written to
+ * @returns {Promise<boolean>} true when the request was rejected
+ */
+async function rejectLockedSections(req, res, responseIds) {
+    const sections = await AuditService.getResponseSections(responseIds);
+    for (const section of sections) {
+        const lock = AuditLiveService.getForeignLock(section.auditId, [section.sectionId], req.currentUser);
+        if (lock) {
+            res.status(423).json({
+                success: false,
+                locked: true,
+                error: `Section is being filled by ${lock.name}`,
+                data: lock
+            });
+            return true;
+        }
+    }
+    return false;
+}
+
+// Update audit response
+app.put('/api/audits/response/:responseId', requireAuth, requireRole('Admin', 'SuperAuditor', 'Auditor'), async (req, res) => {
+    try {
+        const userRole = req.currentUser.role;
+        const responseId = parseInt(req.params.responseId);
+        
+        // Check if audit is completed (or a completed shadow audit) - only Admin and SuperAuditor can edit completed audits
+        const auditStatus = await AuditService.getAuditStatusByResponseId(responseId);
+        
+        if (['Completed', 'Calibration'].includes(auditStatus) && !['Admin', 'SuperAuditor'].includes(userRole)) {
+            return res.status(403).json({ 
+                success: false, 
                 error: 'Only Admin and SuperAuditor can edit completed audits' 
             });
         }
         
+        if (await rejectLockedSections(req, res, [responseId])) return;
+
         const result = await AuditService.updateResponse(responseId, req.body);
+        if (result.conflict) {
+            return res.status(409).json({
+                success: false,
+                conflict: true,
+                error: 'This item was changed by someone else since you last loaded it',
+                data: result.current
+            });
+        }
+        AuditLiveService.publish(result.auditId, 'response', {
+            responses: [{ responseId, changes: getLiveResponseChanges(req.body), value: result.value, updatedAt: result.updatedAt }]
+        }, req.currentUser, req.get('X-Live-Client-Id'));
         res.json({ success: true, data: result });
     } catch (error) {
         console.error('Error updating response:', error);
+        if (error.status === 400) {
+            return res.status(400).json({ success: false, error: error.message, details: error.details });
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Save many responses in one transaction; responses changed since their baseUpdatedAt come back as conflicts
+app.put('/api/audits/:auditId/responses', requireAuth, requireRole('Admin', 'SuperAuditor', 'Auditor'), async (req, res) => {
+    try {
+        const userRole = req.currentUser.role;
+        const auditId = parseInt(req.params.auditId);
+        const { changes, atomic = false } = req.body;
+
+        if (!Array.isArray(changes) || changes.length === 0) {
+            return res.status(400).json({ success: false, error: 'No changes provided' });
+        }
+        if (changes.some(c => !parseInt(c.responseId))) {
+            return res.status(400).json({ success: false, error: 'Every change needs a responseId' });
+        }
+
+        // Check if audit is completed (or a completed shadow audit) - only Admin and SuperAuditor can edit completed audits
+        const auditStatus = await AuditService.getAuditStatus(auditId);
+        if (!auditStatus) {
+            return res.status(404).json({ success: false, error: 'Audit not found' });
+        }
+        if (['Completed', 'Calibration'].includes(auditStatus) && !['Admin', 'SuperAuditor'].includes(userRole)) {
+            return res.status(403).json({ 
+                success: false, 
+                error: 'Only Admin and SuperAuditor can edit completed audits' 
+            });
+        }
+
+        if (await rejectLockedSections(req, res, changes.map(c => c.responseId))) return;
+
+        const result = await AuditService.updateResponses(auditId, changes, { atomic: !!atomic });
+        if (result.applied.length > 0) {
+            AuditLiveService.publish(auditId, 'response', {
+                responses: result.applied.map(a => ({
+                    responseId: a.responseId,
+                    changes: getLiveResponseChanges(changes[a.index]),
+                    value: a.value,
+                    updatedAt: a.updatedAt
+                }))
+            }, req.currentUser, req.get('X-Live-Client-Id'));
+        }
+        res.status(result.committed ? 200 : 409).json({ success: result.committed, data: result });
+    } catch (error) {
+        console.error('Error updating responses:', error);
+        if (error.status === 400) {
+            return res.status(400).json({ success: false, error: error.message, details: error.details });
+        }
         res.status(500).json({ success: false, error: error.message });
     }
 });
@@ -8004,7 +8394,11 @@ app.put('/api/audits/response/:responseId', requireAuth, requireRole('Admin', 'S
 // Complete audit
 app.post('/api/audits/:auditId/complete', requireAuth, requireRole('Admin', 'SuperAuditor', 'Auditor'), async (req, res) => {
     try {
-        const result = await AuditService.completeAudit(parseInt(req.params.auditId));
+        const result = await AuditService.completeAudit(parseInt(req.params.auditId), req.currentUser.email);
+        AuditLiveService.publish(parseInt(req.params.auditId), 'completed', {
+            totalScore: result.totalScore,
+            forcedFail: result.forcedFail
+        }, req.currentUser, req.get('X-Live-Client-Id'));
         res.json({ success: true, data: result });
     } catch (error) {
         console.error('Error completing audit:', error);
@@ -8012,25 +8406,70 @@ app.post('/api/audits/:auditId/complete', requireAuth, requireRole('Admin', 'Sup
     }
 });
 
+// ==========================================
+// Live collaboration (Server-Sent Events)
+// ==========================================
+
+// Event stream of an audit: responses, pictures, section locks and presence of other auditors
+app.get('/api/audits/:auditId/live', requireAuth, requireRole('Admin', 'SuperAuditor', 'Auditor'), (req, res) => {
+    AuditLiveService.subscribe(parseInt(req.params.auditId), req.currentUser, req, res, req.query.clientId);
+});
+
+// Tell the others which section this auditor is on
+app.post('/api/audits/:auditId/live/presence', requireAuth, requireRole('Admin', 'SuperAuditor', 'Auditor'), (req, res) => {
+    const { clientId, sectionId, sectionName } = req.body;
+    const updated = AuditLiveService.setPresence(parseInt(req.params.auditId), clientId, req.currentUser, sectionId, sectionName);
+    if (!updated) {
+        return res.status(404).json({ success: false, error: 'Not connected to this audit' });
+    }
+    res.json({ success: true });
+});
+
+// Lock a section (or renew an own lock)
+app.post('/api/audits/:auditId/live/locks/:sectionId', requireAuth, requireRole('Admin', 'SuperAuditor', 'Auditor'), (req, res) => {
+    const result = AuditLiveService.lockSection(parseInt(req.params.auditId), req.body.clientId, req.currentUser, parseInt(req.params.sectionId));
+    if (!result.success) {
+        return res.status(result.lockedBy ? 409 : 404).json({
+            success: false,
+            error: result.lockedBy ? `Section is being filled by ${result.lockedBy.name}` : result.error,
+            data: result.lockedBy || null
+        });
+    }
+    res.json({ success: true, data: result.lock });
+});
+
+// Release a section lock
+app.delete('/api/audits/:auditId/live/locks/:sectionId', requireAuth, requireRole('Admin', 'SuperAuditor', 'Auditor'), (req, res) => {
+    const released = AuditLiveService.unlockSection(parseInt(req.params.auditId), req.body.clientId, req.currentUser, parseInt(req.params.sectionId));
+    res.json({ success: true, data: { released } });
+});
+
 // Upload picture for a response
 app.post('/api/audits/pictures', requireAuth, requireRole('Admin', 'SuperAuditor', 'Auditor'), async (req, res) => {
     try {
         const userRole = req.currentUser.role;
         const responseId = req.body.responseId;
         
-        // Check if audit is completed - only Admin and SuperAuditor can edit completed audits
+        // Check if audit is completed (or a completed shadow audit) - only Admin and SuperAuditor can edit completed audits
         if (responseId) {
             const auditStatus = await AuditService.getAuditStatusByResponseId(responseId);
             
-            if (auditStatus === 'Completed' && !['Admin', 'SuperAuditor'].includes(userRole)) {
+            if (['Completed', 'Calibration'].includes(auditStatus) && !['Admin', 'SuperAuditor'].includes(userRole)) {
                 return res.status(403).json({ 
                     success: false, 
                     error: 'Only Admin and SuperAuditor can edit completed audits' 
                 });
             }
+            if (await rejectLockedSections(req, res, [responseId])) return;
         }
         
         const result = await AuditService.uploadPicture(req.body);
+        AuditLiveService.publish(parseInt(req.body.auditId), 'picture', {
+            responseId: parseInt(responseId),
+            pictureId: result.pictureId,
+            pictureType: req.body.pictureType,
+            fileName: req.body.fileName
+        }, req.currentUser, req.get('X-Live-Client-Id'));
         res.json({ success: true, data: result });
     } catch (error) {
         console.error('Error uploading picture:', error);
@@ -8229,16 +8668,36 @@ app.get('/api/audits/:auditId/fridge-readings', requireAuth, async (req, res) =>
 // Department Report API
 // ==========================================
 
+/**
+ * Resolve the department of a report request. Sends 400 for an unregistered
+ * department and 403 when a department head asks for another department.
+ * @returns {Promise<Object|null>} Department, or null when the response was sent
+ */
+async function resolveReportDepartment(req, res, department) {
+    const pool = await require('./database/db-connection').getPool();
+    await DepartmentService.refreshCache(pool);
+    
+    const departmentInfo = await DepartmentService.getDepartment(pool, department);
+    if (!departmentInfo) {
+        res.status(400).json({ success: false, error: 'Invalid department' });
+        return null;
+    }
+    if (!DepartmentService.canViewDepartment(req.currentUser, departmentInfo.code)) {
+        res.status(403).json({ success: false, error: 'You do not have access to this department\'s reports' });
+        return null;
+    }
+    return departmentInfo;
+}
+
 // Get department report for an audit (check cache first, then generate if needed)
 app.get('/api/audits/:auditId/department-report/:department', requireAuth, async (req, res) => {
     try {
         const auditId = parseInt(req.params.auditId);
-        const department = req.params.department;
         const forceRegenerate = req.query.regenerate === 'true';
         
-        if (!['Maintenance', 'Procurement', 'Cleaning'].includes(department)) {
-            return res.status(400).json({ success: false, error: 'Invalid department' });
-        }
+        const departmentInfo = await resolveReportDepartment(req, res, req.params.department);
+        if (!departmentInfo) return;
+        const department = departmentInfo.code;
         
         // Check cache first (unless force regenerate is requested)
         if (!forceRegenerate) {
@@ -8272,11 +8731,9 @@ app.get('/api/audits/:auditId/department-report/:department', requireAuth, async
 // List saved department reports for a department
 app.get('/api/department-reports/list/:department', requireAuth, async (req, res) => {
     try {
-        const department = req.params.department;
-        
-        if (!['Maintenance', 'Procurement', 'Cleaning'].includes(department)) {
-            return res.status(400).json({ success: false, error: 'Invalid department' });
-        }
+        const departmentInfo = await resolveReportDepartment(req, res, req.params.department);
+        if (!departmentInfo) return;
+        const department = departmentInfo.code;
         
         const reports = await AuditService.getDepartmentReports(department);
         res.json({ success: true, data: reports });
@@ -8295,6 +8752,9 @@ app.get('/api/department-reports/view/:reportId', requireAuth, async (req, res)
         if (!report) {
             return res.status(404).json({ success: false, error: 'Report not found' });
         }
+        if (!DepartmentService.canViewDepartment(req.currentUser, report.department)) {
+            return res.status(403).json({ success: false, error: 'You do not have access to this department\'s reports' });
+        }
         
         res.json({ success: true, data: report });
     } catch (error) {
@@ -8308,6 +8768,194 @@ app.get('/department/reports', requireAuth, (req, res) => {
     res.sendFile(path.join(__dirname, 'audit-app/pages/department-reports.html'));
 });
 
+// ==========================================
+// Department work orders (escalated findings)
+// ==========================================
+
+// Serve the work order queue page
+app.get('/department/work-orders', requireAuth, (req, res) => {
+    res.sendFile(path.join(__dirname, 'audit-app/pages/work-orders.html'));
+});
+
+// Work order queue across stores (department heads and members: own department only)
+app.get('/api/work-orders', requireAuth, async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        await DepartmentService.refreshCache(pool);
+        
+        const department = WorkOrderService.getOwnDepartment(req.currentUser) || req.query.department || null;
+        if (department && !WorkOrderService.getAccess(req.currentUser, department).view) {
+            return res.status(403).json({ success: false, error: 'You do not have access to this department\'s work orders' });
+        }
+        if (!department && !WorkOrderService.getAccess(req.currentUser, null).manage) {
+            return res.status(403).json({ success: false, error: 'You do not have access to work orders' });
+        }
+        
+        const { workOrders, stats } = await WorkOrderService.getWorkOrders(pool, {
+            department,
+            status: req.query.status || null,
+            storeCode: req.query.storeCode || null,
+            assignedToUserId: req.query.assignedToMe === 'true' ? req.currentUser.id : null,
+            overdue: req.query.overdue === 'true'
+        });
+        
+        res.json({
+            success: true,
+            department,
+            workOrders,
+            stats,
+            permissions: {
+                manage: department ? WorkOrderService.getAccess(req.currentUser, department).manage : true,
+                chooseDepartment: !WorkOrderService.getOwnDepartment(req.currentUser)
+            }
+        });
+    } catch (error) {
+        console.error('Error loading work orders:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Users a department's work orders can be assigned to
+app.get('/api/work-orders/assignees/:department', requireAuth, async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        if (!WorkOrderService.getAccess(req.currentUser, req.params.department).view) {
+            return res.status(403).json({ success: false, error: 'You do not have access to this department\'s work orders' });
+        }
+        
+        const assignees = await WorkOrderService.getAssignees(pool, req.params.department);
+        res.json({ success: true, assignees });
+    } catch (error) {
+        console.error('Error loading work order assignees:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Work order with photos and history
+app.get('/api/work-orders/:workOrderId', requireAuth, async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const workOrder = await WorkOrderService.getWorkOrder(pool, parseInt(req.params.workOrderId));
+        
+        if (!workOrder) {
+            return res.status(404).json({ success: false, error: 'Work order not found' });
+        }
+        const access = WorkOrderService.getAccess(req.currentUser, workOrder.department);
+        if (!access.view) {
+            return res.status(403).json({ success: false, error: 'You do not have access to this work order' });
+        }
+        
+        res.json({
+            success: true,
+            workOrder,
+            statuses: WorkOrderService.STATUSES,
+            permissions: {
+                manage: access.manage,
+                edit: access.manage || (access.member && workOrder.assignedToUserId === req.currentUser.id)
+            }
+        });
+    } catch (error) {
+        console.error('Error loading work order:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Update status, assignee, due date, costs or completion notes
+app.put('/api/work-orders/:workOrderId', requireAuth, async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const workOrder = await WorkOrderService.updateWorkOrder(pool, parseInt(req.params.workOrderId), req.body, req.currentUser);
+        
+        if (!workOrder) {
+            return res.status(404).json({ success: false, error: 'Work order not found' });
+        }
+        
+        console.log(`🛠️ Work order ${workOrder.workOrderId} (${workOrder.department}) updated by ${req.currentUser.email}: ${workOrder.status}`);
+        res.json({ success: true, workOrder });
+    } catch (error) {
+        console.error('Error updating work order:', error);
+        if (error.status === 403) {
+            return res.status(403).json({ success: false, error: error.message });
+        }
+        if (error.details) {
+            return res.status(400).json({ success: false, error: error.message, details: error.details });
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Upload a completion photo ({ fileName, contentType, fileData: base64 or data URL })
+app.post('/api/work-orders/:workOrderId/photos', requireAuth, async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const photo = await WorkOrderService.addPhoto(pool, parseInt(req.params.workOrderId), req.body, req.currentUser);
+        
+        if (!photo) {
+            return res.status(404).json({ success: false, error: 'Work order not found' });
+        }
+        res.json({ success: true, photo });
+    } catch (error) {
+        console.error('Error uploading work order photo:', error);
+        if (error.status === 403) {
+            return res.status(403).json({ success: false, error: error.message });
+        }
+        if (error.details) {
+            return res.status(400).json({ success: false, error: error.message, details: error.details });
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Remove a completion photo
+app.delete('/api/work-orders/:workOrderId/photos/:photoId', requireAuth, async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const deleted = await WorkOrderService.deletePhoto(pool, parseInt(req.params.workOrderId), parseInt(req.params.photoId), req.currentUser);
+        
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Photo not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting work order photo:', error);
+        if (error.status === 403) {
+            return res.status(403).json({ success: false, error: error.message });
+        }
+        if (error.details) {
+            return res.status(400).json({ success: false, error: error.message, details: error.details });
+        }
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Work order status of an audit's escalated findings (shown next to the findings in the action plan)
+app.get('/api/audits/:auditId/work-orders', requireAuth, requireRole('Admin', 'SuperAuditor', 'Auditor', 'StoreManager', 'AreaManager', 'HeadOfOperations'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const { workOrders } = await WorkOrderService.getWorkOrders(pool, { auditId: parseInt(req.params.auditId) });
+        
+        res.json({
+            success: true,
+            workOrders: workOrders.map(w => ({
+                workOrderId: w.workOrderId,
+                responseId: w.responseId,
+                referenceValue: w.referenceValue,
+                department: w.department,
+                departmentName: w.departmentName,
+                departmentIcon: w.departmentIcon,
+                status: w.status,
+                dueDate: w.dueDate,
+                overdue: w.overdue,
+                assignedToName: w.assignedToName,
+                completedAt: w.completedAt
+            }))
+        });
+    } catch (error) {
+        console.error('Error loading audit work orders:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // Get section scores for an audit (for reports)
 app.get('/api/audits/section-scores/:auditId', requireAuth, async (req, res) => {
     try {
@@ -8412,7 +9060,7 @@ app.post('/api/audits/:auditId/generate-report', requireAuth, requireRole('Admin
         console.log(`📊 [API] Generating report for audit ${auditId}`);
         
         const reportGenerator = new AuditReportGenerator();
-        const result = await reportGenerator.generateReport(auditId);
+        const result = await reportGenerator.generateReport(auditId, { language: req.body?.language });
         
         if (!result.success) {
             return res.status(500).json({ success: false, error: result.error });
@@ -8422,6 +9070,7 @@ app.post('/api/audits/:auditId/generate-report', requireAuth, requireRole('Admin
             success: true, 
             filePath: result.filePath,
             fileName: result.fileName,
+            language: result.language,
             data: {
                 documentNumber: result.data.documentNumber,
                 storeName: result.data.storeName,
@@ -8443,7 +9092,7 @@ app.post('/api/audits/:auditId/generate-action-plan', requireAuth, requireRole('
         console.log(`📋 [API] Generating action plan for audit ${auditId}`);
         
         const reportGenerator = new AuditReportGenerator();
-        const result = await reportGenerator.generateActionPlan(auditId);
+        const result = await reportGenerator.generateActionPlan(auditId, { language: req.body?.language });
         
         if (!result.success) {
             return res.status(500).json({ success: false, error: result.error });
@@ -8453,6 +9102,7 @@ app.post('/api/audits/:auditId/generate-action-plan', requireAuth, requireRole('
             success: true, 
             filePath: result.filePath,
             fileName: result.fileName,
+            language: result.language,
             totalFindings: result.totalFindings,
             highPriority: result.highPriority,
             mediumPriority: result.mediumPriority,
@@ -8471,7 +9121,7 @@ app.post('/api/audits/:auditId/generate-pdf', requireAuth, requireRole('Admin',
         console.log(`📄 [API] Generating PDF for audit ${auditId}`);
         
         const reportGenerator = new AuditReportGenerator();
-        const result = await reportGenerator.generatePDF(auditId);
+        const result = await reportGenerator.generatePDF(auditId, { language: req.body?.language });
         
         // Clean up browser resources
         await reportGenerator.cleanup();
@@ -8504,7 +9154,7 @@ app.post('/api/audits/:auditId/generate-summary-pdf', requireAuth, requireRole('
         console.log(`📋 [API] Generating Summary PDF for audit ${auditId}`);
         
         const reportGenerator = new AuditReportGenerator();
-        const result = await reportGenerator.generateSummaryPDF(auditId);
+        const result = await reportGenerator.generateSummaryPDF(auditId, { language: req.body?.language });
         
         // Clean up browser resources
         await reportGenerator.cleanup();
@@ -8540,11 +9190,13 @@ app.get('/api/audits/:auditId/download-pdf', requireAuth, async (req, res) => {
         
         const reportGenerator = new AuditReportGenerator();
         
+        // ?lang=ar|fr|en, otherwise the store's language
+        const options = { language: req.query.lang };
         let result;
         if (summary) {
-            result = await reportGenerator.generateSummaryPDF(auditId);
+            result = await reportGenerator.generateSummaryPDF(auditId, options);
         } else {
-            result = await reportGenerator.generatePDF(auditId);
+            result = await reportGenerator.generatePDF(auditId, options);
         }
         
         // Clean up browser resources
@@ -8566,20 +9218,35 @@ app.get('/api/audits/:auditId/download-pdf', requireAuth, async (req, res) => {
     }
 });
 
+// Download an audit as an Excel workbook (summary, one sheet per section, findings, fridge readings)
+app.get('/api/audits/:auditId/download-excel', requireAuth, async (req, res) => {
+    try {
+        const auditId = parseInt(req.params.auditId);
+        const pool = await require('./database/db-connection').getPool();
+        
+        console.log(`📥 [API] Download Excel for audit ${auditId}`);
+        
+        const { buffer, documentNumber } = await excelExportService.buildAuditWorkbook(pool, auditId);
+        excelExportService.send(res, buffer, documentNumber);
+    } catch (error) {
+        console.error('Error downloading Excel:', error);
+        const status = /Audit not found/.test(error.message) ? 404 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
 // Generate department-specific report (HTML file)
 app.post('/api/audits/:auditId/generate-department-report/:department', requireAuth, async (req, res) => {
     try {
         const auditId = parseInt(req.params.auditId);
-        const department = req.params.department;
-        
-        if (!['Maintenance', 'Procurement', 'Cleaning'].includes(department)) {
-            return res.status(400).json({ success: false, error: 'Invalid department' });
-        }
+        const departmentInfo = await resolveReportDepartment(req, res, req.params.department);
+        if (!departmentInfo) return;
+        const department = departmentInfo.code;
         
         console.log(`🏢 [API] Generating ${department} report for audit ${auditId}`);
         
         const reportGenerator = new AuditReportGenerator();
-        const result = await reportGenerator.generateDepartmentReport(auditId, department);
+        const result = await reportGenerator.generateDepartmentReport(auditId, department, { language: req.body?.language });
         
         if (!result.success) {
             return res.status(500).json({ success: false, error: result.error });
@@ -8596,6 +9263,7 @@ app.post('/api/audits/:auditId/generate-department-report/:department', requireA
             success: true, 
             filePath: result.filePath,
             fileName: result.fileName,
+            language: result.language,
             department: result.department,
             totalFindings: result.totalFindings
         });
@@ -8609,11 +9277,9 @@ app.post('/api/audits/:auditId/generate-department-report/:department', requireA
 app.get('/api/audits/:auditId/department-report/:department/download-word', requireAuth, async (req, res) => {
     try {
         const auditId = parseInt(req.params.auditId);
-        const department = req.params.department;
-        
-        if (!['Maintenance', 'Procurement', 'Cleaning'].includes(department)) {
-            return res.status(400).json({ success: false, error: 'Invalid department' });
-        }
+        const departmentInfo = await resolveReportDepartment(req, res, req.params.department);
+        if (!departmentInfo) return;
+        const department = departmentInfo.code;
         
         console.log(`📄 [API] Downloading ${department} Word report with pictures for audit ${auditId}`);
         
@@ -8826,8 +9492,10 @@ app.get('/api/audits/:auditId/latest-report', requireAuth, async (req, res) => {
         const reportsDir = path.join(__dirname, 'reports');
         
         // Find report files for this document number
+        // Translated copies (Audit_Report_<doc>_ar.html) are only returned for ?lang=
+        const isTranslatedCopy = f => Translator.LANGUAGES.some(l => f.endsWith(`_${l.code}.html`));
         const files = fs.readdirSync(reportsDir)
-            .filter(f => f.includes(documentNumber) && f.startsWith('Audit_Report_'))
+            .filter(f => f.includes(documentNumber) && f.startsWith('Audit_Report_') && !isTranslatedCopy(f))
             .sort()
             .reverse(); // Most recent first (sorted by date in filename)
         
@@ -8845,6 +9513,14 @@ app.get('/api/audits/:auditId/latest-report', requireAuth, async (req, res) => {
             return res.json({ success: true, fileName: oldFiles[0], hasReport: true });
         }
         
+        const language = Translator.normalize(req.query.lang);
+        if (language) {
+            const translated = `${path.basename(files[0], '.html')}_${language}.html`;
+            if (fs.existsSync(path.join(reportsDir, translated))) {
+                return res.json({ success: true, fileName: translated, hasReport: true, language });
+            }
+        }
+        
         res.json({ success: true, fileName: files[0], hasReport: true });
     } catch (error) {
         console.error('Error getting latest report:', error);
@@ -9016,7 +9692,7 @@ app.post('/api/audits/save-report-for-store-manager', requireAuth, requireRole('
                 // Find store managers assigned to this store
                 const storeManagersWithStores = await pool.request()
                     .query(`
-                        SELECT id, email, display_name, assigned_stores
+                        SELECT id, email, display_name, assigned_stores, preferred_language
                         FROM Users
                         WHERE role = 'StoreManager'
                         AND is_active = 1
@@ -9077,12 +9753,16 @@ app.post('/api/audits/save-report-for-store-manager', requireAuth, requireRole('
                         console.log(`📧 [EMAIL] Could not get passing grade, using default 87`);
                     }
                     
+                    // Each manager reads the email in their language, otherwise the store's
+                    const storeLanguage = await languageService.getAuditLanguage(pool, auditId).catch(() => null);
+                    
                     for (const manager of managers) {
                         const recipientName = getGreetingName(manager.display_name || manager.email.split('@')[0]);
                         const roundedScore = totalScore ? Math.round(totalScore) : null;
                         const isPassing = roundedScore !== null && roundedScore >= passingGrade;
                         const scoreColor = isPassing ? '#10b981' : '#ef4444';
-                        const statusText = isPassing ? 'PASS' : 'FAIL';
+                        const language = languageService.resolve(manager.preferred_language, storeLanguage);
+                        const statusText = new Translator(language).t(isPassing ? 'email.pass' : 'email.fail');
                         const statusEmoji = isPassing ? '✅' : '❌';
                         const statusColor = isPassing ? '#10b981' : '#ef4444';
                         const statusBgColor = isPassing ? '#dcfce7' : '#fee2e2';
@@ -9103,7 +9783,7 @@ app.post('/api/audits/save-report-for-store-manager', requireAuth, requireRole('
                             reportUrl: reportUrl,
                             dashboardUrl: baseUrl + '/dashboard',
                             auditorName: user.displayName || 'Food Safety Team'
-                        });
+                        }, language);
                         
                         let emailSubject, emailHtml;
                         if (emailData) {
@@ -9116,11 +9796,8 @@ app.post('/api/audits/save-report-for-store-manager', requireAuth, requireRole('
                             emailHtml = `<p>Dear ${recipientName},</p><p>A new audit report is available for ${storeName}.</p><p><a href="${reportUrl}">View Report</a></p>`;
                             console.log(`📧 [EMAIL] Template not found, using fallback`);
                         }
-                        // Use user's delegated token only (refresh if expired)
+                        // User's delegated token (refresh if expired), without one the system sender is used
                         const validAccessToken = await getValidAccessToken(req);
-                        if (!validAccessToken) {
-                            throw new Error('Session expired. Please log in again.');
-                        }
                         
                         const result = await emailService.sendEmail(
                             [manager.email],
@@ -9128,12 +9805,13 @@ app.post('/api/audits/save-report-for-store-manager', requireAuth, requireRole('
                             emailHtml,
                             null, // CC recipients
                             validAccessToken,
-                            { email: user.email, name: user.displayName } // Sender verification
+                            { email: user.email, name: user.displayName }, // Sender verification
+                            'ReportPublished'
                         );
                         
-                        if (result.success) {
+                        if (result.success || result.queued) {
                             emailStatus.recipients.push(manager.email);
-                            console.log(`📧 Email sent to Store Manager: ${manager.email}`);
+                            console.log(`📧 Email ${result.success ? 'sent' : 'queued'} to Store Manager: ${manager.email}`);
                         } else {
                             console.error(`❌ Email failed to ${manager.email}: ${result.error}`);
                         }
@@ -9147,7 +9825,7 @@ app.post('/api/audits/save-report-for-store-manager', requireAuth, requireRole('
                             .input('notificationType', sql.NVarChar(50), 'ReportPublished')
                             .input('sentByEmail', sql.NVarChar(255), user.email)
                             .input('sentByName', sql.NVarChar(255), user.displayName || user.email)
-                            .input('status', sql.NVarChar(50), result.success ? 'Sent' : 'Failed')
+                            .input('status', sql.NVarChar(50), result.success ? 'Sent' : result.queued ? 'Pending' : 'Failed')
                             .input('errorMessage', sql.NVarChar(sql.MAX), result.error || null)
                             .input('emailSubject', sql.NVarChar(500), `Food Safety Audit Report - ${storeName}`)
                             .query(`
@@ -9256,7 +9934,7 @@ app.get('/api/reports/list', requireAuth, async (req, res) => {
                     type = 'Action Plan';
                     const match = filename.match(/Action_Plan_(.+?)\.html/);
                     if (match) documentNumber = match[1];
-                } else if (filename.includes('_Department_Report') || filename.includes('Maintenance') || filename.includes('Procurement') || filename.includes('Cleaning')) {
+                } else if (filename.includes('_Department_Report') || DepartmentService.getCachedDepartments(true).some(d => filename.startsWith(`${d.code}_Report_`))) {
                     type = 'Department Report';
                     // Try to extract doc number
                     const match = filename.match(/(GMRL-[A-Z]+-\d+)/);
@@ -9887,10 +10565,17 @@ app.post('/api/action-plan/save', requireAuth, async (req, res) => {
             });
         }
         
-        console.log(`📊 Saving ${actions.length} actions for document ${documentNumber}`);
+        // Submitted and verified actions are locked until the reviewer rejects or reopens them
+        const sql = require('mssql');
+        const dbConfig = require('./config/default').database;
+        const pool = await sql.connect(dbConfig);
+        const lockedReferences = await ActionVerificationService.getLockedReferences(pool, documentNumber);
+        const editableActions = actions.filter(action => !lockedReferences.has(action.referenceValue));
+        
+        console.log(`📊 Saving ${editableActions.length} actions for document ${documentNumber}${lockedReferences.size > 0 ? ` (${actions.length - editableActions.length} locked for verification)` : ''}`);
         
         // Transform the data to match database schema
-        const responses = actions.map(action => {
+        const responses = editableActions.map(action => {
             const picturesJson = JSON.stringify(action.pictures || []);
             
             return {
@@ -9921,6 +10606,7 @@ app.post('/api/action-plan/save', requireAuth, async (req, res) => {
             res.json({
                 success: true,
                 message: `Successfully saved ${result.successCount} actions`,
+                lockedCount: actions.length - editableActions.length,
                 data: result
             });
         } else {
@@ -9966,6 +10652,118 @@ app.get('/api/action-plan/:documentNumber', requireAuth, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/action-plan/:documentNumber/download-excel
+ * Action plan items with status, verification and deadlines as an Excel workbook
+ */
+app.get('/api/action-plan/:documentNumber/download-excel', requireAuth, async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const buffer = await excelExportService.buildActionPlanWorkbook(pool, req.params.documentNumber);
+        excelExportService.send(res, buffer, `${req.params.documentNumber}_action_plan`);
+    } catch (error) {
+        console.error('❌ Error exporting action plan:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Send every action that is ready (action taken + evidence) for verification
+ * when the store submits the whole action plan. Never fails the submission.
+ */
+async function submitReadyActions(pool, documentNumber, user) {
+    try {
+        const result = await ActionVerificationService.transition(pool, documentNumber, 'submit', {}, user);
+        console.log(`📋 [Verification] ${result.updated.length} actions of ${documentNumber} submitted for verification, ${result.errors.length} not ready`);
+        return { submitted: result.updated.length, notReady: result.errors };
+    } catch (error) {
+        console.error('[Verification] Error submitting actions for verification:', error.message);
+        return null;
+    }
+}
+
+/**
+ * GET /api/action-plan/:documentNumber/verification
+ * Verification state of each action, progress, closure and review history
+ */
+app.get('/api/action-plan/:documentNumber/verification', requireAuth, async (req, res) => {
+    try {
+        const sql = require('mssql');
+        const dbConfig = require('./config/default').database;
+        const pool = await sql.connect(dbConfig);
+        
+        const state = await ActionVerificationService.getState(pool, req.params.documentNumber);
+        const role = req.currentUser.role;
+        
+        res.json({
+            success: true,
+            ...state,
+            permissions: {
+                submit: ActionVerificationService.canPerform('submit', role),
+                verify: ActionVerificationService.canPerform('verify', role),
+                reject: ActionVerificationService.canPerform('reject', role),
+                reopen: ActionVerificationService.canPerform('reopen', role)
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error retrieving action verification:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/action-plan/:documentNumber/verification
+ * Body: { action: 'submit' | 'verify' | 'reject' | 'reopen', referenceValues?: [...], comment? }
+ * Without referenceValues every action in a valid state is moved (e.g. "verify all submitted")
+ */
+app.post('/api/action-plan/:documentNumber/verification', requireAuth, async (req, res) => {
+    try {
+        const { documentNumber } = req.params;
+        const { action, referenceValues, comment } = req.body;
+        const rule = ActionVerificationService.TRANSITIONS[action];
+        
+        if (!rule) {
+            return res.status(400).json({ success: false, error: 'Action must be submit, verify, reject or reopen' });
+        }
+        if (!ActionVerificationService.canPerform(action, req.currentUser.role)) {
+            return res.status(403).json({ success: false, error: `Your role cannot ${action} actions` });
+        }
+        if (rule.commentRequired && !(comment && comment.trim())) {
+            return res.status(400).json({ success: false, error: `A reviewer comment is required to ${action} an action` });
+        }
+        
+        const sql = require('mssql');
+        const dbConfig = require('./config/default').database;
+        const pool = await sql.connect(dbConfig);
+        
+        const result = await ActionVerificationService.transition(
+            pool,
+            documentNumber,
+            action,
+            {
+                referenceValues: Array.isArray(referenceValues) && referenceValues.length > 0 ? referenceValues : null,
+                comment: comment ? comment.trim() : null
+            },
+            req.currentUser
+        );
+        
+        console.log(`📋 [Verification] ${req.currentUser.email} ${action}: ${result.updated.length} actions of ${documentNumber}`);
+        
+        if (result.event === 'closed') {
+            console.log(`✅ [Verification] Action plan ${documentNumber} closed - all ${result.progress.total} actions verified`);
+            logActionPlanClosed(req.currentUser, documentNumber, result.progress.total, req);
+        } else if (result.event === 'reopened') {
+            console.log(`↩️ [Verification] Action plan ${documentNumber} reopened`);
+            logActionPlanReopened(req.currentUser, documentNumber, req);
+        }
+        
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('❌ Error updating action verification:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 /**
  * POST /api/action-plan/send-email
  * Send action plan email notification to store manager
@@ -10021,6 +10819,7 @@ app.post('/api/action-plan/send-email', requireAuth, async (req, res) => {
         
         // Use dynamic email template
         const emailTemplateService = require('./services/email-template-service');
+        const storeLanguage = await languageService.getStoreLanguageByName(pool, storeName).catch(() => null);
         const emailData = await emailTemplateService.buildEmail('action_plan_ready', {
             document_number: documentNumber,
             store_name: storeName,
@@ -10029,7 +10828,7 @@ app.post('/api/action-plan/send-email', requireAuth, async (req, res) => {
             score_color: parseFloat(score) >= 70 ? '#27ae60' : '#e74c3c',
             report_url: reportUrl,
             recipient_name: 'Store Manager'
-        });
+        }, storeLanguage);
         
         const subject = emailData.subject;
         const htmlBody = emailData.html;
@@ -10050,14 +10849,15 @@ app.post('/api/action-plan/send-email', requireAuth, async (req, res) => {
             htmlBody,
             null,
             validAccessToken,
-            { email: user.email, name: user.displayName } // Pass sender info for verification
+            { email: user.email, name: user.displayName }, // Pass sender info for verification
+            'ActionPlanSubmitted'
         );
         
-        if (result.success) {
-            console.log(`✅ [API] Email sent successfully to ${recipientEmails.join(', ')}`);
+        if (result.success || result.queued) {
+            console.log(`✅ [API] Email ${result.success ? 'sent' : 'queued'} to ${recipientEmails.join(', ')}`);
             res.json({
                 success: true,
-                message: 'Email sent successfully',
+                message: result.success ? 'Email sent successfully' : 'Email queued for delivery',
                 recipients: recipientEmails
             });
         } else {
@@ -10298,10 +11098,12 @@ app.post('/api/action-plan/submit-with-recipients', requireAuth, async (req, res
             htmlBody,
             ccEmails.length > 0 ? ccEmails : null,
             validAccessToken,
-            { email: user.email, name: user.displayName }
+            { email: user.email, name: user.displayName },
+            'ActionPlanSubmitted'
         );
         
-        if (!result.success) {
+        // Queued = first attempt failed, the outbox keeps retrying
+        if (!result.success && !result.queued) {
             throw new Error(result.error || 'Failed to send email');
         }
         
@@ -10318,7 +11120,7 @@ app.post('/api/action-plan/submit-with-recipients', requireAuth, async (req, res
                 .input('emailSubject', sql.NVarChar(255), subject)
                 .input('sentByEmail', sql.NVarChar(255), user.email)
                 .input('sentByName', sql.NVarChar(255), user.displayName || user.email)
-                .input('status', sql.NVarChar(50), 'Sent')
+                .input('status', sql.NVarChar(50), result.success ? 'Sent' : 'Pending')
                 .input('sentAt', sql.DateTime, new Date())
                 .query(`
                     INSERT INTO Notifications (document_number, recipient_email, recipient_name, recipient_role, notification_type, email_subject, sent_by_email, sent_by_name, status, sent_at)
@@ -10331,10 +11133,13 @@ app.post('/api/action-plan/submit-with-recipients', requireAuth, async (req, res
         
         console.log(`✅ [API] Action plan submitted to ${toEmails.join(', ')}${ccEmails.length > 0 ? ' CC: ' + ccEmails.join(', ') : ''}`);
         
+        const verification = await submitReadyActions(pool, documentNumber, req.currentUser);
+        
         res.json({
             success: true,
             message: 'Action plan submitted successfully',
-            recipients: allRecipients.map(r => r.email)
+            recipients: allRecipients.map(r => r.email),
+            verification
         });
         
     } catch (error) {
@@ -10483,12 +11288,13 @@ app.post('/api/action-plan/submit-to-auditor', requireAuth, async (req, res) =>
             htmlBody,
             ccEmails.length > 0 ? ccEmails : null,
             validAccessToken,
-            { email: user.email, name: user.displayName } // Pass sender info for verification
+            { email: user.email, name: user.displayName }, // Pass sender info for verification
+            'ActionPlanSubmitted'
         );
         
-        if (result.success) {
+        if (result.success || result.queued) {
             const allRecipients = [...recipientEmails, ...ccEmails];
-            console.log(`✅ [API] Notification sent to ${recipientEmails.join(', ')}${ccEmails.length > 0 ? ' CC: ' + ccEmails.join(', ') : ''}`);
+            console.log(`✅ [API] Notification ${result.success ? 'sent' : 'queued'} to ${recipientEmails.join(', ')}${ccEmails.length > 0 ? ' CC: ' + ccEmails.join(', ') : ''}`);
             
             // Log notification to history for each recipient
             for (const recipientEmail of allRecipients) {
@@ -10502,7 +11308,7 @@ app.post('/api/action-plan/submit-to-auditor', requireAuth, async (req, res) =>
                     sentByUserId: user.id,
                     sentByEmail: user.email,
                     sentByName: user.displayName || user.email,
-                    status: 'Sent',
+                    status: result.success ? 'Sent' : 'Pending',
                     emailSubject: subject,
                     emailBody: htmlBody
                 }, pool);
@@ -10515,10 +11321,13 @@ app.post('/api/action-plan/submit-to-auditor', requireAuth, async (req, res) =>
             sendActionPlanSubmittedToAreaManagers(documentNumber, storeName, user.displayName || user.email, user.role || 'StoreManager', pool)
                 .catch(err => console.error('[ActionPlanAreaManagerNotification] Background error:', err.message));
             
+            const verification = await submitReadyActions(pool, documentNumber, req.currentUser);
+            
             res.json({
                 success: true,
                 message: 'Notification sent successfully',
-                recipients: allRecipients
+                recipients: allRecipients,
+                verification
             });
         } else {
             // Log failed notification
@@ -10773,26 +11582,14 @@ app.post('/api/reports/save', requireAuth, requireRole('Admin', 'Auditor'), asyn
 // Department Follow-up Reports (existing)
 // ==========================================
 
-// Protect department reports with role checking
+// Department follow-up reports of one registered department (with role checking)
 app.get('/api/department-reports/:department', requireAuth, async (req, res) => {
     try {
-        const user = req.currentUser;
-        const requestedDepartment = req.params.department;
+        const departmentInfo = await resolveReportDepartment(req, res, req.params.department);
+        if (!departmentInfo) return;
         
-        // Check if user has access to this department
-        const hasAccess = 
-            user.role === 'Admin' || 
-            user.role === 'Auditor' ||
-            user.assignedDepartment === requestedDepartment;
-        
-        if (!hasAccess) {
-            return res.status(403).json({ 
-                error: 'You do not have access to this department\'s reports' 
-            });
-        }
-        
-        // TODO: Integrate with existing department-followup-reports
-        res.json({ message: `${requestedDepartment} reports - coming soon` });
+        const reports = await AuditService.getDepartmentReports(departmentInfo.code);
+        res.json({ success: true, department: departmentInfo, data: reports });
         
     } catch (error) {
         console.error('[API] Department reports error:', error);
@@ -10955,6 +11752,847 @@ app.patch('/api/notifications/:id/read', requireAuth, requirePagePermission(NOTI
     }
 });
 
+// ==========================================
+// Notification Outbox Routes (Admin Only)
+// ==========================================
+
+function sendOutboxError(res, error, context) {
+    console.error(`❌ [Outbox] Error ${context}:`, error);
+    if (error.details) {
+        return res.status(400).json({ success: false, error: error.message, details: error.details });
+    }
+    res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * GET /api/notifications/outbox
+ * Queued, sent, failed and dead-lettered messages with counts per status
+ */
+app.get('/api/notifications/outbox', requireAuth, requireRole('Admin'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const result = await notificationOutboxService.getMessages(pool, req.query);
+        res.json({ success: true, ...result, worker: notificationOutboxService.getStatus() });
+    } catch (error) {
+        sendOutboxError(res, error, 'loading outbox');
+    }
+});
+
+/**
+ * GET /api/notifications/outbox/:id
+ * One message including its HTML body
+ */
+app.get('/api/notifications/outbox/:id', requireAuth, requireRole('Admin'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const message = await notificationOutboxService.getMessage(pool, parseInt(req.params.id));
+        res.json({ success: true, message });
+    } catch (error) {
+        sendOutboxError(res, error, 'loading outbox message');
+    }
+});
+
+/**
+ * POST /api/notifications/outbox/:id/retry
+ * Queue a failed, dead-lettered or cancelled message again
+ */
+app.post('/api/notifications/outbox/:id/retry', requireAuth, requireRole('Admin'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const message = await notificationOutboxService.retry(pool, parseInt(req.params.id), req.currentUser.email);
+        console.log(`🔁 [Outbox] Message #${message.outboxId} re-queued by ${req.currentUser.email}`);
+        res.json({ success: true, message });
+    } catch (error) {
+        sendOutboxError(res, error, 'retrying outbox message');
+    }
+});
+
+/**
+ * POST /api/notifications/outbox/:id/cancel
+ * Cancel a message that has not been delivered yet
+ */
+app.post('/api/notifications/outbox/:id/cancel', requireAuth, requireRole('Admin'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const message = await notificationOutboxService.cancel(pool, parseInt(req.params.id), req.currentUser.email);
+        console.log(`🚫 [Outbox] Message #${message.outboxId} cancelled by ${req.currentUser.email}`);
+        res.json({ success: true, message });
+    } catch (error) {
+        sendOutboxError(res, error, 'cancelling outbox message');
+    }
+});
+
+/**
+ * POST /api/notifications/outbox/process
+ * Deliver due messages now instead of waiting for the next worker run
+ */
+app.post('/api/notifications/outbox/process', requireAuth, requireRole('Admin'), async (req, res) => {
+    try {
+        const result = await notificationOutboxService.processQueue();
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendOutboxError(res, error, 'processing outbox');
+    }
+});
+
+// Deliver queued notifications in the background (disable on extra instances sharing the database)
+if (process.env.NOTIFICATION_OUTBOX_WORKER !== 'false') {
+    notificationOutboxService.start();
+}
+
+console.log('[APP] Notification outbox API loaded');
+
+// ==========================================
+// Notification Preferences & In-App Notifications (every user)
+// ==========================================
+
+// Serve the notification preferences page
+app.get('/notifications/preferences', requireAuth, (req, res) => {
+    res.sendFile(path.join(__dirname, 'audit-app/pages/notification-preferences.html'));
+});
+
+/**
+ * GET /api/notification-preferences
+ * Current user's delivery mode per notification type
+ */
+app.get('/api/notification-preferences', requireAuth, async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const preferences = await notificationPreferenceService.getPreferences(pool, req.currentUser.id);
+        res.json({
+            success: true,
+            preferences,
+            modes: notificationPreferenceService.getDeliveryModes(),
+            digest: notificationDigestService.getStatus()
+        });
+    } catch (error) {
+        sendOutboxError(res, error, 'loading notification preferences');
+    }
+});
+
+/**
+ * PUT /api/notification-preferences
+ * Body: { preferences: { ReportPublished: 'DailyDigest', ActionPlanReminder: 'Immediate', ... } }
+ */
+app.put('/api/notification-preferences', requireAuth, async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const preferences = await notificationPreferenceService.savePreferences(pool, req.currentUser.id, req.body.preferences);
+        console.log(`🔔 [Preferences] ${req.currentUser.email} updated notification preferences`);
+        res.json({ success: true, preferences });
+    } catch (error) {
+        sendOutboxError(res, error, 'saving notification preferences');
+    }
+});
+
+/**
+ * GET /api/notification-preferences/digest-preview?mode=DailyDigest
+ * The current user's next digest as it would be sent now
+ */
+app.get('/api/notification-preferences/digest-preview', requireAuth, async (req, res) => {
+    try {
+        const mode = req.query.mode || 'DailyDigest';
+        if (!notificationDigestService.DIGEST_MODES.includes(mode)) {
+            return res.status(400).json({ success: false, error: `Unknown digest mode: ${mode}` });
+        }
+
+        const pool = await require('./database/db-connection').getPool();
+        const user = { id: req.currentUser.id, email: req.currentUser.email, display_name: req.currentUser.displayName };
+        const digest = await notificationDigestService.buildDigest(pool, user, mode);
+        res.json({
+            success: true,
+            digest: digest ? { subject: digest.subject, html: digest.html, items: digest.items.length } : null
+        });
+    } catch (error) {
+        sendOutboxError(res, error, 'previewing digest');
+    }
+});
+
+/**
+ * POST /api/notification-preferences/digests/send
+ * Admin: send the daily or weekly digests now. Body: { mode }
+ */
+app.post('/api/notification-preferences/digests/send', requireAuth, requireRole('Admin'), async (req, res) => {
+    try {
+        const mode = req.body.mode || 'DailyDigest';
+        if (!notificationDigestService.DIGEST_MODES.includes(mode)) {
+            return res.status(400).json({ success: false, error: `Unknown digest mode: ${mode}` });
+        }
+
+        const summary = await notificationDigestService.sendDigests(mode);
+        console.log(`📬 [Digest] ${mode} sent manually by ${req.currentUser.email}: ${summary.sent} digest(s)`);
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        sendOutboxError(res, error, 'sending digests');
+    }
+});
+
+/**
+ * GET /api/my-notifications
+ * In-app notifications of the current user (dashboard bell)
+ */
+app.get('/api/my-notifications', requireAuth, async (req, res) => {
+    try {
+        const userId = req.currentUser?.id;
+        if (!userId) {
+            return res.json({ success: true, notifications: [], unread: 0 });
+        }
+
+        const pool = await require('./database/db-connection').getPool();
+        const inbox = await notificationPreferenceService.getInbox(pool, userId, req.query.limit);
+        res.json({ success: true, ...inbox });
+    } catch (error) {
+        console.error('Error getting in-app notifications:', error);
+        res.json({ success: true, notifications: [], unread: 0 });
+    }
+});
+
+app.post('/api/my-notifications/read-all', requireAuth, async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        await notificationPreferenceService.markAllRead(pool, req.currentUser.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error marking in-app notifications as read:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/my-notifications/:id/read', requireAuth, async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        await notificationPreferenceService.markRead(pool, req.currentUser.id, parseInt(req.params.id));
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error marking in-app notification as read:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Daily / weekly digests run on the same instance as the outbox worker
+if (process.env.NOTIFICATION_OUTBOX_WORKER !== 'false') {
+    notificationDigestService.start();
+}
+
+console.log('[APP] Notification preferences API loaded');
+
+// ==========================================
+// Multilingual (English / Arabic / French)
+// ==========================================
+
+function sendLanguageError(res, error, context) {
+    console.error(`❌ [Language] Error ${context}:`, error);
+    if (error.details) {
+        return res.status(400).json({ success: false, error: error.message, details: error.details });
+    }
+    res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * GET /api/i18n/catalog?lang=ar&storeId=12
+ * Translations for pages. Without lang: the user's language, then the store's, then English
+ */
+app.get('/api/i18n/catalog', requireAuth, async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const userLanguage = await languageService.getUserLanguage(pool, req.currentUser.id);
+        const storeLanguage = req.query.storeId ? await languageService.getStoreLanguage(pool, parseInt(req.query.storeId)) : null;
+        const translator = new Translator(languageService.resolve(req.query.lang, userLanguage, storeLanguage));
+        res.json({
+            success: true,
+            language: translator.language,
+            dir: translator.dir,
+            messages: translator.getCatalog(),
+            languages: languageService.getLanguages(),
+            userLanguage,
+            storeLanguage
+        });
+    } catch (error) {
+        sendLanguageError(res, error, 'loading translations');
+    }
+});
+
+app.get('/api/users/me/language', requireAuth, async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const language = await languageService.getUserLanguage(pool, req.currentUser.id);
+        res.json({ success: true, language, languages: languageService.getLanguages() });
+    } catch (error) {
+        sendLanguageError(res, error, 'loading language preference');
+    }
+});
+
+/**
+ * PUT /api/users/me/language
+ * Body: { language: 'ar' } (null = follow the store)
+ */
+app.put('/api/users/me/language', requireAuth, async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const language = await languageService.setUserLanguage(pool, req.currentUser.id, req.body.language);
+        console.log(`🌐 [Language] ${req.currentUser.email} set language to ${language || 'store default'}`);
+        res.json({ success: true, language });
+    } catch (error) {
+        sendLanguageError(res, error, 'saving language preference');
+    }
+});
+
+app.get('/api/stores/:storeId/language', requireAuth, async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const language = await languageService.getStoreLanguage(pool, parseInt(req.params.storeId));
+        res.json({ success: true, language, languages: languageService.getLanguages() });
+    } catch (error) {
+        sendLanguageError(res, error, 'loading store language');
+    }
+});
+
+/**
+ * PUT /api/stores/:storeId/language
+ * Body: { language: 'fr' } (null = English). Reports, action plans and store emails follow it
+ */
+app.put('/api/stores/:storeId/language', requireAuth, requirePagePermission(STORE_PAGE, 'Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const language = await languageService.setStoreLanguage(pool, parseInt(req.params.storeId), req.body.language);
+        console.log(`🌐 [Language] Store ${req.params.storeId} language set to ${language || 'en'} by ${req.currentUser.email}`);
+        res.json({ success: true, language });
+    } catch (error) {
+        sendLanguageError(res, error, 'saving store language');
+    }
+});
+
+console.log('[APP] Multilingual API loaded');
+
+// ==========================================
+// Report Subscriptions (scheduled analytics by email)
+// ==========================================
+
+function sendReportSubscriptionError(res, error, context) {
+    console.error(`❌ [Subscriptions] Error ${context}:`, error);
+    if (error.details) {
+        return res.status(400).json({ success: false, error: error.message, details: error.details });
+    }
+    if (error.status === 403) {
+        return res.status(403).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: error.message });
+}
+
+// Serve the report subscriptions page
+app.get('/admin/report-subscriptions', requireAuth, requireRole('Admin', 'SuperAuditor'), (req, res) => {
+    res.sendFile(path.join(__dirname, 'audit-app/pages/report-subscriptions.html'));
+});
+
+/**
+ * GET /api/report-subscriptions/options
+ * Views, custom query subjects, formats and frequencies for the form
+ */
+app.get('/api/report-subscriptions/options', requireAuth, requireRole('Admin', 'SuperAuditor'), (req, res) => {
+    res.json({ success: true, ...reportSubscriptionService.getOptions(), scheduler: reportSubscriptionService.getStatus() });
+});
+
+/**
+ * GET /api/report-subscriptions?all=true
+ * Current user's subscriptions (Admin: everyone's with all=true)
+ */
+app.get('/api/report-subscriptions', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const subscriptions = await reportSubscriptionService.list(pool, req.currentUser, req.query.all === 'true');
+        res.json({ success: true, subscriptions });
+    } catch (error) {
+        sendReportSubscriptionError(res, error, 'loading subscriptions');
+    }
+});
+
+app.post('/api/report-subscriptions', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const subscription = await reportSubscriptionService.create(pool, req.body, req.currentUser);
+        res.json({ success: true, subscription });
+    } catch (error) {
+        sendReportSubscriptionError(res, error, 'creating subscription');
+    }
+});
+
+app.put('/api/report-subscriptions/:id', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const subscription = await reportSubscriptionService.update(pool, parseInt(req.params.id), req.body, req.currentUser);
+        if (!subscription) {
+            return res.status(404).json({ success: false, error: 'Subscription not found' });
+        }
+        res.json({ success: true, subscription });
+    } catch (error) {
+        sendReportSubscriptionError(res, error, 'updating subscription');
+    }
+});
+
+app.delete('/api/report-subscriptions/:id', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const deleted = await reportSubscriptionService.remove(pool, parseInt(req.params.id), req.currentUser);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Subscription not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        sendReportSubscriptionError(res, error, 'deleting subscription');
+    }
+});
+
+/**
+ * POST /api/report-subscriptions/:id/run
+ * Render and email the report now; the schedule is unchanged
+ */
+app.post('/api/report-subscriptions/:id/run', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const snapshot = await reportSubscriptionService.sendNow(pool, parseInt(req.params.id), req.currentUser);
+        if (!snapshot) {
+            return res.status(404).json({ success: false, error: 'Subscription not found' });
+        }
+        res.json({ success: snapshot.status !== 'Failed', snapshot, error: snapshot.error || undefined });
+    } catch (error) {
+        sendReportSubscriptionError(res, error, 'sending subscription');
+    }
+});
+
+/**
+ * GET /api/report-subscriptions/:id/snapshots
+ * History of files sent by a subscription
+ */
+app.get('/api/report-subscriptions/:id/snapshots', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const subscription = await reportSubscriptionService.get(pool, parseInt(req.params.id));
+        if (!subscription) {
+            return res.status(404).json({ success: false, error: 'Subscription not found' });
+        }
+        reportSubscriptionService.assertCanManage(subscription, req.currentUser);
+        const snapshots = await reportSubscriptionService.getSnapshots(pool, subscription.subscriptionId, req.query.limit);
+        res.json({ success: true, subscription, snapshots });
+    } catch (error) {
+        sendReportSubscriptionError(res, error, 'loading snapshots');
+    }
+});
+
+/**
+ * GET /api/report-subscriptions/snapshots/:snapshotId/download
+ * Stored file of a sent report (link in the email); open to any signed-in recipient
+ */
+app.get('/api/report-subscriptions/snapshots/:snapshotId/download', requireAuth, async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const file = await reportSubscriptionService.getSnapshotFile(pool, parseInt(req.params.snapshotId), req.currentUser);
+        if (!file) {
+            return res.status(404).json({ success: false, error: 'Report file not found' });
+        }
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+        res.send(file.buffer);
+    } catch (error) {
+        sendReportSubscriptionError(res, error, 'downloading snapshot');
+    }
+});
+
+// Scheduled reports run on the same instance as the outbox worker
+if (process.env.NOTIFICATION_OUTBOX_WORKER !== 'false') {
+    reportSubscriptionService.start();
+}
+
+console.log('[APP] Report subscriptions API loaded');
+
+// ==========================================
+// Saved Analytics Dashboards (custom query widgets, shared with roles or users)
+// ==========================================
+
+function sendDashboardError(res, error, context) {
+    console.error(`❌ [Dashboards] Error ${context}:`, error);
+    if (error.details) {
+        return res.status(400).json({ success: false, error: error.message, details: error.details });
+    }
+    if (error.status === 403) {
+        return res.status(403).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: error.message });
+}
+
+// Serve the dashboards page (what each user sees is decided by the shares)
+app.get('/analytics/dashboards', requireAuth, (req, res) => {
+    res.sendFile(path.join(__dirname, 'audit-app/pages/analytics-dashboards.html'));
+});
+
+/**
+ * GET /api/analytics-dashboards/options
+ * Metrics, chart types and share roles for the editor; cycles and years of the viewer's stores
+ */
+app.get('/api/analytics-dashboards/options', requireAuth, async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const viewerFilters = await analyticsDashboardService.getViewerFilterOptions(pool, req.currentUser);
+        res.json({
+            success: true,
+            ...analyticsDashboardService.getOptions(),
+            viewerFilters,
+            canCreate: ['Admin', 'SuperAuditor'].includes(req.currentUser.role),
+            canOpenAnalytics: ANALYTICS_ROLES.includes(req.currentUser.role)
+        });
+    } catch (error) {
+        sendDashboardError(res, error, 'loading options');
+    }
+});
+
+app.get('/api/analytics-dashboards', requireAuth, async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const dashboards = await analyticsDashboardService.list(pool, req.currentUser);
+        res.json({ success: true, dashboards });
+    } catch (error) {
+        sendDashboardError(res, error, 'loading dashboards');
+    }
+});
+
+app.get('/api/analytics-dashboards/:id', requireAuth, async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const dashboard = await analyticsDashboardService.get(pool, parseInt(req.params.id));
+        if (!dashboard) {
+            return res.status(404).json({ success: false, error: 'Dashboard not found' });
+        }
+        analyticsDashboardService.assertCanView(dashboard, req.currentUser);
+        dashboard.canEdit = analyticsDashboardService.canEdit(dashboard, req.currentUser);
+        res.json({ success: true, dashboard });
+    } catch (error) {
+        sendDashboardError(res, error, 'loading dashboard');
+    }
+});
+
+app.post('/api/analytics-dashboards', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const dashboard = await analyticsDashboardService.save(pool, req.body, req.currentUser);
+        console.log(`📊 [Dashboards] "${dashboard.name}" created by ${req.currentUser.email}`);
+        res.json({ success: true, dashboard });
+    } catch (error) {
+        sendDashboardError(res, error, 'creating dashboard');
+    }
+});
+
+app.put('/api/analytics-dashboards/:id', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const dashboard = await analyticsDashboardService.save(pool, req.body, req.currentUser, parseInt(req.params.id));
+        if (!dashboard) {
+            return res.status(404).json({ success: false, error: 'Dashboard not found' });
+        }
+        res.json({ success: true, dashboard });
+    } catch (error) {
+        sendDashboardError(res, error, 'updating dashboard');
+    }
+});
+
+/**
+ * PUT /api/analytics-dashboards/:id/layout
+ * Body: { layout: [{ widgetId, width }] } in display order
+ */
+app.put('/api/analytics-dashboards/:id/layout', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const dashboard = await analyticsDashboardService.saveLayout(pool, parseInt(req.params.id), req.body.layout, req.currentUser);
+        if (!dashboard) {
+            return res.status(404).json({ success: false, error: 'Dashboard not found' });
+        }
+        res.json({ success: true, dashboard });
+    } catch (error) {
+        sendDashboardError(res, error, 'saving layout');
+    }
+});
+
+app.delete('/api/analytics-dashboards/:id', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const deleted = await analyticsDashboardService.remove(pool, parseInt(req.params.id), req.currentUser);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Dashboard not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        sendDashboardError(res, error, 'deleting dashboard');
+    }
+});
+
+/**
+ * GET /api/analytics-dashboards/:id/data?cycles=&years=&brands=&format=xlsx
+ * Every widget's results for the current user's stores; query filters replace the saved ones
+ */
+app.get('/api/analytics-dashboards/:id/data', requireAuth, async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const { format, ...overrides } = req.query;
+        const result = await analyticsDashboardService.run(pool, parseInt(req.params.id), req.currentUser, overrides);
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Dashboard not found' });
+        }
+        if (format === 'xlsx') {
+            return excelExportService.send(res, excelExportService.buildDashboardWorkbook(result), result.dashboard.name);
+        }
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendDashboardError(res, error, 'running dashboard');
+    }
+});
+
+console.log('[APP] Analytics dashboards API loaded');
+
+// ==========================================
+// Predictive Store Risk (nightly score per store and schema)
+// ==========================================
+
+/**
+ * GET /api/store-risk?schemaId=&level=&limit=
+ * Latest risk scores, riskiest first, with the factor weights and scheduler status
+ */
+app.get('/api/store-risk', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const { scores, calculatedAt } = await storeRiskService.list(pool, req.query);
+        res.json({
+            success: true,
+            scores,
+            calculatedAt,
+            ...storeRiskService.getOptions(),
+            scheduler: storeRiskService.getStatus()
+        });
+    } catch (error) {
+        console.error('❌ [StoreRisk] Error loading risk scores:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Recalculate every store's risk now instead of waiting for the nightly run
+app.post('/api/store-risk/recalculate', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        console.log(`[StoreRisk] Recalculation requested by ${req.currentUser.email}`);
+        const summary = await storeRiskService.runNow();
+        if (!summary) {
+            return res.status(409).json({ success: false, error: 'A recalculation is already running' });
+        }
+        res.json({ success: true, summary });
+    } catch (error) {
+        console.error('❌ [StoreRisk] Error recalculating risk scores:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Nightly recalculation runs on the same instance as the outbox worker
+if (process.env.NOTIFICATION_OUTBOX_WORKER !== 'false') {
+    storeRiskService.start();
+}
+
+console.log('[APP] Store risk API loaded');
+
+// ==========================================
+// Performance Trends & Alerts (trend lines, score drops, auditor deviation)
+// ==========================================
+
+function sendTrendError(res, error, context) {
+    console.error(`❌ [PerformanceTrends] Error ${context}:`, error);
+    if (error.details) {
+        return res.status(400).json({ success: false, error: error.message, details: error.details });
+    }
+    if (error.status === 403) {
+        return res.status(403).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: error.message });
+}
+
+// Serve the trends page (Area Managers / Heads of Operations see their own stores)
+app.get('/analytics/trends', requireAuth, requireRole(...ANALYTICS_ROLES), (req, res) => {
+    res.sendFile(path.join(__dirname, 'audit-app/pages/performance-trends.html'));
+});
+
+/**
+ * GET /api/performance-trends/stores?schemaId=
+ * Trend of every store in scope (regression slope per audit and its p-value), declining first
+ */
+app.get('/api/performance-trends/stores', requireAuth, requireRole(...ANALYTICS_ROLES), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const scopeStoreIds = await analyticsQueryService.getUserStoreScope(pool, req.currentUser);
+        const result = await performanceTrendService.getStoreTrends(pool, { schemaId: req.query.schemaId, scopeStoreIds });
+        res.json({ success: true, ...result, scope: { restricted: !!scopeStoreIds, storeCount: scopeStoreIds ? scopeStoreIds.length : null } });
+    } catch (error) {
+        sendTrendError(res, error, 'loading store trends');
+    }
+});
+
+// One store's score line with rolling average, and the trend of each section
+app.get('/api/performance-trends/stores/:storeId', requireAuth, requireRole(...ANALYTICS_ROLES), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const scopeStoreIds = await analyticsQueryService.getUserStoreScope(pool, req.currentUser);
+        const trend = await performanceTrendService.getStoreTrend(pool, parseInt(req.params.storeId), { schemaId: req.query.schemaId, scopeStoreIds });
+        res.json({ success: true, trend });
+    } catch (error) {
+        sendTrendError(res, error, 'loading store trend');
+    }
+});
+
+/**
+ * GET /api/performance-trends/sections?schemaId=
+ * Average score of each section per cycle over the viewer's stores
+ */
+app.get('/api/performance-trends/sections', requireAuth, requireRole(...ANALYTICS_ROLES), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const scopeStoreIds = await analyticsQueryService.getUserStoreScope(pool, req.currentUser);
+        const result = await performanceTrendService.getSectionTrends(pool, { schemaId: req.query.schemaId, scopeStoreIds });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendTrendError(res, error, 'loading section trends');
+    }
+});
+
+/**
+ * GET /api/performance-alerts?status=&type=&severity=&limit=
+ * Alerts of the viewer's stores; auditor deviation alerts only for unscoped roles
+ */
+app.get('/api/performance-alerts', requireAuth, requireRole(...ANALYTICS_ROLES), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const scopeStoreIds = await analyticsQueryService.getUserStoreScope(pool, req.currentUser);
+        const alerts = await performanceTrendService.list(pool, { ...req.query, scopeStoreIds });
+        res.json({
+            success: true,
+            alerts,
+            ...performanceTrendService.getOptions(),
+            canManage: ['Admin', 'SuperAuditor'].includes(req.currentUser.role),
+            scheduler: performanceTrendService.getStatus()
+        });
+    } catch (error) {
+        sendTrendError(res, error, 'loading alerts');
+    }
+});
+
+// Open alert counts and the latest open alerts for the dashboard card
+app.get('/api/performance-alerts/summary', requireAuth, requireRole(...ANALYTICS_ROLES), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const scopeStoreIds = await analyticsQueryService.getUserStoreScope(pool, req.currentUser);
+        const summary = await performanceTrendService.getSummary(pool, scopeStoreIds);
+        res.json({ success: true, summary });
+    } catch (error) {
+        sendTrendError(res, error, 'loading alert summary');
+    }
+});
+
+// Acknowledge, dismiss or reopen an alert of the viewer's stores
+app.put('/api/performance-alerts/:id/status', requireAuth, requireRole(...ANALYTICS_ROLES), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const scopeStoreIds = await analyticsQueryService.getUserStoreScope(pool, req.currentUser);
+        const result = await performanceTrendService.updateStatus(pool, parseInt(req.params.id), req.body.status, req.currentUser, scopeStoreIds);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendTrendError(res, error, 'updating alert');
+    }
+});
+
+app.get('/api/performance-alerts/settings', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const settings = await performanceTrendService.getSettings(pool);
+        res.json({ success: true, settings, ...performanceTrendService.getOptions() });
+    } catch (error) {
+        sendTrendError(res, error, 'loading alert settings');
+    }
+});
+
+app.put('/api/performance-alerts/settings', requireAuth, requireRole('Admin'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const settings = await performanceTrendService.saveSettings(pool, req.body, req.currentUser);
+        res.json({ success: true, settings });
+    } catch (error) {
+        sendTrendError(res, error, 'saving alert settings');
+    }
+});
+
+// Run the trend check now instead of waiting for the nightly run
+app.post('/api/performance-alerts/run', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        console.log(`[PerformanceAlerts] Check requested by ${req.currentUser.email}`);
+        const summary = await performanceTrendService.runNow(req.currentUser.email);
+        if (!summary) {
+            return res.status(409).json({ success: false, error: 'A trend check is already running' });
+        }
+        res.json({ success: true, summary });
+    } catch (error) {
+        sendTrendError(res, error, 'running trend check');
+    }
+});
+
+// Nightly check runs on the same instance as the outbox worker
+if (process.env.NOTIFICATION_OUTBOX_WORKER !== 'false') {
+    performanceTrendService.start();
+}
+
+console.log('[APP] Performance trends API loaded');
+
+// ==========================================
+// Auditor Calibration (shadow audits, agreement and kappa, leniency / severity)
+// ==========================================
+
+function sendCalibrationError(res, error, context) {
+    console.error(`❌ [Calibration] Error ${context}:`, error);
+    if (error.details) {
+        return res.status(400).json({ success: false, error: error.message, details: error.details });
+    }
+    res.status(500).json({ success: false, error: error.message });
+}
+
+// Serve the calibration report page
+app.get('/admin/calibration', requireAuth, requireRole('Admin', 'SuperAuditor'), (req, res) => {
+    res.sendFile(path.join(__dirname, 'audit-app/pages/calibration.html'));
+});
+
+/**
+ * GET /api/calibration/report?schemaId=&months=&format=xlsx
+ * Agreement and kappa per section and auditor, auditor bias per section, disputed items and pairs
+ */
+app.get('/api/calibration/report', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const report = await calibrationService.getReport(pool, req.query);
+        if (req.query.format === 'xlsx') {
+            const schema = report.pairs[0] && req.query.schemaId ? report.pairs[0].schemaName : 'All checklists';
+            const filterText = `${schema} · last ${parseInt(req.query.months) || 12} months`;
+            return excelExportService.send(res, excelExportService.buildCalibrationWorkbook(report, filterText), 'calibration_report');
+        }
+        res.json({ success: true, ...report, ...calibrationService.getOptions() });
+    } catch (error) {
+        sendCalibrationError(res, error, 'loading calibration report');
+    }
+});
+
+// One shadow audit next to its primary audit, item by item
+app.get('/api/calibration/pairs/:shadowAuditId', requireAuth, requireRole('Admin', 'SuperAuditor'), async (req, res) => {
+    try {
+        const pool = await require('./database/db-connection').getPool();
+        const pair = await calibrationService.getPair(pool, parseInt(req.params.shadowAuditId));
+        if (!pair) {
+            return res.status(404).json({ success: false, error: 'Shadow audit not found' });
+        }
+        res.json({ success: true, pair });
+    } catch (error) {
+        sendCalibrationError(res, error, 'loading calibration pair');
+    }
+});
+
+console.log('[APP] Auditor calibration API loaded');
+
 // ==========================================
 // Root Route
 // ==========================================
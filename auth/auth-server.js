@@ -23,6 +23,8 @@ const { requireDynamicRole, requireAutoRole, requirePagePermission } = require('
 const UserManagementPage = require('../admin/pages/user-management');
 const GraphUsersService = require('../admin/services/graph-users-service');
 const RoleAssignmentService = require('../admin/services/role-assignment-service');
+const DepartmentService = require('../audit-app/services/department-service');
+const { getPool } = require('../database/db-connection');
 
 // Import activity logging
 const { logLogin, logLogout, logUserRoleChanged } = require('../services/activity-log-service');
@@ -187,6 +189,13 @@ class AuthServer {
                 }
             }
             
+            // Department head roles come from the department registry
+            try {
+                await DepartmentService.refreshCache(await getPool());
+            } catch (err) {
+                console.error('Error loading departments for impersonation:', err);
+            }
+            
             res.json({
                 canImpersonate: true,
                 active: impersonationData?.active || false,
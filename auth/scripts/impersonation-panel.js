@@ -481,9 +481,9 @@ function attachPanelEventListeners() {
             }
             
             // For department heads, go directly
-            if (['Maintenance', 'Procurement', 'Cleaning'].includes(role)) {
+            if (getRoleDepartment(role)) {
                 selectedRole = role;
-                await startImpersonationDirect(role, null, role);
+                await startImpersonationDirect(role, null, getRoleDepartment(role));
                 return;
             }
             
@@ -547,12 +547,18 @@ function getRoleIcon(role) {
         'StoreManager': '🏪',
         'HeadOfOperations': '🏢',
         'AreaManager': '📍',
-        'Maintenance': '🔧',
-        'Procurement': '📦',
-        'Cleaning': '🧹',
         'Pending': '⏳'
     };
-    return icons[role] || '👤';
+    const roleInfo = impersonationState.availableRoles.find(r => r.role === role);
+    return icons[role] || (roleInfo && roleInfo.icon) || '👤';
+}
+
+/**
+ * Department code of a department head role (null for other roles)
+ */
+function getRoleDepartment(role) {
+    const roleInfo = impersonationState.availableRoles.find(r => r.role === role);
+    return roleInfo && roleInfo.department ? roleInfo.department : null;
 }
 
 /**
@@ -619,7 +625,7 @@ function selectRole(role) {
     const deptOptions = document.getElementById('deptOptions');
     
     if (storeOptions) storeOptions.style.display = role === 'StoreManager' ? 'block' : 'none';
-    if (deptOptions) deptOptions.style.display = ['Maintenance', 'Procurement', 'Cleaning'].includes(role) ? 'block' : 'none';
+    if (deptOptions) deptOptions.style.display = getRoleDepartment(role) ? 'block' : 'none';
     
     // Update button
     const btn = document.getElementById('btnStartImpersonation');
@@ -726,8 +732,8 @@ async function startImpersonation() {
         body.assignedStores = [storeSelect.value];
     }
     
-    if (['Maintenance', 'Procurement', 'Cleaning'].includes(selectedRole)) {
-        body.assignedDepartment = selectedRole;
+    if (getRoleDepartment(selectedRole)) {
+        body.assignedDepartment = getRoleDepartment(selectedRole);
     }
     
     // Disable button and show loading
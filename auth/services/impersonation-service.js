@@ -6,15 +6,16 @@
  * Impersonation state is stored in a cookie, not in the database
  */
 
-const ALLOWED_ROLES = ['Admin', 'Auditor', 'SuperAuditor', 'StoreManager', 'HeadOfOperations', 'AreaManager', 'Maintenance', 'Procurement', 'Cleaning', 'Pending'];
+const DepartmentService = require('../../audit-app/services/department-service');
+
+// Department head roles (<Code>Head) are added from the department registry
+const BASE_ROLES = ['Admin', 'Auditor', 'SuperAuditor', 'StoreManager', 'HeadOfOperations', 'AreaManager'];
 
 // Cache for stores list (5 minute cache)
 let storesCache = null;
 let storesCacheTime = 0;
 const STORES_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
-const SAMPLE_DEPARTMENTS = ['Maintenance', 'Procurement', 'Cleaning'];
-
 class ImpersonationService {
     /**
      * Check if user can impersonate other roles
@@ -24,14 +25,25 @@ class ImpersonationService {
         return user && user.role === 'Admin';
     }
 
+    /**
+     * Roles that can be impersonated: fixed roles, one head role per active department, Pending
+     */
+    static getAllowedRoles() {
+        const departmentRoles = DepartmentService.getCachedDepartments().map(d => d.roleName);
+        return [...BASE_ROLES, ...departmentRoles, 'Pending'];
+    }
+
     /**
      * Get available roles for impersonation
      */
     static getAvailableRoles() {
-        return ALLOWED_ROLES.map(role => ({
-            role,
-            description: this.getRoleDescription(role)
-        }));
+        const departments = DepartmentService.getCachedDepartments();
+        return this.getAllowedRoles().map(role => {
+            const department = departments.find(d => d.roleName === role);
+            return department
+                ? { role, description: this.getRoleDescription(role), department: department.code, icon: department.icon }
+                : { role, description: this.getRoleDescription(role) };
+        });
     }
 
     /**
@@ -45,11 +57,12 @@ class ImpersonationService {
             'StoreManager': 'View reports for assigned stores, action plan responses',
             'HeadOfOperations': 'View all audits for assigned brands (read-only)',
             'AreaManager': 'View audits for assigned stores (read-only)',
-            'Maintenance': 'Department Head - Maintenance followup reports',
-            'Procurement': 'Department Head - Procurement followup reports',
-            'Cleaning': 'Department Head - Cleaning followup reports',
             'Pending': 'Awaiting approval - limited access'
         };
+        const department = DepartmentService.getCachedDepartments(true).find(d => d.roleName === role);
+        if (department) {
+            return `${department.isExternal ? 'Contractor' : 'Department Head'} - ${department.name} followup reports`;
+        }
         return descriptions[role] || 'Unknown role';
     }
     
@@ -83,8 +96,9 @@ class ImpersonationService {
             throw new Error('Only Admins can impersonate other roles');
         }
 
-        if (!ALLOWED_ROLES.includes(targetRole)) {
-            throw new Error(`Invalid role: ${targetRole}. Allowed: ${ALLOWED_ROLES.join(', ')}`);
+        const allowedRoles = this.getAllowedRoles();
+        if (!allowedRoles.includes(targetRole)) {
+            throw new Error(`Invalid role: ${targetRole}. Allowed: ${allowedRoles.join(', ')}`);
         }
 
         const impersonationData = {
@@ -96,7 +110,7 @@ class ImpersonationService {
             targetRole: targetRole,
             assignedStores: options.assignedStores || (targetRole === 'StoreManager' ? [SAMPLE_STORES[0]] : []),
             assignedBrands: options.assignedBrands || [],
-            assignedDepartment: options.assignedDepartment || (SAMPLE_DEPARTMENTS.includes(targetRole) ? targetRole : null),
+            assignedDepartment: options.assignedDepartment || DepartmentService.departmentForRole(targetRole),
             startedAt: new Date().toISOString()
         };
 
@@ -154,7 +168,7 @@ class ImpersonationService {
      * Get sample departments for department head impersonation
      */
     static getSampleDepartments() {
-        return SAMPLE_DEPARTMENTS;
+        return DepartmentService.getCachedDepartments().map(d => d.code);
     }
 }
 
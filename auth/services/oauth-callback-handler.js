@@ -9,6 +9,7 @@ const msal = require('@azure/msal-node');
 const sql = require('mssql');
 const config = require('../../config/default');
 const { logLogin } = require('../../services/activity-log-service');
+const DepartmentService = require('../../audit-app/services/department-service');
 
 class OAuthCallbackHandler {
     constructor() {
@@ -348,9 +349,13 @@ class OAuthCallbackHandler {
                 break;
             
             case 'Pending':
-            default:
                 res.redirect('/auth/pending-approval');
                 break;
+
+            default:
+                // Heads of departments added through the department registry
+                res.redirect(DepartmentService.isDepartmentRole(role) ? '/dashboard' : '/auth/pending-approval');
+                break;
         }
     }
 }
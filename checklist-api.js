@@ -272,6 +272,7 @@ app.delete('/api/items/:itemId', async (req, res) => {
  * Body: {
  *   responses: [{ referenceValue, selectedChoice }, ...]
  * }
+ * Checklists are not linked to an audit schema, so they are always scored with the standard model.
  */
 app.post('/api/checklists/:id/calculate-score', async (req, res) => {
     try {
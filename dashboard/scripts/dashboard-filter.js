@@ -46,7 +46,7 @@
         }
 
         // Department Heads see all documents (filtering happens at button level)
-        if (role === 'CleaningHead' || role === 'ProcurementHead' || role === 'MaintenanceHead') {
+        if (permissions.accessibleDepartment) {
             return documents;
         }
 
@@ -75,7 +75,10 @@
             'ProcurementHead': '📦 Procurement Head',
             'MaintenanceHead': '🔧 Maintenance Head'
         };
-        return labels[role] || role;
+        if (labels[role]) return labels[role];
+        // Heads of departments added later through the department registry
+        const dept = userContext.permissions && userContext.permissions.accessibleDepartment;
+        return dept ? `🏢 ${dept} Head` : role;
     }
 
     /**
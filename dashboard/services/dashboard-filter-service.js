@@ -6,13 +6,13 @@
  * - Admin: All stores, all reports, can generate
  * - Auditor: All stores, all reports, can generate
  * - StoreManager: Assigned stores only, view only
- * - CleaningHead: All stores, cleaning reports only, view only
- * - ProcurementHead: All stores, procurement reports only, view only
- * - MaintenanceHead: All stores, maintenance reports only, view only
+ * - Department heads (<Code>Head, one per registered department, e.g. CleaningHead,
+ *   MaintenanceHead, PestControlHead): All stores, own department reports only, view only
  */
 
 const sql = require('mssql');
 const config = require('../../config/default');
+const DepartmentService = require('../../audit-app/services/department-service');
 
 class DashboardFilterService {
     /**
@@ -39,7 +39,7 @@ class DashboardFilterService {
         }
 
         // Department Heads see all stores but different report types
-        if (role === 'CleaningHead' || role === 'ProcurementHead' || role === 'MaintenanceHead') {
+        if (DepartmentService.isDepartmentRole(role)) {
             // For department heads, we don't filter by store
             // They see all reports, but the client will show only department-specific buttons
             return reports;
@@ -115,9 +115,7 @@ class DashboardFilterService {
 
         // Department Heads can view their department reports only
         if (reportType === 'department' && department) {
-            if (role === 'CleaningHead' && department === 'Cleaning') return true;
-            if (role === 'ProcurementHead' && department === 'Procurement') return true;
-            if (role === 'MaintenanceHead' && department === 'Maintenance') return true;
+            return DepartmentService.departmentForRole(role) === department;
         }
 
         return false;
@@ -150,7 +148,7 @@ class DashboardFilterService {
         }
 
         // Department Heads see all stores
-        if (user.role === 'CleaningHead' || user.role === 'ProcurementHead' || user.role === 'MaintenanceHead') {
+        if (DepartmentService.isDepartmentRole(user.role)) {
             return ['ALL'];
         }
 
@@ -167,13 +165,7 @@ class DashboardFilterService {
             return null;
         }
 
-        const roleMapping = {
-            'CleaningHead': 'Cleaning',
-            'ProcurementHead': 'Procurement',
-            'MaintenanceHead': 'Maintenance'
-        };
-
-        return roleMapping[user.role] || null;
+        return DepartmentService.departmentForRole(user.role);
     }
 
     /**
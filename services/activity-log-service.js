@@ -25,6 +25,8 @@ const ACTION_TYPES = {
     // Action Plans
     ACTION_PLAN_SAVED: 'ACTION_PLAN_SAVED',
     ACTION_PLAN_SUBMITTED: 'ACTION_PLAN_SUBMITTED',
+    ACTION_PLAN_CLOSED: 'ACTION_PLAN_CLOSED',
+    ACTION_PLAN_REOPENED: 'ACTION_PLAN_REOPENED',
     
     // Admin actions
     USER_ROLE_CHANGED: 'USER_ROLE_CHANGED',
@@ -61,6 +63,8 @@ const ACTION_TO_CATEGORY = {
     BROADCAST_SENT: 'EMAIL',
     ACTION_PLAN_SAVED: 'ACTION_PLAN',
     ACTION_PLAN_SUBMITTED: 'ACTION_PLAN',
+    ACTION_PLAN_CLOSED: 'ACTION_PLAN',
+    ACTION_PLAN_REOPENED: 'ACTION_PLAN',
     USER_ROLE_CHANGED: 'ADMIN',
     USER_APPROVED: 'ADMIN',
     USER_REJECTED: 'ADMIN',
@@ -404,6 +408,25 @@ module.exports = {
         req
     }),
     
+    logActionPlanClosed: (user, documentNumber, actionCount, req) => activityLogService.log({
+        actionType: ACTION_TYPES.ACTION_PLAN_CLOSED,
+        description: `Closed action plan - all ${actionCount} actions verified`,
+        user,
+        targetType: 'document',
+        targetId: documentNumber,
+        metadata: { actionCount },
+        req
+    }),
+    
+    logActionPlanReopened: (user, documentNumber, req) => activityLogService.log({
+        actionType: ACTION_TYPES.ACTION_PLAN_REOPENED,
+        description: `Reopened closed action plan`,
+        user,
+        targetType: 'document',
+        targetId: documentNumber,
+        req
+    }),
+    
     logUserRoleChanged: (admin, targetUser, oldRole, newRole, req) => activityLogService.log({
         actionType: ACTION_TYPES.USER_ROLE_CHANGED,
         description: `Changed ${targetUser.email} role: ${oldRole} → ${newRole}`,
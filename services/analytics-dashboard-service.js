@@ -0,0 +1,443 @@
+/**
+ * Analytics Dashboard Service
+ * Saved, shareable dashboards made of custom query widgets
+ * - A dashboard has default filters; each widget is a subject + metric with its own
+ *   filters, chart type and width, in the order the owner arranged them
+ * - Dashboards are shared with roles or users; the owner and Admins can change them
+ * - Widgets always run with the viewer's store scope (see analytics-query-service),
+ *   so an Area Manager or Head of Operations only sees their own stores
+ */
+
+const sql = require('mssql');
+const analyticsQueryService = require('./analytics-query-service');
+
+const CHART_TYPES = {
+    bar: 'Bar chart',
+    horizontal_bar: 'Horizontal bars',
+    doughnut: 'Doughnut',
+    table: 'Table',
+    kpi: 'Top result'
+};
+
+const WIDTHS = ['half', 'full'];
+
+const SHARE_ROLES = ['Admin', 'SuperAuditor', 'Auditor', 'HeadOfOperations', 'AreaManager', 'StoreManager'];
+
+const MAX_WIDGETS = 20;
+
+// Filter keys a layer (dashboard, widget, viewer) can set; a later non-empty layer wins
+const LIST_FILTERS = ['brands', 'areaManagerIds', 'storeIds', 'cycles', 'years'];
+
+function validationError(message) {
+    const error = new Error(message);
+    error.details = message;
+    return error;
+}
+
+function forbidden(message) {
+    const error = new Error(message);
+    error.status = 403;
+    return error;
+}
+
+function parseJson(value, fallback) {
+    if (!value) return fallback;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return fallback;
+    }
+}
+
+/**
+ * Saved filters: normalized, without the store scope (that belongs to the viewer)
+ */
+function cleanFilters(filters) {
+    const { scopeStoreIds, ...clean } = analyticsQueryService.normalizeFilters(filters || {});
+    return clean;
+}
+
+class AnalyticsDashboardService {
+    /**
+     * Choices for the dashboard editor
+     */
+    getOptions() {
+        return {
+            customQuerySubjects: analyticsQueryService.getCustomQuerySubjects(),
+            chartTypes: CHART_TYPES,
+            widths: WIDTHS,
+            shareRoles: SHARE_ROLES,
+            maxWidgets: MAX_WIDGETS
+        };
+    }
+
+    // ==========================================
+    // DASHBOARDS
+    // ==========================================
+
+    mapDashboard(row) {
+        return {
+            dashboardId: row.DashboardID,
+            name: row.Name,
+            description: row.Description || '',
+            filters: parseJson(row.Filters, {}),
+            ownerUserId: row.OwnerUserID,
+            ownerEmail: row.OwnerEmail,
+            ownerName: row.OwnerName || null,
+            widgetCount: row.WidgetCount,
+            createdAt: row.CreatedAt,
+            updatedAt: row.UpdatedAt
+        };
+    }
+
+    mapWidget(row) {
+        return {
+            widgetId: row.WidgetID,
+            title: row.Title || '',
+            subject: row.Subject,
+            metric: row.Metric,
+            limit: row.ResultLimit,
+            filters: parseJson(row.Filters, {}),
+            chartType: row.ChartType,
+            width: row.Width,
+            sortOrder: row.SortOrder
+        };
+    }
+
+    /**
+     * Validate editor input
+     * @param {Object} input - { name, description, filters, widgets: [...], shares: { roles, userIds } }
+     * @returns {Object} - Clean dashboard fields; widgets keep the given order
+     */
+    normalize(input = {}) {
+        const name = String(input.name || '').trim();
+        if (!name) throw validationError('Name is required');
+        if (name.length > 200) throw validationError('Name must be 200 characters or less');
+
+        const description = String(input.description || '').trim();
+        if (description.length > 500) throw validationError('Description must be 500 characters or less');
+
+        const widgetInput = Array.isArray(input.widgets) ? input.widgets : [];
+        if (widgetInput.length === 0) throw validationError('Add at least one widget');
+        if (widgetInput.length > MAX_WIDGETS) throw validationError(`A dashboard can have up to ${MAX_WIDGETS} widgets`);
+
+        const subjects = analyticsQueryService.getCustomQuerySubjects();
+        const widgets = widgetInput.map((widget, index) => {
+            const subject = subjects[widget.subject];
+            if (!subject || !subject.metrics[widget.metric]) {
+                throw validationError(`Widget ${index + 1}: choose a subject and metric`);
+            }
+            const chartType = widget.chartType || 'bar';
+            if (!CHART_TYPES[chartType]) throw validationError(`Widget ${index + 1}: unknown chart type ${chartType}`);
+            const width = widget.width || 'half';
+            if (!WIDTHS.includes(width)) throw validationError(`Widget ${index + 1}: width must be half or full`);
+
+            const title = String(widget.title || '').trim();
+            if (title.length > 200) throw validationError(`Widget ${index + 1}: title must be 200 characters or less`);
+
+            return {
+                title,
+                subject: widget.subject,
+                metric: widget.metric,
+                limit: Math.min(Math.max(parseInt(widget.limit) || 10, 1), 1000),
+                filters: cleanFilters(widget.filters),
+                chartType,
+                width
+            };
+        });
+
+        const shares = input.shares || {};
+        const roles = [...new Set((shares.roles || []).map(String))];
+        const unknownRoles = roles.filter(r => !SHARE_ROLES.includes(r));
+        if (unknownRoles.length > 0) throw validationError(`Unknown role: ${unknownRoles.join(', ')}`);
+        const userIds = [...new Set((shares.userIds || []).map(id => parseInt(id, 10)).filter(id => id > 0))];
+
+        return {
+            name,
+            description,
+            filters: cleanFilters(input.filters),
+            widgets,
+            shares: { roles, userIds }
+        };
+    }
+
+    /**
+     * Dashboards a user can open: their own, shared with their role or with them; Admin sees all
+     */
+    async list(pool, user) {
+        const result = await pool.request()
+            .input('userId', sql.Int, user.id)
+            .input('role', sql.NVarChar(50), user.role)
+            .query(`
+                SELECT d.*, u.display_name AS OwnerName,
+                    (SELECT COUNT(*) FROM AnalyticsDashboardWidgets w WHERE w.DashboardID = d.DashboardID) AS WidgetCount
+                FROM AnalyticsDashboards d
+                LEFT JOIN Users u ON u.id = d.OwnerUserID
+                ${user.role === 'Admin' ? '' : `
+                WHERE d.OwnerUserID = @userId
+                   OR EXISTS (SELECT 1 FROM AnalyticsDashboardShares sh
+                              WHERE sh.DashboardID = d.DashboardID AND (sh.Role = @role OR sh.UserID = @userId))`}
+                ORDER BY d.Name
+            `);
+        return result.recordset.map(row => {
+            const dashboard = this.mapDashboard(row);
+            dashboard.canEdit = this.canEdit(dashboard, user);
+            return dashboard;
+        });
+    }
+
+    /**
+     * Dashboard with its widgets (in order) and shares
+     */
+    async get(pool, dashboardId) {
+        const result = await pool.request()
+            .input('id', sql.Int, dashboardId)
+            .query(`
+                SELECT d.*, u.display_name AS OwnerName,
+                    (SELECT COUNT(*) FROM AnalyticsDashboardWidgets w WHERE w.DashboardID = d.DashboardID) AS WidgetCount
+                FROM AnalyticsDashboards d
+                LEFT JOIN Users u ON u.id = d.OwnerUserID
+                WHERE d.DashboardID = @id;
+
+                SELECT * FROM AnalyticsDashboardWidgets WHERE DashboardID = @id ORDER BY SortOrder, WidgetID;
+
+                SELECT sh.Role, sh.UserID, u.display_name AS UserName, u.email AS UserEmail
+                FROM AnalyticsDashboardShares sh
+                LEFT JOIN Users u ON u.id = sh.UserID
+                WHERE sh.DashboardID = @id;
+            `);
+        if (result.recordsets[0].length === 0) return null;
+
+        const dashboard = this.mapDashboard(result.recordsets[0][0]);
+        dashboard.widgets = result.recordsets[1].map(row => this.mapWidget(row));
+        dashboard.shares = {
+            roles: result.recordsets[2].filter(s => s.Role).map(s => s.Role),
+            users: result.recordsets[2].filter(s => s.UserID).map(s => ({ id: s.UserID, name: s.UserName || s.UserEmail || `#${s.UserID}`, email: s.UserEmail }))
+        };
+        return dashboard;
+    }
+
+    canEdit(dashboard, user) {
+        return dashboard.ownerUserId === user.id || user.role === 'Admin';
+    }
+
+    canView(dashboard, user) {
+        return this.canEdit(dashboard, user)
+            || dashboard.shares.roles.includes(user.role)
+            || dashboard.shares.users.some(u => u.id === user.id);
+    }
+
+    assertCanView(dashboard, user) {
+        if (!this.canView(dashboard, user)) throw forbidden('This dashboard is not shared with you');
+    }
+
+    assertCanManage(dashboard, user) {
+        if (!this.canEdit(dashboard, user)) throw forbidden('You cannot change this dashboard');
+    }
+
+    /**
+     * Create or replace a dashboard with its widgets and shares
+     * @param {number} dashboardId - Existing dashboard (null = create)
+     * @returns {Promise<Object>} The saved dashboard
+     */
+    async save(pool, input, user, dashboardId = null) {
+        if (dashboardId) {
+            const current = await this.get(pool, dashboardId);
+            if (!current) return null;
+            this.assertCanManage(current, user);
+        }
+        const data = this.normalize(input);
+
+        const transaction = new sql.Transaction(pool);
+        await transaction.begin();
+
+        try {
+            const request = transaction.request()
+                .input('id', sql.Int, dashboardId)
+                .input('name', sql.NVarChar(200), data.name)
+                .input('description', sql.NVarChar(500), data.description || null)
+                .input('filters', sql.NVarChar(sql.MAX), JSON.stringify(data.filters))
+                .input('ownerUserId', sql.Int, user.id)
+                .input('ownerEmail', sql.NVarChar(255), user.email);
+
+            let savedId = dashboardId;
+            if (dashboardId) {
+                await request.query(`
+                    UPDATE AnalyticsDashboards
+                    SET Name = @name, Description = @description, Filters = @filters, UpdatedAt = GETDATE()
+                    WHERE DashboardID = @id
+                `);
+                await transaction.request()
+                    .input('id', sql.Int, dashboardId)
+                    .query(`
+                        DELETE FROM AnalyticsDashboardWidgets WHERE DashboardID = @id;
+                        DELETE FROM AnalyticsDashboardShares WHERE DashboardID = @id;
+                    `);
+            } else {
+                const inserted = await request.query(`
+                    INSERT INTO AnalyticsDashboards (Name, Description, Filters, OwnerUserID, OwnerEmail)
+                    OUTPUT INSERTED.DashboardID
+                    VALUES (@name, @description, @filters, @ownerUserId, @ownerEmail)
+                `);
+                savedId = inserted.recordset[0].DashboardID;
+            }
+
+            for (const [index, widget] of data.widgets.entries()) {
+                await transaction.request()
+                    .input('id', sql.Int, savedId)
+                    .input('title', sql.NVarChar(200), widget.title || null)
+                    .input('subject', sql.NVarChar(50), widget.subject)
+                    .input('metric', sql.NVarChar(50), widget.metric)
+                    .input('limit', sql.Int, widget.limit)
+                    .input('filters', sql.NVarChar(sql.MAX), JSON.stringify(widget.filters))
+                    .input('chartType', sql.NVarChar(20), widget.chartType)
+                    .input('width', sql.NVarChar(10), widget.width)
+                    .input('sortOrder', sql.Int, index)
+                    .query(`
+                        INSERT INTO AnalyticsDashboardWidgets (DashboardID, Title, Subject, Metric, ResultLimit, Filters, ChartType, Width, SortOrder)
+                        VALUES (@id, @title, @subject, @metric, @limit, @filters, @chartType, @width, @sortOrder)
+                    `);
+            }
+
+            const shares = [
+                ...data.shares.roles.map(role => ({ role, userId: null })),
+                ...data.shares.userIds.map(userId => ({ role: null, userId }))
+            ];
+            for (const share of shares) {
+                await transaction.request()
+                    .input('id', sql.Int, savedId)
+                    .input('role', sql.NVarChar(50), share.role)
+                    .input('userId', sql.Int, share.userId)
+                    .input('sharedBy', sql.NVarChar(255), user.email)
+                    .query(`
+                        INSERT INTO AnalyticsDashboardShares (DashboardID, Role, UserID, SharedBy)
+                        VALUES (@id, @role, @userId, @sharedBy)
+                    `);
+            }
+
+            await transaction.commit();
+            return this.get(pool, savedId);
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Rearrange widgets without re-saving the dashboard
+     * @param {Array<Object>} layout - [{ widgetId, width }] in display order
+     */
+    async saveLayout(pool, dashboardId, layout, user) {
+        const current = await this.get(pool, dashboardId);
+        if (!current) return null;
+        this.assertCanManage(current, user);
+
+        if (!Array.isArray(layout)) throw validationError('Layout must be a list of widgets');
+        const known = new Set(current.widgets.map(w => w.widgetId));
+        for (const [index, item] of layout.entries()) {
+            const widgetId = parseInt(item.widgetId, 10);
+            if (!known.has(widgetId)) throw validationError(`Widget ${item.widgetId} is not on this dashboard`);
+            const width = item.width || current.widgets.find(w => w.widgetId === widgetId).width;
+            if (!WIDTHS.includes(width)) throw validationError('Width must be half or full');
+
+            await pool.request()
+                .input('widgetId', sql.Int, widgetId)
+                .input('id', sql.Int, dashboardId)
+                .input('sortOrder', sql.Int, index)
+                .input('width', sql.NVarChar(10), width)
+                .query(`
+                    UPDATE AnalyticsDashboardWidgets SET SortOrder = @sortOrder, Width = @width
+                    WHERE WidgetID = @widgetId AND DashboardID = @id
+                `);
+        }
+        await pool.request()
+            .input('id', sql.Int, dashboardId)
+            .query('UPDATE AnalyticsDashboards SET UpdatedAt = GETDATE() WHERE DashboardID = @id');
+        return this.get(pool, dashboardId);
+    }
+
+    async remove(pool, dashboardId, user) {
+        const current = await this.get(pool, dashboardId);
+        if (!current) return false;
+        this.assertCanManage(current, user);
+
+        await pool.request()
+            .input('id', sql.Int, dashboardId)
+            .query('DELETE FROM AnalyticsDashboards WHERE DashboardID = @id');
+        return true;
+    }
+
+    // ==========================================
+    // RUNNING
+    // ==========================================
+
+    /**
+     * Combine filter layers (dashboard, widget, viewer); each non-empty filter replaces the earlier one.
+     * "Latest cycle" replaces earlier cycles and years, and a fixed cycle or year turns it off
+     */
+    mergeFilters(...layers) {
+        const merged = { brands: [], areaManagerIds: [], storeIds: [], cycles: [], years: [], latestCycle: false };
+        for (const layer of layers.map(cleanFilters)) {
+            if (layer.latestCycle) {
+                Object.assign(merged, { cycles: [], years: [], latestCycle: true });
+            } else if (layer.cycles.length > 0 || layer.years.length > 0) {
+                merged.latestCycle = false;
+            }
+            for (const key of LIST_FILTERS) {
+                if (layer[key].length > 0) merged[key] = layer[key];
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Run every widget of a dashboard for a viewer
+     * @param {Object} overrides - Filters chosen on the dashboard page (cycles, years, ...)
+     * @returns {Promise<Object>} { dashboard, widgets: [{ ...widget, view } | { ...widget, error }], scoped }
+     */
+    async run(pool, dashboardId, user, overrides = {}) {
+        const dashboard = await this.get(pool, dashboardId);
+        if (!dashboard) return null;
+        this.assertCanView(dashboard, user);
+
+        const scopeStoreIds = await analyticsQueryService.getUserStoreScope(pool, user);
+        const widgets = await Promise.all(dashboard.widgets.map(async widget => {
+            const filters = { ...this.mergeFilters(dashboard.filters, widget.filters, overrides), scopeStoreIds };
+            try {
+                const view = await analyticsQueryService.runView(pool, 'custom_query', filters, {
+                    subject: widget.subject,
+                    metric: widget.metric,
+                    limit: widget.limit
+                });
+                return { ...widget, title: widget.title || view.title, view };
+            } catch (error) {
+                console.error(`❌ [Dashboards] Widget ${widget.widgetId} failed:`, error.message);
+                return { ...widget, error: error.message };
+            }
+        }));
+
+        dashboard.canEdit = this.canEdit(dashboard, user);
+        return { dashboard, widgets, scoped: scopeStoreIds !== null };
+    }
+
+    /**
+     * Cycles and years the viewer can pick on a dashboard (from their own stores' audits)
+     */
+    async getViewerFilterOptions(pool, user) {
+        const scopeStoreIds = await analyticsQueryService.getUserStoreScope(pool, user);
+        const request = pool.request();
+        const whereClause = analyticsQueryService.buildWhereClause(request, { scopeStoreIds });
+        const result = await request.query(`
+            SELECT DISTINCT ai.Year, ai.Cycle
+            FROM AuditInstances ai
+            ${whereClause} AND ai.Cycle IS NOT NULL AND ai.Cycle != ''
+        `);
+        return {
+            cycles: [...new Set(result.recordset.map(r => r.Cycle))].sort(),
+            years: [...new Set(result.recordset.map(r => r.Year).filter(Boolean))].sort((a, b) => b - a)
+        };
+    }
+}
+
+module.exports = new AnalyticsDashboardService();
+module.exports.CHART_TYPES = CHART_TYPES;
@@ -0,0 +1,773 @@
+/**
+ * Analytics Query Service
+ * Queries behind the analytics page that are also run outside a request:
+ * - Custom query presets (subject + metric, e.g. stores / most_fails)
+ * - Report views for scheduled subscriptions (failing stores, open action plans by area, auditor productivity)
+ * Filters (brand, area manager, cycle, year, store) are passed as SQL parameters
+ * A user's store scope (area, brand or store assignments) narrows every query on top of the filters
+ */
+
+const sql = require('mssql');
+const ActionVerificationService = require('../audit-app/services/action-verification-service');
+
+const CUSTOM_QUERY_SUBJECTS = {
+    stores: {
+        label: 'Stores',
+        metrics: {
+            most_fails: 'Most Failed Audits',
+            most_audits: 'Most Audits',
+            lowest_score: 'Lowest Average Score',
+            highest_score: 'Highest Average Score',
+            never_pass: 'Never Passed (0% pass rate)',
+            always_pass: 'Always Passed (100% pass rate)',
+            biggest_drop: 'Biggest Score Drop',
+            biggest_improvement: 'Biggest Improvement'
+        }
+    },
+    auditors: {
+        label: 'Auditors',
+        metrics: {
+            most_audits: 'Most Audits Completed',
+            highest_score: 'Highest Average Score',
+            lowest_score: 'Lowest Average Score',
+            most_fails: 'Most Failed Audits'
+        }
+    },
+    sections: {
+        label: 'Sections',
+        metrics: {
+            lowest_score: 'Lowest Average Score',
+            highest_score: 'Highest Average Score',
+            most_fails: 'Highest Fail Rate',
+            most_repetitive: 'Most Repetitive Failures'
+        }
+    },
+    items: {
+        label: 'Checklist Items',
+        metrics: {
+            most_repetitive: 'Most Repetitive Failures',
+            most_fails: 'Most Failed',
+            never_pass: 'Never Passed',
+            always_pass: 'Always Passed',
+            lowest_score: 'Lowest Average Score'
+        }
+    }
+};
+
+const VIEWS = {
+    failing_stores: { title: 'Failing Stores', description: 'Completed audits below the passing grade, lowest score first' },
+    open_action_plans: { title: 'Open Action Plans by Area', description: 'Unsolved action plan items per area manager and store' },
+    auditor_productivity: { title: 'Auditor Productivity', description: 'Audits completed, stores covered and scores per auditor' },
+    custom_query: { title: 'Custom Query', description: 'A custom query preset (subject and metric) from the analytics page' }
+};
+
+// Roles that see every store; every other role only sees its assigned stores
+const ALL_STORES_ROLES = ['Admin', 'SuperAuditor'];
+
+function validationError(message) {
+    const error = new Error(message);
+    error.details = message;
+    return error;
+}
+
+// Arrays or comma-separated lists ('Spinneys,Happy')
+function toList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(v => String(v).trim()).filter(Boolean);
+}
+
+function toIds(value) {
+    return toList(value).map(v => parseInt(v, 10)).filter(v => !isNaN(v) && v > 0);
+}
+
+class AnalyticsQueryService {
+    getViews() {
+        return Object.entries(VIEWS).map(([key, view]) => ({ key, ...view }));
+    }
+
+    getCustomQuerySubjects() {
+        return CUSTOM_QUERY_SUBJECTS;
+    }
+
+    /**
+     * Passing grade used by the analytics page (first 'Overall' setting, default 87)
+     */
+    async getPassingThreshold(pool) {
+        try {
+            const result = await pool.request().query(`
+                SELECT TOP 1 ISNULL(PassingGrade, 87) AS PassingGrade
+                FROM SystemSettings 
+                WHERE SettingType = 'Overall'
+                ORDER BY SchemaID
+            `);
+            return result.recordset.length > 0 ? result.recordset[0].PassingGrade : 87;
+        } catch (error) {
+            console.warn('⚠️ Could not get dynamic threshold, using default 87:', error.message);
+            return 87;
+        }
+    }
+
+    /**
+     * Normalized filters: { brands: [], areaManagerIds: [], cycles: [], years: [], storeIds: [] }
+     * Single values from the custom query (year, cycle, storeId) are accepted too
+     */
+    normalizeFilters(filters = {}) {
+        return {
+            brands: toList(filters.brands),
+            areaManagerIds: toIds(filters.areaManagerIds),
+            cycles: [...toList(filters.cycles), ...toList(filters.cycle)],
+            years: [...toIds(filters.years), ...toIds(filters.year)],
+            storeIds: [...toIds(filters.storeIds), ...toIds(filters.storeId)],
+            // Subscriptions: follow the newest cycle instead of a fixed one
+            latestCycle: filters.latestCycle === true || filters.latestCycle === 'true',
+            // From getUserStoreScope(), never from the query string: null = every store, [] = none
+            scopeStoreIds: Array.isArray(filters.scopeStoreIds) ? toIds(filters.scopeStoreIds) : null
+        };
+    }
+
+    /**
+     * Stores a user may see in analytics
+     * - AreaManager: UserAreaAssignments
+     * - HeadOfOperations: stores of the brands in UserBrandAssignments
+     * - StoreManager: StoreManagerAssignments
+     * - Admin / SuperAuditor: every store
+     * - Any other role (Auditor, department roles): no stores
+     * Impersonation uses the impersonated assignments, like the audit list
+     * @returns {Promise<Array<number>|null>} - StoreIDs, or null when the role sees every store
+     */
+    async getUserStoreScope(pool, user) {
+        if (ALL_STORES_ROLES.includes(user.role)) return null;
+
+        const request = pool.request().input('userId', sql.Int, user.id);
+        const addList = (values, name) => values.map((value, i) => {
+            request.input(`${name}${i}`, sql.NVarChar(200), value);
+            return `@${name}${i}`;
+        }).join(', ');
+
+        const impersonatedStores = user._isImpersonating ? (user.assignedStores || []) : null;
+        const assignedBrands = user.assignedBrands || [];
+
+        let query = null;
+        if (user.role === 'AreaManager') {
+            if (!impersonatedStores) {
+                query = 'SELECT StoreID FROM UserAreaAssignments WHERE UserID = @userId';
+            } else if (impersonatedStores.length > 0) {
+                query = `SELECT StoreID FROM Stores WHERE StoreCode IN (${addList(impersonatedStores, 'code')})`;
+            }
+        } else if (user.role === 'HeadOfOperations') {
+            if (assignedBrands.length > 0) {
+                query = `SELECT StoreID FROM Stores WHERE Brand IN (${addList(assignedBrands, 'brand')})`;
+            } else if (!user._isImpersonating) {
+                query = 'SELECT s.StoreID FROM Stores s INNER JOIN UserBrandAssignments uba ON uba.Brand = s.Brand WHERE uba.UserID = @userId';
+            }
+        } else if (user.role === 'StoreManager') {
+            if (!impersonatedStores) {
+                query = 'SELECT StoreID FROM StoreManagerAssignments WHERE UserID = @userId';
+            } else if (impersonatedStores.length > 0) {
+                query = `SELECT StoreID FROM Stores WHERE StoreName IN (${addList(impersonatedStores, 'name')})`;
+            }
+        }
+
+        if (!query) return [];
+        const result = await request.query(query);
+        return [...new Set(result.recordset.map(r => r.StoreID))];
+    }
+
+    /**
+     * Store scope as an inline SQL condition for the analytics routes that build their own SQL
+     * @param {Array<number>|null} scopeStoreIds - From getUserStoreScope()
+     * @param {string} column - StoreID column to restrict
+     * @returns {string} - '' for every store, otherwise " AND <column> IN (...)"
+     */
+    scopeCondition(scopeStoreIds, column = 'ai.StoreID') {
+        if (!scopeStoreIds) return '';
+        const ids = toIds(scopeStoreIds);
+        return ids.length > 0 ? ` AND ${column} IN (${ids.join(',')})` : ' AND 1 = 0';
+    }
+
+    /**
+     * Replace latestCycle with the year and cycle of the most recent completed audit matching the other filters
+     */
+    async resolveLatestCycle(pool, filters = {}) {
+        const f = this.normalizeFilters(filters);
+        if (!f.latestCycle) return f;
+
+        const request = pool.request();
+        const whereClause = this.buildWhereClause(request, { ...f, cycles: [], years: [] });
+        const result = await request.query(`
+            SELECT TOP 1 ai.Year, ai.Cycle
+            FROM AuditInstances ai
+            ${whereClause} AND ai.Cycle IS NOT NULL AND ai.Cycle != ''
+            ORDER BY ai.AuditDate DESC, ai.AuditID DESC
+        `);
+        if (result.recordset.length === 0) return { ...f, latestCycle: false };
+
+        const latest = result.recordset[0];
+        return { ...f, cycles: [latest.Cycle], years: [latest.Year], latestCycle: false };
+    }
+
+    /**
+     * WHERE clause over AuditInstances ai for completed audits, adding the filter parameters to the request
+     */
+    buildWhereClause(request, filters = {}) {
+        const f = this.normalizeFilters(filters);
+        let whereClause = "WHERE ai.Status = 'Completed'";
+
+        const addList = (values, name, type) => values.map((value, i) => {
+            request.input(`${name}${i}`, type, value);
+            return `@${name}${i}`;
+        }).join(', ');
+
+        if (f.brands.length > 0) {
+            whereClause += ` AND ai.StoreID IN (SELECT StoreID FROM Stores WHERE Brand IN (${addList(f.brands, 'brand', sql.NVarChar(50))}))`;
+        }
+        if (f.areaManagerIds.length > 0) {
+            whereClause += ` AND ai.StoreID IN (SELECT StoreID FROM UserAreaAssignments WHERE UserID IN (${addList(f.areaManagerIds, 'areaManager', sql.Int)}))`;
+        }
+        if (f.cycles.length > 0) {
+            whereClause += ` AND ai.Cycle IN (${addList(f.cycles, 'cycle', sql.NVarChar(20))})`;
+        }
+        if (f.years.length > 0) {
+            whereClause += ` AND ai.Year IN (${addList(f.years, 'year', sql.Int)})`;
+        }
+        if (f.storeIds.length > 0) {
+            whereClause += ` AND ai.StoreID IN (${addList(f.storeIds, 'store', sql.Int)})`;
+        }
+        if (f.scopeStoreIds) {
+            whereClause += f.scopeStoreIds.length > 0
+                ? ` AND ai.StoreID IN (${addList(f.scopeStoreIds, 'scopeStore', sql.Int)})`
+                : ' AND 1 = 0';
+        }
+        return whereClause;
+    }
+
+    /**
+     * Run a custom query preset
+     * @param {Object} params - { subject, metric, limit, ...filters }
+     * @returns {Promise<Object>} { results: [{ name, value, suffix, extra }], valueLabel }
+     */
+    async runCustomQuery(pool, params = {}) {
+        const { subject, metric } = params;
+        const limitNum = Math.min(parseInt(params.limit) || 10, 1000);
+        const request = pool.request();
+        const whereClause = this.buildWhereClause(request, params);
+
+        const { query, valueLabel } = this.buildCustomQuery(subject, metric, limitNum, whereClause);
+        let results = [];
+
+        if (query) {
+            const result = await request.query(query);
+            results = result.recordset.map(r => ({
+                name: r.Name || 'Unknown',
+                value: r.Value || 0,
+                suffix: valueLabel.includes('%') ? '%' : '',
+                extra: r.TotalAudits ? `${r.TotalAudits} audits` : 
+                       r.TimesAudited ? `${r.TimesAudited} times` :
+                       r.RefValue ? `Ref: ${r.RefValue}` :
+                       r.AvgScore ? `Avg: ${r.AvgScore}%` :
+                       r.FirstScore !== undefined ? `${r.FirstScore}% → ${r.LastScore}%` : null
+            }));
+        }
+
+        return { results, valueLabel };
+    }
+
+    /**
+     * SQL of a custom query preset; query is empty for an unknown subject / metric
+     */
+    buildCustomQuery(subject, metric, limitNum, whereClause) {
+        let query = '';
+        let valueLabel = 'Value';
+
+        // Build query based on subject and metric
+        if (subject === 'stores') {
+            switch (metric) {
+                case 'most_fails':
+                    query = `
+                        SELECT TOP ${limitNum}
+                            ai.StoreName as Name,
+                            SUM(CASE WHEN ai.TotalScore < 83 THEN 1 ELSE 0 END) as Value,
+                            COUNT(*) as TotalAudits,
+                            ROUND(AVG(CAST(ai.TotalScore as FLOAT)), 1) as AvgScore
+                        FROM AuditInstances ai
+                        ${whereClause}
+                        GROUP BY ai.StoreName
+                        ORDER BY Value DESC
+                    `;
+                    valueLabel = 'Failed Audits';
+                    break;
+                    
+                case 'most_audits':
+                    query = `
+                        SELECT TOP ${limitNum}
+                            ai.StoreName as Name,
+                            COUNT(*) as Value,
+                            ROUND(AVG(CAST(ai.TotalScore as FLOAT)), 1) as AvgScore
+                        FROM AuditInstances ai
+                        ${whereClause}
+                        GROUP BY ai.StoreName
+                        ORDER BY Value DESC
+                    `;
+                    valueLabel = 'Total Audits';
+                    break;
+                    
+                case 'lowest_score':
+                    query = `
+                        SELECT TOP ${limitNum}
+                            ai.StoreName as Name,
+                            ROUND(AVG(CAST(ai.TotalScore as FLOAT)), 1) as Value,
+                            COUNT(*) as TotalAudits
+                        FROM AuditInstances ai
+                        ${whereClause}
+                        GROUP BY ai.StoreName
+                        ORDER BY Value ASC
+                    `;
+                    valueLabel = 'Avg Score (%)';
+                    break;
+                    
+                case 'highest_score':
+                    query = `
+                        SELECT TOP ${limitNum}
+                            ai.StoreName as Name,
+                            ROUND(AVG(CAST(ai.TotalScore as FLOAT)), 1) as Value,
+                            COUNT(*) as TotalAudits
+                        FROM AuditInstances ai
+                        ${whereClause}
+                        GROUP BY ai.StoreName
+                        ORDER BY Value DESC
+                    `;
+                    valueLabel = 'Avg Score (%)';
+                    break;
+                    
+                case 'never_pass':
+                    query = `
+                        SELECT 
+                            ai.StoreName as Name,
+                            ROUND(AVG(CAST(ai.TotalScore as FLOAT)), 1) as Value,
+                            COUNT(*) as TotalAudits,
+                            SUM(CASE WHEN ai.TotalScore >= 83 THEN 1 ELSE 0 END) as PassCount
+                        FROM AuditInstances ai
+                        ${whereClause}
+                        GROUP BY ai.StoreName
+                        HAVING SUM(CASE WHEN ai.TotalScore >= 83 THEN 1 ELSE 0 END) = 0
+                        ORDER BY Value ASC
+                    `;
+                    valueLabel = 'Avg Score (%)';
+                    break;
+                    
+                case 'always_pass':
+                    query = `
+                        SELECT 
+                            ai.StoreName as Name,
+                            ROUND(AVG(CAST(ai.TotalScore as FLOAT)), 1) as Value,
+                            COUNT(*) as TotalAudits,
+                            SUM(CASE WHEN ai.TotalScore < 83 THEN 1 ELSE 0 END) as FailCount
+                        FROM AuditInstances ai
+                        ${whereClause}
+                        GROUP BY ai.StoreName
+                        HAVING SUM(CASE WHEN ai.TotalScore < 83 THEN 1 ELSE 0 END) = 0
+                        ORDER BY Value DESC
+                    `;
+                    valueLabel = 'Avg Score (%)';
+                    break;
+                    
+                case 'biggest_improvement':
+                case 'biggest_drop':
+                    // Compare first and last audit scores
+                    query = `
+                        WITH RankedAudits AS (
+                            SELECT 
+                                ai.StoreName,
+                                ai.TotalScore,
+                                ROW_NUMBER() OVER (PARTITION BY ai.StoreID ORDER BY ai.AuditDate, ai.AuditID) as FirstRank,
+                                ROW_NUMBER() OVER (PARTITION BY ai.StoreID ORDER BY ai.AuditDate DESC, ai.AuditID DESC) as LastRank
+                            FROM AuditInstances ai
+                            ${whereClause}
+                        )
+                        SELECT TOP ${limitNum}
+                            f.StoreName as Name,
+                            (l.TotalScore - f.TotalScore) as Value,
+                            f.TotalScore as FirstScore,
+                            l.TotalScore as LastScore
+                        FROM RankedAudits f
+                        INNER JOIN RankedAudits l ON f.StoreName = l.StoreName AND l.LastRank = 1
+                        WHERE f.FirstRank = 1
+                        ORDER BY Value ${metric === 'biggest_improvement' ? 'DESC' : 'ASC'}
+                    `;
+                    valueLabel = 'Score Change';
+                    break;
+            }
+        }
+        
+        else if (subject === 'auditors') {
+            switch (metric) {
+                case 'most_audits':
+                    query = `
+                        SELECT TOP ${limitNum}
+                            ai.Auditors as Name,
+                            COUNT(*) as Value,
+                            ROUND(AVG(CAST(ai.TotalScore as FLOAT)), 1) as AvgScore
+                        FROM AuditInstances ai
+                        ${whereClause}
+                        GROUP BY ai.Auditors
+                        ORDER BY Value DESC
+                    `;
+                    valueLabel = 'Total Audits';
+                    break;
+                    
+                case 'highest_score':
+                    query = `
+                        SELECT TOP ${limitNum}
+                            ai.Auditors as Name,
+                            ROUND(AVG(CAST(ai.TotalScore as FLOAT)), 1) as Value,
+                            COUNT(*) as TotalAudits
+                        FROM AuditInstances ai
+                        ${whereClause}
+                        GROUP BY ai.Auditors
+                        ORDER BY Value DESC
+                    `;
+                    valueLabel = 'Avg Score (%)';
+                    break;
+                    
+                case 'lowest_score':
+                    query = `
+                        SELECT TOP ${limitNum}
+                            ai.Auditors as Name,
+                            ROUND(AVG(CAST(ai.TotalScore as FLOAT)), 1) as Value,
+                            COUNT(*) as TotalAudits
+                        FROM AuditInstances ai
+                        ${whereClause}
+                        GROUP BY ai.Auditors
+                        ORDER BY Value ASC
+                    `;
+                    valueLabel = 'Avg Score (%)';
+                    break;
+                    
+                case 'most_fails':
+                    query = `
+                        SELECT TOP ${limitNum}
+                            ai.Auditors as Name,
+                            SUM(CASE WHEN ai.TotalScore < 83 THEN 1 ELSE 0 END) as Value,
+                            COUNT(*) as TotalAudits
+                        FROM AuditInstances ai
+                        ${whereClause}
+                        GROUP BY ai.Auditors
+                        ORDER BY Value DESC
+                    `;
+                    valueLabel = 'Failed Audits';
+                    break;
+            }
+        }
+        
+        else if (subject === 'sections') {
+            switch (metric) {
+                case 'lowest_score':
+                    query = `
+                        SELECT TOP ${limitNum}
+                            ss.SectionName as Name,
+                            ROUND(AVG(ss.Percentage), 1) as Value,
+                            COUNT(*) as TimesAudited
+                        FROM AuditSectionScores ss
+                        INNER JOIN AuditInstances ai ON ss.AuditID = ai.AuditID
+                        ${whereClause}
+                        GROUP BY ss.SectionName
+                        ORDER BY Value ASC
+                    `;
+                    valueLabel = 'Avg Score (%)';
+                    break;
+                    
+                case 'highest_score':
+                    query = `
+                        SELECT TOP ${limitNum}
+                            ss.SectionName as Name,
+                            ROUND(AVG(ss.Percentage), 1) as Value,
+                            COUNT(*) as TimesAudited
+                        FROM AuditSectionScores ss
+                        INNER JOIN AuditInstances ai ON ss.AuditID = ai.AuditID
+                        ${whereClause}
+                        GROUP BY ss.SectionName
+                        ORDER BY Value DESC
+                    `;
+                    valueLabel = 'Avg Score (%)';
+                    break;
+                    
+                case 'most_fails':
+                    query = `
+                        SELECT TOP ${limitNum}
+                            ss.SectionName as Name,
+                            ROUND(SUM(CASE WHEN ss.Percentage < 83 THEN 1.0 ELSE 0 END) * 100.0 / COUNT(*), 1) as Value,
+                            COUNT(*) as TimesAudited
+                        FROM AuditSectionScores ss
+                        INNER JOIN AuditInstances ai ON ss.AuditID = ai.AuditID
+                        ${whereClause}
+                        GROUP BY ss.SectionName
+                        ORDER BY Value DESC
+                    `;
+                    valueLabel = 'Fail Rate (%)';
+                    break;
+                    
+                case 'most_repetitive':
+                    query = `
+                        SELECT TOP ${limitNum}
+                            ss.SectionName as Name,
+                            COUNT(CASE WHEN ss.Percentage < 83 THEN 1 END) as Value,
+                            ROUND(AVG(ss.Percentage), 1) as AvgScore
+                        FROM AuditSectionScores ss
+                        INNER JOIN AuditInstances ai ON ss.AuditID = ai.AuditID
+                        ${whereClause}
+                        GROUP BY ss.SectionName
+                        HAVING COUNT(CASE WHEN ss.Percentage < 83 THEN 1 END) > 0
+                        ORDER BY Value DESC
+                    `;
+                    valueLabel = 'Times Failed';
+                    break;
+            }
+        }
+        
+        else if (subject === 'items') {
+            switch (metric) {
+                case 'most_fails':
+                case 'most_repetitive':
+                    query = `
+                        SELECT TOP ${limitNum}
+                            ar.Title as Name,
+                            SUM(CASE WHEN ar.SelectedChoice = 'No' THEN 1 ELSE 0 END) as Value,
+                            ar.ReferenceValue as RefValue,
+                            COUNT(*) as TimesAudited
+                        FROM AuditResponses ar
+                        INNER JOIN AuditInstances ai ON ar.AuditID = ai.AuditID
+                        ${whereClause}
+                        AND ar.SelectedChoice IS NOT NULL
+                        GROUP BY ar.Title, ar.ReferenceValue
+                        HAVING SUM(CASE WHEN ar.SelectedChoice = 'No' THEN 1 ELSE 0 END) > 0
+                        ORDER BY Value DESC
+                    `;
+                    valueLabel = 'Times Failed';
+                    break;
+                    
+                case 'never_pass':
+                    query = `
+                        SELECT TOP ${limitNum}
+                            ar.Title as Name,
+                            COUNT(*) as Value,
+                            ar.ReferenceValue as RefValue
+                        FROM AuditResponses ar
+                        INNER JOIN AuditInstances ai ON ar.AuditID = ai.AuditID
+                        ${whereClause}
+                        AND ar.SelectedChoice IS NOT NULL
+                        GROUP BY ar.Title, ar.ReferenceValue
+                        HAVING SUM(CASE WHEN ar.SelectedChoice = 'Yes' THEN 1 ELSE 0 END) = 0
+                        AND SUM(CASE WHEN ar.SelectedChoice = 'No' THEN 1 ELSE 0 END) > 0
+                        ORDER BY Value DESC
+                    `;
+                    valueLabel = 'Times Audited';
+                    break;
+                    
+                case 'always_pass':
+                    query = `
+                        SELECT TOP ${limitNum}
+                            ar.Title as Name,
+                            COUNT(*) as Value,
+                            ar.ReferenceValue as RefValue
+                        FROM AuditResponses ar
+                        INNER JOIN AuditInstances ai ON ar.AuditID = ai.AuditID
+                        ${whereClause}
+                        AND ar.SelectedChoice IS NOT NULL
+                        GROUP BY ar.Title, ar.ReferenceValue
+                        HAVING SUM(CASE WHEN ar.SelectedChoice = 'No' THEN 1 ELSE 0 END) = 0
+                        AND SUM(CASE WHEN ar.SelectedChoice = 'Yes' THEN 1 ELSE 0 END) > 0
+                        ORDER BY Value DESC
+                    `;
+                    valueLabel = 'Times Passed';
+                    break;
+                    
+                case 'lowest_score':
+                    query = `
+                        SELECT TOP ${limitNum}
+                            ar.Title as Name,
+                            ROUND(
+                                SUM(CASE WHEN ar.SelectedChoice = 'Yes' THEN 1.0 
+                                         WHEN ar.SelectedChoice = 'Partially' THEN 0.5 
+                                         ELSE 0 END) * 100.0 / 
+                                NULLIF(SUM(CASE WHEN ar.SelectedChoice IN ('Yes', 'No', 'Partially') THEN 1 ELSE 0 END), 0)
+                            , 1) as Value,
+                            ar.ReferenceValue as RefValue,
+                            COUNT(*) as TimesAudited
+                        FROM AuditResponses ar
+                        INNER JOIN AuditInstances ai ON ar.AuditID = ai.AuditID
+                        ${whereClause}
+                        AND ar.SelectedChoice IN ('Yes', 'No', 'Partially')
+                        GROUP BY ar.Title, ar.ReferenceValue
+                        ORDER BY Value ASC
+                    `;
+                    valueLabel = 'Pass Rate (%)';
+                    break;
+            }
+        }
+
+        return { query, valueLabel };
+    }
+
+    /**
+     * Run a report view
+     * @param {string} viewKey - Key of VIEWS
+     * @param {Object} filters - { brands, areaManagerIds, cycles, years }
+     * @param {Object} options - { subject, metric, limit } for custom_query
+     * @returns {Promise<Object>} { title, columns: [{ key, label }], rows, summary }
+     */
+    async runView(pool, viewKey, filters = {}, options = {}) {
+        filters = await this.resolveLatestCycle(pool, filters);
+        switch (viewKey) {
+            case 'failing_stores': return this.getFailingStores(pool, filters);
+            case 'open_action_plans': return this.getOpenActionPlansByArea(pool, filters);
+            case 'auditor_productivity': return this.getAuditorProductivity(pool, filters);
+            case 'custom_query': return this.getCustomQueryView(pool, filters, options);
+            default: throw validationError(`Unknown view: ${viewKey}`);
+        }
+    }
+
+    async getFailingStores(pool, filters) {
+        const passingThreshold = await this.getPassingThreshold(pool);
+        const request = pool.request().input('threshold', sql.Float, passingThreshold);
+        const whereClause = this.buildWhereClause(request, filters);
+        const result = await request.query(`
+            SELECT ai.DocumentNumber, ai.StoreName, s.Brand, ai.Year, ai.Cycle, ai.AuditDate, ai.TotalScore, ai.Auditors
+            FROM AuditInstances ai
+            LEFT JOIN Stores s ON ai.StoreID = s.StoreID
+            ${whereClause}
+            AND ai.TotalScore < @threshold
+            ORDER BY ai.TotalScore ASC, ai.AuditDate DESC
+        `);
+
+        return {
+            title: VIEWS.failing_stores.title,
+            columns: [
+                { key: 'storeName', label: 'Store' },
+                { key: 'brand', label: 'Brand' },
+                { key: 'cycle', label: 'Cycle' },
+                { key: 'auditDate', label: 'Audit Date', type: 'date' },
+                { key: 'score', label: 'Score (%)', type: 'number' },
+                { key: 'auditors', label: 'Auditor(s)' },
+                { key: 'documentNumber', label: 'Document' }
+            ],
+            rows: result.recordset.map(r => ({
+                storeName: r.StoreName,
+                brand: r.Brand || '',
+                cycle: r.Year && r.Cycle ? `${r.Year} ${r.Cycle}` : (r.Cycle || ''),
+                auditDate: r.AuditDate,
+                score: r.TotalScore !== null ? Math.round(r.TotalScore * 10) / 10 : null,
+                auditors: r.Auditors || '',
+                documentNumber: r.DocumentNumber
+            })),
+            summary: `${result.recordset.length} audit(s) below the passing grade of ${passingThreshold}%`
+        };
+    }
+
+    async getOpenActionPlansByArea(pool, filters) {
+        const request = pool.request();
+        const whereClause = this.buildWhereClause(request, filters);
+        const result = await request.query(`
+            SELECT 
+                ISNULL(u.display_name, 'Unassigned') AS AreaManager,
+                ai.StoreName,
+                COUNT(*) AS OpenItems,
+                SUM(CASE WHEN apr.Priority = 'High' THEN 1 ELSE 0 END) AS HighPriority,
+                SUM(CASE WHEN apr.Deadline < CAST(GETDATE() AS DATE) THEN 1 ELSE 0 END) AS Overdue,
+                MIN(apr.Deadline) AS NextDeadline
+            FROM ActionPlanResponses apr
+            INNER JOIN AuditInstances ai ON apr.DocumentNumber = ai.DocumentNumber
+            LEFT JOIN UserAreaAssignments ua ON ua.StoreID = ai.StoreID
+            LEFT JOIN Users u ON u.id = ua.UserID
+            ${whereClause}
+            AND NOT ${ActionVerificationService.solvedCondition('apr')}
+            GROUP BY u.display_name, ai.StoreName
+            ORDER BY CASE WHEN u.display_name IS NULL THEN 1 ELSE 0 END, u.display_name, OpenItems DESC
+        `);
+
+        const total = result.recordset.reduce((sum, r) => sum + r.OpenItems, 0);
+        return {
+            title: VIEWS.open_action_plans.title,
+            columns: [
+                { key: 'areaManager', label: 'Area Manager' },
+                { key: 'storeName', label: 'Store' },
+                { key: 'openItems', label: 'Open Items', type: 'number' },
+                { key: 'highPriority', label: 'High Priority', type: 'number' },
+                { key: 'overdue', label: 'Overdue', type: 'number' },
+                { key: 'nextDeadline', label: 'Next Deadline', type: 'date' }
+            ],
+            rows: result.recordset.map(r => ({
+                areaManager: r.AreaManager,
+                storeName: r.StoreName,
+                openItems: r.OpenItems,
+                highPriority: r.HighPriority,
+                overdue: r.Overdue,
+                nextDeadline: r.NextDeadline
+            })),
+            summary: `${total} open action plan item(s) in ${result.recordset.length} store(s)`
+        };
+    }
+
+    async getAuditorProductivity(pool, filters) {
+        const passingThreshold = await this.getPassingThreshold(pool);
+        const request = pool.request().input('threshold', sql.Float, passingThreshold);
+        const whereClause = this.buildWhereClause(request, filters);
+        const result = await request.query(`
+            SELECT 
+                ai.Auditors AS AuditorName,
+                COUNT(*) AS AuditCount,
+                COUNT(DISTINCT ai.StoreID) AS StoreCount,
+                AVG(CAST(ai.TotalScore AS FLOAT)) AS AvgScore,
+                SUM(CASE WHEN ai.TotalScore < @threshold THEN 1 ELSE 0 END) AS FailedAudits,
+                MAX(ai.AuditDate) AS LastAudit
+            FROM AuditInstances ai
+            ${whereClause}
+            GROUP BY ai.Auditors
+            ORDER BY AuditCount DESC
+        `);
+
+        return {
+            title: VIEWS.auditor_productivity.title,
+            columns: [
+                { key: 'auditorName', label: 'Auditor' },
+                { key: 'auditCount', label: 'Audits', type: 'number' },
+                { key: 'storeCount', label: 'Stores', type: 'number' },
+                { key: 'avgScore', label: 'Avg Score (%)', type: 'number' },
+                { key: 'failedAudits', label: 'Failed Audits', type: 'number' },
+                { key: 'lastAudit', label: 'Last Audit', type: 'date' }
+            ],
+            rows: result.recordset.map(r => ({
+                auditorName: r.AuditorName || 'Unknown',
+                auditCount: r.AuditCount,
+                storeCount: r.StoreCount,
+                avgScore: r.AvgScore !== null ? Math.round(r.AvgScore * 10) / 10 : null,
+                failedAudits: r.FailedAudits,
+                lastAudit: r.LastAudit
+            })),
+            summary: `${result.recordset.reduce((sum, r) => sum + r.AuditCount, 0)} audit(s) by ${result.recordset.length} auditor(s)`
+        };
+    }
+
+    async getCustomQueryView(pool, filters, options = {}) {
+        const subject = CUSTOM_QUERY_SUBJECTS[options.subject];
+        if (!subject || !subject.metrics[options.metric]) {
+            throw validationError('Custom query needs a known subject and metric');
+        }
+
+        const { results, valueLabel } = await this.runCustomQuery(pool, { ...filters, ...options });
+        return {
+            title: `${subject.label} - ${subject.metrics[options.metric]}`,
+            columns: [
+                { key: 'rank', label: '#', type: 'number' },
+                { key: 'name', label: subject.label.replace(/s$/, '') },
+                { key: 'value', label: valueLabel, type: 'number' },
+                { key: 'extra', label: 'Details' }
+            ],
+            rows: results.map((r, i) => ({ rank: i + 1, name: r.name, value: r.value, extra: r.extra || '' })),
+            summary: `${results.length} result(s)`
+        };
+    }
+}
+
+module.exports = new AnalyticsQueryService();
+module.exports.VIEWS = VIEWS;
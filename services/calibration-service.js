@@ -0,0 +1,369 @@
+/**
+ * Calibration Service
+ * Inter-rater consistency of auditors from shadow audits (two auditors fill the same
+ * checklist for the same visit, see AuditService.createShadowAudit):
+ * - Agreement per pair, section and item: share of items answered alike and Cohen's kappa
+ * - Bias per auditor and section: the auditor's section score minus the partner's on the
+ *   same visit, t-tested over the auditor's pairs; positive = lenient, negative = severe
+ * - Report for super auditors, also as an Excel workbook
+ * A pair is compared once the primary audit is Completed and the shadow is Calibration.
+ */
+
+const sql = require('mssql');
+const stats = require('./trend-statistics');
+
+const BIAS_POINTS = 5;          // Average section difference from partners that counts as bias
+const MIN_BIAS_PAIRS = 3;       // Pairs an auditor needs before bias is judged
+const SIGNIFICANCE_LEVEL = 0.05;
+const DEFAULT_MONTHS = 12;
+
+// Landis & Koch scale
+const KAPPA_LEVELS = [
+    { min: 0.81, label: 'Almost perfect' },
+    { min: 0.61, label: 'Substantial' },
+    { min: 0.41, label: 'Moderate' },
+    { min: 0.21, label: 'Fair' },
+    { min: 0, label: 'Slight' },
+    { min: -Infinity, label: 'Poor' }
+];
+
+function validationError(message) {
+    const error = new Error(message);
+    error.details = message;
+    return error;
+}
+
+function round(value, digits = 1) {
+    if (value === null || value === undefined || !Number.isFinite(value)) return null;
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+function kappaLabel(kappa) {
+    if (kappa === null || kappa === undefined) return 'n/a';
+    return KAPPA_LEVELS.find(level => kappa >= level.min).label;
+}
+
+/**
+ * Agreement summary of [[choiceA, choiceB], ...]
+ */
+function agreementOf(ratings) {
+    const result = stats.cohensKappa(ratings);
+    if (!result) return { compared: 0, agreed: 0, agreement: null, kappa: null, kappaLabel: 'n/a' };
+    return {
+        compared: result.n,
+        agreed: ratings.filter(([a, b]) => a === b).length,
+        agreement: round(result.agreement * 100),
+        kappa: round(result.kappa, 2),
+        kappaLabel: kappaLabel(result.kappa)
+    };
+}
+
+class CalibrationService {
+    getOptions() {
+        return {
+            biasPoints: BIAS_POINTS,
+            minBiasPairs: MIN_BIAS_PAIRS,
+            significanceLevel: SIGNIFICANCE_LEVEL,
+            kappaLevels: KAPPA_LEVELS.filter(l => Number.isFinite(l.min))
+        };
+    }
+
+    /**
+     * Shadow audits with their primary audit
+     * @param {Object} filters - { schemaId, months, shadowAuditId }
+     */
+    async loadPairs(pool, { schemaId, months, shadowAuditId } = {}) {
+        const request = pool.request();
+        let where = 'WHERE sh.ShadowOfAuditID IS NOT NULL';
+        if (shadowAuditId) {
+            request.input('ShadowAuditID', sql.Int, shadowAuditId);
+            where += ' AND sh.AuditID = @ShadowAuditID';
+        } else {
+            const span = parseInt(months) || DEFAULT_MONTHS;
+            if (span < 1 || span > 120) throw validationError('Months must be between 1 and 120');
+            where += ` AND p.AuditDate >= DATEADD(MONTH, -${span}, GETDATE())`;
+        }
+        if (schemaId) {
+            request.input('SchemaID', sql.Int, parseInt(schemaId));
+            where += ' AND p.SchemaID = @SchemaID';
+        }
+
+        const result = await request.query(`
+            SELECT sh.AuditID AS ShadowAuditID, sh.DocumentNumber AS ShadowDocumentNumber, sh.Auditors AS ShadowAuditors,
+                   sh.Status AS ShadowStatus, sh.TotalScore AS ShadowScore, sh.CreatedBy AS ShadowCreatedBy,
+                   p.AuditID AS PrimaryAuditID, p.DocumentNumber AS PrimaryDocumentNumber, p.Auditors AS PrimaryAuditors,
+                   p.Status AS PrimaryStatus, p.TotalScore AS PrimaryScore,
+                   p.StoreID, p.StoreName, p.SchemaID, sc.SchemaName, p.AuditDate, p.Cycle, p.Year
+            FROM AuditInstances sh
+            INNER JOIN AuditInstances p ON p.AuditID = sh.ShadowOfAuditID
+            INNER JOIN AuditSchemas sc ON sc.SchemaID = p.SchemaID
+            ${where}
+            ORDER BY p.AuditDate DESC, sh.AuditID DESC
+        `);
+        return result.recordset.map(row => ({
+            shadowAuditId: row.ShadowAuditID,
+            shadowDocumentNumber: row.ShadowDocumentNumber,
+            shadowAuditor: row.ShadowAuditors,
+            shadowStatus: row.ShadowStatus,
+            shadowScore: round(row.ShadowScore),
+            primaryAuditId: row.PrimaryAuditID,
+            primaryDocumentNumber: row.PrimaryDocumentNumber,
+            primaryAuditor: row.PrimaryAuditors,
+            primaryStatus: row.PrimaryStatus,
+            primaryScore: round(row.PrimaryScore),
+            storeId: row.StoreID,
+            storeName: row.StoreName,
+            schemaId: row.SchemaID,
+            schemaName: row.SchemaName,
+            auditDate: row.AuditDate,
+            cycle: row.Cycle,
+            year: row.Year,
+            createdBy: row.ShadowCreatedBy,
+            compared: row.PrimaryStatus === 'Completed' && row.ShadowStatus === 'Calibration'
+        }));
+    }
+
+    /**
+     * Answers and section scores of the given audits
+     * @returns {Promise<Object>} { responses: Map(auditId => Map(itemId => row)), sections: Map(auditId => Map(name => %)) }
+     */
+    async loadAnswers(pool, auditIds) {
+        const responses = new Map();
+        const sections = new Map();
+        for (let i = 0; i < auditIds.length; i += 500) {
+            const ids = auditIds.slice(i, i + 500).map(id => parseInt(id)).join(',');
+            const responseResult = await pool.request().query(`
+                SELECT AuditID, ItemID, SectionNumber, SectionName, ReferenceValue, Title, SelectedChoice
+                FROM AuditResponses
+                WHERE AuditID IN (${ids})
+            `);
+            for (const row of responseResult.recordset) {
+                if (!responses.has(row.AuditID)) responses.set(row.AuditID, new Map());
+                responses.get(row.AuditID).set(row.ItemID, row);
+            }
+            const sectionResult = await pool.request().query(`
+                SELECT AuditID, SectionName, Percentage FROM AuditSectionScores
+                WHERE Percentage IS NOT NULL AND AuditID IN (${ids})
+            `);
+            for (const row of sectionResult.recordset) {
+                if (!sections.has(row.AuditID)) sections.set(row.AuditID, new Map());
+                sections.get(row.AuditID).set(row.SectionName, Number(row.Percentage));
+            }
+        }
+        return { responses, sections };
+    }
+
+    /**
+     * Item-by-item comparison of one pair
+     * @returns {Object} { items, sections, ratings } - items only where both auditors answered
+     */
+    comparePair(pair, answers) {
+        const primary = answers.responses.get(pair.primaryAuditId) || new Map();
+        const shadow = answers.responses.get(pair.shadowAuditId) || new Map();
+        const primarySections = answers.sections.get(pair.primaryAuditId) || new Map();
+        const shadowSections = answers.sections.get(pair.shadowAuditId) || new Map();
+
+        const items = [];
+        for (const [itemId, p] of primary) {
+            const s = shadow.get(itemId);
+            if (!s || !p.SelectedChoice || !s.SelectedChoice) continue;
+            items.push({
+                itemId,
+                sectionNumber: p.SectionNumber,
+                sectionName: p.SectionName,
+                referenceValue: p.ReferenceValue,
+                title: p.Title,
+                primaryChoice: p.SelectedChoice,
+                shadowChoice: s.SelectedChoice,
+                agreed: p.SelectedChoice === s.SelectedChoice
+            });
+        }
+        items.sort((a, b) => a.sectionNumber - b.sectionNumber ||
+            String(a.referenceValue).localeCompare(String(b.referenceValue), undefined, { numeric: true }));
+
+        const bySection = new Map();
+        for (const item of items) {
+            if (!bySection.has(item.sectionName)) bySection.set(item.sectionName, []);
+            bySection.get(item.sectionName).push([item.primaryChoice, item.shadowChoice]);
+        }
+        const sections = Array.from(bySection.entries()).map(([sectionName, ratings]) => {
+            const primaryScore = primarySections.has(sectionName) ? primarySections.get(sectionName) : null;
+            const shadowScore = shadowSections.has(sectionName) ? shadowSections.get(sectionName) : null;
+            return {
+                sectionName,
+                ...agreementOf(ratings),
+                primaryScore: round(primaryScore),
+                shadowScore: round(shadowScore),
+                difference: primaryScore !== null && shadowScore !== null ? round(shadowScore - primaryScore) : null
+            };
+        });
+
+        return {
+            items,
+            sections,
+            ...agreementOf(items.map(i => [i.primaryChoice, i.shadowChoice]))
+        };
+    }
+
+    /**
+     * One pair with the item-level comparison
+     */
+    async getPair(pool, shadowAuditId) {
+        const pairs = await this.loadPairs(pool, { shadowAuditId });
+        if (pairs.length === 0) return null;
+        const pair = pairs[0];
+        if (!pair.compared) {
+            return { ...pair, comparison: null };
+        }
+        const answers = await this.loadAnswers(pool, [pair.primaryAuditId, pair.shadowAuditId]);
+        return { ...pair, comparison: this.comparePair(pair, answers) };
+    }
+
+    /**
+     * Calibration report over the compared pairs of the period
+     * @param {Object} filters - { schemaId, months }
+     * @returns {Promise<Object>} { summary, pairs, sections, items, auditors }
+     */
+    async getReport(pool, { schemaId, months } = {}) {
+        const pairs = await this.loadPairs(pool, { schemaId, months });
+        const compared = pairs.filter(p => p.compared);
+        const answers = await this.loadAnswers(pool, compared.flatMap(p => [p.primaryAuditId, p.shadowAuditId]));
+
+        const sectionRatings = new Map();       // section => [[a, b]]
+        const itemStats = new Map();            // itemId => { ..., compared, agreed, choices }
+        const auditorStats = new Map();         // auditor => { ratings, pairs, overall: [], sections: Map(name => []) }
+        const allRatings = [];
+
+        const auditorEntry = name => {
+            if (!auditorStats.has(name)) auditorStats.set(name, { ratings: [], pairs: 0, overall: [], sections: new Map() });
+            return auditorStats.get(name);
+        };
+
+        const pairRows = [];
+        for (const pair of compared) {
+            const comparison = this.comparePair(pair, answers);
+            pairRows.push({
+                ...pair,
+                compared: true,
+                itemsCompared: comparison.compared,
+                agreement: comparison.agreement,
+                kappa: comparison.kappa,
+                kappaLabel: comparison.kappaLabel,
+                scoreDifference: pair.primaryScore !== null && pair.shadowScore !== null ? round(pair.shadowScore - pair.primaryScore) : null
+            });
+
+            for (const item of comparison.items) {
+                const rating = [item.primaryChoice, item.shadowChoice];
+                allRatings.push(rating);
+                if (!sectionRatings.has(item.sectionName)) sectionRatings.set(item.sectionName, []);
+                sectionRatings.get(item.sectionName).push(rating);
+
+                if (!itemStats.has(item.itemId)) {
+                    itemStats.set(item.itemId, {
+                        itemId: item.itemId,
+                        sectionName: item.sectionName,
+                        referenceValue: item.referenceValue,
+                        title: item.title,
+                        compared: 0,
+                        agreed: 0,
+                        disagreements: {}
+                    });
+                }
+                const entry = itemStats.get(item.itemId);
+                entry.compared++;
+                if (item.agreed) {
+                    entry.agreed++;
+                } else {
+                    const key = [item.primaryChoice, item.shadowChoice].sort().join(' / ');
+                    entry.disagreements[key] = (entry.disagreements[key] || 0) + 1;
+                }
+            }
+
+            // Each auditor is compared with the partner of the same visit
+            const sides = [
+                { auditor: pair.primaryAuditor, sign: -1, ratings: comparison.items.map(i => [i.primaryChoice, i.shadowChoice]) },
+                { auditor: pair.shadowAuditor, sign: 1, ratings: comparison.items.map(i => [i.shadowChoice, i.primaryChoice]) }
+            ];
+            for (const side of sides) {
+                if (!side.auditor) continue;
+                const entry = auditorEntry(side.auditor);
+                entry.pairs++;
+                entry.ratings.push(...side.ratings);
+                if (pair.primaryScore !== null && pair.shadowScore !== null) {
+                    entry.overall.push(side.sign * (pair.shadowScore - pair.primaryScore));
+                }
+                for (const section of comparison.sections) {
+                    if (section.difference === null) continue;
+                    if (!entry.sections.has(section.sectionName)) entry.sections.set(section.sectionName, []);
+                    entry.sections.get(section.sectionName).push(side.sign * section.difference);
+                }
+            }
+        }
+
+        const biasOf = differences => {
+            const test = stats.oneSampleTTest(differences);
+            const meanDifference = stats.mean(differences);
+            const flagged = !!test && differences.length >= MIN_BIAS_PAIRS &&
+                Math.abs(test.mean) >= BIAS_POINTS && test.pValue < SIGNIFICANCE_LEVEL;
+            return {
+                pairs: differences.length,
+                meanDifference: round(meanDifference),
+                pValue: test ? round(test.pValue, 4) : null,
+                tendency: flagged ? (test.mean > 0 ? 'Lenient' : 'Severe') : null
+            };
+        };
+
+        const auditors = Array.from(auditorStats.entries()).map(([auditor, entry]) => {
+            const sections = Array.from(entry.sections.entries())
+                .map(([sectionName, differences]) => ({ sectionName, ...biasOf(differences) }))
+                .sort((a, b) => Math.abs(b.meanDifference || 0) - Math.abs(a.meanDifference || 0));
+            return {
+                auditor,
+                pairs: entry.pairs,
+                ...agreementOf(entry.ratings),
+                overall: biasOf(entry.overall),
+                sections,
+                flaggedSections: sections.filter(s => s.tendency).length
+            };
+        }).sort((a, b) => (b.flaggedSections - a.flaggedSections) || ((a.kappa ?? 1) - (b.kappa ?? 1)));
+
+        const sections = Array.from(sectionRatings.entries())
+            .map(([sectionName, ratings]) => ({ sectionName, ...agreementOf(ratings) }))
+            .sort((a, b) => (a.kappa ?? 1) - (b.kappa ?? 1));
+
+        // Items the auditors disagree on most: candidates for clearer criteria or training
+        const items = Array.from(itemStats.values())
+            .filter(i => i.agreed < i.compared)
+            .map(i => ({
+                ...i,
+                agreement: round(i.agreed / i.compared * 100),
+                disagreements: Object.entries(i.disagreements).map(([choices, count]) => ({ choices, count }))
+                    .sort((a, b) => b.count - a.count)
+            }))
+            .sort((a, b) => a.agreement - b.agreement || b.compared - a.compared)
+            .slice(0, 50);
+
+        const overall = agreementOf(allRatings);
+        return {
+            summary: {
+                shadowAudits: pairs.length,
+                comparedPairs: compared.length,
+                pendingPairs: pairs.length - compared.length,
+                itemsCompared: overall.compared,
+                agreement: overall.agreement,
+                kappa: overall.kappa,
+                kappaLabel: overall.kappaLabel,
+                auditors: auditors.length,
+                flaggedAuditors: auditors.filter(a => a.flaggedSections > 0 || a.overall.tendency).length
+            },
+            pairs: [...pairRows, ...pairs.filter(p => !p.compared)],
+            sections,
+            items,
+            auditors
+        };
+    }
+}
+
+module.exports = new CalibrationService();
+module.exports.KAPPA_LEVELS = KAPPA_LEVELS;
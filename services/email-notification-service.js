@@ -1,6 +1,6 @@
 /**
  * Email Notification Service Module
- * Handles sending email notifications via Microsoft Graph API
+ * Handles sending email notifications (delivered by notification-channel-service)
  * 
  * This is a modular, reusable service for email notifications
  */
@@ -8,6 +8,8 @@
 const sql = require('mssql');
 const EmailTemplates = require('./email-templates'); // Legacy static templates (fallback)
 const emailTemplateService = require('./email-template-service'); // Dynamic templates from database
+const notificationOutboxService = require('./notification-outbox-service');
+const languageService = require('./language-service');
 
 /**
  * Get friendly greeting name from full name
@@ -42,96 +44,51 @@ class EmailNotificationService {
     }
 
     /**
-     * Send email via Microsoft Graph API
-     * Uses user's session access token (delegated permission)
+     * Queue the email in the notification outbox and try to deliver it right away
+     * through the channels routed for the notification type. Graph sends from the
+     * user's mailbox when their session token is given (delegated permission),
+     * otherwise (and for every retry) from the system sender
      * @param {Array} to - Array of recipient emails
      * @param {String} subject - Email subject
      * @param {String} htmlBody - HTML email body
      * @param {Array} ccRecipients - CC recipients array (optional)
-     * @param {String} userAccessToken - User's access token from session
-     * @param {Object} senderInfo - Expected sender info {email, name} for logging
+     * @param {String} userAccessToken - User's access token from session (optional)
+     * @param {Object} senderInfo - Expected sender info {email, name} for verification
+     * @param {String} notificationType - Routing key, see notification-channel-service
+     * @param {String} documentNumber - Audit document, shown with held digest / in-app items (optional)
      */
-    async sendEmail(to, subject, htmlBody, ccRecipients = null, userAccessToken = null, senderInfo = null) {
-        try {
-            // Must have user access token
-            if (!userAccessToken) {
-                throw new Error('No access token provided - user must be logged in');
-            }
-            
-            // Use /me endpoint for user's own mailbox (delegated permission)
-            const endpoint = 'https://graph.microsoft.com/v1.0/me/sendMail';
-            
-            // Verify token is valid by checking who owns it
-            let actualSender = 'unknown';
-            try {
-                const meResponse = await fetch('https://graph.microsoft.com/v1.0/me', {
-                    headers: { 'Authorization': `Bearer ${userAccessToken}` }
-                });
-                
-                if (meResponse.ok) {
-                    const meData = await meResponse.json();
-                    actualSender = meData.mail || meData.userPrincipalName;
-                    console.log(`📧 [EMAIL] Sending from: ${actualSender} (${meData.displayName})`);
-                    
-                    // SECURITY: Block email if token belongs to a different user than expected
-                    // This prevents emails being sent from the wrong user's account
-                    if (senderInfo && senderInfo.email && actualSender.toLowerCase() !== senderInfo.email.toLowerCase()) {
-                        console.error(`❌ [EMAIL] SECURITY BLOCK: Token owner (${actualSender}) does NOT match expected sender (${senderInfo.email})`);
-                        console.error(`❌ [EMAIL] This could indicate a session mixup or token caching issue`);
-                        throw new Error(`Cannot send email: Session mismatch. Expected sender ${senderInfo.email} but token belongs to ${actualSender}. Please log out and log back in.`);
-                    }
-                } else {
-                    console.error(`📧 [EMAIL] Token verification failed, status: ${meResponse.status}`);
-                    throw new Error(`Token invalid or expired (status: ${meResponse.status})`);
-                }
-            } catch (verifyError) {
-                console.error(`📧 [EMAIL] Token error:`, verifyError.message);
-                throw new Error(`Cannot send email: ${verifyError.message}`);
-            }
-            
-            const emailPayload = {
-                message: {
-                    subject: subject,
-                    body: {
-                        contentType: 'HTML',
-                        content: htmlBody
-                    },
-                    toRecipients: to.map(email => ({
-                        emailAddress: { address: email }
-                    }))
-                },
-                saveToSentItems: true // Save to sent items
-            };
-            
-            // Add CC recipients if provided
-            if (ccRecipients && ccRecipients.length > 0) {
-                emailPayload.message.ccRecipients = ccRecipients.map(email => ({
-                    emailAddress: { address: email }
-                }));
-                console.log(`📧 [EMAIL] CC recipients: ${ccRecipients.join(', ')}`);
-            }
+    async sendEmail(to, subject, htmlBody, ccRecipients = null, userAccessToken = null, senderInfo = null, notificationType = 'Default', documentNumber = null) {
+        const recipients = Array.isArray(to) ? to : [to];
 
-            // Send email using user's session token
-            const response = await fetch(endpoint, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${userAccessToken}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(emailPayload)
+        if (ccRecipients && ccRecipients.length > 0) {
+            console.log(`📧 [EMAIL] CC recipients: ${ccRecipients.join(', ')}`);
+        }
+
+        try {
+            const result = await notificationOutboxService.send({
+                type: notificationType,
+                to: recipients,
+                cc: ccRecipients || [],
+                subject,
+                html: htmlBody,
+                documentNumber
+            }, {
+                context: { accessToken: userAccessToken, senderInfo }
             });
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Graph API error: ${response.status} - ${errorText}`);
+            if (result.success) {
+                console.log(`✅ [EMAIL] Sent successfully to: ${recipients.join(', ')} (from ${result.sender})`);
+            } else if (result.status === 'Held') {
+                console.log(`🗂️ [EMAIL] Held for digest / in-app per preference: ${recipients.join(', ')}`);
+            } else if (result.queued) {
+                console.warn(`⏳ [EMAIL] Queued for ${recipients.join(', ')} (outbox #${result.outboxId}): ${result.error}`);
+            } else {
+                console.error(`❌ [EMAIL] Failed to send to ${recipients.join(', ')}:`, result.error);
             }
-
-            console.log(`✅ [EMAIL] Sent successfully to: ${to.join(', ')}`);
-            return { success: true };
-            
+            return result;
         } catch (error) {
-            console.error(`❌ [EMAIL] Failed to send to ${to.join(', ')}:`, error.message);
-            return { success: false, error: error.message };
+            console.error(`❌ [EMAIL] Failed to queue email to ${recipients.join(', ')}:`, error.message);
+            return { success: false, queued: false, error: error.message };
         }
     }
 
@@ -228,7 +185,7 @@ class EmailNotificationService {
             const departmentHeadsQuery = `
                 SELECT id, email, display_name, role, assigned_department
                 FROM Users
-                WHERE role IN ('CleaningHead', 'ProcurementHead', 'MaintenanceHead')
+                WHERE role IN (SELECT RoleName FROM Departments WHERE IsActive = 1)
                 AND is_active = 1
                 AND email_notifications_enabled = 1
             `;
@@ -361,6 +318,9 @@ class EmailNotificationService {
         const sentByUserId = sentBy.azureUserId ? 
             await this.getUserIdByAzureId(sentBy.azureUserId, pool) : null;
 
+        // Recipients who chose a language get the translated template, the rest the report's language
+        const languages = await languageService.getLanguagesForEmails(pool, recipients.map(r => r.email)).catch(() => new Map());
+
         // Send email to each recipient
         for (const recipient of recipients) {
             try {
@@ -394,7 +354,8 @@ class EmailNotificationService {
                     auditorName: auditor || 'Food Safety Team'
                 };
                 
-                const dynamicEmail = await emailTemplateService.buildEmail('report_notification', templateData);
+                const language = languages.get(String(recipient.email || '').toLowerCase()) || reportData.language;
+                const dynamicEmail = await emailTemplateService.buildEmail('report_notification', templateData, language);
                 
                 if (dynamicEmail) {
                     // Use dynamic template from database
@@ -423,8 +384,11 @@ class EmailNotificationService {
                     [recipient.email],
                     subject,
                     emailHtml,
-                    null, // No plain text for dynamic templates
-                    sentBy.accessToken // Pass user's token from session
+                    null, // No CC
+                    sentBy.accessToken, // Pass user's token from session
+                    null,
+                    'ReportPublished',
+                    documentNumber
                 );
 
                 // Log notification
@@ -438,15 +402,15 @@ class EmailNotificationService {
                     sentByUserId,
                     sentByEmail: sentBy.email,
                     sentByName: sentBy.name,
-                    status: result.success ? 'Sent' : 'Failed',
+                    status: result.success ? 'Sent' : result.queued ? 'Pending' : 'Failed',
                     errorMessage: result.error || null,
                     emailSubject: subject,
                     emailBody: emailHtml
                 }, pool);
 
-                if (result.success) {
+                if (result.success || result.queued) {
                     successCount++;
-                    results.push({ email: recipient.email, status: 'sent' });
+                    results.push({ email: recipient.email, status: result.success ? 'sent' : result.status === 'Held' ? 'held' : 'queued' });
                 } else {
                     failCount++;
                     results.push({ email: recipient.email, status: 'failed', error: result.error });
@@ -0,0 +1,451 @@
+/**
+ * Email Template Engine
+ * Small Handlebars-style renderer for the templates in EmailTemplates.
+ *
+ *   {{storeName}}  {{audit.store.name}}           value (inserted as-is, like the old flat replace)
+ *   {{escape comment}}  {{formatDate auditDate "long"}}  {{percent score 1}}   helpers
+ *   {{#if score >= passingGrade}} ... {{else}} ... {{/if}}   also ==, !=, >, <, <=, or a single value
+ *   {{#unless customMessage}} ... {{/unless}}
+ *   {{#each sections}} {{name}} {{@index}} {{@first}} {{@last}} {{else}} none {{/each}}
+ *   {{#with store}} {{name}} {{/with}}
+ *   {{#notes}} ... {{/notes}}       Mustache-style section: loops a list, otherwise shown when truthy
+ *   {{> email_header title="Action Plan" color=statusColor}}   partial with extra values
+ *   {{! comment }}
+ *
+ * Names are looked up from the innermost block outwards (../name skips one level)
+ * and, like the old replace, fall back to a case-insensitive match.
+ */
+
+const OPERATORS = ['==', '!=', '>=', '<=', '>', '<'];
+const MAX_PARTIAL_DEPTH = 10;
+const CACHE_SIZE = 200;
+
+class TemplateSyntaxError extends Error {
+    constructor(message, line) {
+        super(line ? `${message} (line ${line})` : message);
+        this.name = 'TemplateSyntaxError';
+        this.line = line;
+    }
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' }[c]));
+}
+
+function toDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function formatDate(value, format = 'short') {
+    const date = toDate(value);
+    if (!date) return value ?? '';
+    switch (format) {
+        case 'long': return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+        case 'medium': return date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+        case 'iso': return date.toISOString().slice(0, 10);
+        case 'time': return date.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+        case 'datetime': return `${date.toLocaleDateString('en-GB')} ${date.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })}`;
+        default: return date.toLocaleDateString('en-GB');
+    }
+}
+
+function formatNumber(value, decimals = 0) {
+    const number = parseFloat(value);
+    if (isNaN(number)) return value ?? '';
+    const digits = parseInt(decimals, 10) || 0;
+    return number.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+function isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return !!value;
+}
+
+function compare(left, operator, right) {
+    const bothNumbers = left !== '' && right !== '' && !isNaN(parseFloat(left)) && !isNaN(parseFloat(right));
+    const a = bothNumbers ? parseFloat(left) : left;
+    const b = bothNumbers ? parseFloat(right) : right;
+    switch (operator) {
+        case '==': return a == b;
+        case '!=': return a != b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        default: return false;
+    }
+}
+
+const DEFAULT_HELPERS = {
+    escape: value => escapeHtml(value),
+    upper: value => String(value ?? '').toUpperCase(),
+    lower: value => String(value ?? '').toLowerCase(),
+    default: (value, fallback = '') => (value === null || value === undefined || value === '' ? fallback : value),
+    formatDate: (value, format) => formatDate(value, format),
+    formatDateTime: value => formatDate(value, 'datetime'),
+    today: (format = 'long') => formatDate(new Date(), format),
+    number: (value, decimals) => formatNumber(value, decimals),
+    percent: (value, decimals) => (value === null || value === undefined || value === '' ? '' : `${formatNumber(value, decimals)}%`),
+    count: list => (Array.isArray(list) ? list.length : 0),
+    join: (list, separator = ', ') => (Array.isArray(list) ? list.join(separator) : list ?? ''),
+    nl2br: value => escapeHtml(value).replace(/\r?\n/g, '<br>')
+};
+
+// Helpers whose arguments may be missing on purpose
+const OPTIONAL_ARGUMENT_HELPERS = ['default', 'count'];
+
+/**
+ * Split tag arguments: "quoted strings", 'quoted', numbers, key=value, paths
+ */
+function tokenize(text, line) {
+    const tokens = [];
+    const pattern = /(\w+)=("[^"]*"|'[^']*'|\S+)|"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[1]) {
+            tokens.push({ hash: match[1], value: parseLiteral(match[2], line) });
+        } else if (match[3] !== undefined || match[4] !== undefined) {
+            tokens.push({ literal: match[3] !== undefined ? match[3] : match[4] });
+        } else {
+            tokens.push(parseLiteral(match[5], line));
+        }
+    }
+    return tokens;
+}
+
+function parseLiteral(text, line) {
+    if (/^"[^"]*"$|^'[^']*'$/.test(text)) return { literal: text.slice(1, -1) };
+    if (/^-?\d+(\.\d+)?$/.test(text)) return { literal: parseFloat(text) };
+    if (text === 'true' || text === 'false') return { literal: text === 'true' };
+    if (text === 'null') return { literal: null };
+    if (OPERATORS.includes(text)) return { operator: text };
+    if (!/^(\.\.\/)*(@?[\w-]+|this)(\.[\w-]+)*$/.test(text)) {
+        throw new TemplateSyntaxError(`Invalid expression "${text}"`, line);
+    }
+    return { path: text };
+}
+
+/**
+ * Parse a template into a tree of text, value, block and partial nodes
+ */
+function parse(template) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    const source = String(template ?? '');
+    const pattern = /\{\{(!--[\s\S]*?--|[\s\S]*?)\}\}/g;
+    let lastIndex = 0;
+    let match;
+
+    const lineAt = index => source.slice(0, index).split('\n').length;
+    const current = () => {
+        const node = stack[stack.length - 1];
+        return node.inElse ? node.inverse : node.children;
+    };
+
+    while ((match = pattern.exec(source)) !== null) {
+        if (match.index > lastIndex) current().push({ type: 'text', text: source.slice(lastIndex, match.index) });
+        lastIndex = pattern.lastIndex;
+
+        const line = lineAt(match.index);
+        const tag = match[1].trim();
+        if (tag.startsWith('!')) continue;
+
+        if (tag.startsWith('#')) {
+            const [name, ...rest] = tag.slice(1).trim().split(/\s+/);
+            if (!['if', 'unless', 'each', 'with'].includes(name)) {
+                // Mustache-style section {{#notes}}...{{/notes}} used by older templates
+                if (rest.length > 0 || !/^[A-Za-z_][\w.]*$/.test(name || '')) {
+                    throw new TemplateSyntaxError(`Unknown block "#${name}"`, line);
+                }
+                const section = { type: 'block', name: 'section', closeName: name, args: [{ path: name }], children: [], inverse: [], line };
+                current().push(section);
+                stack.push(section);
+                continue;
+            }
+            const args = tokenize(rest.join(' '), line);
+            if (args.length === 0) throw new TemplateSyntaxError(`"#${name}" needs a value`, line);
+            if ((name === 'each' || name === 'with') && (args.length !== 1 || !args[0].path)) {
+                throw new TemplateSyntaxError(`"#${name}" takes one name`, line);
+            }
+            if ((name === 'if' || name === 'unless') && !(args.length === 1 || (args.length === 3 && args[1].operator))) {
+                throw new TemplateSyntaxError(`"#${name}" takes a value or a comparison like "score >= 80"`, line);
+            }
+            const block = { type: 'block', name, args, children: [], inverse: [], line };
+            current().push(block);
+            stack.push(block);
+        } else if (tag.startsWith('/')) {
+            const name = tag.slice(1).trim();
+            const open = stack[stack.length - 1];
+            if (open.type !== 'block') throw new TemplateSyntaxError(`"/${name}" without an open block`, line);
+            const openName = open.closeName || open.name;
+            if (openName !== name) throw new TemplateSyntaxError(`"/${name}" closes "#${openName}" opened on line ${open.line}`, line);
+            stack.pop();
+        } else if (tag === 'else') {
+            const open = stack[stack.length - 1];
+            if (open.type !== 'block' || open.inElse) throw new TemplateSyntaxError('"else" outside a block', line);
+            open.inElse = true;
+        } else if (tag.startsWith('>')) {
+            const [name, ...rest] = tag.slice(1).trim().split(/\s+/);
+            if (!name) throw new TemplateSyntaxError('Partial name missing', line);
+            current().push({ type: 'partial', name, args: tokenize(rest.join(' '), line), line });
+        } else {
+            if (!tag) throw new TemplateSyntaxError('Empty tag', line);
+            const args = tokenize(tag, line);
+            if (args.some(a => a.operator)) throw new TemplateSyntaxError(`Comparisons only work in "#if": ${tag}`, line);
+            current().push({ type: 'value', args, line });
+        }
+    }
+
+    if (lastIndex < source.length) current().push({ type: 'text', text: source.slice(lastIndex) });
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw new TemplateSyntaxError(`"#${open.closeName || open.name}" is never closed`, open.line);
+    }
+    return root;
+}
+
+class EmailTemplateEngine {
+    /**
+     * @param {Object} options - { partials: name => template string | null, helpers: { name: fn } }
+     */
+    constructor(options = {}) {
+        this.resolvePartial = options.partials || (() => null);
+        this.helpers = { ...DEFAULT_HELPERS, ...(options.helpers || {}) };
+        this.cache = new Map();
+    }
+
+    compile(template) {
+        const key = String(template ?? '');
+        if (this.cache.has(key)) return this.cache.get(key);
+        const tree = parse(key);
+        if (this.cache.size >= CACHE_SIZE) this.cache.delete(this.cache.keys().next().value);
+        this.cache.set(key, tree);
+        return tree;
+    }
+
+    /**
+     * Render a template
+     * @param {string} template
+     * @param {Object} data
+     * @param {Object} report - optional { missing: Set } collecting names that had no value
+     */
+    render(template, data = {}, report = null) {
+        const tree = this.compile(template);
+        const state = { missing: report ? report.missing : null, depth: 0 };
+        return this.renderNodes(tree.children, [{ value: data, label: '' }], state);
+    }
+
+    /**
+     * Check syntax and list the names a template uses
+     * @returns {Object} - { valid, error, line, variables, partials }
+     */
+    validate(template) {
+        try {
+            const tree = parse(template);
+            const variables = new Set();
+            const partials = new Set();
+            this.collect(tree.children, '', variables, partials);
+            return { valid: true, error: null, variables: [...variables], partials: [...partials] };
+        } catch (error) {
+            if (!(error instanceof TemplateSyntaxError)) throw error;
+            return { valid: false, error: error.message, line: error.line, variables: [], partials: [] };
+        }
+    }
+
+    collect(nodes, prefix, variables, partials) {
+        const add = arg => {
+            if (arg && arg.path && !arg.path.startsWith('@') && arg.path !== 'this' && !arg.path.startsWith('../')) {
+                variables.add(prefix ? `${prefix}.${arg.path}` : arg.path);
+            }
+        };
+        for (const node of nodes) {
+            if (node.type === 'value') {
+                const isHelper = node.args.length > 1 || (node.args[0].path && node.args[0].path === 'today');
+                if (isHelper && !(node.args[0].path && this.helpers[node.args[0].path])) {
+                    throw new TemplateSyntaxError(`Unknown helper "${node.args[0].path || node.args[0].literal}"`, node.line);
+                }
+                (isHelper ? node.args.slice(1) : node.args).forEach(a => add(a.hash ? a.value : a));
+            } else if (node.type === 'block') {
+                node.args.forEach(add);
+                const inner = node.name === 'each' ? `${prefix ? `${prefix}.` : ''}${node.args[0].path}[]`
+                    : node.name === 'with' ? `${prefix ? `${prefix}.` : ''}${node.args[0].path}` : prefix;
+                this.collect(node.children, inner, variables, partials);
+                this.collect(node.inverse, prefix, variables, partials);
+            } else if (node.type === 'partial') {
+                partials.add(node.name);
+                node.args.forEach(a => add(a.hash ? a.value : a));
+            }
+        }
+    }
+
+    renderNodes(nodes, scopes, state) {
+        let output = '';
+        for (const node of nodes) {
+            switch (node.type) {
+                case 'text':
+                    output += node.text;
+                    break;
+                case 'value':
+                    output += this.renderValue(node, scopes, state);
+                    break;
+                case 'block':
+                    output += this.renderBlock(node, scopes, state);
+                    break;
+                case 'partial':
+                    output += this.renderPartial(node, scopes, state);
+                    break;
+            }
+        }
+        return output;
+    }
+
+    renderValue(node, scopes, state) {
+        const [first, ...rest] = node.args;
+        const helper = first.path && (rest.length > 0 || first.path === 'today') ? this.helpers[first.path] : null;
+
+        if (helper) {
+            if (rest.some(a => a.hash)) throw new TemplateSyntaxError(`Helper "${first.path}" does not take name=value arguments`, node.line);
+            const track = OPTIONAL_ARGUMENT_HELPERS.includes(first.path) ? null : state;
+            const result = helper(...rest.map(a => this.evaluate(a, scopes, track)));
+            return result === null || result === undefined ? '' : String(result);
+        }
+        if (rest.length > 0) {
+            throw new TemplateSyntaxError(`Unknown helper "${first.path}"`, node.line);
+        }
+
+        const value = this.evaluate(first, scopes, state);
+        if (value === null || value === undefined) return '';
+        if (Array.isArray(value)) return value.join(', ');
+        if (value instanceof Date) return formatDate(value);
+        return String(value);
+    }
+
+    renderBlock(node, scopes, state) {
+        if (node.name === 'if' || node.name === 'unless') {
+            let result;
+            if (node.args.length === 3) {
+                result = compare(this.evaluate(node.args[0], scopes, null), node.args[1].operator, this.evaluate(node.args[2], scopes, null));
+            } else {
+                result = isTruthy(this.evaluate(node.args[0], scopes, null));
+            }
+            if (node.name === 'unless') result = !result;
+            return this.renderNodes(result ? node.children : node.inverse, scopes, state);
+        }
+
+        // A section is optional like #if: a list loops, an object becomes the scope, any other truthy value shows it
+        const value = this.evaluate(node.args[0], scopes, node.name === 'section' ? null : state);
+        const label = this.label(node.args[0].path, scopes);
+
+        if (node.name === 'section' && !Array.isArray(value)) {
+            if (!isTruthy(value)) return this.renderNodes(node.inverse, scopes, state);
+            if (typeof value !== 'object') return this.renderNodes(node.children, scopes, state);
+        }
+
+        if (node.name === 'with' || (node.name === 'section' && !Array.isArray(value))) {
+            if (!isTruthy(value)) return this.renderNodes(node.inverse, scopes, state);
+            return this.renderNodes(node.children, [...scopes, { value, label }], state);
+        }
+
+        // each: arrays, or the entries of an object
+        const entries = Array.isArray(value) ? value.map((item, i) => [i, item])
+            : value && typeof value === 'object' ? Object.entries(value) : [];
+        if (entries.length === 0) return this.renderNodes(node.inverse, scopes, state);
+
+        return entries.map(([key, item], i) => this.renderNodes(node.children, [...scopes, {
+            value: item,
+            label: `${label}[]`,
+            frame: { index: i, key, first: i === 0, last: i === entries.length - 1 }
+        }], state)).join('');
+    }
+
+    renderPartial(node, scopes, state) {
+        const partial = this.resolvePartial(node.name);
+        if (partial === null || partial === undefined) {
+            if (state.missing) state.missing.add(`> ${node.name}`);
+            return '';
+        }
+        if (state.depth >= MAX_PARTIAL_DEPTH) {
+            throw new TemplateSyntaxError(`Partial "${node.name}" nested more than ${MAX_PARTIAL_DEPTH} levels deep`, node.line);
+        }
+
+        const values = {};
+        for (const arg of node.args) {
+            if (arg.hash) values[arg.hash] = this.evaluate(arg.value, scopes, state);
+        }
+        const tree = this.compile(partial);
+        state.depth++;
+        try {
+            return this.renderNodes(tree.children, [...scopes, { value: values, label: scopes[scopes.length - 1].label }], state);
+        } finally {
+            state.depth--;
+        }
+    }
+
+    /**
+     * Value of a literal or path; records missing names when state collects them
+     */
+    evaluate(arg, scopes, state) {
+        if (!arg) return undefined;
+        if ('literal' in arg) return arg.literal;
+        if (!arg.path) return undefined;
+
+        let path = arg.path;
+        let level = scopes.length - 1;
+        while (path.startsWith('../')) {
+            path = path.slice(3);
+            level = Math.max(0, level - 1);
+        }
+
+        const [head, ...tail] = path.split('.');
+        let value;
+        let found = false;
+
+        if (head.startsWith('@')) {
+            const frame = scopes.slice(0, level + 1).reverse().find(s => s.frame);
+            if (frame && head.slice(1) in frame.frame) {
+                value = frame.frame[head.slice(1)];
+                found = true;
+            }
+        } else if (head === 'this') {
+            value = scopes[level].value;
+            found = true;
+        } else {
+            for (let i = level; i >= 0 && !found; i--) {
+                const scope = scopes[i].value;
+                if (scope === null || typeof scope !== 'object') continue;
+                if (head in scope) {
+                    value = scope[head];
+                    found = true;
+                } else {
+                    const key = Object.keys(scope).find(k => k.toLowerCase() === head.toLowerCase());
+                    if (key) {
+                        value = scope[key];
+                        found = true;
+                    }
+                }
+            }
+        }
+
+        for (const part of tail) {
+            if (value === null || value === undefined) break;
+            value = value[part];
+        }
+
+        if (state && state.missing && (!found || value === undefined)) {
+            const label = scopes[level].label;
+            state.missing.add(label ? `${label}.${path}` : path);
+        }
+        return value;
+    }
+
+    label(path, scopes) {
+        const parent = scopes[scopes.length - 1].label;
+        return parent ? `${parent}.${path}` : path;
+    }
+}
+
+module.exports = EmailTemplateEngine;
+module.exports.TemplateSyntaxError = TemplateSyntaxError;
+module.exports.escapeHtml = escapeHtml;
@@ -2,14 +2,56 @@
  * Email Template Service
  * Manages dynamic email templates from database
  * Admin can edit templates without code changes
+ * - Rendered by EmailTemplateEngine (conditionals, loops, helpers, partials)
+ * - Partials are EmailTemplates rows with template_type = 'Partial'
+ * - Every edit is stored in EmailTemplateVersions for diff and rollback
+ * - Arabic / French copies are rows keyed '<template_key>.<language>' (e.g. report_notification.ar)
  */
 
 const sql = require('mssql');
+const EmailTemplateEngine = require('./email-template-engine');
+const Translator = require('./translator');
+
+const MAX_DIFF_LINES = 2000;
+
+/**
+ * Line diff (longest common subsequence) for the version history
+ * @returns {Array} - [{ type: 'same' | 'added' | 'removed', text }]
+ */
+function diffLines(before, after) {
+    const a = String(before ?? '').split(/\r?\n/).slice(0, MAX_DIFF_LINES);
+    const b = String(after ?? '').split(/\r?\n/).slice(0, MAX_DIFF_LINES);
+
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0, j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            lines.push({ type: 'same', text: a[i] });
+            i++; j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            lines.push({ type: 'removed', text: a[i++] });
+        } else {
+            lines.push({ type: 'added', text: b[j++] });
+        }
+    }
+    while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+    return lines;
+}
 
 class EmailTemplateService {
     constructor() {
         this.cache = new Map();
         this.cacheExpiry = 5 * 60 * 1000; // 5 minutes cache
+        this.partials = null;             // { map: key => html_body, expiry }
+        this.engine = new EmailTemplateEngine({ partials: name => this.resolvePartial(name) });
     }
 
     /**
@@ -26,11 +68,13 @@ class EmailTemplateService {
         // Check cache first
         const cached = this.cache.get(templateKey);
         if (cached && Date.now() < cached.expiry) {
+            await this.loadPartials();
             return cached.template;
         }
 
         try {
             const pool = await sql.connect(this.getDbConfig());
+            await this.loadPartials(pool);
             const result = await pool.request()
                 .input('key', sql.NVarChar(50), templateKey)
                 .query(`
@@ -54,6 +98,105 @@ class EmailTemplateService {
         }
     }
 
+    /**
+     * Translated copy of a template ('report_notification.ar'), falling back to the base template.
+     * Missing copies are cached too, so English-only installs do not query on every send
+     */
+    async getLocalizedTemplate(templateKey, language) {
+        const code = Translator.normalize(language);
+        if (code && code !== Translator.DEFAULT_LANGUAGE) {
+            const localizedKey = `${templateKey}.${code}`;
+            const cached = this.cache.get(localizedKey);
+            if (cached && Date.now() < cached.expiry) {
+                if (cached.template) {
+                    await this.loadPartials();
+                    return cached.template;
+                }
+            } else {
+                const template = await this.getTemplate(localizedKey);
+                if (template) return template;
+                this.cache.set(localizedKey, { template: null, expiry: Date.now() + this.cacheExpiry });
+            }
+        }
+        return this.getTemplate(templateKey);
+    }
+
+    /**
+     * Language of a template key: 'report_notification.fr' => 'fr', base keys => 'en'
+     */
+    getTemplateLanguage(templateKey) {
+        const match = /\.([a-z]{2})$/i.exec(templateKey || '');
+        return (match && Translator.normalize(match[1])) || Translator.DEFAULT_LANGUAGE;
+    }
+
+    /**
+     * Start a translated copy of a template from the base one; the admin then edits its text
+     * @returns {Object} - { success, templateKey } or { success: false, error, details }
+     */
+    async createTranslation(templateKey, language, userId, userName) {
+        const code = Translator.normalize(language);
+        if (!code || code === Translator.DEFAULT_LANGUAGE) {
+            const error = `Unsupported language: ${language}. Use ar or fr`;
+            return { success: false, error, details: error };
+        }
+        if (this.getTemplateLanguage(templateKey) !== Translator.DEFAULT_LANGUAGE) {
+            const error = 'Translations are created from the base (English) template';
+            return { success: false, error, details: error };
+        }
+
+        try {
+            const pool = await sql.connect(this.getDbConfig());
+            const localizedKey = `${templateKey}.${code}`;
+            const base = await pool.request()
+                .input('key', sql.NVarChar(50), templateKey)
+                .query('SELECT * FROM EmailTemplates WHERE template_key = @key');
+            if (base.recordset.length === 0) {
+                return { success: false, error: 'Template not found', details: 'Template not found' };
+            }
+
+            const exists = await pool.request()
+                .input('key', sql.NVarChar(50), localizedKey)
+                .query('SELECT id FROM EmailTemplates WHERE template_key = @key');
+            if (exists.recordset.length > 0) {
+                const error = `A ${code} translation already exists`;
+                return { success: false, error, details: error };
+            }
+
+            const template = base.recordset[0];
+            const languageName = Translator.LANGUAGES.find(l => l.code === code).name;
+            await pool.request()
+                .input('key', sql.NVarChar(50), localizedKey)
+                .input('name', sql.NVarChar(100), `${template.template_name} (${languageName})`.slice(0, 100))
+                .input('description', sql.NVarChar(500), template.description)
+                .input('subject', sql.NVarChar(500), template.subject_template)
+                .input('body', sql.NVarChar(sql.MAX), template.html_body)
+                .input('placeholders', sql.NVarChar(sql.MAX), template.available_placeholders)
+                .input('type', sql.NVarChar(20), template.template_type || 'Email')
+                .input('userId', sql.Int, userId)
+                .input('userName', sql.NVarChar(100), userName)
+                .query(`
+                    INSERT INTO EmailTemplates
+                    (template_key, template_name, description, subject_template, html_body, available_placeholders, template_type, updated_by, updated_by_name)
+                    VALUES (@key, @name, @description, @subject, @body, @placeholders, @type, @userId, @userName)
+                `);
+
+            this.cache.delete(localizedKey);
+            return { success: true, templateKey: localizedKey };
+        } catch (error) {
+            console.error('Error creating template translation:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Values every template can use for its language: {{language}}, {{dir}} and
+     * catalog text such as {{i18n.email.viewReport}}
+     */
+    getLanguageData(language) {
+        const translator = new Translator(language);
+        return { language: translator.language, dir: translator.dir, i18n: translator.getCatalog() };
+    }
+
     /**
      * Get all templates (for admin UI)
      */
@@ -70,84 +213,379 @@ class EmailTemplateService {
         }
     }
 
+    /**
+     * Load the active partials used by {{> key}}, cached like templates
+     */
+    async loadPartials(pool = null) {
+        if (this.partials && Date.now() < this.partials.expiry) return this.partials.map;
+
+        const map = new Map();
+        try {
+            const db = pool || await sql.connect(this.getDbConfig());
+            const result = await db.request().query(`
+                SELECT template_key, html_body FROM EmailTemplates
+                WHERE template_type = 'Partial' AND is_active = 1
+            `);
+            result.recordset.forEach(row => map.set(row.template_key.toLowerCase(), row.html_body));
+        } catch (error) {
+            console.error('Error fetching template partials:', error.message);
+        }
+        this.partials = { map, expiry: Date.now() + this.cacheExpiry };
+        return map;
+    }
+
+    /**
+     * Partial body for the engine: database first, then the built-in default
+     */
+    resolvePartial(name) {
+        const key = String(name).toLowerCase();
+        if (this.partials && this.partials.map.has(key)) return this.partials.map.get(key);
+        const fallback = this.getDefaultTemplates().find(t => t.template_type === 'Partial' && t.template_key === key);
+        return fallback ? fallback.html_body : null;
+    }
+
+    /**
+     * Check the syntax of a subject and body
+     * @returns {Object} - { valid, error, variables, partials }
+     */
+    validateTemplate(subject, body) {
+        const results = [['Subject', subject], ['Body', body]].map(([field, text]) => ({ field, ...this.engine.validate(text || '') }));
+        const invalid = results.find(r => !r.valid);
+        if (invalid) {
+            return { valid: false, error: `${invalid.field}: ${invalid.error}`, variables: [], partials: [] };
+        }
+
+        const unknownPartials = [...new Set(results.flatMap(r => r.partials))].filter(p => this.resolvePartial(p) === null);
+        if (unknownPartials.length > 0) {
+            return { valid: false, error: `Unknown partial: ${unknownPartials.join(', ')}`, variables: [], partials: [] };
+        }
+
+        return {
+            valid: true,
+            error: null,
+            variables: [...new Set(results.flatMap(r => r.variables))],
+            partials: [...new Set(results.flatMap(r => r.partials))]
+        };
+    }
+
     /**
      * Update template (admin only)
+     * The previous content is kept as version 1 the first time, then each save adds a version
      */
-    async updateTemplate(templateKey, updates, userId, userName) {
+    async updateTemplate(templateKey, updates, userId, userName, changeNote = null) {
         try {
             const pool = await sql.connect(this.getDbConfig());
-            await pool.request()
+            await this.loadPartials(pool);
+
+            const validation = this.validateTemplate(updates.subject_template, updates.html_body);
+            if (!validation.valid) {
+                return { success: false, error: validation.error, details: validation.error };
+            }
+
+            const current = await pool.request()
                 .input('key', sql.NVarChar(50), templateKey)
-                .input('name', sql.NVarChar(100), updates.template_name)
-                .input('description', sql.NVarChar(500), updates.description)
-                .input('subject', sql.NVarChar(500), updates.subject_template)
-                .input('body', sql.NVarChar(sql.MAX), updates.html_body)
-                .input('isActive', sql.Bit, updates.is_active !== false ? 1 : 0)
-                .input('userId', sql.Int, userId)
-                .input('userName', sql.NVarChar(100), userName)
-                .query(`
-                    UPDATE EmailTemplates SET
-                        template_name = @name,
-                        description = @description,
-                        subject_template = @subject,
-                        html_body = @body,
-                        is_active = @isActive,
-                        updated_at = GETDATE(),
-                        updated_by = @userId,
-                        updated_by_name = @userName
-                    WHERE template_key = @key
-                `);
+                .query('SELECT * FROM EmailTemplates WHERE template_key = @key');
+            if (current.recordset.length === 0) {
+                return { success: false, error: 'Template not found', details: 'Template not found' };
+            }
+
+            let version;
+            const transaction = new sql.Transaction(pool);
+            await transaction.begin();
+            try {
+                const latest = await new sql.Request(transaction)
+                    .input('key', sql.NVarChar(100), templateKey)
+                    .query('SELECT MAX(VersionNumber) AS Latest FROM EmailTemplateVersions WITH (UPDLOCK, HOLDLOCK) WHERE TemplateKey = @key');
+                version = latest.recordset[0].Latest || 0;
+
+                if (version === 0) {
+                    const original = current.recordset[0];
+                    await this.insertVersion(transaction, templateKey, ++version, original, 'Original version',
+                        original.updated_by || null, original.updated_by_name || null);
+                }
+
+                await new sql.Request(transaction)
+                    .input('key', sql.NVarChar(50), templateKey)
+                    .input('name', sql.NVarChar(100), updates.template_name)
+                    .input('description', sql.NVarChar(500), updates.description)
+                    .input('subject', sql.NVarChar(500), updates.subject_template)
+                    .input('body', sql.NVarChar(sql.MAX), updates.html_body)
+                    .input('isActive', sql.Bit, updates.is_active !== false ? 1 : 0)
+                    .input('userId', sql.Int, userId)
+                    .input('userName', sql.NVarChar(100), userName)
+                    .query(`
+                        UPDATE EmailTemplates SET
+                            template_name = @name,
+                            description = @description,
+                            subject_template = @subject,
+                            html_body = @body,
+                            is_active = @isActive,
+                            updated_at = GETDATE(),
+                            updated_by = @userId,
+                            updated_by_name = @userName
+                        WHERE template_key = @key
+                    `);
+
+                await this.insertVersion(transaction, templateKey, ++version, updates, changeNote, userId, userName);
+                await transaction.commit();
+            } catch (error) {
+                await transaction.rollback();
+                throw error;
+            }
 
             // Clear cache
             this.cache.delete(templateKey);
-            return { success: true };
+            this.partials = null;
+            return { success: true, version };
         } catch (error) {
             console.error('Error updating template:', error.message);
             return { success: false, error: error.message };
         }
     }
 
+    async insertVersion(transaction, templateKey, versionNumber, template, changeNote, userId, userName) {
+        await new sql.Request(transaction)
+            .input('key', sql.NVarChar(100), templateKey)
+            .input('version', sql.Int, versionNumber)
+            .input('name', sql.NVarChar(200), template.template_name)
+            .input('description', sql.NVarChar(500), template.description)
+            .input('subject', sql.NVarChar(500), template.subject_template || '')
+            .input('body', sql.NVarChar(sql.MAX), template.html_body || '')
+            .input('isActive', sql.Bit, template.is_active === false || template.is_active === 0 ? 0 : 1)
+            .input('changeNote', sql.NVarChar(500), changeNote ? String(changeNote).slice(0, 500) : null)
+            .input('userId', sql.Int, userId)
+            .input('userName', sql.NVarChar(200), userName)
+            .query(`
+                INSERT INTO EmailTemplateVersions
+                (TemplateKey, VersionNumber, TemplateName, Description, SubjectTemplate, HtmlBody, IsActive, ChangeNote, CreatedBy, CreatedByName)
+                VALUES (@key, @version, @name, @description, @subject, @body, @isActive, @changeNote, @userId, @userName)
+            `);
+    }
+
+    /**
+     * Stored versions of a template, newest first (bodies left out)
+     */
+    async getVersions(templateKey) {
+        const pool = await sql.connect(this.getDbConfig());
+        const result = await pool.request()
+            .input('key', sql.NVarChar(100), templateKey)
+            .query(`
+                SELECT VersionID, VersionNumber, TemplateName, SubjectTemplate, IsActive, ChangeNote, CreatedAt, CreatedBy, CreatedByName
+                FROM EmailTemplateVersions
+                WHERE TemplateKey = @key
+                ORDER BY VersionNumber DESC
+            `);
+        return result.recordset;
+    }
+
+    async getVersion(templateKey, versionNumber) {
+        const pool = await sql.connect(this.getDbConfig());
+        const result = await pool.request()
+            .input('key', sql.NVarChar(100), templateKey)
+            .input('version', sql.Int, versionNumber)
+            .query('SELECT * FROM EmailTemplateVersions WHERE TemplateKey = @key AND VersionNumber = @version');
+        return result.recordset[0] || null;
+    }
+
+    /**
+     * Line diff of a version against the current template or another version
+     * @param {string|number} against - 'current' or a version number
+     * @returns {Object|null} - { from, to, subject: [...], body: [...], changes }
+     */
+    async diffVersions(templateKey, versionNumber, against = 'current') {
+        const version = await this.getVersion(templateKey, versionNumber);
+        if (!version) return null;
+
+        let target;
+        if (!against || against === 'current') {
+            const pool = await sql.connect(this.getDbConfig());
+            const current = await pool.request()
+                .input('key', sql.NVarChar(50), templateKey)
+                .query('SELECT subject_template, html_body, updated_at, updated_by_name FROM EmailTemplates WHERE template_key = @key');
+            if (current.recordset.length === 0) return null;
+            const row = current.recordset[0];
+            target = { label: 'Current', subject: row.subject_template, body: row.html_body, at: row.updated_at, by: row.updated_by_name };
+        } else {
+            const other = await this.getVersion(templateKey, parseInt(against, 10));
+            if (!other) return null;
+            target = { label: `Version ${other.VersionNumber}`, subject: other.SubjectTemplate, body: other.HtmlBody, at: other.CreatedAt, by: other.CreatedByName };
+        }
+
+        const subject = diffLines(version.SubjectTemplate, target.subject);
+        const body = diffLines(version.HtmlBody, target.body);
+        return {
+            from: { label: `Version ${version.VersionNumber}`, at: version.CreatedAt, by: version.CreatedByName },
+            to: { label: target.label, at: target.at, by: target.by },
+            subject,
+            body,
+            changes: [...subject, ...body].filter(l => l.type !== 'same').length
+        };
+    }
+
+    /**
+     * Restore a version; the rollback itself is saved as a new version
+     */
+    async rollback(templateKey, versionNumber, userId, userName) {
+        const version = await this.getVersion(templateKey, versionNumber);
+        if (!version) return { success: false, error: 'Version not found', details: 'Version not found' };
+
+        return this.updateTemplate(templateKey, {
+            template_name: version.TemplateName,
+            description: version.Description,
+            subject_template: version.SubjectTemplate,
+            html_body: version.HtmlBody,
+            is_active: !!version.IsActive
+        }, userId, userName, `Rolled back to version ${version.VersionNumber}`);
+    }
+
     /**
-     * Replace placeholders in template
-     * @param {string} template - Template string with {{placeholder}} syntax
-     * @param {object} data - Key-value pairs for replacement
+     * Render a template with the engine
+     * @param {string} template - Template string ({{placeholder}}, {{#if}}, {{#each}}, {{> partial}}, helpers)
+     * @param {object} data - Values, lists and objects used by the template
+     * @param {object} report - optional { missing: Set } collecting names without a value
      */
-    replacePlaceholders(template, data) {
+    replacePlaceholders(template, data, report = null) {
         if (!template) return '';
-        
-        let result = template;
-        for (const [key, value] of Object.entries(data)) {
-            const regex = new RegExp(`{{${key}}}`, 'gi');
-            result = result.replace(regex, value ?? '');
+
+        try {
+            return this.engine.render(template, data || {}, report);
+        } catch (error) {
+            // Saved templates are validated; an older broken one still sends with flat replacement
+            console.error('Error rendering email template:', error.message);
+            let result = template;
+            for (const [key, value] of Object.entries(data || {})) {
+                if (value !== null && typeof value === 'object') continue;
+                result = result.split(`{{${key}}}`).join(value ?? '');
+            }
+            return result;
         }
-        return result;
+    }
+
+    /**
+     * Sample values for the test send: the default placeholders plus lists
+     * (sections, findings) so loops render
+     */
+    getSampleData() {
+        const today = new Date().toLocaleDateString('en-GB');
+        return {
+            recipientName: 'John Doe',
+            recipient_name: 'John Doe',
+            storeName: 'Sample Store',
+            documentNumber: 'GMRL-FSACR-0001',
+            auditDate: today,
+            auditType: 'Routine',
+            auditTime: '10:00',
+            auditorName: 'Sample Auditor',
+            checklistName: 'Food Safety Audit',
+            notes: 'Sample notes',
+            score: '85%',
+            scoreColor: '#10b981',
+            statusText: 'PASS',
+            statusEmoji: '&#9989;',
+            statusColor: '#10b981',
+            statusBgColor: '#dcfce7',
+            passingGrade: '83%',
+            totalFindings: 3,
+            completedFindings: 2,
+            completionRate: 67,
+            deadline: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toLocaleDateString('en-GB'),
+            daysRemaining: 3,
+            daysOverdue: 2,
+            escalationLevel: 1,
+            submittedBy: 'Store Manager',
+            submittedAt: new Date().toLocaleString('en-GB'),
+            title: 'Sample Announcement',
+            message: 'This is a sample message.',
+            type_emoji: '&#128226;',
+            broadcast_type: 'Announcement',
+            sender_name: 'Admin',
+            sender_email: 'admin@example.com',
+            senderName: 'Admin',
+            typeEmoji: '&#128226;',
+            type: 'Announcement',
+            customMessage: '',
+            urgentHrNotes: '',
+            sectionScores: '',
+            periodLabel: 'Daily',
+            digestDate: today,
+            itemCount: 2,
+            summary: '1 reports to read, 1 action plans due',
+            digestSections: '<p>Sample digest items</p>',
+            reportUrl: '#',
+            actionPlanUrl: '#',
+            dashboardUrl: '#',
+            preferencesUrl: '#',
+            calendarUrl: '#',
+            sections: [
+                { name: 'Food Storage', score: 92.5, threshold: 83 },
+                { name: 'Personal Hygiene', score: 78, threshold: 83 },
+                { name: 'Cleaning & Sanitation', score: 88, threshold: 83 }
+            ],
+            findings: [
+                { referenceValue: '1.4', title: 'Raw meat stored above ready-to-eat food', priority: 'High', section: 'Food Storage', status: 'Open' },
+                { referenceValue: '2.1', title: 'Hand wash station missing soap', priority: 'Medium', section: 'Personal Hygiene', status: 'Completed' }
+            ]
+        };
+    }
+
+    /**
+     * Render a subject and body with the sample data (plus overrides) and list what did not resolve
+     * @returns {Object} - { subject, html, missing: [...], validation }
+     */
+    async renderWithSampleData(subject, body, overrides = {}, language = null) {
+        await this.loadPartials();
+        const validation = this.validateTemplate(subject, body);
+        if (!validation.valid) return { subject: '', html: '', missing: [], validation };
+
+        const data = { ...this.getSampleData(), ...this.getLanguageData(language), ...(overrides || {}) };
+        const report = { missing: new Set() };
+        return {
+            subject: this.engine.render(subject || '', data, report),
+            html: this.applyDirection(this.engine.render(body || '', data, report), data.dir),
+            missing: [...report.missing],
+            validation
+        };
     }
 
     /**
      * Build email from template
      * @param {string} templateKey - Template identifier
      * @param {object} data - Data for placeholders
-     * @returns {object} { subject, html } or null if template not found
+     * @param {string} language - optional 'ar' / 'fr'; uses the translated copy when one exists
+     * @returns {object} { subject, html, language } or null if template not found
      */
-    async buildEmail(templateKey, data) {
-        const template = await this.getTemplate(templateKey);
+    async buildEmail(templateKey, data, language = null) {
+        const template = await this.getLocalizedTemplate(templateKey, language);
         
         if (!template) {
             console.warn(`Template '${templateKey}' not found, using fallback`);
             return null;
         }
 
+        const templateLanguage = this.getTemplateLanguage(template.template_key);
+        const values = { ...this.getLanguageData(templateLanguage), ...(data || {}) };
         return {
-            subject: this.replacePlaceholders(template.subject_template, data),
-            html: this.replacePlaceholders(template.html_body, data)
+            subject: this.replacePlaceholders(template.subject_template, values),
+            html: this.applyDirection(this.replacePlaceholders(template.html_body, values), values.dir),
+            language: templateLanguage
         };
     }
 
+    /**
+     * Right-to-left bodies: mark the <html> element, or wrap a fragment, so mail clients lay out Arabic
+     */
+    applyDirection(html, dir) {
+        if (dir !== 'rtl' || !html || /<html[^>]*\sdir=/i.test(html)) return html;
+        if (/<html[\s>]/i.test(html)) return html.replace(/<html(?=[\s>])/i, '<html dir="rtl"');
+        return `<div dir="rtl" style="text-align: right;">${html}</div>`;
+    }
+
     /**
      * Clear all cache
      */
     clearCache() {
         this.cache.clear();
+        this.partials = null;
     }
 
     /**
@@ -173,15 +611,17 @@ class EmailTemplateService {
                         .input('subject', sql.NVarChar(500), template.subject_template)
                         .input('body', sql.NVarChar(sql.MAX), template.html_body)
                         .input('placeholders', sql.NVarChar(sql.MAX), JSON.stringify(template.placeholders))
+                        .input('type', sql.NVarChar(20), template.template_type || 'Email')
                         .query(`
                             INSERT INTO EmailTemplates 
-                            (template_key, template_name, description, subject_template, html_body, available_placeholders)
-                            VALUES (@key, @name, @description, @subject, @body, @placeholders)
+                            (template_key, template_name, description, subject_template, html_body, available_placeholders, template_type)
+                            VALUES (@key, @name, @description, @subject, @body, @placeholders, @type)
                         `);
                     console.log(`✅ Inserted template: ${template.template_key}`);
                 }
             }
             
+            this.partials = null;
             return { success: true };
         } catch (error) {
             console.error('Error inserting default templates:', error.message);
@@ -446,6 +886,116 @@ class EmailTemplateService {
         Food Safety Audit System | GMRL Group
     </div>
 </div>`
+            },
+            {
+                template_key: 'notification_digest',
+                template_name: 'Notification Digest',
+                description: 'Daily or weekly summary for users who chose digest delivery in their notification preferences',
+                subject_template: '📬 {{periodLabel}} digest: {{itemCount}} update(s) - {{digestDate}}',
+                placeholders: ['recipientName', 'periodLabel', 'digestDate', 'itemCount', 'summary', 'digestSections', 'dashboardUrl', 'preferencesUrl'],
+                html_body: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    {{> email_header title="📬 Your Notification Digest" subtitle=digestDate}}
+    <div style="padding: 30px; background: #ffffff; border: 1px solid #e2e8f0; border-top: none; border-radius: 0 0 10px 10px;">
+        <p style="font-size: 16px; line-height: 1.6; color: #333;">
+            Hi {{recipientName}},
+        </p>
+
+        <p style="font-size: 16px; line-height: 1.6; color: #333;">
+            Here is what happened since your last digest: {{summary}}.
+        </p>
+
+        {{digestSections}}
+
+        <p style="text-align: center; margin: 30px 0 10px 0;">
+            <a href="{{dashboardUrl}}" style="display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+                Open Dashboard
+            </a>
+        </p>
+
+        <p style="font-size: 12px; color: #6b7280; text-align: center;">
+            You receive this digest because of your <a href="{{preferencesUrl}}" style="color: #667eea;">notification preferences</a>.
+        </p>
+    </div>
+    {{> email_footer}}
+</div>`
+            },
+            {
+                template_key: 'report_subscription',
+                template_name: 'Scheduled Report',
+                description: 'Analytics report delivered by a report subscription, with a preview of the first rows and a link to the PDF / Excel / CSV file',
+                subject_template: '📈 {{subscriptionName}} - {{generatedAt}}',
+                placeholders: ['subscriptionName', 'viewTitle', 'summary', 'filters', 'format', 'frequency', 'generatedAt', 'rowCount', 'previewTable', 'downloadUrl', 'subscriptionsUrl'],
+                html_body: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    {{> email_header title=viewTitle subtitle=filters}}
+    <div style="padding: 30px; background: #ffffff; border: 1px solid #e2e8f0; border-top: none; border-radius: 0 0 10px 10px;">
+        <p style="font-size: 16px; line-height: 1.6; color: #333;">
+            Your {{frequency}} report <strong>{{subscriptionName}}</strong> is ready ({{rowCount}} row(s), generated {{generatedAt}}).
+        </p>
+
+        {{#if summary}}<p style="font-size: 14px; line-height: 1.6; color: #333; background: #f1f5f9; padding: 10px 14px; border-left: 4px solid #667eea;">{{summary}}</p>{{/if}}
+
+        {{previewTable}}
+
+        <p style="text-align: center; margin: 30px 0 10px 0;">
+            <a href="{{downloadUrl}}" style="display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+                Download {{format}}
+            </a>
+        </p>
+
+        <p style="font-size: 12px; color: #6b7280; text-align: center;">
+            You receive this report because of a <a href="{{subscriptionsUrl}}" style="color: #667eea;">report subscription</a>.
+        </p>
+    </div>
+    {{> email_footer}}
+</div>`
+            },
+            {
+                template_key: 'performance_alert',
+                template_name: 'Performance Alert',
+                description: 'New score drops and auditor deviations found by the nightly trend check, scoped to the stores of the recipient',
+                subject_template: '📉 {{alertCount}} new performance alert(s) - {{detectedAt}}',
+                placeholders: ['recipientName', 'alertCount', 'detectedAt', 'alertRows', 'alertsUrl'],
+                html_body: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    {{> email_header title="📉 Performance Alerts" subtitle=detectedAt color="#f97316" colorEnd="#dc2626"}}
+    <div style="padding: 30px; background: #ffffff; border: 1px solid #e2e8f0; border-top: none; border-radius: 0 0 10px 10px;">
+        <p style="font-size: 16px; line-height: 1.6; color: #333;">Dear {{recipientName}},</p>
+        <p style="font-size: 16px; line-height: 1.6; color: #333;">
+            The trend check found <strong>{{alertCount}}</strong> new alert(s): stores scoring well below their rolling average, or auditors scoring differently from their peers.
+        </p>
+
+        {{alertRows}}
+
+        <p style="text-align: center; margin: 30px 0 10px 0;">
+            <a href="{{alertsUrl}}" style="display: inline-block; background: #dc2626; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+                Review Alerts
+            </a>
+        </p>
+    </div>
+    {{> email_footer}}
+</div>`
+            },
+            {
+                template_key: 'email_header',
+                template_type: 'Partial',
+                template_name: 'Shared Header',
+                description: 'Partial: colored banner at the top of an email. Include with {{> email_header title="..." subtitle=... color="#10b981" colorEnd="#059669"}}',
+                subject_template: '',
+                placeholders: ['title', 'subtitle', 'color', 'colorEnd'],
+                html_body: `<div style="background: linear-gradient(135deg, {{default color "#667eea"}}, {{default colorEnd "#764ba2"}}); padding: 20px; border-radius: 10px 10px 0 0; text-align: center;">
+        <h1 style="color: white; margin: 0;">{{title}}</h1>
+        {{#if subtitle}}<p style="color: rgba(255,255,255,0.9); margin: 8px 0 0 0; font-size: 14px;">{{subtitle}}</p>{{/if}}
+    </div>`
+            },
+            {
+                template_key: 'email_footer',
+                template_type: 'Partial',
+                template_name: 'Shared Footer',
+                description: 'Partial: system signature at the bottom of an email. Include with {{> email_footer}}',
+                subject_template: '',
+                placeholders: [],
+                html_body: `<div style="text-align: center; padding: 15px; color: #6b7280; font-size: 12px;">
+        Food Safety Audit System | GMRL Group
+    </div>`
             }
         ];
     }
@@ -18,7 +18,11 @@ class EmailTemplates {
             'ProcurementHead': 'Can view procurement department follow-up reports',
             'MaintenanceHead': 'Can view maintenance department follow-up reports'
         };
-        return descriptions[role] || 'View reports based on your assigned permissions';
+        if (descriptions[role]) return descriptions[role];
+        if (/Head$/.test(role)) {
+            return `Can view ${role.replace(/Head$/, '').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase()} department follow-up reports`;
+        }
+        return 'View reports based on your assigned permissions';
     }
 
     /**
@@ -1,10 +1,18 @@
 /**
  * Escalation Job Service
  * Background job that checks action plan deadlines and sends reminder/escalation emails
+ * Emails go through the notification outbox (retries, no duplicates when the job runs twice),
+ * no logged-in sender is needed
+ * Deadlines, reminders and escalation chains come from the SLA policy matching each
+ * document (see sla-policy-service), the global settings are the fallback policy
+ * Documents whose action plan is submitted or closed (all actions verified) are skipped
  */
 
 const sql = require('mssql');
 const { v4: uuidv4 } = require('uuid');
+const SlaPolicyService = require('./sla-policy-service');
+const notificationOutboxService = require('./notification-outbox-service');
+const emailTemplateService = require('./email-template-service');
 
 class EscalationJobService {
     constructor() {
@@ -19,96 +27,10 @@ class EscalationJobService {
             escalationsSent: 0,
             errors: 0
         };
-        // System sender email for automated notifications - must have an active session
+        // System sender for automated notifications (see notification-channel-service)
         this.systemSenderEmail = process.env.SYSTEM_SENDER_EMAIL || 'spnotification@spinneys-lebanon.com';
     }
 
-    /**
-     * Get the access token for the system sender from their session
-     * Uses token refresh if needed (delegated permissions)
-     */
-    async getSystemSenderToken() {
-        const pool = await this.getDbPool();
-        
-        // Find active session for system sender
-        const result = await pool.request()
-            .input('email', sql.NVarChar, this.systemSenderEmail)
-            .query(`
-                SELECT TOP 1 s.session_token, s.azure_access_token, s.azure_refresh_token, s.expires_at, u.email
-                FROM Sessions s
-                INNER JOIN Users u ON s.user_id = u.id
-                WHERE u.email = @email
-                AND s.expires_at > GETDATE()
-                ORDER BY s.created_at DESC
-            `);
-        
-        if (result.recordset.length === 0) {
-            throw new Error(`No active session found for system sender: ${this.systemSenderEmail}. Please login with this account.`);
-        }
-        
-        const session = result.recordset[0];
-        const tokenExpiry = new Date(session.expires_at);
-        const now = new Date();
-        
-        // Check if access token is still valid (with 5 min buffer)
-        if (tokenExpiry > new Date(now.getTime() + 5 * 60 * 1000) && session.azure_access_token) {
-            console.log(`[EscalationJob] Using existing access token for ${this.systemSenderEmail}`);
-            return session.azure_access_token;
-        }
-        
-        // Token expired or about to expire, need to refresh
-        if (!session.azure_refresh_token) {
-            throw new Error(`No refresh token available for ${this.systemSenderEmail}. Please login again with offline_access scope.`);
-        }
-        
-        console.log(`[EscalationJob] Refreshing access token for ${this.systemSenderEmail}...`);
-        
-        // Refresh the token
-        const tokenEndpoint = `https://login.microsoftonline.com/${process.env.AZURE_TENANT_ID}/oauth2/v2.0/token`;
-        
-        const params = new URLSearchParams({
-            client_id: process.env.AZURE_CLIENT_ID,
-            client_secret: process.env.AZURE_CLIENT_SECRET,
-            refresh_token: session.azure_refresh_token,
-            grant_type: 'refresh_token',
-            scope: 'User.Read User.ReadBasic.All Mail.Send offline_access'
-        });
-
-        const response = await fetch(tokenEndpoint, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-            body: params.toString()
-        });
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Token refresh failed: ${response.status} - ${errorText}`);
-        }
-
-        const tokenData = await response.json();
-        
-        // Update the session with new tokens
-        // IMPORTANT: Extend session expiry by 24 hours (not just access token expiry)
-        // This keeps the session alive as long as the refresh token is valid (90 days)
-        const newExpiry = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
-        await pool.request()
-            .input('sessionToken', sql.NVarChar, session.session_token)
-            .input('accessToken', sql.NVarChar, tokenData.access_token)
-            .input('refreshToken', sql.NVarChar, tokenData.refresh_token || session.azure_refresh_token)
-            .input('expiresAt', sql.DateTime, newExpiry)
-            .query(`
-                UPDATE Sessions 
-                SET azure_access_token = @accessToken,
-                    azure_refresh_token = @refreshToken,
-                    expires_at = @expiresAt,
-                    last_activity = GETDATE()
-                WHERE session_token = @sessionToken
-            `);
-        
-        console.log(`[EscalationJob] Token refreshed successfully for ${this.systemSenderEmail}`);
-        return tokenData.access_token;
-    }
-
     /**
      * Get database connection
      */
@@ -158,6 +80,7 @@ class EscalationJobService {
         const result = await pool.request()
             .input('key', sql.NVarChar, templateKey)
             .query('SELECT subject_template, html_body FROM EmailTemplates WHERE template_key = @key AND is_active = 1');
+        await emailTemplateService.loadPartials(pool);
         
         return result.recordset.length > 0 ? result.recordset[0] : null;
     }
@@ -178,10 +101,16 @@ class EscalationJobService {
                 .input('emailTemplate', sql.NVarChar, details.emailTemplate || null)
                 .input('status', sql.NVarChar, details.status || 'Success')
                 .input('errorMessage', sql.NVarChar, details.errorMessage || null)
+                .input('policyId', sql.Int, details.policyId || null)
+                .input('policyName', sql.NVarChar(200), details.policyName || null)
+                .input('escalationLevel', sql.Int, details.escalationLevel || null)
+                .input('triggerHours', sql.Int, details.triggerHours ?? null)
                 .query(`
                     INSERT INTO EscalationJobLog 
-                    (JobRunID, EventType, DocumentNumber, StoreName, RecipientEmail, RecipientRole, EmailTemplate, Status, ErrorMessage)
-                    VALUES (@jobRunId, @eventType, @documentNumber, @storeName, @recipientEmail, @recipientRole, @emailTemplate, @status, @errorMessage)
+                    (JobRunID, EventType, DocumentNumber, StoreName, RecipientEmail, RecipientRole, EmailTemplate, Status, ErrorMessage,
+                     PolicyID, PolicyName, EscalationLevel, TriggerHours)
+                    VALUES (@jobRunId, @eventType, @documentNumber, @storeName, @recipientEmail, @recipientRole, @emailTemplate, @status, @errorMessage,
+                            @policyId, @policyName, @escalationLevel, @triggerHours)
                 `);
         } catch (error) {
             console.error('[EscalationJob] Error logging activity:', error);
@@ -189,98 +118,187 @@ class EscalationJobService {
     }
 
     /**
-     * Get action plans needing reminders
+     * Get completed audits whose action plan is still awaited (report sent,
+     * not submitted, not closed) with the scope used to pick their SLA policy:
+     * schema, store brand and the most urgent priority / severity among the findings
      */
-    async getActionPlansNeedingReminders(reminderDays) {
+    async getTrackedActionPlans() {
         const pool = await this.getDbPool();
-        
-        // Get audits that have action plans with approaching deadlines
-        // Use DISTINCT and take earliest notification to avoid duplicates
-        const result = await pool.request()
-            .input('reminderDays', sql.Int, reminderDays)
-            .query(`
-                WITH AuditDeadlines AS (
-                    SELECT 
-                        ai.AuditID,
-                        ai.DocumentNumber,
-                        ai.StoreName,
-                        ai.StoreCode,
-                        ai.AuditDate,
-                        DATEADD(DAY, es.DeadlineDays, MIN(n.sent_at)) as Deadline,
-                        DATEDIFF(DAY, GETDATE(), DATEADD(DAY, es.DeadlineDays, MIN(n.sent_at))) as DaysRemaining
-                    FROM AuditInstances ai
-                    INNER JOIN Notifications n ON n.document_number = ai.DocumentNumber 
-                        AND n.notification_type IN ('ReportPublished', 'FullReportGenerated', 'AuditReport')
-                        AND n.status = 'Sent'
-                    CROSS JOIN ActionPlanEscalationSettings es
-                    WHERE ai.Status = 'Completed'
-                    AND NOT EXISTS (
-                        SELECT 1 FROM Notifications n2 
-                        WHERE n2.document_number = ai.DocumentNumber 
-                        AND n2.notification_type = 'ActionPlanSubmitted'
-                        AND n2.status = 'Sent'
-                    )
-                    GROUP BY ai.AuditID, ai.DocumentNumber, ai.StoreName, ai.StoreCode, ai.AuditDate, es.DeadlineDays
+
+        // GROUP BY with MIN(sent_at) avoids duplicates from multiple notification records
+        const result = await pool.request().query(`
+            WITH TrackedAudits AS (
+                SELECT 
+                    ai.AuditID,
+                    ai.DocumentNumber,
+                    ai.StoreName,
+                    ai.StoreCode,
+                    ai.AuditDate,
+                    ai.SchemaID,
+                    ai.Cycle,
+                    ai.Year,
+                    cd.CycleName,
+                    st.Brand,
+                    MIN(n.sent_at) as ReportSentAt
+                FROM AuditInstances ai
+                INNER JOIN Notifications n ON n.document_number = ai.DocumentNumber 
+                    AND n.notification_type IN ('ReportPublished', 'FullReportGenerated', 'AuditReport')
+                    AND n.status = 'Sent'
+                LEFT JOIN Stores st ON st.StoreCode = ai.StoreCode
+                LEFT JOIN AuditSchemas s ON ai.SchemaID = s.SchemaID
+                LEFT JOIN CycleTypes ct ON s.CycleTypeID = ct.CycleTypeID
+                LEFT JOIN CycleDefinitions cd ON ct.CycleTypeID = cd.CycleTypeID AND ai.Cycle = cd.CycleNumber
+                WHERE ai.Status = 'Completed'
+                AND NOT EXISTS (
+                    SELECT 1 FROM Notifications n2 
+                    WHERE n2.document_number = ai.DocumentNumber 
+                    AND n2.notification_type = 'ActionPlanSubmitted'
+                    AND n2.status = 'Sent'
                 )
-                SELECT * FROM AuditDeadlines
-                WHERE DaysRemaining = @reminderDays
                 AND NOT EXISTS (
-                    SELECT 1 FROM EscalationJobLog ejl 
-                    WHERE ejl.DocumentNumber = AuditDeadlines.DocumentNumber 
-                    AND ejl.EventType = 'Reminder'
-                    AND ejl.Status = 'Success'
-                    AND CAST(ejl.CreatedAt AS DATE) = CAST(GETDATE() AS DATE)
+                    SELECT 1 FROM ActionPlanClosures apc 
+                    WHERE apc.DocumentNumber = ai.DocumentNumber
                 )
-            `);
-        
-        return result.recordset;
+                GROUP BY ai.AuditID, ai.DocumentNumber, ai.StoreName, ai.StoreCode, ai.AuditDate, ai.SchemaID,
+                         ai.Cycle, ai.Year, cd.CycleName, st.Brand
+            )
+            SELECT t.*,
+                (SELECT MIN(CASE ISNULL(ar.Priority, 'Medium') WHEN 'High' THEN 1 WHEN 'Low' THEN 3 ELSE 2 END)
+                 FROM AuditResponses ar
+                 WHERE ar.AuditID = t.AuditID AND ar.SelectedChoice IN ('No', 'Partially')) as PriorityRank,
+                (SELECT MIN(CASE ar.Severity WHEN 'Critical' THEN 1 WHEN 'Major' THEN 2 WHEN 'Minor' THEN 3 END)
+                 FROM AuditResponses ar
+                 WHERE ar.AuditID = t.AuditID AND ar.SelectedChoice IN ('No', 'Partially')) as SeverityRank
+            FROM TrackedAudits t
+        `);
+
+        return result.recordset.map(row => ({
+            ...row,
+            TopPriority: SlaPolicyService.PRIORITIES[row.PriorityRank - 1] || null,
+            TopSeverity: SlaPolicyService.SEVERITIES[row.SeverityRank - 1] || null
+        }));
     }
 
     /**
-     * Get overdue action plans for escalation
+     * Successful reminders / escalations already sent, by document number
      */
-    async getOverdueActionPlans(gracePeriodHours) {
+    async getSentEvents(documentNumbers) {
+        const events = new Map();
+        if (documentNumbers.length === 0) return events;
+
         const pool = await this.getDbPool();
-        
-        // Use GROUP BY with MIN(sent_at) to avoid duplicates from multiple notification records
         const result = await pool.request()
-            .input('gracePeriodHours', sql.Int, gracePeriodHours)
+            .input('docs', sql.NVarChar(sql.MAX), documentNumbers.join(','))
             .query(`
-                WITH AuditDeadlines AS (
-                    SELECT 
-                        ai.AuditID,
-                        ai.DocumentNumber,
-                        ai.StoreName,
-                        ai.StoreCode,
-                        ai.AuditDate,
-                        DATEADD(DAY, es.DeadlineDays, MIN(n.sent_at)) as Deadline,
-                        DATEDIFF(DAY, DATEADD(DAY, es.DeadlineDays, MIN(n.sent_at)), GETDATE()) as DaysOverdue
-                    FROM AuditInstances ai
-                    INNER JOIN Notifications n ON n.document_number = ai.DocumentNumber 
-                        AND n.notification_type IN ('ReportPublished', 'FullReportGenerated', 'AuditReport')
-                        AND n.status = 'Sent'
-                    CROSS JOIN ActionPlanEscalationSettings es
-                    WHERE ai.Status = 'Completed'
-                    AND NOT EXISTS (
-                        SELECT 1 FROM Notifications n2 
-                        WHERE n2.document_number = ai.DocumentNumber 
-                        AND n2.notification_type = 'ActionPlanSubmitted'
-                        AND n2.status = 'Sent'
-                    )
-                    GROUP BY ai.AuditID, ai.DocumentNumber, ai.StoreName, ai.StoreCode, ai.AuditDate, es.DeadlineDays
-                )
-                SELECT * FROM AuditDeadlines
-                WHERE DATEADD(HOUR, @gracePeriodHours, Deadline) < GETDATE()
-                AND DaysOverdue > 0
-                AND NOT EXISTS (
-                    SELECT 1 FROM EscalationJobLog ejl 
-                    WHERE ejl.DocumentNumber = AuditDeadlines.DocumentNumber 
-                    AND ejl.EventType = 'Escalation'
-                    AND ejl.Status = 'Success'
-                )
+                SELECT DocumentNumber, EventType, RecipientRole, EscalationLevel, TriggerHours
+                FROM EscalationJobLog
+                WHERE Status = 'Success'
+                AND EventType IN ('Reminder', 'Escalation', 'OverdueNotice')
+                AND DocumentNumber IN (SELECT value FROM STRING_SPLIT(@docs, ','))
             `);
-        
-        return result.recordset;
+
+        for (const row of result.recordset) {
+            if (!events.has(row.DocumentNumber)) events.set(row.DocumentNumber, []);
+            events.get(row.DocumentNumber).push(row);
+        }
+        return events;
+    }
+
+    /**
+     * Whether an escalation level already went out for a document.
+     * Rows logged before SLA policies have no level: they cover the
+     * Store Manager (OverdueNotice) and Area Manager (Escalation) levels.
+     */
+    isLevelSent(events, level) {
+        const legacyEvent = level.recipientRole === 'StoreManager' ? 'OverdueNotice' : 'Escalation';
+        return events.some(e => e.EscalationLevel === level.levelNumber
+            || (e.EscalationLevel === null && e.EventType === legacyEvent && e.RecipientRole === level.recipientRole));
+    }
+
+    /**
+     * Resolve the SLA policy of every tracked action plan and work out what is due:
+     * - reminderDue: reminder point (hours before deadline) not sent yet, or null
+     * - levelsDue: escalation levels past their time and not sent yet
+     */
+    async evaluateActionPlans(settings, now = new Date()) {
+        const pool = await this.getDbPool();
+        const actionPlans = await this.getTrackedActionPlans();
+        const context = await SlaPolicyService.loadContext(pool);
+        const sentEvents = await this.getSentEvents(actionPlans.map(ap => ap.DocumentNumber));
+        const fallback = SlaPolicyService.fallbackPolicy(settings);
+        const maxReminders = settings.MaxReminders || 3;
+
+        return actionPlans.map(ap => {
+            const policy = SlaPolicyService.resolvePolicy(context.policies, {
+                schemaId: ap.SchemaID,
+                brand: ap.Brand,
+                priority: ap.TopPriority,
+                severity: ap.TopSeverity
+            }) || fallback;
+            const calendar = policy.calendarId ? context.calendars.get(policy.calendarId) || null : null;
+            const sla = SlaPolicyService.evaluate(ap.ReportSentAt, policy, calendar, now);
+
+            const events = sentEvents.get(ap.DocumentNumber) || [];
+            const reminders = events.filter(e => e.EventType === 'Reminder');
+            const reminderSent = reminders.some(e => e.TriggerHours === sla.reminder);
+
+            return {
+                ...ap,
+                Deadline: sla.deadline,
+                DaysRemaining: Math.max(1, Math.ceil(sla.hoursRemaining / 24)),
+                DaysOverdue: Math.max(1, Math.ceil(sla.hoursOverdue / 24)),
+                policy,
+                sla,
+                reminderDue: sla.reminder !== null && !reminderSent && reminders.length < maxReminders ? sla.reminder : null,
+                levelsDue: sla.dueLevels.filter(level => !this.isLevelSent(events, level))
+            };
+        });
+    }
+
+    /**
+     * Forecast of every tracked action plan for the job monitor
+     */
+    async getPendingAudits(now = new Date()) {
+        const settings = await this.getSettings();
+        const actionPlans = await this.evaluateActionPlans(settings, now);
+
+        const audits = actionPlans.map(ap => {
+            const { policy, sla } = ap;
+            const firstLevelHours = policy.levels.length > 0 ? Math.min(...policy.levels.map(l => l.hoursAfterDeadline)) : 0;
+            const firstReminderHours = policy.reminderHours.length > 0 ? Math.max(...policy.reminderHours) : 0;
+
+            let status = 'On Track';
+            if (sla.hoursOverdue > 0) {
+                status = sla.hoursOverdue >= firstLevelHours ? 'Overdue' : 'Grace Period';
+            } else if (sla.hoursRemaining <= firstReminderHours) {
+                status = 'Reminder Due';
+            }
+
+            return {
+                AuditID: ap.AuditID,
+                DocumentNumber: ap.DocumentNumber,
+                StoreName: ap.StoreName,
+                StoreCode: ap.StoreCode,
+                AuditDate: ap.AuditDate,
+                Cycle: ap.Cycle,
+                Year: ap.Year,
+                CycleName: ap.CycleName,
+                ReportSentAt: ap.ReportSentAt,
+                Deadline: ap.Deadline,
+                DaysRemaining: sla.hoursOverdue > 0 ? -ap.DaysOverdue : Math.ceil(sla.hoursRemaining / 24),
+                Status: status,
+                Priority: ap.TopPriority,
+                PolicyID: policy.policyId,
+                PolicyName: policy.name,
+                ReminderDue: ap.reminderDue,
+                LevelsDue: ap.levelsDue.map(l => ({ levelNumber: l.levelNumber, recipientRole: l.recipientRole })),
+                NextReminder: sla.nextReminder,
+                NextLevel: sla.nextLevel
+            };
+        });
+
+        audits.sort((a, b) => a.DaysRemaining - b.DaysRemaining);
+        return { settings, audits };
     }
 
     /**
@@ -350,72 +368,108 @@ class EscalationJobService {
     }
 
     /**
-     * Replace placeholders in template
+     * Get the Heads of Operations of the store's brand
      */
-    replacePlaceholders(template, data) {
-        let result = template;
-        for (const [key, value] of Object.entries(data)) {
-            const regex = new RegExp(`{{${key}}}`, 'g');
-            result = result.replace(regex, value || '');
+    async getHeadsOfOperations(storeCode) {
+        const pool = await this.getDbPool();
+        const result = await pool.request()
+            .input('storeCode', sql.NVarChar, storeCode)
+            .query(`
+                SELECT DISTINCT u.id, u.email, u.display_name
+                FROM Users u
+                INNER JOIN UserBrandAssignments uba ON u.id = uba.UserID
+                INNER JOIN Stores s ON s.Brand = uba.Brand
+                WHERE s.StoreCode = @storeCode
+                AND u.role = 'HeadOfOperations'
+                AND u.is_active = 1
+            `);
+        return result.recordset;
+    }
+
+    /**
+     * Get the users behind an escalation role for an action plan
+     * @param {string} role - StoreManager, AreaManager, HeadOfOperations, SuperAuditor or AuditCreator
+     */
+    async getRoleRecipients(role, ap) {
+        switch (role) {
+            case 'StoreManager':
+                return [await this.getStoreManager(ap.StoreCode)].filter(Boolean);
+            case 'AreaManager':
+                return [await this.getAreaManager(ap.StoreCode)].filter(Boolean);
+            case 'HeadOfOperations':
+                return this.getHeadsOfOperations(ap.StoreCode);
+            case 'SuperAuditor':
+                return this.getSuperAuditors();
+            case 'AuditCreator':
+                return [await this.getAuditCreator(ap.DocumentNumber)].filter(Boolean);
+            default:
+                return [];
         }
-        return result;
     }
 
     /**
-     * Send email using Microsoft Graph API with delegated permissions
-     * Uses the system sender's access token from their session
+     * Recipients of an escalation level: one email per user of the level's role,
+     * CC to the users of the level's CC roles
+     * @returns {Promise<{ recipients: Array, ccRecipients: Array<{ email, name, role }> }>}
+     */
+    async getLevelRecipients(ap, level) {
+        const recipients = (await this.getRoleRecipients(level.recipientRole, ap)).filter(u => u.email);
+        const primaryEmails = recipients.map(u => u.email.toLowerCase());
+
+        const ccRecipients = [];
+        for (const role of level.ccRoles || []) {
+            for (const user of await this.getRoleRecipients(role, ap)) {
+                const email = (user.email || '').toLowerCase();
+                if (!email || primaryEmails.includes(email) || ccRecipients.some(cc => cc.email.toLowerCase() === email)) continue;
+                ccRecipients.push({ email: user.email, name: user.display_name, role });
+            }
+        }
+        return { recipients, ccRecipients };
+    }
+
+    /**
+     * Render a template (same engine as EmailTemplateService: conditionals, loops, partials)
+     */
+    replacePlaceholders(template, data) {
+        return emailTemplateService.replacePlaceholders(template, data);
+    }
+
+    /**
+     * Queue the email in the notification outbox and try to deliver it right away
+     * No user session is involved, Graph sends as the system sender. A message the
+     * outbox still retries counts as sent; the idempotency key stops a second run
+     * from queueing the same reminder / level again
      * @param {string} to - Recipient email
      * @param {string} subject - Email subject
      * @param {string} htmlBody - HTML email body
      * @param {Array} ccRecipients - Optional array of CC email addresses
+     * @param {string} notificationType - ActionPlanReminder or ActionPlanEscalation
+     * @param {string} idempotencyKey - Unique per document, trigger and recipient
+     * @param {string} documentNumber - Shown in the outbox
      */
-    async sendEmail(to, subject, htmlBody, ccRecipients = []) {
-        try {
-            const token = await this.getSystemSenderToken();
-            
-            // Use /me/sendMail endpoint with delegated permissions
-            const endpoint = 'https://graph.microsoft.com/v1.0/me/sendMail';
-            
-            const emailPayload = {
-                message: {
-                    subject: subject,
-                    body: {
-                        contentType: 'HTML',
-                        content: htmlBody
-                    },
-                    toRecipients: [{
-                        emailAddress: { address: to }
-                    }]
-                },
-                saveToSentItems: true
-            };
-
-            // Add CC recipients if provided
-            if (ccRecipients && ccRecipients.length > 0) {
-                emailPayload.message.ccRecipients = ccRecipients.map(email => ({
-                    emailAddress: { address: email }
-                }));
-                console.log(`[EscalationJob] CC recipients: ${ccRecipients.join(', ')}`);
-            }
-
-            const response = await fetch(endpoint, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(emailPayload)
-            });
+    async sendEmail(to, subject, htmlBody, ccRecipients = [], notificationType = 'ActionPlanEscalation', idempotencyKey = null, documentNumber = null) {
+        if (ccRecipients && ccRecipients.length > 0) {
+            console.log(`[EscalationJob] CC recipients: ${ccRecipients.join(', ')}`);
+        }
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error(`[EscalationJob] Email failed: ${response.status} - ${errorText}`);
-                return { success: false, error: `${response.status}: ${errorText}` };
+        try {
+            const result = await notificationOutboxService.send({
+                type: notificationType,
+                to: [to],
+                cc: ccRecipients || [],
+                subject,
+                html: htmlBody,
+                documentNumber
+            }, { idempotencyKey, createdBy: 'EscalationJob' });
+
+            if (!result.success && !result.queued) {
+                console.error(`[EscalationJob] Email failed: ${result.error}`);
+                return { success: false, error: result.error };
             }
 
-            console.log(`[EscalationJob] ✅ Email sent to: ${to}${ccRecipients.length ? ` (CC: ${ccRecipients.length})` : ''} (from ${this.systemSenderEmail})`);
-            return { success: true };
-            
+            const outcome = result.success ? 'sent' : result.status === 'Held' ? 'held for digest / in-app' : 'queued';
+            console.log(`[EscalationJob] ✅ Email ${outcome} to: ${to}${ccRecipients.length ? ` (CC: ${ccRecipients.length})` : ''}${result.sender ? ` (from ${result.sender})` : ''}`);
+            return { success: true, queued: !result.success, duplicate: !!result.duplicate, error: result.success ? null : result.error };
         } catch (error) {
             console.error(`[EscalationJob] Email error:`, error.message);
             return { success: false, error: error.message };
@@ -423,9 +477,37 @@ class EscalationJobService {
     }
 
     /**
-     * Process reminders for a specific day count
+     * Policy fields written to EscalationJobLog and returned by the preview
      */
-    async processReminders(jobRunId, reminderDays, settings) {
+    policyDetails(ap, extra = {}) {
+        return {
+            policyId: ap.policy.policyId,
+            policyName: ap.policy.name,
+            ...extra
+        };
+    }
+
+    /**
+     * Template data shared by reminder and escalation emails
+     */
+    buildTemplateData(ap) {
+        return {
+            storeName: ap.StoreName,
+            documentNumber: ap.DocumentNumber,
+            auditDate: ap.AuditDate ? new Date(ap.AuditDate).toLocaleDateString('en-GB') : '',
+            deadline: ap.Deadline ? new Date(ap.Deadline).toLocaleDateString('en-GB') : '',
+            daysRemaining: ap.DaysRemaining,
+            daysOverdue: ap.DaysOverdue,
+            policyName: ap.policy.name,
+            actionPlanUrl: `https://fsaudit.gmrlapps.com/auditor/action-plan?doc=${ap.DocumentNumber}`,
+            dashboardUrl: 'https://fsaudit.gmrlapps.com/dashboard'
+        };
+    }
+
+    /**
+     * Process the reminders that are due (one per document, latest reminder point crossed)
+     */
+    async processReminders(jobRunId, actionPlans, settings) {
         if (!settings.EmailNotificationsEnabled) {
             await this.logActivity(jobRunId, 'ReminderSkipped', { 
                 status: 'Skipped', 
@@ -434,8 +516,7 @@ class EscalationJobService {
             return 0;
         }
 
-        const actionPlans = await this.getActionPlansNeedingReminders(reminderDays);
-        console.log(`[EscalationJob] Found ${actionPlans.length} action plans needing ${reminderDays}-day reminder`);
+        console.log(`[EscalationJob] Found ${actionPlans.length} action plans needing a reminder`);
 
         const template = await this.getEmailTemplate('action_plan_reminder');
         if (!template) {
@@ -448,6 +529,7 @@ class EscalationJobService {
 
         let sentCount = 0;
         for (const ap of actionPlans) {
+            const policyDetails = this.policyDetails(ap, { triggerHours: ap.reminderDue });
             try {
                 const storeManager = await this.getStoreManager(ap.StoreCode);
                 if (!storeManager) {
@@ -455,26 +537,22 @@ class EscalationJobService {
                         documentNumber: ap.DocumentNumber,
                         storeName: ap.StoreName,
                         status: 'Skipped',
-                        errorMessage: 'No Store Manager assigned'
+                        errorMessage: 'No Store Manager assigned',
+                        ...policyDetails
                     });
                     continue;
                 }
 
                 const templateData = {
-                    recipientName: storeManager.display_name || storeManager.email,
-                    storeName: ap.StoreName,
-                    documentNumber: ap.DocumentNumber,
-                    auditDate: ap.AuditDate ? new Date(ap.AuditDate).toLocaleDateString('en-GB') : '',
-                    deadline: ap.Deadline ? new Date(ap.Deadline).toLocaleDateString('en-GB') : '',
-                    daysRemaining: reminderDays,
-                    actionPlanUrl: `https://fsaudit.gmrlapps.com/auditor/action-plan?doc=${ap.DocumentNumber}`,
-                    dashboardUrl: 'https://fsaudit.gmrlapps.com/dashboard'
+                    ...this.buildTemplateData(ap),
+                    recipientName: storeManager.display_name || storeManager.email
                 };
 
                 const subject = this.replacePlaceholders(template.subject_template, templateData);
                 const body = this.replacePlaceholders(template.html_body, templateData);
 
-                const result = await this.sendEmail(storeManager.email, subject, body);
+                const result = await this.sendEmail(storeManager.email, subject, body, [], 'ActionPlanReminder',
+                    `ActionPlanReminder:${ap.DocumentNumber}:${ap.reminderDue}h:${storeManager.email.toLowerCase()}`, ap.DocumentNumber);
 
                 await this.logActivity(jobRunId, 'Reminder', {
                     documentNumber: ap.DocumentNumber,
@@ -483,7 +561,8 @@ class EscalationJobService {
                     recipientRole: 'StoreManager',
                     emailTemplate: 'action_plan_reminder',
                     status: result.success ? 'Success' : 'Error',
-                    errorMessage: result.error || null
+                    errorMessage: result.error || null,
+                    ...policyDetails
                 });
 
                 if (result.success) sentCount++;
@@ -492,7 +571,8 @@ class EscalationJobService {
                     documentNumber: ap.DocumentNumber,
                     storeName: ap.StoreName,
                     status: 'Error',
-                    errorMessage: error.message
+                    errorMessage: error.message,
+                    ...policyDetails
                 });
             }
         }
@@ -501,9 +581,10 @@ class EscalationJobService {
     }
 
     /**
-     * Process escalations for overdue action plans
+     * Process the escalation levels that are due for overdue action plans.
+     * Store Manager levels get the overdue notice, every other role the escalation email.
      */
-    async processEscalations(jobRunId, settings) {
+    async processEscalations(jobRunId, actionPlans, settings) {
         if (!settings.AutoEscalationEnabled) {
             await this.logActivity(jobRunId, 'EscalationSkipped', { 
                 status: 'Skipped', 
@@ -512,110 +593,92 @@ class EscalationJobService {
             return 0;
         }
 
-        const overdueAPs = await this.getOverdueActionPlans(settings.GracePeriodHours);
-        console.log(`[EscalationJob] Found ${overdueAPs.length} overdue action plans for escalation`);
+        console.log(`[EscalationJob] Found ${actionPlans.length} overdue action plans with escalation levels due`);
 
-        const escalationTemplate = await this.getEmailTemplate('action_plan_escalation');
-        const overdueTemplate = await this.getEmailTemplate('action_plan_overdue');
+        const templates = {
+            action_plan_escalation: await this.getEmailTemplate('action_plan_escalation'),
+            action_plan_overdue: await this.getEmailTemplate('action_plan_overdue')
+        };
 
         let sentCount = 0;
-        for (const ap of overdueAPs) {
-            try {
-                const storeManager = await this.getStoreManager(ap.StoreCode);
-                const areaManager = await this.getAreaManager(ap.StoreCode);
-
-                const templateData = {
-                    storeName: ap.StoreName,
-                    documentNumber: ap.DocumentNumber,
-                    auditDate: ap.AuditDate ? new Date(ap.AuditDate).toLocaleDateString('en-GB') : '',
-                    deadline: ap.Deadline ? new Date(ap.Deadline).toLocaleDateString('en-GB') : '',
-                    daysOverdue: ap.DaysOverdue,
-                    storeManagerName: storeManager?.display_name || 'N/A',
-                    storeManagerEmail: storeManager?.email || 'N/A',
-                    actionPlanUrl: `https://fsaudit.gmrlapps.com/auditor/action-plan?doc=${ap.DocumentNumber}`,
-                    dashboardUrl: 'https://fsaudit.gmrlapps.com/dashboard'
-                };
+        for (const ap of actionPlans) {
+            const storeManager = await this.getStoreManager(ap.StoreCode);
+
+            for (const level of ap.levelsDue) {
+                const isOverdueNotice = level.recipientRole === 'StoreManager';
+                const eventType = isOverdueNotice ? 'OverdueNotice' : 'Escalation';
+                const templateKey = isOverdueNotice ? 'action_plan_overdue' : 'action_plan_escalation';
+                const policyDetails = this.policyDetails(ap, {
+                    escalationLevel: level.levelNumber,
+                    triggerHours: level.hoursAfterDeadline
+                });
 
-                // Build CC list for escalation: SuperAuditors + Audit Creator
-                const escalationCcRecipients = [];
-                const superAuditors = await this.getSuperAuditors();
-                for (const sa of superAuditors) {
-                    if (sa.email) {
-                        escalationCcRecipients.push(sa.email);
+                try {
+                    const template = templates[templateKey];
+                    if (!template) {
+                        await this.logActivity(jobRunId, eventType, {
+                            documentNumber: ap.DocumentNumber,
+                            storeName: ap.StoreName,
+                            recipientRole: level.recipientRole,
+                            status: 'Error',
+                            errorMessage: `Template ${templateKey} not found`,
+                            ...policyDetails
+                        });
+                        continue;
                     }
-                }
-                const auditCreator = await this.getAuditCreator(ap.DocumentNumber);
-                if (auditCreator && auditCreator.email && !escalationCcRecipients.includes(auditCreator.email)) {
-                    escalationCcRecipients.push(auditCreator.email);
-                }
 
-                // Send escalation to Area Manager with CC
-                if (areaManager && escalationTemplate) {
-                    templateData.recipientName = areaManager.display_name || areaManager.email;
-                    const subject = this.replacePlaceholders(escalationTemplate.subject_template, templateData);
-                    const body = this.replacePlaceholders(escalationTemplate.html_body, templateData);
-
-                    const result = await this.sendEmail(areaManager.email, subject, body, escalationCcRecipients);
-
-                    await this.logActivity(jobRunId, 'Escalation', {
-                        documentNumber: ap.DocumentNumber,
-                        storeName: ap.StoreName,
-                        recipientEmail: areaManager.email,
-                        recipientRole: 'AreaManager',
-                        emailTemplate: 'action_plan_escalation',
-                        ccRecipients: escalationCcRecipients.join(', '),
-                        status: result.success ? 'Success' : 'Error',
-                        errorMessage: result.error || null
-                    });
-
-                    if (result.success) sentCount++;
-                }
-
-                // Send overdue notice to Store Manager with CC to SuperAuditors and Audit Creator
-                if (storeManager && overdueTemplate) {
-                    templateData.recipientName = storeManager.display_name || storeManager.email;
-                    const subject = this.replacePlaceholders(overdueTemplate.subject_template, templateData);
-                    const body = this.replacePlaceholders(overdueTemplate.html_body, templateData);
-
-                    // Build CC list: SuperAuditors + Audit Creator
-                    const ccRecipients = [];
-                    
-                    // Add all SuperAuditors
-                    const superAuditors = await this.getSuperAuditors();
-                    for (const sa of superAuditors) {
-                        if (sa.email && !ccRecipients.includes(sa.email)) {
-                            ccRecipients.push(sa.email);
-                        }
-                    }
-                    
-                    // Add the auditor who created the audit
-                    const auditCreator = await this.getAuditCreator(ap.DocumentNumber);
-                    if (auditCreator && auditCreator.email && !ccRecipients.includes(auditCreator.email)) {
-                        ccRecipients.push(auditCreator.email);
+                    const { recipients, ccRecipients } = await this.getLevelRecipients(ap, level);
+                    if (recipients.length === 0) {
+                        await this.logActivity(jobRunId, eventType, {
+                            documentNumber: ap.DocumentNumber,
+                            storeName: ap.StoreName,
+                            recipientRole: level.recipientRole,
+                            status: 'Skipped',
+                            errorMessage: `No ${level.recipientRole} assigned`,
+                            ...policyDetails
+                        });
+                        continue;
                     }
 
-                    const result = await this.sendEmail(storeManager.email, subject, body, ccRecipients);
-
-                    await this.logActivity(jobRunId, 'OverdueNotice', {
+                    const ccEmails = ccRecipients.map(cc => cc.email);
+                    for (const recipient of recipients) {
+                        const templateData = {
+                            ...this.buildTemplateData(ap),
+                            escalationLevel: level.levelNumber,
+                            storeManagerName: storeManager?.display_name || 'N/A',
+                            storeManagerEmail: storeManager?.email || 'N/A',
+                            recipientName: recipient.display_name || recipient.email
+                        };
+                        const subject = this.replacePlaceholders(template.subject_template, templateData);
+                        const body = this.replacePlaceholders(template.html_body, templateData);
+
+                        const result = await this.sendEmail(recipient.email, subject, body, ccEmails, 'ActionPlanEscalation',
+                            `${eventType}:${ap.DocumentNumber}:L${level.levelNumber}:${recipient.email.toLowerCase()}`, ap.DocumentNumber);
+
+                        await this.logActivity(jobRunId, eventType, {
+                            documentNumber: ap.DocumentNumber,
+                            storeName: ap.StoreName,
+                            recipientEmail: recipient.email,
+                            recipientRole: level.recipientRole,
+                            emailTemplate: templateKey,
+                            status: result.success ? 'Success' : 'Error',
+                            errorMessage: result.success ? (ccEmails.length > 0 ? `CC: ${ccEmails.join(', ')}` : null) : result.error,
+                            ...policyDetails
+                        });
+
+                        if (result.success) sentCount++;
+                    }
+                } catch (error) {
+                    await this.logActivity(jobRunId, eventType, {
                         documentNumber: ap.DocumentNumber,
                         storeName: ap.StoreName,
-                        recipientEmail: storeManager.email,
-                        recipientRole: 'StoreManager',
-                        emailTemplate: 'action_plan_overdue',
-                        status: result.success ? 'Success' : 'Error',
-                        errorMessage: result.success ? `CC: ${ccRecipients.join(', ')}` : result.error
+                        recipientRole: level.recipientRole,
+                        status: 'Error',
+                        errorMessage: error.message,
+                        ...policyDetails
                     });
-
-                    if (result.success) sentCount++;
+                    this.jobStats.errors++;
                 }
-            } catch (error) {
-                await this.logActivity(jobRunId, 'Escalation', {
-                    documentNumber: ap.DocumentNumber,
-                    storeName: ap.StoreName,
-                    status: 'Error',
-                    errorMessage: error.message
-                });
-                this.jobStats.errors++;
             }
         }
 
@@ -624,7 +687,8 @@ class EscalationJobService {
 
     /**
      * Preview what the job would do without sending any emails
-     * Returns a list of all actions that would be taken
+     * Returns a list of all actions that would be taken, with the SLA policy
+     * and escalation level behind each of them
      */
     async preview() {
         console.log('[EscalationJob] Running preview (dry run)...');
@@ -644,11 +708,7 @@ class EscalationJobService {
             const settings = await this.getSettings();
             results.settings = settings;
 
-            // Parse reminder days
-            const reminderDaysArray = (settings.ReminderDaysBefore || '3,1')
-                .split(',')
-                .map(d => parseInt(d.trim()))
-                .filter(d => !isNaN(d));
+            const actionPlans = await this.evaluateActionPlans(settings);
 
             // Get email templates
             const reminderTemplate = await this.getEmailTemplate('action_plan_reminder');
@@ -656,24 +716,12 @@ class EscalationJobService {
             const overdueTemplate = await this.getEmailTemplate('action_plan_overdue');
 
             // Preview reminders
-            for (const reminderDays of reminderDaysArray) {
-                if (!settings.EmailNotificationsEnabled) continue;
-
-                const actionPlans = await this.getActionPlansNeedingReminders(reminderDays);
-                
-                for (const ap of actionPlans) {
+            if (settings.EmailNotificationsEnabled) {
+                for (const ap of actionPlans.filter(a => a.reminderDue !== null)) {
                     const storeManager = await this.getStoreManager(ap.StoreCode);
-                    
-                    // Build template data
                     const templateData = {
-                        storeName: ap.StoreName,
-                        documentNumber: ap.DocumentNumber,
-                        auditDate: ap.AuditDate ? new Date(ap.AuditDate).toLocaleDateString('en-GB') : '',
-                        deadline: ap.Deadline ? new Date(ap.Deadline).toLocaleDateString('en-GB') : '',
-                        daysRemaining: reminderDays,
-                        recipientName: storeManager?.display_name || storeManager?.email || 'Store Manager',
-                        actionPlanUrl: `https://fsaudit.gmrlapps.com/auditor/action-plan?doc=${ap.DocumentNumber}`,
-                        dashboardUrl: 'https://fsaudit.gmrlapps.com/dashboard'
+                        ...this.buildTemplateData(ap),
+                        recipientName: storeManager?.display_name || storeManager?.email || 'Store Manager'
                     };
 
                     // Render email content
@@ -686,10 +734,13 @@ class EscalationJobService {
                     }
 
                     results.reminders.push({
-                        daysRemaining: reminderDays,
+                        daysRemaining: ap.DaysRemaining,
+                        reminderHours: ap.reminderDue,
+                        policy: { policyId: ap.policy.policyId, name: ap.policy.name },
                         documentNumber: ap.DocumentNumber,
                         storeName: ap.StoreName,
                         storeCode: ap.StoreCode,
+                        priority: ap.TopPriority,
                         deadline: ap.Deadline,
                         recipient: storeManager ? {
                             email: storeManager.email,
@@ -704,104 +755,69 @@ class EscalationJobService {
                 }
             }
 
-            // Preview escalations
+            // Preview escalation levels
             if (settings.AutoEscalationEnabled) {
-                const overdueAPs = await this.getOverdueActionPlans(settings.GracePeriodHours);
-                const superAuditors = await this.getSuperAuditors();
-
-                for (const ap of overdueAPs) {
+                for (const ap of actionPlans.filter(a => a.levelsDue.length > 0)) {
                     const storeManager = await this.getStoreManager(ap.StoreCode);
-                    const areaManager = await this.getAreaManager(ap.StoreCode);
-                    const auditCreator = await this.getAuditCreator(ap.DocumentNumber);
 
-                    // Build template data
-                    const templateData = {
-                        storeName: ap.StoreName,
-                        documentNumber: ap.DocumentNumber,
-                        auditDate: ap.AuditDate ? new Date(ap.AuditDate).toLocaleDateString('en-GB') : '',
-                        deadline: ap.Deadline ? new Date(ap.Deadline).toLocaleDateString('en-GB') : '',
-                        daysOverdue: ap.DaysOverdue,
-                        storeManagerName: storeManager?.display_name || 'N/A',
-                        storeManagerEmail: storeManager?.email || 'N/A',
-                        actionPlanUrl: `https://fsaudit.gmrlapps.com/auditor/action-plan?doc=${ap.DocumentNumber}`,
-                        dashboardUrl: 'https://fsaudit.gmrlapps.com/dashboard'
-                    };
-
-                    // Build CC list for escalation preview
-                    const escalationCcRecipients = [];
-                    for (const sa of superAuditors) {
-                        if (sa.email) escalationCcRecipients.push({ email: sa.email, name: sa.display_name, role: 'SuperAuditor' });
-                    }
-                    if (auditCreator && auditCreator.email) {
-                        escalationCcRecipients.push({ email: auditCreator.email, name: auditCreator.display_name, role: 'AuditCreator' });
-                    }
-
-                    // Render escalation email
-                    let escalationEmailPreview = null;
-                    if (escalationTemplate && areaManager) {
-                        const escData = { ...templateData, recipientName: areaManager.display_name || areaManager.email };
-                        escalationEmailPreview = {
-                            subject: this.replacePlaceholders(escalationTemplate.subject_template, escData),
-                            body: this.replacePlaceholders(escalationTemplate.html_body, escData)
+                    for (const level of ap.levelsDue) {
+                        const isOverdueNotice = level.recipientRole === 'StoreManager';
+                        const template = isOverdueNotice ? overdueTemplate : escalationTemplate;
+                        const { recipients, ccRecipients } = await this.getLevelRecipients(ap, level);
+
+                        const entry = {
+                            documentNumber: ap.DocumentNumber,
+                            storeName: ap.StoreName,
+                            storeCode: ap.StoreCode,
+                            priority: ap.TopPriority,
+                            deadline: ap.Deadline,
+                            daysOverdue: ap.DaysOverdue,
+                            policy: { policyId: ap.policy.policyId, name: ap.policy.name },
+                            level: {
+                                levelNumber: level.levelNumber,
+                                hoursAfterDeadline: level.hoursAfterDeadline,
+                                recipientRole: level.recipientRole
+                            },
+                            ccRecipients: ccRecipients
                         };
-                    }
+                        const target = isOverdueNotice ? results.overdueNotices : results.escalations;
 
-                    // Escalation to Area Manager
-                    results.escalations.push({
-                        documentNumber: ap.DocumentNumber,
-                        storeName: ap.StoreName,
-                        storeCode: ap.StoreCode,
-                        deadline: ap.Deadline,
-                        daysOverdue: ap.DaysOverdue,
-                        recipient: areaManager ? {
-                            email: areaManager.email,
-                            name: areaManager.display_name,
-                            role: 'AreaManager'
-                        } : null,
-                        ccRecipients: escalationCcRecipients,
-                        emailPreview: escalationEmailPreview,
-                        status: areaManager ? 'Would Send' : 'No Area Manager'
-                    });
-                    
-                    if (areaManager) results.summary.totalEscalations++;
-
-                    // Build CC list for overdue notice
-                    const ccRecipients = [];
-                    for (const sa of superAuditors) {
-                        if (sa.email) ccRecipients.push({ email: sa.email, name: sa.display_name, role: 'SuperAuditor' });
-                    }
-                    if (auditCreator && auditCreator.email) {
-                        ccRecipients.push({ email: auditCreator.email, name: auditCreator.display_name, role: 'AuditCreator' });
-                    }
+                        if (recipients.length === 0) {
+                            target.push({ ...entry, recipient: null, emailPreview: null, status: `No ${level.recipientRole}` });
+                            continue;
+                        }
 
-                    // Render overdue email
-                    let overdueEmailPreview = null;
-                    if (overdueTemplate && storeManager) {
-                        const odData = { ...templateData, recipientName: storeManager.display_name || storeManager.email };
-                        overdueEmailPreview = {
-                            subject: this.replacePlaceholders(overdueTemplate.subject_template, odData),
-                            body: this.replacePlaceholders(overdueTemplate.html_body, odData)
-                        };
+                        for (const recipient of recipients) {
+                            let emailPreview = null;
+                            if (template) {
+                                const data = {
+                                    ...this.buildTemplateData(ap),
+                                    escalationLevel: level.levelNumber,
+                                    storeManagerName: storeManager?.display_name || 'N/A',
+                                    storeManagerEmail: storeManager?.email || 'N/A',
+                                    recipientName: recipient.display_name || recipient.email
+                                };
+                                emailPreview = {
+                                    subject: this.replacePlaceholders(template.subject_template, data),
+                                    body: this.replacePlaceholders(template.html_body, data)
+                                };
+                            }
+
+                            target.push({
+                                ...entry,
+                                recipient: {
+                                    email: recipient.email,
+                                    name: recipient.display_name,
+                                    role: level.recipientRole
+                                },
+                                emailPreview: emailPreview,
+                                status: 'Would Send'
+                            });
+
+                            if (isOverdueNotice) results.summary.totalOverdueNotices++;
+                            else results.summary.totalEscalations++;
+                        }
                     }
-
-                    // Overdue notice to Store Manager
-                    results.overdueNotices.push({
-                        documentNumber: ap.DocumentNumber,
-                        storeName: ap.StoreName,
-                        storeCode: ap.StoreCode,
-                        deadline: ap.Deadline,
-                        daysOverdue: ap.DaysOverdue,
-                        recipient: storeManager ? {
-                            email: storeManager.email,
-                            name: storeManager.display_name,
-                            role: 'StoreManager'
-                        } : null,
-                        ccRecipients: ccRecipients,
-                        emailPreview: overdueEmailPreview,
-                        status: storeManager ? 'Would Send' : 'No Store Manager'
-                    });
-                    
-                    if (storeManager) results.summary.totalOverdueNotices++;
                 }
             }
 
@@ -836,21 +852,14 @@ class EscalationJobService {
                 errorMessage: isManualTrigger ? 'Manual trigger' : 'Scheduled run'
             });
 
-            // Parse reminder days
-            const reminderDaysArray = (settings.ReminderDaysBefore || '3,1')
-                .split(',')
-                .map(d => parseInt(d.trim()))
-                .filter(d => !isNaN(d));
-
-            // Process reminders for each configured day
-            let totalReminders = 0;
-            for (const days of reminderDaysArray) {
-                const sent = await this.processReminders(jobRunId, days, settings);
-                totalReminders += sent;
-            }
+            // Resolve each action plan's SLA policy, then send what is due
+            const actionPlans = await this.evaluateActionPlans(settings);
+
+            const totalReminders = await this.processReminders(
+                jobRunId, actionPlans.filter(ap => ap.reminderDue !== null), settings);
 
-            // Process escalations
-            const escalationsSent = await this.processEscalations(jobRunId, settings);
+            const escalationsSent = await this.processEscalations(
+                jobRunId, actionPlans.filter(ap => ap.levelsDue.length > 0), settings);
 
             this.jobStats.totalRuns++;
             this.jobStats.remindersSent += totalReminders;
@@ -946,7 +955,8 @@ class EscalationJobService {
             .query(`
                 SELECT TOP (@limit) 
                     LogID, JobRunID, EventType, DocumentNumber, StoreName,
-                    RecipientEmail, RecipientRole, EmailTemplate, Status, ErrorMessage, CreatedAt
+                    RecipientEmail, RecipientRole, EmailTemplate, Status, ErrorMessage,
+                    PolicyID, PolicyName, EscalationLevel, TriggerHours, CreatedAt
                 FROM EscalationJobLog
                 ORDER BY CreatedAt DESC
             `);
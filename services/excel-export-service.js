@@ -0,0 +1,517 @@
+/**
+ * Excel Export Service
+ * Native .xlsx exports (typed columns, frozen header, filter buttons) for:
+ * - a single audit: summary, one sheet per section, findings, fridge readings
+ * - an action plan with its status and verification
+ * - the audit list as filtered on the Audit List page
+ * - the analytics dashboard, its custom queries and the analytics views
+ * - the auditor calibration report (shadow audit agreement and bias)
+ */
+
+const sql = require('mssql');
+const XlsxWorkbook = require('./xlsx-workbook');
+const DataService = require('../audit-app/report-generator/services/data-service');
+
+const CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Default widths per column type
+const TYPE_WIDTHS = {
+    text: 30,
+    number: 12,
+    decimal: 12,
+    percent: 12,
+    date: 14,
+    datetime: 18,
+    boolean: 10
+};
+
+/**
+ * Cell value for a column type: numbers stay numbers, dates become Date objects
+ */
+function toCell(value, type) {
+    if (value === null || value === undefined || value === '') return null;
+    switch (type) {
+        case 'number':
+        case 'decimal':
+        case 'percent': {
+            const number = typeof value === 'number' ? value : parseFloat(value);
+            return Number.isFinite(number) ? number : String(value);
+        }
+        case 'date':
+        case 'datetime': {
+            const date = value instanceof Date ? value : new Date(value);
+            return isNaN(date) ? String(value) : date;
+        }
+        case 'boolean':
+            return value === true || value === 1 || value === '1' || value === 'true' ? 'Yes' : 'No';
+        default:
+            return value instanceof Date ? value : String(value);
+    }
+}
+
+function fileStamp(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+function safeFileName(name) {
+    return String(name || 'export').replace(/[^\w\- .]+/g, '').trim().replace(/\s+/g, '_') || 'export';
+}
+
+class ExcelExportService {
+    get contentType() {
+        return CONTENT_TYPE;
+    }
+
+    /**
+     * Sheet from objects
+     * @param {string} name - Sheet name (Excel keeps 31 characters)
+     * @param {Array<Object>} columns - [{ key, label, type: 'text'|'number'|'decimal'|'percent'|'date'|'datetime'|'boolean', width, value: row => any }]
+     * @param {Array<Object>} rows
+     */
+    sheet(name, columns, rows) {
+        return {
+            name,
+            autoFilter: true,
+            columns: columns.map(c => ({ type: c.type, width: c.width || TYPE_WIDTHS[c.type] || TYPE_WIDTHS.text })),
+            rows: [
+                columns.map(c => c.label),
+                ...(rows || []).map(row => columns.map(c => toCell(c.value ? c.value(row) : row[c.key], c.type)))
+            ]
+        };
+    }
+
+    /**
+     * Two-column sheet of labels and values (audit header, dashboard summary)
+     * @param {Array<Array>} pairs - [[label, value], ...]
+     */
+    keyValueSheet(name, pairs) {
+        return {
+            name,
+            columns: [{ width: 28 }, { width: 50 }],
+            rows: [['Field', 'Value'], ...pairs.map(([label, value]) => [label, value instanceof Date ? value : (value ?? null)])]
+        };
+    }
+
+    /**
+     * @param {Array<Object>} sheets - From sheet() / keyValueSheet(); empty sheets are kept
+     * @returns {Buffer}
+     */
+    write(sheets) {
+        return XlsxWorkbook.write(sheets);
+    }
+
+    /**
+     * Send a workbook as a download
+     */
+    send(res, buffer, baseName) {
+        res.setHeader('Content-Type', CONTENT_TYPE);
+        res.setHeader('Content-Disposition', `attachment; filename="${safeFileName(baseName)}_${fileStamp()}.xlsx"`);
+        res.send(buffer);
+    }
+
+    /**
+     * Workbook of a table with typed columns (custom query, analytics views)
+     * @param {Object} view - { title, columns: [{ key, label, type }], rows }
+     */
+    buildTableWorkbook(view) {
+        return this.write([this.sheet(view.title || 'Results', view.columns, view.rows)]);
+    }
+
+    /**
+     * Saved dashboard: one sheet per widget, in dashboard order (failed widgets are left out)
+     * @param {Object} result - From analyticsDashboardService.run()
+     */
+    buildDashboardWorkbook(result) {
+        const widgets = result.widgets.filter(w => w.view);
+        return this.write([
+            this.keyValueSheet('Dashboard', [
+                ['Dashboard', result.dashboard.name],
+                ['Description', result.dashboard.description],
+                ['Generated', new Date()],
+                ...widgets.map(w => [w.title, w.view.summary])
+            ]),
+            ...widgets.map(w => this.sheet(w.title, w.view.columns, w.view.rows))
+        ]);
+    }
+
+    // ==========================================
+    // AUDIT
+    // ==========================================
+
+    /**
+     * Single audit: Summary, one sheet per section with every response, Findings, Fridge Readings
+     * @returns {Promise<Object>} - { buffer, documentNumber }
+     */
+    async buildAuditWorkbook(pool, auditId) {
+        const dataService = new DataService(pool);
+        const audit = await dataService.getAuditData(auditId);
+        const [sectionScores, sections, findings, readings] = await Promise.all([
+            dataService.getSectionScores(auditId),
+            dataService.getAuditResponses(auditId),
+            dataService.getFindings(auditId),
+            dataService.getTemperatureReadings(auditId)
+        ]);
+
+        const sheets = [
+            this.keyValueSheet('Summary', [
+                ['Document Number', audit.documentNumber],
+                ['Store', audit.storeName],
+                ['Store Code', audit.storeCode],
+                ['Checklist', audit.schemaName],
+                ['Template Version', audit.templateVersionNumber],
+                ['Audit Date', audit.auditDate ? new Date(audit.auditDate) : null],
+                ['Cycle', audit.cycleDisplay],
+                ['Year', audit.year],
+                ['Auditors', audit.auditors],
+                ['Accompanied By', audit.accompaniedBy],
+                ['Status', audit.status],
+                ['Total Score (%)', audit.totalScore],
+                ['Forced Fail', audit.forcedFail ? audit.forcedFailReason || 'Yes' : null]
+            ]),
+            this.sheet('Section Scores', [
+                { key: 'sectionNumber', label: '#', type: 'number', width: 6 },
+                { key: 'sectionName', label: 'Section', width: 40 },
+                { key: 'earnedScore', label: 'Earned', type: 'decimal' },
+                { key: 'maxScore', label: 'Max', type: 'decimal' },
+                { key: 'percentage', label: 'Score', type: 'percent' },
+                { key: 'rawPercentage', label: 'Raw Score', type: 'percent' },
+                { key: 'cappedBySeverity', label: 'Capped By' },
+                { key: 'totalQuestions', label: 'Questions', type: 'number' },
+                { key: 'answeredQuestions', label: 'Answered', type: 'number' },
+                { key: 'naQuestions', label: 'N/A', type: 'number' }
+            ], sectionScores)
+        ];
+
+        const responseColumns = [
+            { key: 'referenceValue', label: 'Ref', width: 8 },
+            { key: 'title', label: 'Question', width: 60 },
+            { key: 'selectedChoice', label: 'Answer', width: 12 },
+            { key: 'coeff', label: 'Coeff', type: 'number', width: 8 },
+            { key: 'value', label: 'Value', type: 'decimal', width: 8 },
+            { key: 'severity', label: 'Severity', width: 12 },
+            { key: 'finding', label: 'Finding', width: 50 },
+            { key: 'comment', label: 'Comment', width: 40 },
+            { key: 'correctiveAction', label: 'Corrective Action', width: 50, value: r => r.correctiveAction || r.cr },
+            { key: 'priority', label: 'Priority', width: 10 },
+            { key: 'escalate', label: 'Escalated', type: 'boolean' },
+            { key: 'department', label: 'Department', width: 16 }
+        ];
+
+        for (const section of sections) {
+            sheets.push(this.sheet(`${section.sectionNumber}. ${section.sectionName}`, responseColumns, section.items));
+        }
+
+        sheets.push(this.sheet('Findings', [
+            { key: 'sectionName', label: 'Section', width: 30 },
+            { key: 'referenceValue', label: 'Ref', width: 8 },
+            { key: 'title', label: 'Question', width: 60 },
+            { key: 'selectedChoice', label: 'Answer', width: 12 },
+            { key: 'finding', label: 'Finding', width: 50 },
+            { key: 'correctiveAction', label: 'Corrective Action', width: 50 },
+            { key: 'priority', label: 'Priority', width: 10 },
+            { key: 'escalate', label: 'Escalated', type: 'boolean' },
+            { key: 'departments', label: 'Departments', width: 20, value: r => (r.departments || []).join(', ') || r.department }
+        ], findings));
+
+        const readingRows = [
+            ...readings.bad.map(r => ({ ...r, result: 'Finding' })),
+            ...readings.good.map(r => ({ ...r, result: 'Compliant' }))
+        ];
+        sheets.push(this.sheet('Fridge Readings', [
+            { key: 'referenceValue', label: 'Ref', width: 8 },
+            { key: 'section', label: 'Section', width: 24 },
+            { key: 'category', label: 'Category', width: 20 },
+            { key: 'unit', label: 'Unit', width: 20 },
+            { key: 'displayTemp', label: 'Display (°C)', type: 'decimal' },
+            { key: 'probeTemp', label: 'Probe (°C)', type: 'decimal' },
+            { key: 'result', label: 'Result', width: 12 },
+            { key: 'issue', label: 'Issue', width: 40 },
+            { key: 'createdAt', label: 'Recorded', type: 'datetime' }
+        ], readingRows));
+
+        return { buffer: this.write(sheets), documentNumber: audit.documentNumber };
+    }
+
+    // ==========================================
+    // ACTION PLAN
+    // ==========================================
+
+    /**
+     * Action plan items with status, verification and deadlines, plus counts per status
+     */
+    async buildActionPlanWorkbook(pool, documentNumber) {
+        const result = await pool.request()
+            .input('DocumentNumber', sql.NVarChar(50), documentNumber)
+            .query(`
+                SELECT ReferenceValue, Section, Finding, SuggestedAction, Priority,
+                       ActionTaken, Deadline, PersonInCharge, Status,
+                       VerificationStatus, SubmittedAt, SubmittedBy, VerifiedAt, VerifiedBy, ReviewerComment,
+                       CASE WHEN PicturesPaths IS NULL OR PicturesPaths IN ('', '[]') THEN 0 ELSE 1 END AS HasEvidence,
+                       UpdatedDate, UpdatedBy
+                FROM ActionPlanResponses
+                WHERE DocumentNumber = @DocumentNumber
+                ORDER BY Section, ReferenceValue
+            `);
+        const items = result.recordset;
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        const statusCounts = {};
+        for (const item of items) {
+            const status = item.Status || 'Pending';
+            statusCounts[status] = (statusCounts[status] || 0) + 1;
+        }
+
+        return this.write([
+            this.sheet('Action Plan', [
+                { key: 'Section', label: 'Section', width: 28 },
+                { key: 'ReferenceValue', label: 'Ref', width: 8 },
+                { key: 'Finding', label: 'Finding', width: 50 },
+                { key: 'SuggestedAction', label: 'Corrective Action', width: 45 },
+                { key: 'Priority', label: 'Priority', width: 10 },
+                { key: 'ActionTaken', label: 'Action Taken', width: 45 },
+                { key: 'PersonInCharge', label: 'Person in Charge', width: 20 },
+                { key: 'Deadline', label: 'Deadline', type: 'date' },
+                { key: 'Status', label: 'Status', width: 14, value: r => r.Status || 'Pending' },
+                { key: 'Overdue', label: 'Overdue', type: 'boolean', value: r => !!r.Deadline && new Date(r.Deadline) < today && r.Status !== 'Completed' },
+                { key: 'VerificationStatus', label: 'Verification', width: 14 },
+                { key: 'HasEvidence', label: 'Evidence', type: 'boolean' },
+                { key: 'SubmittedAt', label: 'Submitted', type: 'datetime' },
+                { key: 'SubmittedBy', label: 'Submitted By', width: 20 },
+                { key: 'VerifiedAt', label: 'Verified', type: 'datetime' },
+                { key: 'VerifiedBy', label: 'Verified By', width: 20 },
+                { key: 'ReviewerComment', label: 'Reviewer Comment', width: 40 },
+                { key: 'UpdatedDate', label: 'Last Updated', type: 'datetime' },
+                { key: 'UpdatedBy', label: 'Updated By', width: 20 }
+            ], items),
+            this.sheet('Status', [
+                { key: 'status', label: 'Status', width: 20 },
+                { key: 'count', label: 'Items', type: 'number' }
+            ], Object.entries(statusCounts).map(([status, count]) => ({ status, count })))
+        ]);
+    }
+
+    // ==========================================
+    // AUDIT LIST
+    // ==========================================
+
+    /**
+     * @param {Array<Object>} audits - Rows of AuditService.getAuditsList
+     */
+    buildAuditListWorkbook(audits) {
+        return this.write([this.sheet('Audits', [
+            { key: 'DocumentNumber', label: 'Document Number', width: 20 },
+            { key: 'StoreCode', label: 'Store Code', width: 12 },
+            { key: 'StoreName', label: 'Store', width: 30 },
+            { key: 'SchemaName', label: 'Checklist', width: 28 },
+            { key: 'AuditDate', label: 'Audit Date', type: 'date' },
+            { key: 'AuditYear', label: 'Year', type: 'number', width: 8 },
+            { key: 'AuditCycle', label: 'Cycle', width: 8 },
+            { key: 'AuditCycleName', label: 'Cycle Name', width: 14 },
+            { key: 'Auditors', label: 'Auditors', width: 30 },
+            { key: 'Status', label: 'Status', width: 14 },
+            { key: 'TotalScore', label: 'Score', type: 'percent' },
+            { key: 'PassingGrade', label: 'Passing Grade', type: 'percent' },
+            {
+                key: 'Result', label: 'Result', width: 10,
+                value: a => (a.Status === 'Completed' && a.TotalScore !== null ? (a.TotalScore >= a.PassingGrade ? 'Pass' : 'Fail') : null)
+            },
+            { key: 'IsReaudit', label: 'Re-audit', type: 'boolean' },
+            { key: 'OriginalDocumentNumber', label: 'Original Audit', width: 20 },
+            { key: 'CreatedAt', label: 'Created', type: 'datetime' },
+            { key: 'CompletedAt', label: 'Completed', type: 'datetime' }
+        ], audits)]);
+    }
+
+    // ==========================================
+    // ANALYTICS
+    // ==========================================
+
+    /**
+     * Every block of the analytics dashboard (response of GET /api/admin/analytics)
+     */
+    buildAnalyticsWorkbook(data) {
+        const summary = data.summary || {};
+        const heatmap = data.heatmap || { stores: [], sections: [], data: {} };
+        const ncAnalysis = data.ncAnalysis || { audits: [], repetitiveFindings: [] };
+        const actionPlans = data.actionPlanAnalysis || { ncByLocation: [], openNCByLocation: [] };
+
+        const rankings = [];
+        for (const group of data.branchRankings || []) {
+            for (const entry of group.top3) rankings.push({ ...entry, scheme: group.scheme, cycle: group.cycle, list: 'Top 3' });
+            for (const entry of group.bottom3) rankings.push({ ...entry, scheme: group.scheme, cycle: group.cycle, list: 'Bottom 3' });
+        }
+
+        return this.write([
+            this.keyValueSheet('Summary', [
+                ['Audits', summary.totalAudits],
+                ['Active Stores', summary.totalStores],
+                ['Auditors', summary.totalAuditors],
+                ['Average Score (%)', summary.avgScore !== undefined ? Math.round(summary.avgScore * 10) / 10 : null],
+                ['Pass Rate (%)', summary.passRate !== undefined ? Math.round(summary.passRate * 10) / 10 : null],
+                ['Failed Audits', summary.failedAudits],
+                ['Passing Threshold (%)', summary.passingThreshold],
+                ['Action Plan Items', summary.actionPlansTotal],
+                ['Action Plan Items Solved', summary.actionPlansSolved],
+                ['Action Plan Completion (%)', summary.actionPlanCompletionRate !== undefined ? Math.round(summary.actionPlanCompletionRate * 10) / 10 : null]
+            ]),
+            this.sheet('Trends', [
+                { key: 'year', label: 'Year', type: 'number' },
+                { key: 'cycle', label: 'Cycle', width: 10 },
+                { key: 'auditCount', label: 'Audits', type: 'number' },
+                { key: 'avgScore', label: 'Average Score', type: 'percent' }
+            ], data.trends),
+            this.sheet('Auditors', [
+                { key: 'auditorName', label: 'Auditor' },
+                { key: 'auditCount', label: 'Audits', type: 'number' },
+                { key: 'avgScore', label: 'Average Score', type: 'percent' },
+                { key: 'minScore', label: 'Lowest', type: 'percent' },
+                { key: 'maxScore', label: 'Highest', type: 'percent' }
+            ], data.auditorPerformance),
+            this.sheet('Sections', [
+                { key: 'sectionName', label: 'Section', width: 40 },
+                { key: 'timesAudited', label: 'Times Audited', type: 'number' },
+                { key: 'avgScore', label: 'Average Score', type: 'percent' },
+                { key: 'passRate', label: 'Pass Rate', type: 'percent' },
+                { key: 'failRate', label: 'Fail Rate', type: 'percent' }
+            ], data.sectionWeakness),
+            this.sheet('Heatmap', [
+                { key: 'store', label: 'Store' },
+                { key: 'overall', label: 'Overall', type: 'percent', value: store => (heatmap.data[store] || {})._overall },
+                ...heatmap.sections.map(section => ({
+                    key: section, label: section, type: 'percent', width: 14,
+                    value: store => (heatmap.data[store] || {})[section]
+                }))
+            ], heatmap.stores),
+            this.sheet('Compliance Calendar', [
+                { key: 'storeName', label: 'Store' },
+                { key: 'brand', label: 'Brand', width: 16 },
+                { key: 'country', label: 'Country', width: 14 },
+                { key: 'lastAuditDate', label: 'Last Audit', type: 'date' },
+                { key: 'lastScore', label: 'Last Score', type: 'percent' },
+                { key: 'totalAudits', label: 'Audits', type: 'number' }
+            ], data.complianceCalendar),
+            this.sheet('Non-Conformities', [
+                { key: 'documentNumber', label: 'Document Number', width: 20 },
+                { key: 'storeName', label: 'Store' },
+                { key: 'auditDate', label: 'Audit Date', type: 'date' },
+                { key: 'cycle', label: 'Cycle', width: 8 },
+                { key: 'score', label: 'Score', type: 'percent' },
+                { key: 'result', label: 'Result', width: 10 },
+                { key: 'ncCount', label: 'Non-Conformities', type: 'number', width: 16 }
+            ], ncAnalysis.audits),
+            this.sheet('Repetitive Findings', [
+                { key: 'storeName', label: 'Store' },
+                { key: 'sectionName', label: 'Section' },
+                { key: 'referenceValue', label: 'Ref', width: 8 },
+                { key: 'title', label: 'Question', width: 60 },
+                { key: 'occurrenceCount', label: 'Occurrences', type: 'number' },
+                { key: 'cycles', label: 'Cycles', width: 16 },
+                { key: 'documentNumbers', label: 'Documents', width: 40 },
+                { key: 'firstOccurrence', label: 'First', type: 'date' },
+                { key: 'lastOccurrence', label: 'Last', type: 'date' }
+            ], ncAnalysis.repetitiveFindings),
+            this.sheet('Action Plans by Store', [
+                { key: 'storeName', label: 'Store' },
+                { key: 'total', label: 'Items', type: 'number' },
+                { key: 'closed', label: 'Closed', type: 'number' },
+                { key: 'open', label: 'Open', type: 'number' }
+            ], actionPlans.ncByLocation),
+            this.sheet('Open Action Plans', [
+                { key: 'storeName', label: 'Store' },
+                { key: 'openCount', label: 'Open Items', type: 'number' },
+                { key: 'maxDaysOpen', label: 'Oldest (days)', type: 'number', width: 14 },
+                { key: 'avgDaysOpen', label: 'Average (days)', type: 'number', width: 14 }
+            ], actionPlans.openNCByLocation),
+            this.sheet('Branch Rankings', [
+                { key: 'scheme', label: 'Scheme', width: 16 },
+                { key: 'cycle', label: 'Cycle', width: 8 },
+                { key: 'list', label: 'List', width: 10 },
+                { key: 'rank', label: 'Rank', type: 'number', width: 8 },
+                { key: 'storeName', label: 'Store' },
+                { key: 'avgScore', label: 'Average Score', type: 'percent' }
+            ], rankings)
+        ]);
+    }
+
+    // ==========================================
+    // CALIBRATION
+    // ==========================================
+
+    /**
+     * Calibration report (result of calibrationService.getReport())
+     * @param {Object} report - { summary, pairs, sections, items, auditors }
+     * @param {string} filterText - Schema and period of the report
+     */
+    buildCalibrationWorkbook(report, filterText) {
+        const summary = report.summary;
+        const biasRows = [];
+        for (const auditor of report.auditors) {
+            biasRows.push({ auditor: auditor.auditor, sectionName: 'Overall score', ...auditor.overall });
+            for (const section of auditor.sections) biasRows.push({ auditor: auditor.auditor, ...section });
+        }
+        const biasColumns = [
+            { key: 'auditor', label: 'Auditor' },
+            { key: 'sectionName', label: 'Section' },
+            { key: 'pairs', label: 'Pairs', type: 'number', width: 8 },
+            { key: 'meanDifference', label: 'Avg Difference vs Partner', type: 'decimal', width: 22 },
+            { key: 'pValue', label: 'p-value', type: 'decimal' },
+            { key: 'tendency', label: 'Tendency', width: 12 }
+        ];
+        const agreementColumns = [
+            { key: 'compared', label: 'Items Compared', type: 'number', width: 14 },
+            { key: 'agreement', label: 'Agreement %', type: 'percent' },
+            { key: 'kappa', label: 'Kappa', type: 'decimal', width: 10 },
+            { key: 'kappaLabel', label: 'Kappa Level', width: 16 }
+        ];
+
+        return this.write([
+            this.keyValueSheet('Summary', [
+                ['Report', 'Auditor Calibration'],
+                ['Filters', filterText],
+                ['Generated', new Date()],
+                ['Shadow audits', summary.shadowAudits],
+                ['Compared pairs', summary.comparedPairs],
+                ['Items compared', summary.itemsCompared],
+                ['Agreement %', summary.agreement],
+                ['Kappa', summary.kappa],
+                ['Kappa level', summary.kappaLabel],
+                ['Auditors with a lenient / severe tendency', summary.flaggedAuditors]
+            ]),
+            this.sheet('Auditors', [
+                { key: 'auditor', label: 'Auditor' },
+                { key: 'pairs', label: 'Pairs', type: 'number', width: 8 },
+                ...agreementColumns,
+                { key: 'overallDifference', label: 'Avg Score Difference', type: 'decimal', width: 20, value: a => a.overall.meanDifference },
+                { key: 'overallTendency', label: 'Overall Tendency', width: 16, value: a => a.overall.tendency },
+                { key: 'flaggedSections', label: 'Biased Sections', type: 'number', width: 14 }
+            ], report.auditors),
+            this.sheet('Auditor Bias by Section', biasColumns, biasRows),
+            this.sheet('Sections', [{ key: 'sectionName', label: 'Section' }, ...agreementColumns], report.sections),
+            this.sheet('Disputed Items', [
+                { key: 'sectionName', label: 'Section' },
+                { key: 'referenceValue', label: 'Ref', width: 8 },
+                { key: 'title', label: 'Question', width: 60 },
+                { key: 'compared', label: 'Pairs', type: 'number', width: 8 },
+                { key: 'agreement', label: 'Agreement %', type: 'percent' },
+                { key: 'disagreements', label: 'Answers Given', width: 30, value: i => i.disagreements.map(d => `${d.choices} (${d.count})`).join(', ') }
+            ], report.items),
+            this.sheet('Pairs', [
+                { key: 'auditDate', label: 'Audit Date', type: 'date' },
+                { key: 'storeName', label: 'Store' },
+                { key: 'schemaName', label: 'Checklist', width: 24 },
+                { key: 'primaryDocumentNumber', label: 'Primary Audit', width: 20 },
+                { key: 'primaryAuditor', label: 'Primary Auditor', width: 24 },
+                { key: 'primaryScore', label: 'Primary Score', type: 'percent' },
+                { key: 'shadowDocumentNumber', label: 'Shadow Audit', width: 26 },
+                { key: 'shadowAuditor', label: 'Shadow Auditor', width: 24 },
+                { key: 'shadowScore', label: 'Shadow Score', type: 'percent' },
+                { key: 'agreement', label: 'Agreement %', type: 'percent' },
+                { key: 'kappa', label: 'Kappa', type: 'decimal', width: 10 },
+                { key: 'compared', label: 'Compared', type: 'boolean' }
+            ], report.pairs)
+        ]);
+    }
+}
+
+module.exports = new ExcelExportService();
@@ -0,0 +1,166 @@
+/**
+ * ICS Calendar
+ * Minimal iCalendar (RFC 5545) writer for calendar feeds and invites.
+ * Events are either all-day (date only) or floating local date-times, so a
+ * 09:00 audit shows at 09:00 in the subscriber's calendar without VTIMEZONE data.
+ */
+
+const PRODUCT_ID = '-//Food Safety Audit System//Audit Calendar//EN';
+
+function escapeText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded (CRLF + space), without splitting a UTF-8 character
+function foldLine(line) {
+    if (Buffer.byteLength(line) <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + bytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function formatDate(dateString) {
+    return String(dateString).substring(0, 10).replace(/-/g, '');
+}
+
+function formatLocalDateTime(dateString, time) {
+    const [hours = '00', minutes = '00'] = String(time).split(':');
+    return `${formatDate(dateString)}T${hours.padStart(2, '0')}${minutes.padStart(2, '0')}00`;
+}
+
+function formatUtc(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function addMinutes(dateString, time, minutes) {
+    const [hours, mins] = String(time).split(':').map(Number);
+    const date = new Date(`${String(dateString).substring(0, 10)}T00:00:00Z`);
+    date.setUTCMinutes(hours * 60 + (mins || 0) + minutes);
+    return {
+        date: date.toISOString().substring(0, 10),
+        time: date.toISOString().substring(11, 16)
+    };
+}
+
+function nextDay(dateString) {
+    return addMinutes(dateString, '00:00', 24 * 60).date;
+}
+
+// DTSTART / RECURRENCE-ID / EXDATE value for { date, time } (time null = all-day)
+function dateProperty(name, when) {
+    return when.time
+        ? `${name}:${formatLocalDateTime(when.date, when.time)}`
+        : `${name};VALUE=DATE:${formatDate(when.date)}`;
+}
+
+function person(name, entry, extra = '') {
+    const cn = entry.name ? `;CN="${String(entry.name).replace(/"/g, '\'')}"` : '';
+    return `${name}${cn}${extra}:mailto:${entry.email}`;
+}
+
+class IcsCalendar {
+    /**
+     * Build one VEVENT
+     * @param {Object} event - { uid, sequence, stamp, start: { date, time }, durationMinutes,
+     *   summary, description, location, url, status, categories, organizer, attendees,
+     *   rrule, until, exdates, recurrenceId }
+     * @returns {Array<string>} Unfolded lines
+     */
+    static eventLines(event) {
+        const lines = ['BEGIN:VEVENT'];
+        lines.push(`UID:${event.uid}`);
+        lines.push(`DTSTAMP:${formatUtc(event.stamp || new Date())}`);
+        lines.push(`SEQUENCE:${event.sequence || 0}`);
+
+        if (event.recurrenceId) {
+            lines.push(dateProperty('RECURRENCE-ID', event.recurrenceId));
+        }
+
+        lines.push(dateProperty('DTSTART', event.start));
+        if (event.start.time) {
+            const end = addMinutes(event.start.date, event.start.time, event.durationMinutes || 60);
+            lines.push(`DTEND:${formatLocalDateTime(end.date, end.time)}`);
+        } else {
+            lines.push(`DTEND;VALUE=DATE:${formatDate(nextDay(event.start.date))}`);
+        }
+
+        if (event.rrule) {
+            let rrule = event.rrule;
+            if (event.until) {
+                rrule += `;UNTIL=${event.start.time ? formatLocalDateTime(event.until, '23:59') : formatDate(event.until)}`;
+            }
+            lines.push(`RRULE:${rrule}`);
+        }
+        for (const exdate of event.exdates || []) {
+            lines.push(dateProperty('EXDATE', exdate));
+        }
+
+        lines.push(`SUMMARY:${escapeText(event.summary)}`);
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+        if (event.url) lines.push(`URL:${event.url}`);
+        if (event.categories) lines.push(`CATEGORIES:${escapeText(event.categories)}`);
+        lines.push(`STATUS:${event.status || 'CONFIRMED'}`);
+        lines.push('TRANSP:OPAQUE');
+
+        if (event.organizer && event.organizer.email) {
+            lines.push(person('ORGANIZER', event.organizer));
+        }
+        for (const attendee of event.attendees || []) {
+            if (attendee.email) {
+                lines.push(person('ATTENDEE', attendee, ';ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=FALSE'));
+            }
+        }
+
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    /**
+     * Build a VCALENDAR document
+     * @param {Object} options - { method (PUBLISH/REQUEST/CANCEL), name, description, refreshMinutes, events }
+     * @returns {string} iCalendar text (CRLF line endings)
+     */
+    static build({ method = 'PUBLISH', name = null, description = null, refreshMinutes = null, events = [] }) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            `METHOD:${method}`
+        ];
+        if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+        if (description) lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+        if (refreshMinutes) {
+            lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`);
+            lines.push(`X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+        }
+
+        for (const event of events) {
+            lines.push(...this.eventLines(event));
+        }
+
+        lines.push('END:VCALENDAR');
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+}
+
+module.exports = IcsCalendar;
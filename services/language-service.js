@@ -0,0 +1,142 @@
+/**
+ * Language Service
+ * Language preferences for reports, action plans and emails:
+ * - Users.preferred_language: what a user reads pages and emails in
+ * - Stores.PreferredLanguage: what the store team receives reports in
+ * An explicit request wins, then the user, then the store, then English
+ */
+
+const sql = require('mssql');
+const Translator = require('./translator');
+
+function validationError(message) {
+    const error = new Error(message);
+    error.details = message;
+    return error;
+}
+
+// null clears the preference; anything else must be a supported language
+function parseLanguage(language) {
+    if (language === null || language === undefined || language === '') return null;
+    const code = Translator.normalize(language);
+    if (!code) {
+        throw validationError(`Unsupported language: ${language}. Use one of ${Translator.LANGUAGES.map(l => l.code).join(', ')}`);
+    }
+    return code;
+}
+
+class LanguageService {
+    /**
+     * Get database connection
+     */
+    async getDbPool() {
+        return await sql.connect(require('../config/default').database);
+    }
+
+    getLanguages() {
+        return Translator.LANGUAGES;
+    }
+
+    /**
+     * First supported language of: explicit request, user preference, store preference
+     */
+    resolve(...candidates) {
+        for (const candidate of candidates) {
+            const code = Translator.normalize(candidate);
+            if (code) return code;
+        }
+        return Translator.DEFAULT_LANGUAGE;
+    }
+
+    async getUserLanguage(pool, userId) {
+        if (!userId) return null;
+        const result = await pool.request()
+            .input('userId', sql.Int, userId)
+            .query('SELECT preferred_language FROM Users WHERE id = @userId');
+        return result.recordset.length > 0 ? Translator.normalize(result.recordset[0].preferred_language) : null;
+    }
+
+    async setUserLanguage(pool, userId, language) {
+        const code = parseLanguage(language);
+        await pool.request()
+            .input('userId', sql.Int, userId)
+            .input('language', sql.NVarChar(5), code)
+            .query('UPDATE Users SET preferred_language = @language WHERE id = @userId');
+        return code;
+    }
+
+    /**
+     * Preferences of email recipients, keyed by lower-cased email
+     * @param {Array<string>} emails
+     * @returns {Promise<Map<string, string>>} - only recipients who chose a language
+     */
+    async getLanguagesForEmails(pool, emails) {
+        const unique = [...new Set((emails || []).map(e => String(e || '').trim().toLowerCase()).filter(Boolean))];
+        const languages = new Map();
+        if (unique.length === 0) return languages;
+
+        const request = pool.request();
+        const params = unique.map((email, i) => {
+            request.input(`email${i}`, sql.NVarChar(255), email);
+            return `@email${i}`;
+        });
+        const result = await request.query(`
+            SELECT LOWER(email) AS email, preferred_language
+            FROM Users
+            WHERE LOWER(email) IN (${params.join(', ')}) AND preferred_language IS NOT NULL
+        `);
+        for (const row of result.recordset) {
+            const code = Translator.normalize(row.preferred_language);
+            if (code) languages.set(row.email, code);
+        }
+        return languages;
+    }
+
+    async getStoreLanguage(pool, storeId) {
+        if (!storeId) return null;
+        const result = await pool.request()
+            .input('storeId', sql.Int, storeId)
+            .query('SELECT PreferredLanguage FROM Stores WHERE StoreID = @storeId');
+        return result.recordset.length > 0 ? Translator.normalize(result.recordset[0].PreferredLanguage) : null;
+    }
+
+    /**
+     * Store language for callers that only know the store name (action plan emails)
+     */
+    async getStoreLanguageByName(pool, storeName) {
+        if (!storeName) return null;
+        const result = await pool.request()
+            .input('storeName', sql.NVarChar(200), storeName)
+            .query('SELECT TOP 1 PreferredLanguage FROM Stores WHERE StoreName = @storeName');
+        return result.recordset.length > 0 ? Translator.normalize(result.recordset[0].PreferredLanguage) : null;
+    }
+
+    async setStoreLanguage(pool, storeId, language) {
+        const code = parseLanguage(language);
+        const result = await pool.request()
+            .input('storeId', sql.Int, storeId)
+            .input('language', sql.NVarChar(5), code)
+            .query('UPDATE Stores SET PreferredLanguage = @language WHERE StoreID = @storeId');
+        if (result.rowsAffected[0] === 0) {
+            throw validationError('Store not found');
+        }
+        return code;
+    }
+
+    /**
+     * Store language of an audit (reports default to it)
+     */
+    async getAuditLanguage(pool, auditId) {
+        const result = await pool.request()
+            .input('auditId', sql.Int, auditId)
+            .query(`
+                SELECT st.PreferredLanguage
+                FROM AuditInstances a
+                LEFT JOIN Stores st ON st.StoreID = a.StoreID
+                WHERE a.AuditID = @auditId
+            `);
+        return result.recordset.length > 0 ? Translator.normalize(result.recordset[0].PreferredLanguage) : null;
+    }
+}
+
+module.exports = new LanguageService();
@@ -0,0 +1,947 @@
+/**
+ * Notification Channel Service
+ * Delivers notifications through pluggable channels instead of posting to Graph directly:
+ * - graph:   Microsoft Graph mail. Uses the signed-in user's token when one is given,
+ *            otherwise sends as the system sender (app-only client credentials, falling
+ *            back to the system sender's stored session)
+ * - smtp:    Plain SMTP (STARTTLS / implicit TLS, AUTH LOGIN)
+ * - teams:   Microsoft Teams incoming webhook (one card per notification)
+ * - webhook: Generic HTTP webhook (JSON, optional HMAC signature)
+ * - file:    Writes .eml files to disk and logs to the console (UAT)
+ * - console: Logs to the console only
+ *
+ * Channels are chosen per notification type (NotificationChannelRoutes table), the
+ * NOTIFICATION_CHANNELS env variable is the default route and NOTIFICATION_CHANNEL_OVERRIDE
+ * forces every notification to one route (e.g. "file" on UAT)
+ */
+
+const sql = require('mssql');
+const fs = require('fs').promises;
+const path = require('path');
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const NOTIFICATION_TYPES = [
+    { type: 'Default', label: 'Default (all other notifications)' },
+    { type: 'ActionPlanReminder', label: 'Action plan reminders' },
+    { type: 'ActionPlanEscalation', label: 'Action plan escalations' },
+    { type: 'ActionPlanSubmitted', label: 'Action plan submitted' },
+    { type: 'ReportPublished', label: 'Report published' },
+    { type: 'ReportViewed', label: 'Report viewed' },
+    { type: 'Broadcast', label: 'Broadcasts' },
+    { type: 'Digest', label: 'Notification digests' },
+    { type: 'ReportSubscription', label: 'Scheduled reports' }
+];
+
+function validationError(message) {
+    const error = new Error(message);
+    error.details = message;
+    return error;
+}
+
+function parseChannels(value) {
+    return String(value || '')
+        .split(',')
+        .map(c => c.trim().toLowerCase())
+        .filter((c, i, all) => c && all.indexOf(c) === i);
+}
+
+function toList(value) {
+    if (!value) return [];
+    return (Array.isArray(value) ? value : [value]).filter(Boolean);
+}
+
+/**
+ * Plain-text version of an HTML email (Teams cards, webhooks, multipart mail)
+ */
+function htmlToText(html) {
+    return String(html || '')
+        .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|tr|h[1-6]|li|table)>/gi, '\n')
+        .replace(/<\/t[dh]>/gi, ' ')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/gi, ' ')
+        .replace(/&amp;/gi, '&')
+        .replace(/&lt;/gi, '<')
+        .replace(/&gt;/gi, '>')
+        .replace(/&quot;/gi, '"')
+        .replace(/&#39;/gi, "'")
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function firstLink(html) {
+    const match = String(html || '').match(/href="(https?:\/\/[^"]+)"/i);
+    return match ? match[1] : null;
+}
+
+/**
+ * Email address for a header or an SMTP command - CR/LF would start a new header or command
+ */
+function checkAddress(address) {
+    const text = String(address || '').trim();
+    if (!text || /[\x00-\x1f\x7f<>]/.test(text)) {
+        throw validationError(`Invalid email address: ${JSON.stringify(String(address || ''))}`);
+    }
+    return text;
+}
+
+function encodeHeader(value) {
+    const text = String(value || '').replace(/[\r\n]+/g, ' ');
+    return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+function base64Lines(text) {
+    return Buffer.from(String(text || ''), 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+}
+
+/**
+ * Build a multipart/alternative MIME message (SMTP and .eml files)
+ */
+function buildMimeMessage({ from, to, cc, subject, html, text }) {
+    const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+    const domain = String(from || '').split('@')[1] || os.hostname();
+    const headers = [
+        `From: ${checkAddress(from)}`,
+        `To: ${to.map(checkAddress).join(', ')}`,
+        cc.length ? `Cc: ${cc.map(checkAddress).join(', ')}` : null,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/alternative; boundary="${boundary}"`
+    ].filter(Boolean);
+
+    return [
+        ...headers,
+        '',
+        `--${boundary}`,
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Lines(text || htmlToText(html)),
+        `--${boundary}`,
+        'Content-Type: text/html; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Lines(html),
+        `--${boundary}--`,
+        ''
+    ].join('\r\n');
+}
+
+/**
+ * Error for a failed HTTP call, keeps the status and Retry-After (seconds) for the outbox backoff
+ */
+async function responseError(response, prefix) {
+    const errorText = await response.text();
+    const error = new Error(`${prefix}${response.status} - ${errorText}`);
+    error.status = response.status;
+    const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+    if (!isNaN(retryAfter)) error.retryAfter = retryAfter;
+    return error;
+}
+
+async function postJson(url, payload, headers = {}) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: typeof payload === 'string' ? payload : JSON.stringify(payload)
+    });
+    if (!response.ok) {
+        throw await responseError(response, '');
+    }
+    return response;
+}
+
+/**
+ * Microsoft Graph mail
+ */
+class GraphMailChannel {
+    constructor() {
+        this.name = 'graph';
+        this.appToken = null;
+        this.appTokenExpiry = 0;
+    }
+
+    get systemSenderEmail() {
+        return process.env.SYSTEM_SENDER_EMAIL || 'spnotification@spinneys-lebanon.com';
+    }
+
+    /**
+     * auto (default): app-only, falls back to the system sender session
+     * app: app-only only, session: system sender session only
+     */
+    get mode() {
+        return (process.env.GRAPH_MAIL_MODE || 'auto').toLowerCase();
+    }
+
+    hasAppCredentials() {
+        return !!(process.env.AZURE_TENANT_ID && process.env.AZURE_CLIENT_ID && process.env.AZURE_CLIENT_SECRET);
+    }
+
+    status() {
+        if (this.mode === 'session') {
+            return { configured: true, detail: `Session of ${this.systemSenderEmail}` };
+        }
+        if (!this.hasAppCredentials()) {
+            return { configured: this.mode !== 'app', detail: `Azure app credentials missing, using the session of ${this.systemSenderEmail}` };
+        }
+        return { configured: true, detail: `App-only as ${this.systemSenderEmail}${this.mode === 'auto' ? ' (session fallback)' : ''}` };
+    }
+
+    buildPayload(message) {
+        const payload = {
+            message: {
+                subject: message.subject,
+                body: { contentType: 'HTML', content: message.html },
+                toRecipients: message.to.map(email => ({ emailAddress: { address: email } }))
+            },
+            saveToSentItems: true
+        };
+        if (message.cc.length > 0) {
+            payload.message.ccRecipients = message.cc.map(email => ({ emailAddress: { address: email } }));
+        }
+        return payload;
+    }
+
+    async post(endpoint, token, message) {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(this.buildPayload(message))
+        });
+
+        if (!response.ok) {
+            throw await responseError(response, 'Graph API error: ');
+        }
+    }
+
+    /**
+     * Token owner of a delegated token, null when the token is invalid or expired
+     */
+    async getTokenOwner(accessToken) {
+        const response = await fetch('https://graph.microsoft.com/v1.0/me', {
+            headers: { 'Authorization': `Bearer ${accessToken}` }
+        });
+        if (!response.ok) {
+            console.warn(`📧 [Graph] Token verification failed, status: ${response.status}`);
+            return null;
+        }
+        const me = await response.json();
+        return { email: me.mail || me.userPrincipalName, name: me.displayName };
+    }
+
+    async getAppToken() {
+        if (this.appToken && Date.now() < this.appTokenExpiry) {
+            return this.appToken;
+        }
+
+        const params = new URLSearchParams({
+            client_id: process.env.AZURE_CLIENT_ID,
+            client_secret: process.env.AZURE_CLIENT_SECRET,
+            scope: 'https://graph.microsoft.com/.default',
+            grant_type: 'client_credentials'
+        });
+
+        const response = await fetch(`https://login.microsoftonline.com/${process.env.AZURE_TENANT_ID}/oauth2/v2.0/token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: params.toString()
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`App token request failed: ${response.status} - ${errorText}`);
+        }
+
+        const tokenData = await response.json();
+        this.appToken = tokenData.access_token;
+        // Renew 5 minutes before expiry
+        this.appTokenExpiry = Date.now() + (tokenData.expires_in - 300) * 1000;
+        return this.appToken;
+    }
+
+    /**
+     * Access token of the system sender's stored session (delegated permissions)
+     * Refreshes it when expired and extends the session by 24 hours
+     */
+    async getSessionToken() {
+        const pool = await sql.connect(require('../config/default').database);
+        const senderEmail = this.systemSenderEmail;
+
+        const result = await pool.request()
+            .input('email', sql.NVarChar, senderEmail)
+            .query(`
+                SELECT TOP 1 s.session_token, s.azure_access_token, s.azure_refresh_token, s.expires_at, u.email
+                FROM Sessions s
+                INNER JOIN Users u ON s.user_id = u.id
+                WHERE u.email = @email
+                AND s.expires_at > GETDATE()
+                ORDER BY s.created_at DESC
+            `);
+
+        if (result.recordset.length === 0) {
+            throw new Error(`No active session for system sender: ${senderEmail}. Please login with this account first.`);
+        }
+
+        const session = result.recordset[0];
+
+        // Check if access token is still valid (with 5 min buffer)
+        if (new Date(session.expires_at) > new Date(Date.now() + 5 * 60 * 1000) && session.azure_access_token) {
+            return session.azure_access_token;
+        }
+
+        if (!session.azure_refresh_token) {
+            throw new Error(`No refresh token for ${senderEmail}. Please login again with offline_access scope.`);
+        }
+
+        console.log(`📧 [Graph] Refreshing access token for ${senderEmail}...`);
+
+        const params = new URLSearchParams({
+            client_id: process.env.AZURE_CLIENT_ID,
+            client_secret: process.env.AZURE_CLIENT_SECRET,
+            refresh_token: session.azure_refresh_token,
+            grant_type: 'refresh_token',
+            scope: 'User.Read User.ReadBasic.All Mail.Send offline_access'
+        });
+
+        const response = await fetch(`https://login.microsoftonline.com/${process.env.AZURE_TENANT_ID}/oauth2/v2.0/token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: params.toString()
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Token refresh failed: ${response.status} - ${errorText}`);
+        }
+
+        const tokenData = await response.json();
+
+        // Keep the session alive as long as the refresh token is valid
+        await pool.request()
+            .input('sessionToken', sql.NVarChar, session.session_token)
+            .input('accessToken', sql.NVarChar, tokenData.access_token)
+            .input('refreshToken', sql.NVarChar, tokenData.refresh_token || session.azure_refresh_token)
+            .input('expiresAt', sql.DateTime, new Date(Date.now() + 24 * 60 * 60 * 1000))
+            .query(`
+                UPDATE Sessions
+                SET azure_access_token = @accessToken,
+                    azure_refresh_token = @refreshToken,
+                    expires_at = @expiresAt,
+                    last_activity = GETDATE()
+                WHERE session_token = @sessionToken
+            `);
+
+        console.log(`📧 [Graph] Token refreshed successfully for ${senderEmail}`);
+        return tokenData.access_token;
+    }
+
+    async sendAsSystem(message) {
+        const senderEmail = this.systemSenderEmail;
+
+        if (this.mode !== 'session' && this.hasAppCredentials()) {
+            try {
+                const token = await this.getAppToken();
+                await this.post(`https://graph.microsoft.com/v1.0/users/${encodeURIComponent(senderEmail)}/sendMail`, token, message);
+                return { sender: senderEmail };
+            } catch (error) {
+                if (this.mode === 'app') throw error;
+                console.warn(`📧 [Graph] App-only send failed, using the ${senderEmail} session: ${error.message}`);
+            }
+        } else if (this.mode === 'app') {
+            throw new Error('GRAPH_MAIL_MODE is "app" but AZURE_TENANT_ID / AZURE_CLIENT_ID / AZURE_CLIENT_SECRET are not set');
+        }
+
+        const token = await this.getSessionToken();
+        await this.post('https://graph.microsoft.com/v1.0/me/sendMail', token, message);
+        return { sender: senderEmail };
+    }
+
+    async send(message, context) {
+        if (context.accessToken) {
+            const owner = await this.getTokenOwner(context.accessToken);
+
+            if (owner) {
+                // SECURITY: Block email if token belongs to a different user than expected
+                // This prevents emails being sent from the wrong user's account
+                const expected = context.senderInfo && context.senderInfo.email;
+                if (expected && String(owner.email).toLowerCase() !== expected.toLowerCase()) {
+                    console.error(`❌ [Graph] SECURITY BLOCK: Token owner (${owner.email}) does NOT match expected sender (${expected})`);
+                    throw new Error(`Cannot send email: Session mismatch. Expected sender ${expected} but token belongs to ${owner.email}. Please log out and log back in.`);
+                }
+
+                await this.post('https://graph.microsoft.com/v1.0/me/sendMail', context.accessToken, message);
+                return { sender: owner.email };
+            }
+
+            console.warn('📧 [Graph] User token expired, sending as the system sender');
+        }
+
+        return this.sendAsSystem(message);
+    }
+}
+
+/**
+ * Minimal SMTP client over net / tls
+ */
+class SmtpConnection {
+    constructor(options) {
+        this.options = options;
+        this.socket = null;
+        this.buffer = '';
+        this.lines = [];
+        this.waiting = null;
+        this.error = null;
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        this.buffer = '';
+        socket.setEncoding('utf8');
+        socket.on('data', chunk => {
+            this.buffer += chunk;
+            let index;
+            while ((index = this.buffer.indexOf('\r\n')) >= 0) {
+                this.lines.push(this.buffer.slice(0, index));
+                this.buffer = this.buffer.slice(index + 2);
+            }
+            this.flush();
+        });
+        socket.on('error', error => {
+            this.error = error;
+            this.flush();
+        });
+        socket.on('close', () => {
+            if (!this.error) this.error = new Error('SMTP connection closed');
+            this.flush();
+        });
+    }
+
+    flush() {
+        if (!this.waiting) return;
+        // A reply is complete when a line has a space after the code ("250 OK" vs "250-SIZE")
+        const endIndex = this.lines.findIndex(line => /^\d{3}( |$)/.test(line));
+        if (endIndex >= 0) {
+            const reply = this.lines.splice(0, endIndex + 1);
+            const { resolve } = this.waiting;
+            this.waiting = null;
+            resolve({ code: parseInt(reply[reply.length - 1].slice(0, 3), 10), lines: reply });
+        } else if (this.error) {
+            const { reject } = this.waiting;
+            this.waiting = null;
+            reject(this.error);
+        }
+    }
+
+    read() {
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+            this.flush();
+        });
+    }
+
+    async command(line, expectedCodes) {
+        if (line !== null) this.socket.write(`${line}\r\n`);
+        const reply = await this.read();
+        if (!expectedCodes.includes(reply.code)) {
+            const shown = line && line.startsWith('AUTH') ? 'AUTH' : line;
+            throw new Error(`SMTP ${shown || 'greeting'} failed: ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    }
+
+    connect() {
+        const { host, port, secure, timeoutMs } = this.options;
+        return new Promise((resolve, reject) => {
+            const socket = secure
+                ? tls.connect({ host, port, servername: host }, () => resolve())
+                : net.connect({ host, port }, () => resolve());
+            socket.setTimeout(timeoutMs, () => socket.destroy(new Error('SMTP connection timed out')));
+            socket.once('error', reject);
+            this.attach(socket);
+        });
+    }
+
+    startTls() {
+        const { host } = this.options;
+        return new Promise((resolve, reject) => {
+            const plain = this.socket;
+            plain.removeAllListeners('data');
+            plain.removeAllListeners('close');
+            plain.removeAllListeners('error');
+            const secureSocket = tls.connect({ socket: plain, servername: host }, () => resolve());
+            secureSocket.once('error', reject);
+            this.attach(secureSocket);
+        });
+    }
+
+    async send({ from, recipients, raw }) {
+        const { user, password } = this.options;
+        const hello = os.hostname() || 'localhost';
+        const sender = checkAddress(from);
+        const envelope = recipients.map(checkAddress);
+
+        await this.connect();
+        try {
+            await this.command(null, [220]);
+            let ehlo = await this.command(`EHLO ${hello}`, [250]);
+            let encrypted = !!this.options.secure;
+
+            if (!encrypted && ehlo.lines.some(line => /STARTTLS/i.test(line))) {
+                await this.command('STARTTLS', [220]);
+                await this.startTls();
+                ehlo = await this.command(`EHLO ${hello}`, [250]);
+                encrypted = true;
+            }
+
+            if (user) {
+                // AUTH LOGIN is only base64: never send the password over a plain connection unless allowed
+                if (!encrypted && !this.options.allowInsecureAuth) {
+                    throw new Error('SMTP server does not offer TLS, refusing to send credentials (set SMTP_ALLOW_INSECURE_AUTH=true to allow)');
+                }
+                await this.command('AUTH LOGIN', [334]);
+                await this.command(Buffer.from(user).toString('base64'), [334]);
+                await this.command(Buffer.from(password || '').toString('base64'), [235]);
+            }
+
+            await this.command(`MAIL FROM:<${sender}>`, [250]);
+            for (const recipient of envelope) {
+                await this.command(`RCPT TO:<${recipient}>`, [250, 251]);
+            }
+            await this.command('DATA', [354]);
+            // Dot-stuffing: lines starting with "." get an extra "."
+            await this.command(`${raw.replace(/\r\n\./g, '\r\n..')}\r\n.`, [250]);
+            await this.command('QUIT', [221]).catch(() => {});
+        } finally {
+            this.socket.destroy();
+        }
+    }
+}
+
+class SmtpChannel {
+    constructor() {
+        this.name = 'smtp';
+    }
+
+    get options() {
+        const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+        return {
+            host: process.env.SMTP_HOST,
+            port,
+            secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+            user: process.env.SMTP_USER,
+            password: process.env.SMTP_PASSWORD,
+            from: process.env.SMTP_FROM || process.env.SYSTEM_SENDER_EMAIL,
+            allowInsecureAuth: process.env.SMTP_ALLOW_INSECURE_AUTH === 'true',
+            timeoutMs: 30000
+        };
+    }
+
+    status() {
+        const { host, port, from } = this.options;
+        if (!host || !from) {
+            return { configured: false, detail: 'SMTP_HOST and SMTP_FROM are not set' };
+        }
+        return { configured: true, detail: `${host}:${port} as ${from}` };
+    }
+
+    async send(message) {
+        const options = this.options;
+        if (!options.host || !options.from) {
+            throw new Error('SMTP is not configured (SMTP_HOST, SMTP_FROM)');
+        }
+
+        const raw = buildMimeMessage({ ...message, from: options.from });
+        await new SmtpConnection(options).send({
+            from: options.from,
+            recipients: [...message.to, ...message.cc],
+            raw
+        });
+        return { sender: options.from };
+    }
+}
+
+/**
+ * Teams incoming webhook - posts one card to the channel behind the webhook
+ */
+class TeamsWebhookChannel {
+    constructor() {
+        this.name = 'teams';
+    }
+
+    getUrl(route) {
+        return (route && route.teamsWebhookUrl) || process.env.TEAMS_WEBHOOK_URL || null;
+    }
+
+    status(route) {
+        return this.getUrl(route)
+            ? { configured: true, detail: route && route.teamsWebhookUrl ? 'Route webhook' : 'TEAMS_WEBHOOK_URL' }
+            : { configured: false, detail: 'TEAMS_WEBHOOK_URL is not set' };
+    }
+
+    async send(message, context) {
+        const url = this.getUrl(context.route);
+        if (!url) throw new Error('Teams webhook is not configured (TEAMS_WEBHOOK_URL)');
+
+        const text = message.text || htmlToText(message.html);
+        const link = message.link || firstLink(message.html);
+        const facts = [
+            { name: 'Type', value: message.type },
+            { name: 'Recipients', value: [...message.to, ...message.cc].join(', ') || '-' }
+        ];
+        if (message.documentNumber) facts.push({ name: 'Document #', value: message.documentNumber });
+
+        const card = {
+            '@type': 'MessageCard',
+            '@context': 'https://schema.org/extensions',
+            summary: message.subject,
+            themeColor: '2563EB',
+            title: message.subject,
+            sections: [{
+                facts,
+                text: (text.length > 2000 ? `${text.slice(0, 2000)}…` : text).replace(/\n/g, '\n\n')
+            }]
+        };
+        if (link) {
+            card.potentialAction = [{ '@type': 'OpenUri', name: 'Open', targets: [{ os: 'default', uri: link }] }];
+        }
+
+        await postJson(url, card);
+        return { sender: 'Teams' };
+    }
+}
+
+/**
+ * Generic HTTP webhook - JSON body, signed with HMAC-SHA256 when WEBHOOK_SECRET is set
+ */
+class HttpWebhookChannel {
+    constructor() {
+        this.name = 'webhook';
+    }
+
+    getUrl(route) {
+        return (route && route.webhookUrl) || process.env.NOTIFICATION_WEBHOOK_URL || null;
+    }
+
+    status(route) {
+        return this.getUrl(route)
+            ? { configured: true, detail: route && route.webhookUrl ? 'Route webhook' : 'NOTIFICATION_WEBHOOK_URL' }
+            : { configured: false, detail: 'NOTIFICATION_WEBHOOK_URL is not set' };
+    }
+
+    async send(message, context) {
+        const url = this.getUrl(context.route);
+        if (!url) throw new Error('Webhook is not configured (NOTIFICATION_WEBHOOK_URL)');
+
+        const body = JSON.stringify({
+            type: message.type,
+            subject: message.subject,
+            to: message.to,
+            cc: message.cc,
+            documentNumber: message.documentNumber || null,
+            text: message.text || htmlToText(message.html),
+            html: message.html,
+            data: message.data || null,
+            sentAt: new Date().toISOString()
+        });
+
+        const headers = { 'X-Notification-Type': message.type };
+        if (process.env.NOTIFICATION_WEBHOOK_SECRET) {
+            const signature = crypto.createHmac('sha256', process.env.NOTIFICATION_WEBHOOK_SECRET).update(body).digest('hex');
+            headers['X-Signature'] = `sha256=${signature}`;
+        }
+
+        await postJson(url, body, headers);
+        return { sender: 'Webhook' };
+    }
+}
+
+/**
+ * Local channels for UAT - nothing leaves the server
+ */
+class FileChannel {
+    constructor(name, writeFile) {
+        this.name = name;
+        this.writeFile = writeFile;
+    }
+
+    get directory() {
+        return process.env.NOTIFICATION_FILE_DIR || path.join(__dirname, '..', 'storage', 'notification-outbox');
+    }
+
+    status() {
+        return { configured: true, detail: this.writeFile ? this.directory : 'Server console' };
+    }
+
+    async send(message) {
+        const sender = process.env.SYSTEM_SENDER_EMAIL || 'spnotification@spinneys-lebanon.com';
+        let file = null;
+
+        if (this.writeFile) {
+            await fs.mkdir(this.directory, { recursive: true });
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            file = path.join(this.directory, `${stamp}_${message.type}_${crypto.randomBytes(3).toString('hex')}.eml`);
+            await fs.writeFile(file, buildMimeMessage({ ...message, from: sender }), 'utf8');
+        }
+
+        console.log(`📨 [Notify:${this.name}] ${message.type} "${message.subject}" -> ${message.to.join(', ')}${message.cc.length ? ` (CC: ${message.cc.join(', ')})` : ''}${file ? ` [${file}]` : ''}`);
+        return { sender, file };
+    }
+}
+
+class NotificationChannelService {
+    constructor() {
+        this.channels = new Map();
+        this.routes = null;
+        this.routesExpiry = 0;
+        this.cacheExpiry = 5 * 60 * 1000; // 5 minutes cache
+
+        this.registerChannel(new GraphMailChannel());
+        this.registerChannel(new SmtpChannel());
+        this.registerChannel(new TeamsWebhookChannel());
+        this.registerChannel(new HttpWebhookChannel());
+        this.registerChannel(new FileChannel('file', true));
+        this.registerChannel(new FileChannel('console', false));
+    }
+
+    /**
+     * Add or replace a channel ({ name, status(route), send(message, context) })
+     */
+    registerChannel(channel) {
+        this.channels.set(channel.name, channel);
+    }
+
+    getNotificationTypes() {
+        return NOTIFICATION_TYPES;
+    }
+
+    getDefaultChannels() {
+        const channels = parseChannels(process.env.NOTIFICATION_CHANNELS);
+        return channels.length > 0 ? channels : ['graph'];
+    }
+
+    getOverrideChannels() {
+        return parseChannels(process.env.NOTIFICATION_CHANNEL_OVERRIDE);
+    }
+
+    /**
+     * Routes saved in NotificationChannelRoutes keyed by notification type (cached)
+     */
+    async loadRoutes() {
+        if (this.routes && Date.now() < this.routesExpiry) {
+            return this.routes;
+        }
+
+        const routes = new Map();
+        try {
+            const pool = await sql.connect(require('../config/default').database);
+            const result = await pool.request().query(`
+                IF OBJECT_ID('dbo.NotificationChannelRoutes', 'U') IS NOT NULL
+                    SELECT NotificationType, Channels, TeamsWebhookUrl, WebhookUrl, UpdatedAt, UpdatedBy
+                    FROM NotificationChannelRoutes
+                    WHERE IsActive = 1
+            `);
+            for (const row of result.recordset || []) {
+                routes.set(row.NotificationType, {
+                    type: row.NotificationType,
+                    channels: parseChannels(row.Channels),
+                    teamsWebhookUrl: row.TeamsWebhookUrl,
+                    webhookUrl: row.WebhookUrl,
+                    updatedAt: row.UpdatedAt,
+                    updatedBy: row.UpdatedBy
+                });
+            }
+        } catch (error) {
+            console.error('[Notify] Error loading channel routes:', error.message);
+        }
+
+        this.routes = routes;
+        this.routesExpiry = Date.now() + this.cacheExpiry;
+        return routes;
+    }
+
+    clearCache() {
+        this.routes = null;
+        this.routesExpiry = 0;
+    }
+
+    /**
+     * Effective route for a type: override > type route > Default route > NOTIFICATION_CHANNELS
+     */
+    async getRoute(type) {
+        const routes = await this.loadRoutes();
+        const saved = routes.get(type) || routes.get('Default') || null;
+        const override = this.getOverrideChannels();
+
+        let channels = this.getDefaultChannels();
+        let source = 'environment';
+        if (override.length > 0) {
+            channels = override;
+            source = 'override';
+        } else if (saved && saved.channels.length > 0) {
+            channels = saved.channels;
+            source = saved.type === type ? 'type' : 'default';
+        }
+
+        return {
+            type,
+            channels,
+            source,
+            teamsWebhookUrl: saved ? saved.teamsWebhookUrl : null,
+            webhookUrl: saved ? saved.webhookUrl : null
+        };
+    }
+
+    /**
+     * Channel routing per notification type plus channel status (admin page)
+     */
+    async getConfiguration() {
+        const routes = await this.loadRoutes();
+        const types = [];
+        for (const { type, label } of NOTIFICATION_TYPES) {
+            const route = await this.getRoute(type);
+            const saved = routes.get(type);
+            types.push({
+                type,
+                label,
+                channels: route.channels,
+                source: route.source,
+                savedChannels: saved ? saved.channels : [],
+                teamsWebhookUrl: saved ? saved.teamsWebhookUrl : null,
+                webhookUrl: saved ? saved.webhookUrl : null,
+                updatedAt: saved ? saved.updatedAt : null,
+                updatedBy: saved ? saved.updatedBy : null,
+                status: route.channels.map(name => {
+                    const channel = this.channels.get(name);
+                    return channel
+                        ? { channel: name, ...channel.status(route) }
+                        : { channel: name, configured: false, detail: 'Unknown channel' };
+                })
+            });
+        }
+
+        return {
+            types,
+            channels: [...this.channels.values()].map(channel => ({ channel: channel.name, ...channel.status(null) })),
+            defaultChannels: this.getDefaultChannels(),
+            overrideChannels: this.getOverrideChannels()
+        };
+    }
+
+    /**
+     * Save the route of one notification type, an empty channel list removes it
+     */
+    async saveRoute(pool, type, data, userEmail) {
+        if (!NOTIFICATION_TYPES.some(t => t.type === type)) {
+            throw validationError(`Unknown notification type: ${type}`);
+        }
+
+        const channels = parseChannels(Array.isArray(data.channels) ? data.channels.join(',') : data.channels);
+        const unknown = channels.filter(c => !this.channels.has(c));
+        if (unknown.length > 0) {
+            throw validationError(`Unknown channel(s): ${unknown.join(', ')}`);
+        }
+
+        const urls = {};
+        for (const key of ['teamsWebhookUrl', 'webhookUrl']) {
+            const value = data[key] ? String(data[key]).trim() : '';
+            if (value && !/^https?:\/\//i.test(value)) {
+                throw validationError(`${key === 'teamsWebhookUrl' ? 'Teams webhook' : 'Webhook'} URL must start with http:// or https://`);
+            }
+            urls[key] = value || null;
+        }
+
+        if (channels.length === 0) {
+            await pool.request()
+                .input('type', sql.NVarChar(50), type)
+                .query('DELETE FROM NotificationChannelRoutes WHERE NotificationType = @type');
+        } else {
+            await pool.request()
+                .input('type', sql.NVarChar(50), type)
+                .input('channels', sql.NVarChar(200), channels.join(','))
+                .input('teamsWebhookUrl', sql.NVarChar(500), urls.teamsWebhookUrl)
+                .input('webhookUrl', sql.NVarChar(500), urls.webhookUrl)
+                .input('userEmail', sql.NVarChar(255), userEmail)
+                .query(`
+                    IF EXISTS (SELECT 1 FROM NotificationChannelRoutes WHERE NotificationType = @type)
+                        UPDATE NotificationChannelRoutes
+                        SET Channels = @channels, TeamsWebhookUrl = @teamsWebhookUrl, WebhookUrl = @webhookUrl,
+                            IsActive = 1, UpdatedAt = GETDATE(), UpdatedBy = @userEmail
+                        WHERE NotificationType = @type
+                    ELSE
+                        INSERT INTO NotificationChannelRoutes (NotificationType, Channels, TeamsWebhookUrl, WebhookUrl, UpdatedAt, UpdatedBy)
+                        VALUES (@type, @channels, @teamsWebhookUrl, @webhookUrl, GETDATE(), @userEmail)
+                `);
+        }
+
+        this.clearCache();
+        return this.getRoute(type);
+    }
+
+    /**
+     * Send a notification through every channel routed for its type
+     * @param {Object} message - { type, to, cc, subject, html, text?, documentNumber?, link?, data? }
+     * @param {Object} context - { accessToken, senderInfo } of the signed-in user, both optional
+     * @param {Object} options - { skipChannels } channels that already delivered the message (outbox retries)
+     * @returns {Object} - { success, sender, error, channels: [{ channel, success, error, retryAfter }] }
+     */
+    async send(message, context = {}, { skipChannels = [] } = {}) {
+        const normalized = {
+            ...message,
+            type: message.type || 'Default',
+            to: toList(message.to),
+            cc: toList(message.cc),
+            subject: message.subject || '',
+            html: message.html || ''
+        };
+
+        if (normalized.to.length === 0) {
+            return { success: false, error: 'No recipients', channels: [] };
+        }
+
+        const route = await this.getRoute(normalized.type);
+        const results = [];
+
+        for (const name of route.channels.filter(c => !skipChannels.includes(c))) {
+            const channel = this.channels.get(name);
+            if (!channel) {
+                results.push({ channel: name, success: false, error: `Unknown channel: ${name}` });
+                continue;
+            }
+            try {
+                const result = await channel.send(normalized, { ...context, route });
+                results.push({ channel: name, success: true, sender: result && result.sender });
+            } catch (error) {
+                console.error(`❌ [Notify] ${name} failed for ${normalized.type} to ${normalized.to.join(', ')}:`, error.message);
+                results.push({ channel: name, success: false, error: error.message, retryAfter: error.retryAfter || null });
+            }
+        }
+
+        const delivered = results.filter(r => r.success);
+        const failed = results.filter(r => !r.success);
+        if (delivered.length > 0) {
+            console.log(`✅ [Notify] ${normalized.type} sent via ${delivered.map(r => r.channel).join(', ')} to: ${normalized.to.join(', ')}`);
+        }
+
+        return {
+            success: delivered.length > 0,
+            sender: delivered.length > 0 ? delivered[0].sender : null,
+            error: delivered.length > 0 ? null : failed.map(r => `${r.channel}: ${r.error}`).join('; '),
+            channels: results
+        };
+    }
+}
+
+module.exports = new NotificationChannelService();
+module.exports.htmlToText = htmlToText;
+module.exports.firstLink = firstLink;
@@ -0,0 +1,288 @@
+/**
+ * Notification Digest Service
+ * Merges the notifications a user held for a digest (see notification-preference-service)
+ * into one email: reports to read, action plans due and overdue escalations
+ * - Daily digests go out at NOTIFICATION_DIGEST_HOUR (default 7)
+ * - Weekly digests on NOTIFICATION_DIGEST_WEEKDAY (ISO, default 1 = Monday) at the same hour
+ * - Rendered through EmailTemplateService (template key: notification_digest)
+ */
+
+const sql = require('mssql');
+const emailTemplateService = require('./email-template-service');
+const notificationOutboxService = require('./notification-outbox-service');
+
+const DIGEST_MODES = ['DailyDigest', 'WeeklyDigest'];
+
+const DIGEST_SECTIONS = [
+    { title: '📄 Reports to read', types: ['ReportPublished'], color: '#0277bd' },
+    { title: '📝 Action plans due', types: ['ActionPlanReminder'], color: '#d97706' },
+    { title: '🚨 Overdue escalations', types: ['ActionPlanEscalation'], color: '#dc2626' },
+    { title: '📉 Performance alerts', types: ['PerformanceAlert'], color: '#ea580c' },
+    { title: '🔔 Other updates', types: ['ReportViewed', 'ActionPlanSubmitted'], color: '#475569' }
+];
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' }[c]));
+}
+
+function formatDate(value) {
+    return new Date(value).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+}
+
+function dateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+class NotificationDigestService {
+    constructor() {
+        this.intervalId = null;
+        this.isProcessing = false;
+        this.lastRunTime = null;
+        this.lastRuns = {};                 // mode => date key of the last scheduled run
+        this.checkMinutes = 15;
+        this.digestHour = parseInt(process.env.NOTIFICATION_DIGEST_HOUR, 10);
+        if (isNaN(this.digestHour)) this.digestHour = 7;
+        this.digestWeekday = parseInt(process.env.NOTIFICATION_DIGEST_WEEKDAY, 10) || 1;
+    }
+
+    /**
+     * Get database connection
+     */
+    async getDbPool() {
+        return await sql.connect(require('../config/default').database);
+    }
+
+    /**
+     * Whether the scheduled digest for a mode should run now
+     */
+    isDue(mode, now = new Date()) {
+        if (now.getHours() < this.digestHour) return false;
+        if (this.lastRuns[mode] === dateKey(now)) return false;
+        if (mode === 'WeeklyDigest') return (now.getDay() || 7) === this.digestWeekday;
+        return true;
+    }
+
+    /**
+     * Items waiting for the user's next digest, newest first, one per type and document
+     */
+    async getPendingItems(pool, userId, mode) {
+        const result = await pool.request()
+            .input('userId', sql.Int, userId)
+            .input('mode', sql.NVarChar(20), mode)
+            .query(`
+                SELECT UserNotificationID, NotificationType, Title, DocumentNumber, Link, CreatedAt
+                FROM UserNotifications
+                WHERE UserID = @userId AND DeliveryMode = @mode AND DigestedAt IS NULL
+                ORDER BY CreatedAt DESC
+            `);
+
+        const seen = new Set();
+        const items = [];
+        for (const row of result.recordset) {
+            const key = row.DocumentNumber ? `${row.NotificationType}:${row.DocumentNumber}` : `id:${row.UserNotificationID}`;
+            items.push({ ...row, superseded: seen.has(key) });
+            seen.add(key);
+        }
+        return items;
+    }
+
+    /**
+     * Render the digest email for one user
+     * @returns {Object|null} - { subject, html, items } or null when nothing is pending
+     */
+    async buildDigest(pool, user, mode) {
+        const items = await this.getPendingItems(pool, user.id, mode);
+        const shown = items.filter(i => !i.superseded);
+        if (shown.length === 0) return null;
+
+        const sections = DIGEST_SECTIONS
+            .map(section => ({ ...section, items: shown.filter(i => section.types.includes(i.NotificationType)) }))
+            .filter(section => section.items.length > 0);
+        const known = DIGEST_SECTIONS.flatMap(s => s.types);
+        const others = shown.filter(i => !known.includes(i.NotificationType));
+        if (others.length > 0) sections.push({ ...DIGEST_SECTIONS[DIGEST_SECTIONS.length - 1], items: others });
+
+        const dashboardUrl = process.env.DASHBOARD_URL || 'https://pappreports.gmrlapps.com:3001/auth/login';
+        const appUrl = process.env.APP_URL || dashboardUrl.replace(/\/auth\/login$/, '');
+        const periodLabel = mode === 'WeeklyDigest' ? 'Weekly' : 'Daily';
+
+        const data = {
+            recipientName: escapeHtml(user.display_name || user.email),
+            periodLabel,
+            digestDate: formatDate(new Date()),
+            itemCount: shown.length,
+            summary: sections.map(s => `${s.items.length} ${s.title.replace(/^\S+\s/, '').toLowerCase()}`).join(', '),
+            digestSections: sections.map(s => this.renderSection(s)).join(''),
+            dashboardUrl,
+            preferencesUrl: `${appUrl}/notifications/preferences`
+        };
+
+        const email = await emailTemplateService.buildEmail('notification_digest', data, user.preferred_language) || this.buildDefaultEmail(data);
+        return { ...email, items };
+    }
+
+    /**
+     * Default template when notification_digest is not in EmailTemplates yet
+     */
+    buildDefaultEmail(data) {
+        const template = emailTemplateService.getDefaultTemplates().find(t => t.template_key === 'notification_digest');
+        return {
+            subject: emailTemplateService.replacePlaceholders(template.subject_template, data),
+            html: emailTemplateService.replacePlaceholders(template.html_body, data)
+        };
+    }
+
+    renderSection(section) {
+        const rows = section.items.map(item => `
+            <tr>
+                <td style="padding: 10px 0; border-bottom: 1px solid #e5e7eb; font-size: 14px; color: #1f2937;">
+                    ${item.Link ? `<a href="${escapeHtml(item.Link)}" style="color: ${section.color}; text-decoration: none; font-weight: bold;">${escapeHtml(item.Title)}</a>` : `<strong>${escapeHtml(item.Title)}</strong>`}
+                    ${item.DocumentNumber ? `<div style="font-size: 12px; color: #6b7280;">${escapeHtml(item.DocumentNumber)}</div>` : ''}
+                </td>
+                <td style="padding: 10px 0; border-bottom: 1px solid #e5e7eb; font-size: 12px; color: #6b7280; text-align: right; white-space: nowrap;">${formatDate(item.CreatedAt)}</td>
+            </tr>`).join('');
+
+        return `
+        <h3 style="color: ${section.color}; font-size: 16px; margin: 25px 0 5px 0;">${section.title} (${section.items.length})</h3>
+        <table width="100%" cellpadding="0" cellspacing="0" border="0">${rows}
+        </table>`;
+    }
+
+    /**
+     * Build and queue the digest for one user, then mark its items as digested
+     * @returns {Object} - { sent, items, outboxId, duplicate }
+     */
+    async sendDigest(pool, user, mode) {
+        const digest = await this.buildDigest(pool, user, mode);
+        if (!digest) return { sent: false, items: 0 };
+
+        const ids = digest.items.map(i => i.UserNotificationID);
+        const result = await notificationOutboxService.send({
+            type: 'Digest',
+            to: [user.email],
+            subject: digest.subject,
+            html: digest.html
+        }, {
+            // The newest item identifies the batch, running twice does not email twice
+            idempotencyKey: `Digest:${mode}:${user.id}:${Math.max(...ids)}`,
+            createdBy: 'DigestJob',
+            preferences: false
+        });
+
+        if (!result.success && !result.queued) {
+            console.error(`[Digest] ${mode} for ${user.email} failed: ${result.error}`);
+            return { sent: false, items: ids.length, error: result.error };
+        }
+
+        const request = pool.request().input('outboxId', sql.Int, result.outboxId);
+        const params = ids.map((id, i) => {
+            request.input(`id${i}`, sql.Int, id);
+            return `@id${i}`;
+        });
+        await request.query(`
+            UPDATE UserNotifications SET DigestedAt = GETDATE(), DigestOutboxID = @outboxId
+            WHERE UserNotificationID IN (${params.join(', ')})
+        `);
+
+        console.log(`[Digest] ${mode} with ${ids.length} item(s) ${result.success ? 'sent' : 'queued'} to ${user.email}`);
+        return { sent: true, items: ids.length, outboxId: result.outboxId, duplicate: !!result.duplicate };
+    }
+
+    /**
+     * Send the digest of a mode to every user with pending items
+     */
+    async sendDigests(mode) {
+        if (!DIGEST_MODES.includes(mode)) throw new Error(`Unknown digest mode: ${mode}`);
+
+        const pool = await this.getDbPool();
+        const users = await pool.request()
+            .input('mode', sql.NVarChar(20), mode)
+            .query(`
+                SELECT u.id, u.email, u.display_name, u.preferred_language
+                FROM Users u
+                WHERE u.is_active = 1
+                  AND EXISTS (SELECT 1 FROM UserNotifications n WHERE n.UserID = u.id AND n.DeliveryMode = @mode AND n.DigestedAt IS NULL)
+            `);
+
+        const summary = { mode, users: users.recordset.length, sent: 0, failed: 0, items: 0 };
+        for (const user of users.recordset) {
+            try {
+                const result = await this.sendDigest(pool, user, mode);
+                if (result.sent) {
+                    summary.sent++;
+                    summary.items += result.items;
+                } else if (result.error) {
+                    summary.failed++;
+                }
+            } catch (error) {
+                summary.failed++;
+                console.error(`[Digest] Error sending ${mode} to ${user.email}:`, error.message);
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Scheduled check: send the daily / weekly digests that are due
+     */
+    async runDue() {
+        if (this.isProcessing) return [];
+        this.isProcessing = true;
+        this.lastRunTime = new Date();
+
+        const results = [];
+        try {
+            for (const mode of DIGEST_MODES) {
+                if (!this.isDue(mode, this.lastRunTime)) continue;
+                this.lastRuns[mode] = dateKey(this.lastRunTime);
+                const summary = await this.sendDigests(mode);
+                console.log(`[Digest] ${mode}: ${summary.sent} sent, ${summary.failed} failed (${summary.items} items)`);
+                results.push(summary);
+            }
+        } catch (error) {
+            console.error('[Digest] Error running digests:', error.message);
+        } finally {
+            this.isProcessing = false;
+        }
+        return results;
+    }
+
+    /**
+     * Start the scheduler
+     */
+    start() {
+        if (this.intervalId) {
+            console.log('[Digest] Scheduler already running');
+            return;
+        }
+
+        console.log(`[Digest] Starting scheduler (daily at ${this.digestHour}:00, weekly on ISO day ${this.digestWeekday})`);
+        this.intervalId = setInterval(() => this.runDue(), this.checkMinutes * 60 * 1000);
+    }
+
+    /**
+     * Stop the scheduler
+     */
+    stop() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+            console.log('[Digest] Scheduler stopped');
+        }
+    }
+
+    getStatus() {
+        return {
+            schedulerActive: !!this.intervalId,
+            isProcessing: this.isProcessing,
+            lastRunTime: this.lastRunTime,
+            lastRuns: this.lastRuns,
+            digestHour: this.digestHour,
+            digestWeekday: this.digestWeekday
+        };
+    }
+}
+
+module.exports = new NotificationDigestService();
+module.exports.DIGEST_MODES = DIGEST_MODES;
@@ -0,0 +1,548 @@
+/**
+ * Notification Outbox Service
+ * Durable queue in front of notification-channel-service: every notification is
+ * stored in NotificationOutbox first, then delivered either right away (request
+ * handlers) or by the background worker
+ * - Failed deliveries are retried with exponential backoff (Retry-After honoured)
+ * - After MaxAttempts the message moves to DeadLetter; admins can retry or cancel it
+ * - Idempotency keys stop the same reminder / escalation from being queued twice
+ * - Deliveries are rate limited per process (NOTIFICATION_RATE_PER_MINUTE)
+ */
+
+const sql = require('mssql');
+const notificationChannelService = require('./notification-channel-service');
+const notificationPreferenceService = require('./notification-preference-service');
+
+const STATUSES = ['Pending', 'Sending', 'Sent', 'Failed', 'DeadLetter', 'Cancelled'];
+const RETRYABLE_STATUSES = ['Failed', 'DeadLetter', 'Cancelled'];
+const CANCELLABLE_STATUSES = ['Pending', 'Failed'];
+
+function validationError(message) {
+    const error = new Error(message);
+    error.details = message;
+    return error;
+}
+
+function splitList(value) {
+    return String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function mapRow(row, includeBody = false) {
+    const message = {
+        outboxId: row.OutboxID,
+        idempotencyKey: row.IdempotencyKey,
+        type: row.NotificationType,
+        to: splitList(row.ToRecipients),
+        cc: splitList(row.CcRecipients),
+        subject: row.Subject,
+        documentNumber: row.DocumentNumber,
+        status: row.Status,
+        attempts: row.Attempts,
+        maxAttempts: row.MaxAttempts,
+        nextAttemptAt: row.NextAttemptAt,
+        lastError: row.LastError,
+        channels: row.Channels,
+        sender: row.Sender,
+        sentAt: row.SentAt,
+        createdAt: row.CreatedAt,
+        createdBy: row.CreatedBy,
+        updatedAt: row.UpdatedAt,
+        updatedBy: row.UpdatedBy
+    };
+    if (includeBody) message.html = row.HtmlBody;
+    return message;
+}
+
+class NotificationOutboxService {
+    constructor() {
+        this.intervalId = null;
+        this.isProcessing = false;
+        this.lastRunTime = null;
+        this.intervalSeconds = parseInt(process.env.NOTIFICATION_OUTBOX_INTERVAL_SECONDS, 10) || 30;
+        this.ratePerMinute = parseInt(process.env.NOTIFICATION_RATE_PER_MINUTE, 10) || 30;
+        this.maxAttempts = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 6;
+        this.retryBaseSeconds = parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS, 10) || 60;
+        this.retryMaxSeconds = 6 * 60 * 60; // Never wait more than 6 hours between attempts
+        this.lockMinutes = 5;               // A claimed message is re-claimed if the worker dies
+        this.recentSends = [];              // Delivery timestamps of the last minute (rate limit)
+        this.stats = { delivered: 0, failed: 0, deadLettered: 0 };
+    }
+
+    /**
+     * Get database connection
+     */
+    async getDbPool() {
+        return await sql.connect(require('../config/default').database);
+    }
+
+    /**
+     * Take a delivery slot if the per-minute rate allows it
+     */
+    takeSlot() {
+        const now = Date.now();
+        this.recentSends = this.recentSends.filter(t => now - t < 60 * 1000);
+        if (this.recentSends.length >= this.ratePerMinute) return false;
+        this.recentSends.push(now);
+        return true;
+    }
+
+    availableSlots() {
+        const now = Date.now();
+        this.recentSends = this.recentSends.filter(t => now - t < 60 * 1000);
+        return Math.max(0, this.ratePerMinute - this.recentSends.length);
+    }
+
+    /**
+     * Seconds to wait before the next attempt: base * 2^(attempt - 1) with ±20% jitter,
+     * or the channel's Retry-After when it asks for longer
+     */
+    getBackoffSeconds(attempts, retryAfter = null) {
+        const exponential = Math.min(this.retryBaseSeconds * Math.pow(2, Math.max(0, attempts - 1)), this.retryMaxSeconds);
+        const jittered = Math.round(exponential * (0.8 + Math.random() * 0.4));
+        return retryAfter ? Math.max(jittered, retryAfter) : jittered;
+    }
+
+    /**
+     * Store a message in the outbox. A message whose idempotency key is already
+     * queued is not stored again, the existing row is returned with duplicate = true.
+     * A dead-lettered message does not count: it gives up its key so the message can be queued again
+     * @param {Object} message - { type, to, cc, subject, html, documentNumber }
+     * @param {Object} options - { idempotencyKey, createdBy }
+     */
+    async enqueue(message, options = {}) {
+        const pool = await this.getDbPool();
+        const to = (Array.isArray(message.to) ? message.to : [message.to]).filter(Boolean);
+        const cc = (message.cc || []).filter(Boolean);
+        const idempotencyKey = options.idempotencyKey ? String(options.idempotencyKey).slice(0, 200) : null;
+
+        if (to.length === 0) {
+            throw validationError('Notification has no recipients');
+        }
+
+        if (idempotencyKey) {
+            const existing = await this.getByKey(pool, idempotencyKey);
+            if (existing && existing.Status === 'DeadLetter') {
+                await this.releaseKey(pool, existing.OutboxID);
+            } else if (existing) {
+                return { row: existing, duplicate: true };
+            }
+        }
+
+        try {
+            const result = await pool.request()
+                .input('idempotencyKey', sql.NVarChar(200), idempotencyKey)
+                .input('type', sql.NVarChar(50), message.type || 'Default')
+                .input('to', sql.NVarChar(sql.MAX), to.join(','))
+                .input('cc', sql.NVarChar(sql.MAX), cc.length > 0 ? cc.join(',') : null)
+                .input('subject', sql.NVarChar(500), (message.subject || '').slice(0, 500))
+                .input('html', sql.NVarChar(sql.MAX), message.html || '')
+                .input('documentNumber', sql.NVarChar(50), message.documentNumber || null)
+                .input('maxAttempts', sql.Int, this.maxAttempts)
+                .input('createdBy', sql.NVarChar(255), options.createdBy || 'System')
+                .query(`
+                    INSERT INTO NotificationOutbox (IdempotencyKey, NotificationType, ToRecipients, CcRecipients, Subject, HtmlBody, DocumentNumber, MaxAttempts, CreatedBy)
+                    OUTPUT INSERTED.*
+                    VALUES (@idempotencyKey, @type, @to, @cc, @subject, @html, @documentNumber, @maxAttempts, @createdBy)
+                `);
+            return { row: result.recordset[0], duplicate: false };
+        } catch (error) {
+            // Another run queued the same key between the check and the insert
+            if (idempotencyKey && (error.number === 2601 || error.number === 2627)) {
+                return { row: await this.getByKey(pool, idempotencyKey), duplicate: true };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Keep a dead-lettered message for the admin page but free its idempotency key
+     * (the unique index allows one row per key): the key gets a "#dead-<OutboxID>" suffix
+     */
+    async releaseKey(pool, outboxId) {
+        await pool.request()
+            .input('id', sql.Int, outboxId)
+            .query(`
+                UPDATE NotificationOutbox
+                SET IdempotencyKey = CONCAT(LEFT(IdempotencyKey, 180), '#dead-', OutboxID), UpdatedAt = GETDATE()
+                WHERE OutboxID = @id AND Status = 'DeadLetter'
+            `);
+    }
+
+    async getByKey(pool, idempotencyKey) {
+        const result = await pool.request()
+            .input('idempotencyKey', sql.NVarChar(200), idempotencyKey)
+            .query('SELECT * FROM NotificationOutbox WHERE IdempotencyKey = @idempotencyKey');
+        return result.recordset[0] || null;
+    }
+
+    /**
+     * Queue a notification and try to deliver it right away
+     * The signed-in user's token (context) is only used for this first attempt,
+     * retries go out as the system sender. Recipients who chose a digest or
+     * in-app delivery for the type are held instead (preferences = false skips that)
+     * @returns {Object} - { success, queued, duplicate, held, outboxId, status, sender, error }
+     */
+    async send(message, { context = {}, idempotencyKey = null, createdBy = null, deliverNow = true, preferences = true } = {}) {
+        let held = [];
+        let routed = null;
+        if (preferences) {
+            try {
+                routed = await notificationPreferenceService.applyPreferences(message, { idempotencyKey });
+            } catch (error) {
+                // Preferences must never stop a notification, fall back to immediate delivery
+                console.error('[Outbox] Could not apply notification preferences:', error.message);
+            }
+        }
+        if (routed) {
+            held = routed.held;
+            if (held.length > 0) {
+                console.log(`[Outbox] ${message.type} held for ${held.map(h => `${h.email} (${h.mode})`).join(', ')}`);
+                if (routed.to.length === 0 && routed.cc.length === 0) {
+                    return {
+                        success: false,
+                        queued: true,
+                        held,
+                        duplicate: held.every(h => h.duplicate),
+                        outboxId: null,
+                        status: 'Held',
+                        sender: null,
+                        error: null
+                    };
+                }
+                // Nobody left in To: the CC recipients still get the email
+                message = routed.to.length > 0
+                    ? { ...message, to: routed.to, cc: routed.cc }
+                    : { ...message, to: routed.cc, cc: [] };
+            }
+        }
+
+        const result = await this.sendNow(message, { context, idempotencyKey, createdBy, deliverNow });
+        return held.length > 0 ? { ...result, held } : result;
+    }
+
+    async sendNow(message, { context, idempotencyKey, createdBy, deliverNow }) {
+        const { row, duplicate } = await this.enqueue(message, {
+            idempotencyKey,
+            createdBy: createdBy || (context.senderInfo && context.senderInfo.email)
+        });
+
+        if (duplicate) {
+            console.log(`[Outbox] Skipped duplicate ${row.NotificationType} (${idempotencyKey}), message #${row.OutboxID} is ${row.Status}`);
+            return this.describe(row, { duplicate: true });
+        }
+
+        if (!deliverNow || !this.takeSlot()) {
+            return this.describe(row);
+        }
+
+        const pool = await this.getDbPool();
+        const claimed = await pool.request()
+            .input('id', sql.Int, row.OutboxID)
+            .input('lockMinutes', sql.Int, this.lockMinutes)
+            .query(`
+                UPDATE NotificationOutbox
+                SET Status = 'Sending', LockedUntil = DATEADD(MINUTE, @lockMinutes, GETDATE())
+                OUTPUT INSERTED.*
+                WHERE OutboxID = @id AND Status = 'Pending'
+            `);
+
+        if (claimed.recordset.length === 0) {
+            return this.describe(row);
+        }
+
+        const delivered = await this.deliver(pool, claimed.recordset[0], context);
+        return this.describe(delivered.row, { channels: delivered.channels });
+    }
+
+    /**
+     * Result returned to callers: queued means the outbox still owns the message
+     */
+    describe(row, extra = {}) {
+        const success = row.Status === 'Sent';
+        const queued = ['Pending', 'Sending', 'Failed'].includes(row.Status);
+        return {
+            success,
+            queued,
+            outboxId: row.OutboxID,
+            status: row.Status,
+            sender: row.Sender || null,
+            error: success ? null : (row.LastError ? `${row.LastError}${queued ? ' (queued for retry)' : ''}` : (queued ? 'Queued for delivery' : row.Status)),
+            ...extra
+        };
+    }
+
+    /**
+     * Deliver one claimed message and record the outcome
+     * The message is Sent once every routed channel delivered it. Channels that already
+     * delivered are kept in Channels and skipped on later attempts, so a retry only goes
+     * through the channels that failed. A channel service that throws counts as a failed attempt.
+     */
+    async deliver(pool, row, context = {}) {
+        const deliveredBefore = splitList(row.Channels);
+        let result;
+        try {
+            result = await notificationChannelService.send({
+                type: row.NotificationType,
+                to: splitList(row.ToRecipients),
+                cc: splitList(row.CcRecipients),
+                subject: row.Subject,
+                html: row.HtmlBody,
+                documentNumber: row.DocumentNumber
+            }, context, { skipChannels: deliveredBefore });
+        } catch (error) {
+            result = { success: false, error: error.message, channels: [], thrown: true };
+        }
+
+        const failedChannels = result.channels.filter(c => !c.success);
+        const delivered = [...deliveredBefore, ...result.channels.filter(c => c.success).map(c => c.channel)];
+        const complete = !result.thrown && delivered.length > 0 && failedChannels.length === 0;
+        const lastError = failedChannels.length > 0
+            ? failedChannels.map(c => `${c.channel}: ${c.error}`).join('; ')
+            : (complete ? null : result.error || 'No channel delivered the message');
+
+        const attempts = row.Attempts + 1;
+        const request = pool.request()
+            .input('id', sql.Int, row.OutboxID)
+            .input('attempts', sql.Int, attempts)
+            .input('channels', sql.NVarChar(200), delivered.length > 0 ? delivered.join(',') : null)
+            .input('sender', sql.NVarChar(255), result.sender || null)
+            .input('lastError', sql.NVarChar(sql.MAX), lastError);
+
+        let query;
+        if (complete) {
+            this.stats.delivered++;
+            query = `
+                UPDATE NotificationOutbox
+                SET Status = 'Sent', Attempts = @attempts, Channels = @channels, Sender = COALESCE(Sender, @sender),
+                    LastError = NULL, SentAt = GETDATE(), LockedUntil = NULL
+                OUTPUT INSERTED.*
+                WHERE OutboxID = @id
+            `;
+        } else if (attempts >= row.MaxAttempts) {
+            this.stats.deadLettered++;
+            console.error(`[Outbox] Message #${row.OutboxID} (${row.NotificationType}) moved to dead letter after ${attempts} attempts: ${lastError}`);
+            query = `
+                UPDATE NotificationOutbox
+                SET Status = 'DeadLetter', Attempts = @attempts, Channels = @channels, Sender = COALESCE(Sender, @sender),
+                    LastError = @lastError, LockedUntil = NULL
+                OUTPUT INSERTED.*
+                WHERE OutboxID = @id
+            `;
+        } else {
+            this.stats.failed++;
+            const retryAfter = Math.max(0, ...failedChannels.map(c => c.retryAfter || 0)) || null;
+            const delay = this.getBackoffSeconds(attempts, retryAfter);
+            console.warn(`[Outbox] Message #${row.OutboxID} (${row.NotificationType}) failed, attempt ${attempts}/${row.MaxAttempts}, retry in ${delay}s: ${lastError}`);
+            request.input('delay', sql.Int, delay);
+            query = `
+                UPDATE NotificationOutbox
+                SET Status = 'Failed', Attempts = @attempts, Channels = @channels, Sender = COALESCE(Sender, @sender),
+                    LastError = @lastError, NextAttemptAt = DATEADD(SECOND, @delay, GETDATE()), LockedUntil = NULL
+                OUTPUT INSERTED.*
+                WHERE OutboxID = @id
+            `;
+        }
+
+        const updated = await request.query(query);
+        return { row: updated.recordset[0], channels: result.channels };
+    }
+
+    /**
+     * Deliver due messages, as many as the rate limit allows
+     * Also re-claims messages left in Sending by a worker that stopped
+     */
+    async processQueue() {
+        if (this.isProcessing) return { processed: 0 };
+        this.isProcessing = true;
+        this.lastRunTime = new Date();
+
+        let processed = 0;
+        try {
+            const slots = this.availableSlots();
+            if (slots === 0) return { processed };
+
+            const pool = await this.getDbPool();
+            const claimed = await pool.request()
+                .input('batch', sql.Int, slots)
+                .input('lockMinutes', sql.Int, this.lockMinutes)
+                .query(`
+                    UPDATE TOP (@batch) NotificationOutbox WITH (ROWLOCK, READPAST)
+                    SET Status = 'Sending', LockedUntil = DATEADD(MINUTE, @lockMinutes, GETDATE())
+                    OUTPUT INSERTED.*
+                    WHERE (Status IN ('Pending', 'Failed') AND NextAttemptAt <= GETDATE())
+                       OR (Status = 'Sending' AND LockedUntil < GETDATE())
+                `);
+
+            for (const row of claimed.recordset) {
+                this.takeSlot();
+                try {
+                    await this.deliver(pool, row);
+                } catch (error) {
+                    // The outcome could not be saved: the lock expires and the message is picked up again
+                    console.error(`[Outbox] Error delivering message #${row.OutboxID}:`, error.message);
+                }
+                processed++;
+            }
+
+            if (processed > 0) {
+                console.log(`[Outbox] Processed ${processed} message(s)`);
+            }
+        } catch (error) {
+            console.error('[Outbox] Error processing queue:', error.message);
+        } finally {
+            this.isProcessing = false;
+        }
+
+        return { processed };
+    }
+
+    /**
+     * Start the worker
+     */
+    start() {
+        if (this.intervalId) {
+            console.log('[Outbox] Worker already running');
+            return;
+        }
+
+        console.log(`[Outbox] Starting worker (interval: ${this.intervalSeconds}s, ${this.ratePerMinute} messages/minute)`);
+        this.intervalId = setInterval(() => this.processQueue(), this.intervalSeconds * 1000);
+    }
+
+    /**
+     * Stop the worker
+     */
+    stop() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+            console.log('[Outbox] Worker stopped');
+        }
+    }
+
+    getStatus() {
+        return {
+            workerActive: !!this.intervalId,
+            isProcessing: this.isProcessing,
+            lastRunTime: this.lastRunTime,
+            intervalSeconds: this.intervalSeconds,
+            ratePerMinute: this.ratePerMinute,
+            maxAttempts: this.maxAttempts,
+            stats: this.stats
+        };
+    }
+
+    /**
+     * Outbox messages for the notification history page
+     * @param {Object} filters - { status, type, search, page, pageSize }
+     */
+    async getMessages(pool, filters = {}) {
+        const page = Math.max(1, parseInt(filters.page, 10) || 1);
+        const pageSize = Math.min(200, Math.max(1, parseInt(filters.pageSize, 10) || 50));
+        const conditions = [];
+        const request = pool.request();
+
+        if (filters.status) {
+            if (!STATUSES.includes(filters.status)) throw validationError(`Unknown status: ${filters.status}`);
+            conditions.push('Status = @status');
+            request.input('status', sql.NVarChar(20), filters.status);
+        }
+        if (filters.type) {
+            conditions.push('NotificationType = @type');
+            request.input('type', sql.NVarChar(50), filters.type);
+        }
+        if (filters.search) {
+            conditions.push('(ToRecipients LIKE @search OR CcRecipients LIKE @search OR Subject LIKE @search OR DocumentNumber LIKE @search)');
+            request.input('search', sql.NVarChar(255), `%${filters.search}%`);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        request
+            .input('offset', sql.Int, (page - 1) * pageSize)
+            .input('pageSize', sql.Int, pageSize);
+
+        const result = await request.query(`
+            SELECT COUNT(*) AS Total FROM NotificationOutbox ${where};
+
+            SELECT OutboxID, IdempotencyKey, NotificationType, ToRecipients, CcRecipients, Subject, DocumentNumber,
+                   Status, Attempts, MaxAttempts, NextAttemptAt, LastError, Channels, Sender, SentAt,
+                   CreatedAt, CreatedBy, UpdatedAt, UpdatedBy
+            FROM NotificationOutbox ${where}
+            ORDER BY CreatedAt DESC, OutboxID DESC
+            OFFSET @offset ROWS FETCH NEXT @pageSize ROWS ONLY;
+
+            SELECT Status, COUNT(*) AS Count FROM NotificationOutbox GROUP BY Status;
+        `);
+
+        const counts = Object.fromEntries(STATUSES.map(s => [s, 0]));
+        for (const row of result.recordsets[2]) counts[row.Status] = row.Count;
+
+        const total = result.recordsets[0][0].Total;
+        return {
+            messages: result.recordsets[1].map(row => mapRow(row)),
+            counts,
+            page,
+            pageSize,
+            total,
+            totalPages: Math.ceil(total / pageSize)
+        };
+    }
+
+    async getMessage(pool, outboxId) {
+        const result = await pool.request()
+            .input('id', sql.Int, outboxId)
+            .query('SELECT * FROM NotificationOutbox WHERE OutboxID = @id');
+        if (result.recordset.length === 0) throw validationError('Message not found');
+        return mapRow(result.recordset[0], true);
+    }
+
+    /**
+     * Put a failed, dead-lettered or cancelled message back in the queue with a fresh set of attempts
+     */
+    async retry(pool, outboxId, userEmail) {
+        const message = await this.getMessage(pool, outboxId);
+        if (!RETRYABLE_STATUSES.includes(message.status)) {
+            throw validationError(`A ${message.status} message cannot be retried`);
+        }
+
+        // The worker may have claimed or sent the message since it was read
+        const result = await pool.request()
+            .input('id', sql.Int, outboxId)
+            .input('userEmail', sql.NVarChar(255), userEmail)
+            .query(`
+                UPDATE NotificationOutbox
+                SET Status = 'Pending', Attempts = 0, NextAttemptAt = GETDATE(), LockedUntil = NULL,
+                    UpdatedAt = GETDATE(), UpdatedBy = @userEmail
+                WHERE OutboxID = @id AND Status IN ('Failed', 'DeadLetter', 'Cancelled')
+            `);
+        if (result.rowsAffected[0] === 0) {
+            throw validationError('The message changed while it was being retried, reload and try again');
+        }
+
+        return this.getMessage(pool, outboxId);
+    }
+
+    /**
+     * Cancel a message that has not been delivered yet
+     */
+    async cancel(pool, outboxId, userEmail) {
+        const message = await this.getMessage(pool, outboxId);
+        if (!CANCELLABLE_STATUSES.includes(message.status)) {
+            throw validationError(`A ${message.status} message cannot be cancelled`);
+        }
+
+        await pool.request()
+            .input('id', sql.Int, outboxId)
+            .input('userEmail', sql.NVarChar(255), userEmail)
+            .query(`
+                UPDATE NotificationOutbox
+                SET Status = 'Cancelled', LockedUntil = NULL, UpdatedAt = GETDATE(), UpdatedBy = @userEmail
+                WHERE OutboxID = @id AND Status IN ('Pending', 'Failed')
+            `);
+
+        return this.getMessage(pool, outboxId);
+    }
+}
+
+module.exports = new NotificationOutboxService();
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,251 @@
+/**
+ * Notification Preference Service
+ * Per-user choice of how each notification type is delivered:
+ * - Immediate: email right away (default when the user saved nothing)
+ * - DailyDigest / WeeklyDigest: held in UserNotifications and merged into one
+ *   email by notification-digest-service
+ * - InApp: only shown in the dashboard notification bell
+ * The outbox calls applyPreferences() before queuing, so every sender honours it
+ */
+
+const sql = require('mssql');
+const { firstLink } = require('./notification-channel-service');
+
+const DELIVERY_MODES = [
+    { mode: 'Immediate', label: 'Email immediately' },
+    { mode: 'DailyDigest', label: 'Daily digest' },
+    { mode: 'WeeklyDigest', label: 'Weekly digest' },
+    { mode: 'InApp', label: 'In-app only' }
+];
+
+// Broadcasts, digests and test sends always go out immediately
+const CONFIGURABLE_TYPES = [
+    { type: 'ReportPublished', label: 'Report published' },
+    { type: 'ReportViewed', label: 'Report viewed' },
+    { type: 'ActionPlanSubmitted', label: 'Action plan submitted' },
+    { type: 'ActionPlanReminder', label: 'Action plan reminders' },
+    { type: 'ActionPlanEscalation', label: 'Action plan escalations' },
+    { type: 'PerformanceAlert', label: 'Performance alerts' }
+];
+
+function validationError(message) {
+    const error = new Error(message);
+    error.details = message;
+    return error;
+}
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+class NotificationPreferenceService {
+    /**
+     * Get database connection
+     */
+    async getDbPool() {
+        return await sql.connect(require('../config/default').database);
+    }
+
+    getDeliveryModes() {
+        return DELIVERY_MODES;
+    }
+
+    getConfigurableTypes() {
+        return CONFIGURABLE_TYPES;
+    }
+
+    isConfigurable(type) {
+        return CONFIGURABLE_TYPES.some(t => t.type === type);
+    }
+
+    /**
+     * Delivery mode per configurable type for one user
+     */
+    async getPreferences(pool, userId) {
+        const result = await pool.request()
+            .input('userId', sql.Int, userId)
+            .query('SELECT NotificationType, DeliveryMode, UpdatedAt FROM NotificationPreferences WHERE UserID = @userId');
+
+        const saved = new Map(result.recordset.map(r => [r.NotificationType, r]));
+        return CONFIGURABLE_TYPES.map(({ type, label }) => ({
+            type,
+            label,
+            mode: saved.has(type) ? saved.get(type).DeliveryMode : 'Immediate',
+            updatedAt: saved.has(type) ? saved.get(type).UpdatedAt : null
+        }));
+    }
+
+    /**
+     * Save the user's choices
+     * @param {Object} preferences - { ReportPublished: 'DailyDigest', ... }
+     */
+    async savePreferences(pool, userId, preferences) {
+        if (!preferences || typeof preferences !== 'object') {
+            throw validationError('Preferences are required');
+        }
+
+        for (const [type, mode] of Object.entries(preferences)) {
+            if (!this.isConfigurable(type)) throw validationError(`Unknown notification type: ${type}`);
+            if (!DELIVERY_MODES.some(m => m.mode === mode)) throw validationError(`Unknown delivery mode: ${mode}`);
+        }
+
+        const transaction = new sql.Transaction(pool);
+        await transaction.begin();
+        try {
+            for (const [type, mode] of Object.entries(preferences)) {
+                await new sql.Request(transaction)
+                    .input('userId', sql.Int, userId)
+                    .input('type', sql.NVarChar(50), type)
+                    .input('mode', sql.NVarChar(20), mode)
+                    .query(`
+                        IF EXISTS (SELECT 1 FROM NotificationPreferences WHERE UserID = @userId AND NotificationType = @type)
+                            UPDATE NotificationPreferences SET DeliveryMode = @mode, UpdatedAt = GETDATE()
+                            WHERE UserID = @userId AND NotificationType = @type
+                        ELSE
+                            INSERT INTO NotificationPreferences (UserID, NotificationType, DeliveryMode)
+                            VALUES (@userId, @type, @mode)
+                    `);
+            }
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+
+        return this.getPreferences(pool, userId);
+    }
+
+    /**
+     * Users among the given emails who do not want this type immediately
+     * @returns {Map} - email (lower case) => { userId, mode }
+     */
+    async getHeldRecipients(pool, type, emails) {
+        const held = new Map();
+        if (!this.isConfigurable(type) || emails.length === 0) return held;
+
+        const request = pool.request().input('type', sql.NVarChar(50), type);
+        const params = emails.map((email, i) => {
+            request.input(`email${i}`, sql.NVarChar(255), email);
+            return `@email${i}`;
+        });
+
+        const result = await request.query(`
+            SELECT u.id, u.email, p.DeliveryMode
+            FROM NotificationPreferences p
+            INNER JOIN Users u ON u.id = p.UserID
+            WHERE p.NotificationType = @type
+              AND p.DeliveryMode <> 'Immediate'
+              AND u.email IN (${params.join(', ')})
+        `);
+
+        for (const row of result.recordset) {
+            held.set(normalizeEmail(row.email), { userId: row.id, mode: row.DeliveryMode });
+        }
+        return held;
+    }
+
+    /**
+     * Take recipients who chose a digest or in-app delivery off the message and
+     * hold the notification for them instead
+     * @param {Object} message - { type, to, cc, subject, html, documentNumber }
+     * @returns {Object} - { to, cc, held: [{ email, mode, duplicate }] }
+     */
+    async applyPreferences(message, { idempotencyKey = null } = {}) {
+        const to = (Array.isArray(message.to) ? message.to : [message.to]).filter(Boolean);
+        const cc = (message.cc || []).filter(Boolean);
+        if (!this.isConfigurable(message.type)) return { to, cc, held: [] };
+
+        const pool = await this.getDbPool();
+        const unique = [...new Set([...to, ...cc].map(normalizeEmail))];
+        const heldRecipients = await this.getHeldRecipients(pool, message.type, unique);
+        if (heldRecipients.size === 0) return { to, cc, held: [] };
+
+        const held = [];
+        for (const [email, { userId, mode }] of heldRecipients) {
+            const inserted = await this.hold(pool, userId, mode, message, idempotencyKey);
+            held.push({ email, mode, duplicate: !inserted });
+        }
+
+        const isImmediate = email => !heldRecipients.has(normalizeEmail(email));
+        return { to: to.filter(isImmediate), cc: cc.filter(isImmediate), held };
+    }
+
+    /**
+     * Store a held notification, returns false when the idempotency key was already held for the user
+     */
+    async hold(pool, userId, mode, message, idempotencyKey = null) {
+        try {
+            await pool.request()
+                .input('userId', sql.Int, userId)
+                .input('type', sql.NVarChar(50), message.type)
+                .input('mode', sql.NVarChar(20), mode)
+                .input('title', sql.NVarChar(500), (message.subject || message.type).slice(0, 500))
+                .input('documentNumber', sql.NVarChar(50), message.documentNumber || null)
+                .input('link', sql.NVarChar(1000), message.link || firstLink(message.html))
+                .input('idempotencyKey', sql.NVarChar(200), idempotencyKey ? String(idempotencyKey).slice(0, 200) : null)
+                .query(`
+                    INSERT INTO UserNotifications (UserID, NotificationType, DeliveryMode, Title, DocumentNumber, Link, IdempotencyKey)
+                    VALUES (@userId, @type, @mode, @title, @documentNumber, @link, @idempotencyKey)
+                `);
+            return true;
+        } catch (error) {
+            if (idempotencyKey && (error.number === 2601 || error.number === 2627)) return false;
+            throw error;
+        }
+    }
+
+    /**
+     * In-app notifications for the dashboard bell
+     */
+    async getInbox(pool, userId, limit = 20) {
+        const result = await pool.request()
+            .input('userId', sql.Int, userId)
+            .input('limit', sql.Int, Math.min(100, Math.max(1, parseInt(limit, 10) || 20)))
+            .query(`
+                SELECT TOP (@limit) UserNotificationID, NotificationType, DeliveryMode, Title, DocumentNumber, Link, CreatedAt, ReadAt, DigestedAt
+                FROM UserNotifications
+                WHERE UserID = @userId
+                ORDER BY CreatedAt DESC;
+
+                SELECT COUNT(*) AS Unread FROM UserNotifications WHERE UserID = @userId AND ReadAt IS NULL;
+            `);
+
+        return {
+            notifications: result.recordsets[0].map(r => ({
+                id: r.UserNotificationID,
+                type: r.NotificationType,
+                mode: r.DeliveryMode,
+                title: r.Title,
+                documentNumber: r.DocumentNumber,
+                link: r.Link,
+                createdAt: r.CreatedAt,
+                readAt: r.ReadAt,
+                digestedAt: r.DigestedAt
+            })),
+            unread: result.recordsets[1][0].Unread
+        };
+    }
+
+    async getUnreadCount(pool, userId) {
+        const result = await pool.request()
+            .input('userId', sql.Int, userId)
+            .query('SELECT COUNT(*) AS Unread FROM UserNotifications WHERE UserID = @userId AND ReadAt IS NULL');
+        return result.recordset[0].Unread;
+    }
+
+    async markRead(pool, userId, notificationId) {
+        await pool.request()
+            .input('userId', sql.Int, userId)
+            .input('id', sql.Int, notificationId)
+            .query('UPDATE UserNotifications SET ReadAt = GETDATE() WHERE UserNotificationID = @id AND UserID = @userId AND ReadAt IS NULL');
+    }
+
+    async markAllRead(pool, userId) {
+        await pool.request()
+            .input('userId', sql.Int, userId)
+            .query('UPDATE UserNotifications SET ReadAt = GETDATE() WHERE UserID = @userId AND ReadAt IS NULL');
+    }
+}
+
+module.exports = new NotificationPreferenceService();
+module.exports.DELIVERY_MODES = DELIVERY_MODES;
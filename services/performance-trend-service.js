@@ -0,0 +1,826 @@
+/**
+ * Performance Trend Service
+ * Trend lines with significance checks and anomaly alerts across cycles:
+ * - Store trends: total score per audit with a rolling average and a regression slope
+ *   (points per audit) tested against zero
+ * - Section trends: average section score per cycle for the viewer's stores, same test
+ * - Alerts (PerformanceAlerts), detected nightly at PERFORMANCE_ALERT_HOUR (default 3):
+ *   - ScoreDrop: a store's latest score is N points below its rolling average
+ *   - SectionDrop: the same for one section of the latest audit
+ *   - AuditorDeviation: an auditor's scores differ systematically from other auditors
+ *     on the same stores (calibration signal)
+ *   Drops must also be significant (one-sided test against the prediction interval of
+ *   the previous audits), deviations must pass a t-test over the stores compared.
+ * New alerts show on the dashboard and, when enabled, go out as 'PerformanceAlert'
+ * notifications (users can choose in-app or digest delivery in their preferences).
+ */
+
+const sql = require('mssql');
+const stats = require('./trend-statistics');
+const analyticsQueryService = require('./analytics-query-service');
+const emailTemplateService = require('./email-template-service');
+const notificationOutboxService = require('./notification-outbox-service');
+
+const ALERT_TYPES = {
+    ScoreDrop: 'Store score drop',
+    SectionDrop: 'Section score drop',
+    AuditorDeviation: 'Auditor deviation'
+};
+
+const ALERT_STATUSES = ['Open', 'Acknowledged', 'Dismissed'];
+
+const NOTIFY_ROLES = ['Admin', 'SuperAuditor', 'HeadOfOperations', 'AreaManager'];
+
+const DEFAULT_SETTINGS = {
+    scoreDropPoints: 10,            // Drop below the rolling average that raises an alert
+    sectionDropPoints: 15,
+    rollingAudits: 3,               // Previous audits in the rolling average
+    auditorDeviationPoints: 5,      // Average difference from peers on the same stores
+    minPeerStores: 5,               // Stores with peer audits needed to judge an auditor
+    significanceLevel: 0.05,
+    notificationsEnabled: false,
+    notifyRoles: ['Admin', 'SuperAuditor']
+};
+
+const DROP_LOOKBACK_DAYS = 60;      // Only the latest audits completed recently raise drop alerts
+const AUDITOR_WINDOW_MONTHS = 12;
+
+function validationError(message) {
+    const error = new Error(message);
+    error.details = message;
+    return error;
+}
+
+function forbidden(message) {
+    const error = new Error(message);
+    error.status = 403;
+    return error;
+}
+
+function round(value, digits = 1) {
+    if (value === null || value === undefined || !Number.isFinite(value)) return null;
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' }[c]));
+}
+
+function dateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function cycleNumber(cycle) {
+    const match = /(\d+)/.exec(cycle || '');
+    return match ? parseInt(match[1]) : 0;
+}
+
+class PerformanceTrendService {
+    constructor() {
+        this.intervalId = null;
+        this.isProcessing = false;
+        this.lastRunTime = null;
+        this.lastRunDate = null;
+        this.lastSummary = null;
+        this.checkMinutes = 15;
+        this.alertHour = parseInt(process.env.PERFORMANCE_ALERT_HOUR, 10);
+        if (isNaN(this.alertHour)) this.alertHour = 3;
+    }
+
+    getOptions() {
+        return {
+            alertTypes: Object.entries(ALERT_TYPES).map(([type, label]) => ({ type, label })),
+            statuses: ALERT_STATUSES,
+            notifyRoles: NOTIFY_ROLES,
+            defaults: DEFAULT_SETTINGS
+        };
+    }
+
+    // ==========================================
+    // SETTINGS
+    // ==========================================
+
+    async getSettings(pool) {
+        const result = await pool.request().query(`SELECT TOP 1 * FROM PerformanceAlertSettings ORDER BY SettingID`);
+        const row = result.recordset[0];
+        if (!row) return { ...DEFAULT_SETTINGS };
+        return {
+            scoreDropPoints: Number(row.ScoreDropPoints),
+            sectionDropPoints: Number(row.SectionDropPoints),
+            rollingAudits: row.RollingAudits,
+            auditorDeviationPoints: Number(row.AuditorDeviationPoints),
+            minPeerStores: row.MinPeerStores,
+            significanceLevel: Number(row.SignificanceLevel),
+            notificationsEnabled: !!row.NotificationsEnabled,
+            notifyRoles: (row.NotifyRoles || '').split(',').map(r => r.trim()).filter(r => NOTIFY_ROLES.includes(r)),
+            modifiedAt: row.ModifiedAt,
+            modifiedBy: row.ModifiedBy
+        };
+    }
+
+    normalizeSettings(input = {}) {
+        const number = (value, name, min, max) => {
+            const parsed = Number(value);
+            if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+                throw validationError(`${name} must be between ${min} and ${max}`);
+            }
+            return parsed;
+        };
+        const roles = Array.isArray(input.notifyRoles) ? input.notifyRoles.filter(r => NOTIFY_ROLES.includes(r)) : [];
+        const settings = {
+            scoreDropPoints: number(input.scoreDropPoints ?? DEFAULT_SETTINGS.scoreDropPoints, 'Score drop', 1, 100),
+            sectionDropPoints: number(input.sectionDropPoints ?? DEFAULT_SETTINGS.sectionDropPoints, 'Section drop', 1, 100),
+            rollingAudits: Math.round(number(input.rollingAudits ?? DEFAULT_SETTINGS.rollingAudits, 'Rolling audits', 2, 12)),
+            auditorDeviationPoints: number(input.auditorDeviationPoints ?? DEFAULT_SETTINGS.auditorDeviationPoints, 'Auditor deviation', 1, 50),
+            minPeerStores: Math.round(number(input.minPeerStores ?? DEFAULT_SETTINGS.minPeerStores, 'Minimum stores', 3, 100)),
+            significanceLevel: number(input.significanceLevel ?? DEFAULT_SETTINGS.significanceLevel, 'Significance level', 0.001, 0.2),
+            notificationsEnabled: input.notificationsEnabled === true || input.notificationsEnabled === 'true',
+            notifyRoles: roles
+        };
+        if (settings.notificationsEnabled && roles.length === 0) {
+            throw validationError('Select at least one role to notify');
+        }
+        return settings;
+    }
+
+    async saveSettings(pool, input, user) {
+        const settings = this.normalizeSettings(input);
+        await pool.request()
+            .input('ScoreDropPoints', sql.Decimal(5, 1), settings.scoreDropPoints)
+            .input('SectionDropPoints', sql.Decimal(5, 1), settings.sectionDropPoints)
+            .input('RollingAudits', sql.Int, settings.rollingAudits)
+            .input('AuditorDeviationPoints', sql.Decimal(5, 1), settings.auditorDeviationPoints)
+            .input('MinPeerStores', sql.Int, settings.minPeerStores)
+            .input('SignificanceLevel', sql.Decimal(6, 4), settings.significanceLevel)
+            .input('NotificationsEnabled', sql.Bit, settings.notificationsEnabled)
+            .input('NotifyRoles', sql.NVarChar(200), settings.notifyRoles.join(','))
+            .input('ModifiedBy', sql.NVarChar(255), user.email)
+            .query(`
+                IF EXISTS (SELECT 1 FROM PerformanceAlertSettings)
+                    UPDATE PerformanceAlertSettings
+                    SET ScoreDropPoints = @ScoreDropPoints, SectionDropPoints = @SectionDropPoints,
+                        RollingAudits = @RollingAudits, AuditorDeviationPoints = @AuditorDeviationPoints,
+                        MinPeerStores = @MinPeerStores, SignificanceLevel = @SignificanceLevel,
+                        NotificationsEnabled = @NotificationsEnabled, NotifyRoles = @NotifyRoles,
+                        ModifiedAt = GETDATE(), ModifiedBy = @ModifiedBy
+                ELSE
+                    INSERT INTO PerformanceAlertSettings (ScoreDropPoints, SectionDropPoints, RollingAudits, AuditorDeviationPoints,
+                        MinPeerStores, SignificanceLevel, NotificationsEnabled, NotifyRoles, ModifiedBy)
+                    VALUES (@ScoreDropPoints, @SectionDropPoints, @RollingAudits, @AuditorDeviationPoints,
+                        @MinPeerStores, @SignificanceLevel, @NotificationsEnabled, @NotifyRoles, @ModifiedBy)
+            `);
+        console.log(`[PerformanceAlerts] Settings updated by ${user.email}`);
+        return this.getSettings(pool);
+    }
+
+    // ==========================================
+    // TRENDS
+    // ==========================================
+
+    /**
+     * Completed audits, oldest first
+     * @param {Object} filters - { schemaId, storeId, sinceMonths, scopeStoreIds }
+     */
+    async loadAudits(pool, { schemaId, storeId, sinceMonths, scopeStoreIds } = {}) {
+        const request = pool.request();
+        let where = `WHERE ai.Status = 'Completed' AND ai.TotalScore IS NOT NULL AND ai.StoreID IS NOT NULL`;
+        if (schemaId) {
+            request.input('SchemaID', sql.Int, parseInt(schemaId));
+            where += ' AND ai.SchemaID = @SchemaID';
+        }
+        if (storeId) {
+            request.input('StoreID', sql.Int, parseInt(storeId));
+            where += ' AND ai.StoreID = @StoreID';
+        }
+        if (sinceMonths) {
+            where += ` AND ai.AuditDate >= DATEADD(MONTH, -${parseInt(sinceMonths)}, GETDATE())`;
+        }
+        where += analyticsQueryService.scopeCondition(scopeStoreIds);
+
+        const result = await request.query(`
+            SELECT ai.AuditID, ai.DocumentNumber, ai.StoreID, s.StoreName, s.Brand, ai.SchemaID,
+                   ai.AuditDate, ai.Year, ai.Cycle, ai.TotalScore, ai.Auditors
+            FROM AuditInstances ai
+            INNER JOIN Stores s ON s.StoreID = ai.StoreID
+            ${where}
+            ORDER BY ai.StoreID, ai.SchemaID, ai.AuditDate, ai.AuditID
+        `);
+        return result.recordset;
+    }
+
+    /**
+     * Regression summary used by every trend: slope per step, p-value and direction
+     */
+    summarizeTrend(values, alpha) {
+        const regression = stats.linearRegression(values.map((y, x) => ({ x, y })));
+        if (!regression) return { points: values.length, slope: null, pValue: null, significant: false, direction: 'insufficient' };
+        const significant = regression.pValue !== null && regression.pValue < alpha;
+        return {
+            points: regression.n,
+            slope: round(regression.slope, 2),
+            rSquared: round(regression.rSquared, 2),
+            pValue: round(regression.pValue, 4),
+            significant,
+            direction: !significant ? 'stable' : (regression.slope < 0 ? 'declining' : 'improving')
+        };
+    }
+
+    rollingAverage(values, window) {
+        return values.map((_, i) => {
+            const previous = values.slice(Math.max(0, i - window), i);
+            return previous.length > 0 ? round(stats.mean(previous)) : null;
+        });
+    }
+
+    /**
+     * Trend of every store (per schema) in scope, declining stores first
+     */
+    async getStoreTrends(pool, { schemaId, scopeStoreIds } = {}) {
+        const settings = await this.getSettings(pool);
+        const audits = await this.loadAudits(pool, { schemaId, scopeStoreIds });
+
+        const groups = new Map();
+        for (const audit of audits) {
+            const key = `${audit.StoreID}|${audit.SchemaID}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(audit);
+        }
+
+        const stores = Array.from(groups.values()).map(list => {
+            const scores = list.map(a => a.TotalScore);
+            const latest = list[list.length - 1];
+            const average = this.rollingAverage(scores, settings.rollingAudits);
+            return {
+                storeId: latest.StoreID,
+                storeName: latest.StoreName,
+                brand: latest.Brand,
+                schemaId: latest.SchemaID,
+                audits: list.length,
+                latestScore: round(latest.TotalScore),
+                latestDate: latest.AuditDate,
+                rollingAverage: average[average.length - 1],
+                trend: this.summarizeTrend(scores, settings.significanceLevel)
+            };
+        });
+
+        const order = { declining: 0, stable: 1, improving: 2, insufficient: 3 };
+        stores.sort((a, b) => order[a.trend.direction] - order[b.trend.direction] || (a.trend.slope ?? 0) - (b.trend.slope ?? 0));
+        return { stores, settings: { rollingAudits: settings.rollingAudits, significanceLevel: settings.significanceLevel } };
+    }
+
+    /**
+     * One store's score line and the trend of each of its sections
+     */
+    async getStoreTrend(pool, storeId, { schemaId, scopeStoreIds } = {}) {
+        if (scopeStoreIds && !scopeStoreIds.includes(storeId)) {
+            throw forbidden('This store is outside your area');
+        }
+        const settings = await this.getSettings(pool);
+        let audits = await this.loadAudits(pool, { storeId, schemaId });
+        if (audits.length === 0) {
+            return { storeId, audits: [], sections: [], trend: this.summarizeTrend([], settings.significanceLevel) };
+        }
+        // Without a schema, follow the schema of the latest audit
+        const schema = schemaId ? parseInt(schemaId) : audits[audits.length - 1].SchemaID;
+        audits = audits.filter(a => a.SchemaID === schema);
+
+        const scores = audits.map(a => a.TotalScore);
+        const average = this.rollingAverage(scores, settings.rollingAudits);
+
+        const sectionsResult = await pool.request()
+            .input('StoreID', sql.Int, storeId)
+            .input('SchemaID', sql.Int, schema)
+            .query(`
+                SELECT ss.AuditID, ss.SectionName, ss.Percentage
+                FROM AuditSectionScores ss
+                INNER JOIN AuditInstances ai ON ai.AuditID = ss.AuditID
+                WHERE ai.StoreID = @StoreID AND ai.SchemaID = @SchemaID AND ai.Status = 'Completed'
+                  AND ss.Percentage IS NOT NULL
+                ORDER BY ai.AuditDate, ai.AuditID
+            `);
+        const sections = new Map();
+        for (const row of sectionsResult.recordset) {
+            if (!sections.has(row.SectionName)) sections.set(row.SectionName, []);
+            sections.get(row.SectionName).push({ auditId: row.AuditID, percentage: round(Number(row.Percentage)) });
+        }
+
+        return {
+            storeId,
+            storeName: audits[0].StoreName,
+            brand: audits[0].Brand,
+            schemaId: schema,
+            audits: audits.map((a, i) => ({
+                auditId: a.AuditID,
+                documentNumber: a.DocumentNumber,
+                auditDate: a.AuditDate,
+                year: a.Year,
+                cycle: a.Cycle,
+                auditors: a.Auditors,
+                score: round(a.TotalScore),
+                rollingAverage: average[i]
+            })),
+            trend: this.summarizeTrend(scores, settings.significanceLevel),
+            sections: Array.from(sections.entries()).map(([sectionName, points]) => ({
+                sectionName,
+                points,
+                trend: this.summarizeTrend(points.map(p => p.percentage), settings.significanceLevel)
+            })).sort((a, b) => (a.trend.slope ?? 0) - (b.trend.slope ?? 0))
+        };
+    }
+
+    /**
+     * Average score of each section per cycle over the stores in scope
+     */
+    async getSectionTrends(pool, { schemaId, scopeStoreIds } = {}) {
+        if (!schemaId) throw validationError('Select a schema');
+        const settings = await this.getSettings(pool);
+        const result = await pool.request()
+            .input('SchemaID', sql.Int, parseInt(schemaId))
+            .query(`
+                SELECT ss.SectionName, ai.Year, ai.Cycle, AVG(CAST(ss.Percentage AS FLOAT)) AS AvgScore, COUNT(*) AS Audits
+                FROM AuditSectionScores ss
+                INNER JOIN AuditInstances ai ON ai.AuditID = ss.AuditID
+                WHERE ai.SchemaID = @SchemaID AND ai.Status = 'Completed' AND ss.Percentage IS NOT NULL
+                  ${analyticsQueryService.scopeCondition(scopeStoreIds)}
+                GROUP BY ss.SectionName, ai.Year, ai.Cycle
+            `);
+
+        const periods = [...new Set(result.recordset.map(r => `${r.Year}|${r.Cycle}`))]
+            .map(key => {
+                const [year, cycle] = key.split('|');
+                return { key, year: parseInt(year), cycle };
+            })
+            .sort((a, b) => a.year - b.year || cycleNumber(a.cycle) - cycleNumber(b.cycle));
+
+        const sections = new Map();
+        for (const row of result.recordset) {
+            if (!sections.has(row.SectionName)) sections.set(row.SectionName, new Map());
+            sections.get(row.SectionName).set(`${row.Year}|${row.Cycle}`, { avgScore: round(row.AvgScore), audits: row.Audits });
+        }
+
+        return {
+            periods: periods.map(p => ({ year: p.year, cycle: p.cycle, label: `${p.cycle} ${p.year}` })),
+            sections: Array.from(sections.entries()).map(([sectionName, byPeriod]) => {
+                const points = periods.map(p => byPeriod.get(p.key) || null);
+                return {
+                    sectionName,
+                    points,
+                    trend: this.summarizeTrend(points.filter(Boolean).map(p => p.avgScore), settings.significanceLevel)
+                };
+            }).sort((a, b) => (a.trend.slope ?? 0) - (b.trend.slope ?? 0))
+        };
+    }
+
+    // ==========================================
+    // DETECTION
+    // ==========================================
+
+    /**
+     * Latest audit of every store / schema far below its rolling average (total and per section)
+     */
+    async detectDrops(pool, settings, now) {
+        const audits = await this.loadAudits(pool, {});
+        const groups = new Map();
+        for (const audit of audits) {
+            const key = `${audit.StoreID}|${audit.SchemaID}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(audit);
+        }
+
+        const since = new Date(now.getTime() - DROP_LOOKBACK_DAYS * 86400000);
+        const candidates = [];
+        for (const list of groups.values()) {
+            const latest = list[list.length - 1];
+            const previous = list.slice(-1 - settings.rollingAudits, -1);
+            if (new Date(latest.AuditDate) < since || previous.length < 2) continue;
+            candidates.push({ latest, previous });
+        }
+        if (candidates.length === 0) return [];
+
+        const alerts = [];
+        for (const { latest, previous } of candidates) {
+            const test = stats.dropTest(previous.map(a => a.TotalScore), latest.TotalScore);
+            if (test && test.drop >= settings.scoreDropPoints && test.pValue < settings.significanceLevel) {
+                alerts.push({
+                    alertKey: `ScoreDrop:${latest.AuditID}`,
+                    alertType: 'ScoreDrop',
+                    severity: test.drop >= 2 * settings.scoreDropPoints ? 'High' : 'Medium',
+                    storeId: latest.StoreID,
+                    schemaId: latest.SchemaID,
+                    auditId: latest.AuditID,
+                    title: `${latest.StoreName}: score dropped ${round(test.drop)} points`,
+                    message: `${latest.DocumentNumber} scored ${round(latest.TotalScore)}% against a rolling average of ` +
+                        `${round(test.mean)}% over the previous ${previous.length} audits (p = ${round(test.pValue, 4)}).`,
+                    observedValue: latest.TotalScore,
+                    expectedValue: test.mean,
+                    pValue: test.pValue,
+                    details: { documentNumber: latest.DocumentNumber, previous: previous.map(a => ({ documentNumber: a.DocumentNumber, score: round(a.TotalScore) })) }
+                });
+            }
+        }
+
+        // Sections of the same audits
+        const auditIds = candidates.flatMap(c => [c.latest.AuditID, ...c.previous.map(a => a.AuditID)]);
+        const sectionScores = new Map();
+        for (let i = 0; i < auditIds.length; i += 500) {
+            const result = await pool.request().query(`
+                SELECT AuditID, SectionName, Percentage FROM AuditSectionScores
+                WHERE Percentage IS NOT NULL AND AuditID IN (${auditIds.slice(i, i + 500).map(id => parseInt(id)).join(',')})
+            `);
+            for (const row of result.recordset) {
+                sectionScores.set(`${row.AuditID}|${row.SectionName}`, Number(row.Percentage));
+            }
+        }
+
+        for (const { latest, previous } of candidates) {
+            const sectionNames = [...sectionScores.keys()]
+                .filter(key => key.startsWith(`${latest.AuditID}|`))
+                .map(key => key.slice(String(latest.AuditID).length + 1));
+            for (const sectionName of sectionNames) {
+                const history = previous
+                    .map(a => sectionScores.get(`${a.AuditID}|${sectionName}`))
+                    .filter(v => v !== undefined);
+                const test = stats.dropTest(history, sectionScores.get(`${latest.AuditID}|${sectionName}`));
+                if (test && test.drop >= settings.sectionDropPoints && test.pValue < settings.significanceLevel) {
+                    alerts.push({
+                        alertKey: `SectionDrop:${latest.AuditID}:${sectionName}`.slice(0, 200),
+                        alertType: 'SectionDrop',
+                        severity: test.drop >= 2 * settings.sectionDropPoints ? 'High' : 'Medium',
+                        storeId: latest.StoreID,
+                        schemaId: latest.SchemaID,
+                        auditId: latest.AuditID,
+                        sectionName,
+                        title: `${latest.StoreName}: ${sectionName} dropped ${round(test.drop)} points`,
+                        message: `${sectionName} scored ${round(test.mean - test.drop)}% in ${latest.DocumentNumber} against a rolling average of ` +
+                            `${round(test.mean)}% (p = ${round(test.pValue, 4)}).`,
+                        observedValue: test.mean - test.drop,
+                        expectedValue: test.mean,
+                        pValue: test.pValue,
+                        details: { documentNumber: latest.DocumentNumber, history: history.map(v => round(v)) }
+                    });
+                }
+            }
+        }
+        return alerts;
+    }
+
+    /**
+     * Auditors whose scores differ from other auditors' scores on the same stores.
+     * Each store counts once: the auditor's average there minus the peers' average.
+     */
+    async detectAuditorDeviations(pool, settings, now) {
+        const audits = (await this.loadAudits(pool, { sinceMonths: AUDITOR_WINDOW_MONTHS })).filter(a => a.Auditors);
+
+        const byStore = new Map();
+        for (const audit of audits) {
+            const key = `${audit.StoreID}|${audit.SchemaID}`;
+            if (!byStore.has(key)) byStore.set(key, []);
+            byStore.get(key).push(audit);
+        }
+
+        const differences = new Map();      // auditor => [{ storeName, difference }]
+        for (const list of byStore.values()) {
+            const auditors = [...new Set(list.map(a => a.Auditors))];
+            if (auditors.length < 2) continue;
+            for (const auditor of auditors) {
+                const own = list.filter(a => a.Auditors === auditor).map(a => a.TotalScore);
+                const peers = list.filter(a => a.Auditors !== auditor).map(a => a.TotalScore);
+                if (!differences.has(auditor)) differences.set(auditor, []);
+                differences.get(auditor).push({ storeName: list[0].StoreName, difference: stats.mean(own) - stats.mean(peers) });
+            }
+        }
+
+        const month = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+        const alerts = [];
+        for (const [auditor, stores] of differences) {
+            if (stores.length < settings.minPeerStores) continue;
+            const test = stats.oneSampleTTest(stores.map(s => s.difference));
+            if (!test || Math.abs(test.mean) < settings.auditorDeviationPoints || test.pValue >= settings.significanceLevel) continue;
+            const lenient = test.mean > 0;
+            alerts.push({
+                alertKey: `AuditorDeviation:${auditor}:${month}`.slice(0, 200),
+                alertType: 'AuditorDeviation',
+                severity: Math.abs(test.mean) >= 2 * settings.auditorDeviationPoints ? 'High' : 'Medium',
+                auditorName: auditor,
+                title: `${auditor}: scores ${round(Math.abs(test.mean))} points ${lenient ? 'above' : 'below'} peers`,
+                message: `Across ${stores.length} stores also audited by others in the last ${AUDITOR_WINDOW_MONTHS} months, ` +
+                    `${auditor} scored on average ${round(Math.abs(test.mean))} points ${lenient ? 'higher (lenient)' : 'lower (severe)'} ` +
+                    `than the other auditors (p = ${round(test.pValue, 4)}). Consider a calibration visit.`,
+                observedValue: test.mean,
+                expectedValue: 0,
+                pValue: test.pValue,
+                details: { stores: stores.map(s => ({ storeName: s.storeName, difference: round(s.difference) })) }
+            });
+        }
+        return alerts;
+    }
+
+    /**
+     * Detect, store the new alerts and notify
+     * @returns {Promise<Object>} { detected, created, notified }
+     */
+    async run(pool, triggeredBy = 'Schedule') {
+        const now = new Date();
+        const settings = await this.getSettings(pool);
+        const detected = [
+            ...await this.detectDrops(pool, settings, now),
+            ...await this.detectAuditorDeviations(pool, settings, now)
+        ];
+
+        const created = [];
+        for (const alert of detected) {
+            const result = await pool.request()
+                .input('AlertKey', sql.NVarChar(200), alert.alertKey)
+                .input('AlertType', sql.NVarChar(30), alert.alertType)
+                .input('Severity', sql.NVarChar(10), alert.severity)
+                .input('StoreID', sql.Int, alert.storeId || null)
+                .input('SchemaID', sql.Int, alert.schemaId || null)
+                .input('AuditID', sql.Int, alert.auditId || null)
+                .input('SectionName', sql.NVarChar(200), alert.sectionName || null)
+                .input('AuditorName', sql.NVarChar(255), alert.auditorName || null)
+                .input('Title', sql.NVarChar(300), alert.title.slice(0, 300))
+                .input('Message', sql.NVarChar(sql.MAX), alert.message)
+                .input('ObservedValue', sql.Decimal(7, 2), round(alert.observedValue, 2))
+                .input('ExpectedValue', sql.Decimal(7, 2), round(alert.expectedValue, 2))
+                .input('PValue', sql.Decimal(9, 6), Number.isFinite(alert.pValue) ? alert.pValue : 0)
+                .input('Details', sql.NVarChar(sql.MAX), JSON.stringify(alert.details || {}))
+                .query(`
+                    IF NOT EXISTS (SELECT 1 FROM PerformanceAlerts WHERE AlertKey = @AlertKey)
+                        INSERT INTO PerformanceAlerts (AlertKey, AlertType, Severity, StoreID, SchemaID, AuditID, SectionName,
+                            AuditorName, Title, Message, ObservedValue, ExpectedValue, PValue, Details)
+                        OUTPUT INSERTED.AlertID
+                        VALUES (@AlertKey, @AlertType, @Severity, @StoreID, @SchemaID, @AuditID, @SectionName,
+                            @AuditorName, @Title, @Message, @ObservedValue, @ExpectedValue, @PValue, @Details)
+                `);
+            if (result.recordset && result.recordset.length > 0) {
+                created.push({ ...alert, alertId: result.recordset[0].AlertID });
+            }
+        }
+
+        let notified = 0;
+        if (settings.notificationsEnabled && created.length > 0) {
+            notified = await this.notify(pool, created, settings, now);
+        }
+
+        const summary = { detected: detected.length, created: created.length, notified };
+        this.lastSummary = { ...summary, ranAt: now, triggeredBy };
+        console.log(`[PerformanceAlerts] ${summary.detected} alert(s) detected, ${summary.created} new, ${summary.notified} notification(s) (${triggeredBy})`);
+        return summary;
+    }
+
+    // ==========================================
+    // NOTIFICATIONS
+    // ==========================================
+
+    /**
+     * Default template when performance_alert is not in EmailTemplates yet
+     */
+    buildDefaultEmail(data) {
+        const template = emailTemplateService.getDefaultTemplates().find(t => t.template_key === 'performance_alert');
+        return {
+            subject: emailTemplateService.replacePlaceholders(template.subject_template, data),
+            html: emailTemplateService.replacePlaceholders(template.html_body, data)
+        };
+    }
+
+    /**
+     * One email per recipient with the new alerts they can see
+     * Area Managers / Heads of Operations only get store alerts of their own stores
+     */
+    async notify(pool, alerts, settings, now) {
+        const request = pool.request();
+        const roles = settings.notifyRoles.map((role, i) => {
+            request.input(`role${i}`, sql.NVarChar(50), role);
+            return `@role${i}`;
+        });
+        const users = await request.query(`
+            SELECT id, email, display_name, role, preferred_language FROM Users
+            WHERE is_active = 1 AND email IS NOT NULL AND role IN (${roles.join(', ')})
+        `);
+
+        const dashboardUrl = process.env.DASHBOARD_URL || 'https://pappreports.gmrlapps.com:3001/auth/login';
+        const appUrl = process.env.APP_URL || dashboardUrl.replace(/\/auth\/login$/, '');
+        let sent = 0;
+        for (const user of users.recordset) {
+            try {
+                const scope = await analyticsQueryService.getUserStoreScope(pool, user);
+                const visible = alerts.filter(a => !scope || (a.storeId && scope.includes(a.storeId)));
+                if (visible.length === 0) continue;
+
+                const rows = visible.map(a => `
+                    <tr>
+                        <td style="padding: 8px; border-bottom: 1px solid #e2e8f0; color: ${a.severity === 'High' ? '#b91c1c' : '#c2410c'}; font-weight: bold;">${escapeHtml(a.severity)}</td>
+                        <td style="padding: 8px; border-bottom: 1px solid #e2e8f0;"><strong>${escapeHtml(a.title)}</strong><br><span style="color: #64748b; font-size: 12px;">${escapeHtml(a.message)}</span></td>
+                    </tr>`).join('');
+                const data = {
+                    recipientName: escapeHtml(user.display_name || user.email),
+                    alertCount: visible.length,
+                    detectedAt: now.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }),
+                    alertRows: `<table style="width: 100%; border-collapse: collapse; font-size: 14px;">${rows}</table>`,
+                    alertsUrl: `${appUrl}/analytics/trends`
+                };
+                const email = await emailTemplateService.buildEmail('performance_alert', data, user.preferred_language) || this.buildDefaultEmail(data);
+                await notificationOutboxService.send({
+                    type: 'PerformanceAlert',
+                    to: [user.email],
+                    subject: email.subject,
+                    html: email.html
+                }, {
+                    idempotencyKey: `PerformanceAlert:${dateKey(now)}:${visible.map(a => a.alertId).join(',')}:${user.id}`.slice(0, 200),
+                    createdBy: 'PerformanceAlertJob'
+                });
+                sent++;
+            } catch (error) {
+                console.error(`[PerformanceAlerts] Could not notify ${user.email}:`, error.message);
+            }
+        }
+        return sent;
+    }
+
+    // ==========================================
+    // ALERTS
+    // ==========================================
+
+    mapAlert(row) {
+        let details = {};
+        try {
+            details = row.Details ? JSON.parse(row.Details) : {};
+        } catch (e) {
+            details = {};
+        }
+        return {
+            alertId: row.AlertID,
+            alertType: row.AlertType,
+            typeLabel: ALERT_TYPES[row.AlertType] || row.AlertType,
+            severity: row.Severity,
+            storeId: row.StoreID,
+            storeName: row.StoreName || null,
+            brand: row.Brand || null,
+            schemaId: row.SchemaID,
+            auditId: row.AuditID,
+            documentNumber: row.DocumentNumber || null,
+            sectionName: row.SectionName,
+            auditorName: row.AuditorName,
+            title: row.Title,
+            message: row.Message,
+            observedValue: row.ObservedValue !== null ? Number(row.ObservedValue) : null,
+            expectedValue: row.ExpectedValue !== null ? Number(row.ExpectedValue) : null,
+            pValue: row.PValue !== null ? Number(row.PValue) : null,
+            details,
+            status: row.Status,
+            detectedAt: row.DetectedAt,
+            reviewedBy: row.ReviewedBy,
+            reviewedAt: row.ReviewedAt
+        };
+    }
+
+    /**
+     * Alert filter for a viewer: store alerts of their stores; auditor alerts only for unscoped roles
+     */
+    scopeWhere(scopeStoreIds) {
+        if (!scopeStoreIds) return '';
+        return ` AND a.StoreID IS NOT NULL${analyticsQueryService.scopeCondition(scopeStoreIds, 'a.StoreID')}`;
+    }
+
+    /**
+     * @param {Object} filters - { status, type, severity, limit, scopeStoreIds }
+     */
+    async list(pool, { status, type, severity, limit, scopeStoreIds } = {}) {
+        const request = pool.request();
+        let where = 'WHERE 1 = 1';
+        if (status && ALERT_STATUSES.includes(status)) {
+            request.input('Status', sql.NVarChar(20), status);
+            where += ' AND a.Status = @Status';
+        }
+        if (type && ALERT_TYPES[type]) {
+            request.input('AlertType', sql.NVarChar(30), type);
+            where += ' AND a.AlertType = @AlertType';
+        }
+        if (severity === 'High' || severity === 'Medium') {
+            request.input('Severity', sql.NVarChar(10), severity);
+            where += ' AND a.Severity = @Severity';
+        }
+        where += this.scopeWhere(scopeStoreIds);
+        const top = Math.min(parseInt(limit) || 200, 1000);
+
+        const result = await request.query(`
+            SELECT TOP ${top} a.*, s.StoreName, s.Brand, ai.DocumentNumber
+            FROM PerformanceAlerts a
+            LEFT JOIN Stores s ON s.StoreID = a.StoreID
+            LEFT JOIN AuditInstances ai ON ai.AuditID = a.AuditID
+            ${where}
+            ORDER BY CASE a.Status WHEN 'Open' THEN 0 ELSE 1 END, a.DetectedAt DESC, a.AlertID DESC
+        `);
+        return result.recordset.map(row => this.mapAlert(row));
+    }
+
+    /**
+     * Open alerts for the dashboard card
+     */
+    async getSummary(pool, scopeStoreIds) {
+        const result = await pool.request().query(`
+            SELECT
+                COUNT(*) AS OpenCount,
+                SUM(CASE WHEN a.Severity = 'High' THEN 1 ELSE 0 END) AS HighCount,
+                SUM(CASE WHEN a.AlertType = 'AuditorDeviation' THEN 1 ELSE 0 END) AS AuditorCount
+            FROM PerformanceAlerts a
+            WHERE a.Status = 'Open'${this.scopeWhere(scopeStoreIds)}
+        `);
+        const row = result.recordset[0] || {};
+        return {
+            open: row.OpenCount || 0,
+            high: row.HighCount || 0,
+            auditor: row.AuditorCount || 0,
+            latest: await this.list(pool, { status: 'Open', limit: 5, scopeStoreIds })
+        };
+    }
+
+    async updateStatus(pool, alertId, status, user, scopeStoreIds) {
+        if (!ALERT_STATUSES.includes(status)) {
+            throw validationError(`Status must be one of ${ALERT_STATUSES.join(', ')}`);
+        }
+        const result = await pool.request()
+            .input('AlertID', sql.Int, alertId)
+            .query(`SELECT a.AlertID FROM PerformanceAlerts a WHERE a.AlertID = @AlertID${this.scopeWhere(scopeStoreIds)}`);
+        if (result.recordset.length === 0) {
+            throw forbidden('Alert not found or outside your area');
+        }
+        await pool.request()
+            .input('AlertID', sql.Int, alertId)
+            .input('Status', sql.NVarChar(20), status)
+            .input('ReviewedBy', sql.NVarChar(255), status === 'Open' ? null : user.email)
+            .query(`
+                UPDATE PerformanceAlerts
+                SET Status = @Status, ReviewedBy = @ReviewedBy, ReviewedAt = CASE WHEN @Status = 'Open' THEN NULL ELSE GETDATE() END
+                WHERE AlertID = @AlertID
+            `);
+        return { alertId, status };
+    }
+
+    // ==========================================
+    // SCHEDULER
+    // ==========================================
+
+    /**
+     * Scheduled check: detect once a night after PERFORMANCE_ALERT_HOUR
+     */
+    async runDue() {
+        const now = new Date();
+        if (this.isProcessing || now.getHours() < this.alertHour || this.lastRunDate === dateKey(now)) return null;
+        return this.runNow('Schedule');
+    }
+
+    async runNow(triggeredBy) {
+        if (this.isProcessing) return null;
+        this.isProcessing = true;
+        this.lastRunTime = new Date();
+        this.lastRunDate = dateKey(this.lastRunTime);
+        try {
+            const pool = await sql.connect(require('../config/default').database);
+            return await this.run(pool, triggeredBy);
+        } catch (error) {
+            console.error('[PerformanceAlerts] Error detecting alerts:', error.message);
+            throw error;
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Start the scheduler
+     */
+    start() {
+        if (this.intervalId) {
+            console.log('[PerformanceAlerts] Scheduler already running');
+            return;
+        }
+
+        console.log(`[PerformanceAlerts] Starting scheduler (nightly at ${this.alertHour}:00)`);
+        this.intervalId = setInterval(() => this.runDue().catch(() => {}), this.checkMinutes * 60 * 1000);
+    }
+
+    /**
+     * Stop the scheduler
+     */
+    stop() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+            console.log('[PerformanceAlerts] Scheduler stopped');
+        }
+    }
+
+    getStatus() {
+        return {
+            schedulerActive: !!this.intervalId,
+            isProcessing: this.isProcessing,
+            lastRunTime: this.lastRunTime,
+            lastSummary: this.lastSummary,
+            alertHour: this.alertHour
+        };
+    }
+}
+
+module.exports = new PerformanceTrendService();
+module.exports.ALERT_TYPES = ALERT_TYPES;
@@ -0,0 +1,755 @@
+/**
+ * Report Subscription Service
+ * Scheduled delivery of analytics views by email
+ * - A subscription picks a view (see analytics-query-service), filters, a format and a schedule
+ * - Due subscriptions are rendered in the background: PDF through PDFExportService (Puppeteer),
+ *   Excel through the Excel export service, CSV as UTF-8 text
+ * - Each file is kept under storage/report-snapshots and emailed as a download link through the outbox
+ * - Every delivery is recorded in ReportSubscriptionSnapshots (the history)
+ */
+
+const sql = require('mssql');
+const fs = require('fs').promises;
+const path = require('path');
+const analyticsQueryService = require('./analytics-query-service');
+const emailTemplateService = require('./email-template-service');
+const notificationOutboxService = require('./notification-outbox-service');
+const excelExportService = require('./excel-export-service');
+const PDFExportService = require('../audit-app/report-generator/services/pdf-export-service');
+
+const FORMATS = {
+    PDF: { extension: 'pdf', contentType: 'application/pdf' },
+    Excel: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    CSV: { extension: 'csv', contentType: 'text/csv; charset=utf-8' }
+};
+
+const FREQUENCIES = ['Daily', 'Weekly', 'Monthly'];
+
+const SNAPSHOT_DIR = path.join(__dirname, '..', 'storage', 'report-snapshots');
+
+const EMAIL_PATTERN = /^[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+$/;
+
+// Rows shown in the email body; the attachment link has them all
+const EMAIL_PREVIEW_ROWS = 10;
+
+function validationError(message) {
+    const error = new Error(message);
+    error.details = message;
+    return error;
+}
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' }[c]));
+}
+
+function parseJson(value, fallback) {
+    if (!value) return fallback;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return fallback;
+    }
+}
+
+function formatCell(value, type) {
+    if (value === null || value === undefined) return '';
+    if (type === 'date') {
+        const date = new Date(value);
+        return isNaN(date) ? String(value) : date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+    }
+    return value;
+}
+
+function csvCell(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function fileStamp(date) {
+    return date.toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '_');
+}
+
+class ReportSubscriptionService {
+    constructor() {
+        this.intervalId = null;
+        this.isProcessing = false;
+        this.lastRunTime = null;
+        this.lastSummary = null;
+        this.checkMinutes = 5;
+    }
+
+    /**
+     * Get database connection
+     */
+    async getDbPool() {
+        return await sql.connect(require('../config/default').database);
+    }
+
+    /**
+     * Choices for the subscription form
+     */
+    getOptions() {
+        return {
+            views: analyticsQueryService.getViews(),
+            customQuerySubjects: analyticsQueryService.getCustomQuerySubjects(),
+            formats: Object.keys(FORMATS),
+            frequencies: FREQUENCIES
+        };
+    }
+
+    // ==========================================
+    // SUBSCRIPTIONS
+    // ==========================================
+
+    mapSubscription(row) {
+        return {
+            subscriptionId: row.SubscriptionID,
+            name: row.Name,
+            viewKey: row.ViewKey,
+            queryOptions: parseJson(row.QueryOptions, {}),
+            filters: parseJson(row.Filters, {}),
+            format: row.Format,
+            frequency: row.Frequency,
+            sendHour: row.SendHour,
+            dayOfWeek: row.DayOfWeek,
+            dayOfMonth: row.DayOfMonth,
+            recipients: String(row.Recipients || '').split(',').map(e => e.trim()).filter(Boolean),
+            ownerUserId: row.OwnerUserID,
+            ownerEmail: row.OwnerEmail,
+            ownerName: row.OwnerName || null,
+            isActive: !!row.IsActive,
+            nextRunAt: row.NextRunAt,
+            lastRunAt: row.LastRunAt,
+            lastStatus: row.LastStatus,
+            lastError: row.LastError,
+            createdAt: row.CreatedAt,
+            updatedAt: row.UpdatedAt
+        };
+    }
+
+    /**
+     * Validate form input
+     * @returns {Object} - Clean subscription fields
+     */
+    normalize(input = {}) {
+        const name = String(input.name || '').trim();
+        if (!name) throw validationError('Name is required');
+        if (name.length > 200) throw validationError('Name must be 200 characters or less');
+
+        const viewKey = input.viewKey;
+        if (!analyticsQueryService.VIEWS[viewKey]) throw validationError(`Unknown view: ${viewKey}`);
+
+        let queryOptions = {};
+        if (viewKey === 'custom_query') {
+            const options = input.queryOptions || {};
+            const subject = analyticsQueryService.getCustomQuerySubjects()[options.subject];
+            if (!subject || !subject.metrics[options.metric]) {
+                throw validationError('Choose the subject and metric of the custom query');
+            }
+            queryOptions = { subject: options.subject, metric: options.metric, limit: Math.min(parseInt(options.limit) || 10, 1000) };
+        }
+
+        const filters = analyticsQueryService.normalizeFilters(input.filters || {});
+
+        const format = input.format || 'PDF';
+        if (!FORMATS[format]) throw validationError(`Format must be one of ${Object.keys(FORMATS).join(', ')}`);
+
+        const frequency = input.frequency || 'Weekly';
+        if (!FREQUENCIES.includes(frequency)) throw validationError(`Frequency must be one of ${FREQUENCIES.join(', ')}`);
+
+        const sendHour = input.sendHour === undefined || input.sendHour === '' ? 7 : parseInt(input.sendHour, 10);
+        if (isNaN(sendHour) || sendHour < 0 || sendHour > 23) throw validationError('Send hour must be between 0 and 23');
+
+        let dayOfWeek = null;
+        let dayOfMonth = null;
+        if (frequency === 'Weekly') {
+            dayOfWeek = parseInt(input.dayOfWeek, 10) || 1;
+            if (dayOfWeek < 1 || dayOfWeek > 7) throw validationError('Day of week must be 1 (Monday) to 7 (Sunday)');
+        }
+        if (frequency === 'Monthly') {
+            dayOfMonth = parseInt(input.dayOfMonth, 10) || 1;
+            if (dayOfMonth < 1 || dayOfMonth > 28) throw validationError('Day of month must be between 1 and 28');
+        }
+
+        const recipientList = Array.isArray(input.recipients) ? input.recipients : String(input.recipients || '').split(/[,;\s]+/);
+        const recipients = [...new Set(recipientList.map(e => String(e).trim().toLowerCase()).filter(Boolean))];
+        const invalid = recipients.filter(e => !EMAIL_PATTERN.test(e));
+        if (invalid.length > 0) throw validationError(`Invalid email address: ${invalid.join(', ')}`);
+
+        return {
+            name,
+            viewKey,
+            queryOptions,
+            filters,
+            format,
+            frequency,
+            sendHour,
+            dayOfWeek,
+            dayOfMonth,
+            recipients,
+            isActive: input.isActive !== false
+        };
+    }
+
+    /**
+     * Next delivery after a moment (server time)
+     * @param {Object} schedule - { frequency, sendHour, dayOfWeek, dayOfMonth }
+     */
+    computeNextRun(schedule, from = new Date()) {
+        const next = new Date(from);
+        next.setHours(schedule.sendHour, 0, 0, 0);
+
+        if (schedule.frequency === 'Weekly') {
+            const today = next.getDay() || 7;
+            next.setDate(next.getDate() + ((schedule.dayOfWeek - today + 7) % 7));
+            if (next <= from) next.setDate(next.getDate() + 7);
+        } else if (schedule.frequency === 'Monthly') {
+            next.setDate(schedule.dayOfMonth);
+            if (next <= from) next.setMonth(next.getMonth() + 1);
+        } else if (next <= from) {
+            next.setDate(next.getDate() + 1);
+        }
+        return next;
+    }
+
+    /**
+     * Subscriptions of a user; all of them for Admin when all = true
+     */
+    async list(pool, user, all = false) {
+        const request = pool.request().input('userId', sql.Int, user.id);
+        const result = await request.query(`
+            SELECT s.*, u.display_name AS OwnerName
+            FROM ReportSubscriptions s
+            LEFT JOIN Users u ON u.id = s.OwnerUserID
+            ${all && user.role === 'Admin' ? '' : 'WHERE s.OwnerUserID = @userId'}
+            ORDER BY s.Name
+        `);
+        return result.recordset.map(row => this.mapSubscription(row));
+    }
+
+    async get(pool, subscriptionId) {
+        const result = await pool.request()
+            .input('id', sql.Int, subscriptionId)
+            .query(`
+                SELECT s.*, u.display_name AS OwnerName
+                FROM ReportSubscriptions s
+                LEFT JOIN Users u ON u.id = s.OwnerUserID
+                WHERE s.SubscriptionID = @id
+            `);
+        return result.recordset.length > 0 ? this.mapSubscription(result.recordset[0]) : null;
+    }
+
+    /**
+     * Throw unless the user owns the subscription or is an Admin
+     */
+    assertCanManage(subscription, user) {
+        if (subscription.ownerUserId !== user.id && user.role !== 'Admin') {
+            const error = new Error('You cannot change this subscription');
+            error.status = 403;
+            throw error;
+        }
+    }
+
+    async create(pool, input, user) {
+        const data = this.normalize(input);
+        const result = await pool.request()
+            .input('name', sql.NVarChar(200), data.name)
+            .input('viewKey', sql.NVarChar(50), data.viewKey)
+            .input('queryOptions', sql.NVarChar(sql.MAX), JSON.stringify(data.queryOptions))
+            .input('filters', sql.NVarChar(sql.MAX), JSON.stringify(data.filters))
+            .input('format', sql.NVarChar(10), data.format)
+            .input('frequency', sql.NVarChar(20), data.frequency)
+            .input('sendHour', sql.Int, data.sendHour)
+            .input('dayOfWeek', sql.Int, data.dayOfWeek)
+            .input('dayOfMonth', sql.Int, data.dayOfMonth)
+            .input('recipients', sql.NVarChar(sql.MAX), data.recipients.join(','))
+            .input('ownerUserId', sql.Int, user.id)
+            .input('ownerEmail', sql.NVarChar(255), user.email)
+            .input('isActive', sql.Bit, data.isActive ? 1 : 0)
+            .input('nextRunAt', sql.DateTime, this.computeNextRun(data))
+            .query(`
+                INSERT INTO ReportSubscriptions
+                (Name, ViewKey, QueryOptions, Filters, Format, Frequency, SendHour, DayOfWeek, DayOfMonth, Recipients, OwnerUserID, OwnerEmail, IsActive, NextRunAt)
+                OUTPUT INSERTED.SubscriptionID
+                VALUES (@name, @viewKey, @queryOptions, @filters, @format, @frequency, @sendHour, @dayOfWeek, @dayOfMonth, @recipients, @ownerUserId, @ownerEmail, @isActive, @nextRunAt)
+            `);
+        return this.get(pool, result.recordset[0].SubscriptionID);
+    }
+
+    /**
+     * Replace a subscription's settings; the schedule restarts from now
+     */
+    async update(pool, subscriptionId, input, user) {
+        const current = await this.get(pool, subscriptionId);
+        if (!current) return null;
+        this.assertCanManage(current, user);
+
+        const data = this.normalize(input);
+        await pool.request()
+            .input('id', sql.Int, subscriptionId)
+            .input('name', sql.NVarChar(200), data.name)
+            .input('viewKey', sql.NVarChar(50), data.viewKey)
+            .input('queryOptions', sql.NVarChar(sql.MAX), JSON.stringify(data.queryOptions))
+            .input('filters', sql.NVarChar(sql.MAX), JSON.stringify(data.filters))
+            .input('format', sql.NVarChar(10), data.format)
+            .input('frequency', sql.NVarChar(20), data.frequency)
+            .input('sendHour', sql.Int, data.sendHour)
+            .input('dayOfWeek', sql.Int, data.dayOfWeek)
+            .input('dayOfMonth', sql.Int, data.dayOfMonth)
+            .input('recipients', sql.NVarChar(sql.MAX), data.recipients.join(','))
+            .input('isActive', sql.Bit, data.isActive ? 1 : 0)
+            .input('nextRunAt', sql.DateTime, this.computeNextRun(data))
+            .query(`
+                UPDATE ReportSubscriptions SET
+                    Name = @name, ViewKey = @viewKey, QueryOptions = @queryOptions, Filters = @filters,
+                    Format = @format, Frequency = @frequency, SendHour = @sendHour,
+                    DayOfWeek = @dayOfWeek, DayOfMonth = @dayOfMonth, Recipients = @recipients,
+                    IsActive = @isActive, NextRunAt = @nextRunAt, UpdatedAt = GETDATE()
+                WHERE SubscriptionID = @id
+            `);
+        return this.get(pool, subscriptionId);
+    }
+
+    /**
+     * Delete a subscription with its history and files
+     */
+    async remove(pool, subscriptionId, user) {
+        const current = await this.get(pool, subscriptionId);
+        if (!current) return false;
+        this.assertCanManage(current, user);
+
+        await pool.request()
+            .input('id', sql.Int, subscriptionId)
+            .query('DELETE FROM ReportSubscriptions WHERE SubscriptionID = @id');
+        await fs.rm(path.join(SNAPSHOT_DIR, String(subscriptionId)), { recursive: true, force: true });
+        return true;
+    }
+
+    // ==========================================
+    // RENDERING
+    // ==========================================
+
+    /**
+     * Human-readable filter summary ('Brands: Spinneys · Cycles: C1')
+     */
+    describeFilters(filters = {}) {
+        const parts = [];
+        if (filters.brands?.length) parts.push(`Brands: ${filters.brands.join(', ')}`);
+        if (filters.areaManagerNames?.length) parts.push(`Areas: ${filters.areaManagerNames.join(', ')}`);
+        else if (filters.areaManagerIds?.length) parts.push(`Area managers: ${filters.areaManagerIds.length}`);
+        if (filters.latestCycle) parts.push('Latest cycle');
+        else if (filters.cycles?.length) parts.push(`Cycles: ${filters.cycles.join(', ')}`);
+        if (!filters.latestCycle && filters.years?.length) parts.push(`Years: ${filters.years.join(', ')}`);
+        return parts.length > 0 ? parts.join(' · ') : 'All stores';
+    }
+
+    async describeSubscriptionFilters(pool, filters = {}) {
+        if (!filters.areaManagerIds?.length) return this.describeFilters(filters);
+
+        const request = pool.request();
+        const params = filters.areaManagerIds.map((id, i) => {
+            request.input(`id${i}`, sql.Int, id);
+            return `@id${i}`;
+        });
+        const result = await request.query(`SELECT display_name FROM Users WHERE id IN (${params.join(', ')})`);
+        return this.describeFilters({ ...filters, areaManagerNames: result.recordset.map(r => r.display_name) });
+    }
+
+    /**
+     * Printable page of a view (input of the PDF)
+     */
+    renderHtml(view, context) {
+        const header = view.columns.map(c => `<th${c.type === 'number' ? ' class="num"' : ''}>${escapeHtml(c.label)}</th>`).join('');
+        const body = view.rows.length === 0
+            ? `<tr><td colspan="${view.columns.length}" class="empty">No data for these filters</td></tr>`
+            : view.rows.map(row => `<tr>${view.columns.map(c =>
+                `<td${c.type === 'number' ? ' class="num"' : ''}>${escapeHtml(formatCell(row[c.key], c.type))}</td>`).join('')}</tr>`).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(view.title)}</title>
+<style>
+    body { font-family: 'Segoe UI', Arial, sans-serif; color: #1f2937; margin: 0; padding: 10px; }
+    h1 { font-size: 20px; margin: 0 0 4px 0; color: #1e293b; }
+    .meta { font-size: 12px; color: #64748b; margin-bottom: 4px; }
+    .summary { font-size: 13px; margin: 12px 0; padding: 10px 14px; background: #f1f5f9; border-left: 4px solid #667eea; }
+    table { width: 100%; border-collapse: collapse; font-size: 11px; }
+    th { background: #2c3e50; color: white; text-align: left; padding: 7px 6px; }
+    td { padding: 6px; border-bottom: 1px solid #e5e7eb; }
+    tr:nth-child(even) td { background: #f8fafc; }
+    .num { text-align: right; }
+    .empty { text-align: center; color: #94a3b8; padding: 20px; }
+    thead { display: table-header-group; }
+    tr { page-break-inside: avoid; }
+</style>
+</head>
+<body>
+    <h1>${escapeHtml(view.title)}</h1>
+    <div class="meta">${escapeHtml(context.subscriptionName)} · ${escapeHtml(context.filterText)}</div>
+    <div class="meta">Generated ${escapeHtml(context.generatedAt.toLocaleString('en-GB'))}</div>
+    ${view.summary ? `<div class="summary">${escapeHtml(view.summary)}</div>` : ''}
+    <table>
+        <thead><tr>${header}</tr></thead>
+        <tbody>
+${body}
+        </tbody>
+    </table>
+</body>
+</html>`;
+    }
+
+    renderCsv(view) {
+        const lines = [
+            view.columns.map(c => csvCell(c.label)).join(','),
+            ...view.rows.map(row => view.columns.map(c => csvCell(formatCell(row[c.key], c.type))).join(','))
+        ];
+        // BOM so Excel opens Arabic / accented store names correctly
+        return Buffer.from('﻿' + lines.join('\r\n'), 'utf8');
+    }
+
+    renderWorkbook(view) {
+        return excelExportService.buildTableWorkbook(view);
+    }
+
+    /**
+     * Render the subscription's file
+     * @param {PDFExportService} pdfService - Shared browser for a scheduler run (optional)
+     * @returns {Promise<Object>} - { view, buffer, fileName, filterText }
+     */
+    async render(pool, subscription, generatedAt = new Date(), pdfService = null) {
+        const view = await analyticsQueryService.runView(pool, subscription.viewKey, subscription.filters, subscription.queryOptions);
+        const filterText = await this.describeSubscriptionFilters(pool, subscription.filters);
+        const format = FORMATS[subscription.format];
+
+        let buffer;
+        if (subscription.format === 'PDF') {
+            const html = this.renderHtml(view, { subscriptionName: subscription.name, filterText, generatedAt });
+            const service = pdfService || new PDFExportService();
+            try {
+                buffer = Buffer.from(await service.generatePDF(html, { documentNumber: view.title, pdfOptions: { landscape: true } }));
+            } finally {
+                if (!pdfService) await service.closeBrowser();
+            }
+        } else if (subscription.format === 'Excel') {
+            buffer = this.renderWorkbook(view);
+        } else {
+            buffer = this.renderCsv(view);
+        }
+
+        const baseName = subscription.name.replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '_') || subscription.viewKey;
+        return { view, buffer, filterText, fileName: `${baseName}_${fileStamp(generatedAt)}.${format.extension}` };
+    }
+
+    // ==========================================
+    // DELIVERY
+    // ==========================================
+
+    buildEmailData(subscription, rendered, snapshotId, generatedAt) {
+        const dashboardUrl = process.env.DASHBOARD_URL || 'https://pappreports.gmrlapps.com:3001/auth/login';
+        const appUrl = process.env.APP_URL || dashboardUrl.replace(/\/auth\/login$/, '');
+        const { view } = rendered;
+
+        const preview = view.rows.slice(0, EMAIL_PREVIEW_ROWS);
+        const previewTable = preview.length === 0 ? '' : `
+        <table width="100%" cellpadding="6" cellspacing="0" border="0" style="border-collapse: collapse; font-size: 12px;">
+            <tr>${view.columns.map(c => `<th style="background: #f1f5f9; text-align: left; border-bottom: 2px solid #cbd5e1;">${escapeHtml(c.label)}</th>`).join('')}</tr>
+            ${preview.map(row => `<tr>${view.columns.map(c => `<td style="border-bottom: 1px solid #e5e7eb;">${escapeHtml(formatCell(row[c.key], c.type))}</td>`).join('')}</tr>`).join('')}
+        </table>
+        ${view.rows.length > preview.length ? `<p style="font-size: 12px; color: #6b7280;">First ${preview.length} of ${view.rows.length} rows - the full list is in the ${subscription.format} file.</p>` : ''}`;
+
+        return {
+            subscriptionName: escapeHtml(subscription.name),
+            viewTitle: escapeHtml(view.title),
+            summary: escapeHtml(view.summary || ''),
+            filters: escapeHtml(rendered.filterText),
+            format: subscription.format,
+            frequency: subscription.frequency,
+            generatedAt: generatedAt.toLocaleString('en-GB'),
+            rowCount: view.rows.length,
+            previewTable,
+            downloadUrl: `${appUrl}/api/report-subscriptions/snapshots/${snapshotId}/download`,
+            subscriptionsUrl: `${appUrl}/admin/report-subscriptions`
+        };
+    }
+
+    /**
+     * Default template when report_subscription is not in EmailTemplates yet
+     */
+    buildDefaultEmail(data) {
+        const template = emailTemplateService.getDefaultTemplates().find(t => t.template_key === 'report_subscription');
+        return {
+            subject: emailTemplateService.replacePlaceholders(template.subject_template, data),
+            html: emailTemplateService.replacePlaceholders(template.html_body, data)
+        };
+    }
+
+    /**
+     * Render, store and email one subscription
+     * @param {string} triggeredBy - 'Schedule' or the user who pressed Send now
+     * @returns {Promise<Object>} - Snapshot
+     */
+    async deliver(pool, subscription, triggeredBy, pdfService = null) {
+        const generatedAt = new Date();
+        const recipients = [...new Set([subscription.ownerEmail.toLowerCase(), ...subscription.recipients])];
+
+        const snapshot = await pool.request()
+            .input('subscriptionId', sql.Int, subscription.subscriptionId)
+            .input('title', sql.NVarChar(300), subscription.name)
+            .input('format', sql.NVarChar(10), subscription.format)
+            .input('recipients', sql.NVarChar(sql.MAX), recipients.join(','))
+            .input('triggeredBy', sql.NVarChar(255), triggeredBy)
+            .input('generatedAt', sql.DateTime, generatedAt)
+            .query(`
+                INSERT INTO ReportSubscriptionSnapshots (SubscriptionID, Title, Format, Recipients, TriggeredBy, GeneratedAt)
+                OUTPUT INSERTED.SnapshotID
+                VALUES (@subscriptionId, @title, @format, @recipients, @triggeredBy, @generatedAt)
+            `);
+        const snapshotId = snapshot.recordset[0].SnapshotID;
+
+        let status;
+        let error = null;
+        let outboxId = null;
+        try {
+            const rendered = await this.render(pool, subscription, generatedAt, pdfService);
+            const relativePath = path.join(String(subscription.subscriptionId), `${snapshotId}_${rendered.fileName}`);
+            await fs.mkdir(path.join(SNAPSHOT_DIR, String(subscription.subscriptionId)), { recursive: true });
+            await fs.writeFile(path.join(SNAPSHOT_DIR, relativePath), rendered.buffer);
+
+            await pool.request()
+                .input('id', sql.Int, snapshotId)
+                .input('title', sql.NVarChar(300), rendered.view.title)
+                .input('fileName', sql.NVarChar(300), rendered.fileName)
+                .input('filePath', sql.NVarChar(500), relativePath)
+                .input('fileSize', sql.Int, rendered.buffer.length)
+                .input('rows', sql.Int, rendered.view.rows.length)
+                .query(`
+                    UPDATE ReportSubscriptionSnapshots
+                    SET Title = @title, FileName = @fileName, FilePath = @filePath, FileSize = @fileSize, RowsIncluded = @rows
+                    WHERE SnapshotID = @id
+                `);
+
+            const data = this.buildEmailData(subscription, rendered, snapshotId, generatedAt);
+            const email = await emailTemplateService.buildEmail('report_subscription', data) || this.buildDefaultEmail(data);
+            const result = await notificationOutboxService.send({
+                type: 'ReportSubscription',
+                to: recipients,
+                subject: email.subject,
+                html: email.html
+            }, {
+                idempotencyKey: `ReportSubscription:${snapshotId}`,
+                createdBy: triggeredBy === 'Schedule' ? 'ReportSubscriptionJob' : triggeredBy,
+                // Subscribers asked for this report, digest preferences do not apply
+                preferences: false
+            });
+
+            outboxId = result.outboxId || null;
+            if (result.success) {
+                status = 'Sent';
+            } else if (result.queued) {
+                status = 'Queued';
+                error = result.error || null;
+            } else {
+                status = 'Failed';
+                error = result.error || 'Email could not be queued';
+            }
+        } catch (err) {
+            console.error(`[Subscriptions] "${subscription.name}" failed:`, err.message);
+            status = 'Failed';
+            error = err.message;
+        }
+
+        await pool.request()
+            .input('id', sql.Int, snapshotId)
+            .input('subscriptionId', sql.Int, subscription.subscriptionId)
+            .input('status', sql.NVarChar(20), status)
+            .input('error', sql.NVarChar(sql.MAX), error)
+            .input('outboxId', sql.Int, outboxId)
+            .input('generatedAt', sql.DateTime, generatedAt)
+            .query(`
+                UPDATE ReportSubscriptionSnapshots SET Status = @status, Error = @error, OutboxID = @outboxId WHERE SnapshotID = @id;
+                UPDATE ReportSubscriptions SET LastRunAt = @generatedAt, LastStatus = @status, LastError = @error WHERE SubscriptionID = @subscriptionId;
+            `);
+
+        console.log(`[Subscriptions] "${subscription.name}" (${subscription.format}) ${status.toLowerCase()} to ${recipients.join(', ')}`);
+        return this.getSnapshot(pool, snapshotId);
+    }
+
+    /**
+     * Send a subscription now (outside its schedule)
+     */
+    async sendNow(pool, subscriptionId, user) {
+        const subscription = await this.get(pool, subscriptionId);
+        if (!subscription) return null;
+        this.assertCanManage(subscription, user);
+        return this.deliver(pool, subscription, user.email);
+    }
+
+    // ==========================================
+    // HISTORY
+    // ==========================================
+
+    mapSnapshot(row) {
+        return {
+            snapshotId: row.SnapshotID,
+            subscriptionId: row.SubscriptionID,
+            title: row.Title,
+            format: row.Format,
+            fileName: row.FileName,
+            fileSize: row.FileSize,
+            rowCount: row.RowsIncluded,
+            recipients: String(row.Recipients || '').split(',').filter(Boolean),
+            status: row.Status,
+            error: row.Error,
+            outboxId: row.OutboxID,
+            triggeredBy: row.TriggeredBy,
+            generatedAt: row.GeneratedAt
+        };
+    }
+
+    async getSnapshots(pool, subscriptionId, limit = 50) {
+        const result = await pool.request()
+            .input('id', sql.Int, subscriptionId)
+            .input('limit', sql.Int, Math.min(parseInt(limit) || 50, 500))
+            .query(`
+                SELECT TOP (@limit) * FROM ReportSubscriptionSnapshots
+                WHERE SubscriptionID = @id
+                ORDER BY GeneratedAt DESC, SnapshotID DESC
+            `);
+        return result.recordset.map(row => this.mapSnapshot(row));
+    }
+
+    async getSnapshot(pool, snapshotId) {
+        const result = await pool.request()
+            .input('id', sql.Int, snapshotId)
+            .query('SELECT * FROM ReportSubscriptionSnapshots WHERE SnapshotID = @id');
+        return result.recordset.length > 0 ? this.mapSnapshot(result.recordset[0]) : null;
+    }
+
+    /**
+     * Stored file of a snapshot; the owner, an Admin or one of its recipients may download it
+     * @returns {Promise<Object|null>} - { fileName, contentType, buffer }
+     */
+    async getSnapshotFile(pool, snapshotId, user) {
+        const result = await pool.request()
+            .input('id', sql.Int, snapshotId)
+            .query(`
+                SELECT sn.*, s.OwnerUserID
+                FROM ReportSubscriptionSnapshots sn
+                INNER JOIN ReportSubscriptions s ON s.SubscriptionID = sn.SubscriptionID
+                WHERE sn.SnapshotID = @id
+            `);
+        if (result.recordset.length === 0 || !result.recordset[0].FilePath) return null;
+
+        const row = result.recordset[0];
+        const recipients = String(row.Recipients || '').toLowerCase().split(',');
+        if (row.OwnerUserID !== user.id && user.role !== 'Admin' && !recipients.includes(String(user.email || '').toLowerCase())) {
+            const error = new Error('You cannot download this report');
+            error.status = 403;
+            throw error;
+        }
+
+        const filePath = path.join(SNAPSHOT_DIR, row.FilePath);
+        if (!filePath.startsWith(SNAPSHOT_DIR)) return null;
+        try {
+            const buffer = await fs.readFile(filePath);
+            return { fileName: row.FileName, contentType: FORMATS[row.Format]?.contentType || 'application/octet-stream', buffer };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // ==========================================
+    // SCHEDULER
+    // ==========================================
+
+    /**
+     * Deliver every active subscription whose NextRunAt has passed.
+     * NextRunAt is moved forward before rendering, so a crash or a second instance does not send twice
+     */
+    async runDue() {
+        if (this.isProcessing) return null;
+        this.isProcessing = true;
+        this.lastRunTime = new Date();
+
+        const summary = { due: 0, sent: 0, failed: 0 };
+        let pdfService = null;
+        try {
+            const pool = await this.getDbPool();
+            const due = await pool.request().query(`
+                SELECT s.*, NULL AS OwnerName
+                FROM ReportSubscriptions s
+                WHERE s.IsActive = 1 AND s.NextRunAt IS NOT NULL AND s.NextRunAt <= GETDATE()
+                ORDER BY s.NextRunAt
+            `);
+            summary.due = due.recordset.length;
+
+            for (const row of due.recordset) {
+                const subscription = this.mapSubscription(row);
+                const claimed = await pool.request()
+                    .input('id', sql.Int, subscription.subscriptionId)
+                    .input('previous', sql.DateTime, row.NextRunAt)
+                    .input('next', sql.DateTime, this.computeNextRun(subscription, this.lastRunTime))
+                    .query('UPDATE ReportSubscriptions SET NextRunAt = @next WHERE SubscriptionID = @id AND NextRunAt = @previous');
+                if (claimed.rowsAffected[0] === 0) continue;
+
+                // One browser for all PDFs of this run
+                if (subscription.format === 'PDF' && !pdfService) pdfService = new PDFExportService();
+                const snapshot = await this.deliver(pool, subscription, 'Schedule', pdfService);
+                if (snapshot && snapshot.status !== 'Failed') summary.sent++;
+                else summary.failed++;
+            }
+
+            if (summary.due > 0) {
+                console.log(`[Subscriptions] ${summary.sent} delivered, ${summary.failed} failed`);
+            }
+        } catch (error) {
+            console.error('[Subscriptions] Error running due subscriptions:', error.message);
+        } finally {
+            if (pdfService) await pdfService.closeBrowser().catch(() => {});
+            this.isProcessing = false;
+            this.lastSummary = summary;
+        }
+        return summary;
+    }
+
+    /**
+     * Start the scheduler
+     */
+    start() {
+        if (this.intervalId) {
+            console.log('[Subscriptions] Scheduler already running');
+            return;
+        }
+
+        console.log(`[Subscriptions] Starting scheduler (checks every ${this.checkMinutes} minutes)`);
+        this.intervalId = setInterval(() => this.runDue(), this.checkMinutes * 60 * 1000);
+    }
+
+    /**
+     * Stop the scheduler
+     */
+    stop() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+            console.log('[Subscriptions] Scheduler stopped');
+        }
+    }
+
+    getStatus() {
+        return {
+            schedulerActive: !!this.intervalId,
+            isProcessing: this.isProcessing,
+            lastRunTime: this.lastRunTime,
+            lastSummary: this.lastSummary,
+            checkMinutes: this.checkMinutes
+        };
+    }
+}
+
+module.exports = new ReportSubscriptionService();
+module.exports.FORMATS = FORMATS;
+module.exports.FREQUENCIES = FREQUENCIES;
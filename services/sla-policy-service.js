@@ -0,0 +1,551 @@
+/**
+ * SLA Policy Service
+ * Action plan deadlines by schema, brand and finding priority / severity.
+ * The most specific active policy that matches a document wins; its deadline
+ * is counted from the report notification, in working time when the policy
+ * has a business calendar (working weekdays + public holidays). After the
+ * deadline the policy's escalation chain fires level by level.
+ */
+
+const sql = require('mssql');
+
+const PRIORITIES = ['High', 'Medium', 'Low'];
+const SEVERITIES = ['Critical', 'Major', 'Minor'];
+const ESCALATION_ROLES = ['StoreManager', 'AreaManager', 'HeadOfOperations', 'SuperAuditor'];
+const CC_ROLES = [...ESCALATION_ROLES, 'AuditCreator'];
+
+const HOUR_MS = 60 * 60 * 1000;
+// Safety net for calendars walked day by day (10 years)
+const MAX_CALENDAR_DAYS = 3660;
+
+function validationError(message) {
+    const error = new Error(message);
+    error.details = [message];
+    return error;
+}
+
+function parseList(value) {
+    return String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function parseHours(value) {
+    const hours = parseList(value).map(v => parseInt(v)).filter(h => !isNaN(h) && h > 0);
+    return [...new Set(hours)].sort((a, b) => b - a);
+}
+
+function dateKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function nextMidnight(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+}
+
+function mapLevel(row) {
+    return {
+        levelId: row.LevelID,
+        levelNumber: row.LevelNumber,
+        hoursAfterDeadline: row.HoursAfterDeadline,
+        recipientRole: row.RecipientRole,
+        ccRoles: parseList(row.CcRoles)
+    };
+}
+
+function mapPolicy(row) {
+    return {
+        policyId: row.PolicyID,
+        name: row.Name,
+        schemaId: row.SchemaID,
+        schemaName: row.SchemaName || null,
+        brand: row.Brand,
+        priority: row.Priority,
+        severity: row.Severity,
+        resolutionHours: row.ResolutionHours,
+        calendarId: row.CalendarID,
+        calendarName: row.CalendarName || null,
+        reminderHours: parseHours(row.ReminderHoursBefore),
+        sortOrder: row.SortOrder,
+        isActive: !!row.IsActive,
+        updatedAt: row.UpdatedAt || row.CreatedAt,
+        updatedBy: row.UpdatedBy || row.CreatedBy,
+        levels: []
+    };
+}
+
+class SlaPolicyService {
+    static get PRIORITIES() {
+        return [...PRIORITIES];
+    }
+
+    static get SEVERITIES() {
+        return [...SEVERITIES];
+    }
+
+    static get ESCALATION_ROLES() {
+        return [...ESCALATION_ROLES];
+    }
+
+    static get CC_ROLES() {
+        return [...CC_ROLES];
+    }
+
+    // ==========================================
+    // Policies
+    // ==========================================
+
+    /**
+     * Get SLA policies with their escalation levels
+     * @param {Object} pool - Database connection pool
+     * @param {Object} options - { includeInactive }
+     * @returns {Promise<Array>} Policies ordered by SortOrder
+     */
+    static async getPolicies(pool, options = {}) {
+        const result = await pool.request()
+            .input('IncludeInactive', sql.Bit, options.includeInactive ? 1 : 0)
+            .query(`
+                SELECT p.*, s.SchemaName, c.Name AS CalendarName
+                FROM SlaPolicies p
+                LEFT JOIN AuditSchemas s ON p.SchemaID = s.SchemaID
+                LEFT JOIN SlaCalendars c ON p.CalendarID = c.CalendarID
+                WHERE @IncludeInactive = 1 OR p.IsActive = 1
+                ORDER BY p.SortOrder, p.Name;
+
+                SELECT l.*
+                FROM SlaEscalationLevels l
+                INNER JOIN SlaPolicies p ON l.PolicyID = p.PolicyID
+                WHERE @IncludeInactive = 1 OR p.IsActive = 1
+                ORDER BY l.PolicyID, l.LevelNumber;
+            `);
+
+        const policies = result.recordsets[0].map(mapPolicy);
+        const byId = new Map(policies.map(p => [p.policyId, p]));
+        for (const row of result.recordsets[1]) {
+            const policy = byId.get(row.PolicyID);
+            if (policy) policy.levels.push(mapLevel(row));
+        }
+        return policies;
+    }
+
+    /**
+     * Get one SLA policy
+     * @returns {Promise<Object|null>}
+     */
+    static async getPolicy(pool, policyId) {
+        const policies = await this.getPolicies(pool, { includeInactive: true });
+        return policies.find(p => p.policyId === policyId) || null;
+    }
+
+    /**
+     * Create or update an SLA policy and replace its escalation chain
+     * @param {Object} pool - Database connection pool
+     * @param {Object} data - { name, schemaId, brand, priority, severity, resolutionHours,
+     *                          calendarId, reminderHours, sortOrder, isActive, levels: [...] }
+     * @param {string} userEmail - Who saved the policy
+     * @param {number} policyId - Existing policy (null = create)
+     * @returns {Promise<Object>} The saved policy
+     */
+    static async savePolicy(pool, data, userEmail, policyId = null) {
+        const policy = this.validatePolicy(data);
+
+        const transaction = new sql.Transaction(pool);
+        await transaction.begin();
+
+        try {
+            const request = transaction.request()
+                .input('PolicyID', sql.Int, policyId)
+                .input('Name', sql.NVarChar(200), policy.name)
+                .input('SchemaID', sql.Int, policy.schemaId)
+                .input('Brand', sql.NVarChar(50), policy.brand)
+                .input('Priority', sql.NVarChar(20), policy.priority)
+                .input('Severity', sql.NVarChar(20), policy.severity)
+                .input('ResolutionHours', sql.Int, policy.resolutionHours)
+                .input('CalendarID', sql.Int, policy.calendarId)
+                .input('ReminderHoursBefore', sql.NVarChar(100), policy.reminderHours.join(',') || null)
+                .input('SortOrder', sql.Int, policy.sortOrder)
+                .input('IsActive', sql.Bit, policy.isActive ? 1 : 0)
+                .input('User', sql.NVarChar(255), userEmail);
+
+            let savedId = policyId;
+            if (policyId) {
+                const updated = await request.query(`
+                    UPDATE SlaPolicies
+                    SET Name = @Name, SchemaID = @SchemaID, Brand = @Brand, Priority = @Priority,
+                        Severity = @Severity, ResolutionHours = @ResolutionHours, CalendarID = @CalendarID,
+                        ReminderHoursBefore = @ReminderHoursBefore, SortOrder = @SortOrder, IsActive = @IsActive,
+                        UpdatedAt = GETDATE(), UpdatedBy = @User
+                    WHERE PolicyID = @PolicyID
+                `);
+                if (updated.rowsAffected[0] === 0) throw validationError('SLA policy not found');
+            } else {
+                const inserted = await request.query(`
+                    INSERT INTO SlaPolicies (Name, SchemaID, Brand, Priority, Severity, ResolutionHours, CalendarID,
+                                             ReminderHoursBefore, SortOrder, IsActive, CreatedBy)
+                    OUTPUT INSERTED.PolicyID
+                    VALUES (@Name, @SchemaID, @Brand, @Priority, @Severity, @ResolutionHours, @CalendarID,
+                            @ReminderHoursBefore, @SortOrder, @IsActive, @User)
+                `);
+                savedId = inserted.recordset[0].PolicyID;
+            }
+
+            await transaction.request()
+                .input('PolicyID', sql.Int, savedId)
+                .query('DELETE FROM SlaEscalationLevels WHERE PolicyID = @PolicyID');
+
+            for (const level of policy.levels) {
+                await transaction.request()
+                    .input('PolicyID', sql.Int, savedId)
+                    .input('LevelNumber', sql.Int, level.levelNumber)
+                    .input('HoursAfterDeadline', sql.Int, level.hoursAfterDeadline)
+                    .input('RecipientRole', sql.NVarChar(50), level.recipientRole)
+                    .input('CcRoles', sql.NVarChar(200), level.ccRoles.join(',') || null)
+                    .query(`
+                        INSERT INTO SlaEscalationLevels (PolicyID, LevelNumber, HoursAfterDeadline, RecipientRole, CcRoles)
+                        VALUES (@PolicyID, @LevelNumber, @HoursAfterDeadline, @RecipientRole, @CcRoles)
+                    `);
+            }
+
+            await transaction.commit();
+            return this.getPolicy(pool, savedId);
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Activate / deactivate a policy (history in EscalationJobLog keeps the name)
+     */
+    static async setPolicyActive(pool, policyId, isActive, userEmail) {
+        const result = await pool.request()
+            .input('PolicyID', sql.Int, policyId)
+            .input('IsActive', sql.Bit, isActive ? 1 : 0)
+            .input('User', sql.NVarChar(255), userEmail)
+            .query(`
+                UPDATE SlaPolicies SET IsActive = @IsActive, UpdatedAt = GETDATE(), UpdatedBy = @User
+                WHERE PolicyID = @PolicyID
+            `);
+        if (result.rowsAffected[0] === 0) throw validationError('SLA policy not found');
+        return this.getPolicy(pool, policyId);
+    }
+
+    /**
+     * Normalize and validate a policy payload
+     * @returns {Object} Normalized policy, levels sorted and renumbered 1..n
+     */
+    static validatePolicy(data) {
+        const name = String(data.name || '').trim();
+        if (!name) throw validationError('Policy name is required');
+
+        const priority = data.priority ? PRIORITIES.find(p => p.toLowerCase() === String(data.priority).toLowerCase()) : null;
+        if (data.priority && !priority) throw validationError(`Unknown priority: ${data.priority}`);
+
+        const severity = data.severity ? SEVERITIES.find(s => s.toLowerCase() === String(data.severity).toLowerCase()) : null;
+        if (data.severity && !severity) throw validationError(`Unknown severity: ${data.severity}`);
+
+        const resolutionHours = parseInt(data.resolutionHours);
+        if (isNaN(resolutionHours) || resolutionHours <= 0) throw validationError('Resolution time must be a positive number of hours');
+
+        const reminderHours = Array.isArray(data.reminderHours) ? parseHours(data.reminderHours.join(',')) : parseHours(data.reminderHours);
+        if (reminderHours.some(h => h >= resolutionHours)) throw validationError('Reminders must be sent before the deadline (less than the resolution time)');
+
+        const levels = (data.levels || []).map(level => ({
+            hoursAfterDeadline: parseInt(level.hoursAfterDeadline) || 0,
+            recipientRole: level.recipientRole,
+            ccRoles: (Array.isArray(level.ccRoles) ? level.ccRoles : parseList(level.ccRoles))
+                .filter(role => role !== level.recipientRole)
+        }));
+        for (const level of levels) {
+            if (!ESCALATION_ROLES.includes(level.recipientRole)) throw validationError(`Unknown escalation role: ${level.recipientRole}`);
+            if (level.hoursAfterDeadline < 0) throw validationError('Escalation hours after the deadline cannot be negative');
+            const unknownCc = level.ccRoles.find(role => !CC_ROLES.includes(role));
+            if (unknownCc) throw validationError(`Unknown CC role: ${unknownCc}`);
+        }
+        levels.sort((a, b) => a.hoursAfterDeadline - b.hoursAfterDeadline);
+        levels.forEach((level, index) => { level.levelNumber = index + 1; });
+
+        return {
+            name,
+            schemaId: data.schemaId ? parseInt(data.schemaId) : null,
+            brand: data.brand ? String(data.brand).trim() : null,
+            priority,
+            severity,
+            resolutionHours,
+            calendarId: data.calendarId ? parseInt(data.calendarId) : null,
+            reminderHours,
+            sortOrder: parseInt(data.sortOrder) || 0,
+            isActive: data.isActive !== false,
+            levels
+        };
+    }
+
+    // ==========================================
+    // Business calendars
+    // ==========================================
+
+    /**
+     * Get business calendars with their public holidays
+     * @returns {Promise<Array>}
+     */
+    static async getCalendars(pool) {
+        const result = await pool.request().query(`
+            SELECT CalendarID, Name, WorkingDays, IsActive FROM SlaCalendars ORDER BY Name;
+            SELECT HolidayID, CalendarID, HolidayDate, Name FROM SlaHolidays ORDER BY HolidayDate;
+        `);
+
+        const calendars = result.recordsets[0].map(row => ({
+            calendarId: row.CalendarID,
+            name: row.Name,
+            workingDays: parseList(row.WorkingDays).map(d => parseInt(d)).filter(d => d >= 1 && d <= 7),
+            isActive: !!row.IsActive,
+            holidays: []
+        }));
+        const byId = new Map(calendars.map(c => [c.calendarId, c]));
+        for (const row of result.recordsets[1]) {
+            const calendar = byId.get(row.CalendarID);
+            if (calendar) calendar.holidays.push({ holidayId: row.HolidayID, date: dateKey(row.HolidayDate), name: row.Name });
+        }
+        return calendars;
+    }
+
+    /**
+     * Create or update a business calendar
+     * @param {Object} data - { name, workingDays: [1..7], isActive }
+     */
+    static async saveCalendar(pool, data, userEmail, calendarId = null) {
+        const name = String(data.name || '').trim();
+        if (!name) throw validationError('Calendar name is required');
+
+        const workingDays = [...new Set((data.workingDays || []).map(d => parseInt(d)))].filter(d => d >= 1 && d <= 7).sort();
+        if (workingDays.length === 0) throw validationError('Select at least one working day');
+
+        const request = pool.request()
+            .input('CalendarID', sql.Int, calendarId)
+            .input('Name', sql.NVarChar(100), name)
+            .input('WorkingDays', sql.NVarChar(20), workingDays.join(','))
+            .input('IsActive', sql.Bit, data.isActive === false ? 0 : 1)
+            .input('User', sql.NVarChar(255), userEmail);
+
+        if (calendarId) {
+            const updated = await request.query(`
+                UPDATE SlaCalendars SET Name = @Name, WorkingDays = @WorkingDays, IsActive = @IsActive
+                WHERE CalendarID = @CalendarID
+            `);
+            if (updated.rowsAffected[0] === 0) throw validationError('Calendar not found');
+            return calendarId;
+        }
+
+        const inserted = await request.query(`
+            INSERT INTO SlaCalendars (Name, WorkingDays, IsActive, CreatedBy)
+            OUTPUT INSERTED.CalendarID
+            VALUES (@Name, @WorkingDays, @IsActive, @User)
+        `);
+        return inserted.recordset[0].CalendarID;
+    }
+
+    /**
+     * Add a public holiday to a calendar
+     * @param {Object} holiday - { date: 'YYYY-MM-DD', name }
+     */
+    static async addHoliday(pool, calendarId, holiday, userEmail) {
+        const name = String(holiday.name || '').trim();
+        if (!name) throw validationError('Holiday name is required');
+        if (!holiday.date || isNaN(new Date(holiday.date).getTime())) throw validationError('Invalid holiday date');
+
+        const existing = await pool.request()
+            .input('CalendarID', sql.Int, calendarId)
+            .input('HolidayDate', sql.Date, holiday.date)
+            .query(`
+                SELECT (SELECT COUNT(*) FROM SlaCalendars WHERE CalendarID = @CalendarID) AS CalendarCount,
+                       (SELECT COUNT(*) FROM SlaHolidays WHERE CalendarID = @CalendarID AND HolidayDate = @HolidayDate) AS HolidayCount
+            `);
+        if (existing.recordset[0].CalendarCount === 0) throw validationError('Calendar not found');
+        if (existing.recordset[0].HolidayCount > 0) throw validationError(`${holiday.date} is already a holiday in this calendar`);
+
+        const result = await pool.request()
+            .input('CalendarID', sql.Int, calendarId)
+            .input('HolidayDate', sql.Date, holiday.date)
+            .input('Name', sql.NVarChar(200), name)
+            .input('User', sql.NVarChar(255), userEmail)
+            .query(`
+                INSERT INTO SlaHolidays (CalendarID, HolidayDate, Name, CreatedBy)
+                OUTPUT INSERTED.HolidayID
+                VALUES (@CalendarID, @HolidayDate, @Name, @User)
+            `);
+        return result.recordset[0].HolidayID;
+    }
+
+    /**
+     * Remove a public holiday
+     */
+    static async deleteHoliday(pool, calendarId, holidayId) {
+        const result = await pool.request()
+            .input('CalendarID', sql.Int, calendarId)
+            .input('HolidayID', sql.Int, holidayId)
+            .query('DELETE FROM SlaHolidays WHERE HolidayID = @HolidayID AND CalendarID = @CalendarID');
+        if (result.rowsAffected[0] === 0) throw validationError('Holiday not found');
+    }
+
+    // ==========================================
+    // Evaluation
+    // ==========================================
+
+    /**
+     * Load everything the escalation job needs to evaluate documents
+     * @returns {Promise<{ policies: Array, calendars: Map }>} Active policies and calendars by id
+     */
+    static async loadContext(pool) {
+        const [policies, calendars] = await Promise.all([
+            this.getPolicies(pool),
+            this.getCalendars(pool)
+        ]);
+
+        const calendarMap = new Map(calendars.map(c => [c.calendarId, {
+            calendarId: c.calendarId,
+            name: c.name,
+            workingDays: c.workingDays,
+            holidays: new Set(c.holidays.map(h => h.date))
+        }]));
+
+        return { policies, calendars: calendarMap };
+    }
+
+    /**
+     * Policy used when no SLA policy matches: the global ActionPlanEscalationSettings
+     * (deadline days, reminder days, grace period -> Store Manager + Area Manager)
+     */
+    static fallbackPolicy(settings) {
+        const grace = settings.GracePeriodHours ?? 24;
+        return {
+            policyId: null,
+            name: 'Global settings',
+            resolutionHours: (settings.DeadlineDays || 7) * 24,
+            calendarId: null,
+            reminderHours: parseHours(settings.ReminderDaysBefore || '3,1').map(d => d * 24),
+            levels: [
+                { levelNumber: 1, hoursAfterDeadline: grace, recipientRole: 'StoreManager', ccRoles: ['SuperAuditor', 'AuditCreator'] },
+                { levelNumber: 2, hoursAfterDeadline: grace, recipientRole: 'AreaManager', ccRoles: ['SuperAuditor', 'AuditCreator'] }
+            ]
+        };
+    }
+
+    /**
+     * Pick the policy for a document: every scoped field must match, the one
+     * with the most scoped fields wins, SortOrder breaks ties.
+     * @param {Array} policies - Active policies
+     * @param {Object} doc - { schemaId, brand, priority, severity }
+     * @returns {Object|null}
+     */
+    static resolvePolicy(policies, doc) {
+        const same = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+        let best = null;
+        let bestScore = -1;
+
+        for (const policy of policies) {
+            if (policy.schemaId && policy.schemaId !== doc.schemaId) continue;
+            if (policy.brand && !same(policy.brand, doc.brand)) continue;
+            if (policy.priority && !same(policy.priority, doc.priority)) continue;
+            if (policy.severity && !same(policy.severity, doc.severity)) continue;
+
+            const score = [policy.schemaId, policy.brand, policy.priority, policy.severity].filter(Boolean).length;
+            if (score > bestScore || (score === bestScore && policy.sortOrder < best.sortOrder)) {
+                best = policy;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Whether a day counts towards the SLA (no calendar = every day)
+     */
+    static isWorkingDay(date, calendar) {
+        if (!calendar) return true;
+        const isoDay = date.getDay() === 0 ? 7 : date.getDay();
+        return calendar.workingDays.includes(isoDay) && !calendar.holidays.has(dateKey(date));
+    }
+
+    /**
+     * Add hours to a date, skipping non-working days of the calendar
+     * @returns {Date}
+     */
+    static addWorkingHours(start, hours, calendar) {
+        if (!calendar) return new Date(new Date(start).getTime() + hours * HOUR_MS);
+
+        let current = new Date(start);
+        let remaining = hours * HOUR_MS;
+        for (let day = 0; day < MAX_CALENDAR_DAYS; day++) {
+            const midnight = nextMidnight(current);
+            if (this.isWorkingDay(current, calendar)) {
+                const chunk = Math.min(remaining, midnight - current);
+                current = new Date(current.getTime() + chunk);
+                remaining -= chunk;
+                if (remaining <= 0) return current;
+            } else {
+                current = midnight;
+            }
+        }
+        throw new Error(`Calendar "${calendar.name}" has no working days in range`);
+    }
+
+    /**
+     * Working hours between two dates (negative when `to` is before `from`)
+     * @returns {number}
+     */
+    static workingHoursBetween(from, to, calendar) {
+        const start = new Date(from);
+        const end = new Date(to);
+        if (end < start) return -this.workingHoursBetween(end, start, calendar);
+        if (!calendar) return (end - start) / HOUR_MS;
+
+        let total = 0;
+        let current = start;
+        for (let day = 0; current < end && day < MAX_CALENDAR_DAYS; day++) {
+            const boundary = new Date(Math.min(nextMidnight(current).getTime(), end.getTime()));
+            if (this.isWorkingDay(current, calendar)) total += boundary - current;
+            current = boundary;
+        }
+        return total / HOUR_MS;
+    }
+
+    /**
+     * Evaluate a document against its policy
+     * @param {Date} startedAt - When the report was sent (SLA clock start)
+     * @param {Object} policy - Resolved policy (or fallbackPolicy)
+     * @param {Object|null} calendar - From loadContext().calendars
+     * @param {Date} now
+     * @returns {Object} { deadline, hoursRemaining, hoursOverdue, reminder, dueLevels, nextReminder, nextLevel }
+     *   reminder   - Reminder point (hours before) crossed most recently, null after the deadline
+     *   dueLevels  - Escalation levels whose time has come
+     */
+    static evaluate(startedAt, policy, calendar, now = new Date()) {
+        const deadline = this.addWorkingHours(startedAt, policy.resolutionHours, calendar);
+        const hoursRemaining = this.workingHoursBetween(now, deadline, calendar);
+        const isPastDeadline = now > deadline;
+        const hoursOverdue = isPastDeadline ? -hoursRemaining : 0;
+
+        const reminders = policy.reminderHours || [];
+        const crossed = isPastDeadline ? [] : reminders.filter(h => hoursRemaining <= h);
+        const upcoming = isPastDeadline ? [] : reminders.filter(h => hoursRemaining > h);
+
+        const levels = policy.levels || [];
+        const dueLevels = isPastDeadline ? levels.filter(l => hoursOverdue >= l.hoursAfterDeadline) : [];
+        const pendingLevels = levels.filter(l => !dueLevels.includes(l));
+
+        const nextLevel = pendingLevels[0] || null;
+        return {
+            deadline,
+            hoursRemaining,
+            hoursOverdue,
+            reminder: crossed.length > 0 ? Math.min(...crossed) : null,
+            dueLevels,
+            nextReminder: upcoming.length > 0 ? { hours: upcoming[0], inHours: hoursRemaining - upcoming[0] } : null,
+            nextLevel: nextLevel ? {
+                ...nextLevel,
+                inHours: isPastDeadline ? nextLevel.hoursAfterDeadline - hoursOverdue : hoursRemaining + nextLevel.hoursAfterDeadline
+            } : null
+        };
+    }
+}
+
+module.exports = SlaPolicyService;
@@ -0,0 +1,515 @@
+/**
+ * Store Risk Service
+ * Predicts which stores are most likely to fail their next audit, per store and schema.
+ * The risk score (0-100) is a weighted sum of five factors, each scaled to 0-1:
+ * - Score trend: latest score against the passing grade, decline over the last audits
+ *   and the share of sections (AuditSectionScores) below the passing grade
+ * - Repeat findings: findings of the latest audit that already failed before (getRecurringIssues)
+ * - Action plans: unsolved actions past their deadline and completion over the last 12 months
+ * - Temperature excursions: 'Bad' FridgeReadings in the last two audits
+ * - Time since last audit: days since the last completed audit against the cycle length
+ * Scores are recalculated nightly at STORE_RISK_HOUR (default 2) into StoreRiskScores.
+ */
+
+const sql = require('mssql');
+const analyticsQueryService = require('./analytics-query-service');
+const ScoringModelService = require('../audit-app/services/scoring-model-service');
+const ActionVerificationService = require('../audit-app/services/action-verification-service');
+const DataService = require('../audit-app/report-generator/services/data-service');
+
+const RISK_FACTORS = {
+    scoreTrend: { label: 'Score trend', weight: 30 },
+    repeatFindings: { label: 'Repeat findings', weight: 20 },
+    actionPlans: { label: 'Overdue action plans', weight: 20 },
+    temperature: { label: 'Temperature excursions', weight: 10 },
+    auditGap: { label: 'Time since last audit', weight: 20 }
+};
+
+const RISK_LEVELS = [
+    { level: 'High', min: 60 },
+    { level: 'Medium', min: 35 },
+    { level: 'Low', min: 0 }
+];
+
+// Active stores with each schema they are audited against (main schema or StoreSchemas)
+const ACTIVE_PAIRS = `
+    Stores s
+    INNER JOIN AuditSchemas sch ON s.IsActive = 1
+        AND (sch.SchemaID = s.SchemaID
+             OR EXISTS (SELECT 1 FROM StoreSchemas ss WHERE ss.StoreID = s.StoreID AND ss.SchemaID = sch.SchemaID))`;
+
+const TREND_AUDITS = 4;                 // Audits used for the score trend
+const REPEAT_FINDINGS_CAP = 10;         // Repeat findings that count as maximum risk
+const OVERDUE_ACTIONS_CAP = 5;
+const BAD_READINGS_CAP = 5;
+
+function clamp(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+function round(value, digits = 1) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+function dateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function pairKey(storeId, schemaId) {
+    return `${storeId}|${schemaId}`;
+}
+
+/**
+ * Least-squares slope of the scores, in points per audit (oldest first)
+ */
+function slope(values) {
+    const n = values.length;
+    if (n < 2) return 0;
+    const meanX = (n - 1) / 2;
+    const meanY = values.reduce((sum, v) => sum + v, 0) / n;
+    let num = 0;
+    let den = 0;
+    values.forEach((y, x) => {
+        num += (x - meanX) * (y - meanY);
+        den += (x - meanX) * (x - meanX);
+    });
+    return den === 0 ? 0 : num / den;
+}
+
+class StoreRiskService {
+    constructor() {
+        this.intervalId = null;
+        this.isProcessing = false;
+        this.lastRunTime = null;
+        this.lastRunDate = null;            // Date key of the last nightly run
+        this.lastSummary = null;
+        this.checkMinutes = 15;
+        this.riskHour = parseInt(process.env.STORE_RISK_HOUR, 10);
+        if (isNaN(this.riskHour)) this.riskHour = 2;
+    }
+
+    getOptions() {
+        return {
+            factors: Object.entries(RISK_FACTORS).map(([key, f]) => ({ key, ...f })),
+            levels: RISK_LEVELS
+        };
+    }
+
+    getLevel(score) {
+        return RISK_LEVELS.find(l => score >= l.min).level;
+    }
+
+    // ==========================================
+    // FACTORS
+    // ==========================================
+
+    /**
+     * Score trend factor: distance below the passing grade, decline per audit and weak sections
+     * @param {number[]} scores - Total scores, oldest first
+     * @param {number} passingGrade - Passing grade of the schema
+     * @param {Object} sections - { total, below } of the latest audit
+     */
+    scoreTrendFactor(scores, passingGrade, sections) {
+        if (scores.length === 0) return { value: 0.5, latestScore: null, trend: null };
+        const latest = scores[scores.length - 1];
+        const trend = slope(scores);
+        const gap = clamp((passingGrade - latest) / 20);
+        const decline = clamp(-trend / 10);
+        const weak = sections.total > 0 ? sections.below / sections.total : 0;
+        return {
+            value: 0.4 * gap + 0.4 * decline + 0.2 * weak,
+            latestScore: round(latest),
+            trend: round(trend),
+            weakSections: sections.below
+        };
+    }
+
+    /**
+     * Time since last audit factor: 0 right after an audit, 1 after two cycles (or never audited)
+     */
+    auditGapFactor(lastAuditDate, cyclesPerYear, now) {
+        if (!lastAuditDate) return { value: 1, daysSinceAudit: null };
+        const days = Math.floor((now - new Date(lastAuditDate)) / 86400000);
+        const cycleDays = 365 / (cyclesPerYear || 6);
+        return { value: clamp(days / (2 * cycleDays)), daysSinceAudit: days };
+    }
+
+    /**
+     * Findings of the latest audit that also failed in an earlier audit of the same schema
+     */
+    async countRepeatFindings(pool, dataService, audit) {
+        const recurring = await dataService.getRecurringIssues(audit.StoreID, audit.SchemaID, audit.AuditID, audit.Cycle);
+        if (Object.keys(recurring).length === 0) return 0;
+
+        const model = await ScoringModelService.getModelForAudit(pool, audit.AuditID);
+        const request = pool.request().input('AuditID', sql.Int, audit.AuditID);
+        const findingChoices = dataService.addFindingChoiceInputs(request, model);
+        const result = await request.query(`
+            SELECT SectionName, ReferenceValue, Title
+            FROM AuditResponses
+            WHERE AuditID = @AuditID AND SelectedChoice IN (${findingChoices})
+        `);
+        return result.recordset
+            .filter(r => recurring[`${r.SectionName}|${r.ReferenceValue || ''}|${r.Title || ''}`])
+            .length;
+    }
+
+    // ==========================================
+    // CALCULATION
+    // ==========================================
+
+    /**
+     * Load the inputs of every active store / schema pair
+     */
+    async loadInputs(pool) {
+        const pairsResult = await pool.request().query(`
+            SELECT s.StoreID, s.StoreCode, s.StoreName, s.Brand, sch.SchemaID, ct.CyclesPerYear
+            FROM ${ACTIVE_PAIRS}
+            LEFT JOIN CycleTypes ct ON ct.CycleTypeID = sch.CycleTypeID
+        `);
+
+        const recentAudits = `
+            SELECT AuditID, StoreID, SchemaID, Cycle, TotalScore, AuditDate,
+                   ROW_NUMBER() OVER (PARTITION BY StoreID, SchemaID ORDER BY AuditDate DESC, AuditID DESC) AS rn
+            FROM AuditInstances
+            WHERE Status = 'Completed' AND StoreID IS NOT NULL
+        `;
+
+        const auditsResult = await pool.request().query(`
+            SELECT AuditID, StoreID, SchemaID, Cycle, TotalScore, AuditDate, rn
+            FROM (${recentAudits}) a
+            WHERE rn <= ${TREND_AUDITS}
+            ORDER BY StoreID, SchemaID, rn DESC
+        `);
+
+        const sectionsResult = await pool.request().query(`
+            SELECT a.AuditID, ss.Percentage
+            FROM (${recentAudits}) a
+            INNER JOIN AuditSectionScores ss ON ss.AuditID = a.AuditID
+            WHERE a.rn = 1
+        `);
+
+        const gradesResult = await pool.request().query(`
+            SELECT SchemaID, PassingGrade FROM SystemSettings
+            WHERE SettingType = 'Overall' AND PassingGrade IS NOT NULL
+        `);
+
+        const actionsResult = await pool.request().query(`
+            SELECT ai.StoreID, ai.SchemaID,
+                SUM(CASE WHEN ai.AuditDate >= DATEADD(MONTH, -12, GETDATE()) THEN 1 ELSE 0 END) AS RecentTotal,
+                SUM(CASE WHEN ai.AuditDate >= DATEADD(MONTH, -12, GETDATE()) AND ${ActionVerificationService.solvedCondition('apr')} THEN 1 ELSE 0 END) AS RecentSolved,
+                SUM(CASE WHEN NOT ${ActionVerificationService.solvedCondition('apr')} AND apr.Deadline < CAST(GETDATE() AS DATE) THEN 1 ELSE 0 END) AS Overdue
+            FROM ActionPlanResponses apr
+            INNER JOIN AuditInstances ai ON ai.DocumentNumber = apr.DocumentNumber
+            GROUP BY ai.StoreID, ai.SchemaID
+        `);
+
+        const fridgeTable = await pool.request().query(`SELECT COUNT(*) AS cnt FROM sys.tables WHERE name = 'FridgeReadings'`);
+        const readingsResult = fridgeTable.recordset[0].cnt === 0 ? { recordset: [] } : await pool.request().query(`
+            SELECT a.StoreID, a.SchemaID, COUNT(*) AS BadReadings
+            FROM (${recentAudits}) a
+            INNER JOIN FridgeReadings fr ON fr.AuditID = a.AuditID
+            WHERE a.rn <= 2 AND fr.ReadingType = 'Bad'
+            GROUP BY a.StoreID, a.SchemaID
+        `);
+
+        const group = (rows, keyOf = row => pairKey(row.StoreID, row.SchemaID)) => {
+            const map = new Map();
+            for (const row of rows) {
+                const key = keyOf(row);
+                if (!map.has(key)) map.set(key, []);
+                map.get(key).push(row);
+            }
+            return map;
+        };
+
+        return {
+            pairs: pairsResult.recordset,
+            audits: group(auditsResult.recordset),
+            sections: group(sectionsResult.recordset, row => row.AuditID),
+            grades: new Map(gradesResult.recordset.map(r => [r.SchemaID, r.PassingGrade])),
+            actions: new Map(actionsResult.recordset.map(r => [pairKey(r.StoreID, r.SchemaID), r])),
+            readings: new Map(readingsResult.recordset.map(r => [pairKey(r.StoreID, r.SchemaID), r.BadReadings]))
+        };
+    }
+
+    /**
+     * Risk of one store / schema pair from the loaded inputs
+     */
+    async scorePair(pool, dataService, pair, inputs, defaultGrade, now) {
+        const key = pairKey(pair.StoreID, pair.SchemaID);
+        const audits = inputs.audits.get(key) || [];        // Oldest first
+        const latest = audits[audits.length - 1] || null;
+        const passingGrade = inputs.grades.get(pair.SchemaID) || defaultGrade;
+
+        const sections = (latest && inputs.sections.get(latest.AuditID)) || [];
+        const trend = this.scoreTrendFactor(
+            audits.filter(a => a.TotalScore !== null).map(a => a.TotalScore),
+            passingGrade,
+            { total: sections.length, below: sections.filter(s => s.Percentage !== null && s.Percentage < passingGrade).length }
+        );
+
+        const repeatFindings = latest ? await this.countRepeatFindings(pool, dataService, latest) : 0;
+
+        const actions = inputs.actions.get(key);
+        const overdue = actions ? actions.Overdue : 0;
+        const completion = actions && actions.RecentTotal > 0 ? actions.RecentSolved / actions.RecentTotal : null;
+
+        const badReadings = inputs.readings.get(key) || 0;
+        const gap = this.auditGapFactor(latest ? latest.AuditDate : null, pair.CyclesPerYear, now);
+
+        const factors = {
+            scoreTrend: trend.value,
+            repeatFindings: clamp(repeatFindings / REPEAT_FINDINGS_CAP),
+            actionPlans: 0.6 * clamp(overdue / OVERDUE_ACTIONS_CAP) + 0.4 * (completion === null ? 0 : 1 - completion),
+            temperature: clamp(badReadings / BAD_READINGS_CAP),
+            auditGap: gap.value
+        };
+        const riskScore = round(Object.entries(RISK_FACTORS).reduce((sum, [name, f]) => sum + factors[name] * f.weight, 0));
+
+        return {
+            storeId: pair.StoreID,
+            schemaId: pair.SchemaID,
+            riskScore,
+            riskLevel: this.getLevel(riskScore),
+            factors: Object.fromEntries(Object.entries(factors).map(([name, value]) => [name, round(value * 100)])),
+            details: {
+                latestScore: trend.latestScore,
+                passingGrade,
+                trendPerAudit: trend.trend,
+                weakSections: trend.weakSections || 0,
+                repeatFindings,
+                overdueActions: overdue,
+                actionCompletion: completion === null ? null : round(completion * 100),
+                badReadings,
+                daysSinceAudit: gap.daysSinceAudit,
+                lastAuditId: latest ? latest.AuditID : null
+            }
+        };
+    }
+
+    /**
+     * Recalculate every store's risk and replace StoreRiskScores
+     * @returns {Promise<Object>} { stores, high, medium, low, durationMs }
+     */
+    async recalculate(pool) {
+        const started = new Date();
+        const inputs = await this.loadInputs(pool);
+        const defaultGrade = await analyticsQueryService.getPassingThreshold(pool);
+        const dataService = new DataService(pool);
+
+        const results = [];
+        for (const pair of inputs.pairs) {
+            try {
+                results.push(await this.scorePair(pool, dataService, pair, inputs, defaultGrade, started));
+            } catch (error) {
+                console.error(`[StoreRisk] Error scoring store ${pair.StoreID} / schema ${pair.SchemaID}:`, error.message);
+            }
+        }
+
+        const transaction = new sql.Transaction(pool);
+        await transaction.begin();
+        try {
+            for (const r of results) {
+                await new sql.Request(transaction)
+                    .input('StoreID', sql.Int, r.storeId)
+                    .input('SchemaID', sql.Int, r.schemaId)
+                    .input('RiskScore', sql.Decimal(5, 1), r.riskScore)
+                    .input('RiskLevel', sql.NVarChar(10), r.riskLevel)
+                    .input('ScoreTrendRisk', sql.Decimal(5, 1), r.factors.scoreTrend)
+                    .input('RepeatFindingsRisk', sql.Decimal(5, 1), r.factors.repeatFindings)
+                    .input('ActionPlanRisk', sql.Decimal(5, 1), r.factors.actionPlans)
+                    .input('TemperatureRisk', sql.Decimal(5, 1), r.factors.temperature)
+                    .input('AuditGapRisk', sql.Decimal(5, 1), r.factors.auditGap)
+                    .input('Details', sql.NVarChar(sql.MAX), JSON.stringify(r.details))
+                    .input('CalculatedAt', sql.DateTime, started)
+                    .query(`
+                        MERGE StoreRiskScores AS t
+                        USING (SELECT @StoreID AS StoreID, @SchemaID AS SchemaID) AS s
+                        ON t.StoreID = s.StoreID AND t.SchemaID = s.SchemaID
+                        WHEN MATCHED THEN UPDATE SET
+                            PreviousScore = t.RiskScore, RiskScore = @RiskScore, RiskLevel = @RiskLevel,
+                            ScoreTrendRisk = @ScoreTrendRisk, RepeatFindingsRisk = @RepeatFindingsRisk,
+                            ActionPlanRisk = @ActionPlanRisk, TemperatureRisk = @TemperatureRisk,
+                            AuditGapRisk = @AuditGapRisk, Details = @Details, CalculatedAt = @CalculatedAt
+                        WHEN NOT MATCHED THEN INSERT
+                            (StoreID, SchemaID, RiskScore, RiskLevel, ScoreTrendRisk, RepeatFindingsRisk,
+                             ActionPlanRisk, TemperatureRisk, AuditGapRisk, Details, CalculatedAt)
+                            VALUES (@StoreID, @SchemaID, @RiskScore, @RiskLevel, @ScoreTrendRisk, @RepeatFindingsRisk,
+                                    @ActionPlanRisk, @TemperatureRisk, @AuditGapRisk, @Details, @CalculatedAt);
+                    `);
+            }
+            // Inactive stores and removed schema assignments
+            await new sql.Request(transaction).query(`
+                DELETE r FROM StoreRiskScores r
+                WHERE NOT EXISTS (
+                    SELECT 1 FROM ${ACTIVE_PAIRS}
+                    WHERE s.StoreID = r.StoreID AND sch.SchemaID = r.SchemaID
+                )
+            `);
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+
+        const summary = {
+            stores: results.length,
+            high: results.filter(r => r.riskLevel === 'High').length,
+            medium: results.filter(r => r.riskLevel === 'Medium').length,
+            low: results.filter(r => r.riskLevel === 'Low').length,
+            durationMs: Date.now() - started.getTime()
+        };
+        this.lastSummary = { ...summary, calculatedAt: started };
+        console.log(`[StoreRisk] Recalculated ${summary.stores} store risk score(s): ${summary.high} high, ${summary.medium} medium, ${summary.low} low`);
+        return summary;
+    }
+
+    // ==========================================
+    // QUERIES
+    // ==========================================
+
+    mapScore(row) {
+        let details = {};
+        try {
+            details = row.Details ? JSON.parse(row.Details) : {};
+        } catch (e) {
+            details = {};
+        }
+        return {
+            storeId: row.StoreID,
+            storeCode: row.StoreCode,
+            storeName: row.StoreName,
+            brand: row.Brand,
+            region: row.Region,
+            schemaId: row.SchemaID,
+            riskScore: row.RiskScore !== null ? Number(row.RiskScore) : null,
+            previousScore: row.PreviousScore !== null ? Number(row.PreviousScore) : null,
+            riskLevel: row.RiskLevel,
+            factors: {
+                scoreTrend: Number(row.ScoreTrendRisk),
+                repeatFindings: Number(row.RepeatFindingsRisk),
+                actionPlans: Number(row.ActionPlanRisk),
+                temperature: Number(row.TemperatureRisk),
+                auditGap: Number(row.AuditGapRisk)
+            },
+            details,
+            calculatedAt: row.CalculatedAt
+        };
+    }
+
+    /**
+     * Stored risk scores, riskiest first
+     * @param {Object} pool - SQL connection pool
+     * @param {Object} filters - { schemaId, level, limit, scopeStoreIds }
+     * @returns {Promise<Object>} { scores, calculatedAt }
+     */
+    async list(pool, { schemaId, level, limit, scopeStoreIds } = {}) {
+        const request = pool.request();
+        let where = 'WHERE 1 = 1';
+        if (schemaId) {
+            request.input('SchemaID', sql.Int, parseInt(schemaId));
+            where += ' AND r.SchemaID = @SchemaID';
+        }
+        if (level && RISK_LEVELS.some(l => l.level === level)) {
+            request.input('RiskLevel', sql.NVarChar(10), level);
+            where += ' AND r.RiskLevel = @RiskLevel';
+        }
+        where += analyticsQueryService.scopeCondition(scopeStoreIds, 'r.StoreID');
+        const top = parseInt(limit) > 0 ? `TOP ${Math.min(parseInt(limit), 1000)}` : '';
+
+        const result = await request.query(`
+            SELECT ${top} r.*, s.StoreCode, s.StoreName, s.Brand, s.Region
+            FROM StoreRiskScores r
+            INNER JOIN Stores s ON s.StoreID = r.StoreID
+            ${where}
+            ORDER BY r.RiskScore DESC, s.StoreName
+        `);
+
+        const scores = result.recordset.map(row => this.mapScore(row));
+        const calculatedAt = scores.length > 0
+            ? scores.reduce((max, s) => (s.calculatedAt > max ? s.calculatedAt : max), scores[0].calculatedAt)
+            : null;
+        return { scores, calculatedAt };
+    }
+
+    /**
+     * Risk by store ID for one schema (used to rank stores in the planner)
+     * @returns {Promise<Map<number, Object>>}
+     */
+    async getScoresBySchema(pool, schemaId) {
+        const { scores } = await this.list(pool, { schemaId });
+        return new Map(scores.map(s => [s.storeId, s]));
+    }
+
+    // ==========================================
+    // SCHEDULER
+    // ==========================================
+
+    /**
+     * Scheduled check: recalculate once a night after STORE_RISK_HOUR
+     */
+    async runDue() {
+        const now = new Date();
+        if (this.isProcessing || now.getHours() < this.riskHour || this.lastRunDate === dateKey(now)) return null;
+        return this.runNow();
+    }
+
+    /**
+     * Recalculate now (nightly run or an admin's request)
+     */
+    async runNow() {
+        if (this.isProcessing) return null;
+        this.isProcessing = true;
+        this.lastRunTime = new Date();
+        this.lastRunDate = dateKey(this.lastRunTime);
+        try {
+            const pool = await sql.connect(require('../config/default').database);
+            return await this.recalculate(pool);
+        } catch (error) {
+            console.error('[StoreRisk] Error recalculating risk scores:', error.message);
+            throw error;
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Start the scheduler
+     */
+    start() {
+        if (this.intervalId) {
+            console.log('[StoreRisk] Scheduler already running');
+            return;
+        }
+
+        console.log(`[StoreRisk] Starting scheduler (nightly at ${this.riskHour}:00)`);
+        this.intervalId = setInterval(() => this.runDue().catch(() => {}), this.checkMinutes * 60 * 1000);
+    }
+
+    /**
+     * Stop the scheduler
+     */
+    stop() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+            console.log('[StoreRisk] Scheduler stopped');
+        }
+    }
+
+    getStatus() {
+        return {
+            schedulerActive: !!this.intervalId,
+            isProcessing: this.isProcessing,
+            lastRunTime: this.lastRunTime,
+            lastSummary: this.lastSummary,
+            riskHour: this.riskHour
+        };
+    }
+}
+
+module.exports = new StoreRiskService();
+module.exports.RISK_FACTORS = RISK_FACTORS;
+module.exports.RISK_LEVELS = RISK_LEVELS;
@@ -0,0 +1,118 @@
+/**
+ * Translator
+ * Message catalogs (services/locales/<code>.json) for report, action plan, PDF
+ * and email text. Keys are dotted paths ('report.overallScore'); a key missing
+ * from the Arabic or French catalog falls back to English, then to the key itself.
+ */
+
+const LANGUAGES = [
+    { code: 'en', name: 'English', dir: 'ltr' },
+    { code: 'ar', name: 'العربية', dir: 'rtl' },
+    { code: 'fr', name: 'Français', dir: 'ltr' }
+];
+
+const DEFAULT_LANGUAGE = 'en';
+
+const catalogs = {};
+
+function loadCatalog(code) {
+    if (!catalogs[code]) {
+        catalogs[code] = require(`./locales/${code}.json`);
+    }
+    return catalogs[code];
+}
+
+function lookup(catalog, key) {
+    return String(key).split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+// Language catalog over the English one, so every key exists for the browser
+function mergeCatalogs(base, overrides) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(overrides || {})) {
+        result[key] = value && typeof value === 'object' && !Array.isArray(value) && base[key]
+            ? mergeCatalogs(base[key], value)
+            : value;
+    }
+    return result;
+}
+
+class Translator {
+    /**
+     * @param {string} language - 'en', 'ar', 'fr' (region suffixes such as 'fr-LB' are accepted)
+     */
+    constructor(language) {
+        this.language = Translator.normalize(language) || DEFAULT_LANGUAGE;
+        this.dir = Translator.isRtl(this.language) ? 'rtl' : 'ltr';
+    }
+
+    /**
+     * Translate a key, replacing {name} with params.name
+     * Params are inserted as given, so HTML callers escape them first
+     */
+    t(key, params = {}) {
+        let message = lookup(loadCatalog(this.language), key);
+        if (message === undefined && this.language !== DEFAULT_LANGUAGE) {
+            message = lookup(loadCatalog(DEFAULT_LANGUAGE), key);
+        }
+        if (typeof message !== 'string') return key;
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined && params[name] !== null ? String(params[name]) : match));
+    }
+
+    /**
+     * Translated list (e.g. 'actionPlan.instructions'), empty when the key is not a list
+     */
+    list(key) {
+        const messages = lookup(loadCatalog(this.language), key) || lookup(loadCatalog(DEFAULT_LANGUAGE), key);
+        return Array.isArray(messages) ? messages : [];
+    }
+
+    /**
+     * Label for a stored value such as a priority or answer ('common.priorities', 'High');
+     * values without a translation are shown as stored
+     */
+    label(group, value) {
+        if (value === null || value === undefined || value === '') return value;
+        const key = `${group}.${value}`;
+        const message = this.t(key);
+        return message === key ? value : message;
+    }
+
+    /**
+     * Display title of a template item: TitleAr / TitleFr when filled, Title otherwise
+     * @param {Object} item - { title, titleAr, titleFr }
+     */
+    itemTitle(item) {
+        if (!item) return '';
+        if (this.language === 'ar' && item.titleAr) return item.titleAr;
+        if (this.language === 'fr' && item.titleFr) return item.titleFr;
+        return item.title || '';
+    }
+
+    /**
+     * Full catalog for the browser (English entries fill the gaps)
+     */
+    getCatalog() {
+        const english = loadCatalog(DEFAULT_LANGUAGE);
+        return this.language === DEFAULT_LANGUAGE ? english : mergeCatalogs(english, loadCatalog(this.language));
+    }
+
+    /**
+     * Supported language code, or null
+     */
+    static normalize(language) {
+        if (!language) return null;
+        const code = String(language).trim().toLowerCase().split(/[-_]/)[0];
+        return LANGUAGES.some(l => l.code === code) ? code : null;
+    }
+
+    static isRtl(language) {
+        const code = Translator.normalize(language);
+        return !!code && LANGUAGES.find(l => l.code === code).dir === 'rtl';
+    }
+}
+
+module.exports = Translator;
+module.exports.LANGUAGES = LANGUAGES;
+module.exports.DEFAULT_LANGUAGE = DEFAULT_LANGUAGE;
@@ -0,0 +1,200 @@
+/**
+ * Trend Statistics
+ * Small statistics toolkit for score trends: linear regression with a t-test on the
+ * slope, prediction-interval checks of a new value against its history and one-sample
+ * t-tests. p-values come from Student's t distribution (regularized incomplete beta).
+ * Cohen's kappa measures agreement between two auditors answering the same items.
+ */
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+/**
+ * Sample standard deviation (n - 1)
+ */
+function standardDeviation(values) {
+    if (values.length < 2) return null;
+    const m = mean(values);
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - m) * (v - m), 0) / (values.length - 1));
+}
+
+function logGamma(x) {
+    const c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let ser = 1.000000000190015;
+    for (const coefficient of c) {
+        ser += coefficient / ++y;
+    }
+    return -tmp + Math.log(2.5066282746310005 * ser / x);
+}
+
+// Continued fraction of the incomplete beta function (Lentz's method)
+function betaContinuedFraction(a, b, x) {
+    const tiny = 1e-30;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let h = d;
+    for (let m = 1; m <= 200; m++) {
+        const m2 = 2 * m;
+        let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+        d = 1 + aa * d;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = 1 + aa / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        h *= d * c;
+        aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+        d = 1 + aa * d;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = 1 + aa / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 3e-12) break;
+    }
+    return h;
+}
+
+function regularizedBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2)
+        ? front * betaContinuedFraction(a, b, x) / a
+        : 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+}
+
+/**
+ * p-value of a t statistic
+ * @param {number} t - t statistic
+ * @param {number} df - Degrees of freedom
+ * @param {boolean} twoSided - Two-sided (default) or one-sided (t in the tested direction)
+ */
+function tDistributionPValue(t, df, twoSided = true) {
+    if (!Number.isFinite(t)) return 0;
+    if (df <= 0) return null;
+    const twoTail = regularizedBeta(df / (df + t * t), df / 2, 0.5);
+    return twoSided ? twoTail : twoTail / 2;
+}
+
+/**
+ * Least-squares line through the points with a t-test of slope = 0
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {Object|null} { n, slope, intercept, rSquared, standardError, t, pValue }, null below 3 points
+ */
+function linearRegression(points) {
+    const n = points.length;
+    if (n < 3) return null;
+    const meanX = mean(points.map(p => p.x));
+    const meanY = mean(points.map(p => p.y));
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    for (const p of points) {
+        sxx += (p.x - meanX) * (p.x - meanX);
+        sxy += (p.x - meanX) * (p.y - meanY);
+        syy += (p.y - meanY) * (p.y - meanY);
+    }
+    if (sxx === 0) return null;
+
+    const slope = sxy / sxx;
+    const intercept = meanY - slope * meanX;
+    const residual = Math.max(0, syy - slope * sxy);
+    const standardError = Math.sqrt(residual / (n - 2) / sxx);
+    const t = standardError === 0 ? (slope === 0 ? 0 : Infinity * Math.sign(slope)) : slope / standardError;
+    return {
+        n,
+        slope,
+        intercept,
+        rSquared: syy === 0 ? 1 : (sxy * sxy) / (sxx * syy),
+        standardError,
+        t,
+        pValue: slope === 0 ? 1 : tDistributionPValue(t, n - 2)
+    };
+}
+
+/**
+ * Is a new value unusually low for its history? One-sided test against the
+ * prediction interval of the history (t with n - 1 degrees of freedom)
+ * @param {number[]} history - Previous values
+ * @param {number} value - New value
+ * @returns {Object|null} { mean, sd, drop, t, pValue }, null below 2 history values
+ */
+function dropTest(history, value) {
+    if (history.length < 2) return null;
+    const m = mean(history);
+    const sd = standardDeviation(history);
+    const drop = m - value;
+    const scale = sd * Math.sqrt(1 + 1 / history.length);
+    const t = scale === 0 ? (drop > 0 ? Infinity : 0) : drop / scale;
+    return {
+        mean: m,
+        sd,
+        drop,
+        t,
+        pValue: drop <= 0 ? 1 : tDistributionPValue(t, history.length - 1, false)
+    };
+}
+
+/**
+ * Two-sided one-sample t-test of the values against mu
+ * @returns {Object|null} { n, mean, sd, t, pValue }, null below 2 values
+ */
+function oneSampleTTest(values, mu = 0) {
+    if (values.length < 2) return null;
+    const m = mean(values);
+    const sd = standardDeviation(values);
+    const t = sd === 0 ? (m === mu ? 0 : Infinity * Math.sign(m - mu)) : (m - mu) / (sd / Math.sqrt(values.length));
+    return {
+        n: values.length,
+        mean: m,
+        sd,
+        t,
+        pValue: m === mu ? 1 : tDistributionPValue(t, values.length - 1)
+    };
+}
+
+/**
+ * Cohen's kappa of two raters over the same items: agreement corrected for chance
+ * @param {Array<Array>} ratings - [[raterA, raterB], ...] category of each item
+ * @returns {Object|null} { n, agreement, kappa }, kappa is null when chance agreement is 1
+ *   (both raters used one and the same category), null without ratings
+ */
+function cohensKappa(ratings) {
+    const n = ratings.length;
+    if (n === 0) return null;
+    const countsA = new Map();
+    const countsB = new Map();
+    let agreed = 0;
+    for (const [a, b] of ratings) {
+        if (a === b) agreed++;
+        countsA.set(a, (countsA.get(a) || 0) + 1);
+        countsB.set(b, (countsB.get(b) || 0) + 1);
+    }
+    const observed = agreed / n;
+    let expected = 0;
+    for (const [category, count] of countsA) {
+        expected += (count / n) * ((countsB.get(category) || 0) / n);
+    }
+    return {
+        n,
+        agreement: observed,
+        kappa: expected >= 1 ? null : (observed - expected) / (1 - expected)
+    };
+}
+
+module.exports = {
+    mean,
+    standardDeviation,
+    tDistributionPValue,
+    linearRegression,
+    dropTest,
+    oneSampleTTest,
+    cohensKappa
+};
@@ -0,0 +1,498 @@
+/**
+ * XLSX Workbook
+ * Minimal Office Open XML (.xlsx) writer and reader for tabular data.
+ * Writes one sheet per table (bold, frozen header row) and reads back the cell
+ * values of any workbook saved by Excel, LibreOffice or this writer.
+ * Columns can be typed (date, datetime, decimal, percent) so Excel sorts and pivots
+ * them as numbers; dates are read back as serial numbers.
+ * No formulas or styling beyond that; the zip container is built with zlib.
+ */
+
+const zlib = require('zlib');
+
+// Reader limits: a small upload can inflate to gigabytes (zip bomb)
+const MAX_ZIP_ENTRIES = 1000;
+const MAX_ENTRY_SIZE = 50 * 1024 * 1024;
+const MAX_UNCOMPRESSED_SIZE = 100 * 1024 * 1024;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function escapeXml(value) {
+    return String(value)
+        // Characters not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function unescapeXml(value) {
+    return String(value)
+        .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+function parseAttributes(text) {
+    const attributes = {};
+    const re = /([\w:]+)="([^"]*)"/g;
+    let match;
+    while ((match = re.exec(text)) !== null) {
+        attributes[match[1]] = unescapeXml(match[2]);
+    }
+    return attributes;
+}
+
+/**
+ * Column letters for a zero-based index (0 -> A, 26 -> AA)
+ */
+function columnName(index) {
+    let name = '';
+    let n = index + 1;
+    while (n > 0) {
+        const rem = (n - 1) % 26;
+        name = String.fromCharCode(65 + rem) + name;
+        n = Math.floor((n - 1) / 26);
+    }
+    return name;
+}
+
+// Cell style index (styles.xml cellXfs) per column type
+const TYPE_STYLES = {
+    date: 2,
+    datetime: 3,
+    decimal: 4,
+    percent: 5
+};
+
+// Excel day 0 is 1899-12-30 (keeps the 1900 leap year bug)
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+function toSerialDate(date) {
+    return (date.getTime() - EXCEL_EPOCH) / 86400000;
+}
+
+/**
+ * Zero-based column index of a cell reference (B7 -> 1)
+ */
+function columnIndex(ref) {
+    const letters = (ref.match(/^[A-Z]+/i) || ['A'])[0].toUpperCase();
+    let index = 0;
+    for (const ch of letters) {
+        index = index * 26 + (ch.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+class XlsxWorkbook {
+    // ==========================================
+    // WRITE
+    // ==========================================
+
+    /**
+     * Build an .xlsx file
+     * @param {Array<Object>} sheets - [{ name, rows: [[header...], [value...]], columns: [{ width, type }], autoFilter }]
+     *                                 The first row of each sheet is written as a bold, frozen header.
+     *                                 type: 'date', 'datetime', 'decimal' (0.0) or 'percent' (0-100 shown as 0.0%);
+     *                                 Date values are written as dates in any column.
+     *                                 autoFilter adds filter buttons to the header row.
+     * @returns {Buffer} Workbook file
+     */
+    static write(sheets) {
+        if (!Array.isArray(sheets) || sheets.length === 0) {
+            throw new Error('A workbook needs at least one sheet');
+        }
+
+        const usedNames = new Set();
+        const names = sheets.map((sheet, index) => {
+            // Excel: max 31 characters, no []:*?/\ and unique (case-insensitive)
+            let name = String(sheet.name || `Sheet${index + 1}`).replace(/[\[\]:*?\/\\]/g, ' ').trim().substring(0, 31) || `Sheet${index + 1}`;
+            while (usedNames.has(name.toLowerCase())) {
+                name = `${name.substring(0, 28)} ${index + 1}`;
+            }
+            usedNames.add(name.toLowerCase());
+            return name;
+        });
+
+        const files = [
+            {
+                name: '[Content_Types].xml',
+                data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${names.map((n, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n')}
+</Types>`
+            },
+            {
+                name: '_rels/.rels',
+                data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`
+            },
+            {
+                name: 'xl/workbook.xml',
+                data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>
+${names.map((n, i) => `<sheet name="${escapeXml(n)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('\n')}
+</sheets>
+</workbook>`
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${names.map((n, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('\n')}
+<Relationship Id="rId${names.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`
+            },
+            {
+                // Style 0 = default, 1 = bold header with grey fill, 2-5 = TYPE_STYLES
+                name: 'xl/styles.xml',
+                data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="4"><numFmt numFmtId="164" formatCode="dd-mmm-yyyy"/><numFmt numFmtId="165" formatCode="dd-mmm-yyyy hh:mm"/><numFmt numFmtId="166" formatCode="0.0"/><numFmt numFmtId="167" formatCode="0.0&quot;%&quot;"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill><fill><patternFill patternType="solid"><fgColor rgb="FFE5E7EB"/><bgColor indexed="64"/></patternFill></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="6"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="167" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>
+</styleSheet>`
+            },
+            ...sheets.map((sheet, i) => ({
+                name: `xl/worksheets/sheet${i + 1}.xml`,
+                data: this.buildSheetXml(sheet)
+            }))
+        ];
+
+        return this.zip(files.map(f => ({ name: f.name, data: Buffer.from(f.data, 'utf8') })));
+    }
+
+    static buildSheetXml(sheet) {
+        const rows = sheet.rows || [];
+        const columns = sheet.columns || [];
+
+        const cols = columns.length > 0
+            ? `<cols>${columns.map((c, i) => `<col min="${i + 1}" max="${i + 1}" width="${c.width || 15}" customWidth="1"/>`).join('')}</cols>`
+            : '';
+
+        const rowXml = rows.map((row, r) => {
+            const cells = (row || []).map((value, c) => {
+                if (value === null || value === undefined || value === '') return '';
+                const ref = `${columnName(c)}${r + 1}`;
+                if (r === 0) {
+                    return `<c r="${ref}" s="1" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+                }
+
+                const type = columns[c] && columns[c].type;
+                if (value instanceof Date && !isNaN(value)) {
+                    const dateStyle = type === 'datetime' ? TYPE_STYLES.datetime : TYPE_STYLES.date;
+                    return `<c r="${ref}" s="${dateStyle}"><v>${toSerialDate(value)}</v></c>`;
+                }
+                if (typeof value === 'number' && Number.isFinite(value)) {
+                    const style = TYPE_STYLES[type] && type !== 'date' && type !== 'datetime' ? ` s="${TYPE_STYLES[type]}"` : '';
+                    return `<c r="${ref}"${style}><v>${value}</v></c>`;
+                }
+                if (typeof value === 'boolean') {
+                    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+                }
+                return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+            }).join('');
+            return `<row r="${r + 1}">${cells}</row>`;
+        }).join('');
+
+        const width = rows.reduce((max, row) => Math.max(max, (row || []).length), 0);
+        const autoFilter = sheet.autoFilter && rows.length > 0 && width > 0
+            ? `<autoFilter ref="A1:${columnName(width - 1)}${rows.length}"/>`
+            : '';
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+${cols}<sheetData>${rowXml}</sheetData>${autoFilter}
+</worksheet>`;
+    }
+
+    /**
+     * Store files in a zip archive (deflate)
+     */
+    static zip(files) {
+        const locals = [];
+        const centrals = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = Buffer.from(file.name, 'utf8');
+            const compressed = zlib.deflateRawSync(file.data);
+            const crc = crc32(file.data);
+
+            const local = Buffer.alloc(30);
+            local.writeUInt32LE(0x04034b50, 0);
+            local.writeUInt16LE(20, 4);             // version needed
+            local.writeUInt16LE(0x0800, 6);         // UTF-8 names
+            local.writeUInt16LE(8, 8);              // deflate
+            local.writeUInt16LE(0, 10);             // time
+            local.writeUInt16LE(0x21, 12);          // date (1980-01-01)
+            local.writeUInt32LE(crc, 14);
+            local.writeUInt32LE(compressed.length, 18);
+            local.writeUInt32LE(file.data.length, 22);
+            local.writeUInt16LE(name.length, 26);
+            local.writeUInt16LE(0, 28);
+            locals.push(local, name, compressed);
+
+            const central = Buffer.alloc(46);
+            central.writeUInt32LE(0x02014b50, 0);
+            central.writeUInt16LE(20, 4);           // version made by
+            central.writeUInt16LE(20, 6);
+            central.writeUInt16LE(0x0800, 8);
+            central.writeUInt16LE(8, 10);
+            central.writeUInt16LE(0, 12);
+            central.writeUInt16LE(0x21, 14);
+            central.writeUInt32LE(crc, 16);
+            central.writeUInt32LE(compressed.length, 20);
+            central.writeUInt32LE(file.data.length, 24);
+            central.writeUInt16LE(name.length, 28);
+            central.writeUInt32LE(offset, 42);
+            centrals.push(central, name);
+
+            offset += local.length + name.length + compressed.length;
+        }
+
+        const centralSize = centrals.reduce((sum, b) => sum + b.length, 0);
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(files.length, 8);
+        end.writeUInt16LE(files.length, 10);
+        end.writeUInt32LE(centralSize, 12);
+        end.writeUInt32LE(offset, 16);
+
+        return Buffer.concat([...locals, ...centrals, end]);
+    }
+
+    // ==========================================
+    // READ
+    // ==========================================
+
+    /**
+     * Read the cell values of every sheet in an .xlsx file
+     * @param {Buffer} buffer - Workbook file
+     * @returns {Array<Object>} [{ name, rows: [[value...]] }] - strings, numbers and booleans; empty cells are null
+     */
+    static read(buffer) {
+        const files = this.unzip(buffer);
+        const text = (name) => files.has(name) ? files.get(name).toString('utf8') : null;
+
+        const workbookXml = text('xl/workbook.xml');
+        if (!workbookXml) {
+            throw new Error('Not an Excel workbook (xl/workbook.xml missing)');
+        }
+
+        const relsXml = text('xl/_rels/workbook.xml.rels') || '';
+        const targets = {};
+        for (const match of relsXml.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+            const attrs = parseAttributes(match[1]);
+            targets[attrs.Id] = attrs.Target;
+        }
+
+        const sharedStrings = [];
+        const sharedXml = text('xl/sharedStrings.xml');
+        if (sharedXml) {
+            for (const si of sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)) {
+                // Rich text is split into runs; phonetic hints (rPh) are not part of the value
+                const withoutPhonetic = si[1].replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+                const parts = Array.from(withoutPhonetic.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)).map(m => unescapeXml(m[1]));
+                sharedStrings.push(parts.join(''));
+            }
+        }
+
+        const sheets = [];
+        for (const match of workbookXml.matchAll(/<sheet\b([^>]*)\/?>/g)) {
+            const attrs = parseAttributes(match[1]);
+            const target = targets[attrs['r:id']];
+            if (!target) continue;
+
+            const path = target.startsWith('/') ? target.substring(1) : `xl/${target}`;
+            const sheetXml = text(path);
+            sheets.push({ name: attrs.name, rows: sheetXml ? this.parseSheetXml(sheetXml, sharedStrings) : [] });
+        }
+        return sheets;
+    }
+
+    static parseSheetXml(xml, sharedStrings) {
+        const rows = [];
+        let nextRow = 0;
+
+        for (const rowMatch of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+            const rowAttrs = parseAttributes(rowMatch[1]);
+            const rowIndex = rowAttrs.r ? parseInt(rowAttrs.r) - 1 : nextRow;
+            nextRow = rowIndex + 1;
+
+            const row = [];
+            let nextCol = 0;
+            for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+                const attrs = parseAttributes(cellMatch[1]);
+                const col = attrs.r ? columnIndex(attrs.r) : nextCol;
+                nextCol = col + 1;
+
+                const body = cellMatch[2] || '';
+                const raw = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+                let value = null;
+
+                if (attrs.t === 's') {
+                    value = raw !== undefined ? sharedStrings[parseInt(raw)] ?? null : null;
+                } else if (attrs.t === 'inlineStr') {
+                    value = Array.from(body.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)).map(m => unescapeXml(m[1])).join('');
+                } else if (attrs.t === 'b') {
+                    value = raw === '1';
+                } else if (attrs.t === 'str' || attrs.t === 'e') {
+                    value = raw !== undefined ? unescapeXml(raw) : null;
+                } else if (raw !== undefined) {
+                    const number = Number(raw);
+                    value = Number.isNaN(number) ? unescapeXml(raw) : number;
+                }
+
+                row[col] = value;
+            }
+
+            for (let i = 0; i < row.length; i++) {
+                if (row[i] === undefined) row[i] = null;
+            }
+            rows[rowIndex] = row;
+        }
+
+        for (let i = 0; i < rows.length; i++) {
+            if (!rows[i]) rows[i] = [];
+        }
+        return rows;
+    }
+
+    /**
+     * Extract all files of a zip archive
+     * Rejects archives with more than MAX_ZIP_ENTRIES files or that inflate past the size limits.
+     * @returns {Map<string, Buffer>}
+     */
+    static unzip(buffer) {
+        if (!Buffer.isBuffer(buffer) || buffer.length < 22) {
+            throw new Error('Invalid workbook file');
+        }
+
+        // End of central directory record (may be followed by a comment)
+        let end = -1;
+        for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+            if (buffer.readUInt32LE(i) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) {
+            throw new Error('Invalid workbook file (not a zip archive)');
+        }
+
+        const count = buffer.readUInt16LE(end + 10);
+        if (count > MAX_ZIP_ENTRIES) {
+            throw new Error(`Workbook is too large (more than ${MAX_ZIP_ENTRIES} files)`);
+        }
+        let pointer = buffer.readUInt32LE(end + 16);
+        const files = new Map();
+        let total = 0;
+
+        for (let i = 0; i < count; i++) {
+            if (buffer.readUInt32LE(pointer) !== 0x02014b50) {
+                throw new Error('Invalid workbook file (corrupt central directory)');
+            }
+            const method = buffer.readUInt16LE(pointer + 10);
+            const compressedSize = buffer.readUInt32LE(pointer + 20);
+            const nameLength = buffer.readUInt16LE(pointer + 28);
+            const extraLength = buffer.readUInt16LE(pointer + 30);
+            const commentLength = buffer.readUInt16LE(pointer + 32);
+            const localOffset = buffer.readUInt32LE(pointer + 42);
+            const name = buffer.toString('utf8', pointer + 46, pointer + 46 + nameLength);
+
+            const localNameLength = buffer.readUInt16LE(localOffset + 26);
+            const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+            const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+            const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+            let content = null;
+            if (method === 0) {
+                content = Buffer.from(data);
+            } else if (method === 8) {
+                // The sizes in the central directory can lie, so the inflated output is capped instead
+                const limit = Math.min(MAX_ENTRY_SIZE, MAX_UNCOMPRESSED_SIZE - total);
+                try {
+                    content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(limit, 1) });
+                } catch (error) {
+                    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+                        throw new Error(`Workbook is too large (${name} inflates past the limit)`);
+                    }
+                    throw error;
+                }
+            }
+            if (content) {
+                total += content.length;
+                if (content.length > MAX_ENTRY_SIZE || total > MAX_UNCOMPRESSED_SIZE) {
+                    throw new Error(`Workbook is too large (more than ${MAX_UNCOMPRESSED_SIZE / 1024 / 1024} MB uncompressed)`);
+                }
+                files.set(name, content);
+            }
+
+            pointer += 46 + nameLength + extraLength + commentLength;
+        }
+        return files;
+    }
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    /**
+     * Turn sheet rows into objects keyed by the header row (blank rows skipped)
+     * @param {Array<Array>} rows - Sheet rows, first row = headers
+     * @returns {Array<Object>}
+     */
+    static toObjects(rows) {
+        if (!rows || rows.length === 0) return [];
+        const headers = (rows[0] || []).map(h => (h === null || h === undefined) ? '' : String(h).trim());
+
+        return rows.slice(1)
+            .filter(row => row && row.some(v => v !== null && v !== undefined && String(v).trim() !== ''))
+            .map(row => {
+                const obj = {};
+                headers.forEach((header, i) => {
+                    if (header) obj[header] = row[i] === undefined ? null : row[i];
+                });
+                return obj;
+            });
+    }
+}
+
+module.exports = XlsxWorkbook;
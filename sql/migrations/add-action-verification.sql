@@ -0,0 +1,63 @@
+-- =============================================
+-- Migration: Corrective action verification
+-- Run this script on both FoodSafetyDB and FoodSafetyDB_Live
+-- Date: 2026-10-19
+-- Description: Per-action verification state (Open -> Submitted -> Verified /
+--              Rejected -> Reopened) with reviewer comment and sign-off, and
+--              the "action plan closed" record written once every action of a
+--              document is verified. A closed document gets no more escalation
+--              reminders. Transitions are logged in ActionPlanAuditLog.
+-- SAFE: Only ADD tables / columns, no data modification
+-- =============================================
+
+IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('ActionPlanResponses') AND name = 'VerificationStatus')
+BEGIN
+    ALTER TABLE ActionPlanResponses ADD
+        VerificationStatus NVARCHAR(20) NOT NULL DEFAULT 'Open',   -- Open, Submitted, Verified, Rejected, Reopened
+        SubmittedAt DATETIME NULL,
+        SubmittedBy NVARCHAR(100) NULL,
+        VerifiedAt DATETIME NULL,                                  -- Verification (or rejection) date
+        VerifiedBy NVARCHAR(100) NULL,
+        ReviewerComment NVARCHAR(MAX) NULL;
+
+    PRINT '✅ Added verification columns to ActionPlanResponses';
+END
+ELSE
+BEGIN
+    PRINT '✓ ActionPlanResponses verification columns already exist';
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_ActionPlanResponses_Verification' AND object_id = OBJECT_ID('ActionPlanResponses'))
+BEGIN
+    CREATE INDEX IX_ActionPlanResponses_Verification ON ActionPlanResponses(DocumentNumber, VerificationStatus);
+    PRINT '✅ Index IX_ActionPlanResponses_Verification created';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ActionPlanClosures')
+BEGIN
+    CREATE TABLE ActionPlanClosures (
+        DocumentNumber NVARCHAR(50) PRIMARY KEY,
+        ActionCount INT NOT NULL,
+        ClosedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        ClosedBy NVARCHAR(100) NULL
+    );
+
+    PRINT '✅ Table ActionPlanClosures created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table ActionPlanClosures already exists';
+END
+GO
+
+-- Verification query
+SELECT TABLE_NAME, COLUMN_NAME, DATA_TYPE, IS_NULLABLE
+FROM INFORMATION_SCHEMA.COLUMNS
+WHERE TABLE_NAME = 'ActionPlanClosures'
+   OR (TABLE_NAME = 'ActionPlanResponses' AND COLUMN_NAME IN ('VerificationStatus', 'SubmittedAt', 'SubmittedBy', 'VerifiedAt', 'VerifiedBy', 'ReviewerComment'))
+ORDER BY TABLE_NAME, ORDINAL_POSITION;
+GO
+
+PRINT 'Migration completed successfully';
@@ -0,0 +1,93 @@
+-- =============================================
+-- Migration: Saved analytics dashboards
+-- Run this script on both FoodSafetyDB and FoodSafetyDB_Live
+-- Date: 2026-10-19
+-- Description: Named dashboards built from the custom query metrics:
+--              - AnalyticsDashboards: name, default filters and owner
+--              - AnalyticsDashboardWidgets: metric (subject + metric), own filters,
+--                chart type, width and position on the dashboard
+--              - AnalyticsDashboardShares: roles or users the dashboard is shared with
+--              Viewers only ever see their own stores (area, brand or store assignments)
+-- SAFE: Only ADD tables, no data modification
+-- =============================================
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'AnalyticsDashboards')
+BEGIN
+    CREATE TABLE AnalyticsDashboards (
+        DashboardID INT IDENTITY(1,1) PRIMARY KEY,
+        Name NVARCHAR(200) NOT NULL,
+        Description NVARCHAR(500) NULL,
+        Filters NVARCHAR(MAX) NULL,                 -- JSON: { brands: [], areaManagerIds: [], cycles: [], years: [], latestCycle }
+        OwnerUserID INT NOT NULL FOREIGN KEY REFERENCES Users(id) ON DELETE CASCADE,
+        OwnerEmail NVARCHAR(255) NOT NULL,
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        UpdatedAt DATETIME NULL
+    );
+
+    CREATE INDEX IX_AnalyticsDashboards_Owner ON AnalyticsDashboards(OwnerUserID);
+
+    PRINT '✅ Table AnalyticsDashboards created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table AnalyticsDashboards already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'AnalyticsDashboardWidgets')
+BEGIN
+    CREATE TABLE AnalyticsDashboardWidgets (
+        WidgetID INT IDENTITY(1,1) PRIMARY KEY,
+        DashboardID INT NOT NULL FOREIGN KEY REFERENCES AnalyticsDashboards(DashboardID) ON DELETE CASCADE,
+        Title NVARCHAR(200) NULL,                   -- Defaults to the metric name
+        Subject NVARCHAR(50) NOT NULL,              -- stores, auditors, sections, items
+        Metric NVARCHAR(50) NOT NULL,               -- most_fails, lowest_score, biggest_drop, ...
+        ResultLimit INT NOT NULL DEFAULT 10,
+        Filters NVARCHAR(MAX) NULL,                 -- JSON: replaces the dashboard filters it sets
+        ChartType NVARCHAR(20) NOT NULL DEFAULT 'bar', -- bar, horizontal_bar, doughnut, table, kpi
+        Width NVARCHAR(10) NOT NULL DEFAULT 'half', -- half, full
+        SortOrder INT NOT NULL DEFAULT 0
+    );
+
+    CREATE INDEX IX_AnalyticsDashboardWidgets_Dashboard ON AnalyticsDashboardWidgets(DashboardID, SortOrder);
+
+    PRINT '✅ Table AnalyticsDashboardWidgets created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table AnalyticsDashboardWidgets already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'AnalyticsDashboardShares')
+BEGIN
+    CREATE TABLE AnalyticsDashboardShares (
+        ShareID INT IDENTITY(1,1) PRIMARY KEY,
+        DashboardID INT NOT NULL FOREIGN KEY REFERENCES AnalyticsDashboards(DashboardID) ON DELETE CASCADE,
+        Role NVARCHAR(50) NULL,                     -- Everyone with this role ...
+        UserID INT NULL,                            -- ... or one user (no FK: Users already cascades through the dashboard owner)
+        SharedBy NVARCHAR(255) NOT NULL,
+        SharedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT CK_AnalyticsDashboardShares_Target CHECK (Role IS NOT NULL OR UserID IS NOT NULL)
+    );
+
+    CREATE INDEX IX_AnalyticsDashboardShares_Dashboard ON AnalyticsDashboardShares(DashboardID);
+    CREATE INDEX IX_AnalyticsDashboardShares_Role ON AnalyticsDashboardShares(Role);
+    CREATE INDEX IX_AnalyticsDashboardShares_User ON AnalyticsDashboardShares(UserID);
+
+    PRINT '✅ Table AnalyticsDashboardShares created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table AnalyticsDashboardShares already exists';
+END
+GO
+
+-- Verification query
+SELECT TABLE_NAME, COLUMN_NAME, DATA_TYPE, IS_NULLABLE
+FROM INFORMATION_SCHEMA.COLUMNS
+WHERE TABLE_NAME IN ('AnalyticsDashboards', 'AnalyticsDashboardWidgets', 'AnalyticsDashboardShares')
+ORDER BY TABLE_NAME, ORDINAL_POSITION;
+GO
+
+PRINT 'Migration completed successfully';
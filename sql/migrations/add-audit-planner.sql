@@ -0,0 +1,118 @@
+-- =============================================
+-- Migration: Cycle audit planner
+-- Run this script on both FoodSafetyDB and FoodSafetyDB_Live
+-- Date: 2026-10-19
+-- Description: Travel region per store, auditor availability (working days,
+--              regions, daily maximum) and time off, and saved cycle plans.
+--              An accepted plan is written to ScheduledAudits (plan_id links
+--              the generated rows back to the plan).
+-- SAFE: Only ADD tables / columns, no data modification
+-- =============================================
+
+-- Travel region of a store (NULL = planner falls back to Location)
+IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('Stores') AND name = 'Region')
+BEGIN
+    ALTER TABLE Stores ADD Region NVARCHAR(100) NULL;
+    PRINT '✅ Added Region column to Stores';
+END
+ELSE
+BEGIN
+    PRINT '✓ Stores.Region already exists';
+END
+GO
+
+-- Availability of an auditor (no row = works Monday to Friday, all regions)
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'AuditorAvailability')
+BEGIN
+    CREATE TABLE AuditorAvailability (
+        UserID INT PRIMARY KEY FOREIGN KEY REFERENCES Users(id),
+        WorkingDays NVARCHAR(20) NOT NULL DEFAULT '1,2,3,4,5',   -- 0 = Sunday ... 6 = Saturday
+        Regions NVARCHAR(500) NULL,                               -- Comma-separated, NULL = all regions
+        MaxAuditsPerDay INT NULL,                                 -- NULL = plan setting
+        IsActive BIT NOT NULL DEFAULT 1,                          -- 0 = never planned
+        UpdatedBy NVARCHAR(255) NULL,
+        UpdatedAt DATETIME NOT NULL DEFAULT GETDATE()
+    );
+
+    PRINT '✅ Table AuditorAvailability created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table AuditorAvailability already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'AuditorTimeOff')
+BEGIN
+    CREATE TABLE AuditorTimeOff (
+        TimeOffID INT PRIMARY KEY IDENTITY(1,1),
+        UserID INT NOT NULL FOREIGN KEY REFERENCES Users(id),
+        StartDate DATE NOT NULL,
+        EndDate DATE NOT NULL,
+        Reason NVARCHAR(255) NULL,
+        CreatedBy NVARCHAR(255) NULL,
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE()
+    );
+
+    CREATE INDEX idx_auditortimeoff_user ON AuditorTimeOff(UserID, StartDate, EndDate);
+
+    PRINT '✅ Table AuditorTimeOff created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table AuditorTimeOff already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'AuditPlans')
+BEGIN
+    CREATE TABLE AuditPlans (
+        PlanID INT PRIMARY KEY IDENTITY(1,1),
+        SchemaID INT NOT NULL FOREIGN KEY REFERENCES AuditSchemas(SchemaID),
+        CycleNumber NVARCHAR(20) NOT NULL,
+        PlanYear INT NOT NULL,
+        StartDate DATE NOT NULL,
+        EndDate DATE NOT NULL,
+        Status NVARCHAR(20) NOT NULL DEFAULT 'Draft',    -- Draft, Accepted, Discarded
+        Settings NVARCHAR(MAX) NULL,                     -- JSON: planner settings used
+        Proposal NVARCHAR(MAX) NOT NULL,                 -- JSON: { audits, unassigned, byAuditor, byRegion, warnings }
+        AuditCount INT NOT NULL DEFAULT 0,
+        UnassignedCount INT NOT NULL DEFAULT 0,
+        CreatedBy NVARCHAR(255) NULL,
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        AcceptedBy NVARCHAR(255) NULL,
+        AcceptedAt DATETIME NULL
+    );
+
+    CREATE INDEX idx_auditplans_schema ON AuditPlans(SchemaID, PlanYear, CycleNumber);
+
+    PRINT '✅ Table AuditPlans created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table AuditPlans already exists';
+END
+GO
+
+-- Plan a scheduled audit was generated from
+IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('ScheduledAudits') AND name = 'plan_id')
+BEGIN
+    ALTER TABLE ScheduledAudits ADD plan_id INT NULL;
+    PRINT '✅ Added plan_id column to ScheduledAudits';
+END
+ELSE
+BEGIN
+    PRINT '✓ ScheduledAudits.plan_id already exists';
+END
+GO
+
+-- Verification query
+SELECT TABLE_NAME, COLUMN_NAME, DATA_TYPE, IS_NULLABLE
+FROM INFORMATION_SCHEMA.COLUMNS
+WHERE TABLE_NAME IN ('AuditorAvailability', 'AuditorTimeOff', 'AuditPlans')
+   OR (TABLE_NAME = 'Stores' AND COLUMN_NAME = 'Region')
+   OR (TABLE_NAME = 'ScheduledAudits' AND COLUMN_NAME = 'plan_id')
+ORDER BY TABLE_NAME, ORDINAL_POSITION;
+GO
+
+PRINT 'Migration completed successfully';
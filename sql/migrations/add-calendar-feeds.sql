@@ -0,0 +1,63 @@
+-- =============================================
+-- Migration: Calendar (ICS) feeds and invites
+-- Run this script on both FoodSafetyDB and FoodSafetyDB_Live
+-- Date: 2026-10-19
+-- Description: Secret per-user tokens for the ICS feed of scheduled audits, and
+--              the columns calendar clients need to follow changes: a sequence
+--              number bumped on every edit/cancel, and the original date of a
+--              recurring occurrence once it has been moved.
+-- SAFE: Only ADD tables / columns, no data modification
+-- =============================================
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'CalendarFeedTokens')
+BEGIN
+    CREATE TABLE CalendarFeedTokens (
+        UserID INT PRIMARY KEY FOREIGN KEY REFERENCES Users(id),
+        Token NVARCHAR(64) NOT NULL,
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        LastUsedAt DATETIME NULL
+    );
+
+    CREATE UNIQUE INDEX idx_calendarfeedtokens_token ON CalendarFeedTokens(Token);
+
+    PRINT '✅ Table CalendarFeedTokens created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table CalendarFeedTokens already exists';
+END
+GO
+
+-- ICS SEQUENCE of a scheduled audit (incremented on every update / cancellation)
+IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('ScheduledAudits') AND name = 'ics_sequence')
+BEGIN
+    ALTER TABLE ScheduledAudits ADD ics_sequence INT NOT NULL DEFAULT 0;
+    PRINT '✅ Added ics_sequence column to ScheduledAudits';
+END
+ELSE
+BEGIN
+    PRINT '✓ ScheduledAudits.ics_sequence already exists';
+END
+GO
+
+-- Date a recurring occurrence was generated for (set on its first move, NULL = scheduled_date)
+IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('ScheduledAudits') AND name = 'occurrence_date')
+BEGIN
+    ALTER TABLE ScheduledAudits ADD occurrence_date DATE NULL;
+    PRINT '✅ Added occurrence_date column to ScheduledAudits';
+END
+ELSE
+BEGIN
+    PRINT '✓ ScheduledAudits.occurrence_date already exists';
+END
+GO
+
+-- Verification query
+SELECT TABLE_NAME, COLUMN_NAME, DATA_TYPE, IS_NULLABLE
+FROM INFORMATION_SCHEMA.COLUMNS
+WHERE TABLE_NAME = 'CalendarFeedTokens'
+   OR (TABLE_NAME = 'ScheduledAudits' AND COLUMN_NAME IN ('ics_sequence', 'occurrence_date'))
+ORDER BY TABLE_NAME, ORDINAL_POSITION;
+GO
+
+PRINT 'Migration completed successfully';
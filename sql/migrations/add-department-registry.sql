@@ -0,0 +1,127 @@
+-- =============================================
+-- Migration: Department registry
+-- Run this script on both FoodSafetyDB and FoodSafetyDB_Live
+-- Date: 2026-10-19
+-- Description: Escalation departments become data instead of the fixed
+--              Maintenance / Procurement / Cleaning trio:
+--              - Departments: registry (code, name, generated head role, icon,
+--                color, third-party contractor flag)
+--              - SchemaDepartmentNames: per-schema report titles (replaces the
+--                AuditSchemas.DeptName* columns)
+--              - AuditResponseDepartments: response <-> department link
+--                (replaces matching the comma separated AuditResponses.Department)
+--              Existing names and escalations are copied into the new tables.
+-- SAFE: Only ADD tables / columns, existing data is copied, not modified
+-- =============================================
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'Departments')
+BEGIN
+    CREATE TABLE Departments (
+        DepartmentID INT IDENTITY(1,1) PRIMARY KEY,
+        Code NVARCHAR(50) NOT NULL,                  -- Stable key used in URLs and reports, e.g. 'PestControl'
+        Name NVARCHAR(100) NOT NULL,                 -- e.g. 'Pest Control'
+        RoleName NVARCHAR(50) NOT NULL,              -- Department head role, e.g. 'PestControlHead'
+        Icon NVARCHAR(10) NULL,
+        Color NVARCHAR(20) NULL,
+        IsExternal BIT NOT NULL DEFAULT 0,           -- Third-party contractor
+        ContactEmail NVARCHAR(255) NULL,
+        SortOrder INT NOT NULL DEFAULT 0,
+        IsActive BIT NOT NULL DEFAULT 1,
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        CreatedBy NVARCHAR(255) NULL
+    );
+
+    CREATE UNIQUE INDEX UX_Departments_Code ON Departments(Code);
+    CREATE UNIQUE INDEX UX_Departments_RoleName ON Departments(RoleName);
+
+    INSERT INTO Departments (Code, Name, RoleName, Icon, Color, SortOrder, CreatedBy) VALUES
+        ('Maintenance', 'Maintenance', 'MaintenanceHead', N'🔧', '#2563eb', 1, 'Migration'),
+        ('Procurement', 'Procurement', 'ProcurementHead', N'📦', '#7c3aed', 2, 'Migration'),
+        ('Cleaning', 'Cleaning', 'CleaningHead', N'🧹', '#059669', 3, 'Migration');
+
+    PRINT '✅ Table Departments created with Maintenance, Procurement and Cleaning';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table Departments already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'SchemaDepartmentNames')
+BEGIN
+    CREATE TABLE SchemaDepartmentNames (
+        SchemaID INT NOT NULL FOREIGN KEY REFERENCES AuditSchemas(SchemaID),
+        DepartmentID INT NOT NULL FOREIGN KEY REFERENCES Departments(DepartmentID),
+        DisplayName NVARCHAR(200) NOT NULL,
+        CONSTRAINT PK_SchemaDepartmentNames PRIMARY KEY (SchemaID, DepartmentID)
+    );
+
+    PRINT '✅ Table SchemaDepartmentNames created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table SchemaDepartmentNames already exists';
+END
+GO
+
+-- Copy the custom names saved in the old AuditSchemas columns (added on first save, may not exist)
+IF COL_LENGTH('AuditSchemas', 'DeptNameMaintenance') IS NOT NULL
+BEGIN
+    EXEC('
+        INSERT INTO SchemaDepartmentNames (SchemaID, DepartmentID, DisplayName)
+        SELECT s.SchemaID, d.DepartmentID, n.DisplayName
+        FROM AuditSchemas s
+        CROSS APPLY (VALUES
+            (''Maintenance'', s.DeptNameMaintenance),
+            (''Procurement'', s.DeptNameProcurement),
+            (''Cleaning'', s.DeptNameCleaning)
+        ) n(Code, DisplayName)
+        INNER JOIN Departments d ON d.Code = n.Code
+        WHERE n.DisplayName IS NOT NULL AND n.DisplayName <> n.Code
+          AND NOT EXISTS (SELECT 1 FROM SchemaDepartmentNames x WHERE x.SchemaID = s.SchemaID AND x.DepartmentID = d.DepartmentID)
+    ');
+
+    PRINT '✅ Copied custom department names from AuditSchemas';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'AuditResponseDepartments')
+BEGIN
+    CREATE TABLE AuditResponseDepartments (
+        ResponseID INT NOT NULL FOREIGN KEY REFERENCES AuditResponses(ResponseID) ON DELETE CASCADE,
+        DepartmentID INT NOT NULL FOREIGN KEY REFERENCES Departments(DepartmentID),
+        CONSTRAINT PK_AuditResponseDepartments PRIMARY KEY (ResponseID, DepartmentID)
+    );
+
+    CREATE INDEX IX_AuditResponseDepartments_Department ON AuditResponseDepartments(DepartmentID, ResponseID);
+
+    PRINT '✅ Table AuditResponseDepartments created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table AuditResponseDepartments already exists';
+END
+GO
+
+-- Link existing escalations: "Procurement, Maintenance" -> one row per department
+INSERT INTO AuditResponseDepartments (ResponseID, DepartmentID)
+SELECT ar.ResponseID, d.DepartmentID
+FROM AuditResponses ar
+INNER JOIN Departments d
+    ON ',' + REPLACE(REPLACE(ar.Department, ', ', ','), ' ,', ',') + ',' LIKE '%,' + d.Code + ',%'
+    OR ',' + REPLACE(REPLACE(ar.Department, ', ', ','), ' ,', ',') + ',' LIKE '%,' + d.Name + ',%'
+WHERE ar.Department IS NOT NULL AND ar.Department <> ''
+  AND NOT EXISTS (SELECT 1 FROM AuditResponseDepartments x WHERE x.ResponseID = ar.ResponseID AND x.DepartmentID = d.DepartmentID);
+
+PRINT '✅ Linked existing escalated responses to departments';
+GO
+
+-- Verification query
+SELECT d.Code, d.Name, d.RoleName, d.IsActive,
+       (SELECT COUNT(*) FROM AuditResponseDepartments rd WHERE rd.DepartmentID = d.DepartmentID) AS LinkedResponses,
+       (SELECT COUNT(*) FROM SchemaDepartmentNames sn WHERE sn.DepartmentID = d.DepartmentID) AS SchemaNames
+FROM Departments d
+ORDER BY d.SortOrder, d.Name;
+GO
+
+PRINT 'Migration completed successfully';
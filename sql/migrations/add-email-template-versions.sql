@@ -0,0 +1,60 @@
+-- =============================================
+-- Migration: Email template engine partials and version history
+-- Run this script on both FoodSafetyDB and FoodSafetyDB_Live
+-- Date: 2026-10-19
+-- Description: Supports the template engine (services/email-template-engine.js):
+--              - EmailTemplates.template_type: 'Email' or 'Partial'; partials
+--                (shared header / footer) are included with {{> key}}
+--              - EmailTemplateVersions: every edit made through the admin
+--                page stores a numbered snapshot for diff and rollback
+-- SAFE: Only ADD columns and tables, no data modification
+-- =============================================
+
+IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('EmailTemplates') AND name = 'template_type')
+BEGIN
+    ALTER TABLE EmailTemplates ADD
+        template_type NVARCHAR(20) NOT NULL DEFAULT 'Email';      -- Email, Partial
+
+    PRINT '✅ Column EmailTemplates.template_type added successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Column EmailTemplates.template_type already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'EmailTemplateVersions')
+BEGIN
+    CREATE TABLE EmailTemplateVersions (
+        VersionID INT IDENTITY(1,1) PRIMARY KEY,
+        TemplateKey NVARCHAR(100) NOT NULL,
+        VersionNumber INT NOT NULL,                 -- 1 = template as it was before the first tracked edit
+        TemplateName NVARCHAR(200) NULL,
+        Description NVARCHAR(500) NULL,
+        SubjectTemplate NVARCHAR(500) NOT NULL,
+        HtmlBody NVARCHAR(MAX) NOT NULL,
+        IsActive BIT NOT NULL DEFAULT 1,
+        ChangeNote NVARCHAR(500) NULL,              -- e.g. 'Rolled back to version 3'
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        CreatedBy INT NULL,
+        CreatedByName NVARCHAR(200) NULL,
+        CONSTRAINT UQ_EmailTemplateVersions_Key_Version UNIQUE (TemplateKey, VersionNumber)
+    );
+
+    PRINT '✅ Table EmailTemplateVersions created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table EmailTemplateVersions already exists';
+END
+GO
+
+-- Verification query
+SELECT TABLE_NAME, COLUMN_NAME, DATA_TYPE, IS_NULLABLE
+FROM INFORMATION_SCHEMA.COLUMNS
+WHERE TABLE_NAME = 'EmailTemplateVersions'
+   OR (TABLE_NAME = 'EmailTemplates' AND COLUMN_NAME = 'template_type')
+ORDER BY TABLE_NAME, ORDINAL_POSITION;
+GO
+
+PRINT 'Migration completed successfully';
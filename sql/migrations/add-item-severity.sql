@@ -0,0 +1,177 @@
+-- =============================================
+-- Migration: Item severity (Critical / Major / Minor) and severity rules
+-- Run this script on both FoodSafetyDB and FoodSafetyDB_Live
+-- Date: 2026-10-19
+-- Description: Items carry a severity that is copied to the audit responses.
+--              The consequences per severity (section cap, overall Fail,
+--              immediate action plan) live in AuditSchemas.ScoringModel.
+--              Section scores and audits record which rules were applied.
+-- SAFE: Only ADD columns, recreate read procedures and copy Severity to open audits
+-- =============================================
+
+-- AuditItems.Severity (template)
+IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('AuditItems') AND name = 'Severity')
+BEGIN
+    ALTER TABLE AuditItems ADD Severity NVARCHAR(20) NULL;
+    PRINT '✅ Added Severity column to AuditItems';
+END
+ELSE
+BEGIN
+    PRINT '✓ AuditItems.Severity already exists';
+END
+GO
+
+-- AuditResponses.Severity (copied from the item when the audit is started)
+IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('AuditResponses') AND name = 'Severity')
+BEGIN
+    ALTER TABLE AuditResponses ADD Severity NVARCHAR(20) NULL;
+    PRINT '✅ Added Severity column to AuditResponses';
+END
+ELSE
+BEGIN
+    PRINT '✓ AuditResponses.Severity already exists';
+END
+GO
+
+-- Backfill open audits from their template items
+UPDATE r
+SET r.Severity = i.Severity
+FROM AuditResponses r
+INNER JOIN AuditItems i ON r.ItemID = i.ItemID
+INNER JOIN AuditInstances a ON r.AuditID = a.AuditID
+WHERE r.Severity IS NULL AND i.Severity IS NOT NULL AND a.Status <> 'Completed';
+GO
+
+-- AuditSectionScores: score before the cap and the rules that fired
+IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('AuditSectionScores') AND name = 'RawPercentage')
+BEGIN
+    ALTER TABLE AuditSectionScores ADD RawPercentage DECIMAL(5,2) NULL,
+                                       CappedBySeverity NVARCHAR(20) NULL,
+                                       SeverityFailures NVARCHAR(MAX) NULL,   -- JSON: [{ referenceValue, title, severity, selectedChoice }]
+                                       ForcesFail BIT NOT NULL DEFAULT 0;
+    PRINT '✅ Added severity columns to AuditSectionScores';
+END
+ELSE
+BEGIN
+    PRINT '✓ AuditSectionScores severity columns already exist';
+END
+GO
+
+-- AuditInstances: overall result forced to Fail by a severity rule
+IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('AuditInstances') AND name = 'ForcedFail')
+BEGIN
+    ALTER TABLE AuditInstances ADD ForcedFail BIT NOT NULL DEFAULT 0,
+                                   ForcedFailReason NVARCHAR(1000) NULL;
+    PRINT '✅ Added ForcedFail / ForcedFailReason columns to AuditInstances';
+END
+ELSE
+BEGIN
+    PRINT '✓ AuditInstances.ForcedFail already exists';
+END
+GO
+
+-- AuditScoreExclusionHistory: severity rules in effect when exclusions were changed
+IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('AuditScoreExclusionHistory') AND name = 'SeverityNote')
+BEGIN
+    ALTER TABLE AuditScoreExclusionHistory ADD SeverityNote NVARCHAR(500) NULL;
+    PRINT '✅ Added SeverityNote column to AuditScoreExclusionHistory';
+END
+ELSE
+BEGIN
+    PRINT '✓ AuditScoreExclusionHistory.SeverityNote already exists';
+END
+GO
+
+-- Return Severity from the template builder read procedures
+IF EXISTS (SELECT * FROM sys.procedures WHERE name = 'sp_GetItemsBySection')
+    DROP PROCEDURE sp_GetItemsBySection;
+GO
+
+CREATE PROCEDURE sp_GetItemsBySection
+    @SectionID INT
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    SELECT
+        ItemID,
+        SectionID,
+        ReferenceValue,
+        Title,
+        Coeff,
+        Answer,
+        CR,
+        Severity,
+        SortOrder,
+        IsActive,
+        CreatedBy,
+        CreatedDate
+    FROM AuditItems
+    WHERE SectionID = @SectionID AND IsActive = 1
+    ORDER BY SortOrder, ReferenceValue;
+END
+GO
+PRINT '✅ Recreated sp_GetItemsBySection';
+GO
+
+IF EXISTS (SELECT * FROM sys.procedures WHERE name = 'sp_GetFullSchema')
+    DROP PROCEDURE sp_GetFullSchema;
+GO
+
+CREATE PROCEDURE sp_GetFullSchema
+    @SchemaID INT
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    SELECT
+        SchemaID,
+        SchemaName,
+        Description,
+        IsActive,
+        CreatedBy,
+        CreatedDate
+    FROM AuditSchemas
+    WHERE SchemaID = @SchemaID;
+
+    SELECT
+        SectionID,
+        SchemaID,
+        SectionNumber,
+        SectionName,
+        SectionIcon,
+        IsActive
+    FROM AuditSections
+    WHERE SchemaID = @SchemaID AND IsActive = 1
+    ORDER BY SectionNumber;
+
+    SELECT
+        i.ItemID,
+        i.SectionID,
+        i.ReferenceValue,
+        i.Title,
+        i.Coeff,
+        i.Answer,
+        i.CR,
+        i.Severity,
+        i.SortOrder
+    FROM AuditItems i
+    INNER JOIN AuditSections s ON i.SectionID = s.SectionID
+    WHERE s.SchemaID = @SchemaID AND i.IsActive = 1 AND s.IsActive = 1
+    ORDER BY s.SectionNumber, i.SortOrder, i.ReferenceValue;
+END
+GO
+PRINT '✅ Recreated sp_GetFullSchema';
+GO
+
+-- Verification query
+SELECT TABLE_NAME, COLUMN_NAME, DATA_TYPE, IS_NULLABLE
+FROM INFORMATION_SCHEMA.COLUMNS
+WHERE (TABLE_NAME IN ('AuditItems', 'AuditResponses') AND COLUMN_NAME = 'Severity')
+   OR (TABLE_NAME = 'AuditSectionScores' AND COLUMN_NAME IN ('RawPercentage', 'CappedBySeverity', 'SeverityFailures', 'ForcesFail'))
+   OR (TABLE_NAME = 'AuditInstances' AND COLUMN_NAME IN ('ForcedFail', 'ForcedFailReason'))
+   OR (TABLE_NAME = 'AuditScoreExclusionHistory' AND COLUMN_NAME = 'SeverityNote')
+ORDER BY TABLE_NAME, COLUMN_NAME;
+GO
+
+PRINT 'Migration completed successfully';
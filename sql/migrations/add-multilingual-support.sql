@@ -0,0 +1,73 @@
+-- =============================================
+-- Migration: Multilingual reports and emails (English / Arabic / French)
+-- Run this script on both FoodSafetyDB and FoodSafetyDB_Live
+-- Date: 2026-10-19
+-- Description: Language preferences and translated item titles used by
+--              services/translator.js and services/language-service.js:
+--              - Users.preferred_language: language the user reads emails
+--                and pages in ('en', 'ar', 'fr'; NULL = store / English)
+--              - Stores.PreferredLanguage: language of reports, action plans
+--                and emails for the store team (NULL = English)
+--              - AuditItems.TitleAr / TitleFr: translated titles kept next to
+--                Title; reports fall back to Title when empty
+-- SAFE: Only ADD columns, no data modification
+-- =============================================
+
+IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('Users') AND name = 'preferred_language')
+BEGIN
+    ALTER TABLE Users ADD preferred_language NVARCHAR(5) NULL;
+
+    PRINT '✅ Column Users.preferred_language added successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Column Users.preferred_language already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('Stores') AND name = 'PreferredLanguage')
+BEGIN
+    ALTER TABLE Stores ADD PreferredLanguage NVARCHAR(5) NULL;
+
+    PRINT '✅ Column Stores.PreferredLanguage added successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Column Stores.PreferredLanguage already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('AuditItems') AND name = 'TitleAr')
+BEGIN
+    ALTER TABLE AuditItems ADD TitleAr NVARCHAR(1000) NULL;
+
+    PRINT '✅ Column AuditItems.TitleAr added successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Column AuditItems.TitleAr already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('AuditItems') AND name = 'TitleFr')
+BEGIN
+    ALTER TABLE AuditItems ADD TitleFr NVARCHAR(1000) NULL;
+
+    PRINT '✅ Column AuditItems.TitleFr added successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Column AuditItems.TitleFr already exists';
+END
+GO
+
+-- Verification query
+SELECT TABLE_NAME, COLUMN_NAME, DATA_TYPE, CHARACTER_MAXIMUM_LENGTH, IS_NULLABLE
+FROM INFORMATION_SCHEMA.COLUMNS
+WHERE (TABLE_NAME = 'Users' AND COLUMN_NAME = 'preferred_language')
+   OR (TABLE_NAME = 'Stores' AND COLUMN_NAME = 'PreferredLanguage')
+   OR (TABLE_NAME = 'AuditItems' AND COLUMN_NAME IN ('TitleAr', 'TitleFr'))
+ORDER BY TABLE_NAME, COLUMN_NAME;
+GO
+
+PRINT 'Migration completed successfully';
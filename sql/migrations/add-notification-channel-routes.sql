@@ -0,0 +1,42 @@
+-- =============================================
+-- Migration: Notification channel routing
+-- Run this script on both FoodSafetyDB and FoodSafetyDB_Live
+-- Date: 2026-10-19
+-- Description: Chooses the delivery channels per notification type
+--              (graph, smtp, teams, webhook, file, console). Types without a
+--              row use the "Default" row, then the NOTIFICATION_CHANNELS env
+--              variable. Channel credentials stay in the environment; a route
+--              may point Teams / webhook messages at its own URL.
+-- SAFE: Only ADD tables, no data modification
+-- =============================================
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'NotificationChannelRoutes')
+BEGIN
+    CREATE TABLE NotificationChannelRoutes (
+        RouteID INT IDENTITY(1,1) PRIMARY KEY,
+        NotificationType NVARCHAR(50) NOT NULL,       -- Default, ActionPlanReminder, ActionPlanEscalation, ReportPublished, Broadcast, ...
+        Channels NVARCHAR(200) NOT NULL,              -- Comma-separated, e.g. 'graph,teams'
+        TeamsWebhookUrl NVARCHAR(500) NULL,           -- NULL = TEAMS_WEBHOOK_URL
+        WebhookUrl NVARCHAR(500) NULL,                -- NULL = NOTIFICATION_WEBHOOK_URL
+        IsActive BIT NOT NULL DEFAULT 1,
+        UpdatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        UpdatedBy NVARCHAR(255) NULL,
+        CONSTRAINT UQ_NotificationChannelRoutes_Type UNIQUE (NotificationType)
+    );
+
+    PRINT '✅ Table NotificationChannelRoutes created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table NotificationChannelRoutes already exists';
+END
+GO
+
+-- Verification query
+SELECT TABLE_NAME, COLUMN_NAME, DATA_TYPE, IS_NULLABLE
+FROM INFORMATION_SCHEMA.COLUMNS
+WHERE TABLE_NAME = 'NotificationChannelRoutes'
+ORDER BY ORDINAL_POSITION;
+GO
+
+PRINT 'Migration completed successfully';
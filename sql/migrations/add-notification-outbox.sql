@@ -0,0 +1,60 @@
+-- =============================================
+-- Migration: Durable notification outbox
+-- Run this script on both FoodSafetyDB and FoodSafetyDB_Live
+-- Date: 2026-10-19
+-- Description: Every outgoing notification is written to NotificationOutbox
+--              before delivery. The outbox worker retries failed messages with
+--              exponential backoff and moves them to DeadLetter after
+--              MaxAttempts. IdempotencyKey stops the same reminder / escalation
+--              from being queued twice when the job runs again.
+--              Status: Pending, Sending, Sent, Failed (retry scheduled),
+--              DeadLetter, Cancelled
+-- SAFE: Only ADD tables, no data modification
+-- =============================================
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'NotificationOutbox')
+BEGIN
+    CREATE TABLE NotificationOutbox (
+        OutboxID INT IDENTITY(1,1) PRIMARY KEY,
+        IdempotencyKey NVARCHAR(200) NULL,
+        NotificationType NVARCHAR(50) NOT NULL,
+        ToRecipients NVARCHAR(MAX) NOT NULL,           -- Comma-separated
+        CcRecipients NVARCHAR(MAX) NULL,               -- Comma-separated
+        Subject NVARCHAR(500) NULL,
+        HtmlBody NVARCHAR(MAX) NULL,
+        DocumentNumber NVARCHAR(50) NULL,
+        Status NVARCHAR(20) NOT NULL DEFAULT 'Pending',
+        Attempts INT NOT NULL DEFAULT 0,
+        MaxAttempts INT NOT NULL DEFAULT 6,
+        NextAttemptAt DATETIME NOT NULL DEFAULT GETDATE(),
+        LockedUntil DATETIME NULL,                     -- Claimed by a worker until this time
+        LastError NVARCHAR(MAX) NULL,
+        Channels NVARCHAR(200) NULL,                   -- Channels that delivered the message
+        Sender NVARCHAR(255) NULL,
+        SentAt DATETIME NULL,
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        CreatedBy NVARCHAR(255) NULL,
+        UpdatedAt DATETIME NULL,
+        UpdatedBy NVARCHAR(255) NULL
+    );
+
+    CREATE UNIQUE INDEX UX_NotificationOutbox_IdempotencyKey ON NotificationOutbox(IdempotencyKey) WHERE IdempotencyKey IS NOT NULL;
+    CREATE INDEX IX_NotificationOutbox_Due ON NotificationOutbox(Status, NextAttemptAt);
+    CREATE INDEX IX_NotificationOutbox_Created ON NotificationOutbox(CreatedAt);
+
+    PRINT '✅ Table NotificationOutbox created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table NotificationOutbox already exists';
+END
+GO
+
+-- Verification query
+SELECT TABLE_NAME, COLUMN_NAME, DATA_TYPE, IS_NULLABLE
+FROM INFORMATION_SCHEMA.COLUMNS
+WHERE TABLE_NAME = 'NotificationOutbox'
+ORDER BY ORDINAL_POSITION;
+GO
+
+PRINT 'Migration completed successfully';
@@ -0,0 +1,69 @@
+-- =============================================
+-- Migration: Per-user notification preferences and digests
+-- Run this script on both FoodSafetyDB and FoodSafetyDB_Live
+-- Date: 2026-10-19
+-- Description: Lets every user choose, per notification type, how they are told:
+--              - NotificationPreferences: Immediate (default when no row),
+--                DailyDigest, WeeklyDigest or InApp
+--              - UserNotifications: notifications held for a digest or shown
+--                in-app only (dashboard bell); DigestedAt is set once the
+--                item went out in a digest email
+-- SAFE: Only ADD tables, no data modification
+-- =============================================
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'NotificationPreferences')
+BEGIN
+    CREATE TABLE NotificationPreferences (
+        PreferenceID INT IDENTITY(1,1) PRIMARY KEY,
+        UserID INT NOT NULL FOREIGN KEY REFERENCES Users(id) ON DELETE CASCADE,
+        NotificationType NVARCHAR(50) NOT NULL,     -- ReportPublished, ActionPlanReminder, ActionPlanEscalation, ...
+        DeliveryMode NVARCHAR(20) NOT NULL DEFAULT 'Immediate', -- Immediate, DailyDigest, WeeklyDigest, InApp
+        UpdatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT UQ_NotificationPreferences_User_Type UNIQUE (UserID, NotificationType)
+    );
+
+    PRINT '✅ Table NotificationPreferences created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table NotificationPreferences already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'UserNotifications')
+BEGIN
+    CREATE TABLE UserNotifications (
+        UserNotificationID INT IDENTITY(1,1) PRIMARY KEY,
+        UserID INT NOT NULL FOREIGN KEY REFERENCES Users(id) ON DELETE CASCADE,
+        NotificationType NVARCHAR(50) NOT NULL,
+        DeliveryMode NVARCHAR(20) NOT NULL,         -- DailyDigest, WeeklyDigest or InApp (preference when it was held)
+        Title NVARCHAR(500) NOT NULL,
+        DocumentNumber NVARCHAR(50) NULL,
+        Link NVARCHAR(1000) NULL,
+        IdempotencyKey NVARCHAR(200) NULL,          -- Same key as the outbox, a job that runs twice holds the item once
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        ReadAt DATETIME NULL,
+        DigestedAt DATETIME NULL,
+        DigestOutboxID INT NULL                     -- NotificationOutbox row of the digest email
+    );
+
+    CREATE INDEX IX_UserNotifications_User ON UserNotifications(UserID, ReadAt, CreatedAt);
+    CREATE INDEX IX_UserNotifications_Digest ON UserNotifications(DeliveryMode, DigestedAt);
+    CREATE UNIQUE INDEX UX_UserNotifications_Key ON UserNotifications(UserID, IdempotencyKey) WHERE IdempotencyKey IS NOT NULL;
+
+    PRINT '✅ Table UserNotifications created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table UserNotifications already exists';
+END
+GO
+
+-- Verification query
+SELECT TABLE_NAME, COLUMN_NAME, DATA_TYPE, IS_NULLABLE
+FROM INFORMATION_SCHEMA.COLUMNS
+WHERE TABLE_NAME IN ('NotificationPreferences', 'UserNotifications')
+ORDER BY TABLE_NAME, ORDINAL_POSITION;
+GO
+
+PRINT 'Migration completed successfully';
@@ -0,0 +1,85 @@
+-- =============================================
+-- Migration: Performance trends and alerts
+-- Run this script on both FoodSafetyDB and FoodSafetyDB_Live
+-- Date: 2026-10-19
+-- Description: Alerts raised by the nightly trend check (performance-trend-service):
+--              - ScoreDrop / SectionDrop: a store's latest audit (or one of its sections)
+--                is N points below the rolling average of its previous audits and the
+--                drop is statistically significant
+--              - AuditorDeviation: an auditor scores systematically above or below the
+--                other auditors on the same stores (calibration signal)
+--              PerformanceAlertSettings holds the thresholds (one row) and whether new
+--              alerts are also sent as 'PerformanceAlert' notifications.
+-- SAFE: Only ADD tables and the default settings row
+-- =============================================
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'PerformanceAlertSettings')
+BEGIN
+    CREATE TABLE PerformanceAlertSettings (
+        SettingID INT IDENTITY(1,1) PRIMARY KEY,
+        ScoreDropPoints DECIMAL(5,1) NOT NULL DEFAULT 10,       -- Drop below the rolling average
+        SectionDropPoints DECIMAL(5,1) NOT NULL DEFAULT 15,
+        RollingAudits INT NOT NULL DEFAULT 3,                   -- Previous audits in the rolling average
+        AuditorDeviationPoints DECIMAL(5,1) NOT NULL DEFAULT 5, -- Average difference from peers
+        MinPeerStores INT NOT NULL DEFAULT 5,                   -- Shared stores needed to judge an auditor
+        SignificanceLevel DECIMAL(6,4) NOT NULL DEFAULT 0.05,
+        NotificationsEnabled BIT NOT NULL DEFAULT 0,
+        NotifyRoles NVARCHAR(200) NOT NULL DEFAULT 'Admin,SuperAuditor',
+        ModifiedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        ModifiedBy NVARCHAR(255) NULL
+    );
+
+    INSERT INTO PerformanceAlertSettings (ModifiedBy) VALUES ('migration');
+
+    PRINT '✅ Table PerformanceAlertSettings created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table PerformanceAlertSettings already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'PerformanceAlerts')
+BEGIN
+    CREATE TABLE PerformanceAlerts (
+        AlertID INT IDENTITY(1,1) PRIMARY KEY,
+        AlertKey NVARCHAR(200) NOT NULL,            -- ScoreDrop:<AuditID>, AuditorDeviation:<auditor>:<yyyy-mm>, ...
+        AlertType NVARCHAR(30) NOT NULL,            -- ScoreDrop, SectionDrop, AuditorDeviation
+        Severity NVARCHAR(10) NOT NULL,             -- High (twice the threshold), Medium
+        StoreID INT NULL FOREIGN KEY REFERENCES Stores(StoreID) ON DELETE CASCADE,
+        SchemaID INT NULL,
+        AuditID INT NULL,
+        SectionName NVARCHAR(200) NULL,
+        AuditorName NVARCHAR(255) NULL,
+        Title NVARCHAR(300) NOT NULL,
+        Message NVARCHAR(MAX) NULL,
+        ObservedValue DECIMAL(7,2) NULL,            -- Latest score, or the auditor's mean difference
+        ExpectedValue DECIMAL(7,2) NULL,            -- Rolling average, or 0 for auditors
+        PValue DECIMAL(9,6) NULL,
+        Details NVARCHAR(MAX) NULL,                 -- JSON: previous scores, per-store differences
+        Status NVARCHAR(20) NOT NULL DEFAULT 'Open', -- Open, Acknowledged, Dismissed
+        DetectedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        ReviewedBy NVARCHAR(255) NULL,
+        ReviewedAt DATETIME NULL,
+        CONSTRAINT UQ_PerformanceAlerts_Key UNIQUE (AlertKey)
+    );
+
+    CREATE INDEX IX_PerformanceAlerts_Status ON PerformanceAlerts(Status, DetectedAt DESC);
+    CREATE INDEX IX_PerformanceAlerts_Store ON PerformanceAlerts(StoreID);
+
+    PRINT '✅ Table PerformanceAlerts created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table PerformanceAlerts already exists';
+END
+GO
+
+-- Verification query
+SELECT TABLE_NAME, COLUMN_NAME, DATA_TYPE, IS_NULLABLE
+FROM INFORMATION_SCHEMA.COLUMNS
+WHERE TABLE_NAME IN ('PerformanceAlertSettings', 'PerformanceAlerts')
+ORDER BY TABLE_NAME, ORDINAL_POSITION;
+GO
+
+PRINT 'Migration completed successfully';
@@ -0,0 +1,86 @@
+-- =============================================
+-- Migration: Scheduled report delivery subscriptions
+-- Run this script on both FoodSafetyDB and FoodSafetyDB_Live
+-- Date: 2026-10-19
+-- Description: Lets analytics users subscribe to a report view by email:
+--              - ReportSubscriptions: view (failing stores, open action plans
+--                by area, auditor productivity or a custom query preset),
+--                filters, format (PDF, Excel, CSV) and schedule
+--              - ReportSubscriptionSnapshots: every file sent, kept on disk
+--                under storage/report-snapshots for download from the history
+-- SAFE: Only ADD tables, no data modification
+-- =============================================
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ReportSubscriptions')
+BEGIN
+    CREATE TABLE ReportSubscriptions (
+        SubscriptionID INT IDENTITY(1,1) PRIMARY KEY,
+        Name NVARCHAR(200) NOT NULL,
+        ViewKey NVARCHAR(50) NOT NULL,              -- failing_stores, open_action_plans, auditor_productivity, custom_query
+        QueryOptions NVARCHAR(MAX) NULL,            -- JSON: { subject, metric, limit } for custom_query
+        Filters NVARCHAR(MAX) NULL,                 -- JSON: { brands: [], areaManagerIds: [], cycles: [], years: [] }
+        Format NVARCHAR(10) NOT NULL DEFAULT 'PDF', -- PDF, Excel, CSV
+        Frequency NVARCHAR(20) NOT NULL DEFAULT 'Weekly', -- Daily, Weekly, Monthly
+        SendHour INT NOT NULL DEFAULT 7,            -- 0-23, server time
+        DayOfWeek INT NULL,                         -- Weekly: ISO day, 1 = Monday
+        DayOfMonth INT NULL,                        -- Monthly: 1-28
+        Recipients NVARCHAR(MAX) NULL,              -- Extra email addresses (comma-separated); the owner always receives it
+        OwnerUserID INT NOT NULL FOREIGN KEY REFERENCES Users(id) ON DELETE CASCADE,
+        OwnerEmail NVARCHAR(255) NOT NULL,
+        IsActive BIT NOT NULL DEFAULT 1,
+        NextRunAt DATETIME NULL,
+        LastRunAt DATETIME NULL,
+        LastStatus NVARCHAR(20) NULL,               -- Sent, Queued, Failed
+        LastError NVARCHAR(MAX) NULL,
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        UpdatedAt DATETIME NULL
+    );
+
+    CREATE INDEX IX_ReportSubscriptions_Due ON ReportSubscriptions(IsActive, NextRunAt);
+    CREATE INDEX IX_ReportSubscriptions_Owner ON ReportSubscriptions(OwnerUserID);
+
+    PRINT '✅ Table ReportSubscriptions created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table ReportSubscriptions already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'ReportSubscriptionSnapshots')
+BEGIN
+    CREATE TABLE ReportSubscriptionSnapshots (
+        SnapshotID INT IDENTITY(1,1) PRIMARY KEY,
+        SubscriptionID INT NOT NULL FOREIGN KEY REFERENCES ReportSubscriptions(SubscriptionID) ON DELETE CASCADE,
+        Title NVARCHAR(300) NOT NULL,
+        Format NVARCHAR(10) NOT NULL,
+        FileName NVARCHAR(300) NULL,
+        FilePath NVARCHAR(500) NULL,                -- Relative to storage/report-snapshots
+        FileSize INT NULL,
+        RowsIncluded INT NULL,
+        Recipients NVARCHAR(MAX) NULL,
+        Status NVARCHAR(20) NOT NULL DEFAULT 'Pending', -- Pending, Sent, Queued, Failed
+        Error NVARCHAR(MAX) NULL,
+        OutboxID INT NULL,                          -- NotificationOutbox row of the email
+        TriggeredBy NVARCHAR(255) NOT NULL,         -- 'Schedule' or the user who pressed Send now
+        GeneratedAt DATETIME NOT NULL DEFAULT GETDATE()
+    );
+
+    CREATE INDEX IX_ReportSubscriptionSnapshots_Subscription ON ReportSubscriptionSnapshots(SubscriptionID, GeneratedAt DESC);
+
+    PRINT '✅ Table ReportSubscriptionSnapshots created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table ReportSubscriptionSnapshots already exists';
+END
+GO
+
+-- Verification query
+SELECT TABLE_NAME, COLUMN_NAME, DATA_TYPE, IS_NULLABLE
+FROM INFORMATION_SCHEMA.COLUMNS
+WHERE TABLE_NAME IN ('ReportSubscriptions', 'ReportSubscriptionSnapshots')
+ORDER BY TABLE_NAME, ORDINAL_POSITION;
+GO
+
+PRINT 'Migration completed successfully';
@@ -0,0 +1,34 @@
+-- =============================================
+-- Migration: Scoped analytics for management roles
+-- Run this script on both FoodSafetyDB and FoodSafetyDB_Live
+-- Date: 2026-10-19
+-- Description: Lets Heads of Operations and Area Managers open Advanced Analytics
+--              and Auditor Performance (page access + dashboard buttons).
+--              Their results are limited to their own stores by the API
+--              (UserAreaAssignments / UserBrandAssignments), no data is copied.
+-- SAFE: Only appends roles to existing MenuPermissions rows
+-- =============================================
+
+UPDATE MenuPermissions
+SET AllowedRoles = AllowedRoles + ',HeadOfOperations'
+WHERE (Url IN ('/admin/analytics', '/admin/auditor-performance') OR ButtonID IN ('analyticsBtn', 'auditorPerformanceBtn'))
+  AND ',' + REPLACE(AllowedRoles, ' ', '') + ',' NOT LIKE '%,HeadOfOperations,%';
+
+PRINT '✅ HeadOfOperations added to analytics menu permissions';
+GO
+
+UPDATE MenuPermissions
+SET AllowedRoles = AllowedRoles + ',AreaManager'
+WHERE (Url IN ('/admin/analytics', '/admin/auditor-performance') OR ButtonID IN ('analyticsBtn', 'auditorPerformanceBtn'))
+  AND ',' + REPLACE(AllowedRoles, ' ', '') + ',' NOT LIKE '%,AreaManager,%';
+
+PRINT '✅ AreaManager added to analytics menu permissions';
+GO
+
+-- Verification query
+SELECT ButtonID, Url, AllowedRoles
+FROM MenuPermissions
+WHERE Url IN ('/admin/analytics', '/admin/auditor-performance') OR ButtonID IN ('analyticsBtn', 'auditorPerformanceBtn');
+GO
+
+PRINT 'Migration completed successfully';
@@ -0,0 +1,42 @@
+-- =============================================
+-- Migration: Configurable scoring models per audit schema
+-- Run this script on both FoodSafetyDB and FoodSafetyDB_Live
+-- Date: 2026-10-19
+-- Description: Stores the answer scale / weights / critical rules used to
+--              score every audit of a schema. NULL = standard model
+--              (Yes = 1 x Coeff, Partially = 0.5 x Coeff, No = 0, NA excluded)
+-- SAFE: Only ADD column, no data modification
+-- =============================================
+
+IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('AuditSchemas') AND name = 'ScoringModel')
+BEGIN
+    ALTER TABLE AuditSchemas ADD ScoringModel NVARCHAR(MAX) NULL;
+    PRINT '✅ Added ScoringModel column to AuditSchemas';
+END
+ELSE
+BEGIN
+    PRINT '✓ ScoringModel column already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('AuditSchemas') AND name = 'ScoringModelModifiedBy')
+BEGIN
+    ALTER TABLE AuditSchemas ADD ScoringModelModifiedBy NVARCHAR(255) NULL,
+                                 ScoringModelModifiedDate DATETIME NULL;
+    PRINT '✅ Added ScoringModelModifiedBy / ScoringModelModifiedDate columns to AuditSchemas';
+END
+ELSE
+BEGIN
+    PRINT '✓ ScoringModel audit columns already exist';
+END
+GO
+
+-- Verification query
+SELECT COLUMN_NAME, DATA_TYPE, IS_NULLABLE
+FROM INFORMATION_SCHEMA.COLUMNS
+WHERE TABLE_NAME = 'AuditSchemas'
+  AND COLUMN_NAME IN ('ScoringModel', 'ScoringModelModifiedBy', 'ScoringModelModifiedDate')
+ORDER BY COLUMN_NAME;
+GO
+
+PRINT 'Migration completed successfully';
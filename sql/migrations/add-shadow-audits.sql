@@ -0,0 +1,45 @@
+-- =============================================
+-- Migration: Shadow audits for auditor calibration
+-- Run this script on both FoodSafetyDB and FoodSafetyDB_Live
+-- Date: 2026-10-19
+-- Description: A shadow audit is a second AuditInstances row for the same visit, filled
+--              by another auditor from the same checklist items. ShadowOfAuditID points
+--              to the primary audit. A completed shadow audit gets Status 'Calibration'
+--              (not 'Completed') so it never counts in scores, analytics, action plans or
+--              reports; calibration-service compares it with the primary audit.
+--              No foreign key: deleting a primary audit leaves its shadows out of the
+--              calibration report (the pairs join on the primary).
+-- SAFE: Only ADD a nullable column and an index
+-- =============================================
+
+IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('AuditInstances') AND name = 'ShadowOfAuditID')
+BEGIN
+    ALTER TABLE AuditInstances ADD ShadowOfAuditID INT NULL;    -- Primary audit of a shadow audit
+
+    PRINT '✅ Added ShadowOfAuditID to AuditInstances';
+END
+ELSE
+BEGIN
+    PRINT '✓ Column AuditInstances.ShadowOfAuditID already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_AuditInstances_ShadowOf' AND object_id = OBJECT_ID('AuditInstances'))
+BEGIN
+    CREATE INDEX IX_AuditInstances_ShadowOf ON AuditInstances(ShadowOfAuditID) WHERE ShadowOfAuditID IS NOT NULL;
+
+    PRINT '✅ Index IX_AuditInstances_ShadowOf created';
+END
+ELSE
+BEGIN
+    PRINT '✓ Index IX_AuditInstances_ShadowOf already exists';
+END
+GO
+
+-- Verification query
+SELECT TABLE_NAME, COLUMN_NAME, DATA_TYPE, IS_NULLABLE
+FROM INFORMATION_SCHEMA.COLUMNS
+WHERE TABLE_NAME = 'AuditInstances' AND COLUMN_NAME = 'ShadowOfAuditID';
+GO
+
+PRINT 'Migration completed successfully';
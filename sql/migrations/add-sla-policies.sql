@@ -0,0 +1,171 @@
+-- =============================================
+-- Migration: SLA policies for action plan deadlines
+-- Run this script on both FoodSafetyDB and FoodSafetyDB_Live
+-- Date: 2026-10-19
+-- Description: Replaces the single ActionPlanEscalationSettings deadline with
+--              SLA policies scoped by schema, brand, finding priority and
+--              severity (most specific active policy wins):
+--              - SlaCalendars / SlaHolidays: working days and public holidays,
+--                a policy with a calendar only counts working time
+--              - SlaPolicies: resolution time and reminder points (hours)
+--              - SlaEscalationLevels: escalation chain after the deadline
+--                (StoreManager -> AreaManager -> HeadOfOperations -> SuperAuditor)
+--              - EscalationJobLog gets the policy and level that fired
+--              The current global settings are copied into a "Default" policy.
+-- SAFE: Only ADD tables / columns, no data modification
+-- =============================================
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'SlaCalendars')
+BEGIN
+    CREATE TABLE SlaCalendars (
+        CalendarID INT IDENTITY(1,1) PRIMARY KEY,
+        Name NVARCHAR(100) NOT NULL,
+        WorkingDays NVARCHAR(20) NOT NULL DEFAULT '1,2,3,4,5',  -- ISO weekdays, 1 = Monday ... 7 = Sunday
+        IsActive BIT NOT NULL DEFAULT 1,
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        CreatedBy NVARCHAR(255) NULL
+    );
+
+    INSERT INTO SlaCalendars (Name, WorkingDays, CreatedBy)
+    VALUES ('Business days (Mon - Sat)', '1,2,3,4,5,6', 'Migration');
+
+    PRINT '✅ Table SlaCalendars created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table SlaCalendars already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'SlaHolidays')
+BEGIN
+    CREATE TABLE SlaHolidays (
+        HolidayID INT IDENTITY(1,1) PRIMARY KEY,
+        CalendarID INT NOT NULL FOREIGN KEY REFERENCES SlaCalendars(CalendarID) ON DELETE CASCADE,
+        HolidayDate DATE NOT NULL,
+        Name NVARCHAR(200) NOT NULL,
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        CreatedBy NVARCHAR(255) NULL,
+        CONSTRAINT UQ_SlaHolidays_Calendar_Date UNIQUE (CalendarID, HolidayDate)
+    );
+
+    PRINT '✅ Table SlaHolidays created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table SlaHolidays already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'SlaPolicies')
+BEGIN
+    CREATE TABLE SlaPolicies (
+        PolicyID INT IDENTITY(1,1) PRIMARY KEY,
+        Name NVARCHAR(200) NOT NULL,
+        SchemaID INT NULL FOREIGN KEY REFERENCES AuditSchemas(SchemaID),  -- NULL = any schema
+        Brand NVARCHAR(50) NULL,                                       -- NULL = any brand (Stores.Brand)
+        Priority NVARCHAR(20) NULL,                                    -- Most urgent finding priority, NULL = any
+        Severity NVARCHAR(20) NULL,                                    -- Most severe finding severity, NULL = any
+        ResolutionHours INT NOT NULL,                                  -- Time to submit the action plan
+        CalendarID INT NULL FOREIGN KEY REFERENCES SlaCalendars(CalendarID), -- NULL = calendar time (24/7)
+        ReminderHoursBefore NVARCHAR(100) NULL,                        -- Comma-separated, e.g. '72,24'
+        SortOrder INT NOT NULL DEFAULT 0,                              -- Tie-breaker between equally specific policies
+        IsActive BIT NOT NULL DEFAULT 1,
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        CreatedBy NVARCHAR(255) NULL,
+        UpdatedAt DATETIME NULL,
+        UpdatedBy NVARCHAR(255) NULL
+    );
+
+    CREATE INDEX IX_SlaPolicies_Scope ON SlaPolicies(IsActive, SchemaID, Brand, Priority);
+
+    PRINT '✅ Table SlaPolicies created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table SlaPolicies already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'SlaEscalationLevels')
+BEGIN
+    CREATE TABLE SlaEscalationLevels (
+        LevelID INT IDENTITY(1,1) PRIMARY KEY,
+        PolicyID INT NOT NULL FOREIGN KEY REFERENCES SlaPolicies(PolicyID) ON DELETE CASCADE,
+        LevelNumber INT NOT NULL,
+        HoursAfterDeadline INT NOT NULL DEFAULT 0,
+        RecipientRole NVARCHAR(50) NOT NULL,       -- StoreManager, AreaManager, HeadOfOperations, SuperAuditor
+        CcRoles NVARCHAR(200) NULL,                -- Comma-separated, may include AuditCreator
+        CONSTRAINT UQ_SlaEscalationLevels_Policy_Level UNIQUE (PolicyID, LevelNumber)
+    );
+
+    PRINT '✅ Table SlaEscalationLevels created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table SlaEscalationLevels already exists';
+END
+GO
+
+-- Seed: "Default" policy from the global settings, plus the priority examples
+IF NOT EXISTS (SELECT 1 FROM SlaPolicies)
+BEGIN
+    DECLARE @DeadlineDays INT = 7, @ReminderDays NVARCHAR(100) = '3,1', @GraceHours INT = 24;
+
+    IF OBJECT_ID('dbo.ActionPlanEscalationSettings', 'U') IS NOT NULL
+        SELECT TOP 1 @DeadlineDays = DeadlineDays, @ReminderDays = ISNULL(ReminderDaysBefore, '3,1'), @GraceHours = ISNULL(GracePeriodHours, 24)
+        FROM ActionPlanEscalationSettings;
+
+    DECLARE @ReminderHours NVARCHAR(100) = (
+        SELECT STRING_AGG(CAST(TRY_CAST(LTRIM(RTRIM(value)) AS INT) * 24 AS NVARCHAR(10)), ',')
+        FROM STRING_SPLIT(@ReminderDays, ',')
+        WHERE TRY_CAST(LTRIM(RTRIM(value)) AS INT) IS NOT NULL
+    );
+    DECLARE @CalendarID INT = (SELECT TOP 1 CalendarID FROM SlaCalendars ORDER BY CalendarID);
+
+    INSERT INTO SlaPolicies (Name, Priority, ResolutionHours, CalendarID, ReminderHoursBefore, SortOrder, CreatedBy) VALUES
+        ('Default', NULL, @DeadlineDays * 24, NULL, @ReminderHours, 100, 'Migration'),
+        ('High priority findings', 'High', 48, @CalendarID, '24', 10, 'Migration'),
+        ('Medium priority findings', 'Medium', 168, NULL, '72,24', 20, 'Migration'),
+        ('Low priority findings', 'Low', 336, NULL, '72,24', 30, 'Migration');
+
+    INSERT INTO SlaEscalationLevels (PolicyID, LevelNumber, HoursAfterDeadline, RecipientRole, CcRoles)
+    SELECT p.PolicyID, l.LevelNumber, l.HoursAfterDeadline, l.RecipientRole, l.CcRoles
+    FROM SlaPolicies p
+    CROSS JOIN (VALUES
+        (1, @GraceHours, 'StoreManager', 'SuperAuditor,AuditCreator'),
+        (2, @GraceHours, 'AreaManager', 'SuperAuditor,AuditCreator'),
+        (3, @GraceHours + 72, 'HeadOfOperations', 'AreaManager,AuditCreator'),
+        (4, @GraceHours + 168, 'SuperAuditor', 'HeadOfOperations')
+    ) l(LevelNumber, HoursAfterDeadline, RecipientRole, CcRoles);
+
+    PRINT '✅ Seeded Default and priority SLA policies';
+END
+GO
+
+-- Record which policy and level fired (EscalationJobLog is created by the escalation job setup)
+IF OBJECT_ID('dbo.EscalationJobLog', 'U') IS NOT NULL AND COL_LENGTH('EscalationJobLog', 'PolicyID') IS NULL
+BEGIN
+    ALTER TABLE EscalationJobLog ADD
+        PolicyID INT NULL,
+        PolicyName NVARCHAR(200) NULL,
+        EscalationLevel INT NULL,              -- Escalation chain level (NULL for reminders)
+        TriggerHours INT NULL;                 -- Reminder point (hours before) or level hours after the deadline
+
+    PRINT '✅ Added policy columns to EscalationJobLog';
+END
+ELSE
+BEGIN
+    PRINT '✓ EscalationJobLog policy columns already exist';
+END
+GO
+
+-- Verification query
+SELECT TABLE_NAME, COLUMN_NAME, DATA_TYPE, IS_NULLABLE
+FROM INFORMATION_SCHEMA.COLUMNS
+WHERE TABLE_NAME IN ('SlaCalendars', 'SlaHolidays', 'SlaPolicies', 'SlaEscalationLevels')
+   OR (TABLE_NAME = 'EscalationJobLog' AND COLUMN_NAME IN ('PolicyID', 'PolicyName', 'EscalationLevel', 'TriggerHours'))
+ORDER BY TABLE_NAME, ORDINAL_POSITION;
+GO
+
+PRINT 'Migration completed successfully';
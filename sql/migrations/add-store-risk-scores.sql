@@ -0,0 +1,50 @@
+-- =============================================
+-- Migration: Predictive store risk scores
+-- Run this script on both FoodSafetyDB and FoodSafetyDB_Live
+-- Date: 2026-10-19
+-- Description: Nightly risk score (0-100) of every active store per schema, used by the
+--              cycle dashboard and the audit planner to prioritise unannounced visits.
+--              One row per store / schema, replaced by each recalculation:
+--              - RiskScore / RiskLevel (High, Medium, Low) and the previous score
+--              - One 0-100 column per factor: score trend, repeat findings,
+--                overdue action plans, temperature excursions, time since last audit
+--              - Details: raw inputs (latest score, repeat findings, overdue actions, ...)
+-- SAFE: Only ADD tables, no data modification
+-- =============================================
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'StoreRiskScores')
+BEGIN
+    CREATE TABLE StoreRiskScores (
+        StoreID INT NOT NULL FOREIGN KEY REFERENCES Stores(StoreID) ON DELETE CASCADE,
+        SchemaID INT NOT NULL,
+        RiskScore DECIMAL(5,1) NOT NULL,
+        RiskLevel NVARCHAR(10) NOT NULL,            -- High, Medium, Low
+        PreviousScore DECIMAL(5,1) NULL,            -- Score of the previous calculation
+        ScoreTrendRisk DECIMAL(5,1) NOT NULL DEFAULT 0,
+        RepeatFindingsRisk DECIMAL(5,1) NOT NULL DEFAULT 0,
+        ActionPlanRisk DECIMAL(5,1) NOT NULL DEFAULT 0,
+        TemperatureRisk DECIMAL(5,1) NOT NULL DEFAULT 0,
+        AuditGapRisk DECIMAL(5,1) NOT NULL DEFAULT 0,
+        Details NVARCHAR(MAX) NULL,                 -- JSON: latestScore, trendPerAudit, repeatFindings, overdueActions, ...
+        CalculatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT PK_StoreRiskScores PRIMARY KEY (StoreID, SchemaID)
+    );
+
+    CREATE INDEX IX_StoreRiskScores_Schema ON StoreRiskScores(SchemaID, RiskScore DESC);
+
+    PRINT '✅ Table StoreRiskScores created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table StoreRiskScores already exists';
+END
+GO
+
+-- Verification query
+SELECT TABLE_NAME, COLUMN_NAME, DATA_TYPE, IS_NULLABLE
+FROM INFORMATION_SCHEMA.COLUMNS
+WHERE TABLE_NAME = 'StoreRiskScores'
+ORDER BY ORDINAL_POSITION;
+GO
+
+PRINT 'Migration completed successfully';
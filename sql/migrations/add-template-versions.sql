@@ -0,0 +1,59 @@
+-- =============================================
+-- Migration: Audit template versioning
+-- Run this script on both FoodSafetyDB and FoodSafetyDB_Live
+-- Date: 2026-10-19
+-- Description: AuditSections / AuditItems / AuditSchemas.ScoringModel stay the
+--              editable draft of a schema. Publishing stores an immutable JSON
+--              snapshot in AuditSchemaVersions; new audits are pinned to the
+--              latest published version through AuditInstances.TemplateVersionID.
+--              Version 1 is published automatically the first time an audit
+--              is started on a schema without versions.
+-- SAFE: Only ADD table / column, no data modification
+-- =============================================
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'AuditSchemaVersions')
+BEGIN
+    CREATE TABLE AuditSchemaVersions (
+        VersionID INT PRIMARY KEY IDENTITY(1,1),
+        SchemaID INT NOT NULL FOREIGN KEY REFERENCES AuditSchemas(SchemaID),
+        VersionNumber INT NOT NULL,
+        Snapshot NVARCHAR(MAX) NOT NULL,      -- JSON: { schemaName, scoringModel, sections: [{ ..., items: [...] }] }
+        ItemCount INT NOT NULL DEFAULT 0,
+        Notes NVARCHAR(1000) NULL,
+        PublishedBy NVARCHAR(255) NULL,
+        PublishedDate DATETIME NOT NULL DEFAULT GETDATE(),
+
+        CONSTRAINT UQ_AuditSchemaVersion UNIQUE(SchemaID, VersionNumber)
+    );
+
+    CREATE INDEX idx_schemaversions_schemaid ON AuditSchemaVersions(SchemaID);
+
+    PRINT '✅ Table AuditSchemaVersions created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table AuditSchemaVersions already exists';
+END
+GO
+
+-- Template version an audit was started on (NULL = started before versioning)
+IF NOT EXISTS (SELECT 1 FROM sys.columns WHERE object_id = OBJECT_ID('AuditInstances') AND name = 'TemplateVersionID')
+BEGIN
+    ALTER TABLE AuditInstances ADD TemplateVersionID INT NULL FOREIGN KEY REFERENCES AuditSchemaVersions(VersionID);
+    PRINT '✅ Added TemplateVersionID column to AuditInstances';
+END
+ELSE
+BEGIN
+    PRINT '✓ AuditInstances.TemplateVersionID already exists';
+END
+GO
+
+-- Verification query
+SELECT TABLE_NAME, COLUMN_NAME, DATA_TYPE, IS_NULLABLE
+FROM INFORMATION_SCHEMA.COLUMNS
+WHERE TABLE_NAME = 'AuditSchemaVersions'
+   OR (TABLE_NAME = 'AuditInstances' AND COLUMN_NAME = 'TemplateVersionID')
+ORDER BY TABLE_NAME, ORDINAL_POSITION;
+GO
+
+PRINT 'Migration completed successfully';
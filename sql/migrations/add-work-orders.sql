@@ -0,0 +1,106 @@
+-- =============================================
+-- Migration: Department work orders
+-- Run this script on both FoodSafetyDB and FoodSafetyDB_Live
+-- Date: 2026-10-19
+-- Description: Every escalated finding becomes a work order per department
+--              (AuditResponseDepartments row): assignee inside the department,
+--              due date from the finding's priority, status, estimated / actual
+--              cost and completion photos. Changes are kept in WorkOrderHistory.
+-- SAFE: Only ADD tables, no data modification
+-- =============================================
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'WorkOrders')
+BEGIN
+    CREATE TABLE WorkOrders (
+        WorkOrderID INT IDENTITY(1,1) PRIMARY KEY,
+        ResponseID INT NOT NULL FOREIGN KEY REFERENCES AuditResponses(ResponseID) ON DELETE CASCADE,
+        DepartmentID INT NOT NULL FOREIGN KEY REFERENCES Departments(DepartmentID),
+        AuditID INT NOT NULL,
+        DocumentNumber NVARCHAR(50) NULL,
+        StoreCode NVARCHAR(50) NULL,
+        StoreName NVARCHAR(200) NULL,
+        ReferenceValue NVARCHAR(50) NULL,
+        Title NVARCHAR(MAX) NULL,
+        Finding NVARCHAR(MAX) NULL,
+        Priority NVARCHAR(20) NULL,
+        Status NVARCHAR(20) NOT NULL DEFAULT 'Open',      -- Open, Assigned, InProgress, OnHold, Completed, Cancelled
+        AssignedToUserID INT NULL,
+        AssignedToName NVARCHAR(255) NULL,
+        AssignedToEmail NVARCHAR(255) NULL,
+        DueDate DATE NOT NULL,
+        EstimatedCost DECIMAL(12,2) NULL,
+        ActualCost DECIMAL(12,2) NULL,
+        CompletionNotes NVARCHAR(MAX) NULL,
+        CompletedAt DATETIME NULL,
+        CompletedBy NVARCHAR(255) NULL,
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        CreatedBy NVARCHAR(255) NULL,
+        UpdatedAt DATETIME NULL,
+        UpdatedBy NVARCHAR(255) NULL,
+        CONSTRAINT UQ_WorkOrders_Response_Department UNIQUE (ResponseID, DepartmentID)
+    );
+
+    CREATE INDEX IX_WorkOrders_Queue ON WorkOrders(DepartmentID, Status, DueDate);
+    CREATE INDEX IX_WorkOrders_Audit ON WorkOrders(AuditID);
+
+    PRINT '✅ Table WorkOrders created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table WorkOrders already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'WorkOrderPhotos')
+BEGIN
+    CREATE TABLE WorkOrderPhotos (
+        PhotoID INT IDENTITY(1,1) PRIMARY KEY,
+        WorkOrderID INT NOT NULL FOREIGN KEY REFERENCES WorkOrders(WorkOrderID) ON DELETE CASCADE,
+        FileName NVARCHAR(255) NULL,
+        ContentType NVARCHAR(100) NULL,
+        FilePath NVARCHAR(500) NOT NULL,                  -- Relative path in file storage
+        UploadedBy NVARCHAR(255) NULL,
+        UploadedAt DATETIME NOT NULL DEFAULT GETDATE()
+    );
+
+    CREATE INDEX IX_WorkOrderPhotos_WorkOrder ON WorkOrderPhotos(WorkOrderID);
+
+    PRINT '✅ Table WorkOrderPhotos created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table WorkOrderPhotos already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'WorkOrderHistory')
+BEGIN
+    CREATE TABLE WorkOrderHistory (
+        HistoryID INT IDENTITY(1,1) PRIMARY KEY,
+        WorkOrderID INT NOT NULL FOREIGN KEY REFERENCES WorkOrders(WorkOrderID) ON DELETE CASCADE,
+        FieldChanged NVARCHAR(50) NOT NULL,
+        OldValue NVARCHAR(MAX) NULL,
+        NewValue NVARCHAR(MAX) NULL,
+        Comment NVARCHAR(MAX) NULL,
+        ChangedBy NVARCHAR(255) NULL,
+        ChangedAt DATETIME NOT NULL DEFAULT GETDATE()
+    );
+
+    CREATE INDEX IX_WorkOrderHistory_WorkOrder ON WorkOrderHistory(WorkOrderID, ChangedAt);
+
+    PRINT '✅ Table WorkOrderHistory created successfully';
+END
+ELSE
+BEGIN
+    PRINT '✓ Table WorkOrderHistory already exists';
+END
+GO
+
+-- Verification query
+SELECT TABLE_NAME, COLUMN_NAME, DATA_TYPE, IS_NULLABLE
+FROM INFORMATION_SCHEMA.COLUMNS
+WHERE TABLE_NAME IN ('WorkOrders', 'WorkOrderPhotos', 'WorkOrderHistory')
+ORDER BY TABLE_NAME, ORDINAL_POSITION;
+GO
+
+PRINT 'Migration completed successfully';
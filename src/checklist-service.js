@@ -5,6 +5,7 @@
 
 const SQLConnector = require('./sql-connector');
 const sql = require('mssql');
+const ScoringModelService = require('../audit-app/services/scoring-model-service');
 
 class ChecklistService {
     constructor() {
@@ -317,12 +318,15 @@ class ChecklistService {
 
     /**
      * Calculate checklist score based on responses
+     * Scored with the standard Yes/Partially/No model: checklists have no schema of their own,
+     * and the caller must not be able to pick how a checklist is scored.
      * @param {Array} responses - Array of responses with selectedChoice
      * @param {Array} items - Array of checklist items with coeff
      * @returns {Object} Score calculation result
      */
     calculateScore(responses, items) {
         try {
+            const model = ScoringModelService.getDefaultModel();
             let totalScore = 0;
             let maxScore = 0;
             const itemScores = [];
@@ -342,25 +346,15 @@ class ChecklistService {
                 }
 
                 const coeff = item.Coeff;
-                maxScore += coeff;
+                const answer = ScoringModelService.getAnswer(model, response.selectedChoice);
 
                 let itemScore = 0;
-                switch (response.selectedChoice) {
-                    case 'Yes':
-                        itemScore = coeff * 1.0;
-                        break;
-                    case 'Partially':
-                        itemScore = coeff * 0.5;
-                        break;
-                    case 'No':
-                        itemScore = 0;
-                        break;
-                    case 'NA':
-                        itemScore = 0;
-                        maxScore -= coeff; // Don't count NA items in max score
-                        break;
-                    default:
-                        itemScore = 0;
+                if (answer && answer.weight === null) {
+                    // Not applicable - don't count in max score
+                    itemScore = 0;
+                } else {
+                    maxScore += coeff;
+                    itemScore = ScoringModelService.calculateValue(model, response.selectedChoice, coeff) || 0;
                 }
 
                 totalScore += itemScore;
@@ -4,6 +4,9 @@
  */
 
 const sql = require('mssql');
+const ScoringModelService = require('../../audit-app/services/scoring-model-service');
+const TemplateVersionService = require('../../audit-app/services/template-version-service');
+const TemplatePackageService = require('../../audit-app/services/template-package-service');
 require('dotenv').config();
 
 // Database configuration
@@ -192,6 +195,7 @@ class AuditTemplateService {
                         coeff: item.Coeff,
                         answer: item.Answer,
                         cr: item.CR,
+                        severity: item.Severity || null,
                         sortOrder: item.SortOrder
                     }))
             }));
@@ -211,6 +215,162 @@ class AuditTemplateService {
         }
     }
     
+    // ==========================================
+    // SCORING MODEL OPERATIONS
+    // ==========================================
+    
+    /**
+     * Get the scoring model of a schema (standard model if none is set)
+     */
+    async getScoringModel(schemaId) {
+        try {
+            const pool = await sql.connect(dbConfig);
+            return await ScoringModelService.getModelForSchema(pool, schemaId);
+        } catch (error) {
+            console.error('Error fetching scoring model:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Save the scoring model of a schema
+     * Also aligns the answer options of every item in the schema with the model
+     */
+    async updateScoringModel(schemaId, model, modifiedBy) {
+        try {
+            const pool = await sql.connect(dbConfig);
+            const saved = await ScoringModelService.saveModelForSchema(pool, schemaId, model, modifiedBy);
+            
+            const itemsResult = await pool.request()
+                .input('SchemaID', sql.Int, schemaId)
+                .input('Answer', sql.NVarChar(100), ScoringModelService.getAnswerOptions(saved))
+                .input('ModifiedBy', sql.NVarChar(255), modifiedBy)
+                .query(`
+                    UPDATE AuditItems
+                    SET Answer = @Answer,
+                        ModifiedBy = @ModifiedBy,
+                        ModifiedDate = GETDATE()
+                    WHERE SectionID IN (SELECT SectionID FROM AuditSections WHERE SchemaID = @SchemaID)
+                `);
+            
+            console.log(`[SCORING] Schema ${schemaId} scoring model "${saved.name}" saved by ${modifiedBy} (${itemsResult.rowsAffected[0]} items aligned)`);
+            
+            return { success: true, schemaId, scoringModel: saved, itemsUpdated: itemsResult.rowsAffected[0] };
+        } catch (error) {
+            console.error('Error updating scoring model:', error);
+            throw error;
+        }
+    }
+    
+    // ==========================================
+    // VERSION OPERATIONS
+    // ==========================================
+    
+    /**
+     * Get published versions of a schema and what changed in the draft since the latest one
+     */
+    async getVersions(schemaId) {
+        try {
+            const pool = await sql.connect(dbConfig);
+            const versions = await TemplateVersionService.getVersions(pool, schemaId);
+            
+            let draftChanges = null;
+            if (versions.length > 0) {
+                const diff = await TemplateVersionService.diffVersions(pool, schemaId, versions[0].versionNumber, 'draft');
+                draftChanges = { hasChanges: diff.hasChanges, summary: diff.summary };
+            }
+            
+            return { versions, draftChanges };
+        } catch (error) {
+            console.error('Error fetching template versions:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Get one published version with its snapshot
+     */
+    async getVersion(schemaId, versionNumber) {
+        try {
+            const pool = await sql.connect(dbConfig);
+            return await TemplateVersionService.getVersion(pool, schemaId, versionNumber);
+        } catch (error) {
+            console.error('Error fetching template version:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Publish the current draft of a schema as a new version
+     */
+    async publishVersion(schemaId, notes, publishedBy) {
+        try {
+            const pool = await sql.connect(dbConfig);
+            return await TemplateVersionService.publishVersion(pool, schemaId, notes, publishedBy);
+        } catch (error) {
+            console.error('Error publishing template version:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Compare two versions of a schema ('draft' = current working copy)
+     */
+    async diffVersions(schemaId, fromVersion, toVersion) {
+        try {
+            const pool = await sql.connect(dbConfig);
+            return await TemplateVersionService.diffVersions(pool, schemaId, fromVersion, toVersion);
+        } catch (error) {
+            console.error('Error comparing template versions:', error);
+            throw error;
+        }
+    }
+    
+    // ==========================================
+    // TEMPLATE PACKAGES (export / import)
+    // ==========================================
+    
+    /**
+     * Export a schema as a template package (JSON object)
+     */
+    async exportPackage(schemaId, exportedBy) {
+        try {
+            const pool = await sql.connect(dbConfig);
+            return await TemplatePackageService.exportPackage(pool, schemaId, exportedBy);
+        } catch (error) {
+            console.error('Error exporting template package:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Validate an uploaded package ({ package } or { workbook }) without importing it
+     */
+    async validatePackage(upload, options) {
+        try {
+            const pool = await sql.connect(dbConfig);
+            const pkg = TemplatePackageService.parseUpload(upload);
+            return await TemplatePackageService.validate(pool, pkg, options);
+        } catch (error) {
+            console.error('Error validating template package:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Import an uploaded package as a new schema or merged into an existing one
+     */
+    async importPackage(upload, options) {
+        try {
+            const pool = await sql.connect(dbConfig);
+            const pkg = TemplatePackageService.parseUpload(upload);
+            return await TemplatePackageService.importPackage(pool, pkg, options);
+        } catch (error) {
+            console.error('Error importing template package:', error);
+            throw error;
+        }
+    }
+    
     // ==========================================
     // SECTION OPERATIONS
     // ==========================================
@@ -244,10 +404,29 @@ class AuditTemplateService {
     
     /**
      * Create a new section
+     * A retired section with the same number (see deleteSection) is reused and reactivated.
      */
     async createSection(schemaId, sectionNumber, sectionName, sectionIcon, createdBy) {
         try {
             const pool = await sql.connect(dbConfig);
+
+            const reactivated = await pool.request()
+                .input('SchemaID', sql.Int, schemaId)
+                .input('SectionNumber', sql.Int, sectionNumber)
+                .input('SectionName', sql.NVarChar(200), sectionName)
+                .input('SectionIcon', sql.NVarChar(10), sectionIcon || '📋')
+                .input('ModifiedBy', sql.NVarChar(255), createdBy)
+                .query(`
+                    UPDATE AuditSections
+                    SET SectionName = @SectionName, SectionIcon = @SectionIcon, IsActive = 1,
+                        ModifiedBy = @ModifiedBy, ModifiedDate = GETDATE()
+                    OUTPUT INSERTED.SectionID
+                    WHERE SchemaID = @SchemaID AND SectionNumber = @SectionNumber AND IsActive = 0
+                `);
+            if (reactivated.recordset.length > 0) {
+                return { sectionId: reactivated.recordset[0].SectionID, reactivated: true };
+            }
+
             const result = await pool.request()
                 .input('SchemaID', sql.Int, schemaId)
                 .input('SectionNumber', sql.Int, sectionNumber)
@@ -264,12 +443,36 @@ class AuditTemplateService {
     }
     
     /**
-     * Delete a section (hard delete)
-     * Also deletes all items belonging to this section
+     * Delete a section with all its items
+     * Sections in a published version or an audit are retired (soft delete) so the version keeps
+     * its ItemIDs; others are deleted for good.
      */
     async deleteSection(sectionId, modifiedBy) {
         try {
             const pool = await sql.connect(dbConfig);
+
+            if (await TemplateVersionService.isSectionInUse(pool, sectionId)) {
+                const itemsResult = await pool.request()
+                    .input('SectionID', sql.Int, sectionId)
+                    .input('ModifiedBy', sql.NVarChar(255), modifiedBy)
+                    .query(`
+                        UPDATE AuditItems SET IsActive = 0, ModifiedBy = @ModifiedBy, ModifiedDate = GETDATE()
+                        WHERE SectionID = @SectionID AND IsActive = 1;
+                        SELECT @@ROWCOUNT AS DeletedItems;
+                    `);
+                await pool.request()
+                    .input('SectionID', sql.Int, sectionId)
+                    .input('ModifiedBy', sql.NVarChar(255), modifiedBy)
+                    .query(`
+                        UPDATE AuditSections SET IsActive = 0, ModifiedBy = @ModifiedBy, ModifiedDate = GETDATE()
+                        WHERE SectionID = @SectionID
+                    `);
+                const deletedItems = itemsResult.recordset[0]?.DeletedItems || 0;
+
+                console.log(`[SOFT DELETE] Section ${sectionId} and ${deletedItems} items retired by ${modifiedBy} (used by a published version)`);
+
+                return { success: true, sectionId, deletedItems, retired: true };
+            }
             
             // First delete all items in this section
             const itemsResult = await pool.request()
@@ -309,15 +512,19 @@ class AuditTemplateService {
             const result = await pool.request()
                 .input('SectionID', sql.Int, sectionId)
                 .execute('sp_GetItemsBySection');
+            const translations = await this.getItemTranslations(sectionId);
             
             return result.recordset.map(i => ({
                 itemId: i.ItemID,
                 sectionId: i.SectionID,
                 referenceValue: i.ReferenceValue,
                 title: i.Title,
+                titleAr: translations.has(i.ItemID) ? translations.get(i.ItemID).titleAr : null,
+                titleFr: translations.has(i.ItemID) ? translations.get(i.ItemID).titleFr : null,
                 coeff: i.Coeff,
                 answer: i.Answer,
                 cr: i.CR,
+                severity: i.Severity || null,
                 sortOrder: i.SortOrder,
                 isActive: i.IsActive
             }));
@@ -337,7 +544,7 @@ class AuditTemplateService {
             const result = await pool.request()
                 .input('SectionID', sql.Int, sectionId)
                 .query(`
-                    SELECT ItemID, SectionID, ReferenceValue, Title, Coeff, Answer, CR, SortOrder, IsActive
+                    SELECT ItemID, SectionID, ReferenceValue, Title, Coeff, Answer, CR, Severity, SortOrder, IsActive
                     FROM AuditItems
                     WHERE SectionID = @SectionID
                     ORDER BY SortOrder, ReferenceValue
@@ -351,6 +558,7 @@ class AuditTemplateService {
                 coeff: i.Coeff,
                 answer: i.Answer,
                 cr: i.CR,
+                severity: i.Severity || null,
                 sortOrder: i.SortOrder,
                 isActive: i.IsActive
             }));
@@ -406,6 +614,78 @@ class AuditTemplateService {
         }
     }
     
+    /**
+     * Set the severity of an item (Critical / Major / Minor, null = none)
+     * @param {number} itemId - Item ID
+     * @param {string|null} severity - Severity label
+     * @param {string} modifiedBy - User making the change
+     */
+    async setItemSeverity(itemId, severity, modifiedBy) {
+        try {
+            const pool = await sql.connect(dbConfig);
+            await pool.request()
+                .input('ItemID', sql.Int, itemId)
+                .input('Severity', sql.NVarChar(20), ScoringModelService.normalizeSeverity(severity))
+                .input('ModifiedBy', sql.NVarChar(255), modifiedBy)
+                .query(`
+                    UPDATE AuditItems
+                    SET Severity = @Severity,
+                        ModifiedBy = @ModifiedBy,
+                        ModifiedDate = GETDATE()
+                    WHERE ItemID = @ItemID
+                `);
+            
+            return { success: true };
+        } catch (error) {
+            console.error('Error setting item severity:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Arabic / French titles of a section's items (kept next to AuditItems.Title)
+     * @returns {Promise<Map<number, Object>>} - ItemID -> { titleAr, titleFr }
+     */
+    async getItemTranslations(sectionId) {
+        const pool = await sql.connect(dbConfig);
+        const result = await pool.request()
+            .input('SectionID', sql.Int, sectionId)
+            .query(`
+                SELECT ItemID, TitleAr, TitleFr
+                FROM AuditItems
+                WHERE SectionID = @SectionID AND (TitleAr IS NOT NULL OR TitleFr IS NOT NULL)
+            `);
+        return new Map(result.recordset.map(i => [i.ItemID, { titleAr: i.TitleAr, titleFr: i.TitleFr }]));
+    }
+
+    /**
+     * Set the translated titles of an item (empty clears one; reports then show Title)
+     */
+    async setItemTranslations(itemId, { titleAr, titleFr }, modifiedBy) {
+        try {
+            const clean = value => (value && String(value).trim() ? String(value).trim().substring(0, 1000) : null);
+            const pool = await sql.connect(dbConfig);
+            await pool.request()
+                .input('ItemID', sql.Int, itemId)
+                .input('TitleAr', sql.NVarChar(1000), clean(titleAr))
+                .input('TitleFr', sql.NVarChar(1000), clean(titleFr))
+                .input('ModifiedBy', sql.NVarChar(255), modifiedBy)
+                .query(`
+                    UPDATE AuditItems
+                    SET TitleAr = @TitleAr,
+                        TitleFr = @TitleFr,
+                        ModifiedBy = @ModifiedBy,
+                        ModifiedDate = GETDATE()
+                    WHERE ItemID = @ItemID
+                `);
+            
+            return { success: true };
+        } catch (error) {
+            console.error('Error setting item translations:', error);
+            throw error;
+        }
+    }
+    
     /**
      * Update an item AND reactivate it if inactive
      * Used for bulk uploads to restore deleted items
@@ -0,0 +1,60 @@
+/**
+ * Analytics Dashboard Service - store scope of the viewers a dashboard is shared with
+ */
+
+const analyticsDashboardService = require('../services/analytics-dashboard-service');
+const analyticsQueryService = require('../services/analytics-query-service');
+const FakeDatabase = require('./helpers/fake-database');
+
+const dashboard = {
+    dashboardId: 4,
+    ownerUserId: 1,
+    filters: {},
+    widgets: [{ widgetId: 9, subject: 'stores', metric: 'most_fails', limit: 10, filters: {} }],
+    shares: { roles: ['Auditor', 'AreaManager'], users: [{ id: 30, name: 'Maintenance' }] }
+};
+
+describe('AnalyticsDashboardService.run store scope', () => {
+    let db;
+    let runView;
+
+    beforeEach(() => {
+        db = new FakeDatabase();
+        db.on(/FROM UserAreaAssignments/, (p) => (p.userId === 20 ? [{ StoreID: 3 }, { StoreID: 5 }] : []));
+        jest.spyOn(analyticsDashboardService, 'get').mockResolvedValue(JSON.parse(JSON.stringify(dashboard)));
+        runView = jest.spyOn(analyticsQueryService, 'runView').mockResolvedValue({ title: 'Most Failed Audits', rows: [] });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const scopeOf = () => runView.mock.calls[0][2].scopeStoreIds;
+
+    test('an Auditor the dashboard is shared with sees no stores', async () => {
+        const result = await analyticsDashboardService.run(db, 4, { id: 10, role: 'Auditor' });
+
+        expect(scopeOf()).toEqual([]);
+        expect(result.scoped).toBe(true);
+    });
+
+    test('a department user the dashboard is shared with sees no stores', async () => {
+        const result = await analyticsDashboardService.run(db, 4, { id: 30, role: 'Maintenance' });
+
+        expect(scopeOf()).toEqual([]);
+        expect(result.scoped).toBe(true);
+    });
+
+    test('an Area Manager sees their assigned stores', async () => {
+        await analyticsDashboardService.run(db, 4, { id: 20, role: 'AreaManager' });
+
+        expect(scopeOf()).toEqual([3, 5]);
+    });
+
+    test('an Admin sees every store', async () => {
+        const result = await analyticsDashboardService.run(db, 4, { id: 1, role: 'Admin' });
+
+        expect(scopeOf()).toBeNull();
+        expect(result.scoped).toBe(false);
+    });
+});
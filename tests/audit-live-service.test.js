@@ -0,0 +1,82 @@
+/**
+ * Audit Live Service - section locks belong to the user who took them
+ */
+
+const { EventEmitter } = require('events');
+const liveService = require('../audit-app/services/audit-live-service');
+
+const AUDIT_ID = 42;
+const alice = { id: 1, email: 'alice@example.com', displayName: 'Alice' };
+const bob = { id: 2, email: 'bob@example.com', displayName: 'Bob' };
+
+// Open an event stream for a user, returns the event names the tab received
+function connect(user, clientId) {
+    const events = [];
+    const req = new EventEmitter();
+    const res = {
+        writeHead: () => {},
+        write: (chunk) => {
+            const match = /^event: (\w+)/.exec(chunk);
+            if (match) events.push(match[1]);
+        },
+        end: () => {}
+    };
+    liveService.subscribe(AUDIT_ID, user, req, res, clientId);
+    return { req, events };
+}
+
+describe('AuditLiveService section locks', () => {
+    let tabs;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        tabs = [connect(alice, 'tab-alice'), connect(bob, 'tab-bob')];
+    });
+
+    afterEach(() => {
+        tabs.forEach(tab => tab.req.emit('close'));
+        liveService.audits.clear();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('another user cannot release a lock with the holder\'s clientId', () => {
+        expect(liveService.lockSection(AUDIT_ID, 'tab-alice', alice, 7).success).toBe(true);
+
+        expect(liveService.unlockSection(AUDIT_ID, 'tab-alice', bob, 7)).toBe(false);
+        expect(liveService.getLocks(AUDIT_ID)).toHaveLength(1);
+    });
+
+    test('another user cannot take over a lock with the holder\'s clientId', () => {
+        liveService.lockSection(AUDIT_ID, 'tab-alice', alice, 7);
+
+        const result = liveService.lockSection(AUDIT_ID, 'tab-alice', bob, 7);
+        expect(result.success).toBe(false);
+        expect(liveService.getLocks(AUDIT_ID)[0].userId).toBe(alice.id);
+    });
+
+    test('reconnecting with another user\'s clientId does not replace their tab', () => {
+        tabs.push(connect(bob, 'tab-alice'));
+        liveService.lockSection(AUDIT_ID, 'tab-alice', alice, 7);
+
+        expect(liveService.getLocks(AUDIT_ID)[0].userId).toBe(alice.id);
+        expect(liveService.getPresence(AUDIT_ID).filter(p => p.clientId === 'tab-alice')).toHaveLength(1);
+    });
+
+    test('writes are only blocked for users who do not hold the lock', () => {
+        liveService.lockSection(AUDIT_ID, 'tab-alice', alice, 7);
+
+        expect(liveService.getForeignLock(AUDIT_ID, [7], bob).name).toBe('Alice');
+        expect(liveService.getForeignLock(AUDIT_ID, [7], alice)).toBeNull();
+        expect(liveService.getForeignLock(AUDIT_ID, [8], bob)).toBeNull();
+    });
+
+    test('the holder can release the lock', () => {
+        liveService.lockSection(AUDIT_ID, 'tab-alice', alice, 7);
+
+        expect(liveService.unlockSection(AUDIT_ID, 'tab-alice', alice, 7)).toBe(true);
+        expect(liveService.getForeignLock(AUDIT_ID, [7], bob)).toBeNull();
+        expect(tabs[1].events).toContain('unlock');
+    });
+});
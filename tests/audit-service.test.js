@@ -0,0 +1,146 @@
+/**
+ * Audit Service - response saves with the UpdatedAt version token
+ * Runs against an in-memory AuditResponses table that keeps UpdatedAt the way SQL Server keeps
+ * a DATETIME (whole 1/300 s) and returns it the way tedious does (rounded to milliseconds).
+ */
+
+const sql = require('mssql');
+const auditService = require('../audit-app/services/audit-service');
+const ScoringModelService = require('../audit-app/services/scoring-model-service');
+const FakeDatabase = require('./helpers/fake-database');
+
+const DAY_START = 3 * Math.round(Date.UTC(2026, 9, 19, 8, 0, 0) / 10) + 1;
+
+// DATETIME -> JavaScript Date, as tedious reads it
+const toDate = (ticks) => new Date(Math.round(ticks * 10 / 3));
+
+// DATETIME column <= parameter, compared at the precision of the parameter's type
+function notAfter(ticks, value, type) {
+    const ms = value.getTime();
+    if (type === sql.DateTime) return ticks <= Math.round(ms * 3 / 10);
+    return ticks * 10 <= ms * 3;
+}
+
+/**
+ * AuditResponses rows with UpdatedAt in DATETIME ticks
+ * Every write lands on a tick that is not a whole millisecond (…,003333 s)
+ */
+function auditResponsesDatabase() {
+    const db = new FakeDatabase();
+    let clock = DAY_START;
+    const getDate = () => (clock += 3);
+    db.rows = new Map([[1, { ResponseID: 1, AuditID: 10, Finding: null, UpdatedAt: getDate() }]]);
+
+    db.on(/^\s*UPDATE AuditResponses/, (p, { types }) => {
+        const row = db.rows.get(p.ResponseID);
+        if (!row || (p.BaseUpdatedAt && row.UpdatedAt !== null && !notAfter(row.UpdatedAt, p.BaseUpdatedAt, types.BaseUpdatedAt))) {
+            return [];
+        }
+        if (p.Finding !== null) row.Finding = p.Finding;
+        row.UpdatedAt = getDate();
+        return [{ UpdatedAt: toDate(row.UpdatedAt), AuditID: row.AuditID }];
+    });
+    db.on(/SELECT ResponseID FROM AuditResponses WHERE AuditID = @AuditID/, (p) =>
+        Array.from(db.rows.values()).filter(r => r.AuditID === p.AuditID).map(r => ({ ResponseID: r.ResponseID })));
+    db.on(/FROM AuditResponses\s+WHERE ResponseID = @ResponseID/, (p) => {
+        const row = db.rows.get(p.ResponseID);
+        return row ? [{ ...row, UpdatedAt: toDate(row.UpdatedAt) }] : [];
+    });
+    return db;
+}
+
+// What the browser echoes back: the token after a JSON round trip
+const token = (updatedAt) => JSON.parse(JSON.stringify(updatedAt));
+
+describe('AuditService response saves', () => {
+    let db;
+
+    beforeEach(() => {
+        db = auditResponsesDatabase().install();
+        auditService.getPool = async () => db;
+        jest.spyOn(ScoringModelService, 'getModelForAudit').mockResolvedValue(null);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('saving the same item twice in a row is not a conflict', async () => {
+        const loaded = await auditService.getResponseSnapshot(db, 1);
+
+        const first = await auditService.updateResponse(1, { finding: 'Dirty floor', baseUpdatedAt: token(loaded.updatedAt) });
+        expect(first.success).toBe(true);
+
+        const second = await auditService.updateResponse(1, { finding: 'Dirty floor under the sink', baseUpdatedAt: token(first.updatedAt) });
+        expect(second.success).toBe(true);
+        expect(db.rows.get(1).Finding).toBe('Dirty floor under the sink');
+    });
+
+    test('a save based on an older version is still a conflict', async () => {
+        const loaded = await auditService.getResponseSnapshot(db, 1);
+        await auditService.updateResponse(1, { finding: 'Saved by another auditor', baseUpdatedAt: token(loaded.updatedAt) });
+
+        const stale = await auditService.updateResponse(1, { finding: 'Dirty floor', baseUpdatedAt: token(loaded.updatedAt) });
+        expect(stale.success).toBe(false);
+        expect(stale.conflict).toBe(true);
+        expect(stale.current.finding).toBe('Saved by another auditor');
+    });
+
+    test('a batch saved after another batch of the same item is not a conflict', async () => {
+        const loaded = await auditService.getResponseSnapshot(db, 1);
+
+        const first = await auditService.updateResponses(10, [{ responseId: 1, finding: 'Dirty floor', baseUpdatedAt: token(loaded.updatedAt) }]);
+        expect(first.conflicts).toHaveLength(0);
+
+        const second = await auditService.updateResponses(10, [
+            { responseId: 1, finding: 'Dirty floor under the sink', baseUpdatedAt: token(first.applied[0].updatedAt) }
+        ]);
+        expect(second.conflicts).toHaveLength(0);
+        expect(second.applied).toHaveLength(1);
+    });
+
+    test('an item changed twice in one batch saves both changes', async () => {
+        const loaded = await auditService.getResponseSnapshot(db, 1);
+        const base = token(loaded.updatedAt);
+
+        const result = await auditService.updateResponses(10, [
+            { responseId: 1, finding: 'Dirty floor', baseUpdatedAt: base },
+            { responseId: 1, finding: 'Dirty floor under the sink', baseUpdatedAt: base }
+        ]);
+        expect(result.conflicts).toHaveLength(0);
+        expect(result.applied).toHaveLength(2);
+        expect(db.rows.get(1).Finding).toBe('Dirty floor under the sink');
+    });
+
+    test('a batch change based on an older version is still a conflict', async () => {
+        const loaded = await auditService.getResponseSnapshot(db, 1);
+        await auditService.updateResponse(1, { finding: 'Saved by another auditor', baseUpdatedAt: token(loaded.updatedAt) });
+
+        const result = await auditService.updateResponses(10, [{ responseId: 1, finding: 'Dirty floor', baseUpdatedAt: token(loaded.updatedAt) }]);
+        expect(result.applied).toHaveLength(0);
+        expect(result.conflicts).toHaveLength(1);
+        expect(result.conflicts[0].current.finding).toBe('Saved by another auditor');
+    });
+
+    test('a batch with a response of another audit is a validation error', async () => {
+        db.rows.set(2, { ResponseID: 2, AuditID: 11, Finding: null, UpdatedAt: null });
+
+        await expect(auditService.updateResponses(10, [{ responseId: 2, finding: 'Dirty floor' }]))
+            .rejects.toMatchObject({ status: 400, details: 'Responses 2 do not belong to audit 10' });
+        expect(db.rows.get(2).Finding).toBeNull();
+    });
+
+    test('an answer outside the scoring model is a validation error', async () => {
+        ScoringModelService.getModelForAudit.mockResolvedValue(ScoringModelService.getDefaultModel());
+
+        await expect(auditService.updateResponses(10, [{ responseId: 1, selectedChoice: 'Maybe' }]))
+            .rejects.toMatchObject({ status: 400 });
+    });
+
+    test('an unreadable version token is a validation error', async () => {
+        await expect(auditService.updateResponse(1, { finding: 'Dirty floor', baseUpdatedAt: 'yesterday' }))
+            .rejects.toMatchObject({ status: 400 });
+    });
+});
@@ -0,0 +1,197 @@
+/**
+ * Audit Template Service - deleting sections of published template versions
+ */
+
+const AuditTemplateService = require('../src/services/audit-template-service');
+const TemplateVersionService = require('../audit-app/services/template-version-service');
+const auditService = require('../audit-app/services/audit-service');
+const FakeDatabase = require('./helpers/fake-database');
+
+const SCHEMA_ID = 1;
+
+/**
+ * Template, version and audit tables with the AuditResponses foreign keys
+ */
+function templateDatabase() {
+    const db = new FakeDatabase();
+    db.sections = [
+        { SectionID: 10, SchemaID: SCHEMA_ID, SectionNumber: 1, SectionName: 'Storage', SectionIcon: '📦', IsActive: true },
+        { SectionID: 20, SchemaID: SCHEMA_ID, SectionNumber: 2, SectionName: 'Hygiene', SectionIcon: '🧼', IsActive: true }
+    ];
+    db.items = [
+        { ItemID: 101, SectionID: 10, ReferenceValue: '1.1', Title: 'Dry store is clean', Coeff: 2, Answer: 'Yes,Partially,No,NA', CR: null, Severity: null, SortOrder: 1, IsActive: true },
+        { ItemID: 201, SectionID: 20, ReferenceValue: '2.1', Title: 'Hand wash stations stocked', Coeff: 2, Answer: 'Yes,Partially,No,NA', CR: null, Severity: null, SortOrder: 1, IsActive: true }
+    ];
+    db.versions = [];
+    db.audits = [];
+    db.responses = [];
+    const activeSections = (schemaId) => db.sections.filter(s => s.SchemaID === schemaId && s.IsActive);
+
+    db.on(/AS InUse/, (p) => {
+        const itemIds = db.items.filter(i => i.SectionID === p.SectionID).map(i => i.ItemID);
+        const published = db.versions.some(v => JSON.parse(v.Snapshot).sections.some(s =>
+            s.sectionId === p.SectionID || s.items.some(i => itemIds.includes(i.itemId))));
+        const audited = db.responses.some(r => r.SectionID === p.SectionID || itemIds.includes(r.ItemID));
+        return [{ InUse: published || audited ? 1 : 0 }];
+    });
+    db.on(/SELECT SchemaName, Description, ScoringModel FROM AuditSchemas/, () =>
+        [{ SchemaName: 'Test schema', Description: null, ScoringModel: null }]);
+    db.on(/SELECT SectionID, SectionNumber, SectionName, SectionIcon\s+FROM AuditSections/, (p) => activeSections(p.SchemaID));
+    db.on(/FROM AuditItems i\s+INNER JOIN AuditSections s/, (p) => {
+        const sectionIds = activeSections(p.SchemaID).map(s => s.SectionID);
+        return db.items.filter(i => i.IsActive && sectionIds.includes(i.SectionID));
+    });
+    db.on(/SELECT TOP 1 \* FROM AuditSchemaVersions/, (p) => db.versions.filter(v => v.SchemaID === p.SchemaID).slice(-1));
+    db.on(/INSERT INTO AuditSchemaVersions/, (p) => {
+        const version = {
+            VersionID: db.versions.length + 1,
+            SchemaID: p.SchemaID,
+            VersionNumber: db.versions.filter(v => v.SchemaID === p.SchemaID).length + 1,
+            Snapshot: p.Snapshot,
+            ItemCount: p.ItemCount,
+            Notes: p.Notes,
+            PublishedBy: p.PublishedBy,
+            PublishedDate: new Date()
+        };
+        db.versions.push(version);
+        return [version];
+    });
+    db.on(/UPDATE AuditItems SET IsActive = 0/, (p) => {
+        const retired = db.items.filter(i => i.SectionID === p.SectionID && i.IsActive);
+        retired.forEach(i => { i.IsActive = false; });
+        return [{ DeletedItems: retired.length }];
+    });
+    db.on(/UPDATE AuditSections SET IsActive = 0/, (p) => {
+        db.sections.filter(s => s.SectionID === p.SectionID).forEach(s => { s.IsActive = false; });
+    });
+    db.on(/DELETE FROM AuditItems WHERE SectionID/, (p) => {
+        const before = db.items.length;
+        db.items = db.items.filter(i => i.SectionID !== p.SectionID);
+        return [{ DeletedItems: before - db.items.length }];
+    });
+    db.on(/DELETE FROM AuditSections WHERE SectionID/, (p) => {
+        db.sections = db.sections.filter(s => s.SectionID !== p.SectionID);
+    });
+    db.on(/SELECT DocumentPrefix/, () => [{ DocumentPrefix: 'GMRL-TEST' }]);
+    db.on(/INSERT INTO AuditInstances/, (p) => {
+        const audit = { AuditID: db.audits.length + 1, SchemaID: p.SchemaID, TemplateVersionID: null };
+        db.audits.push(audit);
+        return [{ AuditID: audit.AuditID }];
+    });
+    db.on(/INSERT INTO AuditResponses/, (p) => {
+        if (!db.items.some(i => i.ItemID === p.ItemID)) {
+            throw new Error('The INSERT statement conflicted with the FOREIGN KEY constraint "FK_AuditResponses_Item"');
+        }
+        if (!db.sections.some(s => s.SectionID === p.SectionID)) {
+            throw new Error('The INSERT statement conflicted with the FOREIGN KEY constraint "FK_AuditResponses_Section"');
+        }
+        db.responses.push({ AuditID: p.AuditID, SectionID: p.SectionID, ItemID: p.ItemID, Coeff: p.Coeff });
+    });
+    db.on(/SELECT SchemaID, Status, TemplateVersionID FROM AuditInstances/, (p) =>
+        db.audits.filter(a => a.AuditID === p.AuditID).map(a => ({ ...a, Status: 'InProgress' })));
+    db.on(/SELECT \* FROM AuditSchemaVersions WHERE VersionID/, (p) => db.versions.filter(v => v.VersionID === p.VersionID));
+    db.on(/SELECT ItemID FROM AuditResponses WHERE AuditID/, (p) => db.responses.filter(r => r.AuditID === p.AuditID));
+    db.on(/UPDATE AuditInstances SET TemplateVersionID/, (p) => {
+        db.audits.find(a => a.AuditID === p.AuditID).TemplateVersionID = p.TemplateVersionID;
+    });
+    return db;
+}
+
+describe('AuditTemplateService.deleteSection', () => {
+    let db;
+    let templateService;
+
+    beforeEach(() => {
+        db = templateDatabase().install();
+        templateService = new AuditTemplateService();
+        auditService.getPool = async () => db;
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('an audit can start on a published version after one of its sections was deleted', async () => {
+        await TemplateVersionService.publishVersion(db, SCHEMA_ID, 'v1', 'admin@example.com');
+
+        const deleted = await templateService.deleteSection(20, 'admin@example.com');
+        expect(deleted.retired).toBe(true);
+
+        const audit = await auditService.startAudit({ schemaId: SCHEMA_ID, storeId: 5, auditDate: '2026-10-19', cycle: 'C5', year: 2026 });
+        expect(audit.templateVersion).toBe(1);
+        expect(db.responses.map(r => r.ItemID).sort()).toEqual([101, 201]);
+    });
+
+    test('a retired section is left out of the next version', async () => {
+        await TemplateVersionService.publishVersion(db, SCHEMA_ID, 'v1', 'admin@example.com');
+        await templateService.deleteSection(20, 'admin@example.com');
+
+        const snapshot = await TemplateVersionService.buildSnapshot(db, SCHEMA_ID);
+        expect(snapshot.sections.map(s => s.sectionId)).toEqual([10]);
+    });
+
+    test('a section that was never published is deleted for good', async () => {
+        const deleted = await templateService.deleteSection(20, 'admin@example.com');
+
+        expect(deleted.retired).toBeUndefined();
+        expect(db.sections.map(s => s.SectionID)).toEqual([10]);
+        expect(db.items.map(i => i.ItemID)).toEqual([101]);
+    });
+});
+
+describe('AuditService.syncAuditWithTemplate', () => {
+    let db;
+
+    beforeEach(() => {
+        db = templateDatabase().install();
+        auditService.getPool = async () => db;
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const startAudit = () => auditService.startAudit({ schemaId: SCHEMA_ID, storeId: 5, auditDate: '2026-10-19', cycle: 'C5', year: 2026 });
+
+    test('an open audit keeps its version when an item is changed and another removed', async () => {
+        const { auditId } = await startAudit();
+
+        db.items.find(i => i.ItemID === 101).Coeff = 4;
+        db.items.find(i => i.ItemID === 201).IsActive = false;
+        db.items.push({ ItemID: 102, SectionID: 10, ReferenceValue: '1.2', Title: 'Labels are dated', Coeff: 2, Answer: 'Yes,Partially,No,NA', CR: null, Severity: 'Critical', SortOrder: 2, IsActive: true });
+        await TemplateVersionService.publishVersion(db, SCHEMA_ID, 'v2', 'admin@example.com');
+
+        expect(db.versions).toHaveLength(2);
+
+        const result = await auditService.syncAuditWithTemplate(auditId, 'admin@example.com');
+
+        expect(result.templateVersion).toBe(1);
+        expect(result.itemsAdded).toBe(0);
+        expect(db.audits[0].TemplateVersionID).toBe(1);
+        expect(db.responses.map(r => [r.ItemID, r.Coeff])).toEqual([[101, 2], [201, 2]]);
+    });
+
+    test('missing items of the pinned version are added', async () => {
+        const { auditId } = await startAudit();
+        db.responses = db.responses.filter(r => r.ItemID !== 201);
+
+        const result = await auditService.syncAuditWithTemplate(auditId);
+
+        expect(result.itemsAdded).toBe(1);
+        expect(db.responses.map(r => r.ItemID).sort()).toEqual([101, 201]);
+    });
+
+    test('an audit started before versioning is pinned to the latest version', async () => {
+        await TemplateVersionService.publishVersion(db, SCHEMA_ID, 'v1', 'admin@example.com');
+        db.audits.push({ AuditID: 1, SchemaID: SCHEMA_ID, TemplateVersionID: null });
+
+        const result = await auditService.syncAuditWithTemplate(1);
+
+        expect(result.itemsAdded).toBe(2);
+        expect(db.audits[0].TemplateVersionID).toBe(1);
+    });
+});
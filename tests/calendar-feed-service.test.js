@@ -0,0 +1,73 @@
+/**
+ * Calendar Feed Service - feed tokens of deactivated users
+ */
+
+jest.mock('../config/default', () => ({ database: {} }), { virtual: true });
+
+const CalendarFeedService = require('../audit-app/services/calendar-feed-service');
+const RoleAssignmentService = require('../admin/services/role-assignment-service');
+const FakeDatabase = require('./helpers/fake-database');
+
+const TOKEN = 'a'.repeat(48);
+
+/**
+ * Users and CalendarFeedTokens rows
+ */
+function feedDatabase() {
+    const db = new FakeDatabase();
+    db.users = [{ id: 7, display_name: 'Auditor', email: 'auditor@example.com', role: 'Auditor', is_approved: true, is_active: true }];
+    db.tokens = [{ UserID: 7, Token: TOKEN }];
+
+    db.on(/FROM CalendarFeedTokens t\s+INNER JOIN Users u/, (p) => db.tokens
+        .filter(t => t.Token === p.Token)
+        .map(t => db.users.find(u => u.id === t.UserID && u.is_approved && u.is_active))
+        .filter(Boolean));
+    db.on(/DELETE FROM CalendarFeedTokens WHERE UserID/, (p) => {
+        db.tokens = db.tokens.filter(t => t.UserID !== p.UserID);
+    });
+    db.on(/UPDATE Users/, (p) => {
+        const user = db.users.find(u => u.id === p.userId);
+        user.is_active = !!p.isActive;
+        return [user];
+    });
+    return db;
+}
+
+describe('CalendarFeedService feed tokens', () => {
+    let db;
+
+    beforeEach(() => {
+        db = feedDatabase().install();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('an active user\'s token opens the feed', async () => {
+        const user = await CalendarFeedService.getFeedUser(db, TOKEN);
+
+        expect(user.email).toBe('auditor@example.com');
+        expect(db.ran(/u\.is_active = 1/)).toHaveLength(1);
+    });
+
+    test('deactivating a user deletes their feed token', async () => {
+        await RoleAssignmentService.updateUserStatus(7, false);
+
+        expect(db.tokens).toHaveLength(0);
+        expect(await CalendarFeedService.getFeedUser(db, TOKEN)).toBeNull();
+    });
+
+    test('deactivating a user from the edit form deletes their feed token', async () => {
+        await RoleAssignmentService.updateUser(7, { role: 'Auditor', is_active: false, is_approved: true });
+
+        expect(db.tokens).toHaveLength(0);
+    });
+
+    test('activating a user keeps their feed token', async () => {
+        await RoleAssignmentService.updateUserStatus(7, true);
+
+        expect(db.tokens).toHaveLength(1);
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * Fake Database
+ * In-memory stand-in for an mssql connection pool, shared by the service tests.
+ * A test registers a handler per statement it cares about (db.on(pattern, handler));
+ * any other statement is recorded in db.queries and answers with an empty result.
+ */
+
+const sql = require('mssql');
+
+class FakeDatabase {
+    constructor() {
+        this.handlers = [];
+        this.queries = [];
+    }
+
+    /**
+     * Answer statements matching pattern with handler(params, { types, text })
+     * The handler returns a recordset array, a full result object or nothing.
+     */
+    on(pattern, handler) {
+        this.handlers.push({ pattern, handler });
+        return this;
+    }
+
+    request() {
+        const params = {};
+        const types = {};
+        const request = {
+            input: (name, type, value) => {
+                // input(name, value) without a type, as mssql allows
+                if (value === undefined) {
+                    value = type;
+                    type = null;
+                }
+                params[name] = value;
+                types[name] = type;
+                return request;
+            },
+            query: async (text) => this.query(text, params, types),
+            execute: async (procedure) => this.query(`EXEC ${procedure}`, params, types)
+        };
+        return request;
+    }
+
+    async query(text, params = {}, types = {}) {
+        this.queries.push({ text, params: { ...params } });
+        const match = this.handlers.find(h => h.pattern.test(text));
+        const result = match ? await match.handler(params, { types, text }) : null;
+        if (Array.isArray(result)) {
+            return { recordset: result, rowsAffected: [result.length] };
+        }
+        return { recordset: [], rowsAffected: [0], ...(result || {}) };
+    }
+
+    /**
+     * Statements run so far that match pattern
+     */
+    ran(pattern) {
+        return this.queries.filter(q => pattern.test(q.text));
+    }
+
+    transaction() {
+        return {
+            begin: async () => {},
+            commit: async () => {},
+            rollback: async () => {},
+            request: () => this.request()
+        };
+    }
+
+    /**
+     * Route sql.connect and new sql.Transaction() to this database (restore with jest.restoreAllMocks)
+     */
+    install() {
+        jest.spyOn(sql, 'connect').mockResolvedValue(this);
+        jest.spyOn(sql, 'Transaction').mockImplementation(() => this.transaction());
+        return this;
+    }
+}
+
+module.exports = FakeDatabase;
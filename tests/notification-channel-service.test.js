@@ -0,0 +1,142 @@
+/**
+ * Notification Channel Service - CR/LF in addresses and subjects of SMTP and .eml messages
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const notificationChannelService = require('../services/notification-channel-service');
+const FakeDatabase = require('./helpers/fake-database');
+
+const message = { type: 'ReportSubscription', to: ['manager@example.com'], subject: 'Weekly report', html: '<p>Report</p>' };
+
+describe('NotificationChannelService header injection', () => {
+    const env = { ...process.env };
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-'));
+        process.env.NOTIFICATION_FILE_DIR = directory;
+        process.env.NOTIFICATION_CHANNEL_OVERRIDE = 'file';
+        notificationChannelService.clearCache();
+        new FakeDatabase().install();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        process.env = { ...env };
+        fs.rmSync(directory, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    const writtenHeaders = () => {
+        const [file] = fs.readdirSync(directory);
+        const eml = fs.readFileSync(path.join(directory, file), 'utf8');
+        return eml.slice(0, eml.indexOf('\r\n\r\n')).split('\r\n');
+    };
+
+    test('a subject with CR/LF stays one header', async () => {
+        const result = await notificationChannelService.send({ ...message, subject: 'Weekly report\r\nBcc: attacker@example.com' });
+
+        expect(result.success).toBe(true);
+        const headers = writtenHeaders();
+        expect(headers).toContain('Subject: Weekly report Bcc: attacker@example.com');
+        expect(headers.some(h => h.startsWith('Bcc:'))).toBe(false);
+    });
+
+    test('a recipient with CR/LF is rejected', async () => {
+        const result = await notificationChannelService.send({ ...message, cc: ['auditor@example.com\r\nBcc: attacker@example.com'] });
+
+        expect(result.success).toBe(false);
+        expect(result.error).toMatch(/Invalid email address/);
+        expect(fs.readdirSync(directory)).toHaveLength(0);
+    });
+
+    test('SMTP rejects a recipient with CR/LF before connecting', async () => {
+        process.env.NOTIFICATION_CHANNEL_OVERRIDE = 'smtp';
+        process.env.SMTP_HOST = 'smtp.example.com';
+        process.env.SMTP_FROM = 'audits@example.com';
+        const connect = jest.spyOn(net, 'connect');
+
+        const result = await notificationChannelService.send({ ...message, to: ['manager@example.com>\r\nRCPT TO:<attacker@example.com'] });
+
+        expect(result.success).toBe(false);
+        expect(result.error).toMatch(/Invalid email address/);
+        expect(connect).not.toHaveBeenCalled();
+    });
+});
+
+describe('NotificationChannelService SMTP authentication', () => {
+    const env = { ...process.env };
+    let server;
+    let commands;
+
+    // Plain SMTP server on localhost that does not offer STARTTLS
+    beforeEach(async () => {
+        commands = [];
+        server = net.createServer(socket => {
+            socket.write('220 localhost ESMTP\r\n');
+            let buffer = '';
+            let data = false;
+            socket.on('data', chunk => {
+                buffer += chunk;
+                let index;
+                while ((index = buffer.indexOf('\r\n')) >= 0) {
+                    const line = buffer.slice(0, index);
+                    buffer = buffer.slice(index + 2);
+                    if (data) {
+                        if (line === '.') {
+                            data = false;
+                            socket.write('250 Queued\r\n');
+                        }
+                        continue;
+                    }
+                    commands.push(line);
+                    if (/^EHLO/.test(line)) socket.write('250-localhost\r\n250 AUTH LOGIN\r\n');
+                    else if (line === 'AUTH LOGIN' || commands[commands.length - 2] === 'AUTH LOGIN') socket.write('334 \r\n');
+                    else if (commands[commands.length - 3] === 'AUTH LOGIN') socket.write('235 Authenticated\r\n');
+                    else if (line === 'DATA') { data = true; socket.write('354 Go ahead\r\n'); }
+                    else if (line === 'QUIT') socket.end('221 Bye\r\n');
+                    else socket.write('250 OK\r\n');
+                }
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        process.env.NOTIFICATION_CHANNEL_OVERRIDE = 'smtp';
+        process.env.SMTP_HOST = '127.0.0.1';
+        process.env.SMTP_PORT = String(server.address().port);
+        process.env.SMTP_FROM = 'audits@example.com';
+        process.env.SMTP_USER = 'audits@example.com';
+        process.env.SMTP_PASSWORD = 'secret';
+        notificationChannelService.clearCache();
+        new FakeDatabase().install();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        process.env = { ...env };
+        await new Promise(resolve => server.close(resolve));
+        jest.restoreAllMocks();
+    });
+
+    test('credentials are not sent when the server offers no TLS', async () => {
+        const result = await notificationChannelService.send(message);
+
+        expect(result.success).toBe(false);
+        expect(result.error).toMatch(/refusing to send credentials/);
+        expect(commands).not.toContain('AUTH LOGIN');
+    });
+
+    test('plaintext authentication can be allowed explicitly', async () => {
+        process.env.SMTP_ALLOW_INSECURE_AUTH = 'true';
+
+        const result = await notificationChannelService.send(message);
+
+        expect(result.success).toBe(true);
+        expect(commands).toContain('AUTH LOGIN');
+    });
+});
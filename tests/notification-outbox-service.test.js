@@ -0,0 +1,146 @@
+/**
+ * Notification Outbox Service - idempotency keys and delivery errors
+ */
+
+const outboxService = require('../services/notification-outbox-service');
+const notificationChannelService = require('../services/notification-channel-service');
+const FakeDatabase = require('./helpers/fake-database');
+
+/**
+ * NotificationOutbox rows with the unique index on IdempotencyKey
+ */
+function outboxDatabase() {
+    const db = new FakeDatabase();
+    db.rows = [];
+
+    db.on(/SELECT \* FROM NotificationOutbox WHERE IdempotencyKey/, (p) => db.rows.filter(r => r.IdempotencyKey === p.idempotencyKey));
+    db.on(/'#dead-'/, (p) => {
+        db.rows.filter(r => r.OutboxID === p.id && r.Status === 'DeadLetter')
+            .forEach(r => { r.IdempotencyKey = `${r.IdempotencyKey.slice(0, 180)}#dead-${r.OutboxID}`; });
+    });
+    db.on(/INSERT INTO NotificationOutbox/, (p) => {
+        if (p.idempotencyKey && db.rows.some(r => r.IdempotencyKey === p.idempotencyKey)) {
+            const error = new Error('Cannot insert duplicate key row');
+            error.number = 2601;
+            throw error;
+        }
+        const row = {
+            OutboxID: db.rows.length + 1,
+            IdempotencyKey: p.idempotencyKey,
+            NotificationType: p.type,
+            ToRecipients: p.to,
+            CcRecipients: p.cc,
+            Subject: p.subject,
+            HtmlBody: p.html,
+            Status: 'Pending',
+            Attempts: 0,
+            MaxAttempts: p.maxAttempts
+        };
+        db.rows.push(row);
+        return [row];
+    });
+    db.on(/SET Status = '(\w+)', Attempts = @attempts/, (p, { text }) => {
+        const row = db.rows.find(r => r.OutboxID === p.id);
+        Object.assign(row, { Status: /SET Status = '(\w+)'/.exec(text)[1], Attempts: p.attempts, Channels: p.channels, LastError: p.lastError || null });
+        return [row];
+    });
+    db.on(/SELECT \* FROM NotificationOutbox WHERE OutboxID = @id/, (p) => db.rows.filter(r => r.OutboxID === p.id));
+    db.on(/SET Status = 'Pending', Attempts = 0/, (p, { text }) => {
+        const statuses = /Status IN \(([^)]*)\)/.exec(text)[1].replace(/'/g, '').split(/,\s*/);
+        const rows = db.rows.filter(r => r.OutboxID === p.id && statuses.includes(r.Status));
+        rows.forEach(r => Object.assign(r, { Status: 'Pending', Attempts: 0 }));
+        return { rowsAffected: [rows.length] };
+    });
+    return db;
+}
+
+const message = { type: 'ReportSubscription', to: ['manager@example.com'], subject: 'Weekly report', html: '<p>Report</p>' };
+
+describe('NotificationOutboxService', () => {
+    let db;
+
+    beforeEach(() => {
+        db = outboxDatabase();
+        outboxService.getDbPool = async () => db;
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('a queued key is not queued again', async () => {
+        await outboxService.enqueue(message, { idempotencyKey: 'ReportSubscription:7' });
+        const again = await outboxService.enqueue(message, { idempotencyKey: 'ReportSubscription:7' });
+
+        expect(again.duplicate).toBe(true);
+        expect(db.rows).toHaveLength(1);
+    });
+
+    test('a dead-lettered key can be queued again', async () => {
+        const first = await outboxService.enqueue(message, { idempotencyKey: 'ReportSubscription:7' });
+        first.row.Status = 'DeadLetter';
+
+        const again = await outboxService.enqueue(message, { idempotencyKey: 'ReportSubscription:7' });
+
+        expect(again.duplicate).toBe(false);
+        expect(again.row.Status).toBe('Pending');
+        expect(db.rows[0].IdempotencyKey).toBe('ReportSubscription:7#dead-1');
+    });
+
+    test('a channel that throws is recorded as a failed attempt', async () => {
+        jest.spyOn(notificationChannelService, 'send').mockRejectedValue(new Error('SMTP connection reset'));
+        const { row } = await outboxService.enqueue(message);
+        row.Status = 'Sending';
+
+        const delivered = await outboxService.deliver(db, row);
+
+        expect(delivered.row.Status).toBe('Failed');
+        expect(delivered.row.Attempts).toBe(1);
+        expect(delivered.row.LastError).toBe('SMTP connection reset');
+    });
+
+    test('a message is only sent once every channel delivered it', async () => {
+        const send = jest.spyOn(notificationChannelService, 'send')
+            .mockResolvedValueOnce({ success: true, channels: [{ channel: 'graph', success: true }, { channel: 'teams', success: false, error: 'Webhook returned 502' }] })
+            .mockResolvedValueOnce({ success: true, channels: [{ channel: 'teams', success: true }] });
+        const { row } = await outboxService.enqueue(message);
+
+        const first = await outboxService.deliver(db, row);
+        expect(first.row.Status).toBe('Failed');
+        expect(first.row.Channels).toBe('graph');
+        expect(first.row.LastError).toBe('teams: Webhook returned 502');
+
+        const second = await outboxService.deliver(db, first.row);
+        expect(send.mock.calls[1][2]).toEqual({ skipChannels: ['graph'] });
+        expect(second.row.Status).toBe('Sent');
+        expect(second.row.Channels).toBe('graph,teams');
+    });
+
+    test('a message that failed on one channel is dead-lettered after its last attempt', async () => {
+        jest.spyOn(notificationChannelService, 'send')
+            .mockResolvedValue({ success: true, channels: [{ channel: 'graph', success: true }, { channel: 'teams', success: false, error: 'Webhook returned 502' }] });
+        const { row } = await outboxService.enqueue(message);
+        row.Attempts = row.MaxAttempts - 1;
+
+        const delivered = await outboxService.deliver(db, row);
+
+        expect(delivered.row.Status).toBe('DeadLetter');
+    });
+
+    test('a manual retry does not reset a message the worker has claimed', async () => {
+        const { row } = await outboxService.enqueue(message);
+        row.Status = 'Failed';
+        jest.spyOn(outboxService, 'getMessage').mockImplementationOnce(async () => {
+            // The worker claims the message between the read and the update
+            const read = { outboxId: row.OutboxID, status: row.Status };
+            row.Status = 'Sending';
+            return read;
+        });
+
+        await expect(outboxService.retry(db, row.OutboxID, 'admin@example.com')).rejects.toThrow('changed while it was being retried');
+        expect(row.Status).toBe('Sending');
+    });
+});
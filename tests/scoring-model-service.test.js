@@ -0,0 +1,38 @@
+/**
+ * Scoring Model Service - the reason an audit is forced to Fail
+ */
+
+const ScoringModelService = require('../audit-app/services/scoring-model-service');
+
+const model = ScoringModelService.normalize({
+    ...ScoringModelService.getDefaultModel(),
+    severityRules: {
+        Critical: { failOverall: true, immediateActionPlan: true },
+        Major: { sectionCap: 70 },
+        Minor: {}
+    }
+});
+
+describe('ScoringModelService forced fail reason', () => {
+    const section = ScoringModelService.calculateSectionScore(model, [
+        { referenceValue: '1.1', coeff: 2, severity: 'Critical', selectedChoice: 'No' },
+        { referenceValue: '1.2', coeff: 2, severity: 'Major', selectedChoice: 'No' },
+        { referenceValue: '1.3', coeff: 2, severity: 'Minor', selectedChoice: 'Partially' },
+        { referenceValue: '1.4', coeff: 2, severity: 'Critical', selectedChoice: 'Yes' }
+    ]);
+
+    test('only findings whose rule fails the audit are named', () => {
+        const overall = ScoringModelService.calculateOverallScore([section], model);
+
+        expect(overall.forcedFail).toBe(true);
+        expect(overall.forcedFailReason).toBe('Critical finding: 1.1');
+    });
+
+    test('a section without a failing severity does not force a fail', () => {
+        const capped = ScoringModelService.calculateSectionScore(model, [
+            { referenceValue: '2.1', coeff: 2, severity: 'Major', selectedChoice: 'No' }
+        ]);
+
+        expect(ScoringModelService.getForcedFailReason([capped], model)).toBeNull();
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * Work Order Service - completion photo uploads
+ */
+
+const WorkOrderService = require('../audit-app/services/work-order-service');
+const FileStorageService = require('../services/file-storage-service');
+const FakeDatabase = require('./helpers/fake-database');
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(32)]);
+const dataUrl = (contentType, buffer) => `data:${contentType};base64,${buffer.toString('base64')}`;
+const admin = { id: 1, email: 'admin@example.com', role: 'Admin' };
+
+describe('WorkOrderService.addPhoto', () => {
+    let db;
+    let savePicture;
+
+    beforeEach(() => {
+        db = new FakeDatabase();
+        db.on(/INSERT INTO WorkOrderPhotos/, () => [{ PhotoID: 5 }]);
+        jest.spyOn(WorkOrderService, 'getWorkOrder').mockResolvedValue({ workOrderId: 3, auditId: 10, responseId: 20, department: 'MAINT', status: 'InProgress', photos: [] });
+        jest.spyOn(WorkOrderService, 'assertCanEdit').mockImplementation(() => {});
+        savePicture = jest.spyOn(FileStorageService, 'savePicture')
+            .mockImplementation(async ({ fileName }) => ({ fileName, relativePath: `audits/10/20/${fileName}`, url: `/api/pictures/file/audits/10/20/${fileName}` }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('the stored extension comes from the image type, not the file name', async () => {
+        const photo = await WorkOrderService.addPhoto(db, 3, { fileName: 'x.html', fileData: dataUrl('image/png', PNG) }, admin);
+
+        expect(photo.url).toMatch(/\.png$/);
+        expect(savePicture.mock.calls[0][0].fileName).toBe('photo.png');
+    });
+
+    test('SVG and other image types are rejected', async () => {
+        const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>');
+
+        await expect(WorkOrderService.addPhoto(db, 3, { fileName: 'x.html', fileData: dataUrl('image/svg+xml', svg) }, admin))
+            .rejects.toThrow('Only JPEG, PNG, GIF and WebP photos can be uploaded');
+        expect(savePicture).not.toHaveBeenCalled();
+    });
+
+    test('a file that is not the image it claims to be is rejected', async () => {
+        const html = Buffer.from('<html><script>alert(1)</script></html>');
+
+        await expect(WorkOrderService.addPhoto(db, 3, { fileData: dataUrl('image/png', html) }, admin))
+            .rejects.toThrow('not a valid PNG image');
+        expect(savePicture).not.toHaveBeenCalled();
+    });
+
+    test('photos over the size limit are rejected', async () => {
+        const large = Buffer.concat([PNG, Buffer.alloc(11 * 1024 * 1024)]);
+
+        await expect(WorkOrderService.addPhoto(db, 3, { fileData: dataUrl('image/png', large) }, admin))
+            .rejects.toThrow('at most 10 MB');
+        expect(savePicture).not.toHaveBeenCalled();
+    });
+});
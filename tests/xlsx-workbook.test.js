@@ -0,0 +1,42 @@
+/**
+ * XLSX Workbook - reader limits on zip entries and uncompressed size
+ */
+
+const XlsxWorkbook = require('../services/xlsx-workbook');
+
+describe('XlsxWorkbook.read limits', () => {
+    test('a workbook written by the writer reads back', () => {
+        const buffer = XlsxWorkbook.write([{ name: 'Items', rows: [['Title', 'Coeff'], ['Dry store is clean', 2]] }]);
+
+        const sheets = XlsxWorkbook.read(buffer);
+        expect(sheets[0].rows).toEqual([['Title', 'Coeff'], ['Dry store is clean', 2]]);
+    });
+
+    test('an entry that inflates past the limit is rejected', () => {
+        // 60 MB of zeros deflates to about 60 KB
+        const bomb = XlsxWorkbook.zip([
+            { name: 'xl/workbook.xml', data: Buffer.from('<workbook/>') },
+            { name: 'xl/sharedStrings.xml', data: Buffer.alloc(60 * 1024 * 1024) }
+        ]);
+
+        expect(() => XlsxWorkbook.read(bomb)).toThrow('Workbook is too large');
+    });
+
+    test('entries that together inflate past the limit are rejected', () => {
+        const part = Buffer.alloc(40 * 1024 * 1024);
+        const bomb = XlsxWorkbook.zip([
+            { name: 'xl/workbook.xml', data: Buffer.from('<workbook/>') },
+            { name: 'xl/worksheets/sheet1.xml', data: part },
+            { name: 'xl/worksheets/sheet2.xml', data: part },
+            { name: 'xl/worksheets/sheet3.xml', data: part }
+        ]);
+
+        expect(() => XlsxWorkbook.read(bomb)).toThrow('Workbook is too large');
+    });
+
+    test('an archive with too many entries is rejected', () => {
+        const files = Array.from({ length: 1001 }, (_, i) => ({ name: `xl/media/image${i}.png`, data: Buffer.from('x') }));
+
+        expect(() => XlsxWorkbook.read(XlsxWorkbook.zip(files))).toThrow('more than 1000 files');
+    });
+});